@@ -17,18 +17,33 @@ import {
   Calendar,
   Save,
 } from 'lucide-react';
-import { updateLeadQualification } from '../lib/insforge-product';
+import { getLeadCallSummaries, updateLeadQualification } from '../lib/insforge-product';
 
 const qualificationOptions = ['unqualified', 'partially_qualified', 'qualified', 'disqualified'];
 const leadStageOptions = ['new', 'attempting_contact', 'contacted', 'engaged', 'qualified', 'booking_offered', 'booked', 'callback_scheduled', 'nurture', 'not_interested_now', 'unqualified', 'closed_won', 'closed_lost', 'do_not_contact'];
 const schedulingOptions = ['not_started', 'callback_requested', 'booking_requested', 'booking_offered', 'booked', 'reschedule_requested', 'needs_follow_up'];
 const contactChannelOptions = ['email', 'phone', 'whatsapp', 'sms'];
+const sentimentColors = {
+  positive: 'bg-emerald-100 text-emerald-800 border-emerald-200',
+  neutral: 'bg-gray-100 text-gray-700 border-gray-200',
+  mixed: 'bg-amber-100 text-amber-800 border-amber-200',
+  negative: 'bg-rose-100 text-rose-800 border-rose-200',
+};
+const qualificationLabels = {
+  serviceInterest: 'Service',
+  timeline: 'Timeline',
+  budgetRange: 'Budget',
+  locationSummary: 'Location',
+  preferredMeetingWindow: 'Meeting window',
+  decisionMaker: 'Decision maker',
+};
 
 export default function LeadDetailsModal({ isOpen, onClose, lead, user, onLeadUpdate }) {
   const [formData, setFormData] = useState(null);
   const [saving, setSaving] = useState(false);
   const [saveError, setSaveError] = useState('');
   const [saveSuccess, setSaveSuccess] = useState('');
+  const [callSummaries, setCallSummaries] = useState([]);
 
   useEffect(() => {
     if (!lead) return;
@@ -52,6 +67,22 @@ export default function LeadDetailsModal({ isOpen, onClose, lead, user, onLeadUp
     setSaveSuccess('');
   }, [lead]);
 
+  useEffect(() => {
+    if (!isOpen || !lead?.id || !user) return undefined;
+    let cancelled = false;
+    setCallSummaries([]);
+    getLeadCallSummaries(user, lead.id)
+      .then((calls) => {
+        if (!cancelled) setCallSummaries(calls);
+      })
+      .catch(() => {
+        if (!cancelled) setCallSummaries([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, lead?.id, user]);
+
   if (!isOpen || !lead || !formData) return null;
 
   const getStatusIcon = (status) => {
@@ -264,6 +295,39 @@ export default function LeadDetailsModal({ isOpen, onClose, lead, user, onLeadUp
             </div>
           </div>
 
+          {callSummaries.length > 0 && (
+            <div className="bg-gradient-to-br from-orange-50 to-amber-50 rounded-lg p-6 border border-orange-200">
+              <h3 className="text-xl font-semibold text-gray-800 mb-6 flex items-center"><Phone className="w-6 h-6 mr-3 text-orange-600" />Call Summaries</h3>
+              <div className="space-y-4">{callSummaries.map((call) => {
+                const summary = call.postCallSummary;
+                const qualification = Object.entries(summary.qualification || {}).filter(([, value]) => value);
+                return (
+                  <div key={call.id} className="bg-white rounded-lg p-4 shadow-sm border border-orange-100 space-y-3">
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                      <span className="font-semibold text-gray-800 capitalize">{call.direction || 'outbound'} call</span>
+                      <span className="text-gray-500">{new Date(call.callStartedAt || call.createdAt).toLocaleString()}</span>
+                      <span className={`px-3 py-1 text-xs font-bold rounded-full border ${sentimentColors[summary.sentiment] || sentimentColors.neutral}`}>{summary.sentiment || 'neutral'}</span>
+                      <span className="px-3 py-1 text-xs font-bold rounded-full border bg-blue-100 text-blue-800 border-blue-200">{String(summary.recommendedOutcome || 'needs_human_follow_up').replace(/_/g, ' ')}</span>
+                      {summary.generatedBy === 'heuristic' && <span className="text-xs text-gray-500">auto-extracted</span>}
+                    </div>
+                    <p className="text-gray-900">{summary.overview}</p>
+                    {summary.objections?.length > 0 && (
+                      <div className="text-sm"><span className="font-medium text-gray-600">Objections: </span><span className="text-gray-900">{summary.objections.join('; ')}</span></div>
+                    )}
+                    {qualification.length > 0 && (
+                      <div className="flex flex-wrap gap-2 text-xs">{qualification.map(([key, value]) => (
+                        <span key={key} className="px-2 py-1 rounded bg-gray-100 text-gray-700"><span className="font-semibold">{qualificationLabels[key] || key}:</span> {String(value)}</span>
+                      ))}</div>
+                    )}
+                    {summary.promisedFollowUp?.promised && (
+                      <div className="text-sm flex items-center"><Calendar className="w-4 h-4 mr-2 text-orange-600" /><span className="text-gray-900">{summary.promisedFollowUp.detail || `Follow up by ${summary.promisedFollowUp.channel || 'call'}`}{summary.promisedFollowUp.when ? ` (${summary.promisedFollowUp.when})` : ''}</span></div>
+                    )}
+                  </div>
+                );
+              })}</div>
+            </div>
+          )}
+
           {lead.customFields && Object.keys(lead.customFields).length > 0 ? (
             <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-lg p-6 border border-blue-200">
               <h3 className="text-xl font-semibold text-gray-800 mb-6 flex items-center"><FileText className="w-6 h-6 mr-3 text-blue-600" />Custom Fields</h3>
@@ -0,0 +1,333 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Headphones, MessageSquare, PhoneForwarded, PhoneOff, Radio, RefreshCw, Send } from 'lucide-react';
+import {
+  endLiveCall,
+  getCallMonitorUrl,
+  listLiveCalls,
+  transferLiveCall,
+  whisperToLiveCall,
+} from '../lib/insforge-functions';
+
+const POLL_INTERVAL_MS = 5000;
+const speakerStyles = {
+  lead: 'bg-white border-gray-200 text-gray-900',
+  agent: 'bg-indigo-50 border-indigo-100 text-indigo-900',
+  supervisor: 'bg-amber-50 border-amber-200 text-amber-900',
+  system: 'bg-gray-50 border-gray-200 text-gray-500',
+};
+const speakerLabels = { lead: 'Lead', agent: 'Agent', supervisor: 'Whisper', system: 'Call' };
+
+// Twilio media is 8 kHz G.711 μ-law; decode it to float PCM for Web Audio.
+function decodeMulawChunk(payload) {
+  const bytes = atob(payload);
+  const samples = new Float32Array(bytes.length);
+  for (let index = 0; index < bytes.length; index += 1) {
+    const value = ~bytes.charCodeAt(index) & 0xff;
+    const magnitude = ((((value & 0x0f) << 3) + 0x84) << ((value >> 4) & 0x07)) - 0x84;
+    samples[index] = ((value & 0x80) ? -magnitude : magnitude) / 32768;
+  }
+  return samples;
+}
+
+function formatElapsed(startedAt, now) {
+  if (!startedAt) return '';
+  const seconds = Math.max(0, Math.round((now - new Date(startedAt).getTime()) / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export default function LiveCallMonitor({ user }) {
+  const [calls, setCalls] = useState([]);
+  const [selectedCallId, setSelectedCallId] = useState('');
+  const [turns, setTurns] = useState([]);
+  const [connection, setConnection] = useState('idle');
+  const [listening, setListening] = useState(false);
+  const [whisperText, setWhisperText] = useState('');
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+  const socketRef = useRef(null);
+  const audioRef = useRef({ context: null, playhead: { lead: 0, agent: 0 } });
+  const listeningRef = useRef(false);
+  const transcriptEndRef = useRef(null);
+
+  const selectedCall = calls.find((call) => call.id === selectedCallId) || null;
+
+  const refreshCalls = useCallback(async () => {
+    try {
+      const data = await listLiveCalls(user);
+      setCalls(data.calls || []);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load live calls');
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (!user?.tenantId) return undefined;
+    refreshCalls();
+    const poll = setInterval(() => {
+      refreshCalls();
+      setNow(Date.now());
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(poll);
+  }, [user?.tenantId, refreshCalls]);
+
+  useEffect(() => {
+    listeningRef.current = listening;
+    if (!listening) {
+      audioRef.current.context?.close();
+      audioRef.current = { context: null, playhead: { lead: 0, agent: 0 } };
+    }
+  }, [listening]);
+
+  useEffect(() => {
+    transcriptEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [turns]);
+
+  useEffect(() => {
+    if (!selectedCallId) return undefined;
+    let cancelled = false;
+    setConnection('connecting');
+
+    const playMedia = (track, payload) => {
+      if (!listeningRef.current || !payload) return;
+      const audio = audioRef.current;
+      if (!audio.context) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        audio.context = new AudioContextClass();
+      }
+      const samples = decodeMulawChunk(payload);
+      const buffer = audio.context.createBuffer(1, samples.length, 8000);
+      buffer.copyToChannel(samples, 0);
+      const source = audio.context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(audio.context.destination);
+      const startAt = Math.max(audio.context.currentTime + 0.05, audio.playhead[track] || 0);
+      source.start(startAt);
+      audio.playhead[track] = startAt + buffer.duration;
+    };
+
+    const handleEvent = (event) => {
+      if (event.type === 'snapshot') {
+        setConnection('live');
+        if (event.transcript?.length) setTurns(event.transcript);
+      } else if (event.type === 'transcript') {
+        setTurns((current) => [...current, { speaker: event.speaker, text: event.text, at: event.at }]);
+      } else if (event.type === 'whisper') {
+        setTurns((current) => [...current, { speaker: 'supervisor', text: event.text, at: event.at }]);
+      } else if (event.type === 'transfer_started') {
+        setTurns((current) => [...current, { speaker: 'system', text: 'Transferring to the team...', at: new Date().toISOString() }]);
+      } else if (event.type === 'media') {
+        playMedia(event.track, event.payload);
+      } else if (event.type === 'call_ended') {
+        setConnection('ended');
+        setTurns((current) => [...current, {
+          speaker: 'system',
+          text: `Call ended (${event.outcome || 'completed'})${event.endedBy ? ' by a supervisor' : ''}.`,
+          at: new Date().toISOString(),
+        }]);
+        refreshCalls();
+      }
+    };
+
+    getCallMonitorUrl(user, selectedCallId)
+      .then(({ monitorUrl }) => {
+        if (cancelled) return;
+        const socket = new WebSocket(monitorUrl);
+        socketRef.current = socket;
+        socket.onmessage = (message) => {
+          try {
+            handleEvent(JSON.parse(message.data));
+          } catch {
+            // Ignore frames that are not monitor events.
+          }
+        };
+        socket.onerror = () => setConnection('error');
+        socket.onclose = () => setConnection((current) => (current === 'live' || current === 'connecting' ? 'closed' : current));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setConnection('error');
+        setError(err.message || 'Failed to open the call monitor');
+      });
+
+    return () => {
+      cancelled = true;
+      socketRef.current?.close();
+      socketRef.current = null;
+      setListening(false);
+    };
+  }, [selectedCallId, user, refreshCalls]);
+
+  // The stored transcript fills the panel until the monitor snapshot arrives.
+  const selectCall = (call) => {
+    if (call.id === selectedCallId) return;
+    setTurns(call.transcript || []);
+    setSelectedCallId(call.id);
+  };
+
+  const runControl = async (name, action) => {
+    setBusy(name);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Call control failed');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleWhisper = (event) => {
+    event.preventDefault();
+    const text = whisperText.trim();
+    if (!text || !selectedCallId) return;
+    runControl('whisper', async () => {
+      await whisperToLiveCall(user, selectedCallId, text);
+      setWhisperText('');
+    });
+  };
+
+  const handleEndCall = () => {
+    if (!selectedCallId || !window.confirm('End this call for the lead now?')) return;
+    runControl('end', () => endLiveCall(user, selectedCallId, 'Ended from the live call monitor'));
+  };
+
+  const handleTransfer = () => {
+    if (!selectedCallId || !window.confirm('Transfer this call to your team escalation numbers?')) return;
+    runControl('transfer', () => transferLiveCall(user, selectedCallId, 'Supervisor took over from the live call monitor'));
+  };
+
+  const callIsOpen = connection === 'live' || connection === 'connecting';
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-col gap-3 lg:flex-row lg:items-center lg:justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Live Call Monitor</h3>
+          <p className="text-sm text-gray-500">Follow in-progress calls as they happen, listen in, whisper guidance to the agent, or take the call over.</p>
+        </div>
+        <button
+          onClick={refreshCalls}
+          className="inline-flex items-center justify-center px-3 py-2 rounded-md border border-gray-300 text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 rounded-md border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3">
+        <div className="border-b lg:border-b-0 lg:border-r border-gray-200">
+          {calls.length === 0 ? (
+            <p className="px-6 py-8 text-sm text-gray-500">No calls are in progress right now.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {calls.map((call) => (
+                <li key={call.id}>
+                  <button
+                    onClick={() => selectCall(call)}
+                    className={`w-full text-left px-6 py-3 hover:bg-gray-50 ${call.id === selectedCallId ? 'bg-indigo-50' : ''}`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-medium text-gray-900 truncate">{call.leadName}</span>
+                      <span className="text-xs text-gray-500 tabular-nums">{formatElapsed(call.startedAt, now)}</span>
+                    </div>
+                    <div className="mt-1 flex items-center gap-2 text-xs text-gray-500">
+                      <Radio className="w-3 h-3 text-green-600" />
+                      <span className="capitalize">{call.direction}</span>
+                      {call.agentName && <span>· {call.agentName}</span>}
+                      {call.transferring && <span className="text-amber-700">· transferring</span>}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 flex flex-col min-h-[20rem]">
+          {!selectedCallId ? (
+            <p className="px-6 py-8 text-sm text-gray-500">Select a call to follow its transcript.</p>
+          ) : (
+            <>
+              <div className="px-6 py-3 border-b border-gray-200 flex flex-wrap items-center justify-between gap-2">
+                <div className="text-sm">
+                  <span className="font-medium text-gray-900">{selectedCall?.leadName || 'Call'}</span>
+                  {selectedCall?.serviceInterest && <span className="text-gray-500"> · {selectedCall.serviceInterest}</span>}
+                  <span className="ml-2 text-xs uppercase tracking-wide text-gray-500">{connection}</span>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => setListening((current) => !current)}
+                    disabled={!callIsOpen}
+                    className={`inline-flex items-center px-3 py-1.5 rounded-md text-xs font-medium border ${
+                      listening ? 'bg-indigo-600 border-indigo-600 text-white' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    } disabled:cursor-not-allowed disabled:opacity-50`}
+                  >
+                    <Headphones className="w-4 h-4 mr-1" />
+                    {listening ? 'Listening' : 'Listen in'}
+                  </button>
+                  <button
+                    onClick={handleTransfer}
+                    disabled={!callIsOpen || Boolean(busy)}
+                    className="inline-flex items-center px-3 py-1.5 rounded-md text-xs font-medium border border-amber-300 text-amber-800 hover:bg-amber-50 disabled:cursor-not-allowed disabled:opacity-50"
+                  >
+                    <PhoneForwarded className="w-4 h-4 mr-1" />
+                    {busy === 'transfer' ? 'Transferring...' : 'Transfer'}
+                  </button>
+                  <button
+                    onClick={handleEndCall}
+                    disabled={!callIsOpen || Boolean(busy)}
+                    className="inline-flex items-center px-3 py-1.5 rounded-md text-xs font-medium bg-red-600 text-white hover:bg-red-700 disabled:cursor-not-allowed disabled:bg-gray-300"
+                  >
+                    <PhoneOff className="w-4 h-4 mr-1" />
+                    {busy === 'end' ? 'Ending...' : 'End call'}
+                  </button>
+                </div>
+              </div>
+
+              <div className="flex-1 overflow-y-auto max-h-96 px-6 py-4 space-y-2">
+                {turns.length === 0 ? (
+                  <p className="text-sm text-gray-500">Waiting for the first words...</p>
+                ) : turns.map((turn, index) => (
+                  <div key={`${turn.at}-${index}`} className={`rounded-md border px-3 py-2 text-sm ${speakerStyles[turn.speaker] || speakerStyles.system}`}>
+                    <span className="mr-2 text-xs font-semibold uppercase tracking-wide opacity-70">{speakerLabels[turn.speaker] || turn.speaker}</span>
+                    {turn.text}
+                  </div>
+                ))}
+                <div ref={transcriptEndRef} />
+              </div>
+
+              <form onSubmit={handleWhisper} className="px-6 py-3 border-t border-gray-200 flex gap-2">
+                <div className="relative flex-1">
+                  <MessageSquare className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                  <input
+                    value={whisperText}
+                    onChange={(event) => setWhisperText(event.target.value)}
+                    disabled={!callIsOpen}
+                    maxLength={2000}
+                    placeholder="Whisper to the agent, e.g. offer the Thursday 9am slot"
+                    className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-50"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={!callIsOpen || !whisperText.trim() || Boolean(busy)}
+                  className="inline-flex items-center px-4 py-2 rounded-md bg-indigo-600 text-sm font-medium text-white hover:bg-indigo-700 disabled:cursor-not-allowed disabled:bg-gray-300"
+                >
+                  <Send className="w-4 h-4 mr-1" />
+                  {busy === 'whisper' ? 'Sending...' : 'Whisper'}
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
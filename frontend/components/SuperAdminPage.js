@@ -755,6 +755,16 @@ function ProviderHealth({ data }) {
                 <p className="mt-1 text-2xl font-semibold text-text-primary">{provider.attention}</p>
               </div>
             </div>
+            {provider.details?.length > 0 && (
+              <dl className="space-y-1 text-sm">
+                {provider.details.map(([label, value]) => (
+                  <div key={label} className="flex items-center justify-between gap-3">
+                    <dt className="text-text-muted">{label}</dt>
+                    <dd className="font-medium text-text-primary">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+            )}
           </div>
         </Panel>
       ))}
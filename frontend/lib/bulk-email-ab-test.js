@@ -0,0 +1,61 @@
+// A/B test rules for bulk email campaigns.
+// functions/bulk-email-sender.ts carries a copy of this logic (Functions
+// deploy as single files); keep both in sync so the Outbox shows the same
+// leader the sender will pick.
+
+export const AB_TEST_VARIANT_LABELS = ['A', 'B', 'C', 'D'];
+
+export const AB_TEST_DEFAULTS = {
+  testPercent: 20,
+  waitMinutes: 240,
+  winnerMetric: 'open',
+};
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(Math.max(Math.round(number), min), max);
+}
+
+export function normalizeAbTestSettings(settings = {}) {
+  return {
+    testPercent: clampNumber(settings.testPercent, 5, 50, AB_TEST_DEFAULTS.testPercent),
+    waitMinutes: clampNumber(settings.waitMinutes, 15, 4320, AB_TEST_DEFAULTS.waitMinutes),
+    winnerMetric: settings.winnerMetric === 'click' ? 'click' : 'open',
+  };
+}
+
+// Every variant gets at least one recipient, and the slice never exceeds the list.
+export function abTestSliceSize(recipientCount, variantCount, testPercent) {
+  const count = Math.max(Number(recipientCount) || 0, 0);
+  const wanted = Math.ceil((count * normalizeAbTestSettings({ testPercent }).testPercent) / 100);
+  return Math.min(count, Math.max(wanted, variantCount));
+}
+
+// Rates are over messages that were accepted for delivery, so a variant is
+// not rewarded for bouncing less of a bad list.
+export function variantRates(variant = {}) {
+  const reached = Math.max(Number(variant.sentCount || 0) - Number(variant.failedCount || 0), 0);
+  const rate = (count) => (reached ? Number(count || 0) / reached : 0);
+  return {
+    reached,
+    openRate: rate(variant.openedCount),
+    clickRate: rate(variant.clickedCount),
+  };
+}
+
+export function pickAbTestWinner(variants = [], winnerMetric = 'open') {
+  if (!variants.length) return { variant: null, tie: false };
+  const primary = winnerMetric === 'click' ? 'clickRate' : 'openRate';
+  const secondary = primary === 'clickRate' ? 'openRate' : 'clickRate';
+  const ranked = variants
+    .map((variant) => ({ variant, rates: variantRates(variant) }))
+    .sort((left, right) => right.rates[primary] - left.rates[primary]
+      || right.rates[secondary] - left.rates[secondary]
+      || String(left.variant.label).localeCompare(String(right.variant.label)));
+  const [first, second] = ranked;
+  return {
+    variant: first.variant,
+    tie: Boolean(second && second.rates[primary] === first.rates[primary] && second.rates[secondary] === first.rates[secondary]),
+  };
+}
@@ -0,0 +1,88 @@
+// Scheduling and throttling rules for bulk email campaigns.
+// functions/bulk-email-sender.ts carries a copy of this logic (Functions
+// deploy as single files); keep both in sync so the builder's estimates match
+// what the scheduler actually sends.
+
+// Daily sends allowed on each day after a sender identity is verified. Past
+// the end of the ramp only the campaign's own caps apply.
+export const WARMUP_DAILY_LIMITS = [50, 100, 200, 300, 500, 750, 1000, 1500, 1500, 2000, 2000, 3000, 3000, 5000];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function normalizedTimeZone(value) {
+  const timeZone = String(value || 'UTC').trim() || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+    return timeZone;
+  } catch {
+    return 'UTC';
+  }
+}
+
+function timeZoneParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour12: false,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const values = Object.fromEntries(parts.filter((part) => part.type !== 'literal').map((part) => [part.type, Number(part.value)]));
+  return { ...values, hour: values.hour === 24 ? 0 : values.hour };
+}
+
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = timeZoneParts(date, timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - date.getTime();
+}
+
+// Accepts an ISO time with an offset as-is; a bare "YYYY-MM-DDTHH:mm" is read
+// as wall-clock time in the tenant's timezone.
+export function scheduledTimeToUtc(value, timeZone) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/);
+  if (!match) return null;
+  const zone = normalizedTimeZone(timeZone);
+  const localAsUtc = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]));
+  let utc = new Date(localAsUtc - timeZoneOffsetMs(new Date(localAsUtc), zone));
+  utc = new Date(localAsUtc - timeZoneOffsetMs(utc, zone));
+  return utc;
+}
+
+export function startOfZonedDay(date, timeZone) {
+  const zone = normalizedTimeZone(timeZone);
+  const parts = timeZoneParts(date, zone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return scheduledTimeToUtc(`${parts.year}-${pad(parts.month)}-${pad(parts.day)}T00:00`, zone);
+}
+
+export function warmupDailyLimit(verifiedAt, now = new Date()) {
+  if (!verifiedAt) return null;
+  const day = Math.floor((now.getTime() - new Date(verifiedAt).getTime()) / DAY_MS);
+  if (!Number.isFinite(day) || day >= WARMUP_DAILY_LIMITS.length) return null;
+  return WARMUP_DAILY_LIMITS[Math.max(day, 0)];
+}
+
+// How many more emails may go out right now, and which cap is binding when
+// none may. Limits that are null or 0 are treated as "no cap".
+export function sendAllowance({ batchSize, hourlyLimit, dailyLimit, warmupLimit, sentLastHour = 0, sentToday = 0, warmupSentToday = 0 }) {
+  const caps = [
+    ['batch', batchSize, 0],
+    ['hourly', hourlyLimit, sentLastHour],
+    ['daily', dailyLimit, sentToday],
+    ['warmup', warmupLimit, warmupSentToday],
+  ]
+    .filter(([, limit]) => Number(limit) > 0)
+    .map(([reason, limit, used]) => ({ reason, remaining: Math.max(Number(limit) - Number(used || 0), 0) }));
+  if (!caps.length) return { remaining: Infinity, reason: null };
+  const binding = caps.reduce((lowest, cap) => (cap.remaining < lowest.remaining ? cap : lowest));
+  return { remaining: binding.remaining, reason: binding.remaining ? null : binding.reason };
+}
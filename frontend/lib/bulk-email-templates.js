@@ -0,0 +1,249 @@
+// Bulk email templates: content blocks and merge fields.
+// functions/bulk-email-sender.ts carries a copy of the merge-field rules
+// (Functions deploy as single files); keep both in sync so a campaign that
+// validates in the builder renders the same way when it is sent.
+
+export const EMAIL_BLOCK_TYPES = ['greeting', 'heading', 'text', 'button', 'divider', 'signature'];
+
+export const EMAIL_BLOCK_LABELS = {
+  greeting: 'Greeting',
+  heading: 'Heading',
+  text: 'Paragraphs',
+  button: 'Button',
+  divider: 'Divider',
+  signature: 'Signature',
+};
+
+// Fields every recipient has. System fields are filled by the sender, so
+// they never need a fallback.
+export const BUILT_IN_MERGE_FIELDS = [
+  { key: 'lead_name', label: 'Lead name' },
+  { key: 'first_name', label: 'First name' },
+  { key: 'email', label: 'Email' },
+  { key: 'sender_name', label: 'Sender name', system: true },
+  { key: 'sender_email', label: 'Sender email', system: true },
+  { key: 'company_name', label: 'Company name', system: true },
+  { key: 'unsubscribe_url', label: 'Unsubscribe link', system: true },
+];
+
+// Lead columns that segment recipients carry in their custom fields.
+export const LEAD_MERGE_FIELDS = ['first_name', 'last_name', 'company', 'job_title', 'phone', 'lead_stage', 'lead_source'];
+
+const MERGE_FIELD_ALIASES = { name: 'lead_name' };
+const SYSTEM_MERGE_FIELDS = BUILT_IN_MERGE_FIELDS.filter((field) => field.system).map((field) => field.key);
+
+// {field}, {{field}} and {field|fallback} all work; the fallback is used when
+// the recipient has no value.
+const MERGE_TOKEN = /\{\{?\s*([A-Za-z][A-Za-z0-9_]*)\s*(?:\|([^{}]*))?\}\}?/g;
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// "Lead Name", "leadName" and "lead-name" all become lead_name, which is how
+// CSV headers and lead custom fields are matched to tokens.
+export function normalizeMergeKey(key) {
+  const normalized = String(key || '')
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return MERGE_FIELD_ALIASES[normalized] || normalized;
+}
+
+export function extractMergeFields(...texts) {
+  const fields = new Map();
+  for (const text of texts.flat()) {
+    for (const match of String(text || '').matchAll(MERGE_TOKEN)) {
+      const key = normalizeMergeKey(match[1]);
+      const fallback = match[2] === undefined ? '' : match[2].trim();
+      const existing = fields.get(key);
+      if (!existing) fields.set(key, { key, fallback });
+      else if (!existing.fallback && fallback) existing.fallback = fallback;
+    }
+  }
+  return [...fields.values()];
+}
+
+export function normalizeMergeFallbacks(fallbacks = {}) {
+  return Object.fromEntries(
+    Object.entries(fallbacks || {})
+      .map(([key, value]) => [normalizeMergeKey(key), String(value ?? '').trim()])
+      .filter(([key, value]) => key && value)
+  );
+}
+
+export function recipientMergeValues(recipient = {}, sender = {}) {
+  const values = {};
+  for (const [key, value] of Object.entries(recipient?.customFields || recipient?.custom_fields || {})) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    const normalized = normalizeMergeKey(key);
+    if (normalized && text) values[normalized] = text;
+  }
+  const leadName = String(recipient?.name || '').trim()
+    || values.lead_name
+    || values.full_name
+    || [values.first_name, values.last_name].filter(Boolean).join(' ');
+  if (leadName) values.lead_name = leadName;
+  if (!values.first_name && leadName) values.first_name = leadName.split(/\s+/)[0];
+  if (recipient?.email) values.email = String(recipient.email).trim();
+  values.sender_name = sender.senderName || '';
+  values.sender_email = sender.senderEmail || '';
+  values.company_name = sender.companyName || sender.senderName || 'SetMyMeet';
+  values.unsubscribe_url = sender.unsubscribeUrl || '';
+  return values;
+}
+
+// Inline fallbacks are part of the template text, so in HTML they are already
+// escaped; only recipient values and template-level fallbacks are escaped here.
+export function renderMergeFields(text, values = {}, { fallbacks = {}, escape = false } = {}) {
+  const defaults = normalizeMergeFallbacks(fallbacks);
+  return String(text || '').replace(MERGE_TOKEN, (_token, rawKey, inline) => {
+    const key = normalizeMergeKey(rawKey);
+    const value = String(values[key] ?? '').trim();
+    if (value) return escape ? escapeHtml(value) : value;
+    if (inline !== undefined && inline.trim()) return inline.trim();
+    return escape ? escapeHtml(defaults[key] || '') : defaults[key] || '';
+  });
+}
+
+// A field is unknown when no recipient column, lead field or built-in field
+// has its name, and missing for a recipient with no value and no fallback.
+export function validateMergeFields(texts, { recipients = [], availableFields = [], fallbacks = {} } = {}) {
+  const fields = extractMergeFields(texts);
+  const defaults = normalizeMergeFallbacks(fallbacks);
+  const known = new Set([...BUILT_IN_MERGE_FIELDS.map((field) => field.key), ...availableFields.map(normalizeMergeKey)]);
+  const recipientValues = recipients.map((recipient) => recipientMergeValues(recipient));
+  for (const recipient of recipients) {
+    Object.keys(recipient?.customFields || recipient?.custom_fields || {}).forEach((key) => known.add(normalizeMergeKey(key)));
+  }
+
+  const unknown = fields.filter((field) => !known.has(field.key)).map((field) => field.key);
+  const missing = fields
+    .filter((field) => known.has(field.key) && !SYSTEM_MERGE_FIELDS.includes(field.key) && !field.fallback && !defaults[field.key])
+    .map((field) => ({ key: field.key, count: recipientValues.filter((values) => !values[field.key]).length }))
+    .filter((row) => row.count > 0);
+
+  return { fields, unknown, missing, valid: unknown.length === 0 && missing.length === 0 };
+}
+
+export function describeMergeFieldProblems(result) {
+  const problems = [];
+  if (result?.unknown?.length) {
+    problems.push(`Unknown merge field${result.unknown.length === 1 ? '' : 's'}: ${result.unknown.map((key) => `{${key}}`).join(', ')}.`);
+  }
+  for (const row of result?.missing || []) {
+    problems.push(`${row.count} recipient${row.count === 1 ? ' has' : 's have'} no value for {${row.key}}; add a fallback.`);
+  }
+  return problems.join(' ');
+}
+
+export function createTemplateBlock(type) {
+  if (type === 'greeting') return { type, text: 'Hi {lead_name},' };
+  if (type === 'button') return { type, label: '', url: '' };
+  if (type === 'divider') return { type };
+  if (type === 'signature') return { type, signoff: 'Best,', name: '{sender_name}' };
+  return { type: type === 'heading' ? 'heading' : 'text', text: '' };
+}
+
+export function normalizeTemplateBlocks(blocks = []) {
+  return (Array.isArray(blocks) ? blocks : [])
+    .filter((block) => EMAIL_BLOCK_TYPES.includes(block?.type))
+    .map((block) => {
+      if (block.type === 'button') return { type: 'button', label: String(block.label || ''), url: String(block.url || '') };
+      if (block.type === 'divider') return { type: 'divider' };
+      if (block.type === 'signature') return { type: 'signature', signoff: String(block.signoff || ''), name: String(block.name || '') };
+      return { type: block.type, text: String(block.text || '') };
+    });
+}
+
+// Templates saved before blocks existed had one message, a button and a
+// signature in a fixed layout.
+export function blocksFromLegacyTemplate(template = {}) {
+  return [
+    { type: 'greeting', text: 'Hi {lead_name},' },
+    { type: 'text', text: String(template.content || '') },
+    { type: 'button', label: String(template.ctaLabel || ''), url: String(template.ctaUrl || '') },
+    { type: 'signature', signoff: String(template.signoff || ''), name: String(template.signatureName || '{sender_name}') },
+  ];
+}
+
+// A/B variants swap the subject and the first paragraphs block.
+export function primaryBlockText(blocks = []) {
+  return blocks.find((block) => block.type === 'text')?.text || '';
+}
+
+export function blocksWithPrimaryText(blocks = [], text) {
+  const index = blocks.findIndex((block) => block.type === 'text');
+  if (index === -1) return [...blocks, { type: 'text', text }];
+  return blocks.map((block, position) => (position === index ? { ...block, text } : block));
+}
+
+function paragraphs(text) {
+  return String(text || '')
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+}
+
+export function renderTemplateText({ blocks = [] } = {}) {
+  return normalizeTemplateBlocks(blocks)
+    .map((block) => {
+      if (block.type === 'button') return block.url ? `${block.label}: ${block.url}` : block.label;
+      if (block.type === 'divider') return '---';
+      if (block.type === 'signature') return [block.signoff, block.name || '{sender_name}'].filter(Boolean).join('\n');
+      return paragraphs(block.text).join('\n\n');
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function blockHtml(block) {
+  if (block.type === 'greeting') {
+    return block.text ? `<p style="margin:0 0 18px;color:#121926;font-size:16px;line-height:24px;font-weight:700;">${escapeHtml(block.text)}</p>` : '';
+  }
+  if (block.type === 'heading') {
+    return block.text ? `<h2 style="margin:0 0 12px;color:#121926;font-size:18px;line-height:26px;font-weight:700;">${escapeHtml(block.text)}</h2>` : '';
+  }
+  if (block.type === 'button') {
+    if (!block.label) return '';
+    const button = block.url
+      ? `<a href="${escapeHtml(block.url)}" style="display:inline-block;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:8px;padding:12px 18px;font-size:14px;font-weight:700;">${escapeHtml(block.label)}</a>`
+      : `<span style="display:inline-block;background:#dbeafe;color:#1d4ed8;border-radius:999px;padding:8px 12px;font-size:13px;font-weight:700;">${escapeHtml(block.label)}</span>`;
+    return `<div style="margin:0 0 26px;">${button}</div>`;
+  }
+  if (block.type === 'divider') return '<hr style="margin:0 0 20px;border:0;border-top:1px solid #e3e8ef;">';
+  if (block.type === 'signature') {
+    return `<p style="margin:0 0 16px;color:#4b5565;font-size:15px;line-height:24px;">${escapeHtml(block.signoff)}<br><strong style="color:#121926;">${escapeHtml(block.name || '{sender_name}')}</strong></p>`;
+  }
+  return paragraphs(block.text)
+    .map((paragraph) => `<p style="margin:0 0 16px;color:#4b5565;font-size:15px;line-height:24px;">${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+export function renderTemplateHtml({ subject = '', headerNote = '', blocks = [] } = {}) {
+  return `<!doctype html>
+<html>
+  <body style="margin:0;background:#f6f7fb;padding:24px;font-family:Inter,Arial,sans-serif;">
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:640px;margin:0 auto;background:#ffffff;border:1px solid #e3e8ef;border-radius:12px;overflow:hidden;">
+      <tr>
+        <td style="background:#121926;padding:26px 30px;">
+          <div style="color:#ffffff;font-size:20px;font-weight:800;line-height:26px;">${escapeHtml(subject)}</div>
+          ${headerNote ? `<div style="color:#cdd5df;font-size:13px;line-height:20px;margin-top:6px;">${escapeHtml(headerNote)}</div>` : ''}
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:30px;">
+          ${normalizeTemplateBlocks(blocks).map(blockHtml).filter(Boolean).join('\n          ')}
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+}
@@ -0,0 +1,95 @@
+// Campaign cadences: the ordered channel sequence each enrolled lead is
+// walked through, how often an unanswered step is retried, and which lead
+// states end the cadence early. functions/bob-queue-actions.ts runs the
+// cadence and records one campaign_lead_steps row per send.
+
+export const CAMPAIGN_CHANNELS = ['call', 'sms', 'whatsapp', 'email'];
+
+export const CAMPAIGN_STOP_CONDITIONS = [
+  { key: 'booked', label: 'Lead books a meeting' },
+  { key: 'replied', label: 'Lead replies' },
+  { key: 'optedOut', label: 'Lead opts out of all channels' },
+  { key: 'doNotContact', label: 'Lead is marked do not contact' },
+  { key: 'notInterested', label: 'Lead is not interested' },
+  { key: 'humanReview', label: 'Lead needs human review' },
+];
+
+export const DEFAULT_CAMPAIGN_CADENCE = {
+  channelSequence: ['call', 'sms', 'email'],
+  retryPolicy: { maxAttempts: 2, retryDelayMinutes: 60 },
+  stopConditions: {
+    booked: true,
+    replied: true,
+    optedOut: true,
+    doNotContact: true,
+    notInterested: true,
+    humanReview: true,
+  },
+};
+
+const MAX_STEPS = 8;
+
+// Same bounds the queue applies when it reads retry_policy.
+export function normalizeCampaignCadence(input = {}) {
+  const channelSequence = Array.isArray(input.channelSequence)
+    ? input.channelSequence.map((step) => String(typeof step === 'string' ? step : step?.channel || '').toLowerCase())
+    : DEFAULT_CAMPAIGN_CADENCE.channelSequence;
+  if (!channelSequence.length) throw new Error('Add at least one campaign step');
+  if (channelSequence.length > MAX_STEPS) throw new Error(`Campaigns can have at most ${MAX_STEPS} steps`);
+  channelSequence.forEach((channel) => {
+    if (!CAMPAIGN_CHANNELS.includes(channel)) throw new Error(`Unsupported campaign channel: ${channel || 'empty'}`);
+  });
+
+  const retry = { ...DEFAULT_CAMPAIGN_CADENCE.retryPolicy, ...(input.retryPolicy || {}) };
+  const maxAttempts = Number(retry.maxAttempts);
+  const retryDelayMinutes = Number(retry.retryDelayMinutes);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 5) {
+    throw new Error('Attempts per step must be a whole number from 1 to 5');
+  }
+  if (!Number.isFinite(retryDelayMinutes) || retryDelayMinutes < 5 || retryDelayMinutes > 10080) {
+    throw new Error('Wait between attempts must be between 5 minutes and 7 days');
+  }
+
+  const stopConditions = {};
+  CAMPAIGN_STOP_CONDITIONS.forEach(({ key }) => {
+    stopConditions[key] = input.stopConditions?.[key] !== false;
+  });
+
+  return {
+    channelSequence,
+    retryPolicy: { maxAttempts, retryDelayMinutes },
+    stopConditions,
+  };
+}
+
+// Counts distinct campaign leads per step. A retried step is one row per
+// attempt, so a lead reached on its second call still counts once.
+export function campaignStepFunnel(channelSequence = [], steps = []) {
+  const funnel = channelSequence.map((channel, index) => ({
+    stepIndex: index,
+    channel: typeof channel === 'string' ? channel : channel?.channel,
+    attempted: new Set(),
+    reached: new Set(),
+    replied: new Set(),
+    booked: new Set(),
+    skipped: new Set(),
+  }));
+  steps.forEach((step) => {
+    const row = funnel[step.stepIndex];
+    if (!row) return;
+    if (step.status === 'skipped') row.skipped.add(step.campaignLeadId);
+    if (step.attemptedAt) row.attempted.add(step.campaignLeadId);
+    if (step.reachedAt) row.reached.add(step.campaignLeadId);
+    if (step.repliedAt) row.replied.add(step.campaignLeadId);
+    if (step.bookedAt) row.booked.add(step.campaignLeadId);
+  });
+  return funnel.map((row) => ({
+    stepIndex: row.stepIndex,
+    channel: row.channel,
+    attempted: row.attempted.size,
+    reached: row.reached.size,
+    replied: row.replied.size,
+    booked: row.booked.size,
+    skipped: row.skipped.size,
+  }));
+}
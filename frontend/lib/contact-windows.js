@@ -0,0 +1,122 @@
+// Contact window settings for the lifecycle page: per-channel quiet hours,
+// which channels pause on tenant holidays, and holiday import from ICS files.
+// functions/bob-queue-actions.ts enforces the saved policy before any queued
+// action is sent.
+
+export const CONTACT_WINDOW_CHANNELS = ['call', 'sms', 'whatsapp', 'email'];
+
+export const DEFAULT_CONTACT_WINDOW_POLICY = {
+  useLeadTimezone: true,
+  holidayChannels: ['call', 'sms', 'whatsapp'],
+  quietHours: {
+    call: { start: '08:00', end: '21:00' },
+    sms: { start: '09:00', end: '20:00' },
+    whatsapp: { start: '09:00', end: '20:00' },
+    email: null,
+  },
+};
+
+const MAX_HOLIDAY_DAYS = 31;
+
+function minutesOf(value) {
+  const match = String(value || '').match(/^(\d{2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// A channel with no window may be contacted at any time of day. Windows are
+// same-day only, so a start at or after the end is rejected.
+export function normalizeContactWindowPolicy(input = {}) {
+  const quietHours = {};
+  CONTACT_WINDOW_CHANNELS.forEach((channel) => {
+    const window = input.quietHours?.[channel];
+    if (!window || (!window.start && !window.end)) {
+      quietHours[channel] = null;
+      return;
+    }
+    const start = minutesOf(window.start);
+    const end = minutesOf(window.end);
+    if (start === null || end === null) throw new Error(`Use HH:MM times for ${channel} quiet hours`);
+    if (start >= end) throw new Error(`The ${channel} contact window must start before it ends`);
+    quietHours[channel] = { start: window.start, end: window.end };
+  });
+  return {
+    useLeadTimezone: input.useLeadTimezone !== false,
+    holidayChannels: (Array.isArray(input.holidayChannels) ? input.holidayChannels : [])
+      .filter((channel, index, list) => CONTACT_WINDOW_CHANNELS.includes(channel) && list.indexOf(channel) === index),
+    quietHours,
+  };
+}
+
+function unfoldIcsLines(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+}
+
+function unescapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+function icsDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function ymd(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Reads VEVENTs from an ICS calendar into one holiday per date. DTEND is
+// exclusive, so a two-day event covers DTSTART and the day after. Recurrence
+// rules are not expanded: public holiday feeds list each year's dates as
+// separate events, and only the first occurrence of a recurring event is kept.
+export function parseIcsHolidays(text) {
+  const holidays = new Map();
+  let skipped = 0;
+  let event = null;
+
+  unfoldIcsLines(text).forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      const start = icsDate(event?.DTSTART);
+      if (!start) {
+        skipped += 1;
+      } else {
+        const end = icsDate(event.DTEND);
+        const days = end && end > start
+          ? Math.min(Math.round((end - start) / 86400000), MAX_HOLIDAY_DAYS)
+          : 1;
+        for (let offset = 0; offset < days; offset += 1) {
+          const date = ymd(new Date(start.getTime() + offset * 86400000));
+          if (!holidays.has(date)) {
+            holidays.set(date, { date, name: unescapeIcsText(event.SUMMARY) || 'Holiday', uid: event.UID || null });
+          }
+        }
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+    const key = line.slice(0, separator).split(';')[0].toUpperCase();
+    if (['DTSTART', 'DTEND', 'SUMMARY', 'UID'].includes(key) && event[key] === undefined) {
+      event[key] = line.slice(separator + 1).trim();
+    }
+  });
+
+  return {
+    holidays: [...holidays.values()].sort((left, right) => left.date.localeCompare(right.date)),
+    skipped,
+  };
+}
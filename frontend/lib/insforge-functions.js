@@ -138,6 +138,16 @@ export async function createBulkEmailCampaign(user, payload) {
   });
 }
 
+export async function sendBulkEmailTest(user, payload) {
+  return invokeFunction('bulk-email-sender', {
+    action: 'send-test',
+    body: {
+      tenantId: user?.tenantId,
+      ...payload,
+    },
+  });
+}
+
 export async function tickBulkEmailCampaign(campaignId) {
   return invokeFunction('bulk-email-sender', {
     action: 'tick',
@@ -165,3 +175,82 @@ export async function cancelBulkEmailCampaign(campaignId) {
     body: { campaignId },
   });
 }
+
+export async function getUnsubscribeStatus(token) {
+  return invokeFunction('bulk-email-sender', {
+    action: 'unsubscribe-status',
+    body: { token },
+  });
+}
+
+export async function confirmUnsubscribe(token) {
+  return invokeFunction('bulk-email-sender', {
+    action: 'unsubscribe',
+    body: { token },
+  });
+}
+
+export async function listLiveCalls(user) {
+  return invokeFunction('voice-call-monitor', {
+    action: 'live-calls',
+    body: { tenantId: user?.tenantId },
+  });
+}
+
+export async function getCallMonitorUrl(user, voiceCallSessionId) {
+  return invokeFunction('voice-call-monitor', {
+    action: 'monitor-token',
+    body: { tenantId: user?.tenantId, voiceCallSessionId },
+  });
+}
+
+export async function whisperToLiveCall(user, voiceCallSessionId, text) {
+  return invokeFunction('voice-call-monitor', {
+    action: 'whisper',
+    body: { tenantId: user?.tenantId, voiceCallSessionId, text },
+  });
+}
+
+export async function endLiveCall(user, voiceCallSessionId, reason) {
+  return invokeFunction('voice-call-monitor', {
+    action: 'end-call',
+    body: { tenantId: user?.tenantId, voiceCallSessionId, reason },
+  });
+}
+
+export async function transferLiveCall(user, voiceCallSessionId, reason) {
+  return invokeFunction('voice-call-monitor', {
+    action: 'transfer',
+    body: { tenantId: user?.tenantId, voiceCallSessionId, reason },
+  });
+}
+
+// Dry run of the lifecycle evaluator; rules is an unsaved draft, or null to
+// use the saved rules. Nothing is scheduled or written.
+export async function simulateLifecycle(user, { leadId, lead, outcomes, rules, firstTouch, startAt } = {}) {
+  return invokeFunction('bob-queue-actions', {
+    action: 'evaluate-lifecycle',
+    body: { tenantId: user?.tenantId, dryRun: true, leadId: leadId || null, lead, outcomes, rules: rules || null, firstTouch, startAt },
+  });
+}
+
+export async function createLeadImportJob(user, payload) {
+  return invokeFunction('lead-import-job', {
+    action: 'create-job',
+    body: { tenantId: user?.tenantId, ...payload },
+  });
+}
+
+export async function resumeLeadImportJob(user, batchId) {
+  return invokeFunction('lead-import-job', {
+    action: 'resume-job',
+    body: { tenantId: user?.tenantId, batchId },
+  });
+}
+
+export async function cancelLeadImportJob(user, batchId) {
+  return invokeFunction('lead-import-job', {
+    action: 'cancel-job',
+    body: { tenantId: user?.tenantId, batchId },
+  });
+}
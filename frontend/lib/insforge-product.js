@@ -1,10 +1,27 @@
 import { insforge } from './insforge';
 import {
   buildLeadImportPreview,
+  columnMappingSignature,
   contactPolicyForLead,
   importedLeadPayload,
+  parseCsv,
+  resolveColumnMapping,
+  savedMappingForHeaders,
   summarizeContactPolicy,
 } from './lead-import';
+import {
+  excludedReasonCounts,
+  latestOutcomesByLead,
+  normalizeSegmentFilters,
+  resolveSegmentRecipients,
+  SEGMENT_OUTCOMES,
+} from './lead-segments';
+import { normalizeMergeFallbacks, normalizeTemplateBlocks } from './bulk-email-templates';
+import { campaignStepFunnel, normalizeCampaignCadence } from './campaign-cadence';
+import { normalizeContactWindowPolicy, parseIcsHolidays } from './contact-windows';
+import { validatePlaybook } from './lifecycle-playbooks';
+import { diffLifecycleRules, lifecycleRulesSnapshot } from './lifecycle-rule-versions';
+import { phoneLookupDigits } from './phone';
 
 export const CALL_OUTCOMES = [
   'booked',
@@ -921,6 +938,31 @@ function percent(value, total) {
   return total ? Math.round((value / total) * 100) : 0;
 }
 
+export function summarizeVoiceCallQuality(voiceSessions = []) {
+  const reports = voiceSessions
+    .map((session) => session.metadata?.callQuality)
+    .filter((quality) => quality && typeof quality === 'object');
+  const total = (key) => reports.reduce((sum, quality) => sum + (Number(quality[key]) || 0), 0);
+  const latencies = reports
+    .map((quality) => quality.firstAudioLatencyMs)
+    .filter((value) => Number.isFinite(value))
+    .sort((a, b) => a - b);
+  const needsRecovery = reports.filter((quality) => (
+    quality.noAudioRecoveries || quality.introLoopRecoveries || quality.elevenlabsReconnectFailures
+  ));
+  return {
+    reportedCalls: reports.length,
+    cleanCalls: reports.length - needsRecovery.length,
+    recoveredCalls: needsRecovery.length,
+    elevenlabsReconnects: total('elevenlabsReconnects'),
+    elevenlabsReconnectFailures: total('elevenlabsReconnectFailures'),
+    noAudioRecoveries: total('noAudioRecoveries'),
+    introLoopRecoveries: total('introLoopRecoveries'),
+    medianFirstAudioLatencyMs: latencies.length ? latencies[Math.floor(latencies.length / 2)] : null,
+    audioChunks: total('inboundAudioChunks') + total('outboundAudioChunks'),
+  };
+}
+
 export async function getSuperAdminDashboardData() {
   const [
     tenants,
@@ -1026,7 +1068,22 @@ export async function getSuperAdminDashboardData() {
     };
   });
 
+  const voiceQuality = summarizeVoiceCallQuality(voiceSessions);
   const providerHealth = [
+    {
+      provider: 'Voice Bridge',
+      status: voiceQuality.reportedCalls ? (voiceQuality.recoveredCalls ? 'needs_attention' : 'active') : 'needs_setup',
+      healthy: voiceQuality.cleanCalls,
+      attention: voiceQuality.recoveredCalls,
+      details: [
+        ['Median first audio', voiceQuality.medianFirstAudioLatencyMs === null ? 'n/a' : `${(voiceQuality.medianFirstAudioLatencyMs / 1000).toFixed(1)}s`],
+        ['ElevenLabs reconnects', voiceQuality.elevenlabsReconnects],
+        ['Reconnect failures', voiceQuality.elevenlabsReconnectFailures],
+        ['No-audio recoveries', voiceQuality.noAudioRecoveries],
+        ['Intro-loop recoveries', voiceQuality.introLoopRecoveries],
+        ['Audio chunks', voiceQuality.audioChunks],
+      ],
+    },
     {
       provider: 'Twilio Voice',
       status: phoneNumbers.some((phone) => phone.voiceEnabled && phone.status === 'active') ? 'active' : 'needs_setup',
@@ -1093,6 +1150,7 @@ export async function getSuperAdminDashboardData() {
     agentsWithUsage,
     usageByTenant,
     providerHealth,
+    voiceQuality,
     counts: {
       tenants: tenants.length,
       activeTenants: tenants.filter((tenant) => tenant.status === 'active').length,
@@ -1593,21 +1651,180 @@ export async function listLeadImportBatches(user, limit = 10) {
   });
 }
 
-export async function previewLeadCsvImport(user, csvText) {
-  const existingLeads = await listLeads(user, 10000);
-  return buildLeadImportPreview(csvText, existingLeads);
+export async function getLeadImportBatch(user, batchId) {
+  const rows = await unwrap(
+    await insforge.database.from('lead_import_batches').select('*').eq('tenant_id', tenantIdFromUser(user)).eq('id', batchId).limit(1),
+    'Failed to load the import'
+  );
+  if (!rows?.[0]) throw new Error('Import not found');
+  return fromDbRecord(rows[0]);
+}
+
+export async function listLeadImportMappings(user, limit = 50) {
+  return selectTenantRows('lead_import_mappings', user, {
+    order: { column: 'last_used_at', ascending: false },
+    limit,
+  });
+}
+
+export async function saveLeadImportMapping(user, { headers = [], mapping = {}, name } = {}) {
+  const headerSignature = columnMappingSignature(headers);
+  if (!headerSignature) throw new Error('Import file has no column headers');
+
+  const existing = (await listLeadImportMappings(user, 200)).find((saved) => saved.headerSignature === headerSignature);
+  const values = {
+    name: name?.trim() || existing?.name || null,
+    headerSignature,
+    headers: headers.map((header) => String(header || '').trim()),
+    mapping: Object.fromEntries(resolveColumnMapping(headers, mapping).map((column) => [column.key, column.target])),
+    useCount: (existing?.useCount || 0) + 1,
+    lastUsedAt: new Date().toISOString(),
+  };
+  return existing
+    ? updateTenantRow('lead_import_mappings', user, existing.id, values)
+    : insertTenantRow('lead_import_mappings', user, { ...values, createdByUserId: user?.authUserId || user?.id || null });
+}
+
+async function tenantDefaultCountry(user) {
+  const tenantId = tenantIdFromUser(user);
+  if (!tenantId) return null;
+  const data = await unwrap(
+    await insforge.database.from('tenants').select('country').eq('id', tenantId).limit(1),
+    'Failed to load tenant country'
+  );
+  return data?.[0]?.country || null;
+}
+
+const LEAD_MATCH_LOOKUP_SIZE = 500;
+
+// Loads only the leads that share an email or phone with the given rows,
+// through the indexed find_lead_import_matches lookup.
+async function findLeadImportMatches(user, parsed, mapping, defaultCountry) {
+  const columnFor = Object.fromEntries(resolveColumnMapping(parsed.headers, mapping).map((column) => [column.target, column.index]));
+  const value = (row, field) => (columnFor[field] === undefined ? '' : String(row.cells[columnFor[field]] || '').trim());
+  const emails = new Set();
+  const phoneDigits = new Set();
+  for (const row of parsed.rows) {
+    const email = value(row, 'email').toLowerCase();
+    if (email) emails.add(email);
+    const phone = value(row, 'phone');
+    if (phone) phoneLookupDigits(phone, { defaultCountry, locationSummary: value(row, 'locationSummary') }).forEach((key) => phoneDigits.add(key));
+  }
+
+  const emailList = [...emails];
+  const phoneList = [...phoneDigits];
+  const matches = new Map();
+  for (let offset = 0; offset < Math.max(emailList.length, phoneList.length); offset += LEAD_MATCH_LOOKUP_SIZE) {
+    const rows = await unwrap(
+      await insforge.database.rpc('find_lead_import_matches', {
+        p_tenant_id: tenantIdFromUser(user),
+        p_emails: emailList.slice(offset, offset + LEAD_MATCH_LOOKUP_SIZE),
+        p_phone_digits: phoneList.slice(offset, offset + LEAD_MATCH_LOOKUP_SIZE),
+      }),
+      'Failed to check for duplicate leads'
+    );
+    (rows || []).forEach((row) => matches.set(row.id, fromDbRecord(row)));
+  }
+  return [...matches.values()];
+}
+
+// source is CSV text or a parsed file from parseLeadImportFile or
+// readLeadImportSample. Without an explicit mapping, the tenant's saved
+// mapping for these columns is applied. sampleRows limits the preview to the
+// start of a large file; the import job checks every row when it runs.
+// fileRowCount is null when source holds only the start of the file.
+export async function previewLeadCsvImport(user, source, options = {}) {
+  const parsed = typeof source === 'string' || !source ? parseCsv(source) : source;
+  const sample = options.sampleRows && parsed.rows.length > options.sampleRows
+    ? { ...parsed, rows: parsed.rows.slice(0, options.sampleRows) }
+    : parsed;
+  const [savedMappings, defaultCountry] = await Promise.all([
+    options.mapping ? [] : listLeadImportMappings(user).catch(() => []),
+    tenantDefaultCountry(user).catch(() => null),
+  ]);
+  const mapping = options.mapping || savedMappingForHeaders(savedMappings, parsed.headers);
+  const existingLeads = await findLeadImportMatches(user, sample, mapping, defaultCountry);
+  return {
+    ...buildLeadImportPreview(sample, existingLeads, { mapping, duplicateMode: options.duplicateMode, defaultCountry }),
+    mapping,
+    savedMappingApplied: !options.mapping && Object.keys(mapping).length > 0,
+    fileRowCount: parsed.truncated ? null : parsed.rows.length,
+    sampled: sample !== parsed || Boolean(parsed.truncated),
+  };
+}
+
+// Stores the picked import file as-is in the lead-imports bucket for the
+// lead-import-job Function, which parses it. The extension is kept so the
+// Function can tell TSV and XLSX from CSV.
+export async function uploadLeadImportFile(user, file, fileName = file?.name || 'lead-import.csv') {
+  const tenantId = tenantIdFromUser(user);
+  const extension = String(fileName).toLowerCase().match(/\.(csv|tsv|txt|xlsx)$/)?.[1] || 'csv';
+  const safeName = sanitizeStorageName(String(fileName).replace(/\.[^.]+$/, '') || 'lead-import');
+  const storageKey = `${tenantId}/${Date.now()}-${safeName}.${extension}`;
+  const { data, error } = await insforge.storage.from('lead-imports').upload(storageKey, file);
+  if (error) {
+    throw new Error(error.message || 'Failed to upload the import file');
+  }
+  return data?.key || storageKey;
+}
+
+export async function downloadLeadImportErrorReport(batch) {
+  if (!batch?.errorReportKey) throw new Error('This import has no error report');
+  const { data, error } = await insforge.storage.from('lead-imports').download(batch.errorReportKey);
+  if (error || !data) {
+    throw new Error(error?.message || 'Failed to download the error report');
+  }
+  return data;
+}
+
+// Counts come from the database so a batch of any size previews in one call.
+export async function previewLeadImportRollback(user, batchId) {
+  tenantIdFromUser(user);
+  return unwrap(
+    await insforge.database.rpc('preview_lead_import_rollback', { p_batch_id: batchId }),
+    'Failed to preview the import rollback'
+  );
 }
 
-export async function importLeadsFromCsv(user, { csvText, fileName } = {}) {
-  const preview = await previewLeadCsvImport(user, csvText);
+export async function rollbackLeadImport(user, batchId) {
+  tenantIdFromUser(user);
+  const summary = await unwrap(
+    await insforge.database.rpc('rollback_lead_import_batch', { p_batch_id: batchId }),
+    'Failed to roll back the import'
+  );
+  const batch = fromDbRecord((await unwrap(
+    await insforge.database
+      .from('lead_import_batches')
+      .select('*')
+      .eq('id', batchId)
+      .eq('tenant_id', tenantIdFromUser(user))
+      .limit(1),
+    'Failed to load lead import batch'
+  ))?.[0]);
+  return { summary, batch };
+}
+
+export async function importLeadsFromCsv(user, { csvText, source, fileName, mapping, saveMapping = true, duplicateMode = 'skip' } = {}) {
+  const preview = await previewLeadCsvImport(user, source || csvText, { mapping, duplicateMode });
   const { summary } = preview;
 
   if (!summary.totalRows) {
-    throw new Error('CSV file has no lead rows');
+    throw new Error('Import file has no lead rows');
   }
 
   if (!preview.importableRows.length) {
-    throw new Error('No valid, non-duplicate leads are ready to import');
+    throw new Error(preview.duplicateMode === 'skip'
+      ? 'No valid, non-duplicate leads are ready to import'
+      : 'No valid new leads or lead updates are ready to import');
+  }
+
+  let savedMapping = null;
+  if (saveMapping && preview.headers.length) {
+    try {
+      savedMapping = await saveLeadImportMapping(user, { headers: preview.headers, mapping: preview.mapping });
+    } catch (error) {
+      console.warn('Lead import mapping was not saved:', error?.message || error);
+    }
   }
 
   const batch = await insertTenantRow('lead_import_batches', user, {
@@ -1620,6 +1837,9 @@ export async function importLeadsFromCsv(user, { csvText, fileName } = {}) {
     skippedRows: summary.skippedRows,
     errorRows: summary.errorRows,
     insertedRows: 0,
+    updatedRows: 0,
+    duplicateMode: preview.duplicateMode,
+    leadImportMappingId: savedMapping?.id || null,
     summary,
   });
 
@@ -1628,81 +1848,93 @@ export async function importLeadsFromCsv(user, { csvText, fileName } = {}) {
     const inserted = await insertTenantRows(
       'leads',
       user,
-      preview.importableRows.map((row) => ({ ...importedLeadPayload(row, batch.id), assignedTenantAgentId: defaultAgent?.id || null }))
+      preview.importableRows
+        .filter((row) => row.action === 'create')
+        .map((row) => ({ ...importedLeadPayload(row, batch.id), assignedTenantAgentId: defaultAgent?.id || null }))
     );
+    const updated = [];
+    for (const row of preview.importableRows.filter((item) => item.action === 'update')) {
+      updated.push(await updateTenantRow('leads', user, row.match.leadId, row.patch));
+    }
 
     const completedBatch = await updateTenantRow('lead_import_batches', user, batch.id, {
       status: 'completed',
       insertedRows: inserted.length,
+      updatedRows: updated.length,
       summary: {
         ...summary,
         insertedRows: inserted.length,
+        updatedRows: updated.length,
       },
     });
 
-    const campaign = await insertTenantRow('campaigns', user, {
-      name: `Import: ${fileName?.trim() || 'Lead import'} · ${new Date().toLocaleDateString()}`,
-      objective: 'OUTCOME_LEADS',
-      status: 'ACTIVE',
-      agentId: defaultAgent?.id || null,
-      startedAt: new Date().toISOString(),
-      channelSequence: ['call', 'sms', 'email'],
-      retryPolicy: { maxAttempts: 2, retryDelayMinutes: 60 },
-      stopConditions: { booked: true, optedOut: true, doNotContact: true, notInterested: true, humanReview: true },
-      metadata: { source: 'lead_import', importBatchId: batch.id },
-    });
-    const eligible = inserted.filter((lead) => !lead.doNotContact && !lead.automationPaused);
-    if (eligible.length) {
-      const campaignLeads = await insertTenantRows('campaign_leads', user, eligible.map((lead) => ({
-        campaignId: campaign.id,
-        leadId: lead.id,
-        agentId: lead.assignedTenantAgentId || defaultAgent?.id || null,
-        status: 'queued',
-        currentStep: 'call',
-        nextActionAt: new Date().toISOString(),
-      })));
-      await insertTenantRows('bob_actions', user, campaignLeads.map((campaignLead) => {
-        const lead = eligible.find((row) => row.id === campaignLead.leadId);
-        const rawPreferredChannel = String(lead?.preferredContactChannel || '').toLowerCase().replace(/[\s_-]+/g, '_');
-        const preferredChannel = ['phone', 'voice', 'call', 'calls', 'phone_call', 'phonecall', 'telephone'].includes(rawPreferredChannel)
-          ? 'call'
-          : ['sms', 'text', 'text_message'].includes(rawPreferredChannel)
-            ? 'sms'
-            : ['whatsapp', 'wa'].includes(rawPreferredChannel)
-              ? 'whatsapp'
-              : ['email', 'e_mail', 'mail'].includes(rawPreferredChannel)
-                ? 'email'
-                : rawPreferredChannel;
-        const prefersEmail = preferredChannel === 'email';
-        const canEmail = Boolean(lead?.emailConsent && lead?.email);
-        const canCall = Boolean(lead?.callConsent && lead?.phone);
-        const canSms = Boolean(lead?.smsConsent && lead?.phone);
-        const useEmail = prefersEmail && canEmail;
-        const useCall = !useEmail && canCall;
-        const useSms = !useEmail && !useCall && canSms;
-        return {
+    let campaign = null;
+    if (inserted.length) {
+      campaign = await insertTenantRow('campaigns', user, {
+        name: `Import: ${fileName?.trim() || 'Lead import'} · ${new Date().toLocaleDateString()}`,
+        objective: 'OUTCOME_LEADS',
+        status: 'ACTIVE',
+        agentId: defaultAgent?.id || null,
+        startedAt: new Date().toISOString(),
+        channelSequence: ['call', 'sms', 'email'],
+        retryPolicy: { maxAttempts: 2, retryDelayMinutes: 60 },
+        stopConditions: { booked: true, optedOut: true, doNotContact: true, notInterested: true, humanReview: true },
+        metadata: { source: 'lead_import', importBatchId: batch.id },
+      });
+      const eligible = inserted.filter((lead) => !lead.doNotContact && !lead.automationPaused);
+      if (eligible.length) {
+        const campaignLeads = await insertTenantRows('campaign_leads', user, eligible.map((lead) => ({
           campaignId: campaign.id,
-          campaignLeadId: campaignLead.id,
-          leadId: campaignLead.leadId,
-          actionType: useEmail ? 'send_email' : useCall ? 'queue_call_attempt' : 'send_sms',
-          channel: useEmail ? 'email' : useCall ? 'phone' : 'sms',
-          status: useCall ? 'awaiting_call' : ((useEmail || useSms) ? 'pending' : 'awaiting_human'),
-          reason: useEmail ? 'Campaign first step: email preference' : useCall ? 'Campaign first step: call' : (useSms ? 'Campaign next step: SMS' : 'Campaign requires email preference, call, or SMS consent'),
-          scheduledFor: new Date().toISOString(),
-          payload: {
-            source: 'campaign_import',
-            campaignNumber: campaign.campaignNumber,
+          leadId: lead.id,
+          agentId: lead.assignedTenantAgentId || defaultAgent?.id || null,
+          status: 'queued',
+          currentStep: 'call',
+          nextActionAt: new Date().toISOString(),
+        })));
+        await insertTenantRows('bob_actions', user, campaignLeads.map((campaignLead) => {
+          const lead = eligible.find((row) => row.id === campaignLead.leadId);
+          const rawPreferredChannel = String(lead?.preferredContactChannel || '').toLowerCase().replace(/[\s_-]+/g, '_');
+          const preferredChannel = ['phone', 'voice', 'call', 'calls', 'phone_call', 'phonecall', 'telephone'].includes(rawPreferredChannel)
+            ? 'call'
+            : ['sms', 'text', 'text_message'].includes(rawPreferredChannel)
+              ? 'sms'
+              : ['whatsapp', 'wa'].includes(rawPreferredChannel)
+                ? 'whatsapp'
+                : ['email', 'e_mail', 'mail'].includes(rawPreferredChannel)
+                  ? 'email'
+                  : rawPreferredChannel;
+          const prefersEmail = preferredChannel === 'email';
+          const canEmail = Boolean(lead?.emailConsent && lead?.email);
+          const canCall = Boolean(lead?.callConsent && lead?.phone);
+          const canSms = Boolean(lead?.smsConsent && lead?.phone);
+          const useEmail = prefersEmail && canEmail;
+          const useCall = !useEmail && canCall;
+          const useSms = !useEmail && !useCall && canSms;
+          return {
+            campaignId: campaign.id,
             campaignLeadId: campaignLead.id,
-            tenantAgentId: campaignLead.agentId || lead?.assignedTenantAgentId || defaultAgent?.id || null,
-            preferredContactChannel: preferredChannel || null,
-          },
-        };
-      }));
+            leadId: campaignLead.leadId,
+            actionType: useEmail ? 'send_email' : useCall ? 'queue_call_attempt' : 'send_sms',
+            channel: useEmail ? 'email' : useCall ? 'phone' : 'sms',
+            status: useCall ? 'awaiting_call' : ((useEmail || useSms) ? 'pending' : 'awaiting_human'),
+            reason: useEmail ? 'Campaign first step: email preference' : useCall ? 'Campaign first step: call' : (useSms ? 'Campaign next step: SMS' : 'Campaign requires email preference, call, or SMS consent'),
+            scheduledFor: new Date().toISOString(),
+            payload: {
+              source: 'campaign_import',
+              campaignNumber: campaign.campaignNumber,
+              campaignLeadId: campaignLead.id,
+              tenantAgentId: campaignLead.agentId || lead?.assignedTenantAgentId || defaultAgent?.id || null,
+              preferredContactChannel: preferredChannel || null,
+            },
+          };
+        }));
+      }
     }
 
     return {
       batch: completedBatch,
       inserted,
+      updated,
       preview,
       campaign,
     };
@@ -1828,7 +2060,12 @@ export async function getTenantLifecycleRules(user) {
   return rows[0] || null;
 }
 
-export async function updateTenantLifecycleRules(user, input = {}) {
+// Every save that changes a rule adds an immutable version with the diff,
+// author and comment, then points the rules row at it. A save that changes
+// nothing adds no version. save_tenant_lifecycle_rules does both in one
+// transaction and refuses the save when the rules moved on from
+// options.expectedVersionId (the version the editor loaded).
+export async function updateTenantLifecycleRules(user, input = {}, options = {}) {
   const current = await getTenantLifecycleRules(user);
   if (!current?.id) throw new Error('Lifecycle rules are not available');
 
@@ -1850,33 +2087,223 @@ export async function updateTenantLifecycleRules(user, input = {}) {
   }
 
   if (typeof input.voicemailAllowed === 'boolean') patch.voicemailAllowed = input.voicemailAllowed;
+  if (input.emailFirstPolicy && typeof input.emailFirstPolicy === 'object') {
+    const waitHours = Number(input.emailFirstPolicy.waitHours ?? 2);
+    if (!Number.isFinite(waitHours) || waitHours < 0.25 || waitHours > 48) {
+      throw new Error('Email-first call delay must be between 0.25 and 48 hours');
+    }
+    patch.emailFirstPolicy = { ...input.emailFirstPolicy, enabled: input.emailFirstPolicy.enabled !== false, waitHours };
+  }
   if (input.noAnswerPolicy && typeof input.noAnswerPolicy === 'object') patch.noAnswerPolicy = input.noAnswerPolicy;
   if (input.busyPolicy && typeof input.busyPolicy === 'object') patch.busyPolicy = input.busyPolicy;
   if (input.notAvailablePolicy && typeof input.notAvailablePolicy === 'object') patch.notAvailablePolicy = input.notAvailablePolicy;
-  if (input.voicemailPolicy && typeof input.voicemailPolicy === 'object') patch.voicemailPolicy = input.voicemailPolicy;
+  if (input.voicemailPolicy && typeof input.voicemailPolicy === 'object') {
+    if (String(input.voicemailPolicy.dropMessage || '').length > 1000) {
+      throw new Error('Voicemail drop message must be 1000 characters or fewer');
+    }
+    patch.voicemailPolicy = input.voicemailPolicy;
+  }
   if (input.nurturePolicy && typeof input.nurturePolicy === 'object') patch.nurturePolicy = input.nurturePolicy;
   if (input.humanReviewTriggers && typeof input.humanReviewTriggers === 'object') patch.humanReviewTriggers = input.humanReviewTriggers;
+  if (input.humanEscalationPolicy && typeof input.humanEscalationPolicy === 'object') {
+    const numbers = (Array.isArray(input.humanEscalationPolicy.numbers) ? input.humanEscalationPolicy.numbers : [])
+      .map((number) => String(number || '').replace(/[\s().-]/g, ''))
+      .filter(Boolean);
+    if (numbers.length > 5) throw new Error('Add at most 5 human escalation numbers');
+    const invalidNumber = numbers.find((number) => !/^\+[1-9]\d{6,14}$/.test(number));
+    if (invalidNumber) throw new Error(`Human escalation number ${invalidNumber} must be in +E.164 format`);
+    if (input.humanEscalationPolicy.enabled && !numbers.length) {
+      throw new Error('Add a human escalation number before enabling warm transfer');
+    }
+    const ringTimeoutSeconds = Number(input.humanEscalationPolicy.ringTimeoutSeconds ?? 20);
+    if (!Number.isInteger(ringTimeoutSeconds) || ringTimeoutSeconds < 5 || ringTimeoutSeconds > 60) {
+      throw new Error('Transfer ring timeout must be between 5 and 60 seconds');
+    }
+    patch.humanEscalationPolicy = { ...input.humanEscalationPolicy, numbers, ringTimeoutSeconds };
+  }
   if (input.offDutyCallPolicy && typeof input.offDutyCallPolicy === 'object') patch.offDutyCallPolicy = input.offDutyCallPolicy;
+  if (input.contactWindowPolicy && typeof input.contactWindowPolicy === 'object') {
+    patch.contactWindowPolicy = normalizeContactWindowPolicy(input.contactWindowPolicy);
+  }
+
+  const before = lifecycleRulesSnapshot(current);
+  const after = { ...before, ...lifecycleRulesSnapshot(patch) };
+  if (!diffLifecycleRules(before, after).length) return current;
+
+  return saveLifecycleRules(user, after, {
+    expectedVersionId: options.expectedVersionId === undefined ? current.currentVersionId : options.expectedVersionId,
+    comment: options.comment,
+  });
+}
+
+async function saveLifecycleRules(user, rules, options = {}) {
+  const saved = await unwrap(
+    await insforge.database.rpc('save_tenant_lifecycle_rules', {
+      p_tenant_id: tenantIdFromUser(user),
+      p_rules: rules,
+      p_expected_version_id: options.expectedVersionId || null,
+      p_comment: String(options.comment || '').trim() || null,
+      p_restore_version_id: options.restoreVersionId || null,
+    }),
+    'Failed to save lifecycle rules'
+  );
+  return fromDbRecord(saved);
+}
+
+export async function listLifecycleRuleVersions(user, options = {}) {
+  return selectTenantRows('tenant_lifecycle_rule_versions', user, {
+    order: { column: 'version_number', ascending: false },
+    limit: options.limit || 50,
+  });
+}
+
+// Restoring saves the old snapshot as a new version, so the rollback itself
+// shows up in the history with its own diff.
+export async function restoreLifecycleRuleVersion(user, versionId, comment = '', options = {}) {
+  if (!versionId) throw new Error('versionId is required');
+  const rows = await unwrap(
+    await insforge.database
+      .from('tenant_lifecycle_rule_versions')
+      .select('version_number')
+      .eq('tenant_id', tenantIdFromUser(user))
+      .eq('id', versionId)
+      .limit(1),
+    'Failed to load lifecycle rule version'
+  );
+  const version = fromDbRows(rows || [])[0];
+  if (!version) throw new Error('Lifecycle rule version was not found');
+  const expectedVersionId = options.expectedVersionId === undefined
+    ? (await getTenantLifecycleRules(user))?.currentVersionId
+    : options.expectedVersionId;
+  return saveLifecycleRules(user, {}, {
+    expectedVersionId,
+    comment: String(comment || '').trim() || `Restored version ${version.versionNumber}`,
+    restoreVersionId: versionId,
+  });
+}
+
+export async function listTenantHolidays(user) {
+  return selectTenantRows('tenant_holidays', user, {
+    order: { column: 'holiday_date', ascending: true },
+    limit: 500,
+  });
+}
+
+export async function addTenantHoliday(user, input = {}) {
+  const holidayDate = String(input.date || '').trim();
+  const name = String(input.name || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(holidayDate)) throw new Error('Choose a holiday date');
+  if (!name) throw new Error('Holiday name is required');
+  const existing = await selectTenantRows('tenant_holidays', user, { select: 'id,holiday_date' });
+  if (existing.some((row) => row.holidayDate === holidayDate)) throw new Error(`${holidayDate} is already a holiday`);
+  return insertTenantRow('tenant_holidays', user, {
+    holidayDate,
+    name: name.slice(0, 200),
+    source: 'manual',
+    createdByUserId: user?.authUserId || user?.id || null,
+  });
+}
 
-  patch.metadata = {
-    ...(current.metadata || {}),
-    phase30UpdatedAt: new Date().toISOString(),
-    phase30UpdatedBy: user?.authUserId || user?.id || null,
+export async function deleteTenantHoliday(user, holidayId) {
+  return deleteTenantRow('tenant_holidays', user, holidayId);
+}
+
+// Dates already on the calendar keep their existing entry, so importing the
+// same feed twice adds nothing.
+export async function importTenantHolidaysFromIcs(user, icsText) {
+  const { holidays, skipped } = parseIcsHolidays(icsText);
+  if (!holidays.length) throw new Error('No dated events were found in the ICS file');
+  const existing = new Set((await selectTenantRows('tenant_holidays', user, { select: 'holiday_date' })).map((row) => row.holidayDate));
+  const createdByUserId = user?.authUserId || user?.id || null;
+  const rows = holidays
+    .filter((holiday) => !existing.has(holiday.date))
+    .map((holiday) => ({
+      holidayDate: holiday.date,
+      name: holiday.name.slice(0, 200),
+      source: 'ics',
+      externalUid: holiday.uid ? holiday.uid.slice(0, 255) : null,
+      createdByUserId,
+    }));
+  const created = await insertTenantRows('tenant_holidays', user, rows);
+  return { created, duplicates: holidays.length - rows.length, skipped };
+}
+
+export async function listLifecyclePlaybooks(user) {
+  return selectTenantRows('tenant_lifecycle_playbooks', user, {
+    order: { column: 'updated_at', ascending: false },
+    limit: 100,
+  });
+}
+
+// Drafts only need a name so work in progress can be saved; activating
+// requires a valid graph and trigger outcomes no other active playbook uses.
+export async function saveLifecyclePlaybook(user, input = {}) {
+  const { playbook, errors } = validatePlaybook(input);
+  if (!playbook.name) throw new Error('Playbook name is required');
+  if (playbook.status === 'active') {
+    if (errors.length) throw new Error(errors[0]);
+    const active = (await listLifecyclePlaybooks(user)).filter((row) => row.id !== input.id && row.status === 'active');
+    for (const row of active) {
+      const shared = (row.triggerOutcomes || []).filter((outcome) => playbook.triggerOutcomes.includes(outcome));
+      if (shared.length) {
+        throw new Error(`Active playbook "${row.name}" already starts on ${shared.join(', ').replace(/_/g, ' ')}`);
+      }
+    }
+  }
+  const values = {
+    name: playbook.name,
+    description: playbook.description || null,
+    status: playbook.status,
+    triggerOutcomes: playbook.triggerOutcomes,
+    startStepId: playbook.startStepId,
+    steps: playbook.steps,
   };
+  if (input.id) return updateTenantRow('tenant_lifecycle_playbooks', user, input.id, values);
+  return insertTenantRow('tenant_lifecycle_playbooks', user, { ...values, createdByUserId: user?.authUserId || user?.id || null });
+}
 
-  return updateTenantRow('tenant_lifecycle_rules', user, current.id, patch);
+export async function deleteLifecyclePlaybook(user, playbookId) {
+  if (!playbookId) throw new Error('playbookId is required');
+  return deleteTenantRow('tenant_lifecycle_playbooks', user, playbookId);
+}
+
+export async function listLeadPlaybookRuns(user, options = {}) {
+  let query = insforge.database
+    .from('lead_playbook_runs')
+    .select('*')
+    .eq('tenant_id', tenantIdFromUser(user))
+    .order('created_at', { ascending: false });
+
+  if (options.leadId) {
+    query = query.eq('lead_id', options.leadId);
+  }
+
+  query = query.limit(options.limit || 200);
+  return fromDbRows(await unwrap(await query, 'Failed to load playbook runs') || []);
 }
 
 export async function listCampaigns(user) {
-  const campaigns = await selectTenantRows('campaigns', user, {
-    order: { column: 'created_at', ascending: false },
-    limit: 1000,
-  });
+  const [campaigns, campaignLeads, steps] = await Promise.all([
+    selectTenantRows('campaigns', user, {
+      order: { column: 'created_at', ascending: false },
+      limit: 1000,
+    }),
+    selectTenantRows('campaign_leads', user, { select: 'id,campaign_id,status', limit: 10000 }),
+    selectTenantRows('campaign_lead_steps', user, {
+      select: 'campaign_id,campaign_lead_id,step_index,status,attempted_at,reached_at,replied_at,booked_at',
+      limit: 20000,
+    }),
+  ]);
   return {
-    campaigns: campaigns.map((campaign) => ({
-      ...campaign,
-      created_time: campaign.createdAt,
-    })),
+    campaigns: campaigns.map((campaign) => {
+      const leads = campaignLeads.filter((row) => row.campaignId === campaign.id);
+      return {
+        ...campaign,
+        created_time: campaign.createdAt,
+        leadCounts: leads.reduce((counts, row) => ({ ...counts, [row.status]: (counts[row.status] || 0) + 1 }), { total: leads.length }),
+        stepFunnel: campaignStepFunnel(campaign.channelSequence, steps.filter((step) => step.campaignId === campaign.id)),
+      };
+    }),
     stats: {
       active: campaigns.filter((campaign) => campaign.status === 'ACTIVE').length,
       paused: campaigns.filter((campaign) => campaign.status === 'PAUSED').length,
@@ -1889,13 +2316,14 @@ export async function listCampaigns(user) {
 export async function createCampaign(user, input = {}) {
   const name = input.name?.trim();
   if (!name) throw new Error('Campaign name is required');
+  const cadence = normalizeCampaignCadence(input);
   return insertTenantRow('campaigns', user, {
     name,
     objective: input.objective || 'OUTCOME_LEADS',
     status: input.status || 'ACTIVE',
-    channelSequence: input.channelSequence || ['call', 'sms', 'email'],
-    retryPolicy: input.retryPolicy || { maxAttempts: 2, retryDelayMinutes: 60 },
-    stopConditions: input.stopConditions || { booked: true, optedOut: true, doNotContact: true, notInterested: true, humanReview: true },
+    channelSequence: cadence.channelSequence,
+    retryPolicy: cadence.retryPolicy,
+    stopConditions: cadence.stopConditions,
     metadata: { source: 'frontend_insforge_product' },
   });
 }
@@ -2277,6 +2705,7 @@ function buildLeadDiscussionSummary({ lead, conversations, messages, emails, cal
 
   const overview = compactText(firstText(
     latestConversation?.lastSummary,
+    latestCall?.postCallSummary?.overview,
     latestCall?.summary,
     lead.notes,
     lead.serviceInterest ? 'Interested in ' + lead.serviceInterest + '.' : ''
@@ -2286,7 +2715,8 @@ function buildLeadDiscussionSummary({ lead, conversations, messages, emails, cal
     lead.serviceInterest ? 'Service interest: ' + lead.serviceInterest : null,
     lead.qualificationStatus ? 'Qualification: ' + readableLabel(lead.qualificationStatus) + (lead.qualificationScore ? ' (' + lead.qualificationScore + ')' : '') : null,
     lead.schedulingState ? 'Scheduling: ' + readableLabel(lead.schedulingState) : null,
-    latestCall ? 'Latest call: ' + readableLabel(latestCall.outcome || latestCall.status) + (latestCall.summary ? ' - ' + compactText(latestCall.summary, 120) : '') : null,
+    latestCall ? 'Latest call: ' + readableLabel(latestCall.outcome || latestCall.status) + (latestCall.postCallSummary?.overview || latestCall.summary ? ' - ' + compactText(latestCall.postCallSummary?.overview || latestCall.summary, 120) : '') : null,
+    latestCall?.postCallSummary?.promisedFollowUp?.promised ? 'Promised follow-up: ' + compactText(latestCall.postCallSummary.promisedFollowUp.detail || readableLabel(latestCall.postCallSummary.promisedFollowUp.channel), 120) : null,
     meetings[0] ? 'Meeting: ' + readableLabel(meetings[0].status) + ' for ' + meetings[0].title : null,
     lead.requiresHumanReview ? 'Needs human review: ' + (lead.escalationReason || 'Review requested.') : null,
     lead.doNotContact || lead.optedOutAt ? 'Contact paused: lead is marked do not contact or opted out.' : null,
@@ -2297,7 +2727,7 @@ function buildLeadDiscussionSummary({ lead, conversations, messages, emails, cal
       id: 'call-' + call.id,
       channel: 'Call',
       title: readableLabel(call.outcome || call.status || 'Call'),
-      body: compactText(firstText(call.summary, call.transcript, call.errorMessage), 280),
+      body: compactText(firstText(call.postCallSummary?.overview, call.summary, call.transcript, call.errorMessage), 280),
       status: call.status,
       occurredAt: eventTimestamp(call),
     })),
@@ -2450,6 +2880,20 @@ export async function getLeadConversationSummary(user, leadId) {
   };
 }
 
+export async function getLeadCallSummaries(user, leadId, limit = 5) {
+  const rows = await unwrap(
+    await insforge.database
+      .from('voice_call_sessions')
+      .select('id,direction,status,outcome,summary,post_call_summary,post_call_summary_at,call_started_at,ended_at,created_at')
+      .eq('lead_id', leadId)
+      .eq('tenant_id', tenantIdFromUser(user))
+      .order('created_at', { ascending: false })
+      .limit(limit),
+    'Failed to load call summaries'
+  );
+  return fromDbRows(rows || []).filter((call) => call.postCallSummary);
+}
+
 export async function recordCallOutcome(user, actionId, { outcome, notes }) {
   if (!CALL_OUTCOMES.includes(outcome)) throw new Error('Unsupported call outcome');
   const activity = await getBobActivity(user);
@@ -2486,6 +2930,90 @@ export async function getBulkEmailCampaign(user, campaignId) {
   return rows.find((r) => r.id === campaignId) || null;
 }
 
+export async function listBulkEmailVariants(user, campaignIds = []) {
+  if (!campaignIds.length) return [];
+  const data = await unwrap(
+    await insforge.database
+      .from('tenant_bulk_email_variants')
+      .select('*')
+      .eq('tenant_id', tenantIdFromUser(user))
+      .in('campaign_id', campaignIds)
+      .order('label', { ascending: true }),
+    'Failed to load campaign variants'
+  );
+  return fromDbRows(data || []);
+}
+
+export async function listLeadSegments(user) {
+  return selectTenantRows('tenant_lead_segments', user, {
+    order: { column: 'updated_at', ascending: false },
+    limit: 100,
+  });
+}
+
+export async function saveLeadSegment(user, { id, name, filters } = {}) {
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) throw new Error('Segment name is required');
+  const values = { name: trimmedName, filters: normalizeSegmentFilters(filters) };
+  if (id) return updateTenantRow('tenant_lead_segments', user, id, values);
+  return insertTenantRow('tenant_lead_segments', user, { ...values, createdByUserId: user?.authUserId || user?.id || null });
+}
+
+export async function deleteLeadSegment(user, segmentId) {
+  if (!segmentId) throw new Error('segmentId is required');
+  return deleteTenantRow('tenant_lead_segments', user, segmentId);
+}
+
+export async function listEmailTemplates(user) {
+  return selectTenantRows('tenant_email_templates', user, {
+    order: { column: 'updated_at', ascending: false },
+    limit: 100,
+  });
+}
+
+export async function saveEmailTemplate(user, { id, name, subject, headerNote, blocks, mergeFallbacks } = {}) {
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) throw new Error('Template name is required');
+  if (!String(subject || '').trim()) throw new Error('Template subject is required');
+  const values = {
+    name: trimmedName,
+    subject: String(subject).trim(),
+    headerNote: String(headerNote || '').trim() || null,
+    blocks: normalizeTemplateBlocks(blocks),
+    mergeFallbacks: normalizeMergeFallbacks(mergeFallbacks),
+  };
+  if (id) return updateTenantRow('tenant_email_templates', user, id, values);
+  return insertTenantRow('tenant_email_templates', user, { ...values, createdByUserId: user?.authUserId || user?.id || null });
+}
+
+export async function deleteEmailTemplate(user, templateId) {
+  if (!templateId) throw new Error('templateId is required');
+  return deleteTenantRow('tenant_email_templates', user, templateId);
+}
+
+// Preview only: the bulk-email-sender resolves the segment again when the
+// campaign is created, with the same rules.
+export async function previewLeadSegment(user, filters = {}) {
+  const segment = normalizeSegmentFilters(filters);
+  const leads = await listLeads(user, 20000);
+  let latestOutcomes = new Map();
+  if (segment.outcomes.length) {
+    const events = await unwrap(
+      await insforge.database
+        .from('lead_lifecycle_events')
+        .select('lead_id, outcome, created_at')
+        .eq('tenant_id', tenantIdFromUser(user))
+        .in('outcome', SEGMENT_OUTCOMES)
+        .order('created_at', { ascending: false })
+        .limit(50000),
+      'Failed to load lifecycle outcomes'
+    );
+    latestOutcomes = latestOutcomesByLead(fromDbRows(events || []));
+  }
+  const result = resolveSegmentRecipients(leads, segment, { latestOutcomes });
+  return { ...result, excludedReasons: excludedReasonCounts(result.excluded) };
+}
+
 export async function listBulkEmailFailedRecipients(user, campaignId) {
   if (!campaignId) throw new Error('campaignId is required');
   const query = insforge.database
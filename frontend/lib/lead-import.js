@@ -1,3 +1,6 @@
+import { normalizePhoneNumber, phoneMatchKey } from './phone.js';
+import { readXlsxSheet } from './xlsx-reader.js';
+
 const CHANNELS = ['call', 'sms', 'whatsapp', 'email'];
 
 const HEADER_ALIASES = {
@@ -76,64 +79,288 @@ export function coerceBoolean(value) {
   return false;
 }
 
-function parseCsvLine(line) {
-  const cells = [];
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Counts each candidate delimiter outside quotes on the first few lines and
+// picks the one that splits them most consistently.
+export function detectDelimiter(text) {
+  const sample = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\n|\r/).filter((line) => line.trim()).slice(0, 5);
+  if (!sample.length) return ',';
+
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of DELIMITERS) {
+    const counts = sample.map((line) => {
+      let count = 0;
+      let quoted = false;
+      for (const char of line) {
+        if (char === '"') quoted = !quoted;
+        else if (char === delimiter && !quoted) count += 1;
+      }
+      return count;
+    });
+    const consistent = counts.every((count) => count === counts[0]);
+    const score = counts[0] * (consistent ? 2 : 1);
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+// UTF-8 (with or without BOM) and UTF-16 are detected; anything that is not
+// valid UTF-8 is read as Windows-1252, which is what Excel "CSV" saves on Windows.
+export function decodeImportText(bytes) {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (view[0] === 0xff && view[1] === 0xfe) return { text: new TextDecoder('utf-16le').decode(view.subarray(2)), encoding: 'utf-16le' };
+  if (view[0] === 0xfe && view[1] === 0xff) return { text: new TextDecoder('utf-16be').decode(view.subarray(2)), encoding: 'utf-16be' };
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(view).replace(/^\uFEFF/, ''), encoding: 'utf-8' };
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(view), encoding: 'windows-1252' };
+  }
+}
+
+function parseDelimitedRecords(text, delimiter) {
+  const records = [];
+  let record = [];
   let current = '';
   let quoted = false;
+  let line = 1;
+  let recordLine = 1;
 
-  for (let index = 0; index < line.length; index += 1) {
-    const char = line[index];
-    const next = line[index + 1];
+  const endCell = () => {
+    record.push(current.trim());
+    current = '';
+  };
+  const endRecord = () => {
+    endCell();
+    if (record.some((value) => value !== '')) records.push({ line: recordLine, cells: record });
+    record = [];
+    recordLine = line;
+  };
 
-    if (char === '"' && quoted && next === '"') {
-      current += '"';
-      index += 1;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        current += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        current += char;
+      }
       continue;
     }
 
     if (char === '"') {
-      quoted = !quoted;
-      continue;
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n') {
+      line += 1;
+      endRecord();
+    } else {
+      current += char;
     }
+  }
+  endRecord();
+  return records;
+}
 
-    if (char === ',' && !quoted) {
-      cells.push(current.trim());
-      current = '';
-      continue;
-    }
+export function parseCsv(text, options = {}) {
+  const normalized = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  const delimiter = options.delimiter || detectDelimiter(normalized);
+  const records = parseDelimitedRecords(normalized, delimiter);
 
-    current += char;
+  if (!records.length) {
+    return { headers: [], rows: [], delimiter };
   }
 
-  cells.push(current.trim());
-  return cells;
+  // rowNumber is the file line a row starts on, so blank lines and quoted
+  // line breaks do not shift error reports away from the source row.
+  const headers = records[0].cells;
+  const rows = records.slice(1).map((record) => ({
+    rowNumber: record.line,
+    cells: record.cells,
+  }));
+
+  return { headers, rows, delimiter };
 }
 
-export function parseCsv(text) {
-  const normalized = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-  const lines = normalized
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean);
+function isZipArchive(bytes) {
+  return bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
 
-  if (!lines.length) {
-    return { headers: [], rows: [] };
+// Reads an uploaded CSV, TSV, semicolon/pipe-delimited text or XLSX file into
+// the same { headers, rows } shape parseCsv returns. With maxRows, only that
+// many data rows are kept and truncated is set when the file has more.
+export async function parseLeadImportFile(bytes, fileName = '', options = {}) {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const extension = String(fileName).toLowerCase().split('.').pop();
+  const maxRows = options.maxRows || Infinity;
+
+  if (isZipArchive(view) || extension === 'xlsx') {
+    // One extra row past the header and maxRows tells us the sheet goes on.
+    const sheet = await readXlsxSheet(view, { maxRows: maxRows + 2 });
+    const [headerRow, ...rows] = sheet.rows;
+    return {
+      format: 'xlsx',
+      sheetName: sheet.name,
+      headers: headerRow?.cells || [],
+      rows: rows.slice(0, maxRows),
+      truncated: rows.length > maxRows,
+    };
   }
 
-  const headers = parseCsvLine(lines[0]);
-  const rows = lines.slice(1).map((line, index) => ({
-    rowNumber: index + 2,
-    cells: parseCsvLine(line),
-  }));
+  if (extension === 'xls') {
+    throw new Error('Legacy .xls files are not supported. Save the sheet as .xlsx or CSV and upload it again.');
+  }
+
+  const { text, encoding } = decodeImportText(view);
+  const parsed = parseCsv(text, extension === 'tsv' ? { delimiter: '\t' } : {});
+  return {
+    format: parsed.delimiter === '\t' ? 'tsv' : 'csv',
+    encoding,
+    ...parsed,
+    rows: parsed.rows.slice(0, maxRows),
+    truncated: parsed.rows.length > maxRows,
+  };
+}
+
+const LEAD_IMPORT_SAMPLE_BYTES = 1024 * 1024;
+
+// Reads the header and first rows of a picked File for mapping and preview,
+// without loading the whole file. Text files are read up to maxBytes and cut
+// back to the last whole line; the final row is dropped too, since a quoted
+// line break may have split it. XLSX has its directory at the end, so it is
+// read whole but only maxRows rows are parsed. The import job parses the
+// full file on the server.
+export async function readLeadImportSample(file, { maxRows = 500, maxBytes = LEAD_IMPORT_SAMPLE_BYTES } = {}) {
+  const fileName = file?.name || '';
+  const extension = fileName.toLowerCase().split('.').pop();
+  const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  if (isZipArchive(head) || extension === 'xlsx' || extension === 'xls' || file.size <= maxBytes) {
+    return parseLeadImportFile(await file.arrayBuffer(), fileName, { maxRows });
+  }
+
+  const bytes = new Uint8Array(await file.slice(0, maxBytes).arrayBuffer());
+  const utf16le = bytes[0] === 0xff && bytes[1] === 0xfe;
+  const lineEnd = bytes.lastIndexOf(0x0a);
+  const parsed = await parseLeadImportFile(bytes.subarray(0, lineEnd < 0 ? bytes.length : lineEnd + (utf16le ? 2 : 1)), fileName);
+  return {
+    ...parsed,
+    rows: parsed.rows.slice(0, Math.min(maxRows, parsed.rows.length - 1)),
+    truncated: true,
+  };
+}
+
+const FIELD_LABELS = {
+  email: 'Email',
+  firstName: 'First name',
+  lastName: 'Last name',
+  fullName: 'Full name',
+  phone: 'Phone',
+  company: 'Company',
+  jobTitle: 'Job title',
+  website: 'Website',
+  leadSource: 'Lead source',
+  serviceInterest: 'Service interest',
+  locationSummary: 'Location',
+  notes: 'Notes',
+  tags: 'Tags',
+  priority: 'Priority',
+  preferredContactChannel: 'Preferred channel',
+  callConsent: 'Call consent',
+  smsConsent: 'SMS consent',
+  whatsappConsent: 'WhatsApp consent',
+  emailConsent: 'Email consent',
+  doNotContact: 'Do not contact',
+  optOutChannel: 'Opt-out channel',
+  optOutReason: 'Opt-out reason',
+};
+
+export const LEAD_IMPORT_FIELDS = Object.keys(HEADER_ALIASES).map((field) => ({ field, label: FIELD_LABELS[field] || field }));
+
+export const IGNORE_COLUMN = 'ignore';
+const CUSTOM_FIELD_PREFIX = 'custom:';
+
+export function customFieldTarget(name) {
+  return CUSTOM_FIELD_PREFIX + String(name || '').trim();
+}
 
-  return { headers, rows };
+export function columnMappingKey(header) {
+  return normalizeHeader(header);
 }
 
-function buildHeaderMap(headers) {
+// Order-independent fingerprint of a file's columns, used to find the mapping
+// saved for the previous export from the same CRM.
+export function columnMappingSignature(headers = []) {
+  return [...new Set(headers.map(columnMappingKey).filter(Boolean))].sort().join('|');
+}
+
+function isMappingTarget(target) {
+  return target === IGNORE_COLUMN
+    || Boolean(HEADER_ALIASES[target])
+    || (String(target || '').startsWith(CUSTOM_FIELD_PREFIX) && target.length > CUSTOM_FIELD_PREFIX.length);
+}
+
+// Picks the saved mapping for these headers: an exact signature match wins,
+// otherwise columns are filled from the most recently used mappings that
+// mention them.
+export function savedMappingForHeaders(savedMappings = [], headers = []) {
+  const signature = columnMappingSignature(headers);
+  const exact = savedMappings.find((saved) => saved.headerSignature === signature);
+  if (exact) return { ...(exact.mapping || {}) };
+
+  const keys = new Set(headers.map(columnMappingKey));
+  const merged = {};
+  const byRecency = [...savedMappings].sort((a, b) => String(b.lastUsedAt || '').localeCompare(String(a.lastUsedAt || '')));
+  for (const saved of byRecency) {
+    for (const [key, target] of Object.entries(saved.mapping || {})) {
+      if (keys.has(key) && merged[key] === undefined) merged[key] = target;
+    }
+  }
+  return merged;
+}
+
+// One entry per column. target is a lead field, custom:<name>, ignore, or
+// null for columns kept in importedLeadData.
+export function resolveColumnMapping(headers = [], mapping = {}) {
+  const used = new Set();
+  return headers.map((header, index) => {
+    const key = columnMappingKey(header);
+    const explicit = Object.prototype.hasOwnProperty.call(mapping, key) ? mapping[key] : undefined;
+    let target = null;
+    let origin = 'unmapped';
+
+    if (explicit === null || explicit === '') {
+      origin = 'mapped';
+    } else if (explicit !== undefined && isMappingTarget(explicit)) {
+      target = explicit;
+      origin = 'mapped';
+    } else if (canonicalHeader(header)) {
+      target = canonicalHeader(header);
+      origin = 'alias';
+    }
+
+    if (HEADER_ALIASES[target]) {
+      if (used.has(target)) {
+        target = null;
+        origin = 'unmapped';
+      } else {
+        used.add(target);
+      }
+    }
+
+    return { index, header: String(header || '').trim(), key, target, origin };
+  });
+}
+
+function buildHeaderMap(columns) {
   const map = {};
-  headers.forEach((header, index) => {
-    const field = canonicalHeader(header);
-    if (field && map[field] === undefined) map[field] = index;
+  columns.forEach((column) => {
+    if (HEADER_ALIASES[column.target]) map[column.target] = column.index;
   });
   return map;
 }
@@ -152,11 +379,15 @@ function consentCell(row, headerMap, field) {
   return coerceBoolean(value);
 }
 
-function extractAdditionalFields(headers, row) {
+function extractColumnFields(columns, row, matches) {
   return Object.fromEntries(
-    headers
-      .map((header, index) => [String(header || '').trim(), String(row.cells[index] || '').trim()])
-      .filter(([header, value]) => header && value && !canonicalHeader(header))
+    columns
+      .filter(matches)
+      .map((column) => [
+        column.target ? column.target.slice(CUSTOM_FIELD_PREFIX.length) : column.header,
+        String(row.cells[column.index] || '').trim(),
+      ])
+      .filter(([name, value]) => name && value)
   );
 }
 
@@ -214,37 +445,154 @@ export function summarizeContactPolicy(lead) {
   return Object.fromEntries(CHANNELS.map((channel) => [channel, contactPolicyForLead(lead, channel)]));
 }
 
-export function buildLeadImportPreview(csvText, existingLeads = []) {
-  const parsed = parseCsv(csvText);
-  const headerMap = buildHeaderMap(parsed.headers);
-  const existingEmails = new Set(existingLeads.map((lead) => normalizeEmail(lead.email)).filter(Boolean));
-  const existingPhones = new Set(existingLeads.map((lead) => normalizePhone(lead.phone)).filter(Boolean));
+export const DUPLICATE_MODES = ['skip', 'fill_empty', 'overwrite', 'create'];
+
+const MERGE_FIELDS = [
+  'email',
+  'firstName',
+  'lastName',
+  'fullName',
+  'phone',
+  'company',
+  'jobTitle',
+  'website',
+  'leadSource',
+  'serviceInterest',
+  'locationSummary',
+  'notes',
+  'tags',
+  'priority',
+  'preferredContactChannel',
+  'optOutChannel',
+  'optOutReason',
+];
+const CONSENT_FIELDS = CHANNELS.map((channel) => channel + 'Consent');
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function sameValue(left, right) {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+function providedLeadFields(row, headerMap) {
+  const provided = new Set(Object.keys(headerMap).filter((field) => cell(row, headerMap, field)));
+  if (provided.has('firstName') || provided.has('lastName')) provided.add('fullName');
+  return provided;
+}
+
+// Builds the update for an existing lead from one import row. Only values the
+// file actually contains are considered, so defaults (approved consent,
+// medium priority, email channel) never replace stored data. Consent can be
+// withdrawn by the file in any mode but a withdrawn consent is never granted
+// back, even in overwrite mode, and do-not-contact is never cleared by an
+// import.
+export function leadMergePatch(existing = {}, incoming = {}, provided = new Set(), mode = 'fill_empty') {
+  const patch = {};
+  const changes = [];
+  const change = (field, to) => {
+    if (sameValue(existing[field], to)) return;
+    patch[field] = to;
+    changes.push({ field, from: existing[field] ?? null, to });
+  };
+
+  for (const field of MERGE_FIELDS) {
+    if (!provided.has(field) || isEmptyValue(incoming[field])) continue;
+    if (field === 'email' && normalizeEmail(existing.email) === incoming.email) continue;
+    if (field === 'phone' && phoneMatchKey(existing.phone, { locationSummary: existing.locationSummary }) === phoneMatchKey(incoming.phone)) continue;
+    if (mode === 'overwrite' || isEmptyValue(existing[field])) change(field, incoming[field]);
+  }
+
+  for (const field of CONSENT_FIELDS) {
+    if (!provided.has(field)) continue;
+    if (incoming[field] === false && existing[field] !== false) change(field, false);
+  }
+
+  if (provided.has('doNotContact') && incoming.doNotContact && !existing.doNotContact) {
+    change('doNotContact', true);
+  }
+
+  const incomingCustom = incoming.customFields || {};
+  const existingCustom = existing.customFields || {};
+  const mergedCustom = { ...existingCustom };
+  for (const [key, value] of Object.entries(incomingCustom)) {
+    if (key === 'importedLeadData') {
+      const existingImported = existingCustom.importedLeadData || {};
+      mergedCustom.importedLeadData = mode === 'overwrite'
+        ? { ...existingImported, ...value }
+        : { ...value, ...existingImported };
+    } else if (mode === 'overwrite' || isEmptyValue(existingCustom[key])) {
+      mergedCustom[key] = value;
+    }
+  }
+  if (!sameValue(mergedCustom, existingCustom)) {
+    patch.customFields = mergedCustom;
+    for (const key of Object.keys(mergedCustom)) {
+      if (!sameValue(mergedCustom[key], existingCustom[key])) {
+        changes.push({ field: 'customFields.' + key, from: existingCustom[key] ?? null, to: mergedCustom[key] });
+      }
+    }
+  }
+
+  return { patch, changes };
+}
+
+export function buildLeadImportPreview(source, existingLeads = [], options = {}) {
+  const parsed = typeof source === 'string' || !source ? parseCsv(source) : source;
+  const columns = resolveColumnMapping(parsed.headers, options.mapping || {});
+  const headerMap = buildHeaderMap(columns);
+  const duplicateMode = DUPLICATE_MODES.includes(options.duplicateMode) ? options.duplicateMode : 'skip';
+  const existingByEmail = new Map();
+  const existingByPhone = new Map();
+  const defaultCountry = options.defaultCountry || null;
+  existingLeads.forEach((lead) => {
+    const email = normalizeEmail(lead.email);
+    const phoneKey = lead.phone ? phoneMatchKey(lead.phone, { defaultCountry, locationSummary: lead.locationSummary }) : '';
+    if (email && !existingByEmail.has(email)) existingByEmail.set(email, lead);
+    if (phoneKey && !existingByPhone.has(phoneKey)) existingByPhone.set(phoneKey, lead);
+  });
   const fileEmails = new Set();
   const filePhones = new Set();
+  const matchedLeadIds = new Set();
 
   const rows = parsed.rows.map((row) => {
-    const additionalFields = extractAdditionalFields(parsed.headers, row);
+    const additionalFields = extractColumnFields(columns, row, (column) => column.target === null);
+    const mappedCustomFields = extractColumnFields(columns, row, (column) => String(column.target || '').startsWith(CUSTOM_FIELD_PREFIX));
     const firstName = cell(row, headerMap, 'firstName');
     const lastName = cell(row, headerMap, 'lastName');
     const fullName = leadName(firstName, lastName, cell(row, headerMap, 'fullName'));
     const email = normalizeEmail(cell(row, headerMap, 'email'));
-    const phone = cell(row, headerMap, 'phone');
-    const phoneDigits = normalizePhone(phone);
+    const rawPhone = cell(row, headerMap, 'phone');
+    const locationSummary = cell(row, headerMap, 'locationSummary');
     const errors = [];
     const warnings = [];
+    const phoneCheck = rawPhone ? normalizePhoneNumber(rawPhone, { defaultCountry, locationSummary }) : null;
+    const phone = phoneCheck?.e164 || rawPhone;
+    const phoneKey = phoneCheck?.e164 || normalizePhone(rawPhone);
 
-    if (!email && !phoneDigits) errors.push('Email or phone is required');
+    if (!email && !phoneKey) errors.push('Email or phone is required');
     if (email && !isValidEmail(email)) errors.push('Email format is invalid');
-    if (phoneDigits && phoneDigits.length < 8) errors.push('Phone number is too short');
+    if (normalizePhone(rawPhone) && normalizePhone(rawPhone).length < 8) {
+      errors.push('Phone number is too short');
+    } else if (phoneCheck && !phoneCheck.e164) {
+      // Still importable for email outreach, but it will not be dialed.
+      (email ? warnings : errors).push(phoneCheck.error);
+    }
+    if (phoneCheck?.e164) warnings.push(...phoneCheck.warnings);
 
-    const duplicateByEmail = email && (existingEmails.has(email) || fileEmails.has(email));
-    const duplicateByPhone = phoneDigits && (existingPhones.has(phoneDigits) || filePhones.has(phoneDigits));
+    const existingMatch = (email && existingByEmail.get(email)) || (phoneKey && existingByPhone.get(phoneKey)) || null;
+    const duplicateByEmail = email && (existingByEmail.has(email) || fileEmails.has(email));
+    const duplicateByPhone = phoneKey && (existingByPhone.has(phoneKey) || filePhones.has(phoneKey));
+    const duplicateInFile = Boolean((email && fileEmails.has(email)) || (phoneKey && filePhones.has(phoneKey)))
+      || Boolean(existingMatch && matchedLeadIds.has(existingMatch.id));
 
     if (duplicateByEmail) warnings.push('Duplicate email');
     if (duplicateByPhone) warnings.push('Duplicate phone');
 
     if (email) fileEmails.add(email);
-    if (phoneDigits) filePhones.add(phoneDigits);
+    if (phoneKey) filePhones.add(phoneKey);
+    if (existingMatch) matchedLeadIds.add(existingMatch.id);
 
     const lead = {
       email: email || null,
@@ -258,7 +606,7 @@ export function buildLeadImportPreview(csvText, existingLeads = []) {
       leadSource: cell(row, headerMap, 'leadSource') || 'csv_import',
       source: 'csv_import',
       serviceInterest: cell(row, headerMap, 'serviceInterest') || null,
-      locationSummary: cell(row, headerMap, 'locationSummary') || null,
+      locationSummary: locationSummary || null,
       notes: cell(row, headerMap, 'notes') || null,
       tags: parseTags(cell(row, headerMap, 'tags')),
       priority: normalizePriority(cell(row, headerMap, 'priority')),
@@ -275,9 +623,10 @@ export function buildLeadImportPreview(csvText, existingLeads = []) {
       leadStage: 'new',
       schedulingState: 'not_started',
       status: 'new',
-      customFields: Object.keys(additionalFields).length
-        ? { importedLeadData: additionalFields }
-        : {},
+      customFields: {
+        ...mappedCustomFields,
+        ...(Object.keys(additionalFields).length ? { importedLeadData: additionalFields } : {}),
+      },
     };
 
     if (!CHANNELS.some((channel) => lead[channel + 'Consent'])) {
@@ -285,16 +634,35 @@ export function buildLeadImportPreview(csvText, existingLeads = []) {
     }
 
     const duplicate = Boolean(duplicateByEmail || duplicateByPhone);
-    const importable = errors.length === 0 && !duplicate;
+    let action = 'create';
+    let match = null;
+    let changes = [];
+    let patch = null;
+
+    if (duplicate && duplicateMode !== 'create') {
+      action = 'skip';
+      if (existingMatch && !duplicateInFile && duplicateMode !== 'skip') {
+        match = { leadId: existingMatch.id, matchedBy: email && existingByEmail.get(email) === existingMatch ? 'email' : 'phone' };
+        ({ patch, changes } = leadMergePatch(existingMatch, lead, providedLeadFields(row, headerMap), duplicateMode));
+        action = changes.length ? 'update' : 'unchanged';
+      }
+    }
+
+    const importable = errors.length === 0 && (action === 'create' || action === 'update');
 
     return {
       rowNumber: row.rowNumber,
       lead,
+      phone: phoneCheck && { e164: phoneCheck.e164, country: phoneCheck.country, countrySource: phoneCheck.countrySource, lineType: phoneCheck.lineType },
       errors,
       warnings,
       duplicate,
       importable,
-      status: errors.length ? 'error' : duplicate ? 'duplicate' : 'ready',
+      action: errors.length ? 'skip' : action,
+      match,
+      patch,
+      changes,
+      status: errors.length ? 'error' : action === 'skip' ? 'duplicate' : action === 'create' ? 'ready' : action,
     };
   });
 
@@ -302,12 +670,17 @@ export function buildLeadImportPreview(csvText, existingLeads = []) {
     totalRows: rows.length,
     validRows: rows.filter((row) => row.importable).length,
     duplicateRows: rows.filter((row) => row.duplicate).length,
+    createRows: rows.filter((row) => row.importable && row.action === 'create').length,
+    updateRows: rows.filter((row) => row.importable && row.action === 'update').length,
+    unchangedRows: rows.filter((row) => row.action === 'unchanged').length,
     errorRows: rows.filter((row) => row.errors.length > 0).length,
     skippedRows: rows.filter((row) => !row.importable).length,
   };
 
   return {
     headers: parsed.headers,
+    columns,
+    duplicateMode,
     rows,
     importableRows: rows.filter((row) => row.importable),
     summary,
@@ -0,0 +1,196 @@
+// Saved lead segments used as bulk email recipients.
+// functions/bulk-email-sender.ts carries a copy of these rules (reading
+// snake_case rows) and resolves the final recipient list itself, so the
+// preview here and the campaign it creates always agree on who is emailed.
+import { contactPolicyForLead } from './lead-import.js';
+
+export const SEGMENT_LEAD_STAGES = [
+  'new',
+  'attempting_contact',
+  'contacted',
+  'engaged',
+  'qualified',
+  'booking_offered',
+  'booked',
+  'callback_scheduled',
+  'nurture',
+  'not_interested_now',
+  'unqualified',
+  'closed_won',
+  'closed_lost',
+  'do_not_contact',
+];
+
+export const SEGMENT_OUTCOMES = [
+  'answered',
+  'no_answer',
+  'busy',
+  'voicemail_left',
+  'callback_requested',
+  'not_available',
+  'channel_switch_requested',
+  'not_interested_now',
+  'not_interested_final',
+  'wrong_number',
+  'opted_out',
+  'booked',
+  'failed',
+  'interrupted',
+  'needs_human_review',
+];
+
+export const SEGMENT_LAST_CONTACT_MODES = ['any', 'never', 'before', 'within'];
+export const SEGMENT_FIELD_OPERATORS = ['equals', 'contains', 'exists', 'missing'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function textList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(items.map((item) => String(item || '').trim().toLowerCase()).filter(Boolean))];
+}
+
+export function normalizeSegmentFilters(filters = {}) {
+  const lastContact = filters?.lastContact || {};
+  const days = Math.floor(Number(lastContact.days));
+  return {
+    stages: textList(filters?.stages).filter((stage) => SEGMENT_LEAD_STAGES.includes(stage)),
+    tags: textList(filters?.tags),
+    sources: textList(filters?.sources),
+    outcomes: textList(filters?.outcomes).filter((outcome) => SEGMENT_OUTCOMES.includes(outcome)),
+    lastContact: {
+      mode: SEGMENT_LAST_CONTACT_MODES.includes(lastContact.mode) ? lastContact.mode : 'any',
+      days: days > 0 ? days : 30,
+    },
+    customFields: (Array.isArray(filters?.customFields) ? filters.customFields : [])
+      .map((condition) => ({
+        key: String(condition?.key || '').trim(),
+        operator: SEGMENT_FIELD_OPERATORS.includes(condition?.operator) ? condition.operator : 'equals',
+        value: String(condition?.value ?? '').trim(),
+      }))
+      .filter((condition) => condition.key),
+  };
+}
+
+function leadTags(lead) {
+  const tags = lead?.tags;
+  if (Array.isArray(tags)) return textList(tags.map((tag) => (typeof tag === 'object' ? tag?.name || tag?.label : tag)));
+  return textList(tags);
+}
+
+function customFieldValue(fields, key) {
+  if (!fields || typeof fields !== 'object') return '';
+  const match = Object.keys(fields).find((name) => name === key)
+    || Object.keys(fields).find((name) => name.toLowerCase() === key.toLowerCase());
+  const value = match ? fields[match] : '';
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+function customFieldMatches(lead, condition) {
+  const value = customFieldValue(lead?.customFields, condition.key);
+  if (condition.operator === 'exists') return Boolean(value);
+  if (condition.operator === 'missing') return !value;
+  if (condition.operator === 'contains') return value.toLowerCase().includes(condition.value.toLowerCase());
+  return value.toLowerCase() === condition.value.toLowerCase();
+}
+
+function lastContactMatches(lead, lastContact, now) {
+  const contactedAt = lead?.lastContactedAt ? new Date(lead.lastContactedAt).getTime() : null;
+  const cutoff = now.getTime() - lastContact.days * DAY_MS;
+  if (lastContact.mode === 'never') return contactedAt === null;
+  if (lastContact.mode === 'before') return contactedAt === null || contactedAt < cutoff;
+  if (lastContact.mode === 'within') return contactedAt !== null && contactedAt >= cutoff;
+  return true;
+}
+
+// Every filter that is set must match; an empty filter matches every lead.
+export function leadMatchesSegment(lead, filters, { latestOutcome = null, now = new Date() } = {}) {
+  const segment = normalizeSegmentFilters(filters);
+  if (segment.stages.length && !segment.stages.includes(String(lead?.leadStage || '').toLowerCase())) return false;
+  if (segment.sources.length) {
+    const sources = textList([lead?.source, lead?.leadSource]);
+    if (!sources.some((source) => segment.sources.includes(source))) return false;
+  }
+  if (segment.tags.length) {
+    const tags = leadTags(lead);
+    if (!segment.tags.some((tag) => tags.includes(tag))) return false;
+  }
+  if (segment.outcomes.length && !segment.outcomes.includes(latestOutcome)) return false;
+  if (!lastContactMatches(lead, segment.lastContact, now)) return false;
+  return segment.customFields.every((condition) => customFieldMatches(lead, condition));
+}
+
+// Most recent lifecycle outcome for each lead, from events in any order.
+export function latestOutcomesByLead(events = []) {
+  const latest = new Map();
+  for (const event of events) {
+    if (!event?.leadId || !event.outcome) continue;
+    const current = latest.get(event.leadId);
+    if (!current || new Date(event.createdAt).getTime() > new Date(current.createdAt).getTime()) {
+      latest.set(event.leadId, event);
+    }
+  }
+  return new Map([...latest].map(([leadId, event]) => [leadId, event.outcome]));
+}
+
+function recipientName(lead) {
+  return lead.fullName || [lead.firstName, lead.lastName].filter(Boolean).join(' ') || null;
+}
+
+// Lead columns travel with the recipient so templates can merge them; the
+// lead's own custom fields win when the names collide.
+function recipientFields(lead) {
+  const columns = {
+    first_name: lead.firstName,
+    last_name: lead.lastName,
+    company: lead.company,
+    job_title: lead.jobTitle,
+    phone: lead.phone,
+    lead_stage: lead.leadStage,
+    lead_source: lead.leadSource,
+  };
+  return {
+    ...Object.fromEntries(Object.entries(columns).filter(([, value]) => value)),
+    ...(lead.customFields || {}),
+  };
+}
+
+// Archived leads never match. Matched leads without email consent, or that
+// opted out, are reported in `excluded` with the contact policy's reason.
+export function resolveSegmentRecipients(leads = [], filters = {}, { latestOutcomes = new Map(), now = new Date() } = {}) {
+  const segment = normalizeSegmentFilters(filters);
+  const matched = leads.filter((lead) => !lead?.archivedAt && leadMatchesSegment(lead, segment, {
+    latestOutcome: latestOutcomes.get(lead.id) || null,
+    now,
+  }));
+  const recipients = [];
+  const excluded = [];
+  const seen = new Set();
+
+  for (const lead of matched) {
+    const email = String(lead.email || '').trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      excluded.push({ leadId: lead.id, email: lead.email || '', reason: 'Missing email address' });
+      continue;
+    }
+    const policy = contactPolicyForLead(lead, 'email');
+    if (!policy.allowed) {
+      excluded.push({ leadId: lead.id, email, reason: policy.reason });
+      continue;
+    }
+    if (seen.has(email)) {
+      excluded.push({ leadId: lead.id, email, reason: 'Email already in this segment' });
+      continue;
+    }
+    seen.add(email);
+    recipients.push({ leadId: lead.id, email, name: recipientName(lead), customFields: recipientFields(lead) });
+  }
+
+  return { matchedCount: matched.length, recipients, excluded };
+}
+
+export function excludedReasonCounts(excluded = []) {
+  const counts = excluded.reduce((totals, row) => ({ ...totals, [row.reason]: (totals[row.reason] || 0) + 1 }), {});
+  return Object.entries(counts)
+    .map(([reason, count]) => ({ reason, count }))
+    .sort((left, right) => right.count - left.count || left.reason.localeCompare(right.reason));
+}
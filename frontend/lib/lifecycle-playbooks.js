@@ -0,0 +1,334 @@
+// Lifecycle playbooks: tenant-defined step graphs that the lifecycle
+// evaluator in functions/bob-queue-actions.ts runs per lead. The Function
+// carries a copy of advancePlaybook (Functions deploy as single files); keep
+// both in sync so the builder's validation matches what the evaluator does.
+
+export const PLAYBOOK_STEP_TYPES = ['send', 'wait', 'branch', 'escalate', 'stop'];
+
+export const PLAYBOOK_STEP_LABELS = {
+  send: 'Send',
+  wait: 'Wait',
+  branch: 'Branch',
+  escalate: 'Escalate',
+  stop: 'Stop',
+};
+
+export const PLAYBOOK_CHANNELS = ['call', 'sms', 'whatsapp', 'email'];
+
+// Outcomes that can start a playbook. Stop outcomes (booked, opted out, wrong
+// number, final no) always end automation before a playbook is consulted.
+export const PLAYBOOK_TRIGGER_OUTCOMES = [
+  'no_answer',
+  'busy',
+  'not_available',
+  'callback_requested',
+  'voicemail_left',
+  'channel_switch_requested',
+  'not_interested_now',
+  'answered',
+  'failed',
+  'needs_human_review',
+];
+
+export const PLAYBOOK_BRANCH_SOURCES = ['outcome', 'reply', 'intent'];
+
+export const PLAYBOOK_REPLY_VALUES = ['replied', 'no_reply'];
+
+export const PLAYBOOK_SEND_STAGES = ['attempting_contact', 'contacted', 'engaged', 'callback_scheduled', 'nurture'];
+
+export const PLAYBOOK_STOP_STAGES = ['contacted', 'engaged', 'nurture', 'not_interested_now', 'unqualified', 'closed_lost'];
+
+export const PLAYBOOK_WAIT_UNITS = ['hours', 'business_days'];
+
+const MAX_PLAYBOOK_STEPS = 40;
+const MAX_STEPS_PER_ADVANCE = 25;
+
+function cleanId(value) {
+  return String(value || '').trim();
+}
+
+export function nextPlaybookStepId(steps = []) {
+  const used = new Set(steps.map((step) => step.id));
+  let index = steps.length + 1;
+  while (used.has(`step_${index}`)) index += 1;
+  return `step_${index}`;
+}
+
+export function createPlaybookStep(type, id) {
+  if (type === 'send') return { id, type, label: '', channel: 'call', fallbackChannels: [], stage: 'attempting_contact', next: '' };
+  if (type === 'wait') return { id, type, label: '', amount: 1, unit: 'business_days', next: '' };
+  if (type === 'branch') return { id, type, label: '', on: 'outcome', cases: [{ value: 'no_answer', next: '' }], otherwise: '' };
+  if (type === 'escalate') return { id, type, label: '', reason: '' };
+  return { id, type: 'stop', label: '', stage: 'nurture', reason: '' };
+}
+
+function normalizeStep(step = {}) {
+  const base = { id: cleanId(step.id), type: step.type, label: String(step.label || '').trim() };
+  if (step.type === 'send') {
+    const channel = PLAYBOOK_CHANNELS.includes(step.channel) ? step.channel : 'call';
+    return {
+      ...base,
+      channel,
+      fallbackChannels: [...new Set((Array.isArray(step.fallbackChannels) ? step.fallbackChannels : []).filter((item) => PLAYBOOK_CHANNELS.includes(item) && item !== channel))],
+      stage: String(step.stage || 'attempting_contact'),
+      next: cleanId(step.next),
+    };
+  }
+  if (step.type === 'wait') {
+    return {
+      ...base,
+      amount: Number(step.amount) || 0,
+      unit: PLAYBOOK_WAIT_UNITS.includes(step.unit) ? step.unit : 'hours',
+      next: cleanId(step.next),
+    };
+  }
+  if (step.type === 'branch') {
+    return {
+      ...base,
+      on: PLAYBOOK_BRANCH_SOURCES.includes(step.on) ? step.on : 'outcome',
+      cases: (Array.isArray(step.cases) ? step.cases : []).map((row) => ({
+        value: String(row?.value || '').trim().toLowerCase(),
+        next: cleanId(row?.next),
+      })),
+      otherwise: cleanId(step.otherwise),
+    };
+  }
+  if (step.type === 'escalate') return { ...base, reason: String(step.reason || '').trim() };
+  return { ...base, stage: String(step.stage || 'contacted'), reason: String(step.reason || '').trim() };
+}
+
+export function normalizePlaybook(playbook = {}) {
+  const steps = (Array.isArray(playbook.steps) ? playbook.steps : [])
+    .filter((step) => PLAYBOOK_STEP_TYPES.includes(step?.type))
+    .map(normalizeStep);
+  return {
+    name: String(playbook.name || '').trim(),
+    description: String(playbook.description || '').trim(),
+    status: ['draft', 'active', 'archived'].includes(playbook.status) ? playbook.status : 'draft',
+    triggerOutcomes: [...new Set((Array.isArray(playbook.triggerOutcomes) ? playbook.triggerOutcomes : []).filter((outcome) => PLAYBOOK_TRIGGER_OUTCOMES.includes(outcome)))],
+    startStepId: cleanId(playbook.startStepId) || steps[0]?.id || '',
+    steps,
+  };
+}
+
+export function playbookStepTargets(step) {
+  if (!step) return [];
+  if (step.type === 'branch') {
+    return [
+      ...step.cases.map((row) => ({ label: row.value || '(empty)', target: row.next })),
+      { label: 'otherwise', target: step.otherwise },
+    ];
+  }
+  if (step.type === 'send' || step.type === 'wait') return [{ label: 'next', target: step.next }];
+  return [];
+}
+
+// Steps that can run back into themselves without a send or wait in between
+// would spin the evaluator; a cycle through either one is a deliberate retry
+// loop.
+function instantCycle(stepsById) {
+  const visiting = new Set();
+  const done = new Set();
+  const visit = (id) => {
+    const step = stepsById.get(id);
+    if (!step || done.has(id) || step.type === 'send' || step.type === 'wait') return null;
+    if (visiting.has(id)) return id;
+    visiting.add(id);
+    for (const edge of playbookStepTargets(step)) {
+      const found = edge.target ? visit(edge.target) : null;
+      if (found) return found;
+    }
+    visiting.delete(id);
+    done.add(id);
+    return null;
+  };
+  for (const step of stepsById.values()) {
+    const found = visit(step.id);
+    if (found) return found;
+  }
+  return null;
+}
+
+export function reachablePlaybookSteps(playbook) {
+  const stepsById = new Map(playbook.steps.map((step) => [step.id, step]));
+  const seen = new Set();
+  const queue = playbook.startStepId ? [playbook.startStepId] : [];
+  while (queue.length) {
+    const id = queue.shift();
+    if (seen.has(id) || !stepsById.has(id)) continue;
+    seen.add(id);
+    playbookStepTargets(stepsById.get(id)).forEach((edge) => edge.target && queue.push(edge.target));
+  }
+  return seen;
+}
+
+export function validatePlaybook(input = {}) {
+  const playbook = normalizePlaybook(input);
+  const errors = [];
+  const warnings = [];
+  const stepsById = new Map();
+  if (!playbook.name) errors.push('Give the playbook a name.');
+  if (!playbook.triggerOutcomes.length) errors.push('Choose at least one outcome that starts the playbook.');
+  if (!playbook.steps.length) errors.push('Add at least one step.');
+  if (playbook.steps.length > MAX_PLAYBOOK_STEPS) errors.push(`Playbooks can have at most ${MAX_PLAYBOOK_STEPS} steps.`);
+
+  for (const step of playbook.steps) {
+    if (!step.id) errors.push('Every step needs an id.');
+    else if (stepsById.has(step.id)) errors.push(`Step id ${step.id} is used twice.`);
+    else stepsById.set(step.id, step);
+  }
+  if (playbook.steps.length && !stepsById.has(playbook.startStepId)) errors.push('Choose the step the playbook starts with.');
+
+  for (const step of playbook.steps) {
+    const name = step.label || step.id;
+    for (const edge of playbookStepTargets(step)) {
+      if (edge.target && !stepsById.has(edge.target)) errors.push(`${name} points to missing step ${edge.target}.`);
+    }
+    if (step.type === 'send' && !PLAYBOOK_SEND_STAGES.includes(step.stage)) errors.push(`${name} sets an unknown lead stage.`);
+    if (step.type === 'stop' && !PLAYBOOK_STOP_STAGES.includes(step.stage)) errors.push(`${name} stops in an unknown lead stage.`);
+    if (step.type === 'wait') {
+      const max = step.unit === 'hours' ? 720 : 30;
+      if (step.amount <= 0 || step.amount > max) errors.push(`${name} must wait between 1 and ${max} ${step.unit === 'hours' ? 'hours' : 'business days'}.`);
+    }
+    if (step.type === 'branch') {
+      if (!step.cases.length) errors.push(`${name} needs at least one case.`);
+      if (step.cases.some((row) => !row.value)) errors.push(`${name} has a case without a value.`);
+      if (step.on === 'reply' && step.cases.some((row) => !PLAYBOOK_REPLY_VALUES.includes(row.value))) {
+        errors.push(`${name} can only match replied or no_reply.`);
+      }
+      if (!step.otherwise) warnings.push(`${name} ends the playbook when no case matches.`);
+    }
+  }
+
+  const cycle = instantCycle(stepsById);
+  if (cycle) errors.push(`Step ${cycle} loops back to itself without a send or wait in between.`);
+
+  const reachable = reachablePlaybookSteps(playbook);
+  playbook.steps
+    .filter((step) => step.id && !reachable.has(step.id))
+    .forEach((step) => warnings.push(`${step.label || step.id} is never reached from the start step.`));
+
+  return { playbook, errors, warnings, valid: errors.length === 0 };
+}
+
+// Columns for the builder: each step sits one column right of the first step
+// that reaches it, and unreachable steps collect in a last column.
+export function playbookColumns(input = {}) {
+  const playbook = normalizePlaybook(input);
+  const stepsById = new Map(playbook.steps.map((step) => [step.id, step]));
+  const depth = new Map();
+  const queue = stepsById.has(playbook.startStepId) ? [[playbook.startStepId, 0]] : [];
+  while (queue.length) {
+    const [id, level] = queue.shift();
+    if (depth.has(id) || !stepsById.has(id)) continue;
+    depth.set(id, level);
+    playbookStepTargets(stepsById.get(id)).forEach((edge) => edge.target && queue.push([edge.target, level + 1]));
+  }
+  const columns = [];
+  playbook.steps.forEach((step) => {
+    const level = depth.has(step.id) ? depth.get(step.id) : null;
+    if (level === null) return;
+    columns[level] = [...(columns[level] || []), step.id];
+  });
+  const unreachable = playbook.steps.filter((step) => !depth.has(step.id)).map((step) => step.id);
+  return [...columns.filter(Boolean), ...(unreachable.length ? [unreachable] : [])];
+}
+
+export function describePlaybookStep(step) {
+  if (!step) return 'End';
+  if (step.type === 'send') {
+    const fallbacks = step.fallbackChannels?.length ? ` (fallback ${step.fallbackChannels.join(', ')})` : '';
+    return `Send by ${step.channel}${fallbacks}`;
+  }
+  if (step.type === 'wait') return `Wait ${step.amount} ${step.unit === 'hours' ? 'hour' : 'business day'}${Number(step.amount) === 1 ? '' : 's'}`;
+  if (step.type === 'branch') return `Branch on ${step.on}`;
+  if (step.type === 'escalate') return 'Escalate to a person';
+  return `Stop in ${String(step.stage || 'contacted').replace(/_/g, ' ')}`;
+}
+
+function branchValue(on, context = {}) {
+  if (on === 'reply') return context.replied ? 'replied' : 'no_reply';
+  if (on === 'intent') return String(context.intent || '').trim().toLowerCase();
+  return String(context.outcome || '').trim().toLowerCase();
+}
+
+// Walks from stepId through branches until a step that acts: send, wait,
+// escalate or stop. The evaluator applies that effect, stores nextStepId on
+// the lead's run and calls this again when the next outcome, reply or wait
+// deadline arrives. context is { outcome, replied, intent }.
+export function advancePlaybook(input, stepId, context = {}) {
+  const playbook = normalizePlaybook(input);
+  const stepsById = new Map(playbook.steps.map((step) => [step.id, step]));
+  const trace = [];
+  let id = cleanId(stepId);
+  for (let walked = 0; walked < MAX_STEPS_PER_ADVANCE; walked += 1) {
+    if (!id) return { trace, effect: { type: 'end' }, nextStepId: null };
+    const step = stepsById.get(id);
+    if (!step) {
+      return { trace, effect: { type: 'error', reason: `Playbook step ${id} no longer exists.` }, nextStepId: null };
+    }
+    if (step.type === 'branch') {
+      const value = branchValue(step.on, context);
+      const match = step.cases.find((row) => row.value === value);
+      const target = match ? match.next : step.otherwise;
+      trace.push({ stepId: step.id, type: step.type, on: step.on, value: value || null, matched: match ? match.value : 'otherwise', next: target || null });
+      id = target;
+      continue;
+    }
+    trace.push({ stepId: step.id, type: step.type, description: describePlaybookStep(step) });
+    if (step.type === 'send') {
+      return {
+        trace,
+        effect: { type: 'send', stepId: step.id, channels: [step.channel, ...step.fallbackChannels], stage: step.stage },
+        nextStepId: step.next || null,
+      };
+    }
+    if (step.type === 'wait') {
+      return { trace, effect: { type: 'wait', stepId: step.id, amount: step.amount, unit: step.unit }, nextStepId: step.next || null };
+    }
+    if (step.type === 'escalate') {
+      return { trace, effect: { type: 'escalate', stepId: step.id, reason: step.reason }, nextStepId: null };
+    }
+    return { trace, effect: { type: 'stop', stepId: step.id, stage: step.stage, reason: step.reason }, nextStepId: null };
+  }
+  return { trace, effect: { type: 'error', reason: 'Playbook walked too many branches without acting.' }, nextStepId: null };
+}
+
+// Starting point for a new playbook: the default no-answer recovery as a
+// graph the tenant can reshape.
+export function starterPlaybook() {
+  return {
+    name: 'No-answer recovery',
+    description: 'Text after a missed call, call again the next business day, then move to nurture.',
+    status: 'draft',
+    triggerOutcomes: ['no_answer'],
+    startStepId: 'step_1',
+    steps: [
+      { id: 'step_1', type: 'send', label: 'Missed-call text', channel: 'sms', fallbackChannels: ['email'], stage: 'attempting_contact', next: 'step_2' },
+      { id: 'step_2', type: 'wait', label: '', amount: 1, unit: 'business_days', next: 'step_3' },
+      {
+        id: 'step_3',
+        type: 'branch',
+        label: 'Did they reply?',
+        on: 'reply',
+        cases: [{ value: 'replied', next: 'step_6' }],
+        otherwise: 'step_4',
+      },
+      { id: 'step_4', type: 'send', label: 'Second call', channel: 'call', fallbackChannels: [], stage: 'attempting_contact', next: 'step_5' },
+      {
+        id: 'step_5',
+        type: 'branch',
+        label: 'Call outcome',
+        on: 'outcome',
+        cases: [
+          { value: 'answered', next: 'step_6' },
+          { value: 'no_answer', next: 'step_7' },
+        ],
+        otherwise: 'step_8',
+      },
+      { id: 'step_6', type: 'stop', label: '', stage: 'contacted', reason: 'Lead responded; the conversation continues outside the playbook.' },
+      { id: 'step_7', type: 'stop', label: '', stage: 'nurture', reason: 'No answer after the playbook; move to nurture.' },
+      { id: 'step_8', type: 'escalate', label: '', reason: 'Unexpected call outcome; a person should decide the next step.' },
+    ],
+  };
+}
@@ -0,0 +1,76 @@
+// Lifecycle rule versions: the snapshot stored on every save and the diff
+// shown in the rules history. The snapshot field list must match
+// tenant_lifecycle_rules_snapshot() in the versioning migration, which builds
+// the baseline version for tenants that have never saved.
+
+export const LIFECYCLE_RULE_FIELDS = [
+  'maxCallAttempts',
+  'channelOrder',
+  'voicemailAllowed',
+  'emailFirstPolicy',
+  'noAnswerPolicy',
+  'busyPolicy',
+  'notAvailablePolicy',
+  'voicemailPolicy',
+  'nurturePolicy',
+  'humanReviewTriggers',
+  'humanEscalationPolicy',
+  'offDutyCallPolicy',
+  'contactWindowPolicy',
+];
+
+export const LIFECYCLE_RULE_FIELD_LABELS = {
+  maxCallAttempts: 'Max call attempts',
+  channelOrder: 'Channel order',
+  voicemailAllowed: 'Voicemail allowed',
+  emailFirstPolicy: 'Email-first call',
+  noAnswerPolicy: 'No-answer policy',
+  busyPolicy: 'Busy policy',
+  notAvailablePolicy: 'Not-available policy',
+  voicemailPolicy: 'Voicemail policy',
+  nurturePolicy: 'Nurture policy',
+  humanReviewTriggers: 'Human review triggers',
+  humanEscalationPolicy: 'Warm transfer',
+  offDutyCallPolicy: 'Off-duty calls',
+  contactWindowPolicy: 'Contact windows',
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function lifecycleRulesSnapshot(rules = {}) {
+  return Object.fromEntries(
+    LIFECYCLE_RULE_FIELDS
+      .filter((field) => rules?.[field] !== undefined)
+      .map((field) => [field, rules[field]])
+  );
+}
+
+// Changed leaves as dotted paths. Arrays are compared whole, since a
+// reordered channel list is one change, not one per position.
+export function diffLifecycleRules(before = {}, after = {}, prefix = '') {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys.flatMap((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const left = before?.[key];
+    const right = after?.[key];
+    if (isPlainObject(left) && isPlainObject(right)) return diffLifecycleRules(left, right, path);
+    if (JSON.stringify(left ?? null) === JSON.stringify(right ?? null)) return [];
+    return [{ path, before: left ?? null, after: right ?? null }];
+  });
+}
+
+function formatRuleValue(value) {
+  if (value === null || value === undefined || value === '') return 'not set';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : 'none';
+  if (typeof value === 'boolean') return value ? 'on' : 'off';
+  if (isPlainObject(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+export function describeRuleChange(change) {
+  const [field, ...rest] = String(change?.path || '').split('.');
+  const label = [LIFECYCLE_RULE_FIELD_LABELS[field] || field, ...rest].join(' › ');
+  return `${label}: ${formatRuleValue(change?.before)} → ${formatRuleValue(change?.after)}`;
+}
@@ -0,0 +1,222 @@
+// E.164 phone normalization for lead intake.
+// functions/meta-lead-intake.ts, functions/twilio-sms-webhook.ts and
+// functions/lead-import-job.ts carry a copy of this file's logic (Functions
+// deploy as single files); keep them in sync so imported, Facebook and SMS
+// leads match on the same phone key.
+
+const PHONE_COUNTRIES = [
+  { code: 'US', dial: '1', trunk: '1', lengths: [10], tollFree: /^8(00|33|44|55|66|77|88)/, premium: /^900/, names: ['united states', 'united states of america', 'usa', 'america'] },
+  { code: 'CA', dial: '1', trunk: '1', lengths: [10], tollFree: /^8(00|33|44|55|66|77|88)/, premium: /^900/, names: ['canada'] },
+  { code: 'GB', dial: '44', trunk: '0', lengths: [10], mobile: /^7[1-9]/, tollFree: /^80/, premium: /^9/, names: ['united kingdom', 'uk', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland'] },
+  { code: 'IE', dial: '353', trunk: '0', lengths: [7, 8, 9], mobile: /^8[3-9]/, tollFree: /^1800/, names: ['ireland', 'republic of ireland', 'eire'] },
+  { code: 'AU', dial: '61', trunk: '0', lengths: [9], mobile: /^4/, tollFree: /^1800/, names: ['australia'] },
+  { code: 'NZ', dial: '64', trunk: '0', lengths: [8, 9, 10], mobile: /^2/, tollFree: /^800/, names: ['new zealand'] },
+  { code: 'ZA', dial: '27', trunk: '0', lengths: [9], mobile: /^[678]/, tollFree: /^80/, names: ['south africa'] },
+  { code: 'NG', dial: '234', trunk: '0', lengths: [10], mobile: /^[789][01]/, names: ['nigeria'] },
+  { code: 'KE', dial: '254', trunk: '0', lengths: [9], mobile: /^[17]/, names: ['kenya'] },
+  { code: 'GH', dial: '233', trunk: '0', lengths: [9], mobile: /^[25]/, names: ['ghana'] },
+  { code: 'IN', dial: '91', trunk: '0', lengths: [10], mobile: /^[6-9]/, tollFree: /^1800/, names: ['india'] },
+  { code: 'DE', dial: '49', trunk: '0', lengths: [7, 8, 9, 10, 11], mobile: /^1[5-7]/, tollFree: /^800/, names: ['germany', 'deutschland'] },
+  { code: 'FR', dial: '33', trunk: '0', lengths: [9], mobile: /^[67]/, tollFree: /^80/, premium: /^89/, names: ['france'] },
+  { code: 'ES', dial: '34', lengths: [9], mobile: /^[67]/, tollFree: /^900/, names: ['spain', 'espana'] },
+  { code: 'IT', dial: '39', lengths: [6, 7, 8, 9, 10, 11], mobile: /^3/, tollFree: /^800/, names: ['italy', 'italia'] },
+  { code: 'NL', dial: '31', trunk: '0', lengths: [9], mobile: /^6/, tollFree: /^800/, names: ['netherlands', 'the netherlands', 'holland'] },
+  { code: 'BE', dial: '32', trunk: '0', lengths: [8, 9], mobile: /^4/, tollFree: /^800/, names: ['belgium'] },
+  { code: 'PT', dial: '351', lengths: [9], mobile: /^9/, tollFree: /^800/, names: ['portugal'] },
+  { code: 'SE', dial: '46', trunk: '0', lengths: [7, 8, 9], mobile: /^7/, names: ['sweden'] },
+  { code: 'CH', dial: '41', trunk: '0', lengths: [9], mobile: /^7[5-9]/, tollFree: /^800/, names: ['switzerland'] },
+  { code: 'PL', dial: '48', lengths: [9], names: ['poland'] },
+  { code: 'BR', dial: '55', trunk: '0', lengths: [10, 11], mobile: /^\d{2}9/, names: ['brazil', 'brasil'] },
+  { code: 'MX', dial: '52', lengths: [10], names: ['mexico'] },
+  { code: 'AE', dial: '971', trunk: '0', lengths: [8, 9], mobile: /^5/, tollFree: /^800/, names: ['united arab emirates', 'uae', 'dubai', 'abu dhabi'] },
+  { code: 'SG', dial: '65', lengths: [8], mobile: /^[89]/, tollFree: /^1800/, names: ['singapore'] },
+  { code: 'PH', dial: '63', trunk: '0', lengths: [10], mobile: /^9/, names: ['philippines'] },
+  { code: 'JP', dial: '81', trunk: '0', lengths: [9, 10], mobile: /^[789]0/, tollFree: /^120/, names: ['japan'] },
+];
+
+const US_REGIONS = new Set('AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY'.split(' '));
+const CA_REGIONS = new Set('AB BC MB NB NL NS NT NU ON PE QC SK YT'.split(' '));
+const UK_POSTCODE = /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/i;
+
+const BY_CODE = new Map(PHONE_COUNTRIES.map((country) => [country.code, country]));
+const DIAL_CODES = [...new Set(PHONE_COUNTRIES.map((country) => country.dial))].sort((a, b) => b.length - a.length);
+
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function countryFromSegment(segment) {
+  const raw = String(segment || '').trim();
+  if (/^[A-Za-z]{2}$/.test(raw)) {
+    const upper = raw.toUpperCase();
+    if (upper === 'UK') return 'GB';
+    if (BY_CODE.has(upper)) return upper;
+  }
+  const text = normalizeText(raw);
+  if (!text) return null;
+  const padded = ' ' + text + ' ';
+  for (const country of PHONE_COUNTRIES) {
+    if (country.names.some((name) => padded.includes(' ' + name + ' '))) return country.code;
+  }
+  return null;
+}
+
+// Reads a free-text country ("United Kingdom", "UK", "gb") as an ISO code.
+export function countryFromText(text) {
+  return countryFromSegment(text);
+}
+
+// Reads a lead location such as "Austin, TX", "Leeds LS1 4AP" or
+// "Lagos, Nigeria". Region codes are checked before ISO codes so "CA" and
+// "IN" read as US states.
+export function countryFromLocation(locationSummary) {
+  const location = String(locationSummary || '').trim();
+  if (!location) return null;
+  const segments = location.split(/[,/|]/).map((segment) => segment.trim()).filter(Boolean).reverse();
+
+  for (const segment of segments) {
+    const region = segment.match(/^([A-Za-z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/)?.[1]?.toUpperCase();
+    if (region && US_REGIONS.has(region)) return 'US';
+    if (region && CA_REGIONS.has(region)) return 'CA';
+    const country = countryFromSegment(segment);
+    if (country) return country;
+  }
+  if (UK_POSTCODE.test(location)) return 'GB';
+  return null;
+}
+
+function lineTypeFor(country, nationalNumber) {
+  if (country.tollFree?.test(nationalNumber)) return 'toll_free';
+  if (country.premium?.test(nationalNumber)) return 'premium';
+  if (!country.mobile) return 'fixed_line_or_mobile';
+  return country.mobile.test(nationalNumber) ? 'mobile' : 'fixed_line';
+}
+
+const LINE_TYPE_WARNINGS = {
+  fixed_line: 'Landline number: SMS and WhatsApp will not reach it',
+  toll_free: 'Toll-free number: it cannot receive SMS',
+  premium: 'Premium-rate number',
+};
+
+function countryForDial(dial, preferred) {
+  if (preferred && BY_CODE.get(preferred)?.dial === dial) return BY_CODE.get(preferred);
+  return PHONE_COUNTRIES.find((country) => country.dial === dial) || null;
+}
+
+function nationalFor(country, digits) {
+  if (country.trunk && digits.startsWith(country.trunk) && country.lengths.includes(digits.length - country.trunk.length)) {
+    return digits.slice(country.trunk.length);
+  }
+  return country.lengths.includes(digits.length) ? digits : null;
+}
+
+function stripExtension(value) {
+  return value.replace(/\s*(?:ext\.?|extension|x|#)\s*\d+\s*$/i, '');
+}
+
+/**
+ * Normalizes a phone number to E.164. Numbers written with + or 00 keep
+ * their country code; national numbers take the country from the lead's
+ * location, then the tenant's default country.
+ *
+ * Returns { e164, country, countrySource, nationalNumber, lineType,
+ * valid, warnings, error }. e164 is null when the number cannot be dialed.
+ */
+export function normalizePhoneNumber(value, options = {}) {
+  const input = stripExtension(String(value || '').trim().replace(/^(whatsapp|messenger|tel|sms):/i, ''));
+  const result = { input: String(value || ''), e164: null, country: null, countrySource: null, nationalNumber: null, lineType: null, valid: false, warnings: [], error: null };
+  let digits = input.replace(/\D/g, '');
+  if (!digits) {
+    result.error = 'Phone number is empty';
+    return result;
+  }
+
+  const locationCountry = options.country || countryFromLocation(options.locationSummary);
+  const defaultCountry = countryFromText(options.defaultCountry);
+  const inferred = locationCountry || defaultCountry;
+  let international = input.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  let country = null;
+  let nationalNumber = null;
+
+  if (international) {
+    const dial = DIAL_CODES.find((code) => digits.startsWith(code));
+    if (!dial) {
+      if (digits.length >= 8 && digits.length <= 15) {
+        result.e164 = '+' + digits;
+        result.valid = true;
+        result.countrySource = 'number';
+        result.warnings.push('Country code +' + digits.slice(0, 3) + ' could not be checked');
+      } else {
+        result.error = 'Phone number length is not valid';
+      }
+      return result;
+    }
+    country = countryForDial(dial, inferred);
+    nationalNumber = nationalFor(country, digits.slice(dial.length));
+    result.countrySource = 'number';
+    if (locationCountry && BY_CODE.get(locationCountry)?.dial !== dial) {
+      result.warnings.push('Number is for ' + country.code + ' but the lead is located in ' + locationCountry);
+    }
+  } else if (inferred) {
+    country = BY_CODE.get(inferred);
+    nationalNumber = nationalFor(country, digits);
+    result.countrySource = locationCountry ? 'location' : 'tenant';
+    // Already international, just missing the + (e.g. 447911123456).
+    if (!nationalNumber && digits.startsWith(country.dial)) {
+      nationalNumber = nationalFor(country, digits.slice(country.dial.length));
+    }
+  } else {
+    const dial = DIAL_CODES.find((code) => digits.startsWith(code) && countryForDial(code)?.lengths.includes(digits.length - code.length));
+    if (dial) {
+      country = countryForDial(dial);
+      nationalNumber = digits.slice(dial.length);
+      result.countrySource = 'number';
+    } else {
+      result.error = 'Phone number needs a country code: add +<code> or set the company country';
+      return result;
+    }
+  }
+
+  result.country = country.code;
+  if (!nationalNumber) {
+    result.error = 'Phone number length is not valid for ' + country.code;
+    return result;
+  }
+
+  result.nationalNumber = nationalNumber;
+  result.e164 = '+' + country.dial + nationalNumber;
+  result.lineType = lineTypeFor(country, nationalNumber);
+  result.valid = true;
+  if (LINE_TYPE_WARNINGS[result.lineType]) result.warnings.push(LINE_TYPE_WARNINGS[result.lineType]);
+  return result;
+}
+
+// Stable key for matching leads by phone: E.164 when the number can be
+// normalized, otherwise its digits.
+export function phoneMatchKey(value, options = {}) {
+  return normalizePhoneNumber(value, options).e164 || String(value || '').replace(/\D/g, '');
+}
+
+// Digit-only keys for the find_lead_import_matches lookup: E.164 without the
+// +, plus the national trunk form (07911...) older leads may be stored in.
+export function phoneLookupDigits(value, options = {}) {
+  const result = normalizePhoneNumber(value, options);
+  if (!result.e164) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits ? [digits] : [];
+  }
+  const keys = [result.e164.slice(1)];
+  const trunk = BY_CODE.get(result.country)?.trunk;
+  if (trunk && result.nationalNumber) keys.push(trunk + result.nationalNumber);
+  return [...new Set(keys)];
+}
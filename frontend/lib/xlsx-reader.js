@@ -0,0 +1,136 @@
+// Minimal XLSX reader for lead imports: unzips the workbook with the
+// platform's DecompressionStream and reads the first worksheet's cell values.
+// Formatting, formulas and dates are not interpreted; cached values are used.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  return String(value || '').replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function xmlAttribute(tag, name) {
+  const match = tag.match(new RegExp('\\s' + name + '="([^"]*)"'));
+  return match ? decodeXml(match[1]) : null;
+}
+
+function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset -= 1) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('The file is not a valid .xlsx workbook');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = new Map();
+  const decoder = new TextDecoder();
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('The .xlsx workbook is damaged');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error('The .xlsx workbook is damaged');
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    entries.set(name, { method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readZipText(entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  if (entry.method === 0) return new TextDecoder().decode(entry.data);
+  if (entry.method !== 8) throw new Error('Unsupported compression in .xlsx workbook');
+  const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+function columnIndex(reference) {
+  const letters = String(reference || '').match(/^[A-Z]+/i)?.[0]?.toUpperCase() || '';
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function textRuns(xml) {
+  return [...String(xml || '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((match) => decodeXml(match[1])).join('');
+}
+
+function parseSharedStrings(xml) {
+  if (!xml) return [];
+  return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((match) => textRuns(match[1]));
+}
+
+function cellValue(attributes, inner, sharedStrings) {
+  const type = xmlAttribute(attributes, 't');
+  if (type === 'inlineStr') return textRuns(inner);
+  const raw = decodeXml(inner.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? '');
+  if (type === 's') return sharedStrings[Number(raw)] ?? '';
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+  // Long phone numbers come back in exponent form (1.5551234567E10).
+  if ((!type || type === 'n') && /e/i.test(raw) && Number.isFinite(Number(raw))) return String(Number(raw));
+  return raw;
+}
+
+function parseSheetRows(xml, sharedStrings, maxRows = Infinity) {
+  const rows = [];
+  for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    if (rows.length >= maxRows) break;
+    const cells = [];
+    for (const cellMatch of String(rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = xmlAttribute(cellMatch[1], 'r');
+      const index = reference ? columnIndex(reference) : cells.length;
+      cells[index] = String(cellValue(cellMatch[1], cellMatch[2] || '', sharedStrings)).trim();
+    }
+    const filled = Array.from(cells, (value) => value ?? '');
+    if (filled.some((value) => value !== '')) {
+      rows.push({ rowNumber: Number(xmlAttribute(rowMatch[1], 'r')) || rows.length + 1, cells: filled });
+    }
+  }
+  return rows;
+}
+
+export async function readXlsxSheet(bytes, options = {}) {
+  const entries = readZipEntries(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  const workbook = await readZipText(entries, 'xl/workbook.xml');
+  if (!workbook) throw new Error('The file is not a valid .xlsx workbook');
+
+  const sheetTag = workbook.match(/<sheet\b[^>]*>/)?.[0] || '';
+  const relationId = xmlAttribute(sheetTag, 'r:id');
+  const relations = await readZipText(entries, 'xl/_rels/workbook.xml.rels') || '';
+  const relationTag = [...relations.matchAll(/<Relationship\b[^>]*>/g)]
+    .map((match) => match[0])
+    .find((tag) => xmlAttribute(tag, 'Id') === relationId);
+  const target = relationTag ? xmlAttribute(relationTag, 'Target') : 'worksheets/sheet1.xml';
+  const sheetPath = target.startsWith('/') ? target.slice(1) : 'xl/' + target.replace(/^\.\//, '');
+
+  const sheet = await readZipText(entries, sheetPath);
+  if (!sheet) throw new Error('The .xlsx workbook has no worksheet');
+  const sharedStrings = parseSharedStrings(await readZipText(entries, 'xl/sharedStrings.xml'));
+
+  return {
+    name: xmlAttribute(sheetTag, 'name') || 'Sheet1',
+    rows: parseSheetRows(sheet, sharedStrings, options.maxRows),
+  };
+}
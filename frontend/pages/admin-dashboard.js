@@ -33,7 +33,8 @@ import {
   Briefcase,
   Layers,
   Library,
-  RefreshCw
+  RefreshCw,
+  Download
 } from 'lucide-react';
 import { format } from 'date-fns';
 import { signOut, useAuth } from '../lib/auth';
@@ -45,9 +46,16 @@ import {
   getLeadConversationSummary,
   listCampaigns,
   listFeedback,
-  importLeadsFromCsv,
+  downloadLeadImportErrorReport,
+  fromDbRecord,
+  getLeadImportBatch,
+  listLeadImportBatches,
   listLeads,
   previewLeadCsvImport,
+  previewLeadImportRollback,
+  rollbackLeadImport,
+  saveLeadImportMapping,
+  uploadLeadImportFile,
   listMeetings,
   listTenantAgents,
   recordCallOutcome,
@@ -73,7 +81,67 @@ import {
   upsertBusinessNiche,
   upsertTenantKnowledgeAssignment,
 } from '../lib/insforge-product';
-import { invokeFunction } from '../lib/insforge-functions';
+import {
+  cancelLeadImportJob,
+  createLeadImportJob,
+  invokeFunction,
+  resumeLeadImportJob,
+} from '../lib/insforge-functions';
+import { IGNORE_COLUMN, LEAD_IMPORT_FIELDS, customFieldTarget, readLeadImportSample, resolveColumnMapping } from '../lib/lead-import';
+import LiveCallMonitor from '../components/LiveCallMonitor';
+
+const LEAD_IMPORT_DUPLICATE_MODES = [
+  ['skip', 'Skip existing leads'],
+  ['fill_empty', 'Update empty fields only'],
+  ['overwrite', 'Overwrite with file values'],
+  ['create', 'Create anyway'],
+];
+
+const PHONE_LINE_TYPE_LABELS = {
+  mobile: 'Mobile',
+  fixed_line: 'Landline',
+  fixed_line_or_mobile: 'Landline or mobile',
+  toll_free: 'Toll-free',
+  premium: 'Premium rate',
+};
+
+// Large files are previewed from their first rows; the import job checks
+// every row against the full lead list when it runs.
+const LEAD_IMPORT_PREVIEW_ROWS = 500;
+const LEAD_IMPORT_POLL_MS = 3000;
+
+const LEAD_IMPORT_JOB_LABELS = {
+  queued: 'Queued',
+  processing: 'Importing',
+  paused: 'Paused',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+  failed: 'Failed',
+  rolled_back: 'Rolled back',
+};
+
+function formatImportValue(value) {
+  if (value === null || value === undefined || value === '') return 'empty';
+  if (typeof value === 'object') return Array.isArray(value) ? value.join(', ') : JSON.stringify(value);
+  return String(value);
+}
+
+function leadImportReadyMessage(preview) {
+  const { createRows = 0, updateRows = 0 } = preview.summary;
+  if (preview.sampled) {
+    return 'Previewing the first ' + preview.summary.totalRows
+      + (preview.fileRowCount === null ? '' : ' of ' + preview.fileRowCount)
+      + ' rows; every row is checked when the import runs';
+  }
+  if (!preview.importableRows.length) {
+    return preview.duplicateMode === 'skip'
+      ? 'No valid, non-duplicate leads are ready to import'
+      : 'No valid new leads or lead updates are ready to import';
+  }
+  return [createRows ? createRows + ' new lead(s)' : '', updateRows ? updateRows + ' update(s)' : '']
+    .filter(Boolean)
+    .join(' and ') + ' ready to import';
+}
 
 export default function AdminDashboard() {
   const router = useRouter();
@@ -99,11 +167,18 @@ export default function AdminDashboard() {
   const [showAssignModal, setShowAssignModal] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
-  const [leadImportFileName, setLeadImportFileName] = useState('');
-  const [leadImportCsv, setLeadImportCsv] = useState('');
+  const [leadImportFile, setLeadImportFile] = useState(null);
+  const [leadImportSource, setLeadImportSource] = useState(null);
+  const [leadImportMapping, setLeadImportMapping] = useState({});
+  const [leadImportSaveMapping, setLeadImportSaveMapping] = useState(true);
+  const [leadImportDuplicateMode, setLeadImportDuplicateMode] = useState('skip');
   const [leadImportPreview, setLeadImportPreview] = useState(null);
   const [leadImportLoading, setLeadImportLoading] = useState(false);
   const [leadImportMessage, setLeadImportMessage] = useState('');
+  const [leadImportJobs, setLeadImportJobs] = useState([]);
+  const [leadImportRunningJobId, setLeadImportRunningJobId] = useState('');
+  const leadImportStopRef = useRef(false);
+  const [leadImportRollback, setLeadImportRollback] = useState(null);
   const [showDeleteAllLeadsModal, setShowDeleteAllLeadsModal] = useState(false);
   const [deleteAllLeadsConfirmation, setDeleteAllLeadsConfirmation] = useState('');
   const [deleteAllLeadsLoading, setDeleteAllLeadsLoading] = useState(false);
@@ -250,6 +325,7 @@ export default function AdminDashboard() {
       await Promise.all([
         fetchAiAgents(),
         fetchLeads(),
+        fetchLeadImportJobs(),
         fetchCampaigns(),
         fetchFeedback(),
         fetchBobActivity(),
@@ -480,6 +556,14 @@ export default function AdminDashboard() {
     }
   };
 
+  const fetchLeadImportJobs = async () => {
+    try {
+      setLeadImportJobs(await listLeadImportBatches(user, 10));
+    } catch (err) {
+      console.error('Error fetching lead imports:', err);
+    }
+  };
+
   const fetchLeads = async () => {
     try {
       const loadedLeads = await listLeads(user);
@@ -717,51 +801,201 @@ export default function AdminDashboard() {
     const file = event.target.files?.[0];
     setLeadImportMessage('');
     setLeadImportPreview(null);
-    setLeadImportCsv('');
-    setLeadImportFileName(file?.name || '');
+    setLeadImportSource(null);
+    setLeadImportMapping({});
+    setLeadImportFile(file || null);
 
     if (!file) return;
 
     try {
       setLeadImportLoading(true);
-      const text = await file.text();
-      const preview = await previewLeadCsvImport(user, text);
-      setLeadImportCsv(text);
+      const parsed = await readLeadImportSample(file, { maxRows: LEAD_IMPORT_PREVIEW_ROWS });
+      const preview = await previewLeadCsvImport(user, parsed, { duplicateMode: leadImportDuplicateMode, sampleRows: LEAD_IMPORT_PREVIEW_ROWS });
+      setLeadImportSource(parsed);
+      setLeadImportMapping(preview.mapping || {});
       setLeadImportPreview(preview);
-      setLeadImportMessage(preview.importableRows.length
-        ? preview.importableRows.length + ' lead(s) ready to import'
-        : 'No valid, non-duplicate leads are ready to import');
+      setLeadImportMessage(leadImportReadyMessage(preview) + (preview.savedMappingApplied ? ' · saved column mapping applied' : ''));
     } catch (err) {
       console.error('Error previewing lead import:', err);
-      setLeadImportMessage(err.message || 'Failed to preview CSV');
+      setLeadImportMessage(err.message || 'Failed to preview import file');
     } finally {
       setLeadImportLoading(false);
       event.target.value = '';
     }
   };
 
+  const handleLeadImportMappingChange = async (column, value) => {
+    if (!leadImportSource) return;
+    const target = value === 'custom' ? customFieldTarget(column.header) : (value || null);
+    const mapping = { ...leadImportMapping, [column.key]: target };
+
+    try {
+      setLeadImportLoading(true);
+      const preview = await previewLeadCsvImport(user, leadImportSource, { mapping, duplicateMode: leadImportDuplicateMode, sampleRows: LEAD_IMPORT_PREVIEW_ROWS });
+      setLeadImportMapping(mapping);
+      setLeadImportPreview(preview);
+      setLeadImportMessage(leadImportReadyMessage(preview));
+    } catch (err) {
+      console.error('Error updating lead import mapping:', err);
+      setLeadImportMessage(err.message || 'Failed to apply column mapping');
+    } finally {
+      setLeadImportLoading(false);
+    }
+  };
+
+  const handleLeadImportDuplicateModeChange = async (duplicateMode) => {
+    setLeadImportDuplicateMode(duplicateMode);
+    if (!leadImportSource) return;
+
+    try {
+      setLeadImportLoading(true);
+      const preview = await previewLeadCsvImport(user, leadImportSource, { mapping: leadImportMapping, duplicateMode, sampleRows: LEAD_IMPORT_PREVIEW_ROWS });
+      setLeadImportPreview(preview);
+      setLeadImportMessage(leadImportReadyMessage(preview));
+    } catch (err) {
+      console.error('Error updating lead import duplicate mode:', err);
+      setLeadImportMessage(err.message || 'Failed to apply duplicate handling');
+    } finally {
+      setLeadImportLoading(false);
+    }
+  };
+
+  const upsertLeadImportJob = (batch) => {
+    setLeadImportJobs((current) => [batch, ...current.filter((item) => item.id !== batch.id)]);
+  };
+
+  // The scheduled lead-import-job run does the importing; this only follows
+  // the job's progress until it finishes, pauses or is cancelled. Closing the
+  // tab does not stop the import.
+  const runLeadImportJob = async (batchId) => {
+    leadImportStopRef.current = false;
+    setLeadImportRunningJobId(batchId);
+    try {
+      let batch = await getLeadImportBatch(user, batchId);
+      upsertLeadImportJob(batch);
+      while (['queued', 'processing'].includes(batch.status) && !leadImportStopRef.current) {
+        setLeadImportMessage(LEAD_IMPORT_JOB_LABELS[batch.status] + ': ' + batch.processedRows + ' of ' + batch.totalRows + ' rows');
+        await new Promise((resolve) => setTimeout(resolve, LEAD_IMPORT_POLL_MS));
+        batch = await getLeadImportBatch(user, batchId);
+        upsertLeadImportJob(batch);
+      }
+
+      if (batch.status === 'completed') {
+        setLeadImportMessage(['Imported ' + batch.insertedRows + ' lead(s)', batch.updatedRows ? 'updated ' + batch.updatedRows : '', batch.skippedRows ? batch.skippedRows + ' row(s) skipped' : '']
+          .filter(Boolean)
+          .join(', '));
+      } else if (batch.status === 'paused') {
+        setLeadImportMessage('Import paused at row ' + batch.nextRow + (batch.lastError ? ': ' + batch.lastError : ''));
+      }
+      await fetchLeads();
+    } catch (err) {
+      console.error('Error running lead import:', err);
+      setLeadImportMessage((err.message || 'Lost track of the import') + '. Its progress is listed under Recent imports.');
+    } finally {
+      setLeadImportRunningJobId('');
+      await fetchLeadImportJobs();
+    }
+  };
+
   const handleImportPreviewedLeads = async () => {
-    if (!leadImportCsv || !leadImportPreview?.importableRows?.length) return;
+    if (!leadImportFile || !leadImportSource || !leadImportPreview) return;
 
     try {
       setLeadImportLoading(true);
-      const result = await importLeadsFromCsv(user, {
-        csvText: leadImportCsv,
-        fileName: leadImportFileName,
+      let savedMapping = null;
+      if (leadImportSaveMapping && leadImportSource.headers.length) {
+        savedMapping = await saveLeadImportMapping(user, { headers: leadImportSource.headers, mapping: leadImportMapping })
+          .catch((err) => console.warn('Lead import mapping was not saved:', err?.message || err));
+      }
+      const storageKey = await uploadLeadImportFile(user, leadImportFile, leadImportFile.name);
+      const { batch } = await createLeadImportJob(user, {
+        storageKey,
+        fileName: leadImportFile.name,
+        columns: resolveColumnMapping(leadImportSource.headers, leadImportMapping),
+        duplicateMode: leadImportDuplicateMode,
+        leadImportMappingId: savedMapping?.id || null,
       });
       setLeadImportPreview(null);
-      setLeadImportCsv('');
-      setLeadImportFileName('');
-      setLeadImportMessage('Imported ' + result.inserted.length + ' lead(s) and started Campaign #' + result.campaign.campaignNumber);
-      await fetchLeads();
+      setLeadImportSource(null);
+      setLeadImportMapping({});
+      setLeadImportFile(null);
+      setLeadImportLoading(false);
+      await runLeadImportJob(batch.id);
     } catch (err) {
       console.error('Error importing leads:', err);
-      setLeadImportMessage(err.message || 'Failed to import CSV');
+      setLeadImportMessage(err.message || 'Failed to import leads');
     } finally {
       setLeadImportLoading(false);
     }
   };
 
+  const handleResumeLeadImport = async (batch) => {
+    try {
+      upsertLeadImportJob(fromDbRecord((await resumeLeadImportJob(user, batch.id)).batch));
+      await runLeadImportJob(batch.id);
+    } catch (err) {
+      console.error('Error resuming lead import:', err);
+      setLeadImportMessage(err.message || 'Failed to resume import');
+    }
+  };
+
+  const handleCancelLeadImport = async (batch) => {
+    leadImportStopRef.current = true;
+    try {
+      upsertLeadImportJob(fromDbRecord((await cancelLeadImportJob(user, batch.id)).batch));
+      setLeadImportMessage('Import cancelled. Leads already imported were kept.');
+      await fetchLeads();
+    } catch (err) {
+      console.error('Error cancelling lead import:', err);
+      setLeadImportMessage(err.message || 'Failed to cancel import');
+    }
+  };
+
+  const handlePreviewLeadImportRollback = async (batch) => {
+    setLeadImportRollback({ batchId: batch.id, preview: null, loading: true });
+    try {
+      const preview = await previewLeadImportRollback(user, batch.id);
+      setLeadImportRollback({ batchId: batch.id, preview, loading: false });
+    } catch (err) {
+      console.error('Error previewing lead import rollback:', err);
+      setLeadImportRollback(null);
+      setLeadImportMessage(err.message || 'Failed to preview the import rollback');
+    }
+  };
+
+  const handleRollbackLeadImport = async () => {
+    if (!leadImportRollback?.preview) return;
+    setLeadImportRollback((current) => ({ ...current, loading: true }));
+    try {
+      const { summary, batch } = await rollbackLeadImport(user, leadImportRollback.batchId);
+      if (batch) upsertLeadImportJob(batch);
+      setLeadImportMessage(['Import rolled back: ' + summary.deleted + ' lead(s) removed', summary.archived ? summary.archived + ' archived' : '', summary.cancelledActions ? summary.cancelledActions + ' queued action(s) cancelled' : '']
+        .filter(Boolean)
+        .join(', '));
+      setLeadImportRollback(null);
+      await fetchLeads();
+    } catch (err) {
+      console.error('Error rolling back lead import:', err);
+      setLeadImportRollback((current) => current && { ...current, loading: false });
+      setLeadImportMessage(err.message || 'Failed to roll back the import');
+    }
+  };
+
+  const handleDownloadLeadImportErrors = async (batch) => {
+    try {
+      const blob = await downloadLeadImportErrorReport(batch);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = String(batch.fileName || 'lead-import').replace(/\.[^.]+$/, '') + '-errors.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading lead import errors:', err);
+      setLeadImportMessage(err.message || 'Failed to download the error report');
+    }
+  };
+
   const handleDeleteAllLeads = async () => {
     if (deleteAllLeadsConfirmation !== 'DELETE LEADS') return;
 
@@ -1335,19 +1569,30 @@ export default function AdminDashboard() {
                   <div>
                     <div className="flex items-center gap-2">
                       <UploadCloud className="h-5 w-5 text-accent" />
-                      <h3 className="text-sm font-semibold text-text-primary">CSV lead import</h3>
+                      <h3 className="text-sm font-semibold text-text-primary">Lead import</h3>
                     </div>
                     <p className="mt-1 text-xs text-text-muted">
-                      Upload leads with call, SMS, WhatsApp, and email permission approved by default. Explicit no/false values and duplicates are still respected.
+                      Upload CSV, TSV, semicolon-delimited or Excel (.xlsx) files with call, SMS, WhatsApp, and email permission approved by default. Explicit no/false values and duplicates are still respected.
                     </p>
                   </div>
                   <div className="flex flex-wrap items-center gap-2">
+                    <select
+                      value={leadImportDuplicateMode}
+                      onChange={(event) => handleLeadImportDuplicateModeChange(event.target.value)}
+                      disabled={leadImportLoading}
+                      className="ops-select h-9 text-sm"
+                      aria-label="Existing lead handling"
+                    >
+                      {LEAD_IMPORT_DUPLICATE_MODES.map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
                     <label className="ops-button-secondary inline-flex cursor-pointer items-center gap-2">
                       <FileText className="h-4 w-4" />
-                      <span>{leadImportLoading ? 'Reading...' : 'Choose CSV'}</span>
+                      <span>{leadImportLoading ? 'Reading...' : 'Choose file'}</span>
                       <input
                         type="file"
-                        accept=".csv,text/csv"
+                        accept=".csv,.tsv,.txt,.xlsx,text/csv,text/tab-separated-values,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
                         className="sr-only"
                         onChange={handleLeadImportFile}
                         disabled={leadImportLoading}
@@ -1356,7 +1601,7 @@ export default function AdminDashboard() {
                     <button
                       type="button"
                       onClick={handleImportPreviewedLeads}
-                      disabled={leadImportLoading || !leadImportPreview?.importableRows?.length}
+                      disabled={leadImportLoading || Boolean(leadImportRunningJobId) || !(leadImportPreview?.importableRows?.length || leadImportPreview?.sampled)}
                       className="ops-button-primary disabled:cursor-not-allowed disabled:opacity-60"
                     >
                       Import valid leads
@@ -1372,10 +1617,11 @@ export default function AdminDashboard() {
 
                 {leadImportPreview && (
                   <div className="mt-4 space-y-3">
-                    <div className="grid gap-3 sm:grid-cols-5">
+                    <div className="grid gap-3 sm:grid-cols-6">
                       {[
                         ['Rows', leadImportPreview.summary.totalRows],
-                        ['Ready', leadImportPreview.summary.validRows],
+                        ['New', leadImportPreview.summary.createRows],
+                        ['Updates', leadImportPreview.summary.updateRows],
                         ['Duplicates', leadImportPreview.summary.duplicateRows],
                         ['Errors', leadImportPreview.summary.errorRows],
                         ['Skipped', leadImportPreview.summary.skippedRows],
@@ -1387,6 +1633,63 @@ export default function AdminDashboard() {
                       ))}
                     </div>
 
+                    <div className="rounded-lg border border-border">
+                      <div className="flex flex-col gap-2 border-b border-border bg-surface-secondary px-3 py-2 sm:flex-row sm:items-center sm:justify-between">
+                        <div className="text-xs font-medium uppercase text-text-muted">
+                          Column mapping
+                          {leadImportSource?.format && (
+                            <span className="ml-2 normal-case text-text-muted">
+                              {leadImportSource.format.toUpperCase()}
+                              {leadImportSource.encoding ? ' · ' + leadImportSource.encoding : ''}
+                              {leadImportSource.sheetName ? ' · ' + leadImportSource.sheetName : ''}
+                            </span>
+                          )}
+                        </div>
+                        <label className="inline-flex items-center gap-2 text-xs text-text-secondary">
+                          <input
+                            type="checkbox"
+                            checked={leadImportSaveMapping}
+                            onChange={(event) => setLeadImportSaveMapping(event.target.checked)}
+                          />
+                          Save this mapping for the next import with these columns
+                        </label>
+                      </div>
+                      <div className="max-h-60 overflow-auto">
+                        <table className="min-w-full divide-y divide-border text-sm">
+                          <tbody className="divide-y divide-border bg-surface">
+                            {(leadImportPreview.columns || []).map((column) => (
+                              <tr key={column.index}>
+                                <td className="px-3 py-2">
+                                  <div className="font-medium text-text-primary">{column.header || 'Column ' + (column.index + 1)}</div>
+                                  <div className="max-w-xs truncate text-xs text-text-muted">
+                                    {leadImportSource?.rows?.find((row) => row.cells[column.index])?.cells[column.index] || 'No values'}
+                                  </div>
+                                </td>
+                                <td className="px-3 py-2">
+                                  <select
+                                    value={String(column.target || '').startsWith('custom:') ? 'custom' : (column.target || '')}
+                                    onChange={(event) => handleLeadImportMappingChange(column, event.target.value)}
+                                    disabled={leadImportLoading}
+                                    className="ops-select h-8 text-sm"
+                                  >
+                                    <option value="">Keep as imported data (AI context)</option>
+                                    {LEAD_IMPORT_FIELDS.map((item) => (
+                                      <option key={item.field} value={item.field}>{item.label}</option>
+                                    ))}
+                                    <option value="custom">Custom field: {column.header}</option>
+                                    <option value={IGNORE_COLUMN}>Ignore column</option>
+                                  </select>
+                                </td>
+                                <td className="whitespace-nowrap px-3 py-2 text-xs text-text-muted">
+                                  {column.origin === 'alias' ? 'Recognized' : column.origin === 'mapped' ? 'Mapped' : 'Unmapped'}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+
                     <div className="max-h-72 overflow-auto rounded-lg border border-border">
                       <table className="min-w-full divide-y divide-border text-sm">
                         <thead className="bg-surface-secondary">
@@ -1404,6 +1707,15 @@ export default function AdminDashboard() {
                               <td className="px-3 py-2">
                                 <div className="font-medium text-text-primary">{row.lead.fullName || row.lead.company || 'Unnamed lead'}</div>
                                 <div className="text-xs text-text-muted">{row.lead.email || row.lead.phone || 'No contact'}</div>
+                                {row.phone?.e164 && (
+                                  <div className="text-xs text-text-muted">
+                                    {row.lead.email ? row.phone.e164 + ' · ' : ''}
+                                    {row.phone.country || 'Unknown country'}
+                                    {row.phone.countrySource !== 'number' ? ' (from ' + row.phone.countrySource + ')' : ''}
+                                    {' · '}
+                                    {PHONE_LINE_TYPE_LABELS[row.phone.lineType] || 'Phone'}
+                                  </div>
+                                )}
                                 {Object.keys(row.lead.customFields?.importedLeadData || {}).length > 0 && (
                                   <div className="mt-1 text-xs text-info">
                                     {Object.keys(row.lead.customFields.importedLeadData).length} extra field(s) saved for AI context
@@ -1431,12 +1743,27 @@ export default function AdminDashboard() {
                                 <span className={'ops-badge ' + (
                                   row.status === 'ready'
                                     ? 'bg-success-soft text-success'
-                                    : row.status === 'duplicate'
-                                      ? 'bg-warning-soft text-warning'
-                                      : 'bg-error-soft text-error'
+                                    : row.status === 'update'
+                                      ? 'bg-info-soft text-info'
+                                      : row.status === 'duplicate' || row.status === 'unchanged'
+                                        ? 'bg-warning-soft text-warning'
+                                        : 'bg-error-soft text-error'
                                 )}>
                                   {row.status}
                                 </span>
+                                {row.changes?.length > 0 && (
+                                  <ul className="mt-1 space-y-0.5 text-xs text-text-secondary">
+                                    {row.changes.map((change) => (
+                                      <li key={change.field}>
+                                        <span className="font-medium">{change.field}</span>
+                                        {': '}
+                                        <span className="text-text-muted line-through">{formatImportValue(change.from)}</span>
+                                        {' → '}
+                                        <span>{formatImportValue(change.to)}</span>
+                                      </li>
+                                    ))}
+                                  </ul>
+                                )}
                                 {[...row.errors, ...row.warnings].length > 0 && (
                                   <div className="mt-1 text-xs text-text-muted">
                                     {[...row.errors, ...row.warnings].join(', ')}
@@ -1453,6 +1780,118 @@ export default function AdminDashboard() {
                     )}
                   </div>
                 )}
+
+                {leadImportJobs.length > 0 && (
+                  <div className="mt-4">
+                    <h4 className="text-xs font-medium uppercase text-text-muted">Recent imports</h4>
+                    <div className="mt-2 divide-y divide-border rounded-lg border border-border">
+                      {leadImportJobs.map((batch) => {
+                        const running = leadImportRunningJobId === batch.id;
+                        const progress = batch.totalRows ? Math.round((Number(batch.processedRows || 0) / batch.totalRows) * 100) : 0;
+                        return (
+                          <div key={batch.id} className="flex flex-col gap-2 px-3 py-2 text-sm sm:flex-row sm:flex-wrap sm:items-center sm:justify-between">
+                            <div className="min-w-0 flex-1">
+                              <div className="truncate font-medium text-text-primary">{batch.fileName || 'Lead import'}</div>
+                              <div className="text-xs text-text-muted">
+                                {LEAD_IMPORT_JOB_LABELS[batch.status] || batch.status}
+                                {' · '}
+                                {batch.storageKey ? Number(batch.processedRows || 0) + ' of ' : ''}
+                                {batch.totalRows} rows · {batch.insertedRows} new · {batch.updatedRows || 0} updated · {batch.skippedRows} skipped
+                                {batch.createdAt ? ' · ' + format(new Date(batch.createdAt), 'MMM d, HH:mm') : ''}
+                              </div>
+                              {['queued', 'processing', 'paused'].includes(batch.status) && batch.storageKey && (
+                                <div className="mt-1 h-1.5 w-full max-w-xs overflow-hidden rounded-full bg-surface-secondary">
+                                  <div className="h-full bg-accent" style={{ width: progress + '%' }} />
+                                </div>
+                              )}
+                              {batch.lastError && <div className="mt-1 text-xs text-error">{batch.lastError}</div>}
+                              {batch.status === 'rolled_back' && batch.rollbackSummary && (
+                                <div className="mt-1 text-xs text-text-muted">
+                                  {Number(batch.rollbackSummary.deleted || 0)} removed · {Number(batch.rollbackSummary.archived || 0)} archived · {Number(batch.rollbackSummary.cancelledActions || 0)} actions cancelled
+                                </div>
+                              )}
+                            </div>
+                            <div className="flex flex-wrap gap-2">
+                              {['paused', 'failed'].includes(batch.status) && batch.storageKey && !running && (
+                                <button
+                                  type="button"
+                                  onClick={() => handleResumeLeadImport(batch)}
+                                  disabled={Boolean(leadImportRunningJobId)}
+                                  className="ops-button-secondary h-8 px-3 text-xs disabled:cursor-not-allowed disabled:opacity-60"
+                                >
+                                  Resume
+                                </button>
+                              )}
+                              {['queued', 'processing', 'paused', 'failed'].includes(batch.status) && batch.storageKey && (
+                                <button
+                                  type="button"
+                                  onClick={() => handleCancelLeadImport(batch)}
+                                  className="ops-button-secondary h-8 px-3 text-xs"
+                                >
+                                  Cancel
+                                </button>
+                              )}
+                              {batch.errorReportKey && (
+                                <button
+                                  type="button"
+                                  onClick={() => handleDownloadLeadImportErrors(batch)}
+                                  className="ops-button-secondary inline-flex h-8 items-center gap-1 px-3 text-xs"
+                                >
+                                  <Download className="h-3.5 w-3.5" />
+                                  Error report
+                                </button>
+                              )}
+                              {['completed', 'cancelled', 'failed'].includes(batch.status) && Number(batch.insertedRows || 0) > 0 && !running && (
+                                <button
+                                  type="button"
+                                  onClick={() => handlePreviewLeadImportRollback(batch)}
+                                  disabled={Boolean(leadImportRunningJobId) || leadImportRollback?.batchId === batch.id}
+                                  className="ops-button-secondary h-8 px-3 text-xs disabled:cursor-not-allowed disabled:opacity-60"
+                                >
+                                  Undo import
+                                </button>
+                              )}
+                            </div>
+                            {leadImportRollback?.batchId === batch.id && (
+                              <div className="w-full rounded-lg border border-border bg-surface-secondary p-3 text-xs text-text-secondary sm:basis-full">
+                                {leadImportRollback.preview ? (
+                                  <>
+                                    <p>
+                                      {leadImportRollback.preview.leads} lead(s) from this import are still in your list.
+                                      {' '}{leadImportRollback.preview.withCalls} have calls, {leadImportRollback.preview.withMessages} have messages and {leadImportRollback.preview.withMeetings} have meetings.
+                                    </p>
+                                    <p className="mt-1">
+                                      {leadImportRollback.preview.toDelete} will be removed. {leadImportRollback.preview.toArchive} with activity will be archived and paused instead of deleted.
+                                      {' '}{leadImportRollback.preview.queuedActions} queued action(s) will be cancelled. Changes this import made to existing leads are kept.
+                                    </p>
+                                    <div className="mt-2 flex gap-2">
+                                      <button
+                                        type="button"
+                                        onClick={handleRollbackLeadImport}
+                                        disabled={leadImportRollback.loading}
+                                        className="ops-button-secondary h-8 px-3 text-xs text-error disabled:cursor-not-allowed disabled:opacity-60"
+                                      >
+                                        {leadImportRollback.loading ? 'Rolling back...' : 'Roll back import'}
+                                      </button>
+                                      <button
+                                        type="button"
+                                        onClick={() => setLeadImportRollback(null)}
+                                        disabled={leadImportRollback.loading}
+                                        className="ops-button-secondary h-8 px-3 text-xs disabled:cursor-not-allowed disabled:opacity-60"
+                                      >
+                                        Keep leads
+                                      </button>
+                                    </div>
+                                  </>
+                                ) : 'Checking lead activity...'}
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Filters */}
@@ -1579,6 +2018,11 @@ export default function AdminDashboard() {
                                   Do not contact
                                 </span>
                               )}
+                              {lead.archivedAt && (
+                                <span className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-700" title={lead.archivedReason || ''}>
+                                  Archived
+                                </span>
+                              )}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap">
                               <div className="flex flex-wrap gap-1">
@@ -1917,6 +2361,8 @@ export default function AdminDashboard() {
                 })}
               </div>
 
+              {['owner', 'admin'].includes(user?.tenantRole) && <LiveCallMonitor user={user} />}
+
               <div className="bg-white rounded-lg shadow overflow-hidden">
                 <div className="px-6 py-4 border-b border-gray-200 flex flex-col gap-3 lg:flex-row lg:items-center lg:justify-between">
                   <div>
@@ -15,18 +15,60 @@ import {
   Pause,
   Play,
   RotateCcw,
+  Save,
   Send,
   Trash2,
   Upload,
   Users,
+  ArrowDown,
+  ArrowUp,
 } from 'lucide-react';
 import { useAuth } from '../lib/auth';
 import {
+  deleteEmailTemplate,
   listBulkEmailCampaigns,
   listBulkEmailFailedRecipients,
+  listBulkEmailVariants,
+  listEmailTemplates,
+  listLeadSegments,
+  previewLeadSegment,
+  saveEmailTemplate,
+  saveLeadSegment,
 } from '../lib/insforge-product';
+import {
+  AB_TEST_DEFAULTS,
+  AB_TEST_VARIANT_LABELS,
+  pickAbTestWinner,
+  variantRates,
+} from '../lib/bulk-email-ab-test';
+import { normalizedTimeZone, scheduledTimeToUtc } from '../lib/bulk-email-schedule';
+import {
+  blocksFromLegacyTemplate,
+  blocksWithPrimaryText,
+  BUILT_IN_MERGE_FIELDS,
+  createTemplateBlock,
+  describeMergeFieldProblems,
+  EMAIL_BLOCK_LABELS,
+  EMAIL_BLOCK_TYPES,
+  LEAD_MERGE_FIELDS,
+  normalizeMergeKey,
+  normalizeTemplateBlocks,
+  primaryBlockText,
+  recipientMergeValues,
+  renderMergeFields,
+  renderTemplateHtml,
+  renderTemplateText,
+  validateMergeFields,
+} from '../lib/bulk-email-templates';
+import {
+  normalizeSegmentFilters,
+  SEGMENT_FIELD_OPERATORS,
+  SEGMENT_LEAD_STAGES,
+  SEGMENT_OUTCOMES,
+} from '../lib/lead-segments';
 import {
   createBulkEmailCampaign,
+  sendBulkEmailTest,
   tickBulkEmailCampaign,
   pauseBulkEmailCampaign,
   resumeBulkEmailCampaign,
@@ -42,59 +84,95 @@ const dashboardNav = [
   { label: 'Feedback', href: '/admin-dashboard?tab=feedback', icon: MessageSquare },
 ];
 
-const mergeTags = [
-  { label: 'Lead name', value: '{lead_name}' },
-  { label: 'Sender name', value: '{sender_name}' },
-];
-
 const templates = [
   {
     id: 'consultation',
     name: 'Consultation invite',
     badge: 'Booking',
     subject: 'Quick consultation for {lead_name}',
-    content: 'Thanks for showing interest. I wanted to follow up and help you choose the next best step.\n\nWe can review your request, answer questions, and confirm whether a consultation makes sense.',
-    ctaLabel: 'Book a consultation',
     headerNote: 'A personal note from {sender_name}',
-    signoff: 'Best,',
-    signatureName: '{sender_name}',
+    blocks: blocksFromLegacyTemplate({
+      content: 'Thanks for showing interest. I wanted to follow up and help you choose the next best step.\n\nWe can review your request, answer questions, and confirm whether a consultation makes sense.',
+      ctaLabel: 'Book a consultation',
+      signoff: 'Best,',
+      signatureName: '{sender_name}',
+    }),
   },
   {
     id: 'followup',
     name: 'Warm follow-up',
     badge: 'Followup',
     subject: 'Following up, {lead_name}',
-    content: 'I wanted to check in while your request is still fresh.\n\nIf you are still interested, we can help you compare options and move forward when the timing is right.',
-    ctaLabel: 'Reply with a good time',
     headerNote: 'A personal note from {sender_name}',
-    signoff: 'Talk soon,',
-    signatureName: '{sender_name}',
+    blocks: blocksFromLegacyTemplate({
+      content: 'I wanted to check in while your request is still fresh.\n\nIf you are still interested, we can help you compare options and move forward when the timing is right.',
+      ctaLabel: 'Reply with a good time',
+      signoff: 'Talk soon,',
+      signatureName: '{sender_name}',
+    }),
   },
   {
     id: 'reminder',
     name: 'Gentle reminder',
     badge: 'Nurture',
     subject: 'Still interested, {lead_name}?',
-    content: 'Just a quick reminder that we are available if you still want help with this.\n\nNo pressure. Reply when convenient and we can pick up from where you left off.',
-    ctaLabel: 'Continue the conversation',
     headerNote: 'A personal note from {sender_name}',
-    signoff: 'Thanks,',
-    signatureName: '{sender_name}',
+    blocks: blocksFromLegacyTemplate({
+      content: 'Just a quick reminder that we are available if you still want help with this.\n\nNo pressure. Reply when convenient and we can pick up from where you left off.',
+      ctaLabel: 'Continue the conversation',
+      signoff: 'Thanks,',
+      signatureName: '{sender_name}',
+    }),
   },
 ];
 
+const sampleRecipient = { email: 'avery@example.com', name: 'Avery Stone', customFields: {} };
+const previewSender = { senderName: 'SetMyMeet', senderEmail: 'hello@setmymeet.ca', unsubscribeUrl: '#unsubscribe' };
+
 const statusTones = {
   completed: 'bg-success-soft text-success',
   sending: 'bg-info-soft text-info',
   queued: 'bg-info-soft text-info',
+  scheduled: 'bg-accent-soft text-accent',
   paused: 'bg-warning-soft text-warning',
   failed: 'bg-error-soft text-error',
 };
 
+const scheduleDefaults = { mode: 'now', scheduledAt: '', hourlyLimit: '', dailyLimit: '' };
+
+const throttleLabels = {
+  hourly: 'hourly cap',
+  daily: 'daily cap',
+  warmup: 'sender warm-up',
+};
+
+function formatZonedTime(value, timeZone) {
+  return new Date(value).toLocaleString([], {
+    timeZone: normalizedTimeZone(timeZone),
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
 function applyToken(value, token) {
   return `${value || ''}${token}`;
 }
 
+function savedTemplateOption(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    badge: 'Saved',
+    saved: true,
+    subject: row.subject,
+    headerNote: row.headerNote || '',
+    blocks: normalizeTemplateBlocks(row.blocks),
+    mergeFallbacks: row.mergeFallbacks || {},
+  };
+}
+
 function normalizeCsvHeader(value) {
   return String(value || '')
     .replace(/^\uFEFF/, '')
@@ -133,15 +211,20 @@ function findHeaderIndex(headers, aliases) {
   return headers.findIndex((header) => aliases.includes(header));
 }
 
-function hasLeadNameToken(form) {
-  return [
-    form.subject,
-    form.content,
-    form.ctaLabel,
-    form.headerNote,
-    form.signoff,
-    form.signatureName,
-  ].some((value) => String(value || '').includes('{lead_name}'));
+// Variant A is the main subject and first paragraphs block; B to D only swap
+// those two.
+function formVariants(form) {
+  return [{ subject: form.subject, content: primaryBlockText(form.blocks) }, ...(form.variants || [])]
+    .map((variant, index) => ({
+      ...form,
+      subject: variant.subject,
+      blocks: blocksWithPrimaryText(form.blocks, variant.content),
+      label: AB_TEST_VARIANT_LABELS[index],
+    }));
+}
+
+function formatPercent(rate) {
+  return `${Math.round(rate * 1000) / 10}%`;
 }
 
 function compactName(...parts) {
@@ -153,78 +236,14 @@ function emptyFormFromTemplate(template = templates[0]) {
     name: '',
     subject: template.subject,
     templateId: template.id,
-    content: template.content,
-    ctaLabel: template.ctaLabel,
     headerNote: template.headerNote,
-    ctaUrl: '',
-    signoff: template.signoff,
-    signatureName: template.signatureName,
+    blocks: template.blocks.map((block) => ({ ...block })),
+    mergeFallbacks: { ...(template.mergeFallbacks || {}) },
+    variants: [],
+    abTest: { ...AB_TEST_DEFAULTS },
   };
 }
 
-function escapeHtml(value) {
-  return String(value || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
-function applyPreviewTokens(value) {
-  return String(value || '')
-    .replace(/{lead_name}/g, 'Avery')
-    .replace(/{leadName}/g, 'Avery')
-    .replace(/{name}/g, 'Avery')
-    .replace(/{sender_name}/g, 'SetMyMeet')
-    .replace(/{sender_email}/g, 'hello@setmymeet.ca')
-    .replace(/{company_name}/g, 'SetMyMeet');
-}
-
-function buildPlainText(form) {
-  const parts = [
-    `Hi {lead_name},`,
-    form.content,
-    form.ctaUrl ? `${form.ctaLabel}: ${form.ctaUrl}` : form.ctaLabel,
-    `${form.signoff}\n${form.signatureName || '{sender_name}'}`,
-  ];
-  return parts.filter(Boolean).join('\n\n');
-}
-
-function buildEmailHtml(form) {
-  const contentHtml = String(form.content || '')
-    .split(/\n{2,}/)
-    .map((paragraph) => paragraph.trim())
-    .filter(Boolean)
-    .map((paragraph) => `<p style="margin:0 0 16px;color:#4b5565;font-size:15px;line-height:24px;">${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
-    .join('');
-  const cta = form.ctaUrl
-    ? `<a href="${escapeHtml(form.ctaUrl)}" style="display:inline-block;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:8px;padding:12px 18px;font-size:14px;font-weight:700;">${escapeHtml(form.ctaLabel)}</a>`
-    : `<span style="display:inline-block;background:#dbeafe;color:#1d4ed8;border-radius:999px;padding:8px 12px;font-size:13px;font-weight:700;">${escapeHtml(form.ctaLabel)}</span>`;
-
-  return `<!doctype html>
-<html>
-  <body style="margin:0;background:#f6f7fb;padding:24px;font-family:Inter,Arial,sans-serif;">
-    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:640px;margin:0 auto;background:#ffffff;border:1px solid #e3e8ef;border-radius:12px;overflow:hidden;">
-      <tr>
-        <td style="background:#121926;padding:26px 30px;">
-          <div style="color:#ffffff;font-size:20px;font-weight:800;line-height:26px;">${escapeHtml(form.subject)}</div>
-          ${form.headerNote ? `<div style="color:#cdd5df;font-size:13px;line-height:20px;margin-top:6px;">${escapeHtml(form.headerNote)}</div>` : ''}
-        </td>
-      </tr>
-      <tr>
-        <td style="padding:30px;">
-          <p style="margin:0 0 18px;color:#121926;font-size:16px;line-height:24px;font-weight:700;">Hi {lead_name},</p>
-          ${contentHtml}
-          <div style="margin:0 0 26px;">${cta}</div>
-          <p style="margin:0;color:#4b5565;font-size:15px;line-height:24px;">${escapeHtml(form.signoff)}<br><strong style="color:#121926;">${escapeHtml(form.signatureName || '{sender_name}')}</strong></p>
-        </td>
-      </tr>
-    </table>
-  </body>
-</html>`;
-}
-
 function reusableTemplateFromCampaign(campaign) {
   const saved = campaign?.metadata?.bulkEmailTemplate;
   if (saved && typeof saved === 'object') {
@@ -232,12 +251,11 @@ function reusableTemplateFromCampaign(campaign) {
       name: campaign.name ? `${campaign.name} resend` : '',
       subject: saved.subject || campaign.subject || '',
       templateId: saved.templateId || templates[0].id,
-      content: saved.content || '',
-      ctaLabel: saved.ctaLabel || '',
       headerNote: saved.headerNote || '',
-      ctaUrl: saved.ctaUrl || '',
-      signoff: saved.signoff || '',
-      signatureName: saved.signatureName || '{sender_name}',
+      blocks: Array.isArray(saved.blocks) ? normalizeTemplateBlocks(saved.blocks) : blocksFromLegacyTemplate(saved),
+      mergeFallbacks: saved.mergeFallbacks || campaign.mergeFallbacks || {},
+      variants: Array.isArray(saved.variants) ? saved.variants : [],
+      abTest: { ...AB_TEST_DEFAULTS, ...(saved.abTest || {}) },
     };
   }
 
@@ -248,7 +266,7 @@ function reusableTemplateFromCampaign(campaign) {
   const withoutGreeting = parts[0]?.toLowerCase().startsWith('hi ') ? parts.slice(1) : parts;
   const signatureBlock = withoutGreeting[withoutGreeting.length - 1] || '';
   const signatureLines = signatureBlock.split('\n').map((line) => line.trim()).filter(Boolean);
-  const signoff = signatureLines.length > 1 ? signatureLines.slice(0, -1).join(' ') : templates[0].signoff;
+  const signoff = signatureLines.length > 1 ? signatureLines.slice(0, -1).join(' ') : 'Best,';
   const signatureName = signatureLines.length > 1 ? signatureLines[signatureLines.length - 1] : campaign?.fromName || '{sender_name}';
   const ctaPart = withoutGreeting.length > 1 ? withoutGreeting[withoutGreeting.length - 2] : '';
   const ctaMatch = ctaPart?.match(/^(.+?):\s*(https?:\/\/\S+)$/);
@@ -262,12 +280,17 @@ function reusableTemplateFromCampaign(campaign) {
     name: campaign?.name ? `${campaign.name} resend` : '',
     subject: campaign?.subject || templates[0].subject,
     templateId: templates[0].id,
-    content: withoutGreeting.slice(0, contentEnd).join('\n\n') || campaign?.bodyText || templates[0].content,
-    ctaLabel: ctaMatch?.[1] || ctaPart || templates[0].ctaLabel,
     headerNote: headerNoteMatch?.[1] || '',
-    ctaUrl: ctaMatch?.[2] || '',
-    signoff,
-    signatureName,
+    blocks: blocksFromLegacyTemplate({
+      content: withoutGreeting.slice(0, contentEnd).join('\n\n') || campaign?.bodyText || primaryBlockText(templates[0].blocks),
+      ctaLabel: ctaMatch?.[1] || ctaPart || 'Book a consultation',
+      ctaUrl: ctaMatch?.[2] || '',
+      signoff,
+      signatureName,
+    }),
+    mergeFallbacks: {},
+    variants: [],
+    abTest: { ...AB_TEST_DEFAULTS },
   };
 }
 
@@ -308,60 +331,436 @@ function Sidebar({ router }) {
   );
 }
 
+const emptySegmentFilters = {
+  stages: [],
+  tags: '',
+  sources: '',
+  outcomes: [],
+  lastContact: { mode: 'any', days: 30 },
+  customFields: [],
+};
+
+function segmentLabel(value) {
+  return String(value || '').replace(/_/g, ' ');
+}
+
+function segmentFiltersForEditing(filters = {}) {
+  const normalized = normalizeSegmentFilters(filters);
+  return {
+    ...normalized,
+    tags: normalized.tags.join(', '),
+    sources: normalized.sources.join(', '),
+  };
+}
+
+function ToggleChips({ options, selected, disabled, onChange }) {
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      {options.map((option) => {
+        const active = selected.includes(option);
+        return (
+          <button
+            key={option}
+            type="button"
+            disabled={disabled}
+            className={`rounded-full border px-2.5 py-1 text-xs font-medium capitalize ${active ? 'border-accent bg-accent-soft text-accent' : 'border-border text-text-secondary'}`}
+            onClick={() => onChange(active ? selected.filter((item) => item !== option) : [...selected, option])}
+          >
+            {segmentLabel(option)}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+function SegmentFiltersEditor({ filters, disabled, onChange }) {
+  const update = (patch) => onChange({ ...filters, ...patch });
+  const updateCondition = (index, patch) => update({
+    customFields: filters.customFields.map((condition, position) => (position === index ? { ...condition, ...patch } : condition)),
+  });
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1">
+        <span className="text-xs font-semibold uppercase text-text-secondary">Stage</span>
+        <ToggleChips options={SEGMENT_LEAD_STAGES} selected={filters.stages} disabled={disabled} onChange={(stages) => update({ stages })} />
+      </div>
+      <div className="space-y-1">
+        <span className="text-xs font-semibold uppercase text-text-secondary">Latest lifecycle outcome</span>
+        <ToggleChips options={SEGMENT_OUTCOMES} selected={filters.outcomes} disabled={disabled} onChange={(outcomes) => update({ outcomes })} />
+      </div>
+      <div className="grid gap-3 sm:grid-cols-2">
+        <label className="space-y-1">
+          <span className="text-xs font-semibold uppercase text-text-secondary">Tags (any of)</span>
+          <input className="ops-input" value={filters.tags} disabled={disabled} onChange={(event) => update({ tags: event.target.value })} placeholder="vip, spring-expo" />
+        </label>
+        <label className="space-y-1">
+          <span className="text-xs font-semibold uppercase text-text-secondary">Sources (any of)</span>
+          <input className="ops-input" value={filters.sources} disabled={disabled} onChange={(event) => update({ sources: event.target.value })} placeholder="csv_import, meta_lead_ads" />
+        </label>
+      </div>
+      <div className="grid gap-3 sm:grid-cols-[minmax(0,1fr)_120px]">
+        <label className="space-y-1">
+          <span className="text-xs font-semibold uppercase text-text-secondary">Last contacted</span>
+          <select
+            className="ops-select"
+            value={filters.lastContact.mode}
+            disabled={disabled}
+            onChange={(event) => update({ lastContact: { ...filters.lastContact, mode: event.target.value } })}
+          >
+            <option value="any">Any time</option>
+            <option value="never">Never contacted</option>
+            <option value="before">Not in the last N days</option>
+            <option value="within">Within the last N days</option>
+          </select>
+        </label>
+        {['before', 'within'].includes(filters.lastContact.mode) ? (
+          <label className="space-y-1">
+            <span className="text-xs font-semibold uppercase text-text-secondary">Days</span>
+            <input
+              className="ops-input"
+              type="number"
+              min="1"
+              value={filters.lastContact.days}
+              disabled={disabled}
+              onChange={(event) => update({ lastContact: { ...filters.lastContact, days: event.target.value } })}
+            />
+          </label>
+        ) : null}
+      </div>
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-xs font-semibold uppercase text-text-secondary">Custom fields</span>
+          <button
+            type="button"
+            className="text-xs font-semibold text-accent"
+            disabled={disabled}
+            onClick={() => update({ customFields: [...filters.customFields, { key: '', operator: 'equals', value: '' }] })}
+          >
+            Add condition
+          </button>
+        </div>
+        {filters.customFields.map((condition, index) => (
+          <div key={index} className="grid gap-2 sm:grid-cols-[minmax(0,1fr)_120px_minmax(0,1fr)_32px]">
+            <input className="ops-input" value={condition.key} disabled={disabled} onChange={(event) => updateCondition(index, { key: event.target.value })} placeholder="Field" />
+            <select className="ops-select" value={condition.operator} disabled={disabled} onChange={(event) => updateCondition(index, { operator: event.target.value })}>
+              {SEGMENT_FIELD_OPERATORS.map((operator) => (
+                <option key={operator} value={operator}>{operator}</option>
+              ))}
+            </select>
+            <input
+              className="ops-input"
+              value={condition.value}
+              disabled={disabled || ['exists', 'missing'].includes(condition.operator)}
+              onChange={(event) => updateCondition(index, { value: event.target.value })}
+              placeholder="Value"
+            />
+            <button
+              type="button"
+              className="ops-button-secondary h-9 w-8 px-0 text-error"
+              title="Remove condition"
+              disabled={disabled}
+              onClick={() => update({ customFields: filters.customFields.filter((_, position) => position !== index) })}
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function mergeFieldLabel(key) {
+  return BUILT_IN_MERGE_FIELDS.find((field) => field.key === key)?.label || key.replace(/_/g, ' ');
+}
+
+function MergeFieldSelect({ fields, disabled, onInsert }) {
+  return (
+    <select
+      className="ops-select h-7 w-36 py-0 text-xs"
+      value=""
+      disabled={disabled}
+      onChange={(event) => {
+        if (event.target.value) onInsert(`{${event.target.value}}`);
+      }}
+      title="Insert a merge field"
+    >
+      <option value="">Insert field</option>
+      {fields.map((key) => (
+        <option key={key} value={key}>{mergeFieldLabel(key)}</option>
+      ))}
+    </select>
+  );
+}
+
+function TemplateBlocksEditor({ blocks, fields, disabled, onChange }) {
+  const update = (index, patch) => onChange(blocks.map((block, position) => (position === index ? { ...block, ...patch } : block)));
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= blocks.length) return;
+    const next = [...blocks];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      {blocks.map((block, index) => (
+        <div key={index} className="space-y-2 rounded-lg border border-border bg-surface p-3">
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-xs font-semibold uppercase text-text-secondary">{EMAIL_BLOCK_LABELS[block.type]}</span>
+            <div className="flex items-center gap-1">
+              {['greeting', 'heading', 'text'].includes(block.type) ? (
+                <MergeFieldSelect fields={fields} disabled={disabled} onInsert={(token) => update(index, { text: applyToken(block.text, token) })} />
+              ) : null}
+              <button type="button" className="ops-button-secondary h-7 w-7 px-0" title="Move up" disabled={disabled || index === 0} onClick={() => move(index, -1)}>
+                <ArrowUp className="h-3.5 w-3.5" />
+              </button>
+              <button type="button" className="ops-button-secondary h-7 w-7 px-0" title="Move down" disabled={disabled || index === blocks.length - 1} onClick={() => move(index, 1)}>
+                <ArrowDown className="h-3.5 w-3.5" />
+              </button>
+              <button
+                type="button"
+                className="ops-button-secondary h-7 w-7 px-0 text-error"
+                title="Remove block"
+                disabled={disabled}
+                onClick={() => onChange(blocks.filter((_, position) => position !== index))}
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            </div>
+          </div>
+          {block.type === 'greeting' || block.type === 'heading' ? (
+            <input className="ops-input" value={block.text} disabled={disabled} onChange={(event) => update(index, { text: event.target.value })} />
+          ) : null}
+          {block.type === 'text' ? (
+            <textarea
+              className="ops-input min-h-28 resize-y py-2 leading-6"
+              value={block.text}
+              disabled={disabled}
+              onChange={(event) => update(index, { text: event.target.value })}
+              placeholder="Separate paragraphs with a blank line."
+            />
+          ) : null}
+          {block.type === 'button' ? (
+            <div className="grid gap-2 sm:grid-cols-2">
+              <input className="ops-input" value={block.label} disabled={disabled} onChange={(event) => update(index, { label: event.target.value })} placeholder="Button label" />
+              <input className="ops-input" value={block.url} disabled={disabled} onChange={(event) => update(index, { url: event.target.value })} placeholder="https://..." />
+            </div>
+          ) : null}
+          {block.type === 'signature' ? (
+            <div className="grid gap-2 sm:grid-cols-2">
+              <input className="ops-input" value={block.signoff} disabled={disabled} onChange={(event) => update(index, { signoff: event.target.value })} placeholder="Best," />
+              <input className="ops-input" value={block.name} disabled={disabled} onChange={(event) => update(index, { name: event.target.value })} placeholder="{sender_name}" />
+            </div>
+          ) : null}
+          {block.type === 'divider' ? <hr className="border-border" /> : null}
+        </div>
+      ))}
+      <select
+        className="ops-select"
+        value=""
+        disabled={disabled}
+        onChange={(event) => {
+          if (event.target.value) onChange([...blocks, createTemplateBlock(event.target.value)]);
+        }}
+      >
+        <option value="">Add a block</option>
+        {EMAIL_BLOCK_TYPES.map((type) => (
+          <option key={type} value={type}>{EMAIL_BLOCK_LABELS[type]}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// Every field the template uses, whether recipients can fill it, and the
+// default sent when one cannot.
+function MergeFieldsPanel({ check, fallbacks, recipientCount, disabled, onChange }) {
+  const systemKeys = BUILT_IN_MERGE_FIELDS.filter((field) => field.system).map((field) => field.key);
+  const fields = check.fields.filter((field) => !systemKeys.includes(field.key));
+  if (!fields.length) return null;
+  const missingCounts = Object.fromEntries(check.missing.map((row) => [row.key, row.count]));
+
+  return (
+    <div className="space-y-2 rounded-lg border border-border bg-surface-secondary p-3">
+      <div>
+        <span className="text-xs font-semibold uppercase text-text-secondary">Merge fields</span>
+        <p className="text-xs text-text-muted">
+          {recipientCount ? `Checked against ${recipientCount} recipient(s).` : 'Add recipients to check every field has a value.'}
+        </p>
+      </div>
+      {fields.map((field) => {
+        const unknown = check.unknown.includes(field.key);
+        const missing = missingCounts[field.key] || 0;
+        return (
+          <div key={field.key} className="grid items-center gap-2 sm:grid-cols-[minmax(0,1fr)_minmax(0,1fr)]">
+            <div className="min-w-0">
+              <p className="truncate font-mono text-xs text-text-primary">{`{${field.key}}`}</p>
+              <p className={`text-xs ${unknown ? 'text-error' : missing ? 'text-warning' : 'text-text-muted'}`}>
+                {unknown
+                  ? 'Not a recipient column or lead field'
+                  : field.fallback
+                    ? `Inline fallback "${field.fallback}"`
+                    : String(fallbacks[field.key] || '').trim()
+                      ? 'Empty values use the fallback'
+                      : missing
+                        ? `${missing} recipient(s) have no value`
+                        : 'Every recipient has a value'}
+              </p>
+            </div>
+            <input
+              className="ops-input"
+              value={fallbacks[field.key] || ''}
+              disabled={disabled || unknown || Boolean(field.fallback)}
+              onChange={(event) => onChange({ ...fallbacks, [field.key]: event.target.value })}
+              placeholder="Fallback when empty"
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function CampaignVariantStats({ campaign, variants }) {
+  const abTest = campaign.abTest || {};
+  const leader = campaign.winnerVariantId
+    ? variants.find((variant) => variant.id === campaign.winnerVariantId)
+    : pickAbTestWinner(variants.filter((variant) => Number(variant.sentCount || 0) > 0), abTest.winnerMetric).variant;
+  const decideAt = campaign.abTestSentAt
+    ? new Date(new Date(campaign.abTestSentAt).getTime() + Number(abTest.waitMinutes || 0) * 60000)
+    : null;
+  let phase = `Testing on ${abTest.testPercent}% of the list`;
+  if (campaign.winnerVariantId) {
+    phase = `Winner ${leader?.label || ''} by ${abTest.winnerMetric === 'click' ? 'click' : 'open'} rate${abTest.winnerTie ? ' (tied, first variant kept)' : ''}`;
+  } else if (decideAt) {
+    phase = `Picking the winner after ${decideAt.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`;
+  }
+
+  return (
+    <div className="mt-2 space-y-1">
+      <p className="text-xs font-medium text-text-secondary">{phase}</p>
+      {variants.map((variant) => {
+        const rates = variantRates(variant);
+        const isLeader = leader?.id === variant.id;
+        return (
+          <div key={variant.id} className="flex items-center gap-2 text-xs text-text-muted">
+            <span className={`ops-badge ${isLeader ? 'bg-success-soft text-success' : 'bg-surface-secondary text-text-secondary'}`}>{variant.label}</span>
+            <span className="max-w-[12rem] truncate">{variant.subject}</span>
+            <span className="whitespace-nowrap">
+              {variant.sentCount} sent in the test · {formatPercent(rates.openRate)} open · {formatPercent(rates.clickRate)} click
+            </span>
+            {variant.isWinner ? <span className="font-semibold text-success">Winner</span> : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 export default function BulkEmailPage() {
   const router = useRouter();
   const { user, isAuthenticated, loading: authLoading } = useAuth();
   const [campaigns, setCampaigns] = useState([]);
+  const [campaignVariants, setCampaignVariants] = useState([]);
   const [selectedCampaign, setSelectedCampaign] = useState(null);
   const [failedRecipients, setFailedRecipients] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [notice, setNotice] = useState('');
   const [csvFile, setCsvFile] = useState(null);
-  const [csvPreview, setCsvPreview] = useState([]);
-  const [recipientsCount, setRecipientsCount] = useState(0);
+  const [csvRecipients, setCsvRecipients] = useState([]);
   const [submitting, setSubmitting] = useState(false);
   const [csvError, setCsvError] = useState('');
   const [cancelTarget, setCancelTarget] = useState(null);
-  const tickIntervalRef = useRef(null);
+  const pollIntervalRef = useRef(null);
   const [form, setForm] = useState(() => emptyFormFromTemplate());
+  const [schedule, setSchedule] = useState(() => ({ ...scheduleDefaults }));
   const [reusedCampaignId, setReusedCampaignId] = useState('');
+  const [previewVariantIndex, setPreviewVariantIndex] = useState(0);
+  const [recipientSource, setRecipientSource] = useState('csv');
+  const [segments, setSegments] = useState([]);
+  const [segmentId, setSegmentId] = useState('');
+  const [segmentName, setSegmentName] = useState('');
+  const [segmentFilters, setSegmentFilters] = useState(() => ({ ...emptySegmentFilters }));
+  const [segmentPreview, setSegmentPreview] = useState(null);
+  const [segmentBusy, setSegmentBusy] = useState(false);
+  const [savedTemplates, setSavedTemplates] = useState([]);
+  const [templateName, setTemplateName] = useState('');
+  const [templateBusy, setTemplateBusy] = useState(false);
+  const [previewRecipientIndex, setPreviewRecipientIndex] = useState('');
+  const [testSending, setTestSending] = useState(false);
 
   const activeCampaign = campaigns.find((campaign) => ['queued', 'sending'].includes(campaign.status));
   const hasActiveCampaign = Boolean(activeCampaign);
-  const selectedTemplate = templates.find((template) => template.id === form.templateId) || templates[0];
+  const hasPendingWork = campaigns.some((campaign) => ['scheduled', 'queued', 'sending'].includes(campaign.status));
+  const tenantTimezone = normalizedTimeZone(user?.tenant?.defaultTimezone || 'America/Toronto');
+  const templateOptions = useMemo(() => [...templates, ...savedTemplates.map(savedTemplateOption)], [savedTemplates]);
+  const selectedTemplate = templateOptions.find((template) => template.id === form.templateId) || templates[0];
   const reusableCampaigns = useMemo(
     () => campaigns.filter((campaign) => campaign.status === 'completed' || Number(campaign.sentCount || 0) > 0),
     [campaigns]
   );
-  const bodyText = useMemo(() => buildPlainText(form), [form]);
-  const bodyHtml = useMemo(() => buildEmailHtml(form), [form]);
-  const previewHtml = useMemo(() => applyPreviewTokens(bodyHtml), [bodyHtml]);
+  const bodyText = useMemo(() => renderTemplateText(form), [form]);
+  const bodyHtml = useMemo(() => renderTemplateHtml(form), [form]);
+  const variantForms = useMemo(() => formVariants(form), [form]);
+  const currentRecipients = useMemo(
+    () => (recipientSource === 'segment' ? segmentPreview?.recipients || [] : csvRecipients),
+    [csvRecipients, recipientSource, segmentPreview]
+  );
+  // Segment recipients carry the lead columns; a CSV only has its own headers.
+  const mergeFieldOptions = useMemo(() => {
+    const keys = new Set(BUILT_IN_MERGE_FIELDS.map((field) => field.key));
+    if (recipientSource === 'segment') LEAD_MERGE_FIELDS.forEach((key) => keys.add(key));
+    currentRecipients.forEach((recipient) => Object.keys(recipient.customFields || {}).forEach((key) => keys.add(normalizeMergeKey(key))));
+    return [...keys].filter(Boolean);
+  }, [currentRecipients, recipientSource]);
+  const mergeCheck = useMemo(() => validateMergeFields(
+    [form.headerNote, ...variantForms.flatMap((variant) => [variant.subject, renderTemplateText(variant)])],
+    {
+      recipients: currentRecipients,
+      availableFields: recipientSource === 'segment' ? LEAD_MERGE_FIELDS : [],
+      fallbacks: form.mergeFallbacks,
+    }
+  ), [currentRecipients, form.headerNote, form.mergeFallbacks, recipientSource, variantForms]);
+  const previewForm = variantForms[previewVariantIndex] || variantForms[0];
+  const previewRecipient = (previewRecipientIndex !== '' && currentRecipients[Number(previewRecipientIndex)]) || sampleRecipient;
+  const previewValues = useMemo(() => recipientMergeValues(previewRecipient, previewSender), [previewRecipient]);
+  const previewHtml = useMemo(
+    () => renderMergeFields(renderTemplateHtml(previewForm), previewValues, { fallbacks: form.mergeFallbacks, escape: true }),
+    [form.mergeFallbacks, previewForm, previewValues]
+  );
+  const variantsByCampaign = useMemo(() => campaignVariants.reduce((groups, variant) => {
+    groups[variant.campaignId] = [...(groups[variant.campaignId] || []), variant];
+    return groups;
+  }, {}), [campaignVariants]);
+  const recipientTotal = currentRecipients.length;
   const sendingCount = campaigns.filter((campaign) => ['queued', 'sending'].includes(campaign.status)).length;
   const totalRecipients = campaigns.reduce((sum, campaign) => sum + Number(campaign.recipientCount || 0), 0);
 
+  const refreshCampaigns = useCallback(async () => {
+    const list = await listBulkEmailCampaigns(user);
+    setCampaigns(list);
+    const abCampaignIds = list.filter((campaign) => campaign.abTest?.enabled).map((campaign) => campaign.id);
+    setCampaignVariants(await listBulkEmailVariants(user, abCampaignIds));
+  }, [user]);
+
   const loadData = useCallback(async () => {
     try {
       setLoading(true);
-      const list = await listBulkEmailCampaigns(user);
-      setCampaigns(list);
+      await refreshCampaigns();
+      setSegments(await listLeadSegments(user));
+      setSavedTemplates(await listEmailTemplates(user));
     } catch (err) {
       console.error('Failed to load campaigns:', err);
       setError('Could not load bulk email campaigns');
     } finally {
       setLoading(false);
     }
-  }, [user]);
-
-  const triggerTick = useCallback(async (campaignId) => {
-    try {
-      await tickBulkEmailCampaign(campaignId);
-      const list = await listBulkEmailCampaigns(user);
-      setCampaigns(list);
-    } catch (err) {
-      console.error('Error ticking campaign:', err);
-    }
-  }, [user]);
+  }, [refreshCampaigns, user]);
 
   useEffect(() => {
     if (authLoading) return;
@@ -376,20 +775,22 @@ export default function BulkEmailPage() {
     loadData();
   }, [authLoading, isAuthenticated, loadData, router, user]);
 
+  // Sending runs on the server scheduler; the page only polls for progress.
   useEffect(() => {
-    if (['queued', 'sending'].includes(activeCampaign?.status)) {
-      if (tickIntervalRef.current) clearInterval(tickIntervalRef.current);
-      triggerTick(activeCampaign.id);
-      tickIntervalRef.current = setInterval(() => triggerTick(activeCampaign.id), 5000);
-    } else if (tickIntervalRef.current) {
-      clearInterval(tickIntervalRef.current);
-      tickIntervalRef.current = null;
+    if (hasPendingWork) {
+      if (pollIntervalRef.current) clearInterval(pollIntervalRef.current);
+      pollIntervalRef.current = setInterval(() => {
+        refreshCampaigns().catch((err) => console.error('Error refreshing campaigns:', err));
+      }, 15000);
+    } else if (pollIntervalRef.current) {
+      clearInterval(pollIntervalRef.current);
+      pollIntervalRef.current = null;
     }
 
     return () => {
-      if (tickIntervalRef.current) clearInterval(tickIntervalRef.current);
+      if (pollIntervalRef.current) clearInterval(pollIntervalRef.current);
     };
-  }, [activeCampaign?.id, activeCampaign?.status, triggerTick]);
+  }, [hasPendingWork, refreshCampaigns]);
 
   const parseCsv = (text) => {
     setCsvError('');
@@ -434,10 +835,6 @@ export default function BulkEmailPage() {
         customFields,
       };
     }).filter((recipient) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient.email || ''));
-    if (hasLeadNameToken(form) && parsed.some((recipient) => !recipient.name)) {
-      setCsvError('Each recipient must have a lead name column because this campaign uses {lead_name}. Accepted headers include name, lead name, full name, first name, and last name.');
-      return [];
-    }
     if (!parsed.length) setCsvError('No valid email addresses found.');
     return parsed;
   };
@@ -448,89 +845,255 @@ export default function BulkEmailPage() {
     setCsvFile(file);
     try {
       const parsed = parseCsv(await file.text());
-      setCsvPreview(parsed.slice(0, 5));
-      setRecipientsCount(parsed.length);
+      setCsvRecipients(parsed);
+      setPreviewRecipientIndex('');
     } catch {
       setCsvError('Failed to read CSV file.');
     }
   };
 
   const handleTemplateChange = (templateId) => {
-    const template = templates.find((item) => item.id === templateId) || templates[0];
+    const template = templateOptions.find((item) => item.id === templateId) || templates[0];
     setForm((current) => ({
       ...current,
-      templateId,
+      templateId: template.id,
       subject: template.subject,
-      content: template.content,
-      ctaLabel: template.ctaLabel,
       headerNote: template.headerNote,
-      signoff: template.signoff,
-      signatureName: template.signatureName,
+      blocks: template.blocks.map((block) => ({ ...block })),
+      mergeFallbacks: { ...(template.mergeFallbacks || {}) },
     }));
+    setTemplateName(template.saved ? template.name : '');
     setReusedCampaignId('');
   };
 
+  const handleSaveTemplate = async () => {
+    try {
+      setTemplateBusy(true);
+      setError(null);
+      const saved = await saveEmailTemplate(user, {
+        id: selectedTemplate.saved ? selectedTemplate.id : undefined,
+        name: templateName,
+        subject: form.subject,
+        headerNote: form.headerNote,
+        blocks: form.blocks,
+        mergeFallbacks: form.mergeFallbacks,
+      });
+      setSavedTemplates(await listEmailTemplates(user));
+      if (saved?.id) setForm((current) => ({ ...current, templateId: saved.id }));
+      setNotice(`Saved template "${saved?.name || templateName}".`);
+    } catch (err) {
+      setError(err?.message || 'Failed to save template');
+    } finally {
+      setTemplateBusy(false);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    if (!selectedTemplate.saved) return;
+    try {
+      setTemplateBusy(true);
+      setError(null);
+      await deleteEmailTemplate(user, selectedTemplate.id);
+      setSavedTemplates(await listEmailTemplates(user));
+      setForm((current) => ({ ...current, templateId: templates[0].id }));
+      setTemplateName('');
+      setNotice(`Deleted template "${selectedTemplate.name}". The draft keeps its content.`);
+    } catch (err) {
+      setError(err?.message || 'Failed to delete template');
+    } finally {
+      setTemplateBusy(false);
+    }
+  };
+
+  const handleSendTest = async () => {
+    try {
+      setTestSending(true);
+      setError(null);
+      const result = await sendBulkEmailTest(user, {
+        subject: previewForm.subject,
+        bodyText: renderTemplateText(previewForm),
+        bodyHtml: renderTemplateHtml(previewForm),
+        mergeFallbacks: form.mergeFallbacks,
+        recipient: previewRecipient,
+      });
+      setNotice(`Test email sent to ${result?.sentTo || 'your inbox'}.`);
+    } catch (err) {
+      setError(err?.message || 'Failed to send test email');
+    } finally {
+      setTestSending(false);
+    }
+  };
+
+  const changeSegmentFilters = (filters) => {
+    setSegmentFilters(filters);
+    setSegmentPreview(null);
+  };
+
+  const selectSegment = (id) => {
+    const segment = segments.find((item) => item.id === id);
+    setSegmentId(id);
+    setSegmentName(segment?.name || '');
+    setSegmentFilters(segment ? segmentFiltersForEditing(segment.filters) : { ...emptySegmentFilters });
+    setSegmentPreview(null);
+  };
+
+  const handlePreviewSegment = async () => {
+    try {
+      setSegmentBusy(true);
+      setError(null);
+      setSegmentPreview(await previewLeadSegment(user, segmentFilters));
+      setPreviewRecipientIndex('');
+    } catch (err) {
+      setError(err?.message || 'Failed to preview segment');
+    } finally {
+      setSegmentBusy(false);
+    }
+  };
+
+  const handleSaveSegment = async () => {
+    try {
+      setSegmentBusy(true);
+      setError(null);
+      const saved = await saveLeadSegment(user, { id: segmentId || undefined, name: segmentName, filters: segmentFilters });
+      setSegments(await listLeadSegments(user));
+      setSegmentId(saved?.id || '');
+      setNotice(`Saved segment "${saved?.name || segmentName}".`);
+    } catch (err) {
+      setError(err?.message || 'Failed to save segment');
+    } finally {
+      setSegmentBusy(false);
+    }
+  };
+
   const loadReusableCampaign = (campaign) => {
     if (!campaign || hasActiveCampaign || submitting) return;
     setForm(reusableTemplateFromCampaign(campaign));
     setReusedCampaignId(campaign.id);
+    setPreviewVariantIndex(0);
     setCsvFile(null);
-    setCsvPreview([]);
-    setRecipientsCount(0);
+    setCsvRecipients([]);
     setCsvError('');
-    setNotice(`Loaded "${campaign.name}" as a reusable campaign. Upload a new CSV batch to send it again.`);
+    setNotice(`Loaded "${campaign.name}" as a reusable campaign. Upload a new CSV batch or pick a lead segment to send it again.`);
     setError(null);
     if (typeof window !== 'undefined') {
       window.scrollTo({ top: 0, behavior: 'smooth' });
     }
   };
 
+  const updateVariant = (index, patch) => {
+    setForm((current) => ({
+      ...current,
+      variants: current.variants.map((variant, position) => (position === index ? { ...variant, ...patch } : variant)),
+    }));
+  };
+
+  const addVariant = () => {
+    setForm((current) => ({
+      ...current,
+      variants: [...current.variants, { subject: current.subject, content: primaryBlockText(current.blocks) }].slice(0, AB_TEST_VARIANT_LABELS.length - 1),
+    }));
+  };
+
+  const removeVariant = (index) => {
+    setForm((current) => ({ ...current, variants: current.variants.filter((_, position) => position !== index) }));
+    setPreviewVariantIndex(0);
+  };
+
   const handleCreate = async (event) => {
     event.preventDefault();
     if (hasActiveCampaign) return;
-    if (!form.name || !form.subject || !form.content || !form.ctaLabel || !form.signatureName) {
-      setError('Complete the campaign and template fields.');
+    if (!form.name || !form.subject || !primaryBlockText(form.blocks).trim()) {
+      setError('Complete the campaign name, subject and message.');
       return;
     }
-    if (!csvFile || recipientsCount === 0) {
+    if (recipientSource === 'csv' && (!csvFile || csvRecipients.length === 0)) {
       setError('Upload a valid recipient CSV.');
       return;
     }
+    if (recipientSource === 'segment' && !recipientTotal) {
+      setError('Preview a lead segment with at least one lead who can be emailed.');
+      return;
+    }
+    if (form.variants.some((variant) => !variant.subject || !variant.content)) {
+      setError('Every A/B variant needs a subject and a message.');
+      return;
+    }
+    if (form.variants.length && recipientTotal < variantForms.length) {
+      setError('An A/B test needs at least one recipient per variant.');
+      return;
+    }
+    if (!mergeCheck.valid) {
+      setError(describeMergeFieldProblems(mergeCheck));
+      return;
+    }
+    const scheduledAt = schedule.mode === 'later' ? scheduledTimeToUtc(schedule.scheduledAt, tenantTimezone) : null;
+    if (schedule.mode === 'later' && (!scheduledAt || scheduledAt.getTime() <= Date.now())) {
+      setError('Pick a send time in the future.');
+      return;
+    }
 
     try {
       setSubmitting(true);
       setError(null);
       setNotice('');
-      const recipients = parseCsv(await csvFile.text());
+      const recipientPayload = recipientSource === 'segment'
+        ? { segmentId: segmentId || undefined, segment: { filters: segmentFilters } }
+        : { recipients: csvRecipients };
       const result = await createBulkEmailCampaign(user, {
         name: form.name,
         subject: form.subject,
         bodyText,
         bodyHtml,
+        scheduledAt: scheduledAt ? schedule.scheduledAt : null,
+        hourlyLimit: Number(schedule.hourlyLimit) || null,
+        dailyLimit: Number(schedule.dailyLimit) || null,
+        ...(form.variants.length
+          ? {
+              variants: variantForms.map((variant) => ({
+                subject: variant.subject,
+                bodyText: renderTemplateText(variant),
+                bodyHtml: renderTemplateHtml(variant),
+              })),
+              abTest: form.abTest,
+            }
+          : {}),
+        mergeFallbacks: form.mergeFallbacks,
+        templateId: selectedTemplate.saved ? selectedTemplate.id : undefined,
         metadata: {
           reusedFromCampaignId: reusedCampaignId || null,
           bulkEmailTemplate: {
             subject: form.subject,
             templateId: form.templateId,
-            content: form.content,
-            ctaLabel: form.ctaLabel,
             headerNote: form.headerNote,
-            ctaUrl: form.ctaUrl,
-            signoff: form.signoff,
-            signatureName: form.signatureName,
+            blocks: form.blocks,
+            mergeFallbacks: form.mergeFallbacks,
+            variants: form.variants,
+            abTest: form.abTest,
           },
         },
-        recipients,
+        ...recipientPayload,
       });
-      if (result?.campaign?.id) {
+      if (result?.campaign?.id && !scheduledAt) {
         await tickBulkEmailCampaign(result.campaign.id);
       }
       setForm(emptyFormFromTemplate());
+      setSchedule({ ...scheduleDefaults });
       setReusedCampaignId('');
       setCsvFile(null);
-      setCsvPreview([]);
-      setRecipientsCount(0);
-      setNotice('Campaign started. Bulk email sending begins immediately.');
+      setCsvRecipients([]);
+      setSegmentPreview(null);
+      setPreviewVariantIndex(0);
+      setPreviewRecipientIndex('');
+      if (scheduledAt) {
+        setNotice(`Campaign scheduled for ${formatZonedTime(scheduledAt, tenantTimezone)} (${tenantTimezone}). It sends even if this page is closed.`);
+      } else {
+        setNotice(form.variants.length
+          ? 'A/B test started. The test slice sends now and the winner goes to everyone else after the wait.'
+          : 'Campaign started. Sending continues in the background, even if this page is closed.');
+      }
+      if (result?.excluded?.length) {
+        setNotice((current) => `${current} ${result.excluded.length} segment lead(s) were left out by their email contact policy.`);
+      }
       await loadData();
     } catch (err) {
       setError(err?.message || 'Failed to create bulk campaign');
@@ -668,8 +1231,8 @@ export default function BulkEmailPage() {
                       disabled={hasActiveCampaign || submitting}
                       onChange={(event) => handleTemplateChange(event.target.value)}
                     >
-                      {templates.map((template) => (
-                        <option key={template.id} value={template.id}>{template.name}</option>
+                      {templateOptions.map((template) => (
+                        <option key={template.id} value={template.id}>{template.saved ? `${template.name} (saved)` : template.name}</option>
                       ))}
                     </select>
                   </label>
@@ -706,9 +1269,9 @@ export default function BulkEmailPage() {
                     onClick={() => {
                       setForm(emptyFormFromTemplate());
                       setReusedCampaignId('');
+                      setPreviewVariantIndex(0);
                       setCsvFile(null);
-                      setCsvPreview([]);
-                      setRecipientsCount(0);
+                      setCsvRecipients([]);
                       setCsvError('');
                     }}
                   >
@@ -718,23 +1281,15 @@ export default function BulkEmailPage() {
                 </div>
 
                 <div className="mt-4 space-y-3 rounded-lg border border-border bg-surface-secondary p-3">
-                  <div className="flex flex-wrap items-center gap-2">
-                    <span className="text-xs font-semibold uppercase text-text-secondary">Shortcuts</span>
-                    {mergeTags.map((tag) => (
-                      <button
-                        key={tag.value}
-                        type="button"
-                        className="ops-button-secondary h-7 px-2 text-xs"
-                        disabled={hasActiveCampaign || submitting}
-                        onClick={() => setForm((current) => ({ ...current, subject: applyToken(current.subject, tag.value) }))}
-                        title={`Add ${tag.value} to subject`}
-                      >
-                        {tag.label}
-                      </button>
-                    ))}
-                  </div>
                   <label className="space-y-1">
-                    <span className="text-xs font-semibold uppercase text-text-secondary">Subject</span>
+                    <span className="flex items-center justify-between gap-2">
+                      <span className="text-xs font-semibold uppercase text-text-secondary">Subject</span>
+                      <MergeFieldSelect
+                        fields={mergeFieldOptions}
+                        disabled={hasActiveCampaign || submitting}
+                        onInsert={(token) => setForm((current) => ({ ...current, subject: applyToken(current.subject, token) }))}
+                      />
+                    </span>
                     <input
                       className="ops-input"
                       value={form.subject}
@@ -754,107 +1309,213 @@ export default function BulkEmailPage() {
                   </label>
                 </div>
 
+                <div className="mt-4 space-y-2">
+                  <div>
+                    <span className="text-xs font-semibold uppercase text-text-secondary">Message blocks</span>
+                    <p className="text-xs text-text-muted">Use {'{field|fallback}'} for a one-off default, or set one per field below.</p>
+                  </div>
+                  <TemplateBlocksEditor
+                    blocks={form.blocks}
+                    fields={mergeFieldOptions}
+                    disabled={hasActiveCampaign || submitting}
+                    onChange={(blocks) => setForm((current) => ({ ...current, blocks }))}
+                  />
+                </div>
+
                 <div className="mt-4">
-                  <div className="rounded-lg border border-border bg-surface overflow-hidden">
-                    <div className="flex flex-wrap items-center gap-2 border-b border-border bg-surface-secondary px-3 py-2">
-                      <span className="text-xs font-semibold uppercase text-text-secondary">Message editor</span>
-                      {mergeTags.map((tag) => (
+                  <MergeFieldsPanel
+                    check={mergeCheck}
+                    fallbacks={form.mergeFallbacks}
+                    recipientCount={recipientTotal}
+                    disabled={hasActiveCampaign || submitting}
+                    onChange={(mergeFallbacks) => setForm((current) => ({ ...current, mergeFallbacks }))}
+                  />
+                </div>
+
+                <div className="mt-4 flex flex-col gap-2 sm:flex-row">
+                  <input
+                    className="ops-input flex-1"
+                    value={templateName}
+                    disabled={hasActiveCampaign || submitting || templateBusy}
+                    onChange={(event) => setTemplateName(event.target.value)}
+                    placeholder="Template name"
+                  />
+                  <button
+                    type="button"
+                    className="ops-button-secondary"
+                    disabled={hasActiveCampaign || submitting || templateBusy || !templateName.trim()}
+                    onClick={handleSaveTemplate}
+                  >
+                    {templateBusy ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                    <span>{selectedTemplate.saved ? 'Update template' : 'Save as template'}</span>
+                  </button>
+                  {selectedTemplate.saved ? (
+                    <button
+                      type="button"
+                      className="ops-button-secondary text-error"
+                      disabled={hasActiveCampaign || submitting || templateBusy}
+                      onClick={handleDeleteTemplate}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                      <span>Delete</span>
+                    </button>
+                  ) : null}
+                </div>
+
+                <div className="mt-4 space-y-3 rounded-lg border border-border bg-surface-secondary p-3">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <span className="text-xs font-semibold uppercase text-text-secondary">A/B test</span>
+                      <p className="text-xs text-text-muted">
+                        {form.variants.length
+                          ? 'Variant A uses the subject and first paragraphs block above. Opens and clicks need tracking enabled on the Resend domain.'
+                          : 'Add a variant to test another subject line or opening paragraphs on a slice of the list first.'}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      className="ops-button-secondary h-7 px-2 text-xs"
+                      disabled={hasActiveCampaign || submitting || variantForms.length >= AB_TEST_VARIANT_LABELS.length}
+                      onClick={addVariant}
+                    >
+                      Add variant
+                    </button>
+                  </div>
+                  {form.variants.map((variant, index) => (
+                    <div key={AB_TEST_VARIANT_LABELS[index + 1]} className="space-y-2 rounded-lg border border-border bg-surface p-3">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="ops-badge bg-accent-soft text-accent">Variant {AB_TEST_VARIANT_LABELS[index + 1]}</span>
                         <button
-                          key={tag.value}
                           type="button"
-                          className="ops-button-secondary h-7 px-2 text-xs"
+                          className="ops-button-secondary h-7 w-7 px-0 text-error"
+                          title="Remove variant"
                           disabled={hasActiveCampaign || submitting}
-                          onClick={() => setForm((current) => ({ ...current, content: applyToken(current.content, tag.value) }))}
-                          title={`Add ${tag.value} to message`}
+                          onClick={() => removeVariant(index)}
                         >
-                          {tag.label}
+                          <Trash2 className="h-3.5 w-3.5" />
                         </button>
-                      ))}
+                      </div>
+                      <input
+                        className="ops-input"
+                        value={variant.subject}
+                        disabled={hasActiveCampaign || submitting}
+                        onChange={(event) => updateVariant(index, { subject: event.target.value })}
+                        placeholder="Subject"
+                      />
+                      <textarea
+                        className="ops-input min-h-24 resize-y py-2"
+                        value={variant.content}
+                        disabled={hasActiveCampaign || submitting}
+                        onChange={(event) => updateVariant(index, { content: event.target.value })}
+                      />
                     </div>
-                    <textarea
-                      className="min-h-36 w-full resize-y bg-surface px-3 py-3 text-sm leading-6 text-text-primary outline-none focus:ring-0"
-                      value={form.content}
-                      disabled={hasActiveCampaign || submitting}
-                      onChange={(event) => setForm({ ...form, content: event.target.value })}
-                    />
-                  </div>
-                </div>
-
-                <div className="mt-4 grid gap-4 lg:grid-cols-2">
-                  <label className="space-y-1">
-                    <span className="text-xs font-semibold uppercase text-text-secondary">Button label</span>
-                    <input
-                      className="ops-input"
-                      value={form.ctaLabel}
-                      disabled={hasActiveCampaign || submitting}
-                      onChange={(event) => setForm({ ...form, ctaLabel: event.target.value })}
-                    />
-                  </label>
-                  <label className="space-y-1">
-                    <span className="text-xs font-semibold uppercase text-text-secondary">Button link</span>
-                    <input
-                      className="ops-input"
-                      value={form.ctaUrl}
-                      disabled={hasActiveCampaign || submitting}
-                      onChange={(event) => setForm({ ...form, ctaUrl: event.target.value })}
-                      placeholder="https://..."
-                    />
-                  </label>
+                  ))}
+                  {form.variants.length ? (
+                    <div className="grid gap-3 sm:grid-cols-3">
+                      <label className="space-y-1">
+                        <span className="text-xs font-semibold uppercase text-text-secondary">Test slice %</span>
+                        <input
+                          className="ops-input"
+                          type="number"
+                          min="5"
+                          max="50"
+                          value={form.abTest.testPercent}
+                          disabled={hasActiveCampaign || submitting}
+                          onChange={(event) => setForm({ ...form, abTest: { ...form.abTest, testPercent: Number(event.target.value) } })}
+                        />
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-xs font-semibold uppercase text-text-secondary">Wait (hours)</span>
+                        <input
+                          className="ops-input"
+                          type="number"
+                          min="0.25"
+                          max="72"
+                          step="0.25"
+                          value={form.abTest.waitMinutes / 60}
+                          disabled={hasActiveCampaign || submitting}
+                          onChange={(event) => setForm({ ...form, abTest: { ...form.abTest, waitMinutes: Math.round(Number(event.target.value) * 60) } })}
+                        />
+                      </label>
+                      <label className="space-y-1">
+                        <span className="text-xs font-semibold uppercase text-text-secondary">Winner by</span>
+                        <select
+                          className="ops-select"
+                          value={form.abTest.winnerMetric}
+                          disabled={hasActiveCampaign || submitting}
+                          onChange={(event) => setForm({ ...form, abTest: { ...form.abTest, winnerMetric: event.target.value } })}
+                        >
+                          <option value="open">Open rate</option>
+                          <option value="click">Click rate</option>
+                        </select>
+                      </label>
+                    </div>
+                  ) : null}
                 </div>
 
-                <div className="mt-4 grid gap-4 lg:grid-cols-2">
-                  <label className="space-y-1">
-                    <span className="text-xs font-semibold uppercase text-text-secondary">Signoff</span>
-                    <input
-                      className="ops-input"
-                      value={form.signoff}
-                      disabled={hasActiveCampaign || submitting}
-                      onChange={(event) => setForm({ ...form, signoff: event.target.value })}
-                    />
-                  </label>
+                <div className="mt-4 grid gap-4 lg:grid-cols-[minmax(0,1fr)_220px]">
                   <label className="space-y-1">
-                    <span className="text-xs font-semibold uppercase text-text-secondary">Signature name</span>
-                    <input
-                      className="ops-input"
-                      value={form.signatureName}
-                      disabled={hasActiveCampaign || submitting}
-                      onChange={(event) => setForm({ ...form, signatureName: event.target.value })}
-                      placeholder="{sender_name}"
-                    />
-                  </label>
-                </div>
-
-                <div className="mt-4 flex justify-end">
-                  <label className="w-full space-y-1 lg:w-[220px]">
                     <span className="text-xs font-semibold uppercase text-text-secondary">Recipients</span>
-                    <input
-                      id="csv-upload-input"
-                      className="hidden"
-                      type="file"
-                      accept=".csv"
+                    <select
+                      className="ops-select"
+                      value={recipientSource}
                       disabled={hasActiveCampaign || submitting}
-                      onChange={handleCsvChange}
-                    />
-                    <span className="ops-button-secondary w-full cursor-pointer">
-                      <Upload className="h-4 w-4" />
-                      <span>{csvFile ? 'Replace CSV' : 'Upload CSV'}</span>
-                    </span>
+                      onChange={(event) => {
+                        setRecipientSource(event.target.value);
+                        setPreviewRecipientIndex('');
+                      }}
+                    >
+                      <option value="csv">Uploaded CSV</option>
+                      <option value="segment">Lead segment</option>
+                    </select>
                   </label>
+                  {recipientSource === 'csv' ? (
+                    <label className="space-y-1">
+                      <span className="text-xs font-semibold uppercase text-text-secondary">File</span>
+                      <input
+                        id="csv-upload-input"
+                        className="hidden"
+                        type="file"
+                        accept=".csv"
+                        disabled={hasActiveCampaign || submitting}
+                        onChange={handleCsvChange}
+                      />
+                      <span className="ops-button-secondary w-full cursor-pointer">
+                        <Upload className="h-4 w-4" />
+                        <span>{csvFile ? 'Replace CSV' : 'Upload CSV'}</span>
+                      </span>
+                    </label>
+                  ) : (
+                    <label className="space-y-1">
+                      <span className="text-xs font-semibold uppercase text-text-secondary">Saved segment</span>
+                      <select
+                        className="ops-select"
+                        value={segmentId}
+                        disabled={hasActiveCampaign || submitting || segmentBusy}
+                        onChange={(event) => selectSegment(event.target.value)}
+                      >
+                        <option value="">New segment</option>
+                        {segments.map((segment) => (
+                          <option key={segment.id} value={segment.id}>{segment.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
                 </div>
 
-                {csvError ? <p className="mt-2 text-sm font-medium text-error">{csvError}</p> : null}
-                {csvFile ? (
+                {recipientSource === 'csv' && csvError ? <p className="mt-2 text-sm font-medium text-error">{csvError}</p> : null}
+                {recipientSource === 'csv' && csvFile ? (
                   <div className="mt-4 rounded-lg border border-border bg-surface p-3">
                     <div className="flex items-center justify-between gap-3">
                       <div>
                         <p className="text-sm font-semibold text-text-primary">{csvFile.name}</p>
-                        <p className="text-xs text-text-muted">{recipientsCount} valid recipients</p>
+                        <p className="text-xs text-text-muted">{csvRecipients.length} valid recipients</p>
                       </div>
                       <FileText className="h-5 w-5 text-text-muted" />
                     </div>
-                    {csvPreview.length ? (
+                    {csvRecipients.length ? (
                       <div className="mt-3 divide-y divide-border text-xs">
-                        {csvPreview.map((recipient) => (
+                        {csvRecipients.slice(0, 5).map((recipient) => (
                           <div key={recipient.email} className="flex justify-between gap-3 py-1">
                             <span className="font-medium text-text-primary">{recipient.name || 'Friend'}</span>
                             <span className="text-text-muted">{recipient.email}</span>
@@ -865,20 +1526,172 @@ export default function BulkEmailPage() {
                   </div>
                 ) : null}
 
+                {recipientSource === 'segment' ? (
+                  <div className="mt-4 space-y-3 rounded-lg border border-border bg-surface p-3">
+                    <SegmentFiltersEditor
+                      filters={segmentFilters}
+                      disabled={hasActiveCampaign || submitting || segmentBusy}
+                      onChange={changeSegmentFilters}
+                    />
+                    <div className="flex flex-col gap-2 sm:flex-row">
+                      <input
+                        className="ops-input flex-1"
+                        value={segmentName}
+                        disabled={hasActiveCampaign || submitting || segmentBusy}
+                        onChange={(event) => setSegmentName(event.target.value)}
+                        placeholder="Segment name"
+                      />
+                      <button
+                        type="button"
+                        className="ops-button-secondary"
+                        disabled={hasActiveCampaign || submitting || segmentBusy || !segmentName.trim()}
+                        onClick={handleSaveSegment}
+                      >
+                        {segmentId ? 'Update segment' : 'Save segment'}
+                      </button>
+                      <button
+                        type="button"
+                        className="ops-button-secondary"
+                        disabled={hasActiveCampaign || submitting || segmentBusy}
+                        onClick={handlePreviewSegment}
+                      >
+                        {segmentBusy ? <Loader2 className="h-4 w-4 animate-spin" /> : <Users className="h-4 w-4" />}
+                        <span>Preview recipients</span>
+                      </button>
+                    </div>
+                    {segmentPreview ? (
+                      <div className="border-t border-border pt-3 text-xs">
+                        <p className="text-sm font-semibold text-text-primary">
+                          {segmentPreview.recipients.length} of {segmentPreview.matchedCount} matching leads can be emailed
+                        </p>
+                        {segmentPreview.excludedReasons.length ? (
+                          <p className="mt-1 text-text-muted">
+                            Left out: {segmentPreview.excludedReasons.map((row) => `${row.count} ${row.reason.toLowerCase()}`).join(' · ')}
+                          </p>
+                        ) : null}
+                        <div className="mt-2 divide-y divide-border">
+                          {segmentPreview.recipients.slice(0, 5).map((recipient) => (
+                            <div key={recipient.leadId} className="flex justify-between gap-3 py-1">
+                              <span className="font-medium text-text-primary">{recipient.name || 'Friend'}</span>
+                              <span className="text-text-muted">{recipient.email}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    ) : null}
+                  </div>
+                ) : null}
+
+                <div className="mt-4 grid gap-3 rounded-lg border border-border bg-surface p-3 sm:grid-cols-2">
+                  <label className="space-y-1">
+                    <span className="text-xs font-semibold uppercase text-text-secondary">Send</span>
+                    <select
+                      className="ops-select"
+                      value={schedule.mode}
+                      disabled={hasActiveCampaign || submitting}
+                      onChange={(event) => setSchedule({ ...schedule, mode: event.target.value })}
+                    >
+                      <option value="now">Now</option>
+                      <option value="later">At a scheduled time</option>
+                    </select>
+                  </label>
+                  {schedule.mode === 'later' ? (
+                    <label className="space-y-1">
+                      <span className="text-xs font-semibold uppercase text-text-secondary">Send at ({tenantTimezone})</span>
+                      <input
+                        className="ops-input"
+                        type="datetime-local"
+                        value={schedule.scheduledAt}
+                        disabled={hasActiveCampaign || submitting}
+                        onChange={(event) => setSchedule({ ...schedule, scheduledAt: event.target.value })}
+                      />
+                    </label>
+                  ) : <div className="hidden sm:block" />}
+                  <label className="space-y-1">
+                    <span className="text-xs font-semibold uppercase text-text-secondary">Max per hour</span>
+                    <input
+                      className="ops-input"
+                      type="number"
+                      min="1"
+                      value={schedule.hourlyLimit}
+                      disabled={hasActiveCampaign || submitting}
+                      onChange={(event) => setSchedule({ ...schedule, hourlyLimit: event.target.value })}
+                      placeholder="No cap"
+                    />
+                  </label>
+                  <label className="space-y-1">
+                    <span className="text-xs font-semibold uppercase text-text-secondary">Max per day</span>
+                    <input
+                      className="ops-input"
+                      type="number"
+                      min="1"
+                      value={schedule.dailyLimit}
+                      disabled={hasActiveCampaign || submitting}
+                      onChange={(event) => setSchedule({ ...schedule, dailyLimit: event.target.value })}
+                      placeholder="No cap"
+                    />
+                  </label>
+                  <p className="text-xs text-text-muted sm:col-span-2">
+                    Newly verified sender addresses also ramp up over their first two weeks to protect deliverability.
+                  </p>
+                </div>
+
                 <button
                   type="submit"
-                  disabled={hasActiveCampaign || submitting || recipientsCount === 0}
+                  disabled={hasActiveCampaign || submitting || recipientTotal === 0}
                   className="ops-button-primary mt-5 w-full"
                 >
                   {submitting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
-                  <span>{submitting ? 'Creating campaign' : 'Queue designed campaign'}</span>
+                  <span>{submitting ? 'Creating campaign' : schedule.mode === 'later' ? 'Schedule designed campaign' : 'Queue designed campaign'}</span>
                 </button>
               </form>
 
               <aside className="ops-panel overflow-hidden">
                 <div className="border-b border-border bg-surface-secondary px-4 py-3">
-                  <p className="text-sm font-semibold text-text-primary">Delivery Preview</p>
-                  <p className="text-xs text-text-muted">Avery receives the sample version.</p>
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-sm font-semibold text-text-primary">Delivery Preview</p>
+                    {variantForms.length > 1 ? (
+                      <div className="flex gap-1">
+                        {variantForms.map((variant, index) => (
+                          <button
+                            key={variant.label}
+                            type="button"
+                            className={`h-7 w-7 rounded-md text-xs font-semibold ${previewForm.label === variant.label ? 'bg-accent text-accent-foreground' : 'ops-button-secondary px-0'}`}
+                            onClick={() => setPreviewVariantIndex(index)}
+                          >
+                            {variant.label}
+                          </button>
+                        ))}
+                      </div>
+                    ) : null}
+                  </div>
+                  <div className="mt-2 flex gap-2">
+                    <select
+                      className="ops-select h-8 min-w-0 flex-1 py-0 text-xs"
+                      value={previewRecipientIndex}
+                      onChange={(event) => setPreviewRecipientIndex(event.target.value)}
+                    >
+                      <option value="">Sample lead (Avery Stone)</option>
+                      {currentRecipients.slice(0, 200).map((recipient, index) => (
+                        <option key={`${recipient.email}-${index}`} value={String(index)}>
+                          {recipient.name ? `${recipient.name} · ${recipient.email}` : recipient.email}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      className="ops-button-secondary h-8 px-2 text-xs"
+                      disabled={testSending || !previewForm.subject}
+                      onClick={handleSendTest}
+                      title="Send this version to your own inbox"
+                    >
+                      {testSending ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Mail className="h-3.5 w-3.5" />}
+                      <span>Send test to me</span>
+                    </button>
+                  </div>
+                  <p className="mt-1 text-xs text-text-muted">
+                    {previewValues.lead_name || previewRecipient.email} receives this version. Subject: {renderMergeFields(previewForm.subject, previewValues, { fallbacks: form.mergeFallbacks })}
+                  </p>
                 </div>
                 <div className="bg-background p-4">
                   <div className="overflow-hidden rounded-lg border border-border bg-surface shadow-sm" dangerouslySetInnerHTML={{ __html: previewHtml }} />
@@ -916,6 +1729,15 @@ export default function BulkEmailPage() {
                               <td className="px-4 py-3">
                                 <p className="font-semibold text-text-primary">{campaign.name}</p>
                                 <p className="mt-0.5 max-w-sm truncate text-xs text-text-muted">{campaign.subject}</p>
+                                {campaign.metadata?.segment ? (
+                                  <p className="text-xs text-text-muted">
+                                    Segment{campaign.metadata.segment.name ? ` "${campaign.metadata.segment.name}"` : ''}
+                                    {Number(campaign.excludedCount || 0) ? ` · ${campaign.excludedCount} left out by contact policy` : ''}
+                                  </p>
+                                ) : null}
+                                {variantsByCampaign[campaign.id]?.length ? (
+                                  <CampaignVariantStats campaign={campaign} variants={variantsByCampaign[campaign.id]} />
+                                ) : null}
                               </td>
                               <td className="px-4 py-3">
                                 <div className="flex items-center gap-2">
@@ -925,6 +1747,20 @@ export default function BulkEmailPage() {
                                   <span className="text-xs font-medium text-text-secondary">{campaign.sentCount}/{campaign.recipientCount}</span>
                                 </div>
                                 <p className="mt-1 text-xs text-text-muted">{campaign.deliveredCount} delivered · {campaign.failedCount} failed</p>
+                                {Number(campaign.openedCount || 0) || Number(campaign.clickedCount || 0) ? (
+                                  <p className="text-xs text-text-muted">{campaign.openedCount} opened · {campaign.clickedCount} clicked</p>
+                                ) : null}
+                                {Number(campaign.suppressedCount || 0) || Number(campaign.unsubscribedCount || 0) ? (
+                                  <p className="text-xs text-text-muted">{campaign.suppressedCount} suppressed · {campaign.unsubscribedCount} unsubscribed</p>
+                                ) : null}
+                                {campaign.status === 'scheduled' && campaign.scheduledAt ? (
+                                  <p className="text-xs text-accent">Sends {formatZonedTime(campaign.scheduledAt, campaign.scheduleTimezone)}</p>
+                                ) : null}
+                                {campaign.status === 'sending' && campaign.throttledUntil && new Date(campaign.throttledUntil) > new Date() ? (
+                                  <p className="text-xs text-warning">
+                                    Held by {throttleLabels[campaign.throttleReason] || 'sending limits'} until {formatZonedTime(campaign.throttledUntil, campaign.scheduleTimezone)}
+                                  </p>
+                                ) : null}
                               </td>
                               <td className="px-4 py-3">
                                 <span className={`ops-badge ${statusTones[campaign.status] || 'bg-surface-secondary text-text-secondary'}`}>
@@ -933,7 +1769,7 @@ export default function BulkEmailPage() {
                               </td>
                               <td className="px-4 py-3" onClick={(event) => event.stopPropagation()}>
                                 <div className="flex justify-end gap-1.5">
-                                  {campaign.status === 'sending' ? (
+                                  {['scheduled', 'sending'].includes(campaign.status) ? (
                                     <button type="button" className="ops-button-secondary h-8 w-8 px-0 text-warning" title="Pause" onClick={() => handlePause(campaign.id)}>
                                       <Pause className="h-4 w-4" />
                                     </button>
@@ -943,7 +1779,7 @@ export default function BulkEmailPage() {
                                       <Play className="h-4 w-4" />
                                     </button>
                                   ) : null}
-                                  {['queued', 'sending', 'paused'].includes(campaign.status) ? (
+                                  {['scheduled', 'queued', 'sending', 'paused'].includes(campaign.status) ? (
                                     <button type="button" className="ops-button-secondary h-8 w-8 px-0 text-error" title="Cancel" onClick={() => setCancelTarget(campaign)}>
                                       <Trash2 className="h-4 w-4" />
                                     </button>
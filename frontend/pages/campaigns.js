@@ -6,6 +6,32 @@ import {
   listCampaigns,
   updateCampaignStatus as updateInsForgeCampaignStatus,
 } from '../lib/insforge-product';
+import {
+  CAMPAIGN_CHANNELS,
+  CAMPAIGN_STOP_CONDITIONS,
+  DEFAULT_CAMPAIGN_CADENCE,
+} from '../lib/campaign-cadence';
+
+const channelLabels = { call: 'Call', sms: 'SMS', whatsapp: 'WhatsApp', email: 'Email' };
+
+const emptyCampaign = () => ({
+  name: '',
+  objective: 'OUTCOME_LEADS',
+  status: 'PAUSED',
+  channelSequence: [...DEFAULT_CAMPAIGN_CADENCE.channelSequence],
+  retryPolicy: { ...DEFAULT_CAMPAIGN_CADENCE.retryPolicy },
+  stopConditions: { ...DEFAULT_CAMPAIGN_CADENCE.stopConditions },
+});
+
+function formatDelay(minutes) {
+  if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+function percent(count, total) {
+  return total ? ` (${Math.round((count / total) * 100)}%)` : '';
+}
 
 export default function Campaigns() {
   const { user, loading } = useAuth();
@@ -15,11 +41,7 @@ export default function Campaigns() {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [showCreateForm, setShowCreateForm] = useState(false);
-  const [newCampaign, setNewCampaign] = useState({
-    name: '',
-    objective: 'OUTCOME_LEADS',
-    status: 'PAUSED'
-  });
+  const [newCampaign, setNewCampaign] = useState(emptyCampaign);
   const [creating, setCreating] = useState(false);
 
   useEffect(() => {
@@ -56,7 +78,7 @@ export default function Campaigns() {
     try {
       await createInsForgeCampaign(user, newCampaign);
       setSuccess('Campaign created successfully!');
-      setNewCampaign({ name: '', objective: 'OUTCOME_LEADS', status: 'PAUSED' });
+      setNewCampaign(emptyCampaign());
       setShowCreateForm(false);
       fetchCampaigns();
     } catch (err) {
@@ -88,6 +110,16 @@ export default function Campaigns() {
     }
   };
 
+  const updateStep = (index, channel) => {
+    const channelSequence = [...newCampaign.channelSequence];
+    channelSequence[index] = channel;
+    setNewCampaign({ ...newCampaign, channelSequence });
+  };
+
+  const removeStep = (index) => {
+    setNewCampaign({ ...newCampaign, channelSequence: newCampaign.channelSequence.filter((_, position) => position !== index) });
+  };
+
   const updateCampaignStatus = async (campaignId, newStatus) => {
     try {
       await updateInsForgeCampaignStatus(user, campaignId, newStatus);
@@ -194,6 +226,84 @@ export default function Campaigns() {
                   <option value="ACTIVE">Active</option>
                 </select>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Channel sequence</label>
+                <p className="text-sm text-gray-500">Each enrolled lead is contacted in this order. Steps the lead has no consent or contact details for are skipped.</p>
+                <div className="mt-2 space-y-2">
+                  {newCampaign.channelSequence.map((channel, index) => (
+                    <div key={index} className="flex items-center space-x-3">
+                      <span className="w-16 text-sm text-gray-500">Step {index + 1}</span>
+                      <select
+                        value={channel}
+                        onChange={(e) => updateStep(index, e.target.value)}
+                        className="block w-48 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        {CAMPAIGN_CHANNELS.map((option) => (
+                          <option key={option} value={option}>{channelLabels[option]}</option>
+                        ))}
+                      </select>
+                      {newCampaign.channelSequence.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => removeStep(index)}
+                          className="text-sm text-red-600 hover:text-red-800"
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setNewCampaign({ ...newCampaign, channelSequence: [...newCampaign.channelSequence, 'email'] })}
+                  className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Add step
+                </button>
+              </div>
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Attempts per step</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="5"
+                    value={newCampaign.retryPolicy.maxAttempts}
+                    onChange={(e) => setNewCampaign({ ...newCampaign, retryPolicy: { ...newCampaign.retryPolicy, maxAttempts: e.target.value } })}
+                    className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">A step is retried until the lead is reached or the attempts run out.</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Wait between attempts (minutes)</label>
+                  <input
+                    type="number"
+                    min="5"
+                    max="10080"
+                    value={newCampaign.retryPolicy.retryDelayMinutes}
+                    onChange={(e) => setNewCampaign({ ...newCampaign, retryPolicy: { ...newCampaign.retryPolicy, retryDelayMinutes: e.target.value } })}
+                    className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Also the wait before moving on to the next step.</p>
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Stop the sequence when</label>
+                <div className="mt-2 grid grid-cols-1 gap-2 sm:grid-cols-2">
+                  {CAMPAIGN_STOP_CONDITIONS.map(({ key, label }) => (
+                    <label key={key} className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={newCampaign.stopConditions[key]}
+                        onChange={(e) => setNewCampaign({ ...newCampaign, stopConditions: { ...newCampaign.stopConditions, [key]: e.target.checked } })}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                      />
+                      <span>{label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
               <div className="flex justify-end space-x-3">
                 <button
                   type="button"
@@ -252,6 +362,13 @@ export default function Campaigns() {
                             Created: {new Date(campaign.created_time).toLocaleDateString()}
                           </p>
                         )}
+                        {campaign.stepFunnel?.length > 0 && (
+                          <p className="mt-1 text-sm text-gray-500">
+                            Sequence: {campaign.stepFunnel.map((step) => channelLabels[step.channel] || step.channel).join(' → ')}
+                            {campaign.retryPolicy?.maxAttempts ? ` · up to ${campaign.retryPolicy.maxAttempts} attempts per step, ${formatDelay(Number(campaign.retryPolicy.retryDelayMinutes || 60))} apart` : ''}
+                            {` · ${campaign.leadCounts?.total || 0} leads, ${(campaign.leadCounts?.queued || 0) + (campaign.leadCounts?.running || 0)} in progress`}
+                          </p>
+                        )}
                       </div>
                       <div className="flex space-x-2">
                         {campaign.status === 'PAUSED' && (
@@ -272,6 +389,32 @@ export default function Campaigns() {
                         )}
                       </div>
                     </div>
+                    {campaign.stepFunnel?.some((step) => step.attempted || step.skipped) && (
+                      <table className="mt-4 min-w-full divide-y divide-gray-200 text-sm">
+                        <thead>
+                          <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                            <th className="py-2 pr-4">Step</th>
+                            <th className="py-2 pr-4">Attempted</th>
+                            <th className="py-2 pr-4">Reached</th>
+                            <th className="py-2 pr-4">Replied</th>
+                            <th className="py-2 pr-4">Booked</th>
+                            <th className="py-2 pr-4">Skipped</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100 text-gray-700">
+                          {campaign.stepFunnel.map((step) => (
+                            <tr key={step.stepIndex}>
+                              <td className="py-2 pr-4">{step.stepIndex + 1}. {channelLabels[step.channel] || step.channel}</td>
+                              <td className="py-2 pr-4">{step.attempted}</td>
+                              <td className="py-2 pr-4">{step.reached}{percent(step.reached, step.attempted)}</td>
+                              <td className="py-2 pr-4">{step.replied}{percent(step.replied, step.attempted)}</td>
+                              <td className="py-2 pr-4">{step.booked}{percent(step.booked, step.attempted)}</td>
+                              <td className="py-2 pr-4 text-gray-500">{step.skipped}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
                   </div>
                 ))
               )}
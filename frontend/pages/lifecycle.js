@@ -6,21 +6,59 @@ import {
   ArrowDown,
   ArrowUp,
   Bot,
+  CalendarX,
   Check,
+  FlaskConical,
+  GitBranch,
+  History,
   PauseCircle,
+  PlayCircle,
+  Plus,
   RefreshCw,
   Save,
   Settings,
+  Trash2,
+  Upload,
 } from 'lucide-react';
 import { format } from 'date-fns';
 import { useAuth } from '../lib/auth';
+import { simulateLifecycle } from '../lib/insforge-functions';
 import {
+  addTenantHoliday,
+  deleteLifecyclePlaybook,
+  deleteTenantHoliday,
   getTenantLifecycleRules,
+  importTenantHolidaysFromIcs,
   listLeadLifecycleEvents,
+  listLeadPlaybookRuns,
   listLeads,
+  listLifecyclePlaybooks,
+  listLifecycleRuleVersions,
+  listTenantHolidays,
+  restoreLifecycleRuleVersion,
+  saveLifecyclePlaybook,
   updateLeadReview,
   updateTenantLifecycleRules,
 } from '../lib/insforge-product';
+import {
+  createPlaybookStep,
+  describePlaybookStep,
+  nextPlaybookStepId,
+  normalizePlaybook,
+  PLAYBOOK_CHANNELS,
+  PLAYBOOK_REPLY_VALUES,
+  PLAYBOOK_SEND_STAGES,
+  PLAYBOOK_STEP_LABELS,
+  PLAYBOOK_STEP_TYPES,
+  PLAYBOOK_STOP_STAGES,
+  PLAYBOOK_TRIGGER_OUTCOMES,
+  playbookColumns,
+  reachablePlaybookSteps,
+  starterPlaybook,
+  validatePlaybook,
+} from '../lib/lifecycle-playbooks';
+import { describeRuleChange } from '../lib/lifecycle-rule-versions';
+import { CONTACT_WINDOW_CHANNELS, DEFAULT_CONTACT_WINDOW_POLICY } from '../lib/contact-windows';
 
 const channelLabels = {
   call: 'Call',
@@ -78,6 +116,11 @@ function buildRuleForm(rules) {
     maxCallAttempts: rules?.maxCallAttempts || 3,
     channelOrder: rules?.channelOrder?.length ? rules.channelOrder : ['call', 'sms', 'whatsapp', 'email'],
     voicemailAllowed: Boolean(rules?.voicemailAllowed),
+    emailFirstEnabled: rules?.emailFirstPolicy?.enabled !== false,
+    emailFirstWaitHours: rules?.emailFirstPolicy?.waitHours || 2,
+    noAnswerSmsDelayMinutes: rules?.noAnswerPolicy?.first?.delayMinutes ?? 10,
+    noAnswerRetryBusinessDays: rules?.noAnswerPolicy?.second?.delayBusinessDays ?? 1,
+    voicemailDropMessage: rules?.voicemailPolicy?.dropMessage || '',
     notInterestedNowDelayDays: rules?.nurturePolicy?.notInterestedNowDelayDays || 30,
     checkupCadenceDays: (rules?.nurturePolicy?.checkupCadenceDays || [7, 14, 30]).join(', '),
     maxCheckups: rules?.nurturePolicy?.maxCheckups || 3,
@@ -85,7 +128,17 @@ function buildRuleForm(rules) {
     missingChannelSetup: rules?.humanReviewTriggers?.missingChannelSetup !== false,
     ambiguousIntent: rules?.humanReviewTriggers?.ambiguousIntent !== false,
     repeatedFailedAttempts: rules?.humanReviewTriggers?.repeatedFailedAttempts !== false,
+    transferEnabled: Boolean(rules?.humanEscalationPolicy?.enabled),
+    transferNumbers: (rules?.humanEscalationPolicy?.numbers || []).join(', '),
+    transferRingStrategy: rules?.humanEscalationPolicy?.ringStrategy || 'simultaneous',
+    transferRingTimeoutSeconds: rules?.humanEscalationPolicy?.ringTimeoutSeconds || 20,
     offDutyBehavior: rules?.offDutyCallPolicy?.behavior || 'defer_to_next_business_window',
+    useLeadTimezone: (rules?.contactWindowPolicy || DEFAULT_CONTACT_WINDOW_POLICY).useLeadTimezone !== false,
+    holidayChannels: (rules?.contactWindowPolicy || DEFAULT_CONTACT_WINDOW_POLICY).holidayChannels || [],
+    quietHours: Object.fromEntries(CONTACT_WINDOW_CHANNELS.map((channel) => {
+      const window = (rules?.contactWindowPolicy || DEFAULT_CONTACT_WINDOW_POLICY).quietHours?.[channel];
+      return [channel, { start: window?.start || '', end: window?.end || '' }];
+    })),
   };
 }
 
@@ -97,6 +150,287 @@ function parseCadence(value) {
     .slice(0, 6);
 }
 
+// Saved rules with the form applied. Used both to save and as the draft the
+// dry run previews, so a preview shows exactly what saving would do.
+function rulesInputFromForm(ruleForm, rules) {
+  const cadence = parseCadence(ruleForm.checkupCadenceDays);
+  const noAnswerPolicy = rules?.noAnswerPolicy || {};
+  return {
+    maxCallAttempts: ruleForm.maxCallAttempts,
+    channelOrder: ruleForm.channelOrder,
+    voicemailAllowed: ruleForm.voicemailAllowed,
+    emailFirstPolicy: {
+      ...(rules?.emailFirstPolicy || {}),
+      enabled: ruleForm.emailFirstEnabled,
+      waitHours: Number(ruleForm.emailFirstWaitHours) || 2,
+    },
+    noAnswerPolicy: {
+      ...noAnswerPolicy,
+      first: { ...(noAnswerPolicy.first || {}), delayMinutes: Math.max(0, Number(ruleForm.noAnswerSmsDelayMinutes) || 0) },
+      second: { ...(noAnswerPolicy.second || {}), delayBusinessDays: Math.max(1, Number(ruleForm.noAnswerRetryBusinessDays) || 1) },
+    },
+    voicemailPolicy: {
+      ...(rules?.voicemailPolicy || {}),
+      dropMessage: ruleForm.voicemailDropMessage.trim(),
+    },
+    nurturePolicy: {
+      ...(rules?.nurturePolicy || {}),
+      notInterestedNowDelayDays: Number(ruleForm.notInterestedNowDelayDays) || 30,
+      checkupCadenceDays: cadence.length ? cadence : [7, 14, 30],
+      maxCheckups: Number(ruleForm.maxCheckups) || 3,
+    },
+    humanReviewTriggers: {
+      ...(rules?.humanReviewTriggers || {}),
+      missingConsent: ruleForm.missingConsent,
+      missingChannelSetup: ruleForm.missingChannelSetup,
+      ambiguousIntent: ruleForm.ambiguousIntent,
+      repeatedFailedAttempts: ruleForm.repeatedFailedAttempts,
+    },
+    humanEscalationPolicy: {
+      ...(rules?.humanEscalationPolicy || {}),
+      enabled: ruleForm.transferEnabled,
+      numbers: ruleForm.transferNumbers.split(',').map((number) => number.trim()).filter(Boolean),
+      ringStrategy: ruleForm.transferRingStrategy,
+      ringTimeoutSeconds: Number(ruleForm.transferRingTimeoutSeconds) || 20,
+    },
+    offDutyCallPolicy: {
+      ...(rules?.offDutyCallPolicy || {}),
+      behavior: ruleForm.offDutyBehavior,
+      respectTenantBusinessHours: true,
+    },
+    contactWindowPolicy: {
+      useLeadTimezone: ruleForm.useLeadTimezone,
+      holidayChannels: ruleForm.holidayChannels,
+      quietHours: ruleForm.quietHours,
+    },
+  };
+}
+
+const simulationEntryLabels = {
+  first_touch: 'First touch',
+  email_first_call: 'Email-first call',
+  outcome: 'Outcome',
+  reply: 'Reply',
+  skipped: 'Not reached',
+};
+
+function simulationEntryAction(entry) {
+  if (entry.kind === 'skipped' || entry.kind === 'reply') return null;
+  if (!entry.actionType) return entry.requiresHumanReview ? 'Human review' : 'No further action';
+  return `${pretty(entry.actionType)} by ${channelLabels[entry.channel] || pretty(entry.channel)} at ${formatDate(entry.actionAt)}`;
+}
+
+const stepTones = {
+  send: 'bg-info-soft text-info',
+  wait: 'bg-surface-secondary text-text-secondary',
+  branch: 'bg-accent-soft text-accent',
+  escalate: 'bg-warning-soft text-warning',
+  stop: 'bg-success-soft text-success',
+};
+
+const openRunStatuses = ['running', 'awaiting_outcome', 'waiting'];
+
+function emptyPlaybookForm() {
+  return { id: null, ...normalizePlaybook(starterPlaybook()) };
+}
+
+function playbookFormFromRow(row) {
+  return { id: row.id, ...normalizePlaybook(row) };
+}
+
+function stepName(step) {
+  return `${step.label || PLAYBOOK_STEP_LABELS[step.type]} (${step.id})`;
+}
+
+function branchCaseDefault(on) {
+  if (on === 'reply') return 'replied';
+  if (on === 'intent') return '';
+  return 'no_answer';
+}
+
+function traceEntryText(entry) {
+  if (entry.type === 'started') return `Started on ${pretty(entry.outcome)}`;
+  if (entry.type === 'recorded') return `Recorded ${pretty(entry.outcome)} while waiting${entry.replied ? ' (lead replied)' : ''}`;
+  if (entry.type === 'stopped') return `Stopped: ${entry.detail || 'lead reached a stop state'}`;
+  if (entry.type === 'result') return `${pretty(entry.status)}: ${entry.detail || 'No detail recorded'}`;
+  if (entry.type === 'branch') {
+    return `${entry.stepId}: ${entry.on} was ${entry.value ? pretty(entry.value) : 'empty'}, took ${entry.matched === 'otherwise' ? 'otherwise' : pretty(entry.matched)} to ${entry.next || 'end'}`;
+  }
+  return `${entry.stepId}: ${entry.description || pretty(entry.type)}`;
+}
+
+function StepTargetSelect({ label, value, steps, onChange }) {
+  return (
+    <label className="mt-2 block">
+      <span className="text-xs font-medium text-text-muted">{label}</span>
+      <select className="ops-select mt-1" value={value || ''} onChange={(event) => onChange(event.target.value)}>
+        <option value="">End playbook</option>
+        {steps.map((step) => (
+          <option key={step.id} value={step.id}>{stepName(step)}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+function BranchValueInput({ on, value, onChange }) {
+  if (on === 'intent') {
+    return <input className="ops-input" placeholder="booking_request" value={value} onChange={(event) => onChange(event.target.value)} />;
+  }
+  const options = on === 'reply' ? PLAYBOOK_REPLY_VALUES : PLAYBOOK_TRIGGER_OUTCOMES;
+  return (
+    <select className="ops-select" value={value} onChange={(event) => onChange(event.target.value)}>
+      {options.map((option) => (
+        <option key={option} value={option}>{pretty(option)}</option>
+      ))}
+    </select>
+  );
+}
+
+function PlaybookStepCard({ step, steps, isStart, unreachable, onChange, onRemove }) {
+  const update = (patch) => onChange({ ...step, ...patch });
+  const updateCase = (index, patch) => update({ cases: step.cases.map((row, position) => (position === index ? { ...row, ...patch } : row)) });
+
+  return (
+    <div className={`rounded-lg border bg-surface px-3 py-3 ${isStart ? 'border-accent' : 'border-border'} ${unreachable ? 'opacity-70' : ''}`}>
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <Badge value={step.type} tone={stepTones[step.type]} />
+          <span className="text-xs text-text-muted">{step.id}{isStart ? ' · start' : ''}</span>
+        </div>
+        <button type="button" className="ops-button-secondary h-7 w-7 px-0" onClick={onRemove} aria-label={`Remove ${step.id}`}>
+          <Trash2 className="h-3 w-3" aria-hidden="true" />
+        </button>
+      </div>
+      <input className="ops-input mt-2" placeholder="Label (optional)" value={step.label} onChange={(event) => update({ label: event.target.value })} />
+
+      {step.type === 'send' ? (
+        <>
+          <label className="mt-2 block">
+            <span className="text-xs font-medium text-text-muted">Channel</span>
+            <select
+              className="ops-select mt-1"
+              value={step.channel}
+              onChange={(event) => update({ channel: event.target.value, fallbackChannels: step.fallbackChannels.filter((channel) => channel !== event.target.value) })}
+            >
+              {PLAYBOOK_CHANNELS.map((channel) => (
+                <option key={channel} value={channel}>{channelLabels[channel]}</option>
+              ))}
+            </select>
+          </label>
+          <div className="mt-2">
+            <span className="text-xs font-medium text-text-muted">If not allowed, try</span>
+            <div className="mt-1 flex flex-wrap gap-3">
+              {PLAYBOOK_CHANNELS.filter((channel) => channel !== step.channel).map((channel) => (
+                <label key={channel} className="flex items-center gap-1 text-xs text-text-secondary">
+                  <input
+                    type="checkbox"
+                    checked={step.fallbackChannels.includes(channel)}
+                    onChange={() => update({
+                      fallbackChannels: step.fallbackChannels.includes(channel)
+                        ? step.fallbackChannels.filter((item) => item !== channel)
+                        : [...step.fallbackChannels, channel],
+                    })}
+                  />
+                  {channelLabels[channel]}
+                </label>
+              ))}
+            </div>
+          </div>
+          <label className="mt-2 block">
+            <span className="text-xs font-medium text-text-muted">Lead stage</span>
+            <select className="ops-select mt-1" value={step.stage} onChange={(event) => update({ stage: event.target.value })}>
+              {PLAYBOOK_SEND_STAGES.map((stage) => (
+                <option key={stage} value={stage}>{pretty(stage)}</option>
+              ))}
+            </select>
+          </label>
+          <StepTargetSelect label="After the send" value={step.next} steps={steps} onChange={(next) => update({ next })} />
+        </>
+      ) : null}
+
+      {step.type === 'wait' ? (
+        <>
+          <div className="mt-2 grid grid-cols-2 gap-2">
+            <input className="ops-input" type="number" min="1" value={step.amount} onChange={(event) => update({ amount: event.target.value })} />
+            <select className="ops-select" value={step.unit} onChange={(event) => update({ unit: event.target.value })}>
+              <option value="hours">Hours</option>
+              <option value="business_days">Business days</option>
+            </select>
+          </div>
+          <StepTargetSelect label="Then" value={step.next} steps={steps} onChange={(next) => update({ next })} />
+        </>
+      ) : null}
+
+      {step.type === 'branch' ? (
+        <>
+          <label className="mt-2 block">
+            <span className="text-xs font-medium text-text-muted">Branch on</span>
+            <select
+              className="ops-select mt-1"
+              value={step.on}
+              onChange={(event) => update({ on: event.target.value, cases: step.cases.map((row) => ({ ...row, value: branchCaseDefault(event.target.value) })) })}
+            >
+              <option value="outcome">Latest outcome</option>
+              <option value="reply">Reply since the last step</option>
+              <option value="intent">Detected intent</option>
+            </select>
+          </label>
+          <div className="mt-2 space-y-2">
+            {step.cases.map((row, index) => (
+              <div key={index} className="rounded-lg border border-border bg-surface-secondary p-2">
+                <div className="flex gap-2">
+                  <BranchValueInput on={step.on} value={row.value} onChange={(value) => updateCase(index, { value })} />
+                  <button
+                    type="button"
+                    className="ops-button-secondary h-9 w-9 shrink-0 px-0"
+                    onClick={() => update({ cases: step.cases.filter((_, position) => position !== index) })}
+                    aria-label="Remove case"
+                  >
+                    <Trash2 className="h-3 w-3" aria-hidden="true" />
+                  </button>
+                </div>
+                <StepTargetSelect label="Go to" value={row.next} steps={steps} onChange={(next) => updateCase(index, { next })} />
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="ops-button-secondary mt-2 h-8 px-2"
+            onClick={() => update({ cases: [...step.cases, { value: branchCaseDefault(step.on), next: '' }] })}
+          >
+            <Plus className="h-3 w-3" aria-hidden="true" />
+            Add case
+          </button>
+          <StepTargetSelect label="Otherwise" value={step.otherwise} steps={steps} onChange={(otherwise) => update({ otherwise })} />
+        </>
+      ) : null}
+
+      {step.type === 'stop' ? (
+        <label className="mt-2 block">
+          <span className="text-xs font-medium text-text-muted">Leave the lead in</span>
+          <select className="ops-select mt-1" value={step.stage} onChange={(event) => update({ stage: event.target.value })}>
+            {PLAYBOOK_STOP_STAGES.map((stage) => (
+              <option key={stage} value={stage}>{pretty(stage)}</option>
+            ))}
+          </select>
+        </label>
+      ) : null}
+
+      {step.type === 'stop' || step.type === 'escalate' ? (
+        <input
+          className="ops-input mt-2"
+          placeholder={step.type === 'escalate' ? 'Why a person should take over' : 'Reason shown on the lead timeline'}
+          value={step.reason}
+          onChange={(event) => update({ reason: event.target.value })}
+        />
+      ) : null}
+
+      <p className="mt-2 text-xs text-text-muted">{describePlaybookStep(step)}</p>
+    </div>
+  );
+}
+
 export default function LifecyclePage() {
   const router = useRouter();
   const { user, isAuthenticated, loading: authLoading } = useAuth();
@@ -108,22 +442,51 @@ export default function LifecyclePage() {
   const [events, setEvents] = useState([]);
   const [rules, setRules] = useState(null);
   const [ruleForm, setRuleForm] = useState(buildRuleForm(null));
+  const [ruleComment, setRuleComment] = useState('');
+  const [ruleVersions, setRuleVersions] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [holidayForm, setHolidayForm] = useState({ date: '', name: '' });
   const [queueFilter, setQueueFilter] = useState('all');
+  const [playbooks, setPlaybooks] = useState([]);
+  const [playbookRuns, setPlaybookRuns] = useState([]);
+  const [playbookForm, setPlaybookForm] = useState(emptyPlaybookForm);
+  const [traceLeadId, setTraceLeadId] = useState('');
+  const [simulationForm, setSimulationForm] = useState({
+    leadId: '',
+    outcomes: 'no_answer, no_answer, busy, replied',
+    rulesSource: 'draft',
+    firstTouch: true,
+    consent: { call: true, sms: true, whatsapp: true, email: true },
+  });
+  const [simulation, setSimulation] = useState(null);
+  const [simulating, setSimulating] = useState(false);
 
   const fetchLifecycle = useCallback(async () => {
     if (!user) return;
     try {
       setLoading(true);
       setError('');
-      const [loadedLeads, loadedEvents, loadedRules] = await Promise.all([
+      const [loadedLeads, loadedEvents, loadedRules, loadedPlaybooks, loadedRuns, loadedVersions, loadedHolidays] = await Promise.all([
         listLeads(user, 10000),
         listLeadLifecycleEvents(user, { limit: 300 }),
         getTenantLifecycleRules(user),
+        listLifecyclePlaybooks(user),
+        listLeadPlaybookRuns(user, { limit: 500 }),
+        listLifecycleRuleVersions(user),
+        listTenantHolidays(user),
       ]);
       setLeads(loadedLeads);
       setEvents(loadedEvents);
       setRules(loadedRules);
       setRuleForm(buildRuleForm(loadedRules));
+      setPlaybooks(loadedPlaybooks);
+      setPlaybookRuns(loadedRuns);
+      setRuleVersions(loadedVersions);
+      setHolidays(loadedHolidays);
+      setPlaybookForm((current) => {
+        const saved = current.id ? loadedPlaybooks.find((row) => row.id === current.id) : null;
+        return saved ? playbookFormFromRow(saved) : current;
+      });
     } catch (err) {
       setError(err.message || 'Failed to load lifecycle data');
     } finally {
@@ -153,6 +516,16 @@ export default function LifecyclePage() {
     return map;
   }, [events]);
 
+  // Runs are loaded newest first, so the first open run per lead is current.
+  const openRunByLeadId = useMemo(() => {
+    const map = new Map();
+    playbookRuns.forEach((run) => {
+      if (!openRunStatuses.includes(run.status) || map.has(run.leadId)) return;
+      map.set(run.leadId, run);
+    });
+    return map;
+  }, [playbookRuns]);
+
   const lifecycleRows = useMemo(() => leads.map((lead) => {
     const latestEvent = latestEventByLeadId.get(lead.id) || null;
     const stage = lead.doNotContact ? 'do_not_contact'
@@ -173,8 +546,9 @@ export default function LifecyclePage() {
       nextActionAt,
       reason: latestEvent?.reason || lead.escalationReason || 'No lifecycle reason recorded yet.',
       blockedReason,
+      playbookRun: openRunByLeadId.get(lead.id) || null,
     };
-  }), [leads, latestEventByLeadId]);
+  }), [leads, latestEventByLeadId, openRunByLeadId]);
 
   const filteredRows = useMemo(() => lifecycleRows.filter((row) => {
     if (queueFilter === 'all') return true;
@@ -184,6 +558,7 @@ export default function LifecyclePage() {
     if (queueFilter === 'callback') return row.stage === 'callback_scheduled' || row.outcome === 'callback_requested';
     if (queueFilter === 'nurture') return row.stage === 'nurture' || row.stage === 'not_interested_now';
     if (queueFilter === 'scheduled') return Boolean(row.nextActionAt);
+    if (queueFilter === 'playbook') return Boolean(row.playbookRun);
     return true;
   }), [lifecycleRows, queueFilter]);
 
@@ -196,6 +571,38 @@ export default function LifecyclePage() {
     { label: 'Blocked', value: metricValue(lifecycleRows, (row) => Boolean(row.blockedReason || row.lead.doNotContact)), tone: 'bg-error-soft text-error' },
   ];
 
+  // Booked counts per version come from the loaded events only, which is
+  // enough to see a drop right after a change.
+  const versionStats = useMemo(() => {
+    const map = new Map();
+    events.forEach((event) => {
+      if (!event.rulesVersionId) return;
+      const stats = map.get(event.rulesVersionId) || { events: 0, booked: 0 };
+      stats.events += 1;
+      if (event.outcome === 'booked' || event.nextStage === 'booked') stats.booked += 1;
+      map.set(event.rulesVersionId, stats);
+    });
+    return map;
+  }, [events]);
+  const versionNumberById = useMemo(
+    () => new Map(ruleVersions.map((version) => [version.id, version.versionNumber])),
+    [ruleVersions]
+  );
+
+  const upcomingHolidays = useMemo(() => {
+    const today = format(new Date(), 'yyyy-MM-dd');
+    return holidays.filter((holiday) => holiday.holidayDate >= today);
+  }, [holidays]);
+
+  const playbookCheck = useMemo(() => validatePlaybook(playbookForm), [playbookForm]);
+  const playbookLayout = useMemo(() => playbookColumns(playbookForm), [playbookForm]);
+  const reachableStepIds = useMemo(() => reachablePlaybookSteps(playbookCheck.playbook), [playbookCheck]);
+  const traceLead = leads.find((lead) => lead.id === traceLeadId) || null;
+  const traceRuns = useMemo(
+    () => playbookRuns.filter((run) => run.leadId === traceLeadId),
+    [playbookRuns, traceLeadId]
+  );
+
   async function handleAutomationToggle(row) {
     const paused = !row.lead.automationPaused;
     try {
@@ -241,39 +648,92 @@ export default function LifecyclePage() {
     });
   }
 
+  function setQuietHours(channel, key, value) {
+    setRuleForm((current) => ({
+      ...current,
+      quietHours: { ...current.quietHours, [channel]: { ...current.quietHours[channel], [key]: value } },
+    }));
+  }
+
+  function toggleHolidayChannel(channel) {
+    setRuleForm((current) => ({
+      ...current,
+      holidayChannels: current.holidayChannels.includes(channel)
+        ? current.holidayChannels.filter((item) => item !== channel)
+        : [...current.holidayChannels, channel],
+    }));
+  }
+
+  async function handleAddHoliday(event) {
+    event.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      setNotice('');
+      const holiday = await addTenantHoliday(user, holidayForm);
+      setHolidays((current) => [...current, holiday].sort((left, right) => left.holidayDate.localeCompare(right.holidayDate)));
+      setHolidayForm({ date: '', name: '' });
+      setNotice('Holiday added');
+    } catch (err) {
+      setError(err.message || 'Failed to add holiday');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleImportHolidays(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setSaving(true);
+      setError('');
+      setNotice('');
+      const result = await importTenantHolidaysFromIcs(user, await file.text());
+      setHolidays(await listTenantHolidays(user));
+      const extras = [
+        result.duplicates ? `${result.duplicates} already on the calendar` : '',
+        result.skipped ? `${result.skipped} without a date skipped` : '',
+      ].filter(Boolean).join(', ');
+      setNotice(`Imported ${result.created.length} holiday${result.created.length === 1 ? '' : 's'}${extras ? ` (${extras})` : ''}`);
+    } catch (err) {
+      setError(err.message || 'Failed to import holidays');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDeleteHoliday(holiday) {
+    try {
+      setSaving(true);
+      setError('');
+      setNotice('');
+      await deleteTenantHoliday(user, holiday.id);
+      setHolidays((current) => current.filter((row) => row.id !== holiday.id));
+      setNotice(`${holiday.name} removed`);
+    } catch (err) {
+      setError(err.message || 'Failed to remove holiday');
+    } finally {
+      setSaving(false);
+    }
+  }
+
   async function handleSaveRules(event) {
     event.preventDefault();
     try {
       setSaving(true);
       setError('');
       setNotice('');
-      const cadence = parseCadence(ruleForm.checkupCadenceDays);
-      const updated = await updateTenantLifecycleRules(user, {
-        maxCallAttempts: ruleForm.maxCallAttempts,
-        channelOrder: ruleForm.channelOrder,
-        voicemailAllowed: ruleForm.voicemailAllowed,
-        nurturePolicy: {
-          ...(rules?.nurturePolicy || {}),
-          notInterestedNowDelayDays: Number(ruleForm.notInterestedNowDelayDays) || 30,
-          checkupCadenceDays: cadence.length ? cadence : [7, 14, 30],
-          maxCheckups: Number(ruleForm.maxCheckups) || 3,
-        },
-        humanReviewTriggers: {
-          ...(rules?.humanReviewTriggers || {}),
-          missingConsent: ruleForm.missingConsent,
-          missingChannelSetup: ruleForm.missingChannelSetup,
-          ambiguousIntent: ruleForm.ambiguousIntent,
-          repeatedFailedAttempts: ruleForm.repeatedFailedAttempts,
-        },
-        offDutyCallPolicy: {
-          ...(rules?.offDutyCallPolicy || {}),
-          behavior: ruleForm.offDutyBehavior,
-          respectTenantBusinessHours: true,
-        },
+      const updated = await updateTenantLifecycleRules(user, rulesInputFromForm(ruleForm, rules), {
+        comment: ruleComment,
+        expectedVersionId: rules?.currentVersionId || null,
       });
+      const changed = updated.currentVersionId !== rules?.currentVersionId;
       setRules(updated);
       setRuleForm(buildRuleForm(updated));
-      setNotice('Lifecycle rules saved');
+      setRuleComment('');
+      if (changed) setRuleVersions(await listLifecycleRuleVersions(user));
+      setNotice(changed ? 'Lifecycle rules saved as a new version' : 'No rule changes to save');
     } catch (err) {
       setError(err.message || 'Failed to save lifecycle rules');
     } finally {
@@ -281,6 +741,119 @@ export default function LifecyclePage() {
     }
   }
 
+  async function handleRestoreVersion(version) {
+    try {
+      setSaving(true);
+      setError('');
+      setNotice('');
+      const updated = await restoreLifecycleRuleVersion(user, version.id, '', { expectedVersionId: rules?.currentVersionId || null });
+      setRules(updated);
+      setRuleForm(buildRuleForm(updated));
+      setRuleVersions(await listLifecycleRuleVersions(user));
+      setNotice(`Version ${version.versionNumber} restored as a new version`);
+    } catch (err) {
+      setError(err.message || 'Failed to restore lifecycle rules');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleSimulate(event) {
+    event.preventDefault();
+    try {
+      setSimulating(true);
+      setError('');
+      setSimulation(await simulateLifecycle(user, {
+        leadId: simulationForm.leadId || null,
+        lead: simulationForm.leadId ? undefined : { consent: simulationForm.consent },
+        outcomes: simulationForm.outcomes,
+        rules: simulationForm.rulesSource === 'draft' ? rulesInputFromForm(ruleForm, rules) : null,
+        firstTouch: simulationForm.firstTouch,
+      }));
+    } catch (err) {
+      setError(err.message || 'Failed to simulate lifecycle rules');
+    } finally {
+      setSimulating(false);
+    }
+  }
+
+  function selectPlaybook(id) {
+    const saved = playbooks.find((row) => row.id === id);
+    setPlaybookForm(saved ? playbookFormFromRow(saved) : emptyPlaybookForm());
+  }
+
+  function updatePlaybookStep(id, step) {
+    setPlaybookForm((current) => ({ ...current, steps: current.steps.map((item) => (item.id === id ? step : item)) }));
+  }
+
+  function addPlaybookStep(type) {
+    setPlaybookForm((current) => {
+      const step = createPlaybookStep(type, nextPlaybookStepId(current.steps));
+      return { ...current, steps: [...current.steps, step], startStepId: current.startStepId || step.id };
+    });
+  }
+
+  // Removing a step also clears every edge that pointed at it, so the graph
+  // never references a step that is gone.
+  function removePlaybookStep(id) {
+    setPlaybookForm((current) => {
+      const clear = (target) => (target === id ? '' : target);
+      const steps = current.steps
+        .filter((step) => step.id !== id)
+        .map((step) => {
+          if (step.type === 'branch') {
+            return { ...step, cases: step.cases.map((row) => ({ ...row, next: clear(row.next) })), otherwise: clear(step.otherwise) };
+          }
+          if (step.type === 'send' || step.type === 'wait') return { ...step, next: clear(step.next) };
+          return step;
+        });
+      return { ...current, steps, startStepId: current.startStepId === id ? steps[0]?.id || '' : current.startStepId };
+    });
+  }
+
+  function toggleTriggerOutcome(outcome) {
+    setPlaybookForm((current) => ({
+      ...current,
+      triggerOutcomes: current.triggerOutcomes.includes(outcome)
+        ? current.triggerOutcomes.filter((item) => item !== outcome)
+        : [...current.triggerOutcomes, outcome],
+    }));
+  }
+
+  async function handleSavePlaybook(event) {
+    event.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      setNotice('');
+      const saved = await saveLifecyclePlaybook(user, playbookForm);
+      setPlaybooks((current) => [saved, ...current.filter((row) => row.id !== saved.id)]);
+      setPlaybookForm(playbookFormFromRow(saved));
+      setNotice(saved.status === 'active' ? 'Playbook saved and active' : 'Playbook saved');
+    } catch (err) {
+      setError(err.message || 'Failed to save playbook');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDeletePlaybook() {
+    if (!playbookForm.id) return;
+    try {
+      setSaving(true);
+      setError('');
+      setNotice('');
+      await deleteLifecyclePlaybook(user, playbookForm.id);
+      setPlaybooks((current) => current.filter((row) => row.id !== playbookForm.id));
+      setPlaybookForm(emptyPlaybookForm());
+      setNotice('Playbook deleted; leads already in it finish their current run');
+    } catch (err) {
+      setError(err.message || 'Failed to delete playbook');
+    } finally {
+      setSaving(false);
+    }
+  }
+
   if (loading || authLoading) {
     return (
       <main className="min-h-screen bg-background px-4 py-6 text-text-primary sm:px-6">
@@ -356,6 +929,7 @@ export default function LifecyclePage() {
                   <option value="human_review">Human review</option>
                   <option value="paused">Paused</option>
                   <option value="blocked">Blocked</option>
+                  <option value="playbook">In a playbook</option>
                 </select>
               </div>
 
@@ -384,6 +958,11 @@ export default function LifecyclePage() {
                             {row.outcome ? <Badge value={row.outcome} tone="bg-surface-secondary text-text-secondary" /> : null}
                           </div>
                           {row.blockedReason ? <p className="mt-2 text-xs text-error">{pretty(row.blockedReason)}</p> : null}
+                          {row.playbookRun ? (
+                            <p className="mt-2 text-xs text-text-muted">
+                              {row.playbookRun.playbookName} · {pretty(row.playbookRun.status)} at {row.playbookRun.currentStepId || 'end'}
+                            </p>
+                          ) : null}
                         </td>
                         <td className="px-4 py-3">
                           <div className="text-sm text-text-primary">{pretty(row.nextActionType || 'No action')}</div>
@@ -401,6 +980,10 @@ export default function LifecyclePage() {
                             <PauseCircle className="h-4 w-4" aria-hidden="true" />
                             {row.lead.automationPaused ? 'Resume' : 'Pause'}
                           </button>
+                          <button type="button" className="ops-button-secondary mt-2 h-8 px-2" onClick={() => setTraceLeadId(row.lead.id)}>
+                            <GitBranch className="h-4 w-4" aria-hidden="true" />
+                            Trace
+                          </button>
                         </td>
                       </tr>
                     )) : (
@@ -438,6 +1021,35 @@ export default function LifecyclePage() {
                     />
                   </label>
 
+                  <label className="flex items-center justify-between rounded-lg border border-border bg-surface-secondary px-3 py-2">
+                    <span className="text-sm text-text-primary">Call after an email first touch</span>
+                    <input type="checkbox" checked={ruleForm.emailFirstEnabled} onChange={(event) => setRuleForm({ ...ruleForm, emailFirstEnabled: event.target.checked })} />
+                  </label>
+
+                  <div className="grid gap-3 sm:grid-cols-3">
+                    <label className="block">
+                      <span className="text-xs font-medium text-text-muted">Call after email (hours)</span>
+                      <input
+                        className="ops-input mt-1"
+                        type="number"
+                        min="0.25"
+                        max="48"
+                        step="0.25"
+                        disabled={!ruleForm.emailFirstEnabled}
+                        value={ruleForm.emailFirstWaitHours}
+                        onChange={(event) => setRuleForm({ ...ruleForm, emailFirstWaitHours: event.target.value })}
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="text-xs font-medium text-text-muted">No-answer SMS (min)</span>
+                      <input className="ops-input mt-1" type="number" min="0" value={ruleForm.noAnswerSmsDelayMinutes} onChange={(event) => setRuleForm({ ...ruleForm, noAnswerSmsDelayMinutes: event.target.value })} />
+                    </label>
+                    <label className="block">
+                      <span className="text-xs font-medium text-text-muted">Retry call (business days)</span>
+                      <input className="ops-input mt-1" type="number" min="1" value={ruleForm.noAnswerRetryBusinessDays} onChange={(event) => setRuleForm({ ...ruleForm, noAnswerRetryBusinessDays: event.target.value })} />
+                    </label>
+                  </div>
+
                   <div>
                     <p className="text-xs font-medium text-text-muted">Channel order</p>
                     <div className="mt-2 space-y-2">
@@ -468,6 +1080,19 @@ export default function LifecyclePage() {
                     <input type="checkbox" checked={ruleForm.voicemailAllowed} onChange={(event) => setRuleForm({ ...ruleForm, voicemailAllowed: event.target.checked })} />
                   </label>
 
+                  <label className="block">
+                    <span className="text-xs font-medium text-text-muted">Voicemail drop message</span>
+                    <textarea
+                      className="ops-input mt-1 h-24 py-2"
+                      maxLength={1000}
+                      disabled={!ruleForm.voicemailAllowed}
+                      placeholder="Hi {{lead_name}}, this is {{agent_name}} from {{tenant_name}}, following up on your recent request."
+                      value={ruleForm.voicemailDropMessage}
+                      onChange={(event) => setRuleForm({ ...ruleForm, voicemailDropMessage: event.target.value })}
+                    />
+                    <span className="mt-1 block text-xs text-text-muted">Played in the agent voice when a call reaches an answering machine. Leave empty for the default message.</span>
+                  </label>
+
                   <div className="grid gap-3 sm:grid-cols-2">
                     <label className="block">
                       <span className="text-xs font-medium text-text-muted">Not-now delay days</span>
@@ -501,6 +1126,39 @@ export default function LifecyclePage() {
                     </div>
                   </div>
 
+                  <div>
+                    <p className="text-xs font-medium text-text-muted">Warm transfer</p>
+                    <div className="mt-2 space-y-3">
+                      <label className="flex items-center justify-between rounded-lg border border-border bg-surface-secondary px-3 py-2">
+                        <span className="text-sm text-text-primary">Transfer escalated calls to a human</span>
+                        <input type="checkbox" checked={ruleForm.transferEnabled} onChange={(event) => setRuleForm({ ...ruleForm, transferEnabled: event.target.checked })} />
+                      </label>
+                      <label className="block">
+                        <span className="text-xs font-medium text-text-muted">Escalation numbers</span>
+                        <input
+                          className="ops-input mt-1"
+                          placeholder="+15551234567, +15557654321"
+                          value={ruleForm.transferNumbers}
+                          onChange={(event) => setRuleForm({ ...ruleForm, transferNumbers: event.target.value })}
+                        />
+                        <span className="mt-1 block text-xs text-text-muted">Up to 5 numbers. The team member hears a short lead summary before the lead is connected.</span>
+                      </label>
+                      <div className="grid gap-3 sm:grid-cols-2">
+                        <label className="block">
+                          <span className="text-xs font-medium text-text-muted">Ring</span>
+                          <select className="ops-select mt-1" value={ruleForm.transferRingStrategy} onChange={(event) => setRuleForm({ ...ruleForm, transferRingStrategy: event.target.value })}>
+                            <option value="simultaneous">All numbers at once</option>
+                            <option value="sequential">In order (hunt group)</option>
+                          </select>
+                        </label>
+                        <label className="block">
+                          <span className="text-xs font-medium text-text-muted">Ring timeout seconds</span>
+                          <input className="ops-input mt-1" type="number" min="5" max="60" value={ruleForm.transferRingTimeoutSeconds} onChange={(event) => setRuleForm({ ...ruleForm, transferRingTimeoutSeconds: event.target.value })} />
+                        </label>
+                      </div>
+                    </div>
+                  </div>
+
                   <label className="block">
                     <span className="text-xs font-medium text-text-muted">Off-duty calls</span>
                     <select className="ops-select mt-1" value={ruleForm.offDutyBehavior} onChange={(event) => setRuleForm({ ...ruleForm, offDutyBehavior: event.target.value })}>
@@ -508,9 +1166,45 @@ export default function LifecyclePage() {
                       <option value="human_review">Require human review</option>
                     </select>
                   </label>
+
+                  <div>
+                    <p className="text-xs font-medium text-text-muted">Contact windows</p>
+                    <div className="mt-2 space-y-3">
+                      <label className="flex items-center justify-between rounded-lg border border-border bg-surface-secondary px-3 py-2">
+                        <span className="text-sm text-text-primary">Use the lead local time (inferred from location)</span>
+                        <input type="checkbox" checked={ruleForm.useLeadTimezone} onChange={(event) => setRuleForm({ ...ruleForm, useLeadTimezone: event.target.checked })} />
+                      </label>
+                      {CONTACT_WINDOW_CHANNELS.map((channel) => (
+                        <div key={channel} className="grid grid-cols-[80px_1fr_1fr] items-center gap-2">
+                          <span className="text-sm text-text-primary">{channelLabels[channel]}</span>
+                          <input className="ops-input" type="time" aria-label={`${channel} window start`} value={ruleForm.quietHours[channel].start} onChange={(event) => setQuietHours(channel, 'start', event.target.value)} />
+                          <input className="ops-input" type="time" aria-label={`${channel} window end`} value={ruleForm.quietHours[channel].end} onChange={(event) => setQuietHours(channel, 'end', event.target.value)} />
+                        </div>
+                      ))}
+                      <span className="block text-xs text-text-muted">Queued actions outside a window wait for the next one. Leave both times empty to allow a channel at any hour. Calls also stay inside tenant business hours.</span>
+                      <div>
+                        <p className="text-xs font-medium text-text-muted">Pause on holidays</p>
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {CONTACT_WINDOW_CHANNELS.map((channel) => (
+                            <label key={channel} className="flex items-center gap-2 rounded-lg border border-border bg-surface-secondary px-3 py-2 text-sm text-text-primary">
+                              <input type="checkbox" checked={ruleForm.holidayChannels.includes(channel)} onChange={() => toggleHolidayChannel(channel)} />
+                              {channelLabels[channel]}
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    </div>
+                  </div>
                 </div>
 
-                <div className="border-t border-border px-4 py-3">
+                <div className="space-y-3 border-t border-border px-4 py-3">
+                  <input
+                    className="ops-input"
+                    maxLength={500}
+                    placeholder="What changed and why (saved with the version)"
+                    value={ruleComment}
+                    onChange={(event) => setRuleComment(event.target.value)}
+                  />
                   <button type="submit" className="ops-button-primary w-full" disabled={saving}>
                     <Save className="h-4 w-4" aria-hidden="true" />
                     Save lifecycle rules
@@ -518,6 +1212,225 @@ export default function LifecyclePage() {
                 </div>
               </form>
 
+              <section className="ops-panel">
+                <div className="flex items-center gap-2 border-b border-border px-4 py-3">
+                  <History className="h-4 w-4 text-text-muted" aria-hidden="true" />
+                  <h2 className="text-sm font-semibold text-text-primary">Rules history</h2>
+                </div>
+                <div className="max-h-[480px] space-y-3 overflow-y-auto p-4">
+                  {ruleVersions.map((version) => {
+                    const current = version.id === rules?.currentVersionId;
+                    const stats = versionStats.get(version.id);
+                    return (
+                      <div key={version.id} className="rounded-lg border border-border bg-surface-secondary px-3 py-2">
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                          <div className="flex items-center gap-2">
+                            <span className="text-sm font-medium text-text-primary">Version {version.versionNumber}</span>
+                            {current ? <Badge value="current" tone="bg-success-soft text-success" /> : null}
+                          </div>
+                          <span className="text-xs text-text-muted">{formatDate(version.createdAt)}</span>
+                        </div>
+                        <p className="mt-1 text-xs text-text-muted">
+                          {version.createdByEmail || 'System'}
+                          {version.restoredFromVersionId ? ` · restored version ${versionNumberById.get(version.restoredFromVersionId) || ''}` : ''}
+                          {stats ? ` · ${stats.events} recent event${stats.events === 1 ? '' : 's'}, ${stats.booked} booked` : ''}
+                        </p>
+                        {version.comment ? <p className="mt-1 text-sm text-text-secondary">{version.comment}</p> : null}
+                        {version.diff?.length ? (
+                          <ul className="mt-2 space-y-1 text-xs text-text-secondary">
+                            {version.diff.map((change) => (
+                              <li key={change.path}>{describeRuleChange(change)}</li>
+                            ))}
+                          </ul>
+                        ) : null}
+                        {!current ? (
+                          <button type="button" className="ops-button-secondary mt-2 h-8 px-2" onClick={() => handleRestoreVersion(version)} disabled={saving}>
+                            <RefreshCw className="h-3 w-3" aria-hidden="true" />
+                            Restore
+                          </button>
+                        ) : null}
+                      </div>
+                    );
+                  })}
+                  {!ruleVersions.length ? (
+                    <div className="rounded-lg border border-border bg-surface-secondary px-3 py-4 text-center text-sm text-text-muted">
+                      No rule versions yet. The first save records one.
+                    </div>
+                  ) : null}
+                </div>
+              </section>
+
+              <section className="ops-panel">
+                <div className="flex items-center justify-between border-b border-border px-4 py-3">
+                  <div className="flex items-center gap-2">
+                    <CalendarX className="h-4 w-4 text-text-muted" aria-hidden="true" />
+                    <h2 className="text-sm font-semibold text-text-primary">Holidays</h2>
+                  </div>
+                  <label className="ops-button-secondary h-8 cursor-pointer px-2">
+                    <Upload className="h-3 w-3" aria-hidden="true" />
+                    Import ICS
+                    <input type="file" accept=".ics,text/calendar" className="hidden" onChange={handleImportHolidays} disabled={saving} />
+                  </label>
+                </div>
+                <form className="grid grid-cols-[1fr_1fr_auto] gap-2 border-b border-border p-4" onSubmit={handleAddHoliday}>
+                  <input className="ops-input" type="date" aria-label="Holiday date" value={holidayForm.date} onChange={(event) => setHolidayForm({ ...holidayForm, date: event.target.value })} />
+                  <input className="ops-input" maxLength={200} placeholder="Name" value={holidayForm.name} onChange={(event) => setHolidayForm({ ...holidayForm, name: event.target.value })} />
+                  <button type="submit" className="ops-button-secondary" disabled={saving}>
+                    <Plus className="h-4 w-4" aria-hidden="true" />
+                    Add
+                  </button>
+                </form>
+                <div className="max-h-[320px] space-y-2 overflow-y-auto p-4">
+                  {upcomingHolidays.map((holiday) => (
+                    <div key={holiday.id} className="flex items-center justify-between gap-2 rounded-lg border border-border bg-surface-secondary px-3 py-2">
+                      <div className="min-w-0">
+                        <p className="truncate text-sm font-medium text-text-primary">{holiday.name}</p>
+                        <p className="text-xs text-text-muted">{holiday.holidayDate}{holiday.source === 'ics' ? ' · imported' : ''}</p>
+                      </div>
+                      <button type="button" className="ops-button-secondary h-8 px-2" onClick={() => handleDeleteHoliday(holiday)} disabled={saving} aria-label={`Remove ${holiday.name}`}>
+                        <Trash2 className="h-3 w-3" aria-hidden="true" />
+                      </button>
+                    </div>
+                  ))}
+                  {!upcomingHolidays.length ? (
+                    <div className="rounded-lg border border-border bg-surface-secondary px-3 py-4 text-center text-sm text-text-muted">
+                      No upcoming holidays. Dates use the tenant timezone.
+                    </div>
+                  ) : null}
+                </div>
+              </section>
+
+              <form className="ops-panel" onSubmit={handleSimulate}>
+                <div className="flex items-center gap-2 border-b border-border px-4 py-3">
+                  <FlaskConical className="h-4 w-4 text-text-muted" aria-hidden="true" />
+                  <h2 className="text-sm font-semibold text-text-primary">Dry run</h2>
+                </div>
+                <div className="space-y-3 p-4">
+                  <p className="text-xs text-text-muted">
+                    Play a sequence of outcomes through the rules and see what would be scheduled. Nothing is sent or saved.
+                  </p>
+                  <div className="grid gap-3 sm:grid-cols-2">
+                    <label className="block">
+                      <span className="text-xs font-medium text-text-muted">Lead</span>
+                      <select className="ops-select mt-1" value={simulationForm.leadId} onChange={(event) => setSimulationForm({ ...simulationForm, leadId: event.target.value })}>
+                        <option value="">Sample lead</option>
+                        {leads.map((lead) => (
+                          <option key={lead.id} value={lead.id}>{lead.fullName || lead.email || lead.phone || lead.id}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="block">
+                      <span className="text-xs font-medium text-text-muted">Rules</span>
+                      <select className="ops-select mt-1" value={simulationForm.rulesSource} onChange={(event) => setSimulationForm({ ...simulationForm, rulesSource: event.target.value })}>
+                        <option value="draft">Unsaved form values</option>
+                        <option value="current">Saved rules</option>
+                      </select>
+                    </label>
+                  </div>
+                  {!simulationForm.leadId ? (
+                    <div className="flex flex-wrap gap-3">
+                      {['call', 'sms', 'whatsapp', 'email'].map((channel) => (
+                        <label key={channel} className="flex items-center gap-1 text-xs text-text-secondary">
+                          <input
+                            type="checkbox"
+                            checked={simulationForm.consent[channel]}
+                            onChange={(event) => setSimulationForm({ ...simulationForm, consent: { ...simulationForm.consent, [channel]: event.target.checked } })}
+                          />
+                          {channelLabels[channel]} consent
+                        </label>
+                      ))}
+                    </div>
+                  ) : null}
+                  <label className="block">
+                    <span className="text-xs font-medium text-text-muted">Outcomes in order</span>
+                    <input className="ops-input mt-1" value={simulationForm.outcomes} onChange={(event) => setSimulationForm({ ...simulationForm, outcomes: event.target.value })} />
+                    <span className="mt-1 block text-xs text-text-muted">Comma separated, e.g. no_answer, busy, voicemail_left, not_interested_now, answered, replied.</span>
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-text-primary">
+                    <input type="checkbox" checked={simulationForm.firstTouch} onChange={(event) => setSimulationForm({ ...simulationForm, firstTouch: event.target.checked })} />
+                    Start with the campaign first touch
+                  </label>
+                  <button type="submit" className="ops-button-secondary w-full" disabled={simulating}>
+                    <PlayCircle className="h-4 w-4" aria-hidden="true" />
+                    {simulating ? 'Simulating...' : 'Preview timeline'}
+                  </button>
+
+                  {simulation ? (
+                    <div className="space-y-3">
+                      <p className="text-xs text-text-muted">
+                        {simulation.rulesSource === 'draft' ? 'Unsaved rules' : 'Saved rules'} · {simulation.summary.actions} action{simulation.summary.actions === 1 ? '' : 's'}, {simulation.summary.calls} call{simulation.summary.calls === 1 ? '' : 's'} · ends in {pretty(simulation.summary.finalStage)}
+                      </p>
+                      {simulation.warnings.map((warning) => (
+                        <p key={warning} className="text-xs text-warning">{warning}</p>
+                      ))}
+                      <ol className="space-y-2 border-l border-border pl-3">
+                        {simulation.timeline.map((entry, index) => (
+                          <li key={index} className="text-xs">
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span className="font-medium text-text-primary">{simulationEntryLabels[entry.kind] || pretty(entry.kind)}</span>
+                              {entry.outcome ? <Badge value={entry.outcome} tone="bg-surface-secondary text-text-secondary" /> : null}
+                              {entry.at ? <span className="text-text-muted">{formatDate(entry.at)}</span> : null}
+                            </div>
+                            {simulationEntryAction(entry) ? (
+                              <p className={`mt-1 ${entry.actionType ? 'text-text-primary' : 'text-warning'}`}>{simulationEntryAction(entry)}</p>
+                            ) : null}
+                            {entry.deferredFrom ? (
+                              <p className="mt-1 text-text-muted">
+                                Moved from {formatDate(entry.deferredFrom)}
+                                {entry.holiday ? ' past ' + (entry.holiday.name || 'a tenant holiday') : entry.deferredReason === 'quiet_hours' ? ' out of quiet hours' : ' into business hours'}
+                              </p>
+                            ) : null}
+                            <p className="mt-1 text-text-secondary">{entry.reason}</p>
+                            {entry.blockedReason ? <p className="mt-1 text-error">{pretty(entry.blockedReason)}</p> : null}
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  ) : null}
+                </div>
+              </form>
+
+              {traceLeadId ? (
+                <section className="ops-panel">
+                  <div className="flex items-center justify-between border-b border-border px-4 py-3">
+                    <div>
+                      <h2 className="text-sm font-semibold text-text-primary">Playbook trace</h2>
+                      <p className="mt-1 text-xs text-text-muted">{traceLead?.fullName || 'Lead'}</p>
+                    </div>
+                    <button type="button" className="ops-button-secondary h-8 px-2" onClick={() => setTraceLeadId('')}>
+                      Close
+                    </button>
+                  </div>
+                  <div className="space-y-3 p-4">
+                    {traceRuns.map((run) => (
+                      <div key={run.id} className="rounded-lg border border-border bg-surface-secondary px-3 py-2">
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                          <span className="text-sm font-medium text-text-primary">{run.playbookName}</span>
+                          <Badge value={run.status} tone={openRunStatuses.includes(run.status) ? 'bg-info-soft text-info' : undefined} />
+                        </div>
+                        <p className="mt-1 text-xs text-text-muted">
+                          Started {formatDate(run.startedAt)}
+                          {run.status === 'waiting' && run.resumeAt ? ` · resumes ${formatDate(run.resumeAt)}` : ''}
+                          {run.finishedAt ? ` · finished ${formatDate(run.finishedAt)}` : ''}
+                        </p>
+                        <ol className="mt-2 space-y-1 border-l border-border pl-3">
+                          {(run.trace || []).map((entry, index) => (
+                            <li key={index} className="text-xs text-text-secondary">
+                              <span className="text-text-muted">{formatDate(entry.at)}</span> {traceEntryText(entry)}
+                            </li>
+                          ))}
+                        </ol>
+                      </div>
+                    ))}
+                    {!traceRuns.length ? (
+                      <div className="rounded-lg border border-border bg-surface-secondary px-3 py-4 text-center text-sm text-text-muted">
+                        This lead has not been through a playbook.
+                      </div>
+                    ) : null}
+                  </div>
+                </section>
+              ) : null}
+
               <section className="ops-panel">
                 <div className="border-b border-border px-4 py-3">
                   <h2 className="text-sm font-semibold text-text-primary">Recent lifecycle events</h2>
@@ -530,6 +1443,9 @@ export default function LifecyclePage() {
                         <span className="text-xs text-text-muted">{formatDate(event.createdAt)}</span>
                       </div>
                       <p className="mt-2 text-sm text-text-secondary">{event.reason || event.blockedReason || 'Lifecycle event recorded.'}</p>
+                      {versionNumberById.has(event.rulesVersionId) ? (
+                        <p className="mt-1 text-xs text-text-muted">Decided under rules version {versionNumberById.get(event.rulesVersionId)}</p>
+                      ) : null}
                       {event.nextActionType ? (
                         <p className="mt-1 text-xs text-text-muted">
                           Next: {pretty(event.nextActionType)} {event.nextActionAt ? `at ${formatDate(event.nextActionAt)}` : ''}
@@ -546,6 +1462,127 @@ export default function LifecyclePage() {
               </section>
             </aside>
           </div>
+
+          <form className="ops-panel" onSubmit={handleSavePlaybook}>
+            <div className="flex flex-col gap-3 border-b border-border px-4 py-3 lg:flex-row lg:items-center lg:justify-between">
+              <div>
+                <h2 className="text-sm font-semibold text-text-primary">Playbooks</h2>
+                <p className="mt-1 text-xs text-text-muted">
+                  An active playbook replaces the fixed rules above for the outcomes that start it. Leads already in a run keep the version they started with.
+                </p>
+              </div>
+              <select className="ops-select lg:w-72" value={playbookForm.id || ''} onChange={(event) => selectPlaybook(event.target.value)}>
+                <option value="">New playbook</option>
+                {playbooks.map((row) => (
+                  <option key={row.id} value={row.id}>{row.name} ({pretty(row.status)})</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="space-y-4 p-4">
+              <div className="grid gap-3 lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)_160px_220px]">
+                <label className="block">
+                  <span className="text-xs font-medium text-text-muted">Name</span>
+                  <input className="ops-input mt-1" value={playbookForm.name} onChange={(event) => setPlaybookForm({ ...playbookForm, name: event.target.value })} />
+                </label>
+                <label className="block">
+                  <span className="text-xs font-medium text-text-muted">Description</span>
+                  <input className="ops-input mt-1" value={playbookForm.description} onChange={(event) => setPlaybookForm({ ...playbookForm, description: event.target.value })} />
+                </label>
+                <label className="block">
+                  <span className="text-xs font-medium text-text-muted">Status</span>
+                  <select className="ops-select mt-1" value={playbookForm.status} onChange={(event) => setPlaybookForm({ ...playbookForm, status: event.target.value })}>
+                    <option value="draft">Draft</option>
+                    <option value="active">Active</option>
+                    <option value="archived">Archived</option>
+                  </select>
+                </label>
+                <label className="block">
+                  <span className="text-xs font-medium text-text-muted">Start with</span>
+                  <select className="ops-select mt-1" value={playbookForm.startStepId} onChange={(event) => setPlaybookForm({ ...playbookForm, startStepId: event.target.value })}>
+                    {playbookForm.steps.map((step) => (
+                      <option key={step.id} value={step.id}>{stepName(step)}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div>
+                <p className="text-xs font-medium text-text-muted">Starts on these outcomes</p>
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {PLAYBOOK_TRIGGER_OUTCOMES.map((outcome) => (
+                    <label key={outcome} className="flex items-center gap-2 rounded-lg border border-border bg-surface-secondary px-3 py-2 text-sm text-text-primary">
+                      <input type="checkbox" checked={playbookForm.triggerOutcomes.includes(outcome)} onChange={() => toggleTriggerOutcome(outcome)} />
+                      {pretty(outcome)}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                {PLAYBOOK_STEP_TYPES.map((type) => (
+                  <button key={type} type="button" className="ops-button-secondary h-8 px-2" onClick={() => addPlaybookStep(type)}>
+                    <Plus className="h-3 w-3" aria-hidden="true" />
+                    {PLAYBOOK_STEP_LABELS[type]}
+                  </button>
+                ))}
+              </div>
+
+              <div className="overflow-x-auto">
+                <div className="flex min-w-max gap-4">
+                  {playbookLayout.map((column, index) => {
+                    const unreachable = column.some((id) => !reachableStepIds.has(id));
+                    return (
+                      <div key={column.join('-')} className="w-72 space-y-3">
+                        <p className="text-xs font-medium text-text-muted">
+                          {unreachable ? 'Not reached' : index === 0 ? 'Start' : `After ${index} step${index === 1 ? '' : 's'}`}
+                        </p>
+                        {column.map((id) => {
+                          const step = playbookForm.steps.find((item) => item.id === id);
+                          if (!step) return null;
+                          return (
+                            <PlaybookStepCard
+                              key={id}
+                              step={step}
+                              steps={playbookForm.steps}
+                              isStart={id === playbookForm.startStepId}
+                              unreachable={unreachable}
+                              onChange={(next) => updatePlaybookStep(id, next)}
+                              onRemove={() => removePlaybookStep(id)}
+                            />
+                          );
+                        })}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {playbookCheck.errors.length || playbookCheck.warnings.length ? (
+                <ul className="space-y-1 rounded-lg border border-border bg-surface-secondary px-3 py-2 text-xs">
+                  {playbookCheck.errors.map((message) => (
+                    <li key={message} className="text-error">{message}</li>
+                  ))}
+                  {playbookCheck.warnings.map((message) => (
+                    <li key={message} className="text-warning">{message}</li>
+                  ))}
+                </ul>
+              ) : null}
+            </div>
+
+            <div className="flex flex-wrap justify-end gap-2 border-t border-border px-4 py-3">
+              {playbookForm.id ? (
+                <button type="button" className="ops-button-secondary" onClick={handleDeletePlaybook} disabled={saving}>
+                  <Trash2 className="h-4 w-4" aria-hidden="true" />
+                  Delete
+                </button>
+              ) : null}
+              <button type="submit" className="ops-button-primary" disabled={saving || (playbookForm.status === 'active' && !playbookCheck.valid)}>
+                <Save className="h-4 w-4" aria-hidden="true" />
+                Save playbook
+              </button>
+            </div>
+          </form>
         </div>
       </main>
     </>
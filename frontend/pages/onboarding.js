@@ -14,6 +14,7 @@ import {
   Users,
 } from 'lucide-react';
 import { useAuth } from '../lib/auth';
+import { parseLeadImportFile } from '../lib/lead-import';
 import {
   ONBOARDING_STEPS,
   completeTenantOnboarding,
@@ -164,14 +165,9 @@ function StepShell({ title, icon: Icon, children, actions }) {
   );
 }
 
-async function readFileText(file) {
-  if (!file) return '';
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(String(reader.result || ''));
-    reader.onerror = () => reject(new Error('Failed to read file'));
-    reader.readAsText(file);
-  });
+async function readImportFile(file) {
+  if (!file) return null;
+  return parseLeadImportFile(await file.arrayBuffer(), file.name);
 }
 
 export default function OnboardingPage() {
@@ -557,10 +553,9 @@ export default function OnboardingPage() {
   function saveLeads(skip = false) {
     return runSave('leads', async () => {
       if (!skip) {
-        const fileText = await readFileText(csvFile);
-        const sourceText = fileText || csvText;
+        const parsedFile = await readImportFile(csvFile);
         const result = await importLeadsFromCsv(tenantUser, {
-          csvText: sourceText,
+          source: parsedFile || csvText,
           fileName: csvFile?.name || 'onboarding-leads.csv',
         });
         setImportResult(result);
@@ -934,8 +929,8 @@ export default function OnboardingPage() {
                   )}
                 >
                   <div className="grid gap-4 md:grid-cols-2">
-                    <Field label="CSV file" optional>
-                      <input className="ops-input py-1.5" type="file" accept=".csv,text/csv" onChange={(event) => setCsvFile(event.target.files?.[0] || null)} />
+                    <Field label="CSV or Excel file" optional>
+                      <input className="ops-input py-1.5" type="file" accept=".csv,.tsv,.txt,.xlsx,text/csv,text/tab-separated-values,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" onChange={(event) => setCsvFile(event.target.files?.[0] || null)} />
                     </Field>
                     <div className="rounded-lg border border-border bg-surface-secondary px-4 py-3 text-sm text-text-secondary">
                       {state?.leads?.length || 0} lead{state?.leads?.length === 1 ? '' : 's'} currently saved.
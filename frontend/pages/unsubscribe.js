@@ -0,0 +1,82 @@
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+import { confirmUnsubscribe, getUnsubscribeStatus } from '../lib/insforge-functions';
+
+// Landing page for the unsubscribe link in bulk emails. Mail clients that
+// support one-click unsubscribe POST to bulk-email-sender directly instead.
+export default function UnsubscribePage() {
+  const router = useRouter();
+  const token = typeof router.query.token === 'string' ? router.query.token : '';
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    if (!token) {
+      setError('This unsubscribe link is missing its token.');
+      setLoading(false);
+      return;
+    }
+    getUnsubscribeStatus(token)
+      .then((result) => setStatus(result))
+      .catch((err) => setError(err.message || 'This unsubscribe link could not be checked.'))
+      .finally(() => setLoading(false));
+  }, [router.isReady, token]);
+
+  async function handleConfirm() {
+    setSubmitting(true);
+    setError('');
+    try {
+      await confirmUnsubscribe(token);
+      setStatus((current) => ({ ...current, unsubscribed: true }));
+    } catch (err) {
+      setError(err.message || 'Unsubscribe failed. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  const sender = status?.tenantName || 'this sender';
+
+  return (
+    <>
+      <Head>
+        <title>Unsubscribe - SetMyMeet</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <main className="min-h-screen bg-background px-4 py-8 text-text-primary sm:px-6">
+        <section className="mx-auto max-w-md space-y-4">
+          <header className="space-y-2">
+            <p className="text-xs font-medium text-text-muted">SetMyMeet</p>
+            <h1 className="text-2xl font-semibold text-text-primary">Email preferences</h1>
+          </header>
+
+          <section className="ops-panel space-y-3 p-4 text-sm text-text-secondary">
+            {loading && <p>Checking your link...</p>}
+            {!loading && error && <p className="text-error">{error}</p>}
+            {!loading && status && status.unsubscribed && (
+              <p>
+                <span className="font-medium text-text-primary">{status.email}</span> is unsubscribed and will not
+                receive further emails from {sender}.
+              </p>
+            )}
+            {!loading && status && !status.unsubscribed && (
+              <>
+                <p>
+                  Stop emails from {sender} to <span className="font-medium text-text-primary">{status.email}</span>?
+                </p>
+                <button type="button" className="ops-button-primary" onClick={handleConfirm} disabled={submitting}>
+                  {submitting ? 'Unsubscribing...' : 'Unsubscribe'}
+                </button>
+              </>
+            )}
+          </section>
+        </section>
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  abTestSliceSize,
+  normalizeAbTestSettings,
+  pickAbTestWinner,
+  variantRates,
+} from '../lib/bulk-email-ab-test.js';
+
+test('normalizeAbTestSettings clamps the slice, wait and metric', () => {
+  assert.deepEqual(normalizeAbTestSettings({}), { testPercent: 20, waitMinutes: 240, winnerMetric: 'open' });
+  assert.deepEqual(
+    normalizeAbTestSettings({ testPercent: 90, waitMinutes: 1, winnerMetric: 'click' }),
+    { testPercent: 50, waitMinutes: 15, winnerMetric: 'click' }
+  );
+});
+
+test('abTestSliceSize gives every variant a recipient without exceeding the list', () => {
+  assert.equal(abTestSliceSize(1000, 2, 20), 200);
+  assert.equal(abTestSliceSize(10, 4, 20), 4);
+  assert.equal(abTestSliceSize(3, 4, 20), 3);
+});
+
+test('variantRates ignore failed sends', () => {
+  const rates = variantRates({ sentCount: 110, failedCount: 10, openedCount: 25, clickedCount: 5 });
+  assert.equal(rates.reached, 100);
+  assert.equal(rates.openRate, 0.25);
+  assert.equal(rates.clickRate, 0.05);
+});
+
+test('pickAbTestWinner ranks by the chosen metric and breaks ties by the other one', () => {
+  const variants = [
+    { label: 'A', sentCount: 100, openedCount: 30, clickedCount: 2 },
+    { label: 'B', sentCount: 100, openedCount: 20, clickedCount: 8 },
+    { label: 'C', sentCount: 100, openedCount: 30, clickedCount: 4 },
+  ];
+  assert.equal(pickAbTestWinner(variants, 'open').variant.label, 'C');
+  assert.equal(pickAbTestWinner(variants, 'click').variant.label, 'B');
+
+  const flat = pickAbTestWinner([{ label: 'B', sentCount: 5 }, { label: 'A', sentCount: 5 }]);
+  assert.equal(flat.variant.label, 'A');
+  assert.equal(flat.tie, true);
+});
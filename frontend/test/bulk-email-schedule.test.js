@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  scheduledTimeToUtc,
+  sendAllowance,
+  startOfZonedDay,
+  warmupDailyLimit,
+} from '../lib/bulk-email-schedule.js';
+
+test('scheduledTimeToUtc reads bare times in the tenant timezone', () => {
+  assert.equal(scheduledTimeToUtc('2026-07-10T09:30', 'America/Toronto').toISOString(), '2026-07-10T13:30:00.000Z');
+  assert.equal(scheduledTimeToUtc('2026-01-10T09:30', 'America/Toronto').toISOString(), '2026-01-10T14:30:00.000Z');
+  assert.equal(scheduledTimeToUtc('2026-07-10T09:30:00Z', 'America/Toronto').toISOString(), '2026-07-10T09:30:00.000Z');
+  assert.equal(scheduledTimeToUtc('2026-07-10T09:30', 'Not/AZone').toISOString(), '2026-07-10T09:30:00.000Z');
+  assert.equal(scheduledTimeToUtc('tomorrow', 'UTC'), null);
+});
+
+test('startOfZonedDay uses the tenant day boundary', () => {
+  const lateEvening = new Date('2026-07-11T02:00:00Z');
+  assert.equal(startOfZonedDay(lateEvening, 'America/Toronto').toISOString(), '2026-07-10T04:00:00.000Z');
+  assert.equal(startOfZonedDay(lateEvening, 'UTC').toISOString(), '2026-07-11T00:00:00.000Z');
+});
+
+test('warmupDailyLimit ramps up after verification and then stops applying', () => {
+  const verifiedAt = '2026-07-01T12:00:00Z';
+  assert.equal(warmupDailyLimit(verifiedAt, new Date('2026-07-01T18:00:00Z')), 50);
+  assert.equal(warmupDailyLimit(verifiedAt, new Date('2026-07-03T13:00:00Z')), 200);
+  assert.equal(warmupDailyLimit(verifiedAt, new Date('2026-08-01T00:00:00Z')), null);
+  assert.equal(warmupDailyLimit(null), null);
+});
+
+test('sendAllowance takes the tightest cap and names it when sending must wait', () => {
+  assert.deepEqual(sendAllowance({ batchSize: 50 }), { remaining: 50, reason: null });
+  assert.deepEqual(
+    sendAllowance({ batchSize: 50, hourlyLimit: 100, sentLastHour: 90, dailyLimit: 1000, sentToday: 200 }),
+    { remaining: 10, reason: null }
+  );
+  assert.deepEqual(
+    sendAllowance({ batchSize: 50, hourlyLimit: 100, sentLastHour: 20, warmupLimit: 50, warmupSentToday: 50 }),
+    { remaining: 0, reason: 'warmup' }
+  );
+  assert.deepEqual(sendAllowance({}), { remaining: Infinity, reason: null });
+});
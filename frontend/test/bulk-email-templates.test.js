@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  blocksFromLegacyTemplate,
+  blocksWithPrimaryText,
+  describeMergeFieldProblems,
+  extractMergeFields,
+  normalizeMergeKey,
+  recipientMergeValues,
+  renderMergeFields,
+  renderTemplateHtml,
+  renderTemplateText,
+  validateMergeFields,
+} from '../lib/bulk-email-templates.js';
+
+test('normalizeMergeKey matches CSV headers, camelCase and aliases', () => {
+  assert.equal(normalizeMergeKey('Job Title'), 'job_title');
+  assert.equal(normalizeMergeKey('leadName'), 'lead_name');
+  assert.equal(normalizeMergeKey('name'), 'lead_name');
+  assert.equal(normalizeMergeKey(' region- '), 'region');
+});
+
+test('extractMergeFields reads single, double and fallback tokens once each', () => {
+  assert.deepEqual(
+    extractMergeFields('Hi {lead_name}, about {{ Region }}', ['Plan: {plan|your plan}', 'Again {region}']),
+    [
+      { key: 'lead_name', fallback: '' },
+      { key: 'region', fallback: '' },
+      { key: 'plan', fallback: 'your plan' },
+    ]
+  );
+});
+
+test('renderMergeFields fills values, then inline fallbacks, then template fallbacks', () => {
+  const values = recipientMergeValues(
+    { email: 'avery@example.com', name: 'Avery Stone', customFields: { Region: 'North & East' } },
+    { senderName: 'Acme' }
+  );
+  assert.equal(
+    renderMergeFields('{first_name} in {region}, {plan|starter} on {tier} from {company_name}', values, { fallbacks: { tier: 'gold' } }),
+    'Avery in North & East, starter on gold from Acme'
+  );
+  assert.equal(renderMergeFields('<b>{region}</b>', values, { escape: true }), '<b>North &amp; East</b>');
+});
+
+test('validateMergeFields flags unknown fields and recipients without a value', () => {
+  const recipients = [
+    { email: 'a@example.com', name: 'Avery', customFields: { region: 'North' } },
+    { email: 'b@example.com', name: '', customFields: { region: '' } },
+  ];
+  const result = validateMergeFields(['Hi {lead_name}', '{region} {plan} {sender_name}'], { recipients });
+  assert.deepEqual(result.unknown, ['plan']);
+  assert.deepEqual(result.missing, [{ key: 'lead_name', count: 1 }, { key: 'region', count: 1 }]);
+  assert.equal(result.valid, false);
+  assert.equal(
+    describeMergeFieldProblems(result),
+    'Unknown merge field: {plan}. 1 recipient has no value for {lead_name}; add a fallback. 1 recipient has no value for {region}; add a fallback.'
+  );
+
+  const fixed = validateMergeFields(['Hi {lead_name|there}', '{region} {company}'], {
+    recipients,
+    availableFields: ['company'],
+    fallbacks: { region: 'your area', company: 'your team' },
+  });
+  assert.equal(fixed.valid, true);
+});
+
+test('legacy templates render the same text layout through blocks', () => {
+  const blocks = blocksFromLegacyTemplate({
+    content: 'First line.\n\nSecond line.',
+    ctaLabel: 'Book now',
+    ctaUrl: 'https://example.com/book',
+    signoff: 'Thanks,',
+    signatureName: '{sender_name}',
+  });
+  assert.equal(
+    renderTemplateText({ blocks }),
+    'Hi {lead_name},\n\nFirst line.\n\nSecond line.\n\nBook now: https://example.com/book\n\nThanks,\n{sender_name}'
+  );
+  assert.equal(renderTemplateText({ blocks: blocksWithPrimaryText(blocks, 'Variant copy.') }).split('\n\n')[1], 'Variant copy.');
+  assert.match(renderTemplateHtml({ subject: 'Hello', blocks }), /<a href="https:\/\/example.com\/book"/);
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CAMPAIGN_CADENCE,
+  campaignStepFunnel,
+  normalizeCampaignCadence,
+} from '../lib/campaign-cadence.js';
+
+test('normalizeCampaignCadence validates steps, retries and stop conditions', () => {
+  assert.deepEqual(normalizeCampaignCadence(), DEFAULT_CAMPAIGN_CADENCE);
+  assert.deepEqual(
+    normalizeCampaignCadence({
+      channelSequence: ['SMS', { channel: 'call' }],
+      retryPolicy: { maxAttempts: '3', retryDelayMinutes: '1440' },
+      stopConditions: { replied: false },
+    }),
+    {
+      channelSequence: ['sms', 'call'],
+      retryPolicy: { maxAttempts: 3, retryDelayMinutes: 1440 },
+      stopConditions: { ...DEFAULT_CAMPAIGN_CADENCE.stopConditions, replied: false },
+    }
+  );
+  assert.throws(() => normalizeCampaignCadence({ channelSequence: [] }), /at least one/);
+  assert.throws(() => normalizeCampaignCadence({ channelSequence: ['fax'] }), /Unsupported campaign channel: fax/);
+  assert.throws(() => normalizeCampaignCadence({ retryPolicy: { maxAttempts: 0 } }), /1 to 5/);
+  assert.throws(() => normalizeCampaignCadence({ retryPolicy: { retryDelayMinutes: 1 } }), /5 minutes and 7 days/);
+});
+
+test('campaignStepFunnel counts each campaign lead once per step', () => {
+  const steps = [
+    { campaignLeadId: 'a', stepIndex: 0, status: 'attempted', attemptedAt: '2026-07-01T10:00:00Z' },
+    { campaignLeadId: 'a', stepIndex: 0, status: 'attempted', attemptedAt: '2026-07-01T11:00:00Z', reachedAt: '2026-07-01T11:00:00Z' },
+    { campaignLeadId: 'b', stepIndex: 0, status: 'failed', attemptedAt: '2026-07-01T10:00:00Z' },
+    { campaignLeadId: 'b', stepIndex: 1, status: 'attempted', attemptedAt: '2026-07-01T12:00:00Z', reachedAt: '2026-07-01T12:00:00Z', repliedAt: '2026-07-01T12:30:00Z', bookedAt: '2026-07-01T13:00:00Z' },
+    { campaignLeadId: 'c', stepIndex: 1, status: 'skipped' },
+    { campaignLeadId: 'd', stepIndex: 5, status: 'attempted', attemptedAt: '2026-07-01T12:00:00Z' },
+  ];
+  assert.deepEqual(campaignStepFunnel(['call', 'sms'], steps), [
+    { stepIndex: 0, channel: 'call', attempted: 2, reached: 1, replied: 0, booked: 0, skipped: 0 },
+    { stepIndex: 1, channel: 'sms', attempted: 1, reached: 1, replied: 1, booked: 1, skipped: 1 },
+  ]);
+});
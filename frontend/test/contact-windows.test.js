@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CONTACT_WINDOW_POLICY,
+  normalizeContactWindowPolicy,
+  parseIcsHolidays,
+} from '../lib/contact-windows.js';
+
+test('parseIcsHolidays reads all-day events, multi-day ranges and folded lines', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:xmas@example.com',
+    'DTSTART;VALUE=DATE:20261225',
+    'DTEND;VALUE=DATE:20261227',
+    'SUMMARY:Christmas and',
+    '  Boxing Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20260701T000000Z',
+    'SUMMARY:Canada Day\\, federal',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:No date',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  const { holidays, skipped } = parseIcsHolidays(ics);
+  assert.deepEqual(holidays, [
+    { date: '2026-07-01', name: 'Canada Day, federal', uid: null },
+    { date: '2026-12-25', name: 'Christmas and Boxing Day', uid: 'xmas@example.com' },
+    { date: '2026-12-26', name: 'Christmas and Boxing Day', uid: 'xmas@example.com' },
+  ]);
+  assert.equal(skipped, 1);
+});
+
+test('normalizeContactWindowPolicy validates windows and channel lists', () => {
+  assert.deepEqual(normalizeContactWindowPolicy(DEFAULT_CONTACT_WINDOW_POLICY), DEFAULT_CONTACT_WINDOW_POLICY);
+  assert.deepEqual(
+    normalizeContactWindowPolicy({ useLeadTimezone: false, holidayChannels: ['sms', 'fax', 'sms'], quietHours: { sms: { start: '', end: '' } } }),
+    { useLeadTimezone: false, holidayChannels: ['sms'], quietHours: { call: null, sms: null, whatsapp: null, email: null } }
+  );
+  assert.throws(() => normalizeContactWindowPolicy({ quietHours: { sms: { start: '20:00', end: '09:00' } } }), /must start before it ends/);
+  assert.throws(() => normalizeContactWindowPolicy({ quietHours: { call: { start: '8am', end: '21:00' } } }), /HH:MM/);
+});
@@ -1,13 +1,54 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
 import {
   buildLeadImportPreview,
+  columnMappingSignature,
   contactPolicyForLead,
+  customFieldTarget,
+  decodeImportText,
   normalizeEmail,
   normalizePhone,
   parseCsv,
+  parseLeadImportFile,
+  readLeadImportSample,
+  savedMappingForHeaders,
 } from '../lib/lead-import.js';
 
+function zipArchive(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const data = deflateRawSync(Buffer.from(text));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(text), 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(text), 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
 test('parseCsv handles quoted commas', () => {
   const parsed = parseCsv('email,full_name,notes\njane@example.com,"Jane, Inc","Needs ""fast"" follow-up"');
 
@@ -16,6 +57,112 @@ test('parseCsv handles quoted commas', () => {
   assert.equal(parsed.rows[0].cells[2], 'Needs "fast" follow-up');
 });
 
+test('parseCsv detects tab and semicolon delimiters and quoted line breaks', () => {
+  const tsv = parseCsv('email\tfull_name\njane@example.com\tJane Doe');
+  assert.equal(tsv.delimiter, '\t');
+  assert.deepEqual(tsv.rows[0].cells, ['jane@example.com', 'Jane Doe']);
+
+  const semicolon = parseCsv('email;full_name;notes\njane@example.com;"Doe; Jane";"Line one\nline two"\nbob@example.com;Bob;');
+  assert.equal(semicolon.delimiter, ';');
+  assert.equal(semicolon.rows.length, 2);
+  assert.equal(semicolon.rows[0].cells[1], 'Doe; Jane');
+  assert.equal(semicolon.rows[0].cells[2], 'Line one\nline two');
+});
+
+test('parseCsv numbers rows by the file line they start on', () => {
+  const parsed = parseCsv('email,notes\njane@example.com,"Line one\nline two"\n\nbob@example.com,\r\nnot-an-email,x');
+
+  assert.deepEqual(parsed.rows.map((row) => row.rowNumber), [2, 5, 6]);
+  assert.equal(parsed.rows[2].cells[0], 'not-an-email');
+  const preview = buildLeadImportPreview('email,notes\njane@example.com,"Line one\nline two"\nnot-an-email,x');
+  assert.equal(preview.rows.find((row) => row.status === 'error').rowNumber, 4);
+});
+
+test('readLeadImportSample reads only the start of a large text file', async () => {
+  const lines = ['email;notes', ...Array.from({ length: 400 }, (_, index) => 'lead' + index + '@example.com;"line one\nline two"')];
+  const file = new File([lines.join('\n')], 'leads.csv');
+
+  const sample = await readLeadImportSample(file, { maxRows: 500, maxBytes: 2000 });
+  assert.equal(sample.truncated, true);
+  assert.deepEqual(sample.headers, ['email', 'notes']);
+  assert.ok(sample.rows.length > 0 && sample.rows.length < 400);
+  assert.ok(sample.rows.every((row) => row.cells[1] === 'line one\nline two'));
+
+  const whole = await readLeadImportSample(file, { maxRows: 10, maxBytes: file.size });
+  assert.equal(whole.truncated, true);
+  assert.equal(whole.rows.length, 10);
+  const small = await readLeadImportSample(new File(['email\na@example.com'], 'small.csv'));
+  assert.equal(small.truncated, false);
+  assert.equal(small.rows.length, 1);
+});
+
+test('decodeImportText falls back to Windows-1252 for non UTF-8 exports', () => {
+  assert.deepEqual(decodeImportText(new Uint8Array([0xef, 0xbb, 0xbf, 0x41])), { text: 'A', encoding: 'utf-8' });
+  const latin = decodeImportText(new Uint8Array([0x4a, 0x6f, 0x73, 0xe9]));
+  assert.equal(latin.encoding, 'windows-1252');
+  assert.equal(latin.text, 'José');
+});
+
+test('parseLeadImportFile reads the first XLSX worksheet', async () => {
+  const bytes = zipArchive({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Leads" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/sharedStrings.xml': '<sst><si><t>Email</t></si><si><t>Phone</t></si><si><r><t>Roof</t></r><r><t xml:space="preserve"> Age</t></r></si><si><t>a&amp;b@example.com</t></si></sst>',
+    'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+      + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>'
+      + '<row r="2"><c r="A2" t="s"><v>3</v></c><c r="B2"><v>1.5551234567E10</v></c><c r="C2" t="inlineStr"><is><t>12 years</t></is></c></row>'
+      + '<row r="4"><c r="B4"><v>5550001111</v></c></row>'
+      + '</sheetData></worksheet>',
+  });
+
+  const parsed = await parseLeadImportFile(bytes, 'export.xlsx');
+  assert.equal(parsed.format, 'xlsx');
+  assert.equal(parsed.sheetName, 'Leads');
+  assert.deepEqual(parsed.headers, ['Email', 'Phone', 'Roof Age']);
+  assert.deepEqual(parsed.rows[0], { rowNumber: 2, cells: ['a&b@example.com', '15551234567', '12 years'] });
+  assert.deepEqual(parsed.rows[1], { rowNumber: 4, cells: ['', '5550001111'] });
+  assert.equal(parsed.truncated, false);
+
+  const sample = await parseLeadImportFile(bytes, 'export.xlsx', { maxRows: 1 });
+  assert.equal(sample.rows.length, 1);
+  assert.equal(sample.truncated, true);
+});
+
+test('buildLeadImportPreview applies column mappings to lead and custom fields', () => {
+  const csv = 'Contact E-mail,Mobile #,Roof Age,Internal Id,Notes\njane@example.com,+15550001111,12 years,X-1,Call after 5';
+  const mapping = {
+    'contact e mail': 'email',
+    'mobile': 'phone',
+    'roof age': customFieldTarget('roofAge'),
+    'internal id': 'ignore',
+    'notes': null,
+  };
+
+  const preview = buildLeadImportPreview(csv, [], { mapping });
+  const lead = preview.importableRows[0].lead;
+
+  assert.equal(lead.email, 'jane@example.com');
+  assert.equal(lead.phone, '+15550001111');
+  assert.equal(lead.notes, null);
+  assert.deepEqual(lead.customFields, {
+    roofAge: '12 years',
+    importedLeadData: { Notes: 'Call after 5' },
+  });
+  assert.deepEqual(preview.columns.map((column) => column.origin), ['mapped', 'mapped', 'mapped', 'mapped', 'mapped']);
+});
+
+test('savedMappingForHeaders prefers the mapping saved for the same export', () => {
+  const headers = ['Mobile #', 'Contact E-mail'];
+  const saved = [
+    { headerSignature: 'contact e mail|mobile', mapping: { 'contact e mail': 'email', mobile: 'phone' }, lastUsedAt: '2026-06-01T00:00:00Z' },
+    { headerSignature: 'mobile|other', mapping: { mobile: 'ignore', other: 'notes' }, lastUsedAt: '2026-07-01T00:00:00Z' },
+  ];
+
+  assert.equal(columnMappingSignature(headers), 'contact e mail|mobile');
+  assert.deepEqual(savedMappingForHeaders(saved, headers), { 'contact e mail': 'email', mobile: 'phone' });
+  assert.deepEqual(savedMappingForHeaders(saved, ['Mobile #', 'Company']), { mobile: 'ignore' });
+});
+
 test('normalizers produce duplicate-safe keys', () => {
   assert.equal(normalizeEmail('  JANE@Example.COM '), 'jane@example.com');
   assert.equal(normalizePhone('+1 (555) 123-4567'), '15551234567');
@@ -77,6 +224,58 @@ test('buildLeadImportPreview respects explicit denied consent values', () => {
   assert.equal(lead.emailConsent, false);
 });
 
+test('buildLeadImportPreview merges matched leads according to the duplicate mode', () => {
+  const existing = [{
+    id: 'lead-1',
+    email: 'jane@example.com',
+    phone: '+15550001111',
+    company: null,
+    notes: 'Existing note',
+    priority: 'high',
+    callConsent: false,
+    smsConsent: true,
+    emailConsent: true,
+    customFields: { importedLeadData: { 'Roof Age': '10 years' } },
+  }];
+  const csv = 'email,company,notes,sms_consent,Roof Age\nJANE@example.com,Acme Roofing,New note,no,12 years';
+
+  const skip = buildLeadImportPreview(csv, existing);
+  assert.equal(skip.rows[0].status, 'duplicate');
+  assert.equal(skip.summary.validRows, 0);
+
+  const fill = buildLeadImportPreview(csv, existing, { duplicateMode: 'fill_empty' });
+  assert.equal(fill.rows[0].action, 'update');
+  assert.deepEqual(fill.rows[0].match, { leadId: 'lead-1', matchedBy: 'email' });
+  assert.deepEqual(fill.rows[0].patch, { company: 'Acme Roofing', smsConsent: false });
+  assert.equal(fill.summary.updateRows, 1);
+
+  const overwrite = buildLeadImportPreview(csv, existing, { duplicateMode: 'overwrite' });
+  const patch = overwrite.rows[0].patch;
+  assert.equal(patch.notes, 'New note');
+  assert.equal(patch.smsConsent, false);
+  assert.equal(patch.email, undefined);
+  assert.equal(patch.priority, undefined);
+  assert.equal(patch.callConsent, undefined);
+  assert.deepEqual(patch.customFields.importedLeadData, { 'Roof Age': '12 years' });
+  assert.ok(overwrite.rows[0].changes.some((change) => change.field === 'notes' && change.from === 'Existing note'));
+
+  const create = buildLeadImportPreview(csv, existing, { duplicateMode: 'create' });
+  assert.equal(create.rows[0].action, 'create');
+  assert.equal(create.summary.createRows, 1);
+});
+
+test('buildLeadImportPreview never grants back withdrawn consent or clears do not contact', () => {
+  const existing = [{ id: 'lead-2', phone: '+15550002222', callConsent: false, smsConsent: false, doNotContact: true }];
+  const csv = 'phone,call_consent,sms_consent,do_not_contact\n+1 555 000 2222,yes,,no';
+
+  for (const duplicateMode of ['fill_empty', 'overwrite']) {
+    const preview = buildLeadImportPreview(csv, existing, { duplicateMode });
+    assert.equal(preview.rows[0].action, 'unchanged');
+    assert.equal(preview.rows[0].importable, false);
+    assert.equal(preview.rows[0].match.matchedBy, 'phone');
+  }
+});
+
 test('contactPolicyForLead fails closed without consent or after opt-out', () => {
   assert.deepEqual(
     contactPolicyForLead({ smsConsent: false }, 'sms'),
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  excludedReasonCounts,
+  latestOutcomesByLead,
+  leadMatchesSegment,
+  normalizeSegmentFilters,
+  resolveSegmentRecipients,
+} from '../lib/lead-segments.js';
+
+const now = new Date('2026-07-15T12:00:00Z');
+
+function lead(overrides = {}) {
+  return {
+    id: 'lead-1',
+    email: 'avery@example.com',
+    fullName: 'Avery Stone',
+    leadStage: 'nurture',
+    source: 'csv_import',
+    leadSource: 'Spring expo',
+    tags: ['VIP', 'roofing'],
+    customFields: { Region: 'North' },
+    lastContactedAt: '2026-06-01T12:00:00Z',
+    emailConsent: true,
+    ...overrides,
+  };
+}
+
+test('normalizeSegmentFilters drops unknown values and defaults the last-contact window', () => {
+  assert.deepEqual(normalizeSegmentFilters({
+    stages: ['Nurture', 'someday'],
+    tags: 'VIP, roofing,,vip',
+    outcomes: ['no_answer', 'maybe'],
+    lastContact: { mode: 'before', days: 'x' },
+    customFields: [{ key: ' Region ', value: 'North' }, { key: '' }],
+  }), {
+    stages: ['nurture'],
+    tags: ['vip', 'roofing'],
+    sources: [],
+    outcomes: ['no_answer'],
+    lastContact: { mode: 'before', days: 30 },
+    customFields: [{ key: 'Region', operator: 'equals', value: 'North' }],
+  });
+});
+
+test('leadMatchesSegment requires every filter that is set', () => {
+  assert.equal(leadMatchesSegment(lead(), {}, { now }), true);
+  assert.equal(leadMatchesSegment(lead(), { stages: ['nurture'], tags: ['vip'], sources: ['spring expo'] }, { now }), true);
+  assert.equal(leadMatchesSegment(lead(), { stages: ['booked'] }, { now }), false);
+  assert.equal(leadMatchesSegment(lead(), { outcomes: ['no_answer'] }, { latestOutcome: 'no_answer', now }), true);
+  assert.equal(leadMatchesSegment(lead(), { outcomes: ['no_answer'] }, { latestOutcome: 'booked', now }), false);
+  assert.equal(leadMatchesSegment(lead(), { lastContact: { mode: 'before', days: 30 } }, { now }), true);
+  assert.equal(leadMatchesSegment(lead(), { lastContact: { mode: 'within', days: 30 } }, { now }), false);
+  assert.equal(leadMatchesSegment(lead({ lastContactedAt: null }), { lastContact: { mode: 'never' } }, { now }), true);
+  assert.equal(leadMatchesSegment(lead(), { customFields: [{ key: 'region', operator: 'equals', value: 'north' }] }, { now }), true);
+  assert.equal(leadMatchesSegment(lead(), { customFields: [{ key: 'Budget', operator: 'exists' }] }, { now }), false);
+});
+
+test('latestOutcomesByLead keeps the most recent outcome per lead', () => {
+  const outcomes = latestOutcomesByLead([
+    { leadId: 'lead-1', outcome: 'no_answer', createdAt: '2026-07-01T00:00:00Z' },
+    { leadId: 'lead-1', outcome: 'callback_requested', createdAt: '2026-07-03T00:00:00Z' },
+    { leadId: 'lead-1', outcome: null, createdAt: '2026-07-05T00:00:00Z' },
+    { leadId: 'lead-2', outcome: 'booked', createdAt: '2026-07-02T00:00:00Z' },
+  ]);
+  assert.equal(outcomes.get('lead-1'), 'callback_requested');
+  assert.equal(outcomes.get('lead-2'), 'booked');
+});
+
+test('resolveSegmentRecipients applies the email contact policy and links recipients to leads', () => {
+  const result = resolveSegmentRecipients([
+    lead(),
+    lead({ id: 'lead-2', email: 'AVERY@example.com' }),
+    lead({ id: 'lead-3', email: 'no-consent@example.com', emailConsent: false }),
+    lead({ id: 'lead-4', email: 'opted@example.com', optedOutAt: '2026-07-01T00:00:00Z', optOutChannel: 'email' }),
+    lead({ id: 'lead-5', email: '' }),
+    lead({ id: 'lead-6', email: 'archived@example.com', archivedAt: '2026-07-02T00:00:00Z' }),
+    lead({ id: 'lead-7', email: 'booked@example.com', leadStage: 'booked' }),
+  ], { stages: ['nurture'] }, { now });
+
+  assert.equal(result.matchedCount, 5);
+  assert.deepEqual(result.recipients, [
+    {
+      leadId: 'lead-1',
+      email: 'avery@example.com',
+      name: 'Avery Stone',
+      customFields: { lead_stage: 'nurture', lead_source: 'Spring expo', Region: 'North' },
+    },
+  ]);
+  assert.deepEqual(result.excluded.map((row) => [row.leadId, row.reason]), [
+    ['lead-2', 'Email already in this segment'],
+    ['lead-3', 'Missing channel consent'],
+    ['lead-4', 'Lead has opted out of this channel'],
+    ['lead-5', 'Missing email address'],
+  ]);
+  assert.deepEqual(excludedReasonCounts(result.excluded)[0], { reason: 'Email already in this segment', count: 1 });
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  advancePlaybook,
+  playbookColumns,
+  starterPlaybook,
+  validatePlaybook,
+} from '../lib/lifecycle-playbooks.js';
+
+test('the starter playbook validates and lays out left to right', () => {
+  const result = validatePlaybook(starterPlaybook());
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(playbookColumns(starterPlaybook()), [
+    ['step_1'],
+    ['step_2'],
+    ['step_3'],
+    ['step_4', 'step_6'],
+    ['step_5'],
+    ['step_7', 'step_8'],
+  ]);
+});
+
+test('validatePlaybook flags missing targets, bad waits and instant loops', () => {
+  const result = validatePlaybook({
+    name: 'Broken',
+    triggerOutcomes: ['busy'],
+    startStepId: 'a',
+    steps: [
+      { id: 'a', type: 'branch', on: 'outcome', cases: [{ value: 'busy', next: 'b' }], otherwise: 'missing' },
+      { id: 'b', type: 'branch', on: 'reply', cases: [{ value: 'maybe', next: 'a' }], otherwise: 'c' },
+      { id: 'c', type: 'wait', amount: 0, unit: 'hours', next: '' },
+      { id: 'd', type: 'stop', stage: 'nurture' },
+    ],
+  });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, [
+    'a points to missing step missing.',
+    'b can only match replied or no_reply.',
+    'c must wait between 1 and 720 hours.',
+    'Step a loops back to itself without a send or wait in between.',
+  ]);
+  assert.deepEqual(result.warnings, ['d is never reached from the start step.']);
+});
+
+test('advancePlaybook walks branches until a step acts', () => {
+  const playbook = starterPlaybook();
+  const first = advancePlaybook(playbook, 'step_1', { outcome: 'no_answer' });
+  assert.deepEqual(first.effect, { type: 'send', stepId: 'step_1', channels: ['sms', 'email'], stage: 'attempting_contact' });
+  assert.equal(first.nextStepId, 'step_2');
+
+  const wait = advancePlaybook(playbook, 'step_2', { outcome: 'no_answer' });
+  assert.deepEqual(wait.effect, { type: 'wait', stepId: 'step_2', amount: 1, unit: 'business_days' });
+
+  const noReply = advancePlaybook(playbook, 'step_3', { outcome: 'no_answer', replied: false });
+  assert.deepEqual(noReply.trace.map((entry) => [entry.stepId, entry.matched || null]), [['step_3', 'otherwise'], ['step_4', null]]);
+  assert.equal(noReply.effect.channels[0], 'call');
+  assert.equal(noReply.nextStepId, 'step_5');
+
+  const busy = advancePlaybook(playbook, 'step_5', { outcome: 'busy' });
+  assert.equal(busy.effect.type, 'escalate');
+  assert.deepEqual(advancePlaybook(playbook, 'step_5', { outcome: 'answered' }).effect, {
+    type: 'stop',
+    stepId: 'step_6',
+    stage: 'contacted',
+    reason: 'Lead responded; the conversation continues outside the playbook.',
+  });
+});
+
+test('advancePlaybook ends cleanly and reports steps removed after a run started', () => {
+  assert.deepEqual(advancePlaybook(starterPlaybook(), null).effect, { type: 'end' });
+  assert.equal(advancePlaybook(starterPlaybook(), 'step_99').effect.type, 'error');
+});
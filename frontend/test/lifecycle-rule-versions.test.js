@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeRuleChange,
+  diffLifecycleRules,
+  lifecycleRulesSnapshot,
+} from '../lib/lifecycle-rule-versions.js';
+
+test('lifecycleRulesSnapshot keeps only versioned rule fields', () => {
+  assert.deepEqual(
+    lifecycleRulesSnapshot({ id: 'r1', tenantId: 't1', maxCallAttempts: 3, channelOrder: ['call'], metadata: { a: 1 } }),
+    { maxCallAttempts: 3, channelOrder: ['call'] }
+  );
+});
+
+test('diffLifecycleRules reports nested leaves and whole arrays', () => {
+  const before = {
+    maxCallAttempts: 3,
+    channelOrder: ['email', 'call'],
+    noAnswerPolicy: { first: { delayMinutes: 10, channel: 'sms' }, second: { delayBusinessDays: 1 } },
+  };
+  const after = {
+    maxCallAttempts: 4,
+    channelOrder: ['call', 'email'],
+    noAnswerPolicy: { first: { delayMinutes: 30, channel: 'sms' }, second: { delayBusinessDays: 1 } },
+    emailFirstPolicy: { waitHours: 4 },
+  };
+  assert.deepEqual(diffLifecycleRules(before, after), [
+    { path: 'maxCallAttempts', before: 3, after: 4 },
+    { path: 'channelOrder', before: ['email', 'call'], after: ['call', 'email'] },
+    { path: 'noAnswerPolicy.first.delayMinutes', before: 10, after: 30 },
+    { path: 'emailFirstPolicy', before: null, after: { waitHours: 4 } },
+  ]);
+  assert.deepEqual(diffLifecycleRules(before, structuredClone(before)), []);
+});
+
+test('describeRuleChange labels the field and formats values', () => {
+  assert.equal(
+    describeRuleChange({ path: 'noAnswerPolicy.first.delayMinutes', before: 10, after: 30 }),
+    'No-answer policy › first › delayMinutes: 10 → 30'
+  );
+  assert.equal(describeRuleChange({ path: 'voicemailAllowed', before: true, after: false }), 'Voicemail allowed: on → off');
+  assert.equal(describeRuleChange({ path: 'channelOrder', before: ['email'], after: [] }), 'Channel order: email → none');
+});
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLeadImportPreview } from '../lib/lead-import.js';
+import { countryFromLocation, normalizePhoneNumber, phoneLookupDigits, phoneMatchKey } from '../lib/phone.js';
+
+test('normalizePhoneNumber converts national numbers with the tenant country', () => {
+  const result = normalizePhoneNumber('07911 123456', { defaultCountry: 'United Kingdom' });
+  assert.equal(result.e164, '+447911123456');
+  assert.equal(result.country, 'GB');
+  assert.equal(result.countrySource, 'tenant');
+  assert.equal(result.lineType, 'mobile');
+  assert.deepEqual(result.warnings, []);
+});
+
+test('normalizePhoneNumber gives the same key with or without the plus', () => {
+  assert.equal(phoneMatchKey('+44 7911 123456'), '+447911123456');
+  assert.equal(phoneMatchKey('447911123456', { defaultCountry: 'GB' }), '+447911123456');
+  assert.equal(phoneMatchKey('0044 7911 123456'), '+447911123456');
+  assert.equal(phoneMatchKey('whatsapp:+447911123456'), '+447911123456');
+});
+
+test('normalizePhoneNumber prefers the lead location over the tenant country', () => {
+  assert.equal(countryFromLocation('Austin, TX 78701'), 'US');
+  assert.equal(countryFromLocation('Leeds LS1 4AP'), 'GB');
+  assert.equal(countryFromLocation('Lagos, Nigeria'), 'NG');
+
+  const result = normalizePhoneNumber('(512) 555-0143', { defaultCountry: 'GB', locationSummary: 'Austin, TX' });
+  assert.equal(result.e164, '+15125550143');
+  assert.equal(result.countrySource, 'location');
+});
+
+test('normalizePhoneNumber flags landlines, toll-free numbers and country mismatches', () => {
+  assert.match(normalizePhoneNumber('020 7946 0000', { defaultCountry: 'GB' }).warnings[0], /Landline/);
+  assert.match(normalizePhoneNumber('0800 123 4567', { defaultCountry: 'GB' }).warnings[0], /Toll-free/);
+  assert.match(
+    normalizePhoneNumber('+44 7911 123456', { locationSummary: 'Austin, TX' }).warnings[0],
+    /Number is for GB but the lead is located in US/
+  );
+});
+
+test('normalizePhoneNumber needs a country for national numbers', () => {
+  const result = normalizePhoneNumber('07911 123456');
+  assert.equal(result.e164, null);
+  assert.match(result.error, /needs a country code/);
+  assert.match(normalizePhoneNumber('07911 12', { defaultCountry: 'GB' }).error, /length is not valid for GB/);
+});
+
+test('phoneLookupDigits covers the E.164 and national forms stored leads may use', () => {
+  assert.deepEqual(phoneLookupDigits('07911 123456', { defaultCountry: 'GB' }), ['447911123456', '07911123456']);
+  assert.deepEqual(phoneLookupDigits('+1 512 555 0143'), ['15125550143']);
+  assert.deepEqual(phoneLookupDigits('12345'), ['12345']);
+});
+
+test('buildLeadImportPreview matches phones in different formats as duplicates', () => {
+  const csv = [
+    'name,phone',
+    'Ada,07911 123456',
+    'Grace,+44 20 7946 0000',
+    'Linus,0161 496 00',
+  ].join('\n');
+  const preview = buildLeadImportPreview(csv, [{ id: 'lead-1', phone: '447911123456' }], { defaultCountry: 'GB' });
+
+  assert.equal(preview.rows[0].lead.phone, '+447911123456');
+  assert.equal(preview.rows[0].status, 'duplicate');
+  assert.equal(preview.rows[1].phone.lineType, 'fixed_line');
+  assert.ok(preview.rows[1].warnings.some((warning) => /Landline/.test(warning)));
+  assert.equal(preview.rows[2].status, 'error');
+  assert.match(preview.rows[2].errors[0], /length is not valid for GB/);
+});
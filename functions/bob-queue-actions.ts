@@ -154,6 +154,16 @@ function defaultLifecycleRules(tenantId?: string | null) {
     nurturePolicy: { notInterestedNowDelayDays: 30, checkupCadenceDays: [7, 14, 30], maxCheckups: 3, preferredChannels: ['email', 'whatsapp', 'sms'] },
     humanReviewTriggers: { missingConsent: true, missingChannelSetup: true, ambiguousIntent: true, providerFailureLimit: 2, repeatedFailedAttempts: true },
     offDutyCallPolicy: { behavior: 'defer_to_next_business_window', respectTenantBusinessHours: true },
+    contactWindowPolicy: {
+      useLeadTimezone: true,
+      holidayChannels: ['call', 'sms', 'whatsapp'],
+      quietHours: {
+        call: { start: '08:00', end: '21:00' },
+        sms: { start: '09:00', end: '20:00' },
+        whatsapp: { start: '09:00', end: '20:00' },
+        email: null,
+      },
+    },
   };
 }
 
@@ -239,11 +249,10 @@ function formatBusinessTime(time: { hour: number; minute: number }) {
   return `${hour12}:${String(time.minute).padStart(2, '0')} ${suffix}`;
 }
 
-function businessHoursStatus(tenant: any, now = new Date()) {
-  const timeZone = normalizedTimeZone(tenant?.default_timezone);
-  const start = parseBusinessTime(tenant?.business_hours_start, '10:00');
-  const end = parseBusinessTime(tenant?.business_hours_end, '17:00');
-  const local = timeZoneParts(now, timeZone);
+// Whether a local time falls inside a same-day window, and when the window
+// next opens (today if it has not started yet, otherwise tomorrow).
+function dailyWindowStatus(at: Date, timeZone: string, start: { hour: number; minute: number; totalMinutes: number }, end: { totalMinutes: number }) {
+  const local = timeZoneParts(at, timeZone);
   const localMinutes = local.hour * 60 + local.minute;
   const allowed = localMinutes >= start.totalMinutes && localMinutes < end.totalMinutes;
   const nextLocalDayOffset = localMinutes < start.totalMinutes ? 0 : 1;
@@ -255,14 +264,26 @@ function businessHoursStatus(tenant: any, now = new Date()) {
     hour: start.hour,
     minute: start.minute,
   }, timeZone);
-
   return {
     allowed,
+    nextAllowedAt,
+    localNow: `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`,
+  };
+}
+
+function businessHoursStatus(tenant: any, now = new Date()) {
+  const timeZone = normalizedTimeZone(tenant?.default_timezone);
+  const start = parseBusinessTime(tenant?.business_hours_start, '10:00');
+  const end = parseBusinessTime(tenant?.business_hours_end, '17:00');
+  const window = dailyWindowStatus(now, timeZone, start, end);
+
+  return {
+    allowed: window.allowed,
     timeZone,
     start,
     end,
-    nextAllowedAt: nextAllowedAt.toISOString(),
-    localNow: `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`,
+    nextAllowedAt: window.nextAllowedAt.toISOString(),
+    localNow: window.localNow,
     label: `${formatBusinessTime(start)} - ${formatBusinessTime(end)} ${timeZone}`,
   };
 }
@@ -271,6 +292,183 @@ function businessHoursBlockedMessage(status: ReturnType<typeof businessHoursStat
   return `Voice calls are allowed only during tenant business hours (${status.label}). Next calling window starts at ${status.nextAllowedAt}.`;
 }
 
+// Same location matching as resend-email-webhook; keep the two in sync.
+function locationTextForTimezone(lead: any) {
+  const imported = lead?.custom_fields?.importedLeadData || {};
+  return ` ${[
+    lead?.location_summary,
+    imported.location,
+    imported.city,
+    imported.state,
+    imported.province,
+    imported.country,
+  ].filter(Boolean).join(' ').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+}
+
+// Cities, provinces and states are checked before countries, so
+// "Vancouver, BC, Canada" is Pacific time rather than the Canadian default.
+// Abbreviations are padded so they only match as whole words.
+const TIMEZONE_PLACES: [string, string[]][] = [
+  ['America/Toronto', ['sarnia', 'toronto', 'ontario', ' on ']],
+  ['America/Vancouver', ['vancouver', 'british columbia', ' bc ']],
+  ['America/Edmonton', ['calgary', 'edmonton', 'alberta', ' ab ']],
+  ['America/Winnipeg', ['winnipeg', 'manitoba', ' mb ']],
+  ['America/Halifax', ['halifax', 'nova scotia', ' ns ']],
+  ['America/St_Johns', ['newfoundland', ' st john']],
+  ['America/New_York', ['new york', 'florida', 'georgia']],
+  ['America/Chicago', ['chicago', 'texas', 'illinois']],
+  ['America/Denver', ['denver', 'colorado']],
+  ['America/Los_Angeles', ['los angeles', 'california', 'seattle', 'washington']],
+];
+const TIMEZONE_COUNTRIES: [string, string[]][] = [
+  ['America/Toronto', ['canada']],
+  ['America/New_York', [' usa ', ' us ', 'united states']],
+];
+
+export function inferTimezoneFromLead(lead: any, tenant: any) {
+  const text = locationTextForTimezone(lead);
+  for (const [timeZone, words] of [...TIMEZONE_PLACES, ...TIMEZONE_COUNTRIES]) {
+    if (words.some((word) => text.includes(word))) return timeZone;
+  }
+  return tenant?.default_timezone || 'UTC';
+}
+
+function localDateKey(at: Date, timeZone: string) {
+  const local = timeZoneParts(at, timeZone);
+  return `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+}
+
+function nextLocalMidnight(at: Date, timeZone: string) {
+  const local = timeZoneParts(at, timeZone);
+  const next = new Date(Date.UTC(local.year, local.month - 1, local.day + 1));
+  return zonedLocalTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate(), hour: 0, minute: 0 }, timeZone);
+}
+
+async function loadTenantHolidays(db: any, tenantId: string, from = new Date(), days = 90) {
+  const result = await db.database.rpc('get_tenant_holidays', {
+    p_tenant_id: tenantId,
+    p_from: addDays(from, -1).toISOString().slice(0, 10),
+    p_to: addDays(from, days).toISOString().slice(0, 10),
+  });
+  if (result?.error) {
+    console.warn('Failed to load tenant holidays; contact windows ignore holidays', result.error.message || result.error);
+    return [];
+  }
+  return Array.isArray(result?.data) ? result.data : [];
+}
+
+// Holidays rarely change, so a tick loads each tenant's list once and every
+// sender in that tick reads it from here.
+function tenantHolidayLoader(db: any) {
+  const loaded = new Map<string, Promise<any[]>>();
+  return (tenantId: string) => {
+    if (!loaded.has(tenantId)) loaded.set(tenantId, loadTenantHolidays(db, tenantId));
+    return loaded.get(tenantId) as Promise<any[]>;
+  };
+}
+
+// The one gate every queued sender goes through: tenant holidays (tenant
+// date), tenant business hours for calls, and per-channel quiet hours in the
+// lead's inferred timezone. Each failed check jumps to when it next opens and
+// the checks run again from there, so the returned time clears all of them.
+function contactWindowStatus(input: { tenant: any; lead: any; channel: string; rules: any; holidays?: any[]; at?: Date }) {
+  const channel = input.channel === 'phone' ? 'call' : String(input.channel || '');
+  const policy = input.rules?.contactWindowPolicy || defaultLifecycleRules(null).contactWindowPolicy;
+  const tenantTimeZone = normalizedTimeZone(input.tenant?.default_timezone);
+  const leadTimeZone = policy.useLeadTimezone === false
+    ? tenantTimeZone
+    : normalizedTimeZone(inferTimezoneFromLead(input.lead, input.tenant));
+  const quiet = policy.quietHours?.[channel] || null;
+  const quietStart = quiet ? parseBusinessTime(quiet.start, '09:00') : null;
+  const quietEnd = quiet ? parseBusinessTime(quiet.end, '20:00') : null;
+  const holidays = new Map((Array.isArray(policy.holidayChannels) && policy.holidayChannels.includes(channel) ? input.holidays || [] : [])
+    .map((holiday: any) => [String(holiday.date), holiday]));
+  const requestedAt = input.at || new Date();
+
+  const blockAt = (at: Date) => {
+    const holiday = holidays.get(localDateKey(at, tenantTimeZone));
+    if (holiday) {
+      return {
+        blockedReason: 'holiday',
+        until: nextLocalMidnight(at, tenantTimeZone),
+        reason: `${holiday.name || 'Tenant holiday'} (${holiday.date}) is a tenant holiday; ${channel} is paused for the day.`,
+        holiday,
+      };
+    }
+    if (channel === 'call') {
+      const hours = businessHoursStatus(input.tenant, at);
+      if (!hours.allowed) return { blockedReason: 'outside_business_hours', until: new Date(hours.nextAllowedAt), reason: `Voice calls are allowed only during tenant business hours (${hours.label}).`, holiday: null };
+    }
+    if (quietStart && quietEnd && quietStart.totalMinutes < quietEnd.totalMinutes) {
+      const window = dailyWindowStatus(at, leadTimeZone, quietStart, quietEnd);
+      if (!window.allowed) {
+        return {
+          blockedReason: 'quiet_hours',
+          until: window.nextAllowedAt,
+          reason: `Quiet hours: ${channel} is allowed ${quietStart.label}-${quietEnd.label} in the lead's timezone (${leadTimeZone}); it is ${window.localNow} there.`,
+          holiday: null,
+        };
+      }
+    }
+    return null;
+  };
+
+  let nextAllowedAt = requestedAt;
+  const blocks: NonNullable<ReturnType<typeof blockAt>>[] = [];
+  for (let step = 0; step < 30; step += 1) {
+    const block = blockAt(nextAllowedAt);
+    if (!block) break;
+    if (!blocks.some((seen) => seen.blockedReason === block.blockedReason)) blocks.push(block);
+    nextAllowedAt = block.until;
+  }
+  const firstBlock = blocks[0] || null;
+
+  return {
+    allowed: !firstBlock,
+    channel,
+    blockedReason: firstBlock?.blockedReason || null,
+    reason: firstBlock ? `${blocks.map((block) => block.reason).join(' ')} Next contact window starts at ${nextAllowedAt.toISOString()}.` : null,
+    holiday: blocks.find((block) => block.holiday)?.holiday || null,
+    requestedAt: requestedAt.toISOString(),
+    nextAllowedAt: nextAllowedAt.toISOString(),
+    tenantTimeZone,
+    leadTimeZone,
+    quietHours: quietStart && quietEnd ? { start: quietStart.label, end: quietEnd.label } : null,
+  };
+}
+
+// Pushes a due action to the next open contact window instead of sending it.
+// Returns the deferral for the sender's results, or null when it may send.
+async function deferActionOutsideContactWindow(db: any, input: { action: any; tenant: any; lead: any; channel: string; rules: any; holidays: any[] }) {
+  const window = contactWindowStatus({ tenant: input.tenant, lead: input.lead, channel: input.channel, rules: input.rules, holidays: input.holidays });
+  if (window.allowed) return null;
+  const now = nowIso();
+  await db.database.from('bob_actions').update({
+    scheduled_for: window.nextAllowedAt,
+    reason: window.reason,
+    updated_at: now,
+    result: {
+      ...(input.action.result || {}),
+      deferredReason: window.blockedReason,
+      tenantTimezone: window.tenantTimeZone,
+      leadTimezone: window.leadTimeZone,
+      nextAllowedAt: window.nextAllowedAt,
+      holiday: window.holiday,
+      quietHours: window.quietHours,
+    },
+  }).eq('id', input.action.id).eq('tenant_id', input.action.tenant_id);
+  if (input.action.campaign_lead_id) {
+    await db.database.from('campaign_leads').update({
+      status: 'queued',
+      current_step: window.blockedReason === 'outside_business_hours' ? 'call_deferred_until_business_hours' : `${window.channel}_deferred_until_contact_window`,
+      next_action_at: window.nextAllowedAt,
+      stop_reason: null,
+      updated_at: now,
+    }).eq('tenant_id', input.action.tenant_id).eq('id', input.action.campaign_lead_id);
+  }
+  return { actionId: input.action.id, success: true, deferred: true, deferredReason: window.blockedReason, nextAllowedAt: window.nextAllowedAt, reason: window.reason };
+}
+
 async function loadLead(db: any, tenantId: string, leadId: string) {
   if (!leadId) return null;
   const rows = await unwrap(
@@ -762,6 +960,7 @@ function normalizeLifecycleOutcome(value: any) {
     canceled: 'failed',
     cancelled: 'failed',
     human_review: 'needs_human_review',
+    transferred: 'needs_human_review',
     not_available_now: 'not_available',
     channel_switch: 'channel_switch_requested',
     callback: 'callback_requested',
@@ -825,19 +1024,30 @@ function parseIsoDate(value: any) {
   return Number.isNaN(date.getTime()) ? null : date;
 }
 
-function scheduledAtBusinessWindow(tenant: any, baseDate: Date, dayOffset = 0) {
+// Business-hours start on the businessDays-th working day after baseDate, in
+// the tenant's timezone. Saturdays, Sundays and tenant holidays are not
+// working days. With 0 it is the next working-day start still ahead.
+function scheduledAtBusinessWindow(tenant: any, baseDate: Date, businessDays = 0, holidays: any[] = []) {
   const timeZone = normalizedTimeZone(tenant?.default_timezone);
   const start = parseBusinessTime(tenant?.business_hours_start, '10:00');
   const local = timeZoneParts(baseDate, timeZone);
-  const targetMidnight = new Date(Date.UTC(local.year, local.month - 1, local.day + Math.max(0, Number(dayOffset) || 0)));
-  const target = zonedLocalTimeToUtc({
-    year: targetMidnight.getUTCFullYear(),
-    month: targetMidnight.getUTCMonth() + 1,
-    day: targetMidnight.getUTCDate(),
-    hour: start.hour,
-    minute: start.minute,
-  }, timeZone);
-  return target <= baseDate ? scheduledAtBusinessWindow(tenant, baseDate, dayOffset + 1) : target;
+  const holidayDates = new Set(holidays.map((holiday: any) => String(holiday.date)));
+  const wanted = Math.max(0, Math.floor(Number(businessDays) || 0));
+  let counted = 0;
+  for (let offset = 0; offset <= wanted * 7 + 366; offset += 1) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    if ([0, 6].includes(day.getUTCDay()) || holidayDates.has(day.toISOString().slice(0, 10))) continue;
+    if (offset > 0) counted += 1;
+    const target = zonedLocalTimeToUtc({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour: start.hour,
+      minute: start.minute,
+    }, timeZone);
+    if (counted >= wanted && target > baseDate) return target;
+  }
+  return addDays(baseDate, Math.max(wanted, 1));
 }
 
 function normalizeRequestedChannel(value: any) {
@@ -1079,6 +1289,7 @@ async function insertLifecycleEvent(db: any, input: {
   nextActionAt?: string | null;
   reason: string;
   blockedReason?: string | null;
+  rulesVersionId?: string | null;
   metadata?: JsonRecord;
 }) {
   const event = {
@@ -1097,6 +1308,7 @@ async function insertLifecycleEvent(db: any, input: {
       next_action_at: input.nextActionAt || null,
       reason: input.reason,
       blocked_reason: input.blockedReason || null,
+      rules_version_id: input.rulesVersionId || null,
       metadata: {
         source: 'phase23_lifecycle_evaluator',
         ruleVersion: 'phase23',
@@ -1110,52 +1322,217 @@ async function insertLifecycleEvent(db: any, input: {
   return event;
 }
 
-async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
-  const inputTenantId = body.tenantId || body.tenant_id || null;
-  const sourceActionId = body.actionId || body.action_id || body.sourceActionId || body.source_action_id || null;
-  const sourceAction = await loadBobAction(db, inputTenantId ? String(inputTenantId) : null, sourceActionId ? String(sourceActionId) : null);
-  const tenantId = String(inputTenantId || sourceAction?.tenant_id || '');
-  if (!tenantId) throw new Error('tenantId is required');
+// Lifecycle playbook rules. Copied from frontend/lib/lifecycle-playbooks.js; keep in sync.
+const PLAYBOOK_STEP_TYPES = ['send', 'wait', 'branch', 'escalate', 'stop'];
+const PLAYBOOK_CHANNELS = ['call', 'sms', 'whatsapp', 'email'];
+const PLAYBOOK_BRANCH_SOURCES = ['outcome', 'reply', 'intent'];
+const PLAYBOOK_WAIT_UNITS = ['hours', 'business_days'];
+const MAX_PLAYBOOK_STEPS_PER_ADVANCE = 25;
 
-  const leadId = String(body.leadId || body.lead_id || sourceAction?.lead_id || '');
-  if (!leadId) throw new Error('leadId is required');
+function cleanPlaybookId(value: unknown) {
+  return String(value || '').trim();
+}
 
-  const existingEvent = await existingPhase23Event(db, tenantId, sourceAction?.id || sourceActionId);
-  if (existingEvent) {
-    const existingAction = await findExistingLifecycleAction(db, tenantId, leadId, existingEvent.id);
-    return { idempotent: true, event: existingEvent, action: existingAction };
+function normalizePlaybookStep(step: any = {}) {
+  const base = { id: cleanPlaybookId(step.id), type: step.type, label: String(step.label || '').trim() };
+  if (step.type === 'send') {
+    const channel = PLAYBOOK_CHANNELS.includes(step.channel) ? step.channel : 'call';
+    return {
+      ...base,
+      channel,
+      fallbackChannels: [...new Set((Array.isArray(step.fallbackChannels) ? step.fallbackChannels : []).filter((item: any) => PLAYBOOK_CHANNELS.includes(item) && item !== channel))],
+      stage: String(step.stage || 'attempting_contact'),
+      next: cleanPlaybookId(step.next),
+    };
+  }
+  if (step.type === 'wait') {
+    return {
+      ...base,
+      amount: Number(step.amount) || 0,
+      unit: PLAYBOOK_WAIT_UNITS.includes(step.unit) ? step.unit : 'hours',
+      next: cleanPlaybookId(step.next),
+    };
   }
+  if (step.type === 'branch') {
+    return {
+      ...base,
+      on: PLAYBOOK_BRANCH_SOURCES.includes(step.on) ? step.on : 'outcome',
+      cases: (Array.isArray(step.cases) ? step.cases : []).map((row: any) => ({
+        value: String(row?.value || '').trim().toLowerCase(),
+        next: cleanPlaybookId(row?.next),
+      })),
+      otherwise: cleanPlaybookId(step.otherwise),
+    };
+  }
+  if (step.type === 'escalate') return { ...base, reason: String(step.reason || '').trim() };
+  return { ...base, stage: String(step.stage || 'contacted'), reason: String(step.reason || '').trim() };
+}
 
-  const lead = await loadLead(db, tenantId, leadId);
-  if (!lead?.id) throw new Error('Tenant lead was not found');
-  const tenant = await loadTenant(db, tenantId);
-  if (!tenant?.id) throw new Error('Tenant was not found');
+function describePlaybookStep(step: any) {
+  if (!step) return 'End';
+  if (step.type === 'send') {
+    const fallbacks = step.fallbackChannels?.length ? ` (fallback ${step.fallbackChannels.join(', ')})` : '';
+    return `Send by ${step.channel}${fallbacks}`;
+  }
+  if (step.type === 'wait') return `Wait ${step.amount} ${step.unit === 'hours' ? 'hour' : 'business day'}${Number(step.amount) === 1 ? '' : 's'}`;
+  if (step.type === 'branch') return `Branch on ${step.on}`;
+  if (step.type === 'escalate') return 'Escalate to a person';
+  return `Stop in ${String(step.stage || 'contacted').replace(/_/g, ' ')}`;
+}
+
+function playbookBranchValue(on: string, context: JsonRecord = {}) {
+  if (on === 'reply') return context.replied ? 'replied' : 'no_reply';
+  if (on === 'intent') return String(context.intent || '').trim().toLowerCase();
+  return String(context.outcome || '').trim().toLowerCase();
+}
+
+function advancePlaybook(playbook: any, stepId: string | null, context: JsonRecord = {}) {
+  const steps = (Array.isArray(playbook?.steps) ? playbook.steps : [])
+    .filter((step: any) => PLAYBOOK_STEP_TYPES.includes(step?.type))
+    .map(normalizePlaybookStep);
+  const stepsById = new Map<string, any>(steps.map((step: any) => [step.id, step]));
+  const trace: JsonRecord[] = [];
+  let id = cleanPlaybookId(stepId);
+  for (let walked = 0; walked < MAX_PLAYBOOK_STEPS_PER_ADVANCE; walked += 1) {
+    if (!id) return { trace, effect: { type: 'end' } as JsonRecord, nextStepId: null };
+    const step = stepsById.get(id);
+    if (!step) {
+      return { trace, effect: { type: 'error', reason: `Playbook step ${id} no longer exists.` } as JsonRecord, nextStepId: null };
+    }
+    if (step.type === 'branch') {
+      const value = playbookBranchValue(step.on, context);
+      const match = step.cases.find((row: any) => row.value === value);
+      const target = match ? match.next : step.otherwise;
+      trace.push({ stepId: step.id, type: step.type, on: step.on, value: value || null, matched: match ? match.value : 'otherwise', next: target || null });
+      id = target;
+      continue;
+    }
+    trace.push({ stepId: step.id, type: step.type, description: describePlaybookStep(step) });
+    if (step.type === 'send') {
+      return {
+        trace,
+        effect: { type: 'send', stepId: step.id, channels: [step.channel, ...step.fallbackChannels], stage: step.stage } as JsonRecord,
+        nextStepId: step.next || null,
+      };
+    }
+    if (step.type === 'wait') {
+      return { trace, effect: { type: 'wait', stepId: step.id, amount: step.amount, unit: step.unit } as JsonRecord, nextStepId: step.next || null };
+    }
+    if (step.type === 'escalate') {
+      return { trace, effect: { type: 'escalate', stepId: step.id, reason: step.reason } as JsonRecord, nextStepId: null };
+    }
+    return { trace, effect: { type: 'stop', stepId: step.id, stage: step.stage, reason: step.reason } as JsonRecord, nextStepId: null };
+  }
+  return { trace, effect: { type: 'error', reason: 'Playbook walked too many branches without acting.' } as JsonRecord, nextStepId: null };
+}
 
-  const rules = await loadEffectiveLifecycleRules(db, tenantId);
-  const outcome = normalizeLifecycleOutcome(body.outcome || sourceAction?.result?.outcome || sourceAction?.result?.callStatus || sourceAction?.result?.status);
-  const requestedChannel = normalizeRequestedChannel(body.requestedChannel || body.requested_channel || body.preferredChannel || body.preferred_channel);
-  const requestedAt = parseIsoDate(body.requestedCallbackAt || body.requested_callback_at || body.nextActionAt || body.next_action_at);
-  const sourceChannel = body.sourceChannel || body.source_channel || sourceAction?.channel || 'system';
-  const attemptCount = Number(body.attemptCount || body.attempt_count || await countLeadCallAttempts(db, tenantId, leadId, sourceAction));
-  const now = new Date();
+const OPEN_PLAYBOOK_RUN_STATUSES = ['running', 'awaiting_outcome', 'waiting'];
+const PLAYBOOK_TRACE_LIMIT = 200;
+
+async function loadOpenPlaybookRun(db: any, tenantId: string, leadId: string) {
+  const rows = await unwrap(
+    await db.database
+      .from('lead_playbook_runs')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('lead_id', leadId)
+      .in('status', OPEN_PLAYBOOK_RUN_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(1),
+    'Failed to load lead playbook run'
+  );
+  return rows?.[0] || null;
+}
+
+async function findTriggeredPlaybook(db: any, tenantId: string, outcome: string) {
+  const result = await db.database.rpc('get_active_lifecycle_playbooks', { p_tenant_id: tenantId });
+  if (result?.error) {
+    console.warn('Failed to load lifecycle playbooks; using lifecycle rules', result.error.message || result.error);
+    return null;
+  }
+  const playbooks = Array.isArray(result?.data) ? result.data : [];
+  return playbooks.find((playbook: any) => (playbook?.triggerOutcomes || []).includes(outcome)) || null;
+}
+
+// Writes the run after the lifecycle event and next action exist, so every
+// trace entry can point at both.
+async function savePlaybookRun(db: any, input: {
+  tenantId: string;
+  leadId: string;
+  runId: string;
+  existingRun?: any;
+  playbook?: any;
+  patch: JsonRecord;
+  trace: JsonRecord[];
+  eventId?: string | null;
+  actionId?: string | null;
+}) {
+  const at = nowIso();
+  const entries = input.trace.map((entry, index) => ({
+    ...entry,
+    at,
+    eventId: input.eventId || null,
+    ...(index === input.trace.length - 1 && input.actionId ? { actionId: input.actionId } : {}),
+  }));
+  const trace = [...(input.existingRun?.trace || []), ...entries].slice(-PLAYBOOK_TRACE_LIMIT);
+  const finished = !OPEN_PLAYBOOK_RUN_STATUSES.includes(String(input.patch.status || ''));
+  const values = {
+    ...input.patch,
+    trace,
+    finished_at: finished ? at : null,
+    updated_at: at,
+  };
+  if (input.existingRun?.id) {
+    await unwrap(
+      await db.database.from('lead_playbook_runs').update(values).eq('tenant_id', input.tenantId).eq('id', input.existingRun.id),
+      'Failed to update lead playbook run'
+    );
+    return;
+  }
+  const result = await db.database.from('lead_playbook_runs').insert([{
+    id: input.runId,
+    tenant_id: input.tenantId,
+    lead_id: input.leadId,
+    playbook_id: input.playbook?.id || null,
+    playbook_name: String(input.playbook?.name || 'Playbook'),
+    playbook_snapshot: {
+      id: input.playbook?.id || null,
+      name: input.playbook?.name || 'Playbook',
+      startStepId: input.playbook?.startStepId || null,
+      steps: input.playbook?.steps || [],
+    },
+    started_at: at,
+    ...values,
+  }]);
+  // A concurrent evaluation already opened a run for this lead; the unique
+  // open-run index keeps the first one.
+  if (result?.error) console.warn('Failed to start lead playbook run', result.error.message || result.error);
+}
 
-  let decision: JsonRecord = {
-    allowed: false,
-    nextStage: lead.lead_stage || 'new',
-    nextSchedulingState: lead.scheduling_state || 'not_started',
-    nextActionType: null,
-    nextActionChannel: null,
-    nextActionAt: null,
-    reason: 'Lifecycle evaluator could not select an automated next action.',
-    blockedReason: 'needs_human_review',
-    requiresHumanReview: true,
-    leadPatch: {},
-    payload: {},
+// The evaluator's decision and the three ways to fill it in. The live
+// evaluator and the dry run both build decisions through this, so a
+// projection picks channels and business-hours deferrals exactly as a real
+// outcome would.
+function createLifecycleDecision(lead: any, tenant: any, chooseChannel: (channels: string[]) => Promise<any>) {
+  const state = {
+    decision: {
+      allowed: false,
+      nextStage: lead.lead_stage || 'new',
+      nextSchedulingState: lead.scheduling_state || 'not_started',
+      nextActionType: null,
+      nextActionChannel: null,
+      nextActionAt: null,
+      reason: 'Lifecycle evaluator could not select an automated next action.',
+      blockedReason: 'needs_human_review',
+      requiresHumanReview: true,
+      leadPatch: {},
+      payload: {},
+    } as JsonRecord,
   };
 
   const stopPatch = (stage: string, schedulingState: string, reason: string, extra: JsonRecord = {}) => {
-    decision = {
-      ...decision,
+    state.decision = {
+      ...state.decision,
       allowed: false,
       nextStage: stage,
       nextSchedulingState: schedulingState,
@@ -1174,8 +1551,8 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
   };
 
   const setHumanReview = (reason: string, blockedReason: string, stage = lead.lead_stage || 'new', schedulingState = lead.scheduling_state || 'not_started') => {
-    decision = {
-      ...decision,
+    state.decision = {
+      ...state.decision,
       allowed: false,
       nextStage: stage,
       nextSchedulingState: schedulingState,
@@ -1198,7 +1575,7 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
     reason: string;
     payload?: JsonRecord;
   }) => {
-    const selected = await chooseAllowedChannel(db, tenantId, lead, input.channels);
+    const selected = await chooseChannel(input.channels);
     if (!selected) {
       setHumanReview('No consented and configured channel is available for the lifecycle next action.', 'missing_consent_or_channel_setup', input.stage, input.schedulingState);
       return;
@@ -1208,14 +1585,16 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
       const hours = businessHoursStatus(tenant, scheduledFor);
       if (!hours.allowed) scheduledFor = new Date(hours.nextAllowedAt);
     }
-    decision = {
-      ...decision,
+    const deferredFrom = scheduledFor.getTime() === input.scheduledFor.getTime() ? null : input.scheduledFor.toISOString();
+    state.decision = {
+      ...state.decision,
       allowed: true,
       nextStage: input.stage,
       nextSchedulingState: input.schedulingState,
       nextActionType: channelActionType(selected.channel),
       nextActionChannel: selected.channel,
       nextActionAt: scheduledFor.toISOString(),
+      deferredFrom,
       reason: input.reason,
       blockedReason: null,
       requiresHumanReview: false,
@@ -1233,6 +1612,28 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
     };
   };
 
+  return Object.assign(state, { stopPatch, setHumanReview, setAction });
+}
+
+// Stop states first, then the tenant's playbook when one owns the lead, then
+// the fixed rules for each outcome.
+async function applyLifecyclePolicies(lifecycle: ReturnType<typeof createLifecycleDecision>, input: {
+  lead: any;
+  tenant: any;
+  rules: any;
+  outcome: string;
+  attemptCount: number;
+  now: Date;
+  requestedChannel: string;
+  requestedAt: Date | null;
+  sourceChannel: string;
+  bookingIntent?: boolean;
+  playbook?: (() => Promise<void>) | null;
+  tenantHolidays: (tenantId: string) => Promise<any[]>;
+}) {
+  const { lead, tenant, rules, outcome, attemptCount, now, requestedChannel, requestedAt, sourceChannel, bookingIntent } = input;
+  const { stopPatch, setHumanReview, setAction } = lifecycle;
+
   if (lead?.do_not_contact || lead?.lead_stage === 'do_not_contact') {
     stopPatch('do_not_contact', lead.scheduling_state || 'not_started', 'Lead is marked do-not-contact; automation remains stopped.', { do_not_contact: true });
   } else if (lead?.meeting_scheduled || lead?.lead_stage === 'booked' || lead?.scheduling_state === 'booked') {
@@ -1248,6 +1649,8 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
     });
   } else if (lead?.automation_paused) {
     setHumanReview('Lead automation is paused; lifecycle scheduling is blocked.', 'automation_paused');
+  } else if (input.playbook) {
+    await input.playbook();
   } else if (outcome === 'no_answer') {
     const nextAttempt = attemptCount + 1;
     if (nextAttempt >= Number(rules.maxCallAttempts || 3)) {
@@ -1284,7 +1687,7 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
         stage: 'attempting_contact',
         schedulingState: 'needs_follow_up',
         channels: [policy.channel || 'call'],
-        scheduledFor: scheduledAtBusinessWindow(tenant, now, Number(policy.delayBusinessDays || 1)),
+        scheduledFor: scheduledAtBusinessWindow(tenant, now, Number(policy.delayBusinessDays || 1), await input.tenantHolidays(tenant.id)),
         reason: policy.reason || 'Second no-answer: retry the call next business day inside tenant calling hours.',
         payload: { outcome, attemptCount, nextAttempt, lifecyclePath: 'no_answer_second_call' },
       });
@@ -1314,7 +1717,7 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
       stage: 'attempting_contact',
       schedulingState: 'needs_follow_up',
       channels: policy.preferredChannels || ['sms', 'email', 'whatsapp'],
-      scheduledFor: addMinutes(now, Number(policy.delayMinutes || 5)),
+      scheduledFor: addMinutes(now, Number(policy.delayMinutes ?? 5)),
       reason: policy.reason || 'Voicemail left: send a short recap through the best consented channel.',
       payload: { outcome, lifecyclePath: 'voicemail_recap' },
     });
@@ -1334,7 +1737,7 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
         nurture: { active: true, step: 1, maxCheckups: nurturePolicy.maxCheckups, cadenceDays: nurturePolicy.cadenceDays },
       },
     });
-  } else if (outcome === 'answered' && body.bookingIntent) {
+  } else if (outcome === 'answered' && bookingIntent) {
     stopPatch('booking_offered', 'booking_requested', 'Lead requested booking details; wait for date/time or continue the active booking flow.', {
       preferred_contact_channel: requestedChannel || lead.preferred_contact_channel || null,
     });
@@ -1343,6 +1746,190 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
   } else {
     setHumanReview('Lifecycle outcome needs human review before more automation is scheduled.', 'ambiguous_or_failed_outcome');
   }
+}
+
+export async function evaluateLeadLifecycle(db: any, body: JsonRecord, tenantHolidays = tenantHolidayLoader(db)) {
+  const inputTenantId = body.tenantId || body.tenant_id || null;
+  const sourceActionId = body.actionId || body.action_id || body.sourceActionId || body.source_action_id || null;
+  const sourceAction = await loadBobAction(db, inputTenantId ? String(inputTenantId) : null, sourceActionId ? String(sourceActionId) : null);
+  const tenantId = String(inputTenantId || sourceAction?.tenant_id || '');
+  if (!tenantId) throw new Error('tenantId is required');
+
+  const leadId = String(body.leadId || body.lead_id || sourceAction?.lead_id || '');
+  if (!leadId) throw new Error('leadId is required');
+
+  const existingEvent = await existingPhase23Event(db, tenantId, sourceAction?.id || sourceActionId);
+  if (existingEvent) {
+    const existingAction = await findExistingLifecycleAction(db, tenantId, leadId, existingEvent.id);
+    return { idempotent: true, event: existingEvent, action: existingAction };
+  }
+
+  const lead = await loadLead(db, tenantId, leadId);
+  if (!lead?.id) throw new Error('Tenant lead was not found');
+  const tenant = await loadTenant(db, tenantId);
+  if (!tenant?.id) throw new Error('Tenant was not found');
+
+  const rules = await loadEffectiveLifecycleRules(db, tenantId);
+  const outcome = normalizeLifecycleOutcome(body.outcome || sourceAction?.result?.outcome || sourceAction?.result?.callStatus || sourceAction?.result?.status);
+  const requestedChannel = normalizeRequestedChannel(body.requestedChannel || body.requested_channel || body.preferredChannel || body.preferred_channel);
+  const requestedAt = parseIsoDate(body.requestedCallbackAt || body.requested_callback_at || body.nextActionAt || body.next_action_at);
+  const sourceChannel = body.sourceChannel || body.source_channel || sourceAction?.channel || 'system';
+  const attemptCount = Number(body.attemptCount || body.attempt_count || await countLeadCallAttempts(db, tenantId, leadId, sourceAction));
+  const now = new Date();
+  const detectedIntent = String(body.detectedIntent || body.detected_intent || body.metadata?.detectedIntent || '').trim() || null;
+  const leadReplied = Boolean(body.replied) || ['sms', 'whatsapp', 'email', 'messenger'].includes(canonicalEventChannel(sourceChannel));
+  const playbookRun = await loadOpenPlaybookRun(db, tenantId, leadId);
+  const resumingPlaybook = Boolean(playbookRun && String(body.playbookRunId || body.playbook_run_id || '') === playbookRun.id);
+  const triggeredPlaybook = playbookRun ? null : await findTriggeredPlaybook(db, tenantId, outcome);
+  const playbookRunId = playbookRun?.id || crypto.randomUUID();
+  let playbookResult = null as { patch: JsonRecord; trace: JsonRecord[] } | null;
+
+  const lifecycle = createLifecycleDecision(lead, tenant, (channels) => chooseAllowedChannel(db, tenantId, lead, channels));
+  const { stopPatch, setHumanReview, setAction } = lifecycle;
+
+  const setPlaybookWait = (resumeAt: string | null, reason: string, payload: JsonRecord, leadPatch: JsonRecord = {}) => {
+    lifecycle.decision = {
+      ...lifecycle.decision,
+      allowed: false,
+      nextStage: lead.lead_stage || 'new',
+      nextSchedulingState: lead.scheduling_state || 'not_started',
+      nextActionType: 'playbook_wait',
+      nextActionChannel: 'system',
+      nextActionAt: resumeAt,
+      reason,
+      blockedReason: null,
+      requiresHumanReview: false,
+      leadPatch,
+      payload,
+    };
+  };
+
+  // The open run (or the newly triggered playbook) decides instead of the
+  // fixed policies below. A run that is waiting out a timer only records
+  // outcomes that arrive meanwhile; the tick resumes it when the wait ends.
+  const applyPlaybook = async () => {
+    const playbook = playbookRun?.playbook_snapshot || triggeredPlaybook;
+    const name = String(playbook?.name || playbookRun?.playbook_name || 'Playbook');
+    const priorContext = playbookRun?.context || {};
+    const replied = leadReplied
+      || Boolean(priorContext.replied)
+      || (resumingPlaybook && await hasLeadInboundReplyAfter(db, tenantId, leadId, playbookRun?.waiting_since));
+    const context = { outcome, replied, intent: detectedIntent || priorContext.intent || null };
+    const runPayload = { runId: playbookRunId, playbookId: playbook?.id || playbookRun?.playbook_id || null, name };
+
+    if (playbookRun?.status === 'waiting' && !resumingPlaybook) {
+      setPlaybookWait(
+        playbookRun.resume_at || null,
+        `Playbook "${name}" is waiting; this ${outcome.replace(/_/g, ' ')} outcome is kept for its next branch.`,
+        { lifecyclePath: 'playbook', playbook: { ...runPayload, stepId: playbookRun.current_step_id || null } }
+      );
+      playbookResult = {
+        patch: { status: 'waiting', context },
+        trace: [{ type: 'recorded', stepId: playbookRun.current_step_id || null, outcome, replied, intent: context.intent }],
+      };
+      return;
+    }
+
+    const advance = advancePlaybook(playbook, playbookRun ? playbookRun.current_step_id : playbook?.startStepId, context);
+    const effect = advance.effect;
+    const stepId = effect.stepId || null;
+    const description = advance.trace[advance.trace.length - 1]?.description || describePlaybookStep(null);
+    const payload = { lifecyclePath: 'playbook', playbook: { ...runPayload, stepId, steps: advance.trace.map((entry) => entry.stepId) } };
+    let patch: JsonRecord;
+
+    if (effect.type === 'send') {
+      await setAction({
+        stage: effect.stage || 'attempting_contact',
+        schedulingState: 'needs_follow_up',
+        channels: effect.channels,
+        scheduledFor: now,
+        reason: `Playbook "${name}": ${description}.`,
+        payload,
+      });
+      lifecycle.decision = { ...lifecycle.decision, payload: { ...payload, ...(lifecycle.decision.payload || {}) } };
+      if (!lifecycle.decision.allowed) patch = { status: 'escalated', current_step_id: stepId, resume_at: null };
+      else if (!advance.nextStepId) patch = { status: 'completed', current_step_id: null, resume_at: null };
+      else if (lifecycle.decision.nextActionChannel === 'call') {
+        // The call's outcome comes back through this evaluator and picks
+        // the run up from the next step.
+        patch = { status: 'awaiting_outcome', current_step_id: advance.nextStepId, resume_at: null, waiting_since: lifecycle.decision.nextActionAt };
+      } else {
+        patch = { status: 'waiting', current_step_id: advance.nextStepId, resume_at: lifecycle.decision.nextActionAt, waiting_since: lifecycle.decision.nextActionAt };
+      }
+    } else if (effect.type === 'wait') {
+      const resumeAt = effect.unit === 'business_days'
+        ? scheduledAtBusinessWindow(tenant, now, Number(effect.amount) || 1, await tenantHolidays(tenantId))
+        : addMinutes(now, (Number(effect.amount) || 1) * 60);
+      setPlaybookWait(resumeAt.toISOString(), `Playbook "${name}": ${description} before the next step.`, payload, {
+        next_contact_at: resumeAt.toISOString(),
+        requires_human_review: false,
+        escalation_reason: null,
+      });
+      patch = { status: 'waiting', current_step_id: advance.nextStepId, resume_at: resumeAt.toISOString(), waiting_since: now.toISOString() };
+    } else if (effect.type === 'escalate') {
+      setHumanReview(effect.reason || `Playbook "${name}" escalated the lead to a person.`, 'playbook_escalation');
+      lifecycle.decision = { ...lifecycle.decision, payload };
+      patch = { status: 'escalated', current_step_id: stepId, resume_at: null };
+    } else if (effect.type === 'stop') {
+      const stage = effect.stage || 'contacted';
+      stopPatch(
+        stage,
+        ['nurture', 'not_interested_now'].includes(stage) ? 'needs_follow_up' : lead.scheduling_state || 'not_started',
+        effect.reason || `Playbook "${name}" stopped with the lead in ${stage.replace(/_/g, ' ')}.`
+      );
+      lifecycle.decision = { ...lifecycle.decision, payload };
+      patch = { status: 'completed', current_step_id: stepId, resume_at: null };
+    } else if (effect.type === 'end') {
+      stopPatch(lead.lead_stage || 'contacted', lead.scheduling_state || 'not_started', `Playbook "${name}" finished.`);
+      lifecycle.decision = { ...lifecycle.decision, payload };
+      patch = { status: 'completed', current_step_id: null, resume_at: null };
+    } else {
+      setHumanReview(effect.reason || `Playbook "${name}" could not continue.`, 'playbook_error');
+      lifecycle.decision = { ...lifecycle.decision, payload };
+      patch = { status: 'escalated', current_step_id: stepId, resume_at: null };
+    }
+
+    playbookResult = {
+      patch: { ...patch, context: { outcome, intent: context.intent, replied: false } },
+      trace: [
+        ...(playbookRun ? [] : [{ type: 'started', stepId: null, outcome, playbookId: runPayload.playbookId }]),
+        ...advance.trace.map((entry) => ({ ...entry, outcome })),
+        {
+          type: 'result',
+          stepId,
+          status: patch.status,
+          detail: lifecycle.decision.reason,
+          channel: lifecycle.decision.nextActionChannel || null,
+          nextActionAt: lifecycle.decision.nextActionAt || null,
+        },
+      ],
+    };
+  };
+
+  await applyLifecyclePolicies(lifecycle, {
+    lead,
+    tenant,
+    rules,
+    outcome,
+    attemptCount,
+    now,
+    requestedChannel,
+    requestedAt,
+    sourceChannel,
+    bookingIntent: Boolean(body.bookingIntent),
+    playbook: playbookRun || triggeredPlaybook ? applyPlaybook : null,
+    tenantHolidays,
+  });
+  const decision = lifecycle.decision;
+
+  // Stop outcomes (booked, opted out, do-not-contact) end an open run; a
+  // paused lead keeps its run for when automation resumes.
+  if (playbookRun && !playbookResult && !decision.requiresHumanReview) {
+    playbookResult = {
+      patch: { status: 'stopped', resume_at: null },
+      trace: [{ type: 'stopped', stepId: playbookRun.current_step_id || null, outcome, detail: decision.reason }],
+    };
+  }
 
   const event = await insertLifecycleEvent(db, {
     tenantId,
@@ -1357,6 +1944,7 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
     nextActionAt: decision.nextActionAt,
     reason: decision.reason,
     blockedReason: decision.blockedReason,
+    rulesVersionId: rules.versionId || null,
     metadata: {
       attemptCount,
       sourceActionStatus: sourceAction?.status || null,
@@ -1373,8 +1961,11 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
     updated_at: nowIso(),
   }).eq('tenant_id', tenantId).eq('id', lead.id);
 
+  // Campaign cadence steps record the outcome here, but the cadence tick
+  // decides what comes next for the campaign lead.
+  const cadenceOwnsFollowUp = isCampaignCadenceAction(sourceAction);
   let nextAction = null;
-  if (decision.allowed && decision.nextActionType && decision.nextActionAt && event?.id) {
+  if (!cadenceOwnsFollowUp && decision.allowed && decision.nextActionType && decision.nextActionAt && event?.id) {
     const existingAction = await findExistingLifecycleAction(db, tenantId, lead.id, event.id);
     if (existingAction) {
       nextAction = existingAction;
@@ -1414,8 +2005,22 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
     }
   }
 
-  if (sourceAction?.campaign_lead_id) {
-    const patch = decision.allowed
+  if (playbookResult) {
+    await savePlaybookRun(db, {
+      tenantId,
+      leadId: lead.id,
+      runId: playbookRunId,
+      existingRun: playbookRun,
+      playbook: triggeredPlaybook,
+      patch: playbookResult.patch,
+      trace: playbookResult.trace,
+      eventId: event?.id || null,
+      actionId: nextAction?.id || null,
+    });
+  }
+
+  if (sourceAction?.campaign_lead_id && !cadenceOwnsFollowUp) {
+    const patch = decision.allowed || decision.nextActionType === 'playbook_wait'
       ? {
         status: 'queued',
         current_step: `lifecycle_${decision.nextActionType}`,
@@ -1448,6 +2053,240 @@ async function evaluateLeadLifecycle(db: any, body: JsonRecord) {
     },
     event,
     action: nextAction,
+    playbookRun: playbookResult ? { id: playbookRunId, status: playbookResult.patch.status, currentStepId: playbookResult.patch.current_step_id ?? playbookRun?.current_step_id ?? null } : null,
+  };
+}
+
+const SIMULATION_OUTCOME_LIMIT = 20;
+const SIMULATION_REPLY_TOKENS = ['replied', 'reply', 'lead_replied'];
+
+function simulationOutcomes(value: any) {
+  const tokens = (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+    .map((token: any) => String(token || '').trim().toLowerCase().replace(/[\s-]+/g, '_'))
+    .filter(Boolean);
+  if (!tokens.length) throw new Error('Add at least one outcome to simulate');
+  if (tokens.length > SIMULATION_OUTCOME_LIMIT) throw new Error(`Simulate at most ${SIMULATION_OUTCOME_LIMIT} outcomes at a time`);
+  return tokens.map((token: string) => {
+    if (SIMULATION_REPLY_TOKENS.includes(token)) return 'replied';
+    const outcome = normalizeLifecycleOutcome(token);
+    if (outcome === 'needs_human_review' && !['needs_human_review', 'human_review', 'transferred'].includes(token)) {
+      throw new Error(`Unknown outcome "${token}"`);
+    }
+    return outcome;
+  });
+}
+
+// A stand-in lead for previews: contact details on file and consent on every
+// channel unless the request turns one off.
+function simulationLead(input: JsonRecord = {}) {
+  const consent = input.consent && typeof input.consent === 'object' ? input.consent : {};
+  return {
+    id: null,
+    full_name: String(input.name || 'Sample lead'),
+    email: input.email === undefined ? 'lead@example.com' : input.email || null,
+    phone: input.phone === undefined ? '+15550100000' : input.phone || null,
+    call_consent: consent.call !== false,
+    sms_consent: consent.sms !== false,
+    whatsapp_consent: consent.whatsapp !== false,
+    email_consent: consent.email !== false,
+    preferred_contact_channel: normalizeRequestedChannel(input.preferredContactChannel) || null,
+    lead_stage: 'new',
+    scheduling_state: 'not_started',
+  };
+}
+
+// Dry run of evaluate-lifecycle. Applies hypothetical outcomes to a copy of
+// a lead (or a stand-in) under the current rules or a draft of them, and
+// returns what would be scheduled, on which channel and when. Nothing is
+// written. Each outcome lands at the time of the previous projected action,
+// every outcome except a reply counts as a call attempt, and a reply ends the
+// projection because the conversation agent takes over. Projected times go
+// through contactWindowStatus, as the senders do, so holidays and quiet hours
+// move them the same way.
+export async function simulateLeadLifecycle(db: any, body: JsonRecord) {
+  const tenantId = requiredTenantId(body);
+  const tenant = await loadTenant(db, tenantId);
+  if (!tenant?.id) throw new Error('Tenant was not found');
+  const leadId = body.leadId || body.lead_id || null;
+  const storedLead = leadId ? await loadLead(db, tenantId, String(leadId)) : null;
+  if (leadId && !storedLead?.id) throw new Error('Tenant lead was not found');
+
+  const currentRules = await loadEffectiveLifecycleRules(db, tenantId);
+  const draftRules = body.rules && typeof body.rules === 'object' ? body.rules : null;
+  const rules = draftRules ? normalizeLifecycleRules({ ...currentRules, ...draftRules }, tenantId) : currentRules;
+  const outcomes = simulationOutcomes(body.outcomes);
+  const startAt = parseIsoDate(body.startAt || body.start_at) || new Date();
+  let lead: any = storedLead ? { ...storedLead } : simulationLead(body.lead || {});
+  let attemptCount = Number(body.attemptCount ?? body.attempt_count ?? (storedLead ? await countLeadCallAttempts(db, tenantId, storedLead.id) : 0)) || 0;
+  let clock = startAt;
+  let lastChannel = 'system';
+  let stopped = false;
+  const timeline: JsonRecord[] = [];
+  const warnings: string[] = [];
+  const chooseChannel = (channels: string[]) => chooseAllowedChannel(db, tenantId, lead, channels);
+
+  const openRun = storedLead ? await loadOpenPlaybookRun(db, tenantId, storedLead.id) : null;
+  if (openRun) warnings.push(`This lead is in playbook "${openRun.playbook_name}"; the evaluator follows the playbook, not these rules, until the run ends.`);
+
+  const holidays = await loadTenantHolidays(db, tenantId, startAt, 365);
+  const contactWindow = (channel: string, at: Date) => {
+    const window = contactWindowStatus({ tenant, lead, channel, rules, holidays, at });
+    return {
+      at: new Date(window.nextAllowedAt),
+      deferredFrom: window.allowed ? null : at.toISOString(),
+      deferredReason: window.blockedReason,
+      holiday: window.holiday,
+    };
+  };
+
+  // The first touch mirrors the campaign tick: email when consented, else a
+  // call, else SMS. An email is followed by the email-first call unless the
+  // first simulated outcome is a reply.
+  let pendingCall: ReturnType<typeof contactWindow> | null = null;
+  if (body.firstTouch !== false) {
+    const firstChannel = ['email', 'call', 'sms'].find((channel) => leadAllowsChannel(lead, channel).allowed) || null;
+    if (!firstChannel) {
+      timeline.push({ kind: 'first_touch', at: clock.toISOString(), reason: 'No consented channel is available for a first touch.', blockedReason: 'missing_consent_or_stop_state', requiresHumanReview: true });
+      stopped = true;
+    } else {
+      const touch = contactWindow(firstChannel, clock);
+      timeline.push({
+        kind: 'first_touch',
+        at: clock.toISOString(),
+        actionType: channelActionType(firstChannel),
+        channel: firstChannel,
+        actionAt: touch.at.toISOString(),
+        deferredFrom: touch.deferredFrom,
+        deferredReason: touch.deferredReason,
+        holiday: touch.holiday,
+        stage: 'attempting_contact',
+        reason: firstChannel === 'email' ? 'Campaign first step: email first-touch before any call.' : `Campaign first step: ${firstChannel} because email is not consented.`,
+      });
+      clock = touch.at;
+      lastChannel = firstChannel;
+      const policy = emailFirstPolicyFromRules(rules);
+      if (firstChannel === 'email' && policy.enabled) {
+        const callSetup = await channelSetupStatus(db, tenantId, lead, 'call');
+        if (callSetup.allowed) pendingCall = contactWindow('call', addMinutes(clock, policy.waitHours * 60));
+        else warnings.push(`No email-first follow-up call: ${callSetup.reason}.`);
+      }
+    }
+  }
+
+  const triggeredPlaybooks = new Map<string, any>();
+  for (const outcome of outcomes) {
+    if (stopped) {
+      timeline.push({ kind: 'skipped', outcome, reason: 'Automation had already stopped, so this outcome is not reached.' });
+      continue;
+    }
+    if (outcome === 'replied') {
+      timeline.push({
+        kind: 'reply',
+        outcome,
+        at: clock.toISOString(),
+        stage: 'engaged',
+        reason: pendingCall
+          ? 'Lead replied to the email; the email-first follow-up call is not placed and the conversation agent takes over.'
+          : 'Lead replied; the conversation agent takes over and no further automated follow-up is projected.',
+      });
+      lead = { ...lead, lead_stage: 'engaged' };
+      stopped = true;
+      continue;
+    }
+    if (pendingCall) {
+      const policy = emailFirstPolicyFromRules(rules);
+      timeline.push({
+        kind: 'email_first_call',
+        at: clock.toISOString(),
+        actionType: 'queue_call_attempt',
+        channel: 'call',
+        actionAt: pendingCall.at.toISOString(),
+        deferredFrom: pendingCall.deferredFrom,
+        deferredReason: pendingCall.deferredReason,
+        holiday: pendingCall.holiday,
+        stage: 'attempting_contact',
+        reason: policy.reason,
+      });
+      clock = pendingCall.at;
+      lastChannel = 'call';
+      pendingCall = null;
+    }
+
+    const lifecycle = createLifecycleDecision(lead, tenant, chooseChannel);
+    await applyLifecyclePolicies(lifecycle, {
+      lead,
+      tenant,
+      rules,
+      outcome,
+      attemptCount,
+      now: clock,
+      requestedChannel: '',
+      requestedAt: null,
+      sourceChannel: lastChannel,
+      tenantHolidays: async () => holidays,
+    });
+    const decision = lifecycle.decision;
+    const window = decision.allowed && decision.nextActionAt && decision.nextActionChannel
+      ? contactWindow(decision.nextActionChannel, new Date(decision.nextActionAt))
+      : null;
+    if (window) decision.nextActionAt = window.at.toISOString();
+    if (!triggeredPlaybooks.has(outcome)) triggeredPlaybooks.set(outcome, openRun ? null : await findTriggeredPlaybook(db, tenantId, outcome));
+    const playbook = triggeredPlaybooks.get(outcome);
+    timeline.push({
+      kind: 'outcome',
+      outcome,
+      at: clock.toISOString(),
+      attemptCount,
+      actionType: decision.nextActionType,
+      channel: decision.nextActionChannel,
+      actionAt: decision.nextActionAt,
+      deferredFrom: decision.deferredFrom || window?.deferredFrom || null,
+      deferredReason: window?.deferredReason || (decision.deferredFrom ? 'outside_business_hours' : null),
+      holiday: window?.holiday || null,
+      stage: decision.nextStage,
+      reason: decision.reason,
+      blockedReason: decision.blockedReason,
+      requiresHumanReview: decision.requiresHumanReview,
+      lifecyclePath: decision.payload?.lifecyclePath || null,
+      playbook: playbook ? { id: playbook.id, name: playbook.name } : null,
+    });
+    if (playbook) warnings.push(`Active playbook "${playbook.name}" starts on ${outcome.replace(/_/g, ' ')}; live leads follow it instead of these rules from that point.`);
+    lead = { ...lead, ...(decision.leadPatch || {}) };
+    attemptCount += 1;
+    if (decision.allowed && decision.nextActionAt) {
+      clock = new Date(decision.nextActionAt);
+      lastChannel = decision.nextActionChannel;
+    } else {
+      stopped = true;
+    }
+  }
+
+  const scheduled = timeline.filter((entry) => entry.actionType && entry.actionAt);
+  return {
+    dryRun: true,
+    rulesSource: draftRules ? 'draft' : 'current',
+    rulesVersion: currentRules.version || null,
+    rules: {
+      maxCallAttempts: rules.maxCallAttempts,
+      channelOrder: rules.channelOrder,
+      emailFirstPolicy: emailFirstPolicyFromRules(rules),
+      noAnswerPolicy: rules.noAnswerPolicy,
+    },
+    lead: {
+      id: storedLead?.id || null,
+      name: lead.full_name || lead.name || null,
+      synthetic: !storedLead,
+    },
+    startAt: startAt.toISOString(),
+    timeline,
+    warnings: [...new Set(warnings)],
+    summary: {
+      actions: scheduled.length,
+      calls: scheduled.filter((entry) => entry.channel === 'call').length,
+      finalStage: lead.lead_stage || 'new',
+      lastActionAt: scheduled.length ? scheduled[scheduled.length - 1].actionAt : null,
+      stopped,
+    },
   };
 }
 
@@ -1474,7 +2313,11 @@ function voiceWebhookUrl(params: JsonRecord) {
   return url.toString();
 }
 
-async function startOutboundCall(input: { to: string; from: string; twimlUrl: string; statusCallbackUrl: string }) {
+function answeringMachineDetectionEnabled() {
+  return Deno.env.get('TWILIO_AMD_ENABLED') !== 'false';
+}
+
+async function startOutboundCall(input: { to: string; from: string; twimlUrl: string; statusCallbackUrl: string; amdCallbackUrl?: string }) {
   if (!input.to) throw new Error('Call recipient phone number is required');
   if (!input.from) throw new Error('Caller phone number is required');
   const client = getTwilioClient();
@@ -1487,6 +2330,17 @@ async function startOutboundCall(input: { to: string; from: string; twimlUrl: st
     statusCallback: input.statusCallbackUrl,
     statusCallbackMethod: 'POST',
     statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+    // Async AMD keeps the stream connecting immediately; the machine result
+    // arrives after the greeting ends and twilio-voice-webhook?mode=amd
+    // plays the tenant voicemail drop.
+    ...(input.amdCallbackUrl
+      ? {
+        machineDetection: 'DetectMessageEnd',
+        asyncAmd: 'true',
+        asyncAmdStatusCallback: input.amdCallbackUrl,
+        asyncAmdStatusCallbackMethod: 'POST',
+      }
+      : {}),
   });
 }
 
@@ -2135,6 +2989,12 @@ async function sendResendEmail(input: { sender: ReturnType<typeof platformEmailS
   return data;
 }
 
+async function assertEmailNotSuppressed(db: any, tenantId: string, email: string) {
+  const { data, error } = await db.database.rpc('get_email_suppression', { p_tenant_id: tenantId, p_email: email });
+  if (error) throw new Error(error.message || 'Failed to check the email suppression list');
+  if (data?.suppressed) throw new Error(`Lead email is on the suppression list (${data.reason})`);
+}
+
 async function sendTenantEmailDirect(db: any, input: {
   tenantId: string;
   lead: any;
@@ -2148,6 +3008,7 @@ async function sendTenantEmailDirect(db: any, input: {
   const policy = leadAllowsChannel(input.lead, 'email');
   if (!policy.allowed) throw new Error(policy.reason);
   if (!input.lead?.email) throw new Error('Lead email address is required');
+  await assertEmailNotSuppressed(db, input.tenantId, input.lead.email);
   const conversation = input.conversationId
     ? null
     : await ensureLeadConversation(db, input.tenantId, input.lead, 'email');
@@ -2437,8 +3298,11 @@ async function createVoiceCallSession(db: any, input: JsonRecord) {
     leadId: lead?.id || '',
     conversationId: conversation?.id || input.conversationId || input.conversation_id || '',
   });
+  const amdCallbackUrl = answeringMachineDetectionEnabled()
+    ? voiceWebhookUrl({ mode: 'amd', sessionId: session.id })
+    : '';
 
-  return { session, contextToken, to, from, twimlUrl, statusCallbackUrl };
+  return { session, contextToken, to, from, twimlUrl, statusCallbackUrl, amdCallbackUrl };
 }
 
 async function launchVoiceCall(db: any, input: JsonRecord) {
@@ -2448,6 +3312,7 @@ async function launchVoiceCall(db: any, input: JsonRecord) {
     from: prepared.from,
     twimlUrl: prepared.twimlUrl,
     statusCallbackUrl: prepared.statusCallbackUrl,
+    amdCallbackUrl: prepared.amdCallbackUrl,
   });
 
   const sessions = await unwrap(
@@ -2458,6 +3323,7 @@ async function launchVoiceCall(db: any, input: JsonRecord) {
       metadata: {
         ...(prepared.session.metadata || {}),
         twilioStatus: call.status || null,
+        answeringMachineDetection: prepared.amdCallbackUrl ? 'DetectMessageEnd' : null,
       },
     }).eq('id', prepared.session.id).eq('tenant_id', prepared.session.tenant_id).select(),
     'Failed to update voice call session'
@@ -2621,65 +3487,310 @@ async function inspectQueuedBobActions(db: any) {
   return data || [];
 }
 
-async function ensureCampaignCallActions(db: any, body: JsonRecord) {
+function isCampaignCadenceAction(action: any) {
+  return action?.payload?.source === 'campaign_cadence';
+}
+
+// A failed cadence step is retried or skipped by the next cadence tick, so
+// the campaign lead stays running instead of failing outright.
+function campaignLeadFailurePatch(action: any, message: string) {
+  return isCampaignCadenceAction(action)
+    ? { status: 'running', stop_reason: null }
+    : { status: 'failed', stop_reason: message };
+}
+
+function campaignChannelSequence(campaign: any) {
+  const raw = Array.isArray(campaign?.channel_sequence) ? campaign.channel_sequence : [];
+  const channels = raw
+    .map((step: any) => normalizeRequestedChannel(typeof step === 'string' ? step : step?.channel))
+    .filter(Boolean);
+  return channels.length ? channels : ['call', 'sms', 'email'];
+}
+
+function campaignRetryPolicy(campaign: any) {
+  const policy = campaign?.retry_policy || {};
+  return {
+    maxAttempts: Math.min(Math.max(Math.round(Number(policy.maxAttempts ?? 2)) || 1, 1), 5),
+    retryDelayMinutes: Math.min(Math.max(Number(policy.retryDelayMinutes ?? 60) || 60, 5), 10080),
+  };
+}
+
+function leadIsBooked(lead: any) {
+  return Boolean(lead?.meeting_scheduled)
+    || ['booked', 'closed_won'].includes(String(lead?.lead_stage || '').toLowerCase())
+    || lead?.scheduling_state === 'booked';
+}
+
+// Calls count as reached unless the outcome says nobody picked up; a sent
+// message counts once the provider accepted it.
+function campaignStepReached(action: any) {
+  if (action?.status !== 'completed') return false;
+  if (action.action_type !== 'queue_call_attempt') return true;
+  return !['no_answer', 'busy', 'voicemail_left', 'failed', 'interrupted', 'wrong_number', 'needs_human_review'].includes(voiceLifecycleOutcomeFromAction(action));
+}
+
+// Conditions missing from stop_conditions count as on, which is how
+// createCampaign and imports have always written them.
+async function campaignStopReason(db: any, campaign: any, campaignLead: any, lead: any) {
+  const conditions = campaign?.stop_conditions || {};
+  const stage = String(lead?.lead_stage || '').toLowerCase();
+  if (conditions.booked !== false && leadIsBooked(lead)) return { key: 'booked', status: 'completed', reason: 'Lead booked' };
+  if (conditions.doNotContact !== false && (lead?.do_not_contact || stage === 'do_not_contact')) {
+    return { key: 'do_not_contact', status: 'stopped', reason: 'Lead is marked do not contact' };
+  }
+  if (conditions.optedOut !== false && lead?.opted_out_at && (!lead.opt_out_channel || lead.opt_out_channel === 'all')) {
+    return { key: 'opted_out', status: 'stopped', reason: 'Lead opted out of all channels' };
+  }
+  if (conditions.notInterested !== false && ['not_interested_now', 'closed_lost', 'unqualified'].includes(stage)) {
+    return { key: 'not_interested', status: 'stopped', reason: 'Lead is not interested' };
+  }
+  if (conditions.humanReview !== false && lead?.requires_human_review) {
+    return { key: 'human_review', status: 'stopped', reason: lead.escalation_reason ? `Lead needs human review: ${lead.escalation_reason}` : 'Lead needs human review' };
+  }
+  const startedAt = campaignLead.metadata?.cadence?.startedAt || campaignLead.created_at;
+  if (conditions.replied !== false && await hasLeadInboundReplyAfter(db, campaignLead.tenant_id, lead.id, startedAt)) {
+    return { key: 'replied', status: 'completed', reason: 'Lead replied' };
+  }
+  return null;
+}
+
+async function latestCampaignLeadStep(db: any, campaignLead: any) {
+  const rows = await unwrap(
+    await db.database
+      .from('campaign_lead_steps')
+      .select('*')
+      .eq('tenant_id', campaignLead.tenant_id)
+      .eq('campaign_lead_id', campaignLead.id)
+      .order('created_at', { ascending: false })
+      .limit(1),
+    'Failed to load campaign lead step'
+  );
+  return rows?.[0] || null;
+}
+
+async function insertCampaignLeadStep(db: any, campaignLead: any, values: JsonRecord) {
+  const rows = await unwrap(
+    await db.database.from('campaign_lead_steps').insert([{
+      tenant_id: campaignLead.tenant_id,
+      campaign_id: campaignLead.campaign_id,
+      campaign_lead_id: campaignLead.id,
+      lead_id: campaignLead.lead_id,
+      ...values,
+    }]).select(),
+    'Failed to record campaign lead step'
+  );
+  return rows?.[0] || null;
+}
+
+// Leads enrolled before cadences ran (imports queue their first action
+// directly) have no step rows yet; their latest campaign action becomes the
+// first recorded step so the sequence continues instead of starting over.
+async function adoptCampaignLeadAction(db: any, campaignLead: any, sequence: string[]) {
+  const rows = await unwrap(
+    await db.database
+      .from('bob_actions')
+      .select('id,channel')
+      .eq('tenant_id', campaignLead.tenant_id)
+      .eq('campaign_lead_id', campaignLead.id)
+      .order('created_at', { ascending: false })
+      .limit(1),
+    'Failed to load campaign lead actions'
+  );
+  const action = rows?.[0];
+  if (!action) return null;
+  const channel = normalizeRequestedChannel(action.channel) || 'call';
+  return insertCampaignLeadStep(db, campaignLead, {
+    step_index: Math.max(0, sequence.indexOf(channel)),
+    channel,
+    attempt: 1,
+    status: 'scheduled',
+    bob_action_id: action.id,
+  });
+}
+
+// Copies what happened to the step's action onto the step row: when it was
+// attempted, whether it reached the lead, and any reply or booking since.
+async function settleCampaignLeadStep(db: any, step: any, lead: any) {
+  if (step.status === 'skipped') return step;
+  const patch: JsonRecord = {};
+  const action = step.bob_action_id ? await loadBobAction(db, step.tenant_id, step.bob_action_id) : null;
+  if (!action) {
+    patch.status = 'skipped';
+    patch.skip_reason = 'Step action no longer exists';
+  } else if (step.status === 'scheduled' && ['completed', 'failed'].includes(action.status)) {
+    patch.status = action.status === 'failed' ? 'failed' : 'attempted';
+    patch.attempted_at = action.executed_at || action.updated_at || nowIso();
+  } else if (step.status === 'scheduled' && ['skipped', 'awaiting_human', 'paused'].includes(action.status)) {
+    patch.status = 'skipped';
+    patch.skip_reason = String(action.result?.skippedReason || action.result?.blockedReason || action.reason || action.status);
+  }
+  const attemptedAt = patch.attempted_at || step.attempted_at;
+  if (attemptedAt) {
+    if (!step.reached_at && campaignStepReached(action)) patch.reached_at = attemptedAt;
+    if (!step.replied_at && await hasLeadInboundReplyAfter(db, step.tenant_id, lead.id, attemptedAt)) patch.replied_at = nowIso();
+    if (!step.booked_at && leadIsBooked(lead)) patch.booked_at = nowIso();
+  }
+  if (!Object.keys(patch).length) return step;
+  await db.database.from('campaign_lead_steps').update(patch).eq('tenant_id', step.tenant_id).eq('id', step.id);
+  return { ...step, ...patch };
+}
+
+async function finishCampaignLead(db: any, campaignLead: any, status: string, currentStep: string, reason: string | null) {
+  const now = nowIso();
+  await db.database.from('campaign_leads').update({
+    status,
+    current_step: currentStep,
+    stop_reason: status === 'stopped' ? reason : null,
+    next_action_at: null,
+    completed_at: now,
+    updated_at: now,
+  }).eq('tenant_id', campaignLead.tenant_id).eq('id', campaignLead.id);
+  return { campaignLeadId: campaignLead.id, finished: true, status, currentStep, reason };
+}
+
+async function advanceCampaignLead(db: any, campaign: any, campaignLead: any) {
+  const sequence = campaignChannelSequence(campaign);
+  const retry = campaignRetryPolicy(campaign);
+  const tenantId = campaignLead.tenant_id;
+  const lead = await loadLead(db, tenantId, campaignLead.lead_id);
+  if (!lead) return finishCampaignLead(db, campaignLead, 'stopped', 'lead_missing', 'Lead not found');
+
+  let latest = await latestCampaignLeadStep(db, campaignLead) || await adoptCampaignLeadAction(db, campaignLead, sequence);
+  if (latest) latest = await settleCampaignLeadStep(db, latest, lead);
+
+  const stop = await campaignStopReason(db, campaign, campaignLead, lead);
+  if (stop) return finishCampaignLead(db, campaignLead, stop.status, `stopped_${stop.key}`, stop.reason);
+
+  // Give every attempt the retry delay to land (a reply, a call outcome)
+  // before retrying it or moving on, however the send itself was delayed.
+  const waitUntil = latest?.attempted_at ? addMinutes(new Date(latest.attempted_at), retry.retryDelayMinutes) : null;
+  if (lead.automation_paused || (waitUntil && waitUntil > new Date())) {
+    const nextActionAt = waitUntil && waitUntil > new Date() ? waitUntil : addMinutes(new Date(), retry.retryDelayMinutes);
+    await db.database.from('campaign_leads').update({ next_action_at: nextActionAt.toISOString(), updated_at: nowIso() }).eq('tenant_id', tenantId).eq('id', campaignLead.id);
+    return { campaignLeadId: campaignLead.id, waiting: true, nextActionAt: nextActionAt.toISOString(), reason: lead.automation_paused ? 'lead_automation_paused' : 'retry_delay' };
+  }
+
+  const retryable = latest && latest.status !== 'skipped' && !latest.reached_at && latest.attempt < retry.maxAttempts;
+  let stepIndex = !latest ? 0 : retryable ? latest.step_index : latest.step_index + 1;
+  let attempt = retryable ? latest.attempt + 1 : 1;
+  const skipped = [];
+  while (stepIndex < sequence.length) {
+    const channel = sequence[stepIndex];
+    const setup = await channelSetupStatus(db, tenantId, lead, channel);
+    if (!setup.allowed) {
+      await insertCampaignLeadStep(db, campaignLead, { step_index: stepIndex, channel, attempt, status: 'skipped', skip_reason: setup.reason });
+      skipped.push({ stepIndex, channel, reason: setup.reason });
+      stepIndex += 1;
+      attempt = 1;
+      continue;
+    }
+    if (!lead.assigned_tenant_agent_id && campaignLead.agent_id) {
+      await db.database.from('leads').update({ assigned_tenant_agent_id: campaignLead.agent_id, updated_at: nowIso() }).eq('tenant_id', tenantId).eq('id', lead.id);
+    }
+    const now = new Date();
+    const rows = await unwrap(
+      await db.database.from('bob_actions').insert([{
+        tenant_id: tenantId,
+        campaign_id: campaignLead.campaign_id,
+        campaign_lead_id: campaignLead.id,
+        lead_id: lead.id,
+        action_type: channelActionType(channel),
+        channel: actionChannel(channel),
+        status: actionStatusForChannel(channel),
+        reason: `Campaign step ${stepIndex + 1}/${sequence.length}: ${channel}${attempt > 1 ? ` (attempt ${attempt}/${retry.maxAttempts})` : ''}`,
+        scheduled_for: now.toISOString(),
+        payload: {
+          source: 'campaign_cadence',
+          cadence: { stepIndex, channel, attempt, steps: sequence.length },
+          campaignLeadId: campaignLead.id,
+          tenantAgentId: campaignLead.agent_id || lead.assigned_tenant_agent_id || campaign.agent_id || null,
+          contactPolicy: setup,
+          preferredContactChannel: leadPreferredContactChannel(lead),
+        },
+      }]).select(),
+      'Failed to create campaign step action'
+    );
+    const action = rows?.[0];
+    const step = await insertCampaignLeadStep(db, campaignLead, { step_index: stepIndex, channel, attempt, status: 'scheduled', bob_action_id: action?.id || null });
+    await db.database.from('campaign_leads').update({
+      status: 'running',
+      current_step: `step_${stepIndex + 1}_${channel}`,
+      sequence_step: stepIndex,
+      next_action_at: addMinutes(now, retry.retryDelayMinutes).toISOString(),
+      stop_reason: null,
+      updated_at: now.toISOString(),
+      metadata: {
+        ...(campaignLead.metadata || {}),
+        cadence: { startedAt: campaignLead.metadata?.cadence?.startedAt || now.toISOString(), lastStepId: step?.id || null },
+      },
+    }).eq('tenant_id', tenantId).eq('id', campaignLead.id);
+    return { campaignLeadId: campaignLead.id, scheduled: true, stepIndex, channel, attempt, actionId: action?.id || null, skipped };
+  }
+
+  const result = await finishCampaignLead(db, campaignLead, 'completed', 'cadence_finished', null);
+  return { ...result, skipped };
+}
+
+// Walks due leads of active campaigns through their channel sequence, then
+// marks campaigns with no lead left in flight as completed.
+async function runCampaignCadences(db: any, body: JsonRecord) {
   const tenantId = body.tenantId || body.tenant_id || null;
-  let query = db.database
-    .from('campaign_leads')
-    .select('*')
-    .eq('status', 'queued')
-    .lte('next_action_at', nowIso())
-    .limit(Number(body.limit || 3));
-  if (tenantId) query = query.eq('tenant_id', tenantId);
-  if (body.campaignId || body.campaign_id) query = query.eq('campaign_id', body.campaignId || body.campaign_id);
-  const campaignLeads = await unwrap(await query, 'Failed to load due campaign leads') || [];
+  let campaignQuery = db.database.from('campaigns').select('*').eq('status', 'ACTIVE').limit(500);
+  if (tenantId) campaignQuery = campaignQuery.eq('tenant_id', tenantId);
+  if (body.campaignId || body.campaign_id) campaignQuery = campaignQuery.eq('id', body.campaignId || body.campaign_id);
+  const campaigns = await unwrap(await campaignQuery, 'Failed to load active campaigns') || [];
+  if (!campaigns.length) return [];
+  const campaignById = new Map<string, any>(campaigns.map((campaign: any) => [campaign.id, campaign]));
+
+  const campaignLeads = await unwrap(
+    await db.database
+      .from('campaign_leads')
+      .select('*')
+      .in('campaign_id', [...campaignById.keys()])
+      .in('status', ['queued', 'running'])
+      .lte('next_action_at', nowIso())
+      .order('next_action_at', { ascending: true })
+      .limit(Number(body.cadenceLimit || body.limit || 3)),
+    'Failed to load due campaign leads'
+  ) || [];
   if (!campaignLeads.length) return [];
-  const ids = campaignLeads.map((row: any) => row.id);
-  let existingQuery = db.database.from('bob_actions').select('campaign_lead_id').in('campaign_lead_id', ids).in('status', ['pending', 'awaiting_call', 'calling']);
-  if (tenantId) existingQuery = existingQuery.eq('tenant_id', tenantId);
-  const existing = await unwrap(await existingQuery, 'Failed to inspect existing campaign actions') || [];
-  const existingIds = new Set(existing.map((row: any) => row.campaign_lead_id));
-  const rows = [];
+  const open = await unwrap(
+    await db.database
+      .from('bob_actions')
+      .select('campaign_lead_id')
+      .in('campaign_lead_id', campaignLeads.map((row: any) => row.id))
+      .in('status', ['pending', 'awaiting_call', 'calling']),
+    'Failed to inspect open campaign actions'
+  ) || [];
+  const openIds = new Set(open.map((row: any) => row.campaign_lead_id));
+
+  const results = [];
+  const touchedCampaignIds = new Set<string>();
   for (const campaignLead of campaignLeads) {
-    if (existingIds.has(campaignLead.id)) continue;
-    const rowTenantId = campaignLead.tenant_id;
-    const lead = await loadLead(db, rowTenantId, campaignLead.lead_id);
-    if (!lead) continue;
-    const callPolicy = leadAllowsChannel(lead, 'call');
-    const emailPolicy = leadAllowsChannel(lead, 'email');
-    if (!lead.assigned_tenant_agent_id && campaignLead.agent_id) {
-      await db.database.from('leads').update({ assigned_tenant_agent_id: campaignLead.agent_id, updated_at: nowIso() }).eq('tenant_id', rowTenantId).eq('id', lead.id);
+    if (openIds.has(campaignLead.id)) continue;
+    try {
+      const result: JsonRecord = await advanceCampaignLead(db, campaignById.get(campaignLead.campaign_id), campaignLead);
+      if (result.finished) touchedCampaignIds.add(campaignLead.campaign_id);
+      results.push({ ...result, success: true });
+    } catch (error: any) {
+      results.push({ campaignLeadId: campaignLead.id, success: false, error: String(error?.message || 'Campaign cadence failed') });
     }
-    const smsPolicy = leadAllowsChannel(lead, 'sms');
-    const useEmail = emailPolicy.allowed;
-    const useCall = !useEmail && callPolicy.allowed;
-    const useSms = !useEmail && !useCall && smsPolicy.allowed;
-    const selectedPolicy = useEmail ? emailPolicy : useCall ? callPolicy : smsPolicy;
-    rows.push({
-      tenant_id: rowTenantId,
-      campaign_id: campaignLead.campaign_id,
-      campaign_lead_id: campaignLead.id,
-      lead_id: lead.id,
-      action_type: useEmail ? 'send_email' : useCall ? 'queue_call_attempt' : 'send_sms',
-      channel: useEmail ? 'email' : useCall ? 'phone' : 'sms',
-      status: useCall ? 'awaiting_call' : ((useEmail || useSms) ? 'pending' : 'awaiting_human'),
-      reason: useEmail ? 'Campaign first step: email first-touch before any call' : useCall ? 'Campaign fallback: call because email is unavailable' : (useSms ? 'Campaign fallback: SMS' : callPolicy.reason),
-      scheduled_for: nowIso(),
-      payload: {
-        source: 'campaign_tick',
-        firstTouch: useEmail,
-        emailFirstPolicy: useEmail ? { callAfterHours: 2, callOnlyIfNoReply: true } : null,
-        campaignLeadId: campaignLead.id,
-        tenantAgentId: campaignLead.agent_id || lead.assigned_tenant_agent_id || null,
-        contactPolicy: selectedPolicy,
-        preferredContactChannel: leadPreferredContactChannel(lead),
-      },
-    });
   }
-  if (!rows.length) return [];
-  return await unwrap(await db.database.from('bob_actions').insert(rows).select(), 'Failed to create campaign Bob actions') || [];
+
+  for (const campaignId of touchedCampaignIds) {
+    const campaign = campaignById.get(campaignId);
+    const remaining = await unwrap(
+      await db.database.from('campaign_leads').select('id').eq('tenant_id', campaign.tenant_id).eq('campaign_id', campaignId).in('status', ['queued', 'running', 'paused']).limit(1),
+      'Failed to inspect remaining campaign leads'
+    );
+    if (!remaining?.length) {
+      await db.database.from('campaigns').update({ status: 'COMPLETED', completed_at: nowIso(), updated_at: nowIso() }).eq('tenant_id', campaign.tenant_id).eq('id', campaignId).eq('status', 'ACTIVE');
+    }
+  }
+  return results;
 }
 
-async function sendQueuedSmsActions(db: any, body: JsonRecord) {
+async function sendQueuedSmsActions(db: any, body: JsonRecord, tenantHolidays = tenantHolidayLoader(db)) {
   let query = db.database
     .from('bob_actions')
     .select('*')
@@ -2705,8 +3816,14 @@ async function sendQueuedSmsActions(db: any, body: JsonRecord) {
         continue;
       }
       const tenant = await loadTenant(db, tenantId);
+      const lifecycleRules = await loadEffectiveLifecycleRules(db, tenantId);
+      const deferred = await deferActionOutsideContactWindow(db, { action, tenant, lead, channel: 'sms', rules: lifecycleRules, holidays: await tenantHolidays(tenantId) });
+      if (deferred) {
+        results.push(deferred);
+        continue;
+      }
       const agent = await resolveEmailTenantAgent(db, tenantId, lead, action.payload?.tenantAgentId || action.payload?.tenant_agent_id || lead.assigned_tenant_agent_id);
-      const rules = isNurtureAction(action) ? await loadEffectiveLifecycleRules(db, tenantId) : null;
+      const rules = isNurtureAction(action) ? lifecycleRules : null;
       const explicitMessage = String(action.payload?.message || action.payload?.body || '').trim();
       let message = explicitMessage || defaultCampaignSmsBody({ tenant, agent, lead });
       let generation: JsonRecord | null = null;
@@ -2733,7 +3850,7 @@ async function sendQueuedSmsActions(db: any, body: JsonRecord) {
       });
 
       const nextNurture = isNurtureAction(action)
-        ? await safeScheduleNextNurtureCheckup(db, { tenantId, lead, action, rules: rules || await loadEffectiveLifecycleRules(db, tenantId), sentChannel: 'sms' })
+        ? await safeScheduleNextNurtureCheckup(db, { tenantId, lead, action, rules: rules || lifecycleRules, sentChannel: 'sms' })
         : { action: null, error: null };
       await db.database.from('bob_actions').update({
         status: 'completed',
@@ -2765,9 +3882,8 @@ async function sendQueuedSmsActions(db: any, body: JsonRecord) {
       }).eq('id', action.id).eq('tenant_id', action.tenant_id);
       if (action.campaign_lead_id) {
         await db.database.from('campaign_leads').update({
-          status: 'failed',
+          ...campaignLeadFailurePatch(action, String(error?.message || 'Queued SMS failed')),
           current_step: 'sms_failed',
-          stop_reason: String(error?.message || 'Queued SMS failed'),
           updated_at: nowIso(),
         }).eq('tenant_id', action.tenant_id).eq('id', action.campaign_lead_id);
       }
@@ -2777,7 +3893,7 @@ async function sendQueuedSmsActions(db: any, body: JsonRecord) {
   return results;
 }
 
-async function sendQueuedWhatsappActions(db: any, body: JsonRecord) {
+async function sendQueuedWhatsappActions(db: any, body: JsonRecord, tenantHolidays = tenantHolidayLoader(db)) {
   let query = db.database
     .from('bob_actions')
     .select('*')
@@ -2803,8 +3919,14 @@ async function sendQueuedWhatsappActions(db: any, body: JsonRecord) {
         continue;
       }
       const tenant = await loadTenant(db, tenantId);
+      const lifecycleRules = await loadEffectiveLifecycleRules(db, tenantId);
+      const deferred = await deferActionOutsideContactWindow(db, { action, tenant, lead, channel: 'whatsapp', rules: lifecycleRules, holidays: await tenantHolidays(tenantId) });
+      if (deferred) {
+        results.push(deferred);
+        continue;
+      }
       const agent = await resolveEmailTenantAgent(db, tenantId, lead, action.payload?.tenantAgentId || action.payload?.tenant_agent_id || lead.assigned_tenant_agent_id);
-      const rules = isNurtureAction(action) ? await loadEffectiveLifecycleRules(db, tenantId) : null;
+      const rules = isNurtureAction(action) ? lifecycleRules : null;
       const explicitMessage = String(action.payload?.message || action.payload?.body || '').trim();
       let message = explicitMessage || defaultCampaignSmsBody({ tenant, agent, lead });
       let generation: JsonRecord | null = null;
@@ -2831,7 +3953,7 @@ async function sendQueuedWhatsappActions(db: any, body: JsonRecord) {
       });
 
       const nextNurture = isNurtureAction(action)
-        ? await safeScheduleNextNurtureCheckup(db, { tenantId, lead, action, rules: rules || await loadEffectiveLifecycleRules(db, tenantId), sentChannel: 'whatsapp' })
+        ? await safeScheduleNextNurtureCheckup(db, { tenantId, lead, action, rules: rules || lifecycleRules, sentChannel: 'whatsapp' })
         : { action: null, error: null };
       await db.database.from('bob_actions').update({
         status: 'completed',
@@ -2863,9 +3985,8 @@ async function sendQueuedWhatsappActions(db: any, body: JsonRecord) {
       }).eq('id', action.id).eq('tenant_id', action.tenant_id);
       if (action.campaign_lead_id) {
         await db.database.from('campaign_leads').update({
-          status: 'failed',
+          ...campaignLeadFailurePatch(action, String(error?.message || 'Queued WhatsApp failed')),
           current_step: 'whatsapp_failed',
-          stop_reason: String(error?.message || 'Queued WhatsApp failed'),
           updated_at: nowIso(),
         }).eq('tenant_id', action.tenant_id).eq('id', action.campaign_lead_id);
       }
@@ -2875,7 +3996,7 @@ async function sendQueuedWhatsappActions(db: any, body: JsonRecord) {
   return results;
 }
 
-async function sendQueuedEmailActions(db: any, body: JsonRecord) {
+async function sendQueuedEmailActions(db: any, body: JsonRecord, tenantHolidays = tenantHolidayLoader(db)) {
   let query = db.database
     .from('bob_actions')
     .select('*')
@@ -2890,7 +4011,7 @@ async function sendQueuedEmailActions(db: any, body: JsonRecord) {
   if (body.campaignId || body.campaign_id) query = query.eq('campaign_id', body.campaignId || body.campaign_id);
 
   const actions = await unwrap(await query, 'Failed to load queued email actions');
-  const results = [];
+  const results: JsonRecord[] = [];
   for (const action of actions || []) {
     try {
       const tenantId = action.tenant_id;
@@ -2901,8 +4022,13 @@ async function sendQueuedEmailActions(db: any, body: JsonRecord) {
         continue;
       }
       const tenant = await loadTenant(db, tenantId);
-      const agent = await loadTenantAgent(db, tenantId, action.payload?.tenantAgentId || action.payload?.tenant_agent_id || lead.assigned_tenant_agent_id);
       const lifecycleRules = await loadEffectiveLifecycleRules(db, tenantId);
+      const deferred = await deferActionOutsideContactWindow(db, { action, tenant, lead, channel: 'email', rules: lifecycleRules, holidays: await tenantHolidays(tenantId) });
+      if (deferred) {
+        results.push(deferred);
+        continue;
+      }
+      const agent = await loadTenantAgent(db, tenantId, action.payload?.tenantAgentId || action.payload?.tenant_agent_id || lead.assigned_tenant_agent_id);
       const rules = isNurtureAction(action) ? lifecycleRules : null;
       const message = String(action.payload?.message || action.payload?.body || '').trim()
         || (isNurtureAction(action)
@@ -2932,9 +4058,11 @@ async function sendQueuedEmailActions(db: any, body: JsonRecord) {
         ? await safeScheduleNextNurtureCheckup(db, { tenantId, lead, action, rules: rules || lifecycleRules, sentChannel: 'email' })
         : { action: null, error: null };
       const emailSentAt = nowIso();
-      const emailFirstFallback = !isNurtureAction(action)
-        ? await safeScheduleEmailFirstCallFallback(db, { tenantId, tenant, lead, action, agent, rules: lifecycleRules, sentAt: emailSentAt })
-        : { action: null, skipped: true, reason: 'nurture_action' };
+      const emailFirstFallback = isNurtureAction(action)
+        ? { action: null, skipped: true, reason: 'nurture_action' }
+        : isCampaignCadenceAction(action)
+          ? { action: null, skipped: true, reason: 'campaign_cadence_action' }
+          : await safeScheduleEmailFirstCallFallback(db, { tenantId, tenant, lead, action, agent, rules: lifecycleRules, sentAt: emailSentAt });
       await db.database.from('bob_actions').update({
         status: 'completed',
         executed_at: emailSentAt,
@@ -2969,9 +4097,8 @@ async function sendQueuedEmailActions(db: any, body: JsonRecord) {
       }).eq('id', action.id).eq('tenant_id', action.tenant_id);
       if (action.campaign_lead_id) {
         await db.database.from('campaign_leads').update({
-          status: 'failed',
+          ...campaignLeadFailurePatch(action, String(error?.message || 'Queued email failed')),
           current_step: 'email_failed',
-          stop_reason: String(error?.message || 'Queued email failed'),
           updated_at: nowIso(),
         }).eq('tenant_id', action.tenant_id).eq('id', action.campaign_lead_id);
       }
@@ -3005,8 +4132,8 @@ function voiceLifecycleOutcomeFromAction(action: JsonRecord) {
     metadata.machineDetection,
     metadata.machine_detection
   );
-  if (machineSignal && /voice\s*mail|voicemail|answering.?machine|machine/i.test(String(machineSignal))) {
-    return 'voicemail_left';
+  if (machineSignal && /voice\s*mail|voicemail|answering.?machine|machine|fax/i.test(String(machineSignal))) {
+    return result.voicemailDropped === false ? 'no_answer' : 'voicemail_left';
   }
   if (result.interrupted || payload.interrupted || metadata.interrupted) return 'interrupted';
   if (explicitOutcome) return normalizeLifecycleOutcome(explicitOutcome);
@@ -3044,7 +4171,7 @@ async function markVoiceLifecycleRecovery(db: any, action: JsonRecord, patch: Js
   }).eq('tenant_id', action.tenant_id).eq('id', action.id);
 }
 
-async function processVoiceLifecycleRecoveries(db: any, body: JsonRecord) {
+async function processVoiceLifecycleRecoveries(db: any, body: JsonRecord, tenantHolidays = tenantHolidayLoader(db)) {
   let query = db.database
     .from('bob_actions')
     .select('*')
@@ -3104,7 +4231,7 @@ async function processVoiceLifecycleRecoveries(db: any, body: JsonRecord) {
           campaignId: action.campaign_id || null,
           campaignLeadId: action.campaign_lead_id || null,
         },
-      });
+      }, tenantHolidays);
       processedLeadKeys.add(leadKey);
       await markVoiceLifecycleRecovery(db, action, {
         skipped: false,
@@ -3121,12 +4248,63 @@ async function processVoiceLifecycleRecoveries(db: any, body: JsonRecord) {
   return results;
 }
 
-async function startQueuedCalls(db: any, body: JsonRecord) {
-  await ensureCampaignCallActions(db, body);
-  const voiceLifecycleResults = await processVoiceLifecycleRecoveries(db, body);
-  const emailResults = await sendQueuedEmailActions(db, body);
-  const smsResults = await sendQueuedSmsActions(db, body);
-  const whatsappResults = await sendQueuedWhatsappActions(db, body);
+// Playbook runs whose wait has ended go back through the evaluator with the
+// last recorded outcome. Each run is claimed first so overlapping ticks do not
+// advance it twice.
+async function processDuePlaybookRuns(db: any, body: JsonRecord, tenantHolidays = tenantHolidayLoader(db)) {
+  let query = db.database
+    .from('lead_playbook_runs')
+    .select('*')
+    .eq('status', 'waiting')
+    .lte('resume_at', nowIso())
+    .order('resume_at', { ascending: true })
+    .limit(Number(body.playbookLimit || body.limit || 10));
+  if (body.tenantId || body.tenant_id) query = query.eq('tenant_id', body.tenantId || body.tenant_id);
+  if (body.leadId || body.lead_id) query = query.eq('lead_id', body.leadId || body.lead_id);
+
+  const runs = await unwrap(await query, 'Failed to load due playbook runs') || [];
+  const results = [];
+  for (const run of runs) {
+    const claimed = await unwrap(
+      await db.database
+        .from('lead_playbook_runs')
+        .update({ status: 'running', updated_at: nowIso() })
+        .eq('id', run.id)
+        .eq('status', 'waiting')
+        .select('id'),
+      'Failed to claim playbook run'
+    );
+    if (!claimed?.length) {
+      results.push({ runId: run.id, skipped: true, reason: 'claimed_by_another_tick' });
+      continue;
+    }
+    try {
+      const evaluation = await evaluateLeadLifecycle(db, {
+        tenantId: run.tenant_id,
+        leadId: run.lead_id,
+        outcome: run.context?.outcome || 'answered',
+        detectedIntent: run.context?.intent || null,
+        sourceChannel: 'system',
+        playbookRunId: run.id,
+        metadata: { source: 'playbook_resume', playbookRunId: run.id, resumeAt: run.resume_at },
+      }, tenantHolidays);
+      results.push({ runId: run.id, success: true, evaluation });
+    } catch (error) {
+      await db.database.from('lead_playbook_runs').update({ status: 'waiting', updated_at: nowIso() }).eq('id', run.id).eq('status', 'running');
+      results.push({ runId: run.id, success: false, error: String(error?.message || 'Playbook resume failed') });
+    }
+  }
+  return results;
+}
+
+export async function startQueuedCalls(db: any, body: JsonRecord) {
+  const tenantHolidays = tenantHolidayLoader(db);
+  const cadenceResults = await runCampaignCadences(db, body);
+  const voiceLifecycleResults = await processVoiceLifecycleRecoveries(db, body, tenantHolidays);
+  const playbookResults = await processDuePlaybookRuns(db, body, tenantHolidays);
+  const emailResults = await sendQueuedEmailActions(db, body, tenantHolidays);
+  const smsResults = await sendQueuedSmsActions(db, body, tenantHolidays);
+  const whatsappResults = await sendQueuedWhatsappActions(db, body, tenantHolidays);
   let query = db.database
     .from('bob_actions')
     .select('*')
@@ -3237,35 +4415,9 @@ async function startQueuedCalls(db: any, body: JsonRecord) {
       }
       const tenant = await loadTenant(db, action.tenant_id);
       if (!tenant?.id) throw new Error('Tenant was not found for queued call');
-      const hours = businessHoursStatus(tenant);
-      if (!hours.allowed) {
-        const reason = businessHoursBlockedMessage(hours);
-        await db.database.from('bob_actions').update({
-          status: 'awaiting_call',
-          scheduled_for: hours.nextAllowedAt,
-          reason,
-          updated_at: nowIso(),
-          result: {
-            ...(action.result || {}),
-            deferredReason: 'outside_business_hours',
-            tenantTimezone: hours.timeZone,
-            nextAllowedAt: hours.nextAllowedAt,
-            businessHours: {
-              start: hours.start.label,
-              end: hours.end.label,
-            },
-          },
-        }).eq('id', action.id).eq('tenant_id', action.tenant_id);
-        if (action.campaign_lead_id) {
-          await db.database.from('campaign_leads').update({
-            status: 'queued',
-            current_step: 'call_deferred_until_business_hours',
-            next_action_at: hours.nextAllowedAt,
-            stop_reason: null,
-            updated_at: nowIso(),
-          }).eq('tenant_id', action.tenant_id).eq('id', action.campaign_lead_id);
-        }
-        results.push({ actionId: action.id, success: true, deferred: true, nextAllowedAt: hours.nextAllowedAt, reason });
+      const deferred = await deferActionOutsideContactWindow(db, { action, tenant, lead, channel: 'call', rules: lifecycleRules, holidays: await tenantHolidays(action.tenant_id) });
+      if (deferred) {
+        results.push(deferred);
         continue;
       }
       const call = await launchVoiceCall(db, {
@@ -3288,13 +4440,13 @@ async function startQueuedCalls(db: any, body: JsonRecord) {
         result: { error: String(error?.message || 'Queued call failed') },
       }).eq('id', action.id).eq('tenant_id', action.tenant_id);
       if (action.campaign_lead_id) {
-        await db.database.from('campaign_leads').update({ status: 'failed', current_step: 'call_failed', stop_reason: String(error?.message || 'Queued call failed'), updated_at: nowIso() }).eq('tenant_id', action.tenant_id).eq('id', action.campaign_lead_id);
+        await db.database.from('campaign_leads').update({ ...campaignLeadFailurePatch(action, String(error?.message || 'Queued call failed')), current_step: 'call_failed', updated_at: nowIso() }).eq('tenant_id', action.tenant_id).eq('id', action.campaign_lead_id);
       }
       results.push({ actionId: action.id, success: false, error: String(error?.message || 'Queued call failed') });
     }
   }
-  const convertedEmailResults = await sendQueuedEmailActions(db, body);
-  return { voiceResults: results, voiceLifecycleResults, smsResults, whatsappResults, emailResults: [...emailResults, ...convertedEmailResults] };
+  const convertedEmailResults = await sendQueuedEmailActions(db, body, tenantHolidays);
+  return { voiceResults: results, cadenceResults, voiceLifecycleResults, playbookResults, smsResults, whatsappResults, emailResults: [...emailResults, ...convertedEmailResults] };
 }
 
 async function createFunctionTestLead(db: any, body: any) {
@@ -3362,11 +4514,12 @@ export default async function(req: Request): Promise<Response> {
     }
 
     if (action === 'evaluate-lifecycle') {
+      if (body.dryRun || body.dry_run) return jsonResponse({ success: true, ...(await simulateLeadLifecycle(db, body)) });
       return jsonResponse({ success: true, ...(await evaluateLeadLifecycle(db, body)) });
     }
 
     if (action === 'tick' || action === 'start-calls') {
-      const { voiceResults, voiceLifecycleResults, smsResults, whatsappResults, emailResults } = await startQueuedCalls(db, body);
+      const { voiceResults, voiceLifecycleResults, playbookResults, smsResults, whatsappResults, emailResults } = await startQueuedCalls(db, body);
       if (body.leadId || body.lead_id) {
         const tenantId = requiredTenantId(body);
         const leadId = body.leadId || body.lead_id;
@@ -3377,6 +4530,7 @@ export default async function(req: Request): Promise<Response> {
             mode: 'function_tick',
             voice: { started: voiceResults.filter((row) => row.success).length, results: voiceResults },
             voiceLifecycle: { evaluated: voiceLifecycleResults.filter((row) => row.success).length, results: voiceLifecycleResults },
+            playbooks: { resumed: playbookResults.filter((row) => row.success).length, results: playbookResults },
             sms: { sent: smsResults.filter((row) => row.success).length, results: smsResults },
             whatsapp: { sent: whatsappResults.filter((row) => row.success).length, results: whatsappResults },
             email: { sent: emailResults.filter((row) => row.success && row.email).length, results: emailResults },
@@ -3384,7 +4538,7 @@ export default async function(req: Request): Promise<Response> {
           status: await getBobRunStatus(db, tenantId, leadId, body.conversationId || body.conversation_id),
         });
       }
-      return jsonResponse({ success: true, queued: await inspectQueuedBobActions(db), voice: { results: voiceResults }, voiceLifecycle: { results: voiceLifecycleResults }, sms: { results: smsResults }, whatsapp: { results: whatsappResults }, email: { results: emailResults }, mode: 'function_tick' });
+      return jsonResponse({ success: true, queued: await inspectQueuedBobActions(db), voice: { results: voiceResults }, voiceLifecycle: { results: voiceLifecycleResults }, playbooks: { results: playbookResults }, sms: { results: smsResults }, whatsapp: { results: whatsappResults }, email: { results: emailResults }, mode: 'function_tick' });
     }
 
     if (action === 'test-lead') {
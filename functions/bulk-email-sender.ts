@@ -89,17 +89,111 @@ async function resolveTenantContext(token: string, requestedTenantId?: string):
   return { tenantId: String(data[0].tenant_id), userId: String(userId) };
 }
 
-// Helper to substitute placeholders
-function substitutePlaceholders(template: string, values: Record<string, string>): string {
-  if (!template) return '';
-  const leadName = values.leadName || 'Friend';
-  return template
-    .replace(/{lead_name}/g, leadName)
-    .replace(/{leadName}/g, leadName)
-    .replace(/{name}/g, leadName)
-    .replace(/{sender_name}/g, values.senderName || '')
-    .replace(/{sender_email}/g, values.senderEmail || '')
-    .replace(/{company_name}/g, values.companyName || values.senderName || 'SetMyMeet');
+// Merge fields. Copied from frontend/lib/bulk-email-templates.js; keep in
+// sync. {field}, {{field}} and {field|fallback} are accepted, and
+// create-campaign rejects fields no recipient can fill.
+const BUILT_IN_MERGE_FIELDS = ['lead_name', 'first_name', 'email', 'sender_name', 'sender_email', 'company_name', 'unsubscribe_url'];
+const SYSTEM_MERGE_FIELDS = ['sender_name', 'sender_email', 'company_name', 'unsubscribe_url'];
+const MERGE_FIELD_ALIASES: Record<string, string> = { name: 'lead_name' };
+const MERGE_TOKEN = /\{\{?\s*([A-Za-z][A-Za-z0-9_]*)\s*(?:\|([^{}]*))?\}\}?/g;
+
+function normalizeMergeKey(key: unknown) {
+  const normalized = String(key || '')
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return MERGE_FIELD_ALIASES[normalized] || normalized;
+}
+
+function extractMergeFields(...texts: unknown[]) {
+  const fields = new Map<string, { key: string; fallback: string }>();
+  for (const text of texts.flat()) {
+    for (const match of String(text || '').matchAll(MERGE_TOKEN)) {
+      const key = normalizeMergeKey(match[1]);
+      const fallback = match[2] === undefined ? '' : match[2].trim();
+      const existing = fields.get(key);
+      if (!existing) fields.set(key, { key, fallback });
+      else if (!existing.fallback && fallback) existing.fallback = fallback;
+    }
+  }
+  return [...fields.values()];
+}
+
+function normalizeMergeFallbacks(fallbacks: unknown): Record<string, string> {
+  return Object.fromEntries(
+    Object.entries(fallbacks && typeof fallbacks === 'object' ? fallbacks as Record<string, unknown> : {})
+      .map(([key, value]) => [normalizeMergeKey(key), String(value ?? '').trim()])
+      .filter(([key, value]) => key && value)
+  );
+}
+
+function recipientMergeValues(recipient: any, sender: {
+  senderName?: string;
+  senderEmail?: string;
+  companyName?: string;
+  unsubscribeUrl?: string;
+} = {}) {
+  const values: Record<string, string> = {};
+  for (const [key, value] of Object.entries(recipient?.customFields || recipient?.custom_fields || {})) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    const normalized = normalizeMergeKey(key);
+    if (normalized && text) values[normalized] = text;
+  }
+  const leadName = String(recipient?.name || '').trim()
+    || values.lead_name
+    || values.full_name
+    || [values.first_name, values.last_name].filter(Boolean).join(' ');
+  if (leadName) values.lead_name = leadName;
+  if (!values.first_name && leadName) values.first_name = leadName.split(/\s+/)[0];
+  if (recipient?.email) values.email = String(recipient.email).trim();
+  values.sender_name = sender.senderName || '';
+  values.sender_email = sender.senderEmail || '';
+  values.company_name = sender.companyName || sender.senderName || 'SetMyMeet';
+  values.unsubscribe_url = sender.unsubscribeUrl || '';
+  return values;
+}
+
+function renderMergeFields(template: string, values: Record<string, string>, options: { fallbacks?: unknown; escape?: boolean } = {}) {
+  const defaults = normalizeMergeFallbacks(options.fallbacks);
+  return String(template || '').replace(MERGE_TOKEN, (_token, rawKey, inline) => {
+    const key = normalizeMergeKey(rawKey);
+    const value = String(values[key] ?? '').trim();
+    if (value) return options.escape ? escapeHtml(value) : value;
+    if (inline !== undefined && inline.trim()) return inline.trim();
+    return options.escape ? escapeHtml(defaults[key] || '') : defaults[key] || '';
+  });
+}
+
+function validateMergeFields(texts: unknown[], options: { recipients?: any[]; fallbacks?: unknown } = {}) {
+  const recipients = options.recipients || [];
+  const fields = extractMergeFields(texts);
+  const defaults = normalizeMergeFallbacks(options.fallbacks);
+  const known = new Set(BUILT_IN_MERGE_FIELDS);
+  const recipientValues = recipients.map((recipient) => recipientMergeValues(recipient));
+  for (const recipient of recipients) {
+    Object.keys(recipient?.customFields || recipient?.custom_fields || {}).forEach((key) => known.add(normalizeMergeKey(key)));
+  }
+
+  const unknown = fields.filter((field) => !known.has(field.key)).map((field) => field.key);
+  const missing = fields
+    .filter((field) => known.has(field.key) && !SYSTEM_MERGE_FIELDS.includes(field.key) && !field.fallback && !defaults[field.key])
+    .map((field) => ({ key: field.key, count: recipientValues.filter((values) => !values[field.key]).length }))
+    .filter((row) => row.count > 0);
+
+  return { fields, unknown, missing, valid: unknown.length === 0 && missing.length === 0 };
+}
+
+function describeMergeFieldProblems(result: ReturnType<typeof validateMergeFields>) {
+  const problems: string[] = [];
+  if (result.unknown.length) {
+    problems.push(`Unknown merge field${result.unknown.length === 1 ? '' : 's'}: ${result.unknown.map((key) => `{${key}}`).join(', ')}.`);
+  }
+  for (const row of result.missing) {
+    problems.push(`${row.count} recipient${row.count === 1 ? ' has' : 's have'} no value for {${row.key}}; add a fallback.`);
+  }
+  return problems.join(' ');
 }
 
 function escapeHtml(value: string) {
@@ -163,52 +257,1075 @@ function leadNameFromRecipient(recipient: any) {
   );
 }
 
-export default async function(req: Request): Promise<Response> {
-  if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+// A/B test rules. Copied from frontend/lib/bulk-email-ab-test.js; keep in sync.
+const AB_TEST_VARIANT_LABELS = ['A', 'B', 'C', 'D'];
 
-  const url = new URL(req.url);
-  const action = url.searchParams.get('action') || 'health';
-  // Extract Bearer token upfront; webhook handler doesn't have one
-  const authHeader = req.headers.get('authorization') || '';
-  const userToken = bearerToken(authHeader) || undefined;
+function clampNumber(value: unknown, min: number, max: number, fallback: number) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(Math.max(Math.round(number), min), max);
+}
 
-  if (action === 'health') {
-    return jsonResponse({
-      success: true,
-      service: 'bulk-email-sender',
-      actions: ['create-campaign', 'tick', 'pause-campaign', 'resume-campaign', 'cancel-campaign', 'resend-webhook'],
+function normalizeAbTestSettings(settings: any = {}) {
+  return {
+    testPercent: clampNumber(settings?.testPercent, 5, 50, 20),
+    waitMinutes: clampNumber(settings?.waitMinutes, 15, 4320, 240),
+    winnerMetric: settings?.winnerMetric === 'click' ? 'click' : 'open',
+  };
+}
+
+function abTestSliceSize(recipientCount: number, variantCount: number, testPercent: number) {
+  const count = Math.max(Number(recipientCount) || 0, 0);
+  const wanted = Math.ceil((count * normalizeAbTestSettings({ testPercent }).testPercent) / 100);
+  return Math.min(count, Math.max(wanted, variantCount));
+}
+
+function variantRates(variant: any = {}) {
+  const reached = Math.max(Number(variant.sent_count || 0) - Number(variant.failed_count || 0), 0);
+  const rate = (count: unknown) => (reached ? Number(count || 0) / reached : 0);
+  return { reached, openRate: rate(variant.opened_count), clickRate: rate(variant.clicked_count) };
+}
+
+function pickAbTestWinner(variants: any[], winnerMetric: string) {
+  if (!variants.length) return { variant: null, tie: false };
+  const primary = winnerMetric === 'click' ? 'clickRate' : 'openRate';
+  const secondary = primary === 'clickRate' ? 'openRate' : 'clickRate';
+  const ranked = variants
+    .map((variant) => ({ variant, rates: variantRates(variant) as Record<string, number> }))
+    .sort((left, right) => right.rates[primary] - left.rates[primary]
+      || right.rates[secondary] - left.rates[secondary]
+      || String(left.variant.label).localeCompare(String(right.variant.label)));
+  const [first, second] = ranked;
+  return {
+    variant: first.variant,
+    tie: Boolean(second && second.rates[primary] === first.rates[primary] && second.rates[secondary] === first.rates[secondary]),
+  };
+}
+
+function shuffled<T>(items: T[]) {
+  const copy = [...items];
+  const random = new Uint32Array(copy.length);
+  crypto.getRandomValues(random);
+  for (let index = copy.length - 1; index > 0; index -= 1) {
+    const swap = random[index] % (index + 1);
+    [copy[index], copy[swap]] = [copy[swap], copy[index]];
+  }
+  return copy;
+}
+
+// Recounts a campaign and its variants from the recipient rows. Opens and
+// clicks only arrive through the Resend webhook, so both callers use this.
+async function refreshCampaignCounts(client: any, campaignId: string) {
+  const { data } = await client.database
+    .from('tenant_bulk_email_recipients')
+    .select('status, variant_id, ab_group, opened_at, clicked_at, unsubscribed_at')
+    .eq('campaign_id', campaignId);
+
+  const rows = data || [];
+  const countsFor = (items: any[]) => ({
+    sent_count: items.filter((row) => !['pending', 'sending', 'suppressed'].includes(row.status)).length,
+    delivered_count: items.filter((row) => row.status === 'delivered').length,
+    failed_count: items.filter((row) => ['failed', 'bounced'].includes(row.status)).length,
+    opened_count: items.filter((row) => row.opened_at).length,
+    clicked_count: items.filter((row) => row.clicked_at).length,
+  });
+
+  // Variant stats cover the test slice only. The remainder is sent the
+  // winner afterwards, and counting it would make the winner look better
+  // than the variants it was compared against.
+  const testRows = rows.filter((row: any) => row.ab_group === 'test');
+  const variantIds = [...new Set(testRows.map((row: any) => row.variant_id).filter(Boolean))] as string[];
+  for (const variantId of variantIds) {
+    await client.database
+      .from('tenant_bulk_email_variants')
+      .update(countsFor(testRows.filter((row: any) => row.variant_id === variantId)))
+      .eq('id', variantId);
+  }
+
+  return {
+    ...countsFor(rows),
+    suppressed_count: rows.filter((row: any) => row.status === 'suppressed').length,
+    unsubscribed_count: rows.filter((row: any) => row.unsubscribed_at).length,
+    pending_count: rows.filter((row: any) => ['pending', 'sending'].includes(row.status)).length,
+  };
+}
+
+// Scheduling and throttling rules. Copied from frontend/lib/bulk-email-schedule.js; keep in sync.
+const WARMUP_DAILY_LIMITS = [50, 100, 200, 300, 500, 750, 1000, 1500, 1500, 2000, 2000, 3000, 3000, 5000];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECIPIENT_CLAIM_STALE_MS = 10 * 60 * 1000;
+const SCHEDULER_BUDGET_MS = 45000;
+const SCHEDULER_BATCHES_PER_CAMPAIGN = 4;
+
+function normalizedTimeZone(value: unknown) {
+  const timeZone = String(value || 'UTC').trim() || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+    return timeZone;
+  } catch {
+    return 'UTC';
+  }
+}
+
+function timeZoneParts(date: Date, timeZone: string) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour12: false,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const values: Record<string, number> = Object.fromEntries(parts.filter((part) => part.type !== 'literal').map((part) => [part.type, Number(part.value)]));
+  return { ...values, hour: values.hour === 24 ? 0 : values.hour };
+}
+
+function timeZoneOffsetMs(date: Date, timeZone: string) {
+  const parts: Record<string, number> = timeZoneParts(date, timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - date.getTime();
+}
+
+function scheduledTimeToUtc(value: unknown, timeZone: string) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/);
+  if (!match) return null;
+  const zone = normalizedTimeZone(timeZone);
+  const localAsUtc = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]));
+  let utc = new Date(localAsUtc - timeZoneOffsetMs(new Date(localAsUtc), zone));
+  utc = new Date(localAsUtc - timeZoneOffsetMs(utc, zone));
+  return utc;
+}
+
+function startOfZonedDay(date: Date, timeZone: string) {
+  const zone = normalizedTimeZone(timeZone);
+  const parts: Record<string, number> = timeZoneParts(date, zone);
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return scheduledTimeToUtc(`${parts.year}-${pad(parts.month)}-${pad(parts.day)}T00:00`, zone) as Date;
+}
+
+function warmupDailyLimit(verifiedAt: unknown, now = new Date()) {
+  if (!verifiedAt) return null;
+  const day = Math.floor((now.getTime() - new Date(String(verifiedAt)).getTime()) / DAY_MS);
+  if (!Number.isFinite(day) || day >= WARMUP_DAILY_LIMITS.length) return null;
+  return WARMUP_DAILY_LIMITS[Math.max(day, 0)];
+}
+
+function sendAllowance({ batchSize, hourlyLimit, dailyLimit, warmupLimit, sentLastHour = 0, sentToday = 0, warmupSentToday = 0 }: Record<string, any>) {
+  const caps = [
+    ['batch', batchSize, 0],
+    ['hourly', hourlyLimit, sentLastHour],
+    ['daily', dailyLimit, sentToday],
+    ['warmup', warmupLimit, warmupSentToday],
+  ]
+    .filter(([, limit]) => Number(limit) > 0)
+    .map(([reason, limit, used]) => ({ reason: String(reason), remaining: Math.max(Number(limit) - Number(used || 0), 0) }));
+  if (!caps.length) return { remaining: Infinity, reason: null as string | null };
+  const binding = caps.reduce((lowest, cap) => (cap.remaining < lowest.remaining ? cap : lowest));
+  return { remaining: binding.remaining, reason: binding.remaining ? null : binding.reason };
+}
+
+// Lead segment rules. Copied from frontend/lib/lead-segments.js (snake_case
+// rows here); keep in sync. The email check mirrors contactPolicyForLead in
+// frontend/lib/lead-import.js.
+const SEGMENT_LEAD_STAGES = ['new', 'attempting_contact', 'contacted', 'engaged', 'qualified', 'booking_offered', 'booked', 'callback_scheduled', 'nurture', 'not_interested_now', 'unqualified', 'closed_won', 'closed_lost', 'do_not_contact'];
+const SEGMENT_OUTCOMES = ['answered', 'no_answer', 'busy', 'voicemail_left', 'callback_requested', 'not_available', 'channel_switch_requested', 'not_interested_now', 'not_interested_final', 'wrong_number', 'opted_out', 'booked', 'failed', 'interrupted', 'needs_human_review'];
+const SEGMENT_LAST_CONTACT_MODES = ['any', 'never', 'before', 'within'];
+const SEGMENT_FIELD_OPERATORS = ['equals', 'contains', 'exists', 'missing'];
+const SEGMENT_MAX_LEADS = 20000;
+
+function textList(value: unknown) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(items.map((item) => String(item || '').trim().toLowerCase()).filter(Boolean))];
+}
+
+function normalizeSegmentFilters(filters: any = {}) {
+  const lastContact = filters?.lastContact || {};
+  const days = Math.floor(Number(lastContact.days));
+  return {
+    stages: textList(filters?.stages).filter((stage) => SEGMENT_LEAD_STAGES.includes(stage)),
+    tags: textList(filters?.tags),
+    sources: textList(filters?.sources),
+    outcomes: textList(filters?.outcomes).filter((outcome) => SEGMENT_OUTCOMES.includes(outcome)),
+    lastContact: {
+      mode: SEGMENT_LAST_CONTACT_MODES.includes(lastContact.mode) ? lastContact.mode : 'any',
+      days: days > 0 ? days : 30,
+    },
+    customFields: (Array.isArray(filters?.customFields) ? filters.customFields : [])
+      .map((condition: any) => ({
+        key: String(condition?.key || '').trim(),
+        operator: SEGMENT_FIELD_OPERATORS.includes(condition?.operator) ? condition.operator : 'equals',
+        value: String(condition?.value ?? '').trim(),
+      }))
+      .filter((condition: any) => condition.key),
+  };
+}
+
+function leadTags(lead: any) {
+  const tags = lead?.tags;
+  if (Array.isArray(tags)) return textList(tags.map((tag: any) => (typeof tag === 'object' ? tag?.name || tag?.label : tag)));
+  return textList(tags);
+}
+
+function customFieldValue(fields: any, key: string) {
+  if (!fields || typeof fields !== 'object') return '';
+  const match = Object.keys(fields).find((name) => name === key)
+    || Object.keys(fields).find((name) => name.toLowerCase() === key.toLowerCase());
+  const value = match ? fields[match] : '';
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+function customFieldMatches(lead: any, condition: any) {
+  const value = customFieldValue(lead?.custom_fields, condition.key);
+  if (condition.operator === 'exists') return Boolean(value);
+  if (condition.operator === 'missing') return !value;
+  if (condition.operator === 'contains') return value.toLowerCase().includes(condition.value.toLowerCase());
+  return value.toLowerCase() === condition.value.toLowerCase();
+}
+
+function lastContactMatches(lead: any, lastContact: { mode: string; days: number }, now: Date) {
+  const contactedAt = lead?.last_contacted_at ? new Date(lead.last_contacted_at).getTime() : null;
+  const cutoff = now.getTime() - lastContact.days * DAY_MS;
+  if (lastContact.mode === 'never') return contactedAt === null;
+  if (lastContact.mode === 'before') return contactedAt === null || contactedAt < cutoff;
+  if (lastContact.mode === 'within') return contactedAt !== null && contactedAt >= cutoff;
+  return true;
+}
+
+function leadMatchesSegment(lead: any, segment: ReturnType<typeof normalizeSegmentFilters>, latestOutcome: string | null, now: Date) {
+  if (segment.stages.length && !segment.stages.includes(String(lead?.lead_stage || '').toLowerCase())) return false;
+  if (segment.sources.length) {
+    const sources = textList([lead?.source, lead?.lead_source]);
+    if (!sources.some((source) => segment.sources.includes(source))) return false;
+  }
+  if (segment.tags.length) {
+    const tags = leadTags(lead);
+    if (!segment.tags.some((tag) => tags.includes(tag))) return false;
+  }
+  if (segment.outcomes.length && !segment.outcomes.includes(latestOutcome as string)) return false;
+  if (!lastContactMatches(lead, segment.lastContact, now)) return false;
+  return segment.customFields.every((condition: any) => customFieldMatches(lead, condition));
+}
+
+function emailContactPolicy(lead: any) {
+  if (lead?.do_not_contact) return { allowed: false, reason: 'Lead is marked do not contact' };
+  if (lead?.opted_out_at && (!lead.opt_out_channel || lead.opt_out_channel === 'all' || lead.opt_out_channel === 'email')) {
+    return { allowed: false, reason: 'Lead has opted out of this channel' };
+  }
+  if (!lead?.email_consent) return { allowed: false, reason: 'Missing channel consent' };
+  return { allowed: true, reason: 'Consent is present' };
+}
+
+function segmentRecipientFields(lead: any) {
+  const columns: Record<string, unknown> = {
+    first_name: lead.first_name,
+    last_name: lead.last_name,
+    company: lead.company,
+    job_title: lead.job_title,
+    phone: lead.phone,
+    lead_stage: lead.lead_stage,
+    lead_source: lead.lead_source,
+  };
+  return {
+    ...Object.fromEntries(Object.entries(columns).filter(([, value]) => value)),
+    ...(lead.custom_fields || {}),
+  };
+}
+
+// Loads the tenant's leads for a segment and applies the email contact policy
+// to every match. Stage and archive filters run in the query; the rest need
+// jsonb values or the lifecycle history, so they run here.
+async function resolveSegmentRecipients(client: any, tenantId: string, filters: any) {
+  const segment = normalizeSegmentFilters(filters);
+  const now = new Date();
+  const leads: any[] = [];
+  for (let offset = 0; offset < SEGMENT_MAX_LEADS; offset += 1000) {
+    let query = client.database
+      .from('leads')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .is('archived_at', null);
+    if (segment.stages.length) query = query.in('lead_stage', segment.stages);
+    const { data, error } = await query.order('created_at', { ascending: true }).range(offset, offset + 999);
+    if (error) throw new Error(error.message || 'Failed to load segment leads');
+    leads.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
+
+  const latestOutcomes = new Map<string, string>();
+  if (segment.outcomes.length && leads.length) {
+    const { data: events, error: eventError } = await client.database
+      .from('lead_lifecycle_events')
+      .select('lead_id, outcome, created_at')
+      .eq('tenant_id', tenantId)
+      .in('outcome', SEGMENT_OUTCOMES)
+      .order('created_at', { ascending: false })
+      .limit(SEGMENT_MAX_LEADS * 5);
+    if (eventError) throw new Error(eventError.message || 'Failed to load lifecycle outcomes');
+    for (const event of events || []) {
+      if (!latestOutcomes.has(event.lead_id)) latestOutcomes.set(event.lead_id, event.outcome);
+    }
+  }
+
+  const matched = leads.filter((lead) => leadMatchesSegment(lead, segment, latestOutcomes.get(lead.id) || null, now));
+  const recipients: any[] = [];
+  const excluded: any[] = [];
+  const seen = new Set<string>();
+  for (const lead of matched) {
+    const email = String(lead.email || '').trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      excluded.push({ leadId: lead.id, email: lead.email || '', reason: 'Missing email address' });
+      continue;
+    }
+    const policy = emailContactPolicy(lead);
+    if (!policy.allowed) {
+      excluded.push({ leadId: lead.id, email, reason: policy.reason });
+      continue;
+    }
+    if (seen.has(email)) {
+      excluded.push({ leadId: lead.id, email, reason: 'Email already in this segment' });
+      continue;
+    }
+    seen.add(email);
+    recipients.push({
+      leadId: lead.id,
+      email,
+      name: lead.full_name || [lead.first_name, lead.last_name].filter(Boolean).join(' ') || null,
+      customFields: segmentRecipientFields(lead),
     });
   }
 
-  // Handle Webhook action separately as it does not carry a user auth token
-  if (action === 'resend-webhook') {
-    const client = createInsForgeAdminClient();
-    try {
-      const payload = await readJson(req);
-      const eventType = payload?.type; // e.g. email.delivered or email.bounced
-      const data = payload?.data;
-      const providerMessageId = data?.id;
+  return { filters: segment, matchedCount: matched.length, recipients, excluded };
+}
 
-      if (!providerMessageId) {
-        return jsonResponse({ success: false, error: 'No provider message ID found in webhook' }, 400);
-      }
+function schedulerSecret() {
+  return Deno.env.get('BULK_EMAIL_SCHEDULER_SECRET') || '';
+}
+
+function assertSchedulerAuthorized(req: Request) {
+  const expected = schedulerSecret();
+  if (!expected) throw new Error('Bulk email scheduler secret is not configured');
+  const provided = req.headers.get('x-bulk-email-secret') || bearerToken(req.headers.get('authorization'));
+  if (!provided || !timingSafeEqual(provided, expected)) throw new Error('Unauthorized bulk email scheduler request');
+}
+
+// The warm-up ramp is counted across all of the tenant's bulk sends for the day,
+// since a tenant sends from one verified identity at a time.
+async function campaignSendAllowance(client: any, campaign: any, now: Date) {
+  const hourlyLimit = Number(campaign.hourly_limit) || 0;
+  const dailyLimit = Number(campaign.daily_limit) || 0;
+  const timeZone = normalizedTimeZone(campaign.schedule_timezone);
+  const dayStart = startOfZonedDay(now, timeZone);
+
+  let warmupLimit = null;
+  if (campaign.sender_identity_id) {
+    const { data: identity } = await client.database
+      .from('tenant_email_identities')
+      .select('verified_at, warmup_enabled')
+      .eq('id', campaign.sender_identity_id)
+      .limit(1);
+    if (identity?.[0]?.warmup_enabled) warmupLimit = warmupDailyLimit(identity[0].verified_at, now);
+  }
+
+  const sentSince = async (since: Date, column: 'campaign_id' | 'tenant_id') => {
+    const { data, error } = await client.database
+      .from('tenant_bulk_email_recipients')
+      .select('sent_at')
+      .eq(column, column === 'campaign_id' ? campaign.id : campaign.tenant_id)
+      .gte('sent_at', since.toISOString());
+    if (error) throw new Error(error.message);
+    return data || [];
+  };
+  const hourRows = hourlyLimit ? await sentSince(new Date(now.getTime() - 3600000), 'campaign_id') : [];
+  const dayRows = dailyLimit ? await sentSince(dayStart, 'campaign_id') : [];
+  const warmupRows = warmupLimit ? await sentSince(dayStart, 'tenant_id') : [];
+
+  const allowance = sendAllowance({
+    batchSize: BULK_EMAIL_BATCH_SIZE,
+    hourlyLimit,
+    dailyLimit,
+    warmupLimit,
+    sentLastHour: hourRows.length,
+    sentToday: dayRows.length,
+    warmupSentToday: warmupRows.length,
+  });
+
+  let retryAt: Date | null = null;
+  if (allowance.reason === 'hourly') {
+    const oldest = Math.min(...hourRows.map((row: any) => new Date(row.sent_at).getTime()));
+    retryAt = new Date(oldest + 3600000);
+  } else if (allowance.reason) {
+    retryAt = startOfZonedDay(new Date(dayStart.getTime() + 36 * 3600000), timeZone);
+  }
+  return { ...allowance, retryAt };
+}
+
+// Unsubscribe links and the tenant suppression list. Links carry an HMAC
+// signed token so the public unsubscribe action needs no login.
+function unsubscribeSecret() {
+  return Deno.env.get('EMAIL_UNSUBSCRIBE_SECRET') || '';
+}
+
+function functionBaseUrl() {
+  return (Deno.env.get('INSFORGE_FUNCTION_BASE_URL') || '').replace(/\/$/, '');
+}
+
+function normalizeEmailAddress(value: unknown) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function base64UrlEncode(bytes: Uint8Array) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value: string) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+  return new TextDecoder().decode(Uint8Array.from(atob(padded), (c) => c.charCodeAt(0)));
+}
+
+function timingSafeEqual(a: string, b: string) {
+  const left = new TextEncoder().encode(a);
+  const right = new TextEncoder().encode(b);
+  if (left.length !== right.length) return false;
+  let diff = 0;
+  for (let index = 0; index < left.length; index += 1) diff |= left[index] ^ right[index];
+  return diff === 0;
+}
+
+// Same check as verifyResendWebhook in resend-email-webhook.ts.
+async function verifyResendWebhook(req: Request, rawBody: string) {
+  const secret = Deno.env.get('RESEND_WEBHOOK_SECRET') || '';
+  if (!secret) throw new Error('RESEND_WEBHOOK_SECRET is not configured');
+  const id = req.headers.get('svix-id') || '';
+  const timestamp = req.headers.get('svix-timestamp') || '';
+  const signature = req.headers.get('svix-signature') || '';
+  if (!id || !timestamp || !signature) throw new Error('Missing Resend webhook signature headers');
+
+  const timestampMs = Number(timestamp) * 1000;
+  if (!Number.isFinite(timestampMs) || Math.abs(Date.now() - timestampMs) > 5 * 60 * 1000) {
+    throw new Error('Stale Resend webhook timestamp');
+  }
+
+  const secretBytes = secret.startsWith('whsec_')
+    ? Uint8Array.from(atob(secret.slice('whsec_'.length)), (c) => c.charCodeAt(0))
+    : new TextEncoder().encode(secret);
+  const key = await crypto.subtle.importKey('raw', secretBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signed = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${id}.${timestamp}.${rawBody}`)));
+  const expected = btoa(String.fromCharCode(...signed));
+  const provided = signature.split(/\s+/).map((part) => part.trim()).filter(Boolean);
+  if (!provided.some((part) => part.startsWith('v1,') && timingSafeEqual(part.slice(3), expected))) {
+    throw new Error('Invalid Resend webhook signature');
+  }
+}
+
+async function signUnsubscribePayload(encoded: string) {
+  const secret = unsubscribeSecret();
+  if (!secret) throw new Error('EMAIL_UNSUBSCRIBE_SECRET is not configured');
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return base64UrlEncode(new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(encoded))));
+}
+
+async function unsubscribeToken(recipient: any) {
+  const encoded = base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+    t: recipient.tenant_id,
+    e: normalizeEmailAddress(recipient.email),
+    c: recipient.campaign_id,
+    r: recipient.id,
+  })));
+  return `${encoded}.${await signUnsubscribePayload(encoded)}`;
+}
+
+async function readUnsubscribeToken(token: unknown) {
+  const [encoded, signature] = String(token || '').split('.');
+  if (!encoded || !signature) return null;
+  if (!timingSafeEqual(signature, await signUnsubscribePayload(encoded))) return null;
+  try {
+    const payload = JSON.parse(base64UrlDecode(encoded));
+    return payload?.t && payload?.e ? payload : null;
+  } catch {
+    return null;
+  }
+}
 
-      // Query recipient by provider message id using the service role bypass
-      // InsForge runs SQL commands under service role bypass on server-side queries when needed
-      const { data: recipientData, error: findError } = await client.database
+// The page link shows a confirmation; the one-click URL is what mail clients
+// POST to under RFC 8058, so it must be absolute.
+function unsubscribeUrls(token: string) {
+  const frontendUrl = (Deno.env.get('FRONTEND_URL') || 'http://localhost:3000').replace(/\/$/, '');
+  const baseUrl = functionBaseUrl();
+  if (!baseUrl) throw new Error('INSFORGE_FUNCTION_BASE_URL is not configured');
+  return {
+    pageUrl: `${frontendUrl}/unsubscribe?token=${encodeURIComponent(token)}`,
+    oneClickUrl: `${baseUrl}/bulk-email-sender?action=unsubscribe&token=${encodeURIComponent(token)}`,
+  };
+}
+
+function withUnsubscribeFooter(text: string, html: string, pageUrl: string, usedPlaceholder: boolean) {
+  if (usedPlaceholder) return { text, html };
+  const footer = `<p style="margin:16px auto 0;max-width:640px;text-align:center;color:#9aa4b2;font-size:12px;line-height:18px;">Don't want these emails? <a href="${escapeHtml(pageUrl)}" style="color:#697586;">Unsubscribe</a></p>`;
+  return {
+    text: `${text}\n\n--\nUnsubscribe: ${pageUrl}`,
+    html: /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}\n  </body>`) : `${html}${footer}`,
+  };
+}
+
+async function suppressedAddresses(client: any, tenantId: string, emails: string[]) {
+  const addresses = [...new Set(emails.map(normalizeEmailAddress).filter(Boolean))];
+  if (!addresses.length) return new Map<string, string>();
+  const { data, error } = await client.database
+    .from('tenant_email_suppressions')
+    .select('email, reason')
+    .eq('tenant_id', tenantId)
+    .in('email', addresses);
+  if (error) throw new Error(error.message || 'Failed to check the suppression list');
+  return new Map<string, string>((data || []).map((row: any) => [row.email, row.reason]));
+}
+
+// Adds an address once; the first reason recorded is kept.
+async function suppressEmail(client: any, input: {
+  tenantId: string;
+  email: string;
+  reason: 'unsubscribed' | 'hard_bounce' | 'complaint';
+  source: string;
+  campaignId?: string | null;
+  leadId?: string | null;
+  providerMessageId?: string | null;
+  metadata?: Record<string, unknown>;
+}) {
+  const email = normalizeEmailAddress(input.email);
+  if (!email) return;
+  const existing = await suppressedAddresses(client, input.tenantId, [email]);
+  if (existing.has(email)) return;
+  const { error } = await client.database.from('tenant_email_suppressions').insert([{
+    tenant_id: input.tenantId,
+    email,
+    reason: input.reason,
+    source: input.source,
+    campaign_id: input.campaignId || null,
+    lead_id: input.leadId || null,
+    provider_message_id: input.providerMessageId || null,
+    metadata: input.metadata || {},
+  }]);
+  if (error && !/duplicate|unique/i.test(error.message || '')) throw new Error(error.message);
+}
+
+function escapeLikePattern(value: string) {
+  return value.replace(/[\\%_]/g, (match) => `\\${match}`);
+}
+
+async function unsubscribeRecipient(client: any, payload: { t: string; e: string; c?: string; r?: string }) {
+  let recipient: any = null;
+  if (payload.r) {
+    const { data } = await client.database
+      .from('tenant_bulk_email_recipients')
+      .select('*')
+      .eq('tenant_id', payload.t)
+      .eq('id', payload.r)
+      .limit(1);
+    recipient = data?.[0] || null;
+  }
+
+  await suppressEmail(client, {
+    tenantId: payload.t,
+    email: payload.e,
+    reason: 'unsubscribed',
+    source: 'unsubscribe_link',
+    campaignId: payload.c || null,
+    leadId: recipient?.lead_id || null,
+  });
+
+  // Every lead of this tenant with the address loses email consent, not just
+  // the one the campaign was linked to.
+  await client.database
+    .from('leads')
+    .update({ email_consent: false, updated_at: new Date().toISOString() })
+    .eq('tenant_id', payload.t)
+    .ilike('email', escapeLikePattern(payload.e));
+
+  if (recipient && !recipient.unsubscribed_at) {
+    await client.database
+      .from('tenant_bulk_email_recipients')
+      .update({ unsubscribed_at: new Date().toISOString() })
+      .eq('id', recipient.id);
+    const counts = await refreshCampaignCounts(client, recipient.campaign_id);
+    await client.database
+      .from('tenant_bulk_email_campaigns')
+      .update({ unsubscribed_count: counts.unsubscribed_count })
+      .eq('id', recipient.campaign_id);
+  }
+
+  return { email: payload.e, unsubscribed: true };
+}
+
+function maskedEmail(email: string) {
+  const [local, domain] = email.split('@');
+  if (!domain) return email;
+  return `${local.slice(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain}`;
+}
+
+// Recipients from a lead segment are leads: the send goes on the lead's
+// timeline like any other outbound email and counts as contact.
+async function recordLeadBulkEmail(client: any, campaign: any, recipient: any, message: { subject: string; bodyText: string; providerMessageId: string | null }) {
+  const sentAt = new Date().toISOString();
+  await client.database.from('lead_conversation_messages').insert([{
+    tenant_id: campaign.tenant_id,
+    lead_id: recipient.lead_id,
+    direction: 'outbound',
+    channel: 'email',
+    message_type: 'bulk_email',
+    subject: message.subject,
+    body_text: message.bodyText,
+    provider_message_id: message.providerMessageId,
+    status: 'sent',
+    sent_at: sentAt,
+    metadata: { bulkEmailCampaignId: campaign.id, bulkEmailRecipientId: recipient.id, variantId: recipient.variant_id || null },
+  }]);
+  await client.database
+    .from('leads')
+    .update({ last_contacted_at: sentAt })
+    .eq('tenant_id', campaign.tenant_id)
+    .eq('id', recipient.lead_id);
+}
+
+// Sends the next batch of one campaign. The browser tick and the scheduler
+// can both reach a campaign at once, so recipients are claimed before the
+// Resend call and only the claimed rows are sent.
+async function advanceCampaign(client: any, campaign: any) {
+  const campaignId = campaign.id;
+  const now = new Date();
+  if (campaign.status === 'paused') {
+    return { message: 'Campaign is paused', status: 'paused' };
+  }
+  if (campaign.status === 'completed' || campaign.status === 'failed') {
+    return { message: 'Campaign already completed/failed', status: campaign.status };
+  }
+
+  if (campaign.status === 'scheduled') {
+    if (campaign.scheduled_at && new Date(campaign.scheduled_at).getTime() > now.getTime()) {
+      return { status: 'scheduled', scheduledAt: campaign.scheduled_at };
+    }
+    const { data: activeCampaigns } = await client.database
+      .from('tenant_bulk_email_campaigns')
+      .select('id, name')
+      .eq('tenant_id', campaign.tenant_id)
+      .in('status', ['queued', 'sending'])
+      .neq('id', campaignId)
+      .limit(1);
+    if (activeCampaigns?.length) {
+      return { status: 'scheduled', message: `Waiting for "${activeCampaigns[0].name}" to finish` };
+    }
+    await client.database
+      .from('tenant_bulk_email_campaigns')
+      .update({ status: 'sending', started_at: now.toISOString() })
+      .eq('id', campaignId)
+      .eq('status', 'scheduled');
+    campaign.status = 'sending';
+  }
+
+  // Rows claimed by a run that died mid-batch go back in the queue.
+  await client.database
+    .from('tenant_bulk_email_recipients')
+    .update({ status: 'pending', claimed_at: null })
+    .eq('campaign_id', campaignId)
+    .eq('status', 'sending')
+    .lt('claimed_at', new Date(now.getTime() - RECIPIENT_CLAIM_STALE_MS).toISOString());
+
+  // A/B campaigns send the test slice first, then hold the remainder until
+  // the wait is over and a winner has been assigned to it.
+  const abTest = campaign.ab_test || {};
+  let variantsById = new Map<string, any>();
+  let pendingGroup: string | null = null;
+  if (abTest.enabled) {
+    const { data: variantData, error: variantError } = await client.database
+      .from('tenant_bulk_email_variants')
+      .select('*')
+      .eq('campaign_id', campaignId);
+    if (variantError) throw new Error(variantError.message);
+    variantsById = new Map((variantData || []).map((variant: any) => [variant.id, variant]));
+
+    if (!campaign.winner_variant_id) {
+      const { data: testPending, error: testError } = await client.database
         .from('tenant_bulk_email_recipients')
-        .select('*')
-        .eq('provider_message_id', providerMessageId)
+        .select('id')
+        .eq('campaign_id', campaignId)
+        .eq('ab_group', 'test')
+        .in('status', ['pending', 'sending'])
         .limit(1);
+      if (testError) throw new Error(testError.message);
+
+      if (testPending?.length) {
+        pendingGroup = 'test';
+      } else {
+        const testSentAt = campaign.ab_test_sent_at || new Date().toISOString();
+        if (!campaign.ab_test_sent_at) {
+          await client.database
+            .from('tenant_bulk_email_campaigns')
+            .update({ ab_test_sent_at: testSentAt })
+            .eq('id', campaignId);
+        }
+        const decideAt = new Date(new Date(testSentAt).getTime() + Number(abTest.waitMinutes || 240) * 60000);
+        if (Date.now() < decideAt.getTime()) {
+          return { status: campaign.status, abTest: { phase: 'waiting', decideAt: decideAt.toISOString() } };
+        }
+
+        await refreshCampaignCounts(client, campaignId);
+        const { data: scoredVariants, error: scoredError } = await client.database
+          .from('tenant_bulk_email_variants')
+          .select('*')
+          .eq('campaign_id', campaignId);
+        if (scoredError) throw new Error(scoredError.message);
+        const { variant: winner, tie } = pickAbTestWinner(scoredVariants || [], abTest.winnerMetric);
+        if (!winner) throw new Error('Campaign has no variants to pick a winner from');
 
-      if (findError || !recipientData?.length) {
-        return jsonResponse({ success: true, message: 'Message not associated with bulk email campaigns' });
+        await client.database
+          .from('tenant_bulk_email_variants')
+          .update({ is_winner: true })
+          .eq('id', winner.id);
+        await client.database
+          .from('tenant_bulk_email_recipients')
+          .update({ variant_id: winner.id })
+          .eq('campaign_id', campaignId)
+          .eq('ab_group', 'remainder')
+          .eq('status', 'pending');
+        await client.database
+          .from('tenant_bulk_email_campaigns')
+          .update({
+            winner_variant_id: winner.id,
+            winner_decided_at: new Date().toISOString(),
+            ab_test: { ...abTest, winnerTie: tie },
+          })
+          .eq('id', campaignId);
+        campaign.winner_variant_id = winner.id;
       }
+    }
+  }
 
-      const recipient = recipientData[0];
-      const campaignId = recipient.campaign_id;
-      const tenantId = recipient.tenant_id;
+  const allowance = await campaignSendAllowance(client, campaign, now);
+  if (!allowance.remaining) {
+    const throttledUntil = allowance.retryAt?.toISOString() || null;
+    await client.database
+      .from('tenant_bulk_email_campaigns')
+      .update({ throttled_until: throttledUntil, throttle_reason: allowance.reason })
+      .eq('id', campaignId);
+    return { status: campaign.status, throttled: allowance.reason, throttledUntil };
+  }
 
+  // Get the next pending recipient batch. Keep a sane per-invocation cap so
+  // a large upload does not hold the function open indefinitely.
+  let pendingQuery = client.database
+    .from('tenant_bulk_email_recipients')
+    .select('id')
+    .eq('campaign_id', campaignId)
+    .eq('status', 'pending');
+  if (pendingGroup) pendingQuery = pendingQuery.eq('ab_group', pendingGroup);
+  const { data: pendingRecipients, error: pendingError } = await pendingQuery
+    .order('created_at', { ascending: true })
+    .limit(Math.min(BULK_EMAIL_BATCH_SIZE, allowance.remaining));
+
+  if (pendingError) throw new Error(pendingError.message);
+
+  const { data: claimedRecipients, error: claimError } = pendingRecipients?.length
+    ? await client.database
+      .from('tenant_bulk_email_recipients')
+      .update({ status: 'sending', claimed_at: now.toISOString() })
+      .in('id', pendingRecipients.map((recipient: any) => recipient.id))
+      .eq('status', 'pending')
+      .select()
+    : { data: [], error: null };
+
+  if (claimError) throw new Error(claimError.message);
+
+  if (!claimedRecipients?.length) {
+    const remaining = await refreshCampaignCounts(client, campaignId);
+    if (remaining.pending_count > 0) {
+      return { status: campaign.status, message: 'Another run is sending the current batch' };
+    }
+    // Complete campaign
+    await client.database
+      .from('tenant_bulk_email_campaigns')
+      .update({ status: 'completed', completed_at: new Date().toISOString() })
+      .eq('id', campaignId);
+
+    return { status: 'completed', message: 'No more pending recipients' };
+  }
+
+  // Update status of campaign to sending if not already
+  if (campaign.status === 'queued') {
+    await client.database
+      .from('tenant_bulk_email_campaigns')
+      .update({ status: 'sending', started_at: new Date().toISOString() })
+      .eq('id', campaignId);
+  }
+
+  const apiKey = Deno.env.get('RESEND_API_KEY');
+  if (!apiKey) throw new Error('RESEND_API_KEY is not configured');
+  if (!unsubscribeSecret()) throw new Error('EMAIL_UNSUBSCRIBE_SECRET is not configured');
+  if (!functionBaseUrl()) throw new Error('INSFORGE_FUNCTION_BASE_URL is not configured');
+  const resendFrom = `${campaign.from_name} <${campaign.from_email}>`;
+
+  // The suppression list is read per batch so an unsubscribe or bounce during
+  // a long campaign stops the remaining sends to that address.
+  const suppressed = await suppressedAddresses(
+    client,
+    campaign.tenant_id,
+    claimedRecipients.map((recipient: any) => recipient.email),
+  );
+
+  const results = [];
+  for (const recipient of claimedRecipients) {
+    const suppressionReason = suppressed.get(normalizeEmailAddress(recipient.email));
+    if (suppressionReason) {
+      await client.database
+        .from('tenant_bulk_email_recipients')
+        .update({ status: 'suppressed', error_message: `Address is on the suppression list (${suppressionReason})` })
+        .eq('id', recipient.id);
+      results.push({ email: recipient.email, sent: false, error: 'suppressed' });
+      continue;
+    }
+
+    const { pageUrl, oneClickUrl } = unsubscribeUrls(await unsubscribeToken(recipient));
+    const mergeValues = recipientMergeValues(
+      { ...recipient, name: leadNameFromRecipient(recipient) },
+      {
+        senderName: campaign.from_name || '',
+        senderEmail: campaign.from_email || '',
+        companyName: campaign.from_name || 'SetMyMeet',
+        unsubscribeUrl: pageUrl,
+      },
+    );
+    const mergeOptions = { fallbacks: campaign.merge_fallbacks };
+    const content = variantsById.get(recipient.variant_id) || campaign;
+    const personalizedSubject = renderMergeFields(content.subject, mergeValues, mergeOptions);
+    const personalizedBody = renderMergeFields(content.body_text, mergeValues, mergeOptions);
+    const personalizedHtml = content.body_html
+      ? renderMergeFields(content.body_html, mergeValues, { ...mergeOptions, escape: true })
+      : buildFallbackEmailHtml(personalizedSubject, personalizedBody);
+    const usesUnsubscribePlaceholder = extractMergeFields(content.body_text, content.body_html)
+      .some((field) => field.key === 'unsubscribe_url');
+    const outgoing = withUnsubscribeFooter(personalizedBody, personalizedHtml, pageUrl, usesUnsubscribePlaceholder);
+
+    const sendRes = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        from: resendFrom,
+        to: [recipient.email],
+        subject: personalizedSubject,
+        text: outgoing.text,
+        html: outgoing.html,
+        headers: {
+          'X-Bulk-Campaign-Id': campaignId,
+          'List-Unsubscribe': `<${oneClickUrl}>, <${pageUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+      }),
+    });
+
+    const resJson = await sendRes.json().catch(() => ({}));
+    if (!sendRes.ok) {
+      const errorMsg = resJson?.message || resJson?.error || `Resend failed with HTTP ${sendRes.status}`;
+      await client.database
+        .from('tenant_bulk_email_recipients')
+        .update({
+          status: 'failed',
+          sent_at: new Date().toISOString(),
+          failed_at: new Date().toISOString(),
+          error_message: errorMsg,
+        })
+        .eq('id', recipient.id);
+      results.push({ email: recipient.email, sent: false, error: errorMsg });
+    } else {
+      await client.database
+        .from('tenant_bulk_email_recipients')
+        .update({
+          status: 'sent',
+          sent_at: new Date().toISOString(),
+          provider_message_id: resJson?.id,
+        })
+        .eq('id', recipient.id);
+      if (recipient.lead_id) {
+        await recordLeadBulkEmail(client, campaign, recipient, {
+          subject: personalizedSubject,
+          bodyText: personalizedBody,
+          providerMessageId: resJson?.id || null,
+        });
+      }
+      results.push({ email: recipient.email, sent: true });
+    }
+  }
+
+  const counts = await refreshCampaignCounts(client, campaignId);
+  const pendingCount = counts.pending_count;
+  const nextStatus = pendingCount === 0 ? 'completed' : campaign.status;
+
+  // Only completion changes the status here, so a pause made while this
+  // batch was sending is kept.
+  await client.database
+    .from('tenant_bulk_email_campaigns')
+    .update({
+      sent_count: counts.sent_count,
+      delivered_count: counts.delivered_count,
+      failed_count: counts.failed_count,
+      opened_count: counts.opened_count,
+      clicked_count: counts.clicked_count,
+      suppressed_count: counts.suppressed_count,
+      throttled_until: null,
+      throttle_reason: null,
+      ...(pendingCount === 0 ? { status: 'completed', completed_at: new Date().toISOString() } : {}),
+    })
+    .eq('id', campaignId);
+
+  return {
+    status: nextStatus,
+    processed: results.length,
+    sent: results.filter((result) => result.sent).length,
+    failed: results.filter((result) => !result.sent).length,
+    pending: pendingCount,
+    results,
+  };
+}
+
+// Runs from an InsForge schedule every minute. Campaigns already sending go
+// first, then scheduled ones that are due; each gets a few batches per run so
+// one large list cannot starve the others.
+async function processScheduledCampaigns(client: any) {
+  const startedAt = Date.now();
+  const { data: sending, error: sendingError } = await client.database
+    .from('tenant_bulk_email_campaigns')
+    .select('*')
+    .in('status', ['queued', 'sending'])
+    .order('started_at', { ascending: true })
+    .limit(25);
+  if (sendingError) throw new Error(sendingError.message);
+  const { data: due, error: dueError } = await client.database
+    .from('tenant_bulk_email_campaigns')
+    .select('*')
+    .eq('status', 'scheduled')
+    .lte('scheduled_at', new Date().toISOString())
+    .order('scheduled_at', { ascending: true })
+    .limit(25);
+  if (dueError) throw new Error(dueError.message);
+
+  const results = [];
+  for (const campaign of [...(sending || []), ...(due || [])]) {
+    if (Date.now() - startedAt > SCHEDULER_BUDGET_MS) break;
+    try {
+      let current = campaign;
+      let result: any = null;
+      let sent = 0;
+      for (let batch = 0; batch < SCHEDULER_BATCHES_PER_CAMPAIGN && Date.now() - startedAt < SCHEDULER_BUDGET_MS; batch += 1) {
+        result = await advanceCampaign(client, current);
+        sent += Number(result.processed || 0);
+        if (!result.processed || result.status !== 'sending') break;
+        const { data: reloaded } = await client.database
+          .from('tenant_bulk_email_campaigns')
+          .select('*')
+          .eq('id', campaign.id)
+          .limit(1);
+        if (!reloaded?.[0]) break;
+        current = reloaded[0];
+      }
+      results.push({ campaignId: campaign.id, status: result?.status, processed: sent, throttled: result?.throttled || null });
+    } catch (error: any) {
+      results.push({ campaignId: campaign.id, error: error.message || 'Campaign run failed' });
+    }
+  }
+
+  return { processed: results.length, results };
+}
+
+// Resend delivery and engagement events for campaign mail. The request is
+// only trusted once its svix signature checks out: these events suppress
+// addresses for the whole tenant and feed the A/B winner's open and click
+// rates.
+export async function handleResendWebhook(client: any, req: Request) {
+  const rawBody = await req.text();
+  try {
+    await verifyResendWebhook(req, rawBody);
+  } catch (err: any) {
+    return jsonResponse({ success: false, error: err.message }, /secret/i.test(err.message) ? 503 : 401);
+  }
+
+  try {
+    const payload = JSON.parse(rawBody || '{}');
+    const eventType = payload?.type; // e.g. email.delivered or email.bounced
+    const data = payload?.data;
+    const providerMessageId = data?.id;
+
+    if (!providerMessageId) {
+      return jsonResponse({ success: false, error: 'No provider message ID found in webhook' }, 400);
+    }
+
+    // Query recipient by provider message id using the service role bypass
+    // InsForge runs SQL commands under service role bypass on server-side queries when needed
+    const { data: recipientData, error: findError } = await client.database
+      .from('tenant_bulk_email_recipients')
+      .select('*')
+      .eq('provider_message_id', providerMessageId)
+      .limit(1);
+
+    // Hard bounces and complaints suppress the address for the whole tenant,
+    // whichever sender produced the message. Soft bounces are left alone.
+    const suppressionReason = eventType === 'email.complained'
+      ? 'complaint'
+      : eventType === 'email.bounced' && !/transient|temporary|soft/i.test(String(data?.bounce?.type || ''))
+        ? 'hard_bounce'
+        : null;
+
+    if (findError || !recipientData?.length) {
+      if (suppressionReason) {
+        const { data: queued } = await client.database
+          .from('email_queue')
+          .select('tenant_id, lead_id, to_email')
+          .eq('provider_message_id', providerMessageId)
+          .limit(1);
+        if (queued?.length) {
+          await suppressEmail(client, {
+            tenantId: queued[0].tenant_id,
+            email: queued[0].to_email,
+            reason: suppressionReason,
+            source: 'resend_webhook',
+            leadId: queued[0].lead_id,
+            providerMessageId,
+            metadata: { eventType, bounce: data?.bounce || null },
+          });
+          return jsonResponse({ success: true, suppressed: true });
+        }
+      }
+      return jsonResponse({ success: true, message: 'Message not associated with bulk email campaigns' });
+    }
+
+    const recipient = recipientData[0];
+    const campaignId = recipient.campaign_id;
+
+    if (suppressionReason) {
+      await suppressEmail(client, {
+        tenantId: recipient.tenant_id,
+        email: recipient.email,
+        reason: suppressionReason,
+        source: 'resend_webhook',
+        campaignId,
+        leadId: recipient.lead_id,
+        providerMessageId,
+        metadata: { eventType, bounce: data?.bounce || null },
+      });
+    }
+
+    const now = new Date().toISOString();
+    let recipientUpdate: Record<string, unknown>;
+
+    if (eventType === 'email.opened' || eventType === 'email.clicked') {
+      // Engagement events never change the delivery status; a click also
+      // counts as an open for clients that block tracking pixels.
+      recipientUpdate = { opened_at: recipient.opened_at || now };
+      if (eventType === 'email.clicked') recipientUpdate.clicked_at = recipient.clicked_at || now;
+    } else {
       let statusUpdate = 'sent';
       let errorMsg = null;
       let isDelivery = false;
@@ -223,53 +1340,118 @@ export default async function(req: Request): Promise<Response> {
         isFailure = true;
       }
 
-      // Update recipient status
+      recipientUpdate = {
+        status: statusUpdate,
+        delivered_at: isDelivery ? now : recipient.delivered_at,
+        failed_at: isFailure ? now : recipient.failed_at,
+        error_message: errorMsg,
+      };
+    }
+
+    // Update recipient status
+    await client.database
+      .from('tenant_bulk_email_recipients')
+      .update(recipientUpdate)
+      .eq('id', recipient.id);
+
+    if (recipient.lead_id && recipientUpdate.status) {
       await client.database
-        .from('tenant_bulk_email_recipients')
+        .from('lead_conversation_messages')
         .update({
-          status: statusUpdate,
-          delivered_at: isDelivery ? new Date().toISOString() : recipient.delivered_at,
-          failed_at: isFailure ? new Date().toISOString() : recipient.failed_at,
-          error_message: errorMsg,
+          status: recipientUpdate.status,
+          delivered_at: recipientUpdate.delivered_at || null,
+          error_message: recipientUpdate.error_message || null,
         })
-        .eq('id', recipient.id);
+        .eq('tenant_id', recipient.tenant_id)
+        .eq('lead_id', recipient.lead_id)
+        .eq('provider_message_id', providerMessageId);
+    }
 
-      // Load campaign counts
-      const { data: countsData } = await client.database
-        .from('tenant_bulk_email_recipients')
-        .select('status')
-        .eq('campaign_id', campaignId);
-
-      if (countsData) {
-        const deliveredCount = countsData.filter((r: any) => r.status === 'delivered').length;
-        const failedCount = countsData.filter((r: any) => ['failed', 'bounced'].includes(r.status)).length;
-        const sentCount = countsData.filter((r: any) => r.status !== 'pending').length;
-
-        // Update campaign status if everything is processed
-        let campaignStatus = 'sending';
-        const pendingCount = countsData.filter((r: any) => r.status === 'pending').length;
-        if (pendingCount === 0) {
-          campaignStatus = 'completed';
-        }
+    const counts = await refreshCampaignCounts(client, campaignId);
+
+    // Complete the campaign once everything is processed. Otherwise leave
+    // the status alone: opens keep arriving while a campaign is paused.
+    await client.database
+      .from('tenant_bulk_email_campaigns')
+      .update({
+        delivered_count: counts.delivered_count,
+        failed_count: counts.failed_count,
+        sent_count: counts.sent_count,
+        opened_count: counts.opened_count,
+        clicked_count: counts.clicked_count,
+        suppressed_count: counts.suppressed_count,
+        unsubscribed_count: counts.unsubscribed_count,
+        ...(counts.pending_count === 0 ? { status: 'completed', completed_at: now } : {}),
+      })
+      .eq('id', campaignId);
+
+    return jsonResponse({ success: true });
+  } catch (err: any) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+}
 
-        await client.database
-          .from('tenant_bulk_email_campaigns')
-          .update({
-            delivered_count: deliveredCount,
-            failed_count: failedCount,
-            sent_count: sentCount,
-            status: campaignStatus,
-            completed_at: pendingCount === 0 ? new Date().toISOString() : null,
-          })
-          .eq('id', campaignId);
+export default async function(req: Request): Promise<Response> {
+  if (req.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+
+  const url = new URL(req.url);
+  const action = url.searchParams.get('action') || 'health';
+  // Extract Bearer token upfront; webhook handler doesn't have one
+  const authHeader = req.headers.get('authorization') || '';
+  const userToken = bearerToken(authHeader) || undefined;
+
+  if (action === 'health') {
+    return jsonResponse({
+      success: true,
+      service: 'bulk-email-sender',
+      actions: ['create-campaign', 'tick', 'pause-campaign', 'resume-campaign', 'cancel-campaign', 'resend-webhook', 'process-scheduled', 'unsubscribe', 'unsubscribe-status', 'send-test'],
+      schedulerConfigured: Boolean(schedulerSecret()),
+      unsubscribeConfigured: Boolean(unsubscribeSecret() && functionBaseUrl()),
+    });
+  }
+
+  if (action === 'process-scheduled') {
+    try {
+      assertSchedulerAuthorized(req);
+      return jsonResponse({ success: true, ...(await processScheduledCampaigns(createInsForgeAdminClient())) });
+    } catch (err: any) {
+      const message = err.message || 'Scheduler run failed';
+      return jsonResponse({ success: false, error: message }, /unauthorized|secret/i.test(message) ? 401 : 500);
+    }
+  }
+
+  // Unsubscribe links are public; the signed token is the only credential.
+  // Mail clients POST the one-click URL with a form body, so the token is
+  // read from the query string before any JSON body.
+  if (action === 'unsubscribe' || action === 'unsubscribe-status') {
+    const client = createInsForgeAdminClient();
+    try {
+      const body = (req.headers.get('content-type') || '').includes('application/json') ? await readJson(req) : {};
+      const payload = await readUnsubscribeToken(url.searchParams.get('token') || body?.token);
+      if (!payload) return jsonResponse({ success: false, error: 'This unsubscribe link is invalid or has expired' }, 400);
+
+      if (action === 'unsubscribe-status') {
+        const { data: tenantRows } = await client.database.from('tenants').select('name').eq('id', payload.t).limit(1);
+        const suppressed = await suppressedAddresses(client, payload.t, [payload.e]);
+        return jsonResponse({
+          success: true,
+          email: maskedEmail(payload.e),
+          tenantName: tenantRows?.[0]?.name || null,
+          unsubscribed: suppressed.has(payload.e),
+        });
       }
 
-      return jsonResponse({ success: true });
+      if (req.method !== 'POST') return jsonResponse({ success: false, error: 'Use POST to unsubscribe' }, 405);
+      const result = await unsubscribeRecipient(client, payload);
+      return jsonResponse({ success: true, email: maskedEmail(result.email), unsubscribed: true });
     } catch (err: any) {
-      return jsonResponse({ success: false, error: err.message }, 500);
+      return jsonResponse({ success: false, error: err.message || 'Unsubscribe failed' }, 500);
     }
   }
 
+  // Handle Webhook action separately as it does not carry a user auth token
+  if (action === 'resend-webhook') return handleResendWebhook(createInsForgeAdminClient(), req);
+
   // Auth actions — create client authenticated as the calling user
   try {
     if (!userToken) return jsonResponse({ success: false, error: 'Authorization header is required' }, 401);
@@ -279,16 +1461,94 @@ export default async function(req: Request): Promise<Response> {
     const tenantId = portal.tenantId;
 
     if (action === 'create-campaign') {
-      const { name, subject, bodyText, bodyHtml, metadata, recipients } = body;
+      const { name, metadata } = body;
+      let { recipients } = body;
+      const variants = Array.isArray(body.variants) && body.variants.length ? body.variants : null;
+      const { subject, bodyText, bodyHtml } = variants ? variants[0] : body;
 
       if (!name || !subject || !bodyText) {
         return jsonResponse({ success: false, error: 'Name, subject, and bodyText are required' }, 400);
       }
+
+      // A segment is resolved here rather than trusting a client-built list,
+      // so the email contact policy is applied to every lead at send time.
+      // Filters sent with the request win over the saved segment's, since the
+      // builder may have edited them without saving.
+      let segmentRow: any = null;
+      let segmentResult: Awaited<ReturnType<typeof resolveSegmentRecipients>> | null = null;
+      if (body.segmentId || body.segment) {
+        if (body.segmentId) {
+          const { data: segmentRows, error: segmentError } = await client.database
+            .from('tenant_lead_segments')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .eq('id', body.segmentId)
+            .limit(1);
+          if (segmentError) throw new Error(segmentError.message);
+          segmentRow = segmentRows?.[0] || null;
+          if (!segmentRow) return jsonResponse({ success: false, error: 'Lead segment not found' }, 404);
+        }
+        segmentResult = await resolveSegmentRecipients(client, tenantId, body.segment?.filters || segmentRow?.filters);
+        if (!segmentResult.recipients.length) {
+          return jsonResponse({
+            success: false,
+            error: segmentResult.matchedCount
+              ? 'None of the leads in this segment can be emailed under their contact policy'
+              : 'No leads match this segment',
+            excluded: segmentResult.excluded.length,
+          }, 400);
+        }
+        recipients = segmentResult.recipients;
+      }
+
       if (!Array.isArray(recipients) || recipients.length === 0) {
         return jsonResponse({ success: false, error: 'recipients must be a non-empty array' }, 400);
       }
+      if (variants) {
+        if (variants.length < 2 || variants.length > AB_TEST_VARIANT_LABELS.length) {
+          return jsonResponse({ success: false, error: 'An A/B test needs two to four variants' }, 400);
+        }
+        if (variants.some((variant: any) => !variant?.subject || !variant?.bodyText)) {
+          return jsonResponse({ success: false, error: 'Every variant needs a subject and bodyText' }, 400);
+        }
+        if (recipients.length < variants.length) {
+          return jsonResponse({ success: false, error: 'An A/B test needs at least one recipient per variant' }, 400);
+        }
+      }
+      const abTest = variants ? { enabled: true, ...normalizeAbTestSettings(body.abTest) } : {};
+
+      // Every merge field must be fillable for every recipient, from its own
+      // value or a fallback; sending "Hi ," is worse than not sending.
+      const mergeFallbacks = normalizeMergeFallbacks(body.mergeFallbacks);
+      const mergeCheck = validateMergeFields(
+        [subject, bodyText, bodyHtml, ...(variants || []).flatMap((variant: any) => [variant.subject, variant.bodyText, variant.bodyHtml])],
+        { recipients, fallbacks: mergeFallbacks },
+      );
+      if (!mergeCheck.valid) {
+        return jsonResponse({ success: false, error: describeMergeFieldProblems(mergeCheck), mergeFields: mergeCheck }, 400);
+      }
+
+      const hourlyLimit = body.hourlyLimit ? Math.floor(Number(body.hourlyLimit)) : null;
+      const dailyLimit = body.dailyLimit ? Math.floor(Number(body.dailyLimit)) : null;
+      if ((hourlyLimit !== null && !(hourlyLimit > 0)) || (dailyLimit !== null && !(dailyLimit > 0))) {
+        return jsonResponse({ success: false, error: 'Sending caps must be positive whole numbers' }, 400);
+      }
 
-      // Check if tenant already has an active campaign (status queued or sending)
+      // scheduledAt without an offset is wall-clock time in the tenant timezone.
+      const { data: tenantRows } = await client.database
+        .from('tenants')
+        .select('default_timezone')
+        .eq('id', tenantId)
+        .limit(1);
+      const scheduleTimezone = normalizedTimeZone(tenantRows?.[0]?.default_timezone);
+      const scheduledAt = body.scheduledAt ? scheduledTimeToUtc(body.scheduledAt, scheduleTimezone) : null;
+      if (body.scheduledAt && !scheduledAt) {
+        return jsonResponse({ success: false, error: 'scheduledAt is not a valid date and time' }, 400);
+      }
+      const isScheduled = Boolean(scheduledAt && scheduledAt.getTime() > Date.now());
+
+      // Check if tenant already has an active campaign (status queued or sending).
+      // A scheduled campaign waits for it instead.
       const { data: activeCampaigns, error: checkError } = await client.database
         .from('tenant_bulk_email_campaigns')
         .select('id, name')
@@ -297,7 +1557,7 @@ export default async function(req: Request): Promise<Response> {
         .limit(1);
 
       if (checkError) throw new Error(checkError.message);
-      if (activeCampaigns?.length) {
+      if (activeCampaigns?.length && !isScheduled) {
         return jsonResponse({
           success: false,
           error: `Another campaign is currently active: "${activeCampaigns[0].name}". Tenants can only run one active campaign at a time.`,
@@ -325,12 +1585,33 @@ export default async function(req: Request): Promise<Response> {
           subject,
           body_text: bodyText,
           body_html: bodyHtml || null,
-          metadata: metadata && typeof metadata === 'object' ? metadata : {},
+          metadata: {
+            ...(metadata && typeof metadata === 'object' ? metadata : {}),
+            ...(segmentResult
+              ? {
+                  segment: {
+                    name: segmentRow?.name || null,
+                    filters: segmentResult.filters,
+                    matchedCount: segmentResult.matchedCount,
+                  },
+                }
+              : {}),
+          },
+          ab_test: abTest,
+          merge_fallbacks: mergeFallbacks,
+          template_id: body.templateId || null,
+          segment_id: segmentRow?.id || null,
+          excluded_count: segmentResult?.excluded.length || 0,
+          sender_identity_id: senderIdentity?.[0]?.id || null,
           from_email: resolvedFromEmail,
           from_name: resolvedFromName,
           recipient_count: recipients.length,
-          status: 'sending',
-          started_at: new Date().toISOString(),
+          scheduled_at: scheduledAt ? scheduledAt.toISOString() : null,
+          schedule_timezone: scheduleTimezone,
+          hourly_limit: hourlyLimit,
+          daily_limit: dailyLimit,
+          status: isScheduled ? 'scheduled' : 'sending',
+          started_at: isScheduled ? null : new Date().toISOString(),
         }])
         .select();
 
@@ -340,14 +1621,45 @@ export default async function(req: Request): Promise<Response> {
 
       const campaignId = campaign[0].id;
 
-      // Insert recipients
-      const recipientPayloads = recipients.map((r: any) => ({
+      let variantRows: any[] = [];
+      if (variants) {
+        const { data: insertedVariants, error: variantError } = await client.database
+          .from('tenant_bulk_email_variants')
+          .insert(variants.map((variant: any, index: number) => ({
+            tenant_id: tenantId,
+            campaign_id: campaignId,
+            label: AB_TEST_VARIANT_LABELS[index],
+            subject: variant.subject,
+            body_text: variant.bodyText,
+            body_html: variant.bodyHtml || null,
+          })))
+          .select();
+
+        if (variantError || !insertedVariants?.length) {
+          await client.database.from('tenant_bulk_email_campaigns').delete().eq('id', campaignId);
+          throw new Error(variantError?.message || 'Failed to create campaign variants');
+        }
+        variantRows = insertedVariants.sort((left: any, right: any) => String(left.label).localeCompare(String(right.label)));
+      }
+
+      // Insert recipients. For an A/B test a random slice is dealt the
+      // variants in turn; the rest wait for the winner.
+      const ordered = variants ? shuffled(recipients) : recipients;
+      const sliceSize = variants ? abTestSliceSize(ordered.length, variantRows.length, (abTest as any).testPercent) : 0;
+      const recipientPayloads = ordered.map((r: any, index: number) => ({
         tenant_id: tenantId,
         campaign_id: campaignId,
         email: r.email,
         name: firstNonEmpty(r.name, r.leadName, r.fullName, r.full_name) || null,
         custom_fields: r.customFields || {},
+        lead_id: segmentResult ? r.leadId : null,
         status: 'pending',
+        ...(variants
+          ? {
+              ab_group: index < sliceSize ? 'test' : 'remainder',
+              variant_id: index < sliceSize ? variantRows[index % variantRows.length].id : null,
+            }
+          : {}),
       }));
 
       const { error: recipientError } = await client.database
@@ -360,7 +1672,72 @@ export default async function(req: Request): Promise<Response> {
         throw new Error(recipientError.message || 'Failed to insert recipients');
       }
 
-      return jsonResponse({ success: true, campaign: campaign[0] });
+      if (segmentRow) {
+        await client.database
+          .from('tenant_lead_segments')
+          .update({ last_resolved_count: recipients.length, last_resolved_at: new Date().toISOString() })
+          .eq('id', segmentRow.id);
+      }
+
+      return jsonResponse({
+        success: true,
+        campaign: campaign[0],
+        variants: variantRows,
+        ...(segmentResult ? { matchedCount: segmentResult.matchedCount, excluded: segmentResult.excluded } : {}),
+      });
+    }
+
+    // Sends one rendered copy to the signed-in user, with the chosen
+    // recipient's merge values, so the template can be checked in a real
+    // inbox before launch. Nothing is recorded against the recipient.
+    if (action === 'send-test') {
+      const { subject, bodyText, bodyHtml } = body;
+      if (!subject || !bodyText) return jsonResponse({ success: false, error: 'subject and bodyText are required' }, 400);
+
+      const { data: currentUser } = await client.auth.getCurrentUser();
+      const testEmail = currentUser?.user?.email || parseJwt(userToken)?.email;
+      if (!testEmail) return jsonResponse({ success: false, error: 'Your account has no email address to send the test to' }, 400);
+
+      const apiKey = Deno.env.get('RESEND_API_KEY');
+      if (!apiKey) throw new Error('RESEND_API_KEY is not configured');
+
+      const { data: senderIdentity } = await client.database
+        .from('tenant_email_identities')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .eq('verified_status', 'verified')
+        .limit(1);
+      const fromEmail = senderIdentity?.[0]?.from_email || Deno.env.get('EMAIL_FROM') || 'hello@setmymeet.ca';
+      const fromName = senderIdentity?.[0]?.from_name || Deno.env.get('EMAIL_FROM_NAME') || 'Outreach Manager';
+
+      const sample = body.recipient && typeof body.recipient === 'object' ? body.recipient : {};
+      const mergeValues = recipientMergeValues(
+        { ...sample, name: leadNameFromRecipient({ name: sample.name, custom_fields: sample.customFields }) },
+        { senderName: fromName, senderEmail: fromEmail, companyName: fromName, unsubscribeUrl: '#unsubscribe' },
+      );
+      const mergeOptions = { fallbacks: body.mergeFallbacks };
+      const renderedSubject = renderMergeFields(subject, mergeValues, mergeOptions);
+      const renderedText = renderMergeFields(bodyText, mergeValues, mergeOptions);
+      const renderedHtml = bodyHtml
+        ? renderMergeFields(bodyHtml, mergeValues, { ...mergeOptions, escape: true })
+        : buildFallbackEmailHtml(renderedSubject, renderedText);
+
+      const sendRes = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          from: `${fromName} <${fromEmail}>`,
+          to: [testEmail],
+          subject: `[Test] ${renderedSubject}`,
+          text: renderedText,
+          html: renderedHtml,
+        }),
+      });
+      const resJson = await sendRes.json().catch(() => ({}));
+      if (!sendRes.ok) {
+        return jsonResponse({ success: false, error: resJson?.message || resJson?.error || `Resend failed with HTTP ${sendRes.status}` }, 502);
+      }
+      return jsonResponse({ success: true, sentTo: testEmail, providerMessageId: resJson?.id || null });
     }
 
     if (action === 'tick') {
@@ -379,136 +1756,7 @@ export default async function(req: Request): Promise<Response> {
         return jsonResponse({ success: false, error: 'Campaign not found' }, 404);
       }
 
-      const campaign = campaignData[0];
-      if (campaign.status === 'paused') {
-        return jsonResponse({ success: true, message: 'Campaign is paused', status: 'paused' });
-      }
-      if (campaign.status === 'completed' || campaign.status === 'failed') {
-        return jsonResponse({ success: true, message: 'Campaign already completed/failed', status: campaign.status });
-      }
-
-      // Get the next pending recipient batch. Keep a sane per-invocation cap so
-      // a large upload does not hold the function open indefinitely.
-      const { data: pendingRecipients, error: pendingError } = await client.database
-        .from('tenant_bulk_email_recipients')
-        .select('*')
-        .eq('campaign_id', campaignId)
-        .eq('status', 'pending')
-        .order('created_at', { ascending: true })
-        .limit(BULK_EMAIL_BATCH_SIZE);
-
-      if (pendingError) throw new Error(pendingError.message);
-
-      if (!pendingRecipients || pendingRecipients.length === 0) {
-        // Complete campaign
-        await client.database
-          .from('tenant_bulk_email_campaigns')
-          .update({ status: 'completed', completed_at: new Date().toISOString() })
-          .eq('id', campaignId);
-
-        return jsonResponse({ success: true, status: 'completed', message: 'No more pending recipients' });
-      }
-
-      // Update status of campaign to sending if not already
-      if (campaign.status === 'queued') {
-        await client.database
-          .from('tenant_bulk_email_campaigns')
-          .update({ status: 'sending', started_at: new Date().toISOString() })
-          .eq('id', campaignId);
-      }
-
-      const apiKey = Deno.env.get('RESEND_API_KEY');
-      if (!apiKey) throw new Error('RESEND_API_KEY is not configured');
-      const resendFrom = `${campaign.from_name} <${campaign.from_email}>`;
-
-      const results = [];
-      for (const recipient of pendingRecipients) {
-        const nameForSub = leadNameFromRecipient(recipient);
-        const placeholderValues = {
-          leadName: nameForSub,
-          senderName: campaign.from_name || '',
-          senderEmail: campaign.from_email || '',
-          companyName: campaign.from_name || 'SetMyMeet',
-        };
-        const personalizedSubject = substitutePlaceholders(campaign.subject, placeholderValues);
-        const personalizedBody = substitutePlaceholders(campaign.body_text, placeholderValues);
-        const personalizedHtml = campaign.body_html
-          ? substitutePlaceholders(campaign.body_html, placeholderValues)
-          : buildFallbackEmailHtml(personalizedSubject, personalizedBody);
-
-        const sendRes = await fetch('https://api.resend.com/emails', {
-          method: 'POST',
-          headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            from: resendFrom,
-            to: [recipient.email],
-            subject: personalizedSubject,
-            text: personalizedBody,
-            html: personalizedHtml,
-            headers: {
-              'X-Bulk-Campaign-Id': campaignId,
-            },
-          }),
-        });
-
-        const resJson = await sendRes.json().catch(() => ({}));
-        if (!sendRes.ok) {
-          const errorMsg = resJson?.message || resJson?.error || `Resend failed with HTTP ${sendRes.status}`;
-          await client.database
-            .from('tenant_bulk_email_recipients')
-            .update({
-              status: 'failed',
-              sent_at: new Date().toISOString(),
-              failed_at: new Date().toISOString(),
-              error_message: errorMsg,
-            })
-            .eq('id', recipient.id);
-          results.push({ email: recipient.email, sent: false, error: errorMsg });
-        } else {
-          await client.database
-            .from('tenant_bulk_email_recipients')
-            .update({
-              status: 'sent',
-              sent_at: new Date().toISOString(),
-              provider_message_id: resJson?.id,
-            })
-            .eq('id', recipient.id);
-          results.push({ email: recipient.email, sent: true });
-        }
-      }
-
-      const { data: statusRows } = await client.database
-        .from('tenant_bulk_email_recipients')
-        .select('status')
-        .eq('campaign_id', campaignId);
-
-      const rows = statusRows || [];
-      const pendingCount = rows.filter((row: any) => row.status === 'pending').length;
-      const deliveredCount = rows.filter((row: any) => row.status === 'delivered').length;
-      const failedCount = rows.filter((row: any) => ['failed', 'bounced'].includes(row.status)).length;
-      const sentCount = rows.filter((row: any) => row.status !== 'pending').length;
-      const nextStatus = pendingCount === 0 ? 'completed' : 'sending';
-
-      await client.database
-        .from('tenant_bulk_email_campaigns')
-        .update({
-          sent_count: sentCount,
-          delivered_count: deliveredCount,
-          failed_count: failedCount,
-          status: nextStatus,
-          completed_at: pendingCount === 0 ? new Date().toISOString() : null,
-        })
-        .eq('id', campaignId);
-
-      return jsonResponse({
-        success: true,
-        status: nextStatus,
-        processed: results.length,
-        sent: results.filter((result) => result.sent).length,
-        failed: results.filter((result) => !result.sent).length,
-        pending: pendingCount,
-        results,
-      });
+      return jsonResponse({ success: true, ...(await advanceCampaign(client, campaignData[0])) });
     }
 
     if (action === 'pause-campaign') {
@@ -530,6 +1778,26 @@ export default async function(req: Request): Promise<Response> {
       const campaignId = body.campaignId;
       if (!campaignId) return jsonResponse({ success: false, error: 'campaignId is required' }, 400);
 
+      // A campaign paused before its scheduled time goes back to waiting for it.
+      const { data: pausedRows } = await client.database
+        .from('tenant_bulk_email_campaigns')
+        .select('scheduled_at, started_at')
+        .eq('tenant_id', tenantId)
+        .eq('id', campaignId)
+        .limit(1);
+      const paused = pausedRows?.[0];
+      if (paused && !paused.started_at && paused.scheduled_at && new Date(paused.scheduled_at).getTime() > Date.now()) {
+        const { data, error } = await client.database
+          .from('tenant_bulk_email_campaigns')
+          .update({ status: 'scheduled' })
+          .eq('tenant_id', tenantId)
+          .eq('id', campaignId)
+          .select();
+
+        if (error) throw new Error(error.message);
+        return jsonResponse({ success: true, campaign: data?.[0] });
+      }
+
       // Check if tenant has another campaign active
       const { data: activeCampaigns } = await client.database
         .from('tenant_bulk_email_campaigns')
@@ -1507,6 +1507,50 @@ async function recordCallOutcome(db: any, context: JsonRecord, input: JsonRecord
   return { success: true, outcome, conversationId: conversation.id, lifecycle: lifecycleEvaluation };
 }
 
+// Finds the call the tool fired on and asks twilio-voice-webhook to
+// warm-transfer it. Escalations outside a live call only flag the lead. A
+// session id from the tool payload is only used when it is a live call of
+// the resolved tenant and lead.
+async function transferLiveCall(db: any, context: JsonRecord, input: JsonRecord, reason: string) {
+  const requestedSessionId = firstValue(input.voiceCallSessionId, input.voice_call_session_id);
+  let query = db.database
+    .from('voice_call_sessions')
+    .select('id')
+    .eq('tenant_id', context.tenantId)
+    .eq('status', 'in_progress');
+  if (context.leadId) query = query.eq('lead_id', context.leadId);
+  if (requestedSessionId) query = query.eq('id', requestedSessionId);
+  const sessions = await unwrap(
+    await query.order('created_at', { ascending: false }).limit(1),
+    'Failed to load live voice call'
+  );
+  const sessionId = sessions?.[0]?.id || null;
+  if (!sessionId && requestedSessionId) {
+    return { success: false, code: 'SESSION_MISMATCH', error: 'The voice call is not a live call for this lead' };
+  }
+  if (!sessionId) return { success: false, code: 'NO_LIVE_CALL' };
+
+  const functionBaseUrl = Deno.env.get('INSFORGE_FUNCTION_BASE_URL');
+  if (!functionBaseUrl) return { success: false, error: 'INSFORGE_FUNCTION_BASE_URL is not configured' };
+  const secret = Deno.env.get('VOICE_BRIDGE_CONTEXT_SECRET');
+  if (!secret) return { success: false, error: 'VOICE_BRIDGE_CONTEXT_SECRET is not configured' };
+  try {
+    const response = await fetch(`${functionBaseUrl.replace(/\/$/, '')}/twilio-voice-webhook?mode=transfer`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Voice-Bridge-Secret': secret,
+      },
+      body: JSON.stringify({ voiceCallSessionId: sessionId, reason, source: 'elevenlabs_escalate_to_human' }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) return { success: false, error: data?.error || `Call transfer failed with ${response.status}` };
+    return data;
+  } catch (error: any) {
+    return { success: false, error: safeError(error, 'Call transfer failed') };
+  }
+}
+
 async function escalateToHuman(db: any, context: JsonRecord, input: JsonRecord) {
   const reason = String(firstValue(input.reason, input.escalationReason, input.escalation_reason, 'AI agent requested human review'));
   const rows = await unwrap(
@@ -1539,7 +1583,15 @@ async function escalateToHuman(db: any, context: JsonRecord, input: JsonRecord)
     blockedReason: 'human_review',
     metadata: { source: 'elevenlabs_escalate_to_human' },
   });
-  return { success: true, lead: publicLead(rows?.[0] || context.lead) };
+  const transfer = await transferLiveCall(db, context, input, reason);
+  return {
+    success: true,
+    lead: publicLead(rows?.[0] || context.lead),
+    transfer,
+    nextStep: transfer?.success
+      ? 'The call is being transferred to a team member now.'
+      : 'No team member can be connected live. Tell the lead someone from the team will follow up.',
+  };
 }
 
 async function markOptOut(db: any, context: JsonRecord, input: JsonRecord) {
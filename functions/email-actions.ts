@@ -208,6 +208,16 @@ async function assertEmailAllowed(lead: any) {
   if (!lead.email_consent) throw new Error('Missing email consent');
 }
 
+// Unsubscribes, hard bounces and complaints are tenant-wide, so the check is
+// by address rather than by lead.
+async function assertNotSuppressed(client: any, tenantId: string, email: any) {
+  for (const address of (Array.isArray(email) ? email : [email]).filter(Boolean)) {
+    const { data, error } = await client.database.rpc('get_email_suppression', { p_tenant_id: tenantId, p_email: address });
+    if (error) throw new Error(error.message || 'Failed to check the email suppression list');
+    if (data?.suppressed) throw new Error(`Recipient is on the suppression list (${data.reason})`);
+  }
+}
+
 function safeSenderName(value: any) {
   return String(value || '').trim().replace(/[<>]/g, '').slice(0, 80);
 }
@@ -417,6 +427,7 @@ async function sendAutomatedEmail(client: any, action: string, input: any) {
   const tenantId = requiredTenantId(input);
   const context = await loadEmailContext(client, tenantId, input);
   await assertEmailAllowed(context.lead);
+  await assertNotSuppressed(client, tenantId, firstValue(input.to, input.toEmail, input.to_email));
   const sender = await resolveSender(client, tenantId, context.agent);
   const draft = deterministicBookingDraft(action, context, input) || await draftWithOpenAI(action, context, input);
   const resend = await sendViaResend({ ...input, ...draft }, sender);
@@ -431,6 +442,7 @@ async function queueEmailIntent(client: any, input: any) {
   const sender = await resolveSender(client, tenantId, context.agent);
   const toEmail = firstValue(input.to, input.toEmail, input.to_email, context.lead?.email);
   if (!toEmail) throw new Error('Recipient email is required');
+  await assertNotSuppressed(client, tenantId, toEmail);
   return recordDelivery(client, tenantId, { ...input, to: toEmail }, sender, null, null, 'pending');
 }
 
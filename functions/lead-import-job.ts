@@ -0,0 +1,1190 @@
+import { createAdminClient, createClient } from 'npm:@insforge/sdk';
+
+const IMPORT_BUCKET = 'lead-imports';
+const CHUNK_SIZE = 500;
+// A scheduled run stops starting new chunks after this long, so it returns
+// well inside the Function timeout; the next run picks up where it stopped.
+const TICK_BUDGET_MS = 45000;
+const CHUNK_CLAIM_STALE_MS = 10 * 60 * 1000;
+const SCHEDULED_JOBS_PER_RUN = 10;
+const CHANNELS = ['call', 'sms', 'whatsapp', 'email'];
+const DUPLICATE_MODES = ['skip', 'fill_empty', 'overwrite', 'create'];
+const ACTIVE_STATUSES = ['queued', 'processing'];
+const CUSTOM_FIELD_PREFIX = 'custom:';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Lead-Import-Secret',
+};
+
+type JsonRecord = Record<string, any>;
+
+function optionsResponse() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+function jsonResponse(data: unknown, status = 200) {
+  return Response.json(data, { status, headers: corsHeaders });
+}
+
+function safeError(error: any, fallback = 'Lead import job failed') {
+  const message = error?.message || fallback;
+  if (/permission denied for function resolve_current_portal_user/i.test(message)) {
+    return 'Authentication required';
+  }
+  return message;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function bearerToken(req: Request) {
+  const authorization = req.headers.get('authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7) : '';
+}
+
+function schedulerSecret() {
+  return Deno.env.get('LEAD_IMPORT_SCHEDULER_SECRET') || '';
+}
+
+function timingSafeEqual(a: string, b: string) {
+  const left = new TextEncoder().encode(a);
+  const right = new TextEncoder().encode(b);
+  if (left.length !== right.length) return false;
+  let diff = 0;
+  for (let index = 0; index < left.length; index += 1) diff |= left[index] ^ right[index];
+  return diff === 0;
+}
+
+function assertSchedulerAuthorized(req: Request) {
+  const expected = schedulerSecret();
+  if (!expected) throw new Error('Lead import scheduler secret is not configured');
+  const provided = req.headers.get('x-lead-import-secret') || bearerToken(req);
+  if (!timingSafeEqual(provided, expected)) throw new Error('Unauthorized lead import scheduler request');
+}
+
+function createInsForgeClient(req: Request) {
+  const token = bearerToken(req);
+  return createClient({
+    baseUrl: Deno.env.get('INSFORGE_BASE_URL'),
+    anonKey: Deno.env.get('ANON_KEY'),
+    ...(token ? { edgeFunctionToken: token } : {}),
+  });
+}
+
+function createInsForgeAdminClient() {
+  const apiKey = Deno.env.get('API_KEY');
+  if (!apiKey) return null;
+  return createAdminClient({
+    baseUrl: Deno.env.get('INSFORGE_BASE_URL'),
+    apiKey,
+  });
+}
+
+async function unwrap(result: any, message: string) {
+  if (result?.error) throw new Error(result.error.message || message);
+  return result?.data;
+}
+
+async function resolvePortalUser(db: any) {
+  const portalUser = await unwrap(
+    await db.database.rpc('resolve_current_portal_user'),
+    'Authentication required'
+  );
+  if (!portalUser?.tenantId) throw new Error('Tenant context is required');
+  return portalUser;
+}
+
+async function resolvePlatformAdminProfile(db: any) {
+  const profile = await unwrap(
+    await db.database.rpc('current_platform_admin_profile'),
+    'Failed to check platform admin profile'
+  );
+  return profile || { isPlatformAdmin: false };
+}
+
+function requireTenant(portalUser: JsonRecord, requestedTenantId: string | undefined, platformProfile: JsonRecord) {
+  if (platformProfile?.isPlatformAdmin) return requestedTenantId || portalUser.tenantId;
+  if (requestedTenantId && requestedTenantId !== portalUser.tenantId) {
+    throw new Error('Requested tenant does not match signed-in tenant');
+  }
+  return portalUser.tenantId;
+}
+
+function snakeKey(key: string) {
+  return key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+}
+
+function camelKey(key: string) {
+  return key.replace(/_([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+}
+
+// Lead rows are built in the frontend's camelCase shape (see
+// frontend/lib/lead-import.js) and converted at the database boundary.
+function toDbRecord(record: JsonRecord) {
+  return Object.fromEntries(Object.entries(record).map(([key, value]) => [snakeKey(key), value]));
+}
+
+function fromDbRecord(record: JsonRecord) {
+  return Object.fromEntries(Object.entries(record || {}).map(([key, value]) => [camelKey(key), value]));
+}
+
+// E.164 normalization, copied from frontend/lib/phone.js. Keep in sync with
+// that file and the copies in meta-lead-intake.ts and twilio-sms-webhook.ts.
+const PHONE_COUNTRIES: any[] = [
+  { code: 'US', dial: '1', trunk: '1', lengths: [10], tollFree: /^8(00|33|44|55|66|77|88)/, premium: /^900/, names: ['united states', 'united states of america', 'usa', 'america'] },
+  { code: 'CA', dial: '1', trunk: '1', lengths: [10], tollFree: /^8(00|33|44|55|66|77|88)/, premium: /^900/, names: ['canada'] },
+  { code: 'GB', dial: '44', trunk: '0', lengths: [10], mobile: /^7[1-9]/, tollFree: /^80/, premium: /^9/, names: ['united kingdom', 'uk', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland'] },
+  { code: 'IE', dial: '353', trunk: '0', lengths: [7, 8, 9], mobile: /^8[3-9]/, tollFree: /^1800/, names: ['ireland', 'republic of ireland', 'eire'] },
+  { code: 'AU', dial: '61', trunk: '0', lengths: [9], mobile: /^4/, tollFree: /^1800/, names: ['australia'] },
+  { code: 'NZ', dial: '64', trunk: '0', lengths: [8, 9, 10], mobile: /^2/, tollFree: /^800/, names: ['new zealand'] },
+  { code: 'ZA', dial: '27', trunk: '0', lengths: [9], mobile: /^[678]/, tollFree: /^80/, names: ['south africa'] },
+  { code: 'NG', dial: '234', trunk: '0', lengths: [10], mobile: /^[789][01]/, names: ['nigeria'] },
+  { code: 'KE', dial: '254', trunk: '0', lengths: [9], mobile: /^[17]/, names: ['kenya'] },
+  { code: 'GH', dial: '233', trunk: '0', lengths: [9], mobile: /^[25]/, names: ['ghana'] },
+  { code: 'IN', dial: '91', trunk: '0', lengths: [10], mobile: /^[6-9]/, tollFree: /^1800/, names: ['india'] },
+  { code: 'DE', dial: '49', trunk: '0', lengths: [7, 8, 9, 10, 11], mobile: /^1[5-7]/, tollFree: /^800/, names: ['germany', 'deutschland'] },
+  { code: 'FR', dial: '33', trunk: '0', lengths: [9], mobile: /^[67]/, tollFree: /^80/, premium: /^89/, names: ['france'] },
+  { code: 'ES', dial: '34', lengths: [9], mobile: /^[67]/, tollFree: /^900/, names: ['spain', 'espana'] },
+  { code: 'IT', dial: '39', lengths: [6, 7, 8, 9, 10, 11], mobile: /^3/, tollFree: /^800/, names: ['italy', 'italia'] },
+  { code: 'NL', dial: '31', trunk: '0', lengths: [9], mobile: /^6/, tollFree: /^800/, names: ['netherlands', 'the netherlands', 'holland'] },
+  { code: 'BE', dial: '32', trunk: '0', lengths: [8, 9], mobile: /^4/, tollFree: /^800/, names: ['belgium'] },
+  { code: 'PT', dial: '351', lengths: [9], mobile: /^9/, tollFree: /^800/, names: ['portugal'] },
+  { code: 'SE', dial: '46', trunk: '0', lengths: [7, 8, 9], mobile: /^7/, names: ['sweden'] },
+  { code: 'CH', dial: '41', trunk: '0', lengths: [9], mobile: /^7[5-9]/, tollFree: /^800/, names: ['switzerland'] },
+  { code: 'PL', dial: '48', lengths: [9], names: ['poland'] },
+  { code: 'BR', dial: '55', trunk: '0', lengths: [10, 11], mobile: /^\d{2}9/, names: ['brazil', 'brasil'] },
+  { code: 'MX', dial: '52', lengths: [10], names: ['mexico'] },
+  { code: 'AE', dial: '971', trunk: '0', lengths: [8, 9], mobile: /^5/, tollFree: /^800/, names: ['united arab emirates', 'uae', 'dubai', 'abu dhabi'] },
+  { code: 'SG', dial: '65', lengths: [8], mobile: /^[89]/, tollFree: /^1800/, names: ['singapore'] },
+  { code: 'PH', dial: '63', trunk: '0', lengths: [10], mobile: /^9/, names: ['philippines'] },
+  { code: 'JP', dial: '81', trunk: '0', lengths: [9, 10], mobile: /^[789]0/, tollFree: /^120/, names: ['japan'] },
+];
+
+const US_REGIONS = new Set('AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY'.split(' '));
+const CA_REGIONS = new Set('AB BC MB NB NL NS NT NU ON PE QC SK YT'.split(' '));
+const UK_POSTCODE = /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/i;
+const PHONE_COUNTRY_BY_CODE = new Map(PHONE_COUNTRIES.map((country) => [country.code, country]));
+const DIAL_CODES = [...new Set(PHONE_COUNTRIES.map((country) => country.dial))].sort((a, b) => b.length - a.length);
+
+function countryFromText(value: unknown) {
+  const raw = String(value || '').trim();
+  if (/^[A-Za-z]{2}$/.test(raw)) {
+    const upper = raw.toUpperCase();
+    if (upper === 'UK') return 'GB';
+    if (PHONE_COUNTRY_BY_CODE.has(upper)) return upper;
+  }
+  const text = raw.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!text) return null;
+  const padded = ` ${text} `;
+  return PHONE_COUNTRIES.find((country) => country.names.some((name: string) => padded.includes(` ${name} `)))?.code || null;
+}
+
+function countryFromLocation(locationSummary: unknown) {
+  const location = String(locationSummary || '').trim();
+  if (!location) return null;
+  const segments = location.split(/[,/|]/).map((segment) => segment.trim()).filter(Boolean).reverse();
+  for (const segment of segments) {
+    const region = segment.match(/^([A-Za-z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/)?.[1]?.toUpperCase();
+    if (region && US_REGIONS.has(region)) return 'US';
+    if (region && CA_REGIONS.has(region)) return 'CA';
+    const country = countryFromText(segment);
+    if (country) return country;
+  }
+  return UK_POSTCODE.test(location) ? 'GB' : null;
+}
+
+function nationalPhoneFor(country: any, digits: string) {
+  if (country.trunk && digits.startsWith(country.trunk) && country.lengths.includes(digits.length - country.trunk.length)) {
+    return digits.slice(country.trunk.length);
+  }
+  return country.lengths.includes(digits.length) ? digits : null;
+}
+
+function countryForDial(dial: string, preferred?: string | null) {
+  if (preferred && PHONE_COUNTRY_BY_CODE.get(preferred)?.dial === dial) return PHONE_COUNTRY_BY_CODE.get(preferred);
+  return PHONE_COUNTRIES.find((country) => country.dial === dial) || null;
+}
+
+// Returns { e164, country, nationalNumber }; e164 is null when the number
+// cannot be normalized. National numbers take the country from the lead
+// location, then the tenant's country.
+function normalizePhoneNumber(value: unknown, options: { defaultCountry?: unknown; locationSummary?: unknown } = {}) {
+  const input = String(value || '').trim().replace(/^(whatsapp|messenger|tel|sms):/i, '').replace(/\s*(?:ext\.?|extension|x|#)\s*\d+\s*$/i, '');
+  const result: { e164: string | null; country: string | null; nationalNumber: string | null } = { e164: null, country: null, nationalNumber: null };
+  let digits = input.replace(/\D/g, '');
+  if (!digits) return result;
+  const inferred = countryFromLocation(options.locationSummary) || countryFromText(options.defaultCountry);
+  let international = input.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  let country: any = null;
+  let nationalNumber: string | null = null;
+  if (international) {
+    const dial = DIAL_CODES.find((code) => digits.startsWith(code));
+    if (!dial) {
+      if (digits.length >= 8 && digits.length <= 15) result.e164 = `+${digits}`;
+      return result;
+    }
+    country = countryForDial(dial, inferred);
+    nationalNumber = nationalPhoneFor(country, digits.slice(dial.length));
+  } else if (inferred) {
+    country = PHONE_COUNTRY_BY_CODE.get(inferred);
+    nationalNumber = nationalPhoneFor(country, digits);
+    if (!nationalNumber && digits.startsWith(country.dial)) nationalNumber = nationalPhoneFor(country, digits.slice(country.dial.length));
+  } else {
+    const dial = DIAL_CODES.find((code) => digits.startsWith(code) && countryForDial(code)?.lengths.includes(digits.length - code.length));
+    if (!dial) return result;
+    country = countryForDial(dial);
+    nationalNumber = digits.slice(dial.length);
+  }
+
+  result.country = country.code;
+  if (!nationalNumber) return result;
+  result.nationalNumber = nationalNumber;
+  result.e164 = `+${country.dial}${nationalNumber}`;
+  return result;
+}
+
+// Digit-only lookup keys for find_lead_import_matches: E.164 without the +,
+// and the national trunk form older leads may still be stored in.
+function phoneLookupDigits(phone: ReturnType<typeof normalizePhoneNumber>, raw: unknown) {
+  if (!phone.e164) {
+    const digits = String(raw || '').replace(/\D/g, '');
+    return digits ? [digits] : [];
+  }
+  const keys = [phone.e164.slice(1)];
+  const trunk = PHONE_COUNTRY_BY_CODE.get(phone.country || '')?.trunk;
+  if (trunk && phone.nationalNumber) keys.push(`${trunk}${phone.nationalNumber}`);
+  return [...new Set(keys)];
+}
+
+// Import file parsing, copied from frontend/lib/lead-import.js and
+// frontend/lib/xlsx-reader.js. The browser uploads the file as picked, so CSV,
+// TSV, semicolon or pipe delimited text in UTF-8, UTF-16 or Windows-1252, and
+// XLSX all arrive here.
+const DELIMITERS = [',', ';', '\t', '|'];
+
+function detectDelimiter(text: string) {
+  const sample = text.split(/\r\n|\n|\r/).filter((line) => line.trim()).slice(0, 5);
+  if (!sample.length) return ',';
+
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of DELIMITERS) {
+    const counts = sample.map((line) => {
+      let count = 0;
+      let quoted = false;
+      for (const char of line) {
+        if (char === '"') quoted = !quoted;
+        else if (char === delimiter && !quoted) count += 1;
+      }
+      return count;
+    });
+    const consistent = counts.every((count) => count === counts[0]);
+    const score = counts[0] * (consistent ? 2 : 1);
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+function decodeImportText(view: Uint8Array) {
+  if (view[0] === 0xff && view[1] === 0xfe) return new TextDecoder('utf-16le').decode(view.subarray(2));
+  if (view[0] === 0xfe && view[1] === 0xff) return new TextDecoder('utf-16be').decode(view.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(view).replace(/^\uFEFF/, '');
+  } catch {
+    return new TextDecoder('windows-1252').decode(view);
+  }
+}
+
+function parseCsvRecords(text: string, delimiter: string) {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  const records: { line: number; cells: string[] }[] = [];
+  let record: string[] = [];
+  let current = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    record.push(current.trim());
+    current = '';
+  };
+  const endRecord = () => {
+    endCell();
+    if (record.some((value) => value !== '')) records.push({ line: recordLine, cells: record });
+    record = [];
+    recordLine = line;
+  };
+
+  for (let index = 0; index < normalized.length; index += 1) {
+    const char = normalized[index];
+    if (quoted) {
+      if (char === '"' && normalized[index + 1] === '"') {
+        current += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        current += char;
+      }
+      continue;
+    }
+    if (char === '"') quoted = true;
+    else if (char === delimiter) endCell();
+    else if (char === '\n') {
+      line += 1;
+      endRecord();
+    } else current += char;
+  }
+  endRecord();
+  return records;
+}
+
+const XML_ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(value: unknown) {
+  return String(value || '').replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function xmlAttribute(tag: string, name: string) {
+  const match = tag.match(new RegExp('\\s' + name + '="([^"]*)"'));
+  return match ? decodeXml(match[1]) : null;
+}
+
+function readZipEntries(bytes: Uint8Array) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset -= 1) {
+    if (view.getUint32(offset, true) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('The file is not a valid .xlsx workbook');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = new Map<string, { method: number; data: Uint8Array }>();
+  const decoder = new TextDecoder();
+  for (let index = 0; index < entryCount; index += 1) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('The .xlsx workbook is damaged');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    if (view.getUint32(localOffset, true) !== 0x04034b50) throw new Error('The .xlsx workbook is damaged');
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    entries.set(name, { method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readZipText(entries: Map<string, { method: number; data: Uint8Array }>, name: string) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  if (entry.method === 0) return new TextDecoder().decode(entry.data);
+  if (entry.method !== 8) throw new Error('Unsupported compression in .xlsx workbook');
+  const stream = new Blob([entry.data as BlobPart]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+function columnIndex(reference: string) {
+  const letters = String(reference || '').match(/^[A-Z]+/i)?.[0]?.toUpperCase() || '';
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function textRuns(xml: string) {
+  return [...String(xml || '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((match) => decodeXml(match[1])).join('');
+}
+
+function xlsxCellValue(attributes: string, inner: string, sharedStrings: string[]) {
+  const type = xmlAttribute(attributes, 't');
+  if (type === 'inlineStr') return textRuns(inner);
+  const raw = decodeXml(inner.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? '');
+  if (type === 's') return sharedStrings[Number(raw)] ?? '';
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+  if ((!type || type === 'n') && /e/i.test(raw) && Number.isFinite(Number(raw))) return String(Number(raw));
+  return raw;
+}
+
+async function readXlsxRows(bytes: Uint8Array) {
+  const entries = readZipEntries(bytes);
+  const workbook = await readZipText(entries, 'xl/workbook.xml');
+  if (!workbook) throw new Error('The file is not a valid .xlsx workbook');
+  const sheetTag = workbook.match(/<sheet\b[^>]*>/)?.[0] || '';
+  const relationId = xmlAttribute(sheetTag, 'r:id');
+  const relations = await readZipText(entries, 'xl/_rels/workbook.xml.rels') || '';
+  const relationTag = [...relations.matchAll(/<Relationship\b[^>]*>/g)]
+    .map((match) => match[0])
+    .find((tag) => xmlAttribute(tag, 'Id') === relationId);
+  const target = (relationTag && xmlAttribute(relationTag, 'Target')) || 'worksheets/sheet1.xml';
+  const sheet = await readZipText(entries, target.startsWith('/') ? target.slice(1) : 'xl/' + target.replace(/^\.\//, ''));
+  if (!sheet) throw new Error('The .xlsx workbook has no worksheet');
+  const sharedXml = await readZipText(entries, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedXml ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((match) => textRuns(match[1])) : [];
+
+  const rows: { rowNumber: number; cells: string[] }[] = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells: string[] = [];
+    for (const cellMatch of String(rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = xmlAttribute(cellMatch[1], 'r');
+      cells[reference ? columnIndex(reference) : cells.length] = String(xlsxCellValue(cellMatch[1], cellMatch[2] || '', sharedStrings)).trim();
+    }
+    const filled = Array.from(cells, (value) => value ?? '');
+    if (filled.some((value) => value !== '')) rows.push({ rowNumber: Number(xmlAttribute(rowMatch[1], 'r')) || rows.length + 1, cells: filled });
+  }
+  return rows;
+}
+
+// Rows keep the file's own row numbers, so rejections and the error report
+// point at the line or sheet row the user sees.
+async function parseImportFile(bytes: Uint8Array, storageKey: string) {
+  const extension = storageKey.toLowerCase().split('.').pop();
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+  if (isZip || extension === 'xlsx') {
+    const [headerRow, ...rows] = await readXlsxRows(bytes);
+    return { headers: headerRow?.cells || [], rows };
+  }
+  const text = decodeImportText(bytes);
+  const [headerRecord, ...records] = parseCsvRecords(text, extension === 'tsv' ? '\t' : detectDelimiter(text.replace(/^\uFEFF/, '')));
+  return { headers: headerRecord?.cells || [], rows: records.map((record) => ({ rowNumber: record.line, cells: record.cells })) };
+}
+
+function csvCell(value: unknown) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function chunkKey(storageKey: string, index: number) {
+  return `${storageKey}.chunks/${String(index).padStart(5, '0')}.json`;
+}
+
+// The uploaded file is parsed once, when the job is created, and stored as
+// CHUNK_SIZE-row JSON chunks next to it; each tick downloads only the chunk
+// it is about to import.
+async function splitImportFile(db: any, storageKey: string) {
+  const { data: blob, error } = await db.storage.from(IMPORT_BUCKET).download(storageKey);
+  if (error || !blob) throw new Error(error?.message || 'Failed to download the import file');
+  const file = await parseImportFile(new Uint8Array(await blob.arrayBuffer()), storageKey);
+  const chunkCount = Math.ceil(file.rows.length / CHUNK_SIZE);
+  for (let index = 0; index < chunkCount; index += 1) {
+    const key = chunkKey(storageKey, index);
+    await db.storage.from(IMPORT_BUCKET).remove(key).catch(() => null);
+    const { error: uploadError } = await db.storage.from(IMPORT_BUCKET).upload(
+      key,
+      new Blob([JSON.stringify(file.rows.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE))], { type: 'application/json' })
+    );
+    if (uploadError) throw new Error(uploadError.message || 'Failed to store the import file');
+  }
+  return { headers: file.headers, totalRows: file.rows.length, chunkCount };
+}
+
+async function loadImportChunk(db: any, batch: JsonRecord, index: number) {
+  const { data: blob, error } = await db.storage.from(IMPORT_BUCKET).download(chunkKey(batch.storage_key, index));
+  if (error || !blob) throw new Error(error?.message || 'Failed to download the import chunk');
+  return JSON.parse(await blob.text()) as { rowNumber: number; cells: string[] }[];
+}
+
+async function removeImportFiles(db: any, batch: JsonRecord) {
+  if (!batch.storage_key) return;
+  for (let index = 0; index < Number(batch.chunk_count || 0); index += 1) {
+    await db.storage.from(IMPORT_BUCKET).remove(chunkKey(batch.storage_key, index)).catch(() => null);
+  }
+  await db.storage.from(IMPORT_BUCKET).remove(batch.storage_key).catch(() => null);
+}
+
+const TRUE_VALUES = new Set(['1', 'true', 'yes', 'y', 'consent', 'consented', 'allowed', 'allow', 'opted in', 'opt-in']);
+
+function coerceBoolean(value: unknown) {
+  return TRUE_VALUES.has(String(value ?? '').trim().toLowerCase());
+}
+
+function normalizePriority(value: string) {
+  const priority = value.toLowerCase();
+  return ['low', 'medium', 'high', 'urgent'].includes(priority) ? priority : 'medium';
+}
+
+function normalizePreferredChannel(value: string) {
+  const channel = value.toLowerCase().replace(/[\s_-]+/g, '_');
+  if (['phone', 'voice', 'call', 'calls', 'phone_call', 'phonecall', 'telephone'].includes(channel)) return 'call';
+  if (['sms', 'text', 'text_message'].includes(channel)) return 'sms';
+  if (['whatsapp', 'wa'].includes(channel)) return 'whatsapp';
+  return 'email';
+}
+
+function contactPolicy(lead: JsonRecord) {
+  return Object.fromEntries(CHANNELS.map((channel) => {
+    if (lead.doNotContact) return [channel, { allowed: false, reason: 'Lead is marked do not contact' }];
+    if (!lead[`${channel}Consent`]) return [channel, { allowed: false, reason: 'Missing channel consent' }];
+    return [channel, { allowed: true, reason: 'Consent is present' }];
+  }));
+}
+
+// Same rules as buildLeadImportPreview in frontend/lib/lead-import.js.
+function buildImportRow(cells: string[], rowNumber: number, columns: JsonRecord[], defaultCountry: string | null) {
+  const byField: Record<string, number> = {};
+  for (const column of columns) {
+    if (column.target && column.target !== 'ignore' && !String(column.target).startsWith(CUSTOM_FIELD_PREFIX)) byField[column.target] = column.index;
+  }
+  const cell = (field: string) => (byField[field] === undefined ? '' : String(cells[byField[field]] || '').trim());
+  const consent = (field: string) => {
+    const value = cell(field);
+    return value ? coerceBoolean(value) : true;
+  };
+
+  const email = cell('email').toLowerCase();
+  const rawPhone = cell('phone');
+  const locationSummary = cell('locationSummary');
+  const errors: string[] = [];
+  const phone = rawPhone ? normalizePhoneNumber(rawPhone, { defaultCountry, locationSummary }) : null;
+  const rawDigits = rawPhone.replace(/\D/g, '');
+
+  if (!email && !rawDigits) errors.push('Email or phone is required');
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('Email format is invalid');
+  if (rawDigits && rawDigits.length < 8) errors.push('Phone number is too short');
+  else if (phone && !phone.e164 && !email) errors.push('Phone number could not be normalized');
+
+  const customFields: JsonRecord = {};
+  const importedLeadData: JsonRecord = {};
+  for (const column of columns) {
+    const value = String(cells[column.index] || '').trim();
+    if (!value) continue;
+    if (String(column.target || '').startsWith(CUSTOM_FIELD_PREFIX)) customFields[column.target.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+    else if (column.target === null && column.header) importedLeadData[column.header] = value;
+  }
+
+  const firstName = cell('firstName');
+  const lastName = cell('lastName');
+  const tags = cell('tags').split(/[;,]/).map((tag) => tag.trim()).filter(Boolean);
+  const lead: JsonRecord = {
+    email: email || null,
+    firstName: firstName || null,
+    lastName: lastName || null,
+    fullName: cell('fullName') || [firstName, lastName].filter(Boolean).join(' ') || null,
+    phone: phone?.e164 || rawPhone || null,
+    company: cell('company') || null,
+    jobTitle: cell('jobTitle') || null,
+    website: cell('website') || null,
+    leadSource: cell('leadSource') || 'csv_import',
+    source: 'csv_import',
+    serviceInterest: cell('serviceInterest') || null,
+    locationSummary: locationSummary || null,
+    notes: cell('notes') || null,
+    tags: tags.length ? tags : null,
+    priority: normalizePriority(cell('priority')),
+    preferredContactChannel: normalizePreferredChannel(cell('preferredContactChannel')),
+    callConsent: consent('callConsent'),
+    smsConsent: consent('smsConsent'),
+    whatsappConsent: consent('whatsappConsent'),
+    emailConsent: consent('emailConsent'),
+    doNotContact: coerceBoolean(cell('doNotContact')),
+    optOutChannel: cell('optOutChannel') || null,
+    optOutReason: cell('optOutReason') || null,
+    qualificationStatus: 'unqualified',
+    qualificationScore: 0,
+    leadStage: 'new',
+    schedulingState: 'not_started',
+    status: 'new',
+    customFields: {
+      ...customFields,
+      ...(Object.keys(importedLeadData).length ? { importedLeadData } : {}),
+    },
+  };
+
+  const provided = new Set(Object.keys(byField).filter((field) => cell(field)));
+  if (provided.has('firstName') || provided.has('lastName')) provided.add('fullName');
+
+  return {
+    rowNumber,
+    lead,
+    errors,
+    provided,
+    emailKey: email,
+    phoneKeys: phone ? phoneLookupDigits(phone, rawPhone) : [],
+  };
+}
+
+const MERGE_FIELDS = [
+  'email', 'firstName', 'lastName', 'fullName', 'phone', 'company', 'jobTitle', 'website', 'leadSource',
+  'serviceInterest', 'locationSummary', 'notes', 'tags', 'priority', 'preferredContactChannel', 'optOutChannel', 'optOutReason',
+];
+
+function isEmptyValue(value: unknown) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function sameValue(left: unknown, right: unknown) {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+// Same rules as leadMergePatch in frontend/lib/lead-import.js.
+function leadMergePatch(existing: JsonRecord, incoming: JsonRecord, provided: Set<string>, mode: string) {
+  const patch: JsonRecord = {};
+  const change = (field: string, to: unknown) => {
+    if (!sameValue(existing[field], to)) patch[field] = to;
+  };
+
+  for (const field of MERGE_FIELDS) {
+    if (!provided.has(field) || isEmptyValue(incoming[field])) continue;
+    if (field === 'email' && String(existing.email || '').trim().toLowerCase() === incoming.email) continue;
+    if (field === 'phone' && normalizePhoneNumber(existing.phone, { locationSummary: existing.locationSummary }).e164 === incoming.phone) continue;
+    if (mode === 'overwrite' || isEmptyValue(existing[field])) change(field, incoming[field]);
+  }
+
+  for (const field of CHANNELS.map((channel) => `${channel}Consent`)) {
+    if (!provided.has(field)) continue;
+    if (incoming[field] === false && existing[field] !== false) change(field, false);
+  }
+
+  if (provided.has('doNotContact') && incoming.doNotContact === true && !existing.doNotContact) change('doNotContact', true);
+
+  const existingCustom = existing.customFields || {};
+  const mergedCustom: JsonRecord = { ...existingCustom };
+  for (const [key, value] of Object.entries(incoming.customFields || {})) {
+    if (key === 'importedLeadData') {
+      const existingImported = existingCustom.importedLeadData || {};
+      mergedCustom.importedLeadData = mode === 'overwrite'
+        ? { ...existingImported, ...(value as JsonRecord) }
+        : { ...(value as JsonRecord), ...existingImported };
+    } else if (mode === 'overwrite' || isEmptyValue(existingCustom[key])) {
+      mergedCustom[key] = value;
+    }
+  }
+  if (!sameValue(mergedCustom, existingCustom)) change('customFields', mergedCustom);
+
+  return patch;
+}
+
+async function loadTenantCountry(db: any, tenantId: string) {
+  const rows = await unwrap(
+    await db.database.from('tenants').select('country').eq('id', tenantId).limit(1),
+    'Failed to load tenant country'
+  );
+  return rows?.[0]?.country || null;
+}
+
+async function loadDefaultAgent(db: any, tenantId: string) {
+  const rows = await unwrap(
+    await db.database.from('tenant_agents').select('id,status').eq('tenant_id', tenantId)
+      .in('status', ['live', 'testing']).order('created_at', { ascending: true }).limit(1),
+    'Failed to load tenant agent'
+  );
+  return rows?.[0] || null;
+}
+
+async function loadBatch(db: any, tenantId: string, batchId: unknown) {
+  if (!batchId) throw new Error('batchId is required');
+  const rows = await unwrap(
+    await db.database.from('lead_import_batches').select('*').eq('tenant_id', tenantId).eq('id', String(batchId)).limit(1),
+    'Failed to load import job'
+  );
+  if (!rows?.[0]) throw Object.assign(new Error('Import job not found'), { code: 'JOB_NOT_FOUND' });
+  return rows[0];
+}
+
+async function updateBatch(db: any, batch: JsonRecord, patch: JsonRecord) {
+  const rows = await unwrap(
+    await db.database.from('lead_import_batches').update(patch).eq('tenant_id', batch.tenant_id).eq('id', batch.id).select(),
+    'Failed to update import job'
+  );
+  return rows?.[0] || { ...batch, ...patch };
+}
+
+async function findMatches(db: any, tenantId: string, rows: JsonRecord[]) {
+  const emails = [...new Set(rows.map((row) => row.emailKey).filter(Boolean))];
+  const phoneDigits = [...new Set(rows.flatMap((row) => row.phoneKeys))];
+  if (!emails.length && !phoneDigits.length) return [];
+  const leads = await unwrap(
+    await db.database.rpc('find_lead_import_matches', { p_tenant_id: tenantId, p_emails: emails, p_phone_digits: phoneDigits }),
+    'Failed to check for duplicate leads'
+  );
+  return (leads || []).map(fromDbRecord);
+}
+
+// Leads an earlier attempt at this chunk already created, by import row.
+async function findImportedRowLeads(db: any, batchId: string, rows: JsonRecord[]) {
+  if (!rows.length) return new Map();
+  const leads = await unwrap(
+    await db.database.rpc('find_lead_import_row_leads', { p_batch_id: batchId, p_row_numbers: rows.map((row) => row.rowNumber) }),
+    'Failed to check for leads this import already created'
+  );
+  return new Map((leads || []).map(fromDbRecord).map((lead: JsonRecord) => [Number(lead.customFields?.importRowNumber), lead]));
+}
+
+async function ensureImportCampaign(db: any, batch: JsonRecord, defaultAgent: JsonRecord | null) {
+  if (batch.campaign_id) {
+    const rows = await unwrap(
+      await db.database.from('campaigns').select('*').eq('tenant_id', batch.tenant_id).eq('id', batch.campaign_id).limit(1),
+      'Failed to load import campaign'
+    );
+    if (rows?.[0]) return rows[0];
+  }
+  const rows = await unwrap(
+    await db.database.from('campaigns').insert([{
+      tenant_id: batch.tenant_id,
+      name: `Import: ${batch.file_name || 'Lead import'} · ${new Date().toLocaleDateString()}`,
+      objective: 'OUTCOME_LEADS',
+      status: 'ACTIVE',
+      agent_id: defaultAgent?.id || null,
+      started_at: nowIso(),
+      channel_sequence: ['call', 'sms', 'email'],
+      retry_policy: { maxAttempts: 2, retryDelayMinutes: 60 },
+      stop_conditions: { booked: true, optedOut: true, doNotContact: true, notInterested: true, humanReview: true },
+      metadata: { source: 'lead_import', importBatchId: batch.id },
+    }]).select(),
+    'Failed to create import campaign'
+  );
+  batch.campaign_id = rows[0].id;
+  await updateBatch(db, batch, { campaign_id: rows[0].id });
+  return rows[0];
+}
+
+// Queues the first campaign step for newly inserted leads, as the
+// browser import did. Leads a failed attempt already enrolled, and
+// enrolments that already have their first action, are left as they are, so
+// a retried chunk enrols each lead once.
+async function enqueueCampaignLeads(db: any, batch: JsonRecord, inserted: JsonRecord[], defaultAgent: JsonRecord | null) {
+  const eligible = inserted.filter((lead) => !lead.doNotContact && !lead.automationPaused);
+  if (!eligible.length) return;
+  const campaign = await ensureImportCampaign(db, batch, defaultAgent);
+  const enrolled = await unwrap(
+    await db.database.from('campaign_leads').select('*').eq('campaign_id', campaign.id).in('lead_id', eligible.map((lead) => lead.id)),
+    'Failed to load campaign leads'
+  ) || [];
+  const enrolledLeadIds = new Set(enrolled.map((campaignLead: JsonRecord) => campaignLead.lead_id));
+  const toEnrol = eligible.filter((lead) => !enrolledLeadIds.has(lead.id));
+  const created = toEnrol.length ? await unwrap(
+    await db.database.from('campaign_leads').insert(toEnrol.map((lead) => ({
+      tenant_id: batch.tenant_id,
+      campaign_id: campaign.id,
+      lead_id: lead.id,
+      agent_id: lead.assignedTenantAgentId || defaultAgent?.id || null,
+      status: 'queued',
+      current_step: 'call',
+      next_action_at: nowIso(),
+    }))).select(),
+    'Failed to queue campaign leads'
+  ) : [];
+
+  const queuedCampaignLeadIds = new Set();
+  if (enrolled.length) {
+    const queued = await unwrap(
+      await db.database.from('bob_actions').select('campaign_lead_id').in('campaign_lead_id', enrolled.map((campaignLead: JsonRecord) => campaignLead.id)),
+      'Failed to load campaign actions'
+    );
+    (queued || []).forEach((action: JsonRecord) => queuedCampaignLeadIds.add(action.campaign_lead_id));
+  }
+  const campaignLeads = [...enrolled, ...(created || [])].filter((campaignLead: JsonRecord) => !queuedCampaignLeadIds.has(campaignLead.id));
+
+  const actions = (campaignLeads || []).map((campaignLead: JsonRecord) => {
+    const lead = eligible.find((row) => row.id === campaignLead.lead_id) || {};
+    const useEmail = lead.preferredContactChannel === 'email' && Boolean(lead.emailConsent && lead.email);
+    const useCall = !useEmail && Boolean(lead.callConsent && lead.phone);
+    const useSms = !useEmail && !useCall && Boolean(lead.smsConsent && lead.phone);
+    return {
+      tenant_id: batch.tenant_id,
+      campaign_id: campaign.id,
+      campaign_lead_id: campaignLead.id,
+      lead_id: campaignLead.lead_id,
+      action_type: useEmail ? 'send_email' : useCall ? 'queue_call_attempt' : 'send_sms',
+      channel: useEmail ? 'email' : useCall ? 'phone' : 'sms',
+      status: useCall ? 'awaiting_call' : ((useEmail || useSms) ? 'pending' : 'awaiting_human'),
+      reason: useEmail ? 'Campaign first step: email preference' : useCall ? 'Campaign first step: call' : (useSms ? 'Campaign next step: SMS' : 'Campaign requires email preference, call, or SMS consent'),
+      scheduled_for: nowIso(),
+      payload: {
+        source: 'campaign_import',
+        campaignNumber: campaign.campaign_number,
+        campaignLeadId: campaignLead.id,
+        tenantAgentId: campaignLead.agent_id || lead.assignedTenantAgentId || defaultAgent?.id || null,
+        preferredContactChannel: lead.preferredContactChannel || null,
+      },
+    };
+  });
+  if (actions.length) {
+    await unwrap(await db.database.from('bob_actions').insert(actions).select('id'), 'Failed to queue campaign actions');
+  }
+}
+
+function rowData(headers: string[], cells: string[]) {
+  return Object.fromEntries(headers.map((header, index) => [header || `Column ${index + 1}`, cells[index] ?? '']));
+}
+
+export async function processChunk(db: any, batch: JsonRecord, chunk: { rowNumber: number; cells: string[] }[], context: JsonRecord) {
+  const mode = DUPLICATE_MODES.includes(batch.duplicate_mode) ? batch.duplicate_mode : 'skip';
+  const headers = Array.isArray(batch.headers) ? batch.headers : [];
+  const rows = chunk.map(({ rowNumber, cells }) => ({ cells, ...buildImportRow(cells, rowNumber, batch.columns || [], context.defaultCountry) }));
+  const importedByRow = await findImportedRowLeads(db, batch.id, rows);
+  const existing = await findMatches(db, batch.tenant_id, rows.filter((row) => !row.errors.length));
+  const existingByEmail = new Map();
+  const existingByPhone = new Map();
+  for (const lead of existing) {
+    const email = String(lead.email || '').trim().toLowerCase();
+    if (email && !existingByEmail.has(email)) existingByEmail.set(email, lead);
+    const digits = String(lead.phone || '').replace(/\D/g, '');
+    if (digits && !existingByPhone.has(digits)) existingByPhone.set(digits, lead);
+  }
+
+  const fileEmails = new Set();
+  const filePhones = new Set();
+  const matchedLeadIds = new Set();
+  const creates: JsonRecord[] = [];
+  const recovered: JsonRecord[] = [];
+  const updates: JsonRecord[] = [];
+  const rejections: JsonRecord[] = [];
+  let duplicates = 0;
+
+  for (const row of rows) {
+    if (row.errors.length) {
+      rejections.push({ row, status: 'error', reasons: row.errors });
+      continue;
+    }
+    const ownLead = importedByRow.get(row.rowNumber);
+    if (ownLead) {
+      // Created by an earlier attempt at this chunk, before it failed.
+      if (row.emailKey) fileEmails.add(row.emailKey);
+      row.phoneKeys.forEach((key: string) => filePhones.add(key));
+      matchedLeadIds.add(ownLead.id);
+      recovered.push(ownLead);
+      continue;
+    }
+    const match = (row.emailKey && existingByEmail.get(row.emailKey))
+      || row.phoneKeys.map((key: string) => existingByPhone.get(key)).find(Boolean)
+      || null;
+    // Leads this job already created are earlier rows of the same file.
+    const duplicateInFile = Boolean(row.emailKey && fileEmails.has(row.emailKey))
+      || row.phoneKeys.some((key: string) => filePhones.has(key))
+      || Boolean(match && (match.leadImportBatchId === batch.id || matchedLeadIds.has(match.id)));
+    if (row.emailKey) fileEmails.add(row.emailKey);
+    row.phoneKeys.forEach((key: string) => filePhones.add(key));
+    if (match) matchedLeadIds.add(match.id);
+
+    if ((!match && !duplicateInFile) || mode === 'create') {
+      creates.push(row);
+      continue;
+    }
+    duplicates += 1;
+    if (match && !duplicateInFile && mode !== 'skip') {
+      const patch = leadMergePatch(match, row.lead, row.provided, mode);
+      if (Object.keys(patch).length) updates.push({ id: match.id, patch: { ...patch, updatedAt: nowIso() } });
+      continue;
+    }
+    rejections.push({ row, status: 'duplicate', reasons: [duplicateInFile ? 'Duplicate of an earlier row in this file' : 'Matches an existing lead'] });
+  }
+
+  let inserted: JsonRecord[] = [];
+  if (creates.length) {
+    const payloads = creates.map((row) => toDbRecord({
+      ...row.lead,
+      tenantId: batch.tenant_id,
+      leadImportBatchId: batch.id,
+      assignedTenantAgentId: context.defaultAgent?.id || null,
+      customFields: {
+        ...row.lead.customFields,
+        source: 'lead_import_job',
+        importRowNumber: row.rowNumber,
+        consentPolicy: contactPolicy(row.lead),
+      },
+    }));
+    inserted = ((await unwrap(await db.database.from('leads').insert(payloads).select(), 'Failed to insert imported leads')) || []).map(fromDbRecord);
+  }
+  inserted = [...recovered, ...inserted];
+  await enqueueCampaignLeads(db, batch, inserted, context.defaultAgent);
+
+  for (const update of updates) {
+    await unwrap(
+      await db.database.from('leads').update(toDbRecord(update.patch)).eq('tenant_id', batch.tenant_id).eq('id', update.id).select('id'),
+      'Failed to update matched lead'
+    );
+  }
+
+  if (rows.length) {
+    // A chunk retried after a failure replaces its earlier rejections.
+    await unwrap(
+      await db.database.from('lead_import_rejections').delete().eq('lead_import_batch_id', batch.id)
+        .gte('row_number', rows[0].rowNumber).lte('row_number', rows[rows.length - 1].rowNumber),
+      'Failed to clear import rejections'
+    );
+  }
+  if (rejections.length) {
+    await unwrap(
+      await db.database.from('lead_import_rejections').insert(rejections.map(({ row, status, reasons }) => ({
+        tenant_id: batch.tenant_id,
+        lead_import_batch_id: batch.id,
+        row_number: row.rowNumber,
+        status,
+        reasons,
+        row_data: rowData(headers, row.cells),
+      }))),
+      'Failed to record rejected rows'
+    );
+  }
+
+  const errorRows = rejections.filter((item) => item.status === 'error').length;
+  return {
+    processed: rows.length,
+    valid: rows.length - errorRows,
+    inserted: inserted.length,
+    updated: updates.length,
+    duplicates,
+    errors: errorRows,
+    skipped: rows.length - inserted.length - updates.length,
+  };
+}
+
+async function writeErrorReport(db: any, batch: JsonRecord) {
+  const rejections: JsonRecord[] = [];
+  for (let offset = 0; ; offset += 1000) {
+    const page = await unwrap(
+      await db.database.from('lead_import_rejections').select('row_number,status,reasons,row_data')
+        .eq('lead_import_batch_id', batch.id).order('row_number', { ascending: true }).range(offset, offset + 999),
+      'Failed to load rejected rows'
+    );
+    rejections.push(...(page || []));
+    if (!page || page.length < 1000) break;
+  }
+  if (!rejections.length) return null;
+
+  const headers = Array.isArray(batch.headers) ? batch.headers : [];
+  const lines = [['Row', 'Status', 'Reasons', ...headers].map(csvCell).join(',')];
+  for (const rejection of rejections) {
+    const data = rejection.row_data || {};
+    lines.push([
+      rejection.row_number,
+      rejection.status,
+      (rejection.reasons || []).join('; '),
+      ...headers.map((header: string, index: number) => data[header || `Column ${index + 1}`] ?? ''),
+    ].map(csvCell).join(','));
+  }
+
+  const key = `${batch.tenant_id}/${batch.id}-errors.csv`;
+  await db.storage.from(IMPORT_BUCKET).remove(key).catch(() => null);
+  const { data, error } = await db.storage.from(IMPORT_BUCKET)
+    .upload(key, new Blob([lines.join('\n')], { type: 'text/csv' }));
+  if (error) throw new Error(error.message || 'Failed to store the error report');
+  return data?.key || key;
+}
+
+async function finishJob(db: any, batch: JsonRecord, status: 'completed' | 'cancelled') {
+  const errorReportKey = await writeErrorReport(db, batch);
+  await removeImportFiles(db, batch);
+  return updateBatch(db, batch, {
+    status,
+    error_report_key: errorReportKey,
+    finished_at: nowIso(),
+    summary: { ...(batch.summary || {}), campaignId: batch.campaign_id || null },
+  });
+}
+
+async function createJob(db: any, tenantId: string, portalUser: JsonRecord, body: JsonRecord) {
+  const storageKey = String(body.storageKey || '');
+  if (!storageKey.startsWith(`${tenantId}/`)) throw new Error('Import file must be uploaded to the tenant folder');
+  const columns = Array.isArray(body.columns) ? body.columns : [];
+  if (!columns.some((column: JsonRecord) => ['email', 'phone'].includes(column?.target))) {
+    throw new Error('Map an email or phone column before importing');
+  }
+  const file = await splitImportFile(db, storageKey);
+  if (!file.totalRows) throw new Error('Import file has no lead rows');
+
+  const rows = await unwrap(
+    await db.database.from('lead_import_batches').insert([{
+      tenant_id: tenantId,
+      created_by_user_id: portalUser.authUserId || portalUser.id || null,
+      file_name: String(body.fileName || '').trim() || 'lead-import.csv',
+      status: 'queued',
+      storage_key: storageKey,
+      headers: file.headers,
+      columns: columns.map((column: JsonRecord) => ({ index: Number(column.index), header: String(column.header || ''), target: column.target ?? null })),
+      duplicate_mode: DUPLICATE_MODES.includes(body.duplicateMode) ? body.duplicateMode : 'skip',
+      lead_import_mapping_id: body.leadImportMappingId || null,
+      total_rows: file.totalRows,
+      chunk_count: file.chunkCount,
+      summary: {},
+    }]).select(),
+    'Failed to create import job'
+  );
+  return rows[0];
+}
+
+// Works through chunks from next_row until the file ends or the run's
+// deadline passes. A chunk is claimed by stamping chunk_claimed_at, so
+// overlapping scheduled runs never import it at the same time, and next_row
+// only moves past it once its rows are committed. A run killed mid-chunk
+// leaves a stale claim that a later run releases and retries.
+async function tickJob(db: any, tenantId: string, batchId: unknown, deadline: number) {
+  let batch = await loadBatch(db, tenantId, batchId);
+  if (!ACTIVE_STATUSES.includes(batch.status)) return batch;
+  if (batch.status === 'queued') batch = await updateBatch(db, batch, { status: 'processing', started_at: nowIso(), last_error: null });
+  if (batch.chunk_count === null || batch.chunk_count === undefined) {
+    // Jobs created before files were split up front.
+    const file = await splitImportFile(db, batch.storage_key);
+    batch = await updateBatch(db, batch, { chunk_count: file.chunkCount, total_rows: file.totalRows });
+  }
+
+  const context = {
+    defaultCountry: await loadTenantCountry(db, tenantId).catch(() => null),
+    defaultAgent: await loadDefaultAgent(db, tenantId).catch(() => null),
+  };
+
+  await unwrap(
+    await db.database.from('lead_import_batches')
+      .update({ chunk_claimed_at: null })
+      .eq('tenant_id', tenantId).eq('id', batch.id)
+      .lt('chunk_claimed_at', new Date(Date.now() - CHUNK_CLAIM_STALE_MS).toISOString()),
+    'Failed to release stale import chunk'
+  );
+
+  while (batch.next_row < batch.total_rows && Date.now() < deadline) {
+    const start = batch.next_row;
+    const claimed = await unwrap(
+      await db.database.from('lead_import_batches')
+        .update({ chunk_claimed_at: nowIso() })
+        .eq('tenant_id', tenantId).eq('id', batch.id).eq('status', 'processing').eq('next_row', start)
+        .is('chunk_claimed_at', null)
+        .select(),
+      'Failed to claim import chunk'
+    );
+    if (!claimed?.[0]) return loadBatch(db, tenantId, batch.id);
+    batch = claimed[0];
+
+    // A retried chunk finds the leads an earlier attempt created by their
+    // import row, counts them as inserted and finishes enrolling them rather
+    // than inserting or rejecting them again.
+    let counts;
+    try {
+      counts = await processChunk(db, batch, await loadImportChunk(db, batch, Math.floor(start / CHUNK_SIZE)), context);
+    } catch (error) {
+      return updateBatch(db, batch, { status: 'paused', chunk_claimed_at: null, last_error: safeError(error) });
+    }
+
+    batch = await updateBatch(db, batch, {
+      next_row: Math.min(start + CHUNK_SIZE, batch.total_rows),
+      chunk_claimed_at: null,
+      processed_rows: batch.processed_rows + counts.processed,
+      valid_rows: batch.valid_rows + counts.valid,
+      inserted_rows: batch.inserted_rows + counts.inserted,
+      updated_rows: batch.updated_rows + counts.updated,
+      duplicate_rows: batch.duplicate_rows + counts.duplicates,
+      skipped_rows: batch.skipped_rows + counts.skipped,
+      error_rows: batch.error_rows + counts.errors,
+    });
+  }
+
+  if (batch.next_row >= batch.total_rows && batch.status === 'processing') {
+    batch = await finishJob(db, batch, 'completed');
+  }
+  return batch;
+}
+
+// Called by the InsForge schedule (see INSFORGE_MIGRATION.md). Jobs run
+// oldest-updated first, so a large import cannot starve the others.
+export async function processScheduledJobs(db: any) {
+  const deadline = Date.now() + TICK_BUDGET_MS;
+  const jobs = await unwrap(
+    await db.database.from('lead_import_batches').select('id,tenant_id,storage_key')
+      .in('status', ACTIVE_STATUSES)
+      .order('updated_at', { ascending: true }).limit(SCHEDULED_JOBS_PER_RUN),
+    'Failed to load import jobs'
+  );
+
+  const results = [];
+  for (const job of jobs || []) {
+    if (Date.now() >= deadline) break;
+    if (!job.storage_key) continue;
+    try {
+      const batch = await tickJob(db, job.tenant_id, job.id, deadline);
+      results.push({ batchId: job.id, status: batch.status, nextRow: batch.next_row });
+    } catch (error) {
+      results.push({ batchId: job.id, error: safeError(error) });
+    }
+  }
+  return { processed: results.length, results };
+}
+
+async function resumeJob(db: any, tenantId: string, batchId: unknown) {
+  const batch = await loadBatch(db, tenantId, batchId);
+  if (!['paused', 'failed'].includes(batch.status)) return batch;
+  if (!batch.storage_key) throw new Error('This import was not run as a job and cannot be resumed');
+  return updateBatch(db, batch, { status: 'processing', last_error: null });
+}
+
+async function cancelJob(db: any, tenantId: string, batchId: unknown) {
+  const batch = await loadBatch(db, tenantId, batchId);
+  if (!['queued', 'processing', 'paused', 'failed'].includes(batch.status)) return batch;
+  const stopped = await updateBatch(db, batch, { status: 'cancelled' });
+  return finishJob(db, stopped, 'cancelled');
+}
+
+export default async function(req: Request): Promise<Response> {
+  if (req.method === 'OPTIONS') return optionsResponse();
+
+  const db = createInsForgeClient(req);
+  const adminDb = createInsForgeAdminClient();
+  const url = new URL(req.url);
+  const body = req.method === 'GET' ? {} : await req.json().catch(() => ({}));
+  const action = url.searchParams.get('action') || body.action || 'status';
+
+  if (action === 'process-scheduled') {
+    try {
+      assertSchedulerAuthorized(req);
+      if (!adminDb) throw new Error('API_KEY is required to run scheduled import jobs');
+      return jsonResponse({ success: true, ...(await processScheduledJobs(adminDb)) });
+    } catch (error: any) {
+      const message = safeError(error, 'Scheduler run failed');
+      return jsonResponse({ success: false, error: message }, /unauthorized|secret/i.test(message) ? 401 : 500);
+    }
+  }
+
+  try {
+    if (action === 'status') {
+      return jsonResponse({
+        success: true,
+        service: 'lead-import-job',
+        chunkSize: CHUNK_SIZE,
+        actions: ['status', 'create-job', 'resume-job', 'cancel-job', 'process-scheduled'],
+        schedulerConfigured: Boolean(schedulerSecret()),
+      });
+    }
+
+    const portalUser = await resolvePortalUser(db);
+    const platformProfile = await resolvePlatformAdminProfile(db).catch(() => ({ isPlatformAdmin: false }));
+    const tenantId = requireTenant(portalUser, body.tenantId || body.tenant_id, platformProfile);
+    const workDb = adminDb || db;
+
+    if (action === 'create-job') {
+      return jsonResponse({ success: true, batch: await createJob(workDb, tenantId, portalUser, body) });
+    }
+
+    if (action === 'resume-job') {
+      return jsonResponse({ success: true, batch: await resumeJob(workDb, tenantId, body.batchId) });
+    }
+
+    if (action === 'cancel-job') {
+      return jsonResponse({ success: true, batch: await cancelJob(workDb, tenantId, body.batchId) });
+    }
+
+    return jsonResponse({ success: false, error: `Unsupported lead import job action: ${action}` }, 400);
+  } catch (error: any) {
+    const message = safeError(error);
+    const status = error?.code === 'JOB_NOT_FOUND' ? 404 : /authentication|tenant/i.test(message) ? 403 : 500;
+    return jsonResponse({ success: false, code: error?.code || undefined, error: message }, status);
+  }
+}
@@ -442,31 +442,47 @@ async function loadBookingIntegration(db: any, tenantId: string) {
   }
 }
 
-function locationTextForTimezone(lead: any, tenant: any) {
+// The tenant timezone is only the fallback: mixing it into the matched text
+// let a Toronto tenant's zone win over a lead's own California address.
+// bob-queue-actions keeps a copy for lead-local contact windows.
+// Copied from bob-queue-actions.ts; keep in sync.
+function locationTextForTimezone(lead: any) {
   const imported = lead?.custom_fields?.importedLeadData || {};
-  return [
+  return ` ${[
     lead?.location_summary,
     imported.location,
     imported.city,
     imported.state,
     imported.province,
     imported.country,
-    tenant?.default_timezone,
-  ].filter(Boolean).join(' ').toLowerCase();
-}
+  ].filter(Boolean).join(' ').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+}
+
+// Cities, provinces and states are checked before countries, so
+// "Vancouver, BC, Canada" is Pacific time rather than the Canadian default.
+// Abbreviations are padded so they only match as whole words.
+const TIMEZONE_PLACES: [string, string[]][] = [
+  ['America/Toronto', ['sarnia', 'toronto', 'ontario', ' on ']],
+  ['America/Vancouver', ['vancouver', 'british columbia', ' bc ']],
+  ['America/Edmonton', ['calgary', 'edmonton', 'alberta', ' ab ']],
+  ['America/Winnipeg', ['winnipeg', 'manitoba', ' mb ']],
+  ['America/Halifax', ['halifax', 'nova scotia', ' ns ']],
+  ['America/St_Johns', ['newfoundland', ' st john']],
+  ['America/New_York', ['new york', 'florida', 'georgia']],
+  ['America/Chicago', ['chicago', 'texas', 'illinois']],
+  ['America/Denver', ['denver', 'colorado']],
+  ['America/Los_Angeles', ['los angeles', 'california', 'seattle', 'washington']],
+];
+const TIMEZONE_COUNTRIES: [string, string[]][] = [
+  ['America/Toronto', ['canada']],
+  ['America/New_York', [' usa ', ' us ', 'united states']],
+];
 
 function inferTimezoneFromLead(lead: any, tenant: any) {
-  const text = locationTextForTimezone(lead, tenant);
-  if (text.includes('sarnia') || text.includes('toronto') || text.includes('ontario') || text.includes(' on ') || text.includes('canada')) return 'America/Toronto';
-  if (text.includes('vancouver') || text.includes('british columbia') || text.includes(' bc ')) return 'America/Vancouver';
-  if (text.includes('calgary') || text.includes('edmonton') || text.includes('alberta') || text.includes(' ab ')) return 'America/Edmonton';
-  if (text.includes('winnipeg') || text.includes('manitoba') || text.includes(' mb ')) return 'America/Winnipeg';
-  if (text.includes('halifax') || text.includes('nova scotia') || text.includes(' ns ')) return 'America/Halifax';
-  if (text.includes('newfoundland') || text.includes('st. john')) return 'America/St_Johns';
-  if (text.includes('new york') || text.includes('florida') || text.includes('georgia') || text.includes('usa')) return 'America/New_York';
-  if (text.includes('chicago') || text.includes('texas') || text.includes('illinois')) return 'America/Chicago';
-  if (text.includes('denver') || text.includes('colorado')) return 'America/Denver';
-  if (text.includes('los angeles') || text.includes('california') || text.includes('seattle') || text.includes('washington')) return 'America/Los_Angeles';
+  const text = locationTextForTimezone(lead);
+  for (const [timeZone, words] of [...TIMEZONE_PLACES, ...TIMEZONE_COUNTRIES]) {
+    if (words.some((word) => text.includes(word))) return timeZone;
+  }
   return tenant?.default_timezone || 'UTC';
 }
 
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { createFakeDb } from './fake-db.ts';
+import { evaluateLeadLifecycle, inferTimezoneFromLead, simulateLeadLifecycle, startQueuedCalls } from '../bob-queue-actions.ts';
+
+const TENANT_ID = 'tenant-1';
+
+function queueDb(tables: Record<string, any[]>, rpcs: Record<string, (args: any) => any> = {}) {
+  return createFakeDb({
+    tenants: [{ id: TENANT_ID, name: 'Acme Roofing', default_timezone: 'UTC' }],
+    leads: [{ id: 'lead-1', tenant_id: TENANT_ID, phone: '+14165550101', email: 'ada@example.com', sms_consent: true, whatsapp_consent: true }],
+    bob_actions: [],
+    ...tables,
+  }, {
+    get_effective_tenant_lifecycle_rules: () => null,
+    ...rpcs,
+  });
+}
+
+Deno.test('a tick loads each tenant holiday list once for all of its senders', async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const due = { tenant_id: TENANT_ID, lead_id: 'lead-1', status: 'pending', scheduled_for: '2026-01-05T12:00:00.000Z', payload: {} };
+  const db = queueDb({
+    bob_actions: [
+      { ...due, id: 'sms-1', action_type: 'send_sms', channel: 'sms' },
+      { ...due, id: 'sms-2', action_type: 'send_sms', channel: 'sms' },
+      { ...due, id: 'whatsapp-1', action_type: 'send_whatsapp', channel: 'whatsapp' },
+    ],
+  }, {
+    get_tenant_holidays: () => [{ date: today, name: 'Founders Day' }],
+  });
+
+  const { smsResults, whatsappResults } = await startQueuedCalls(db, { tenantId: TENANT_ID, smsLimit: 5 });
+
+  assert.equal(db.calls.filter((call) => call.table === 'rpc:get_tenant_holidays').length, 1);
+  assert.equal(smsResults.length + whatsappResults.length, 3);
+  for (const action of db.tables.bob_actions) {
+    assert.equal(action.status, 'pending');
+    assert.equal(action.result.deferredReason, 'holiday');
+    assert.ok(action.scheduled_for > new Date().toISOString());
+  }
+});
+
+Deno.test('a lifecycle simulation moves projected touches past tenant holidays and quiet hours', async () => {
+  const db = queueDb({}, {
+    get_tenant_holidays: () => [{ date: '2026-12-25', name: 'Christmas Day' }],
+  });
+
+  const result = await simulateLeadLifecycle(db, {
+    tenantId: TENANT_ID,
+    startAt: '2026-12-25T12:00:00.000Z',
+    lead: { consent: { email: false, call: false } },
+    outcomes: ['replied'],
+  });
+
+  const [firstTouch] = result.timeline;
+  assert.equal(firstTouch.channel, 'sms');
+  assert.equal(firstTouch.deferredFrom, '2026-12-25T12:00:00.000Z');
+  assert.equal(firstTouch.deferredReason, 'holiday');
+  assert.equal(firstTouch.holiday.name, 'Christmas Day');
+  assert.equal(firstTouch.actionAt, '2026-12-26T09:00:00.000Z');
+});
+
+Deno.test('a business-day playbook wait skips weekends and tenant holidays', async () => {
+  const dateKey = (date: Date) => date.toISOString().slice(0, 10);
+  const weekdays: Date[] = [];
+  for (let offset = 1; weekdays.length < 3; offset += 1) {
+    const day = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate() + offset));
+    if (![0, 6].includes(day.getUTCDay())) weekdays.push(day);
+  }
+  const resumeDay = weekdays[2];
+  const db = queueDb({ lead_playbook_runs: [] }, {
+    get_tenant_holidays: () => weekdays.slice(0, 2).map((day) => ({ date: dateKey(day), name: 'Office closed' })),
+    get_active_lifecycle_playbooks: () => [{
+      id: 'playbook-1',
+      name: 'Wait it out',
+      triggerOutcomes: ['no_answer'],
+      startStepId: 'step_1',
+      steps: [{ id: 'step_1', type: 'wait', amount: 1, unit: 'business_days', next: '' }],
+    }],
+  });
+
+  const result = await evaluateLeadLifecycle(db, { tenantId: TENANT_ID, leadId: 'lead-1', outcome: 'no_answer', attemptCount: 1 });
+
+  assert.equal(result.decision.nextActionType, 'playbook_wait');
+  assert.equal(result.decision.nextActionAt, `${dateKey(resumeDay)}T10:00:00.000Z`);
+  assert.equal(db.tables.lead_playbook_runs[0].resume_at, `${dateKey(resumeDay)}T10:00:00.000Z`);
+});
+
+Deno.test('lead time zones come from the city or state before the imported country', () => {
+  const tenant = { default_timezone: 'America/Toronto' };
+  const imported = (importedLeadData: Record<string, string>) => ({ custom_fields: { importedLeadData } });
+
+  assert.equal(inferTimezoneFromLead({ location_summary: 'Vancouver, BC, Canada' }, tenant), 'America/Vancouver');
+  assert.equal(inferTimezoneFromLead({ location_summary: 'Los Angeles, CA, USA' }, tenant), 'America/Los_Angeles');
+  assert.equal(inferTimezoneFromLead(imported({ city: 'Calgary', country: 'Canada' }), tenant), 'America/Edmonton');
+  assert.equal(inferTimezoneFromLead(imported({ state: 'Texas', country: 'United States' }), tenant), 'America/Chicago');
+  assert.equal(inferTimezoneFromLead(imported({ province: 'BC', country: 'CA' }), tenant), 'America/Vancouver');
+  assert.equal(inferTimezoneFromLead(imported({ country: 'Canada' }), { default_timezone: 'UTC' }), 'America/Toronto');
+  assert.equal(inferTimezoneFromLead(imported({ country: 'USA' }), tenant), 'America/New_York');
+  assert.equal(inferTimezoneFromLead(imported({ city: 'Austin' }), tenant), 'America/Toronto');
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { createFakeDb } from './fake-db.ts';
+import { handleResendWebhook } from '../bulk-email-sender.ts';
+
+const WEBHOOK_SECRET = 'whsec_' + btoa('bulk-email-webhook-secret');
+const TENANT_ID = 'tenant-1';
+const CAMPAIGN_ID = 'campaign-1';
+
+function abTestDb() {
+  const recipient = (id: string, variantId: string) => ({
+    id,
+    tenant_id: TENANT_ID,
+    campaign_id: CAMPAIGN_ID,
+    email: `${id}@example.com`,
+    status: 'delivered',
+    ab_group: 'test',
+    variant_id: variantId,
+    provider_message_id: `msg-${id}`,
+    opened_at: null,
+    clicked_at: null,
+  });
+  return createFakeDb({
+    tenant_bulk_email_campaigns: [{ id: CAMPAIGN_ID, tenant_id: TENANT_ID, status: 'sending', opened_count: 1, winner_variant_id: null }],
+    tenant_bulk_email_variants: [
+      { id: 'variant-a', campaign_id: CAMPAIGN_ID, label: 'A', sent_count: 1, opened_count: 1, clicked_count: 0 },
+      { id: 'variant-b', campaign_id: CAMPAIGN_ID, label: 'B', sent_count: 1, opened_count: 0, clicked_count: 0 },
+    ],
+    tenant_bulk_email_recipients: [
+      { ...recipient('ada', 'variant-a'), opened_at: '2026-10-19T10:00:00.000Z' },
+      recipient('grace', 'variant-b'),
+    ],
+  });
+}
+
+async function signedRequest(body: string, secret = WEBHOOK_SECRET) {
+  const id = 'msg_1';
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const key = await crypto.subtle.importKey('raw', Uint8Array.from(atob(secret.slice('whsec_'.length)), (c) => c.charCodeAt(0)), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${id}.${timestamp}.${body}`)));
+  return new Request('https://functions.example.test/bulk-email-sender?action=resend-webhook', {
+    method: 'POST',
+    headers: { 'svix-id': id, 'svix-timestamp': timestamp, 'svix-signature': `v1,${btoa(String.fromCharCode(...signature))}` },
+    body,
+  });
+}
+
+Deno.test('unsigned Resend events change neither the variant counts nor the A/B winner', async () => {
+  const db = abTestDb();
+  const before = structuredClone(db.tables);
+  const clicked = JSON.stringify({ type: 'email.clicked', data: { id: 'msg-grace' } });
+  Deno.env.set('RESEND_WEBHOOK_SECRET', WEBHOOK_SECRET);
+  try {
+    const unsigned = new Request('https://functions.example.test/bulk-email-sender?action=resend-webhook', { method: 'POST', body: clicked });
+    assert.equal((await handleResendWebhook(db, unsigned)).status, 401);
+    const forged = await signedRequest(clicked, 'whsec_' + btoa('someone-else'));
+    assert.equal((await handleResendWebhook(db, forged)).status, 401);
+    assert.deepEqual(db.calls, []);
+    assert.deepEqual(db.tables, before);
+
+    const response = await handleResendWebhook(db, await signedRequest(clicked));
+    assert.equal(response.status, 200);
+    const [, variantB] = db.tables.tenant_bulk_email_variants;
+    assert.equal(variantB.opened_count, 1);
+    assert.equal(variantB.clicked_count, 1);
+  } finally {
+    Deno.env.delete('RESEND_WEBHOOK_SECRET');
+  }
+});
+
+Deno.test('Resend events are refused when the webhook secret is not configured', async () => {
+  const db = abTestDb();
+  const response = await handleResendWebhook(db, await signedRequest(JSON.stringify({ type: 'email.bounced', data: { id: 'msg-ada' } })));
+  assert.equal(response.status, 503);
+  assert.deepEqual(db.calls, []);
+});
@@ -0,0 +1,146 @@
+// In-memory stand-in for the InsForge client's database API, covering the
+// query-builder calls the Functions make. Every query is recorded in `calls`
+// so tests can assert that a rejected request touched nothing.
+// Run the Function tests with: deno test -A functions/test/
+
+type Row = Record<string, any>;
+type Filter = (row: Row) => boolean;
+
+function same(left: any, right: any) {
+  if (left === right) return true;
+  if (left === null || left === undefined || right === null || right === undefined) return false;
+  return String(left) === String(right);
+}
+
+function parseOrFilter(expression: string): Filter {
+  const clauses = expression.split(',').map((clause) => {
+    const [column, operator, ...rest] = clause.split('.');
+    const value = rest.join('.');
+    if (operator === 'eq') return (row: Row) => same(row[column], value);
+    if (operator === 'is' && value === 'null') return (row: Row) => row[column] === null || row[column] === undefined;
+    throw new Error(`fake-db: unsupported or() operator ${operator}`);
+  });
+  return (row) => clauses.some((clause) => clause(row));
+}
+
+export function createFakeDb(tables: Record<string, Row[]> = {}, rpcs: Record<string, (args: any) => any> = {}) {
+  const calls: { table: string; op: string; payload?: any }[] = [];
+
+  function from(table: string) {
+    tables[table] ||= [];
+    let op = 'select';
+    let payload: any = null;
+    let returning = false;
+    let limit: number | null = null;
+    let offset = 0;
+    const filters: Filter[] = [];
+
+    const execute = () => {
+      calls.push({ table, op, payload });
+      const matching = () => tables[table].filter((row) => filters.every((filter) => filter(row)));
+      if (op === 'insert') {
+        const inserted = (Array.isArray(payload) ? payload : [payload]).map((row: Row) => ({
+          id: crypto.randomUUID(),
+          created_at: new Date().toISOString(),
+          ...row,
+        }));
+        tables[table].push(...inserted);
+        return { data: returning ? inserted : null, error: null };
+      }
+      if (op === 'update') {
+        const rows = matching();
+        rows.forEach((row) => Object.assign(row, payload));
+        return { data: returning ? rows : null, error: null };
+      }
+      if (op === 'delete') {
+        const rows = matching();
+        tables[table] = tables[table].filter((row) => !rows.includes(row));
+        return { data: returning ? rows : null, error: null };
+      }
+      const rows = matching();
+      return { data: limit === null ? rows.slice(offset) : rows.slice(offset, offset + limit), error: null };
+    };
+
+    const builder: any = {
+      select() {
+        if (op !== 'select') returning = true;
+        return builder;
+      },
+      insert(rows: Row | Row[]) {
+        op = 'insert';
+        payload = rows;
+        return builder;
+      },
+      update(patch: Row) {
+        op = 'update';
+        payload = patch;
+        return builder;
+      },
+      delete() {
+        op = 'delete';
+        return builder;
+      },
+      eq(column: string, value: any) {
+        filters.push((row) => same(row[column], value));
+        return builder;
+      },
+      neq(column: string, value: any) {
+        filters.push((row) => !same(row[column], value));
+        return builder;
+      },
+      in(column: string, values: any[]) {
+        filters.push((row) => values.some((value) => same(row[column], value)));
+        return builder;
+      },
+      is(column: string, value: null) {
+        filters.push((row) => (value === null ? row[column] === null || row[column] === undefined : row[column] === value));
+        return builder;
+      },
+      gt(column: string, value: any) {
+        filters.push((row) => row[column] > value);
+        return builder;
+      },
+      gte(column: string, value: any) {
+        filters.push((row) => row[column] >= value);
+        return builder;
+      },
+      lt(column: string, value: any) {
+        filters.push((row) => row[column] < value);
+        return builder;
+      },
+      lte(column: string, value: any) {
+        filters.push((row) => row[column] <= value);
+        return builder;
+      },
+      or(expression: string) {
+        filters.push(parseOrFilter(expression));
+        return builder;
+      },
+      order() {
+        return builder;
+      },
+      limit(count: number) {
+        limit = count;
+        return builder;
+      },
+      range(from: number, to: number) {
+        offset = from;
+        limit = to - from + 1;
+        return builder;
+      },
+      then(resolve: (value: any) => any, reject: (error: any) => any) {
+        return Promise.resolve().then(execute).then(resolve, reject);
+      },
+    };
+    return builder;
+  }
+
+  async function rpc(name: string, args: any) {
+    calls.push({ table: `rpc:${name}`, op: 'rpc', payload: args });
+    const handler = rpcs[name];
+    if (!handler) return { data: null, error: { message: `fake-db: no rpc ${name}` } };
+    return { data: await handler(args), error: null };
+  }
+
+  return { database: { from, rpc }, tables, calls };
+}
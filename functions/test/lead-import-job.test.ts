@@ -0,0 +1,224 @@
+import assert from 'node:assert/strict';
+import { createFakeDb } from './fake-db.ts';
+import { processChunk, processScheduledJobs } from '../lead-import-job.ts';
+
+const TENANT_ID = 'tenant-1';
+const BATCH_ID = 'batch-1';
+
+const headers = ['Email', 'Phone'];
+const columns = [
+  { index: 0, header: 'Email', target: 'email' },
+  { index: 1, header: 'Phone', target: 'phone' },
+];
+// Data rows start on line 2 of the file.
+const chunk = [
+  { rowNumber: 2, cells: ['ada@example.com', '+14165550101'] },
+  { rowNumber: 3, cells: ['grace@example.com', '+14165550102'] },
+  { rowNumber: 4, cells: ['linus@example.com', '+14165550103'] },
+];
+
+function importDb(leads: Record<string, any>[]) {
+  const db = createFakeDb({ leads, campaign_leads: [], bob_actions: [], campaigns: [], lead_import_batches: [], lead_import_rejections: [] }, {
+    find_lead_import_matches: ({ p_emails, p_phone_digits }) => db.tables.leads.filter((lead) => (
+      p_emails.includes(String(lead.email || '').toLowerCase())
+      || p_phone_digits.includes(String(lead.phone || '').replace(/\D/g, ''))
+    )),
+    find_lead_import_row_leads: ({ p_batch_id, p_row_numbers }) => db.tables.leads.filter((lead) => (
+      lead.lead_import_batch_id === p_batch_id && p_row_numbers.includes(lead.custom_fields?.importRowNumber)
+    )),
+  });
+  return db;
+}
+
+// The first attempt inserted rows 2 and 3 and then failed before it enrolled
+// them, so the chunk was handed back with nothing counted.
+function interruptedChunk() {
+  return [
+    { id: 'lead-ada', tenant_id: TENANT_ID, email: 'ada@example.com', phone: '+14165550101', lead_import_batch_id: BATCH_ID, custom_fields: { importRowNumber: 2 } },
+    { id: 'lead-grace', tenant_id: TENANT_ID, email: 'grace@example.com', phone: '+14165550102', lead_import_batch_id: BATCH_ID, custom_fields: { importRowNumber: 3 } },
+  ];
+}
+
+for (const duplicateMode of ['skip', 'overwrite', 'create']) {
+  Deno.test(`a retried chunk in ${duplicateMode} mode keeps the leads its failed attempt created`, async () => {
+    const db = importDb(interruptedChunk());
+    const batch = { id: BATCH_ID, tenant_id: TENANT_ID, duplicate_mode: duplicateMode, headers, columns, campaign_id: null };
+
+    const counts = await processChunk(db, batch, chunk, { defaultCountry: 'CA', defaultAgent: null });
+
+    assert.equal(db.tables.leads.length, 3);
+    assert.deepEqual(db.tables.leads.map((lead) => lead.email).sort(), ['ada@example.com', 'grace@example.com', 'linus@example.com']);
+    assert.equal(counts.inserted, 3);
+    assert.equal(counts.duplicates, 0);
+    assert.equal(db.tables.lead_import_rejections.length, 0);
+    assert.deepEqual(db.tables.campaign_leads.map((row) => row.lead_id).sort(), db.tables.leads.map((lead) => lead.id).sort());
+    assert.equal(db.tables.bob_actions.length, 3);
+  });
+}
+
+Deno.test('a retried chunk does not enrol a lead twice or queue its first step again', async () => {
+  const db = importDb(interruptedChunk());
+  db.tables.campaigns.push({ id: 'campaign-1', tenant_id: TENANT_ID, campaign_number: 7 });
+  db.tables.campaign_leads.push(
+    { id: 'cl-ada', tenant_id: TENANT_ID, campaign_id: 'campaign-1', lead_id: 'lead-ada' },
+    { id: 'cl-grace', tenant_id: TENANT_ID, campaign_id: 'campaign-1', lead_id: 'lead-grace' },
+  );
+  db.tables.bob_actions.push({ id: 'action-ada', campaign_lead_id: 'cl-ada', lead_id: 'lead-ada' });
+  const batch = { id: BATCH_ID, tenant_id: TENANT_ID, duplicate_mode: 'skip', headers, columns, campaign_id: 'campaign-1' };
+
+  await processChunk(db, batch, chunk, { defaultCountry: 'CA', defaultAgent: null });
+
+  assert.equal(db.tables.campaign_leads.length, 3);
+  assert.deepEqual(db.tables.bob_actions.map((action) => action.lead_id).sort(), ['lead-ada', 'lead-grace', db.tables.leads[2].id].sort());
+});
+
+Deno.test('overwrite mode does not grant back consent the lead withdrew', async () => {
+  const db = importDb([{ id: 'lead-ada', tenant_id: TENANT_ID, email: 'ada@example.com', call_consent: false, sms_consent: true, company: 'Old Co' }]);
+  const batch = {
+    id: BATCH_ID,
+    tenant_id: TENANT_ID,
+    duplicate_mode: 'overwrite',
+    headers: ['Email', 'Company', 'Call Consent'],
+    columns: [
+      { index: 0, header: 'Email', target: 'email' },
+      { index: 1, header: 'Company', target: 'company' },
+      { index: 2, header: 'Call Consent', target: 'callConsent' },
+    ],
+    campaign_id: null,
+  };
+
+  await processChunk(db, batch, [{ rowNumber: 2, cells: ['ada@example.com', 'New Co', 'yes'] }], { defaultCountry: 'CA', defaultAgent: null });
+
+  const [lead] = db.tables.leads;
+  assert.equal(lead.company, 'New Co');
+  assert.equal(lead.call_consent, false);
+});
+
+for (const [duplicateMode, expected] of [
+  ['fill_empty', { roofAge: '10 years', gutters: 'yes', importedLeadData: { Notes: 'Call after 5', Source: 'Fair' } }],
+  ['overwrite', { roofAge: '12 years', gutters: 'yes', importedLeadData: { Notes: 'Weekends only', Source: 'Fair' } }],
+] as const) {
+  Deno.test(`${duplicateMode} mode merges custom fields the way the preview showed them`, async () => {
+    const db = importDb([{
+      id: 'lead-ada',
+      tenant_id: TENANT_ID,
+      email: 'ada@example.com',
+      custom_fields: { roofAge: '10 years', importedLeadData: { Notes: 'Call after 5' } },
+    }]);
+    const batch = {
+      id: BATCH_ID,
+      tenant_id: TENANT_ID,
+      duplicate_mode: duplicateMode,
+      headers: ['Email', 'Roof Age', 'Gutters', 'Notes', 'Source'],
+      columns: [
+        { index: 0, header: 'Email', target: 'email' },
+        { index: 1, header: 'Roof Age', target: 'custom:roofAge' },
+        { index: 2, header: 'Gutters', target: 'custom:gutters' },
+        { index: 3, header: 'Notes', target: null },
+        { index: 4, header: 'Source', target: null },
+      ],
+      campaign_id: null,
+    };
+
+    await processChunk(db, batch, [{ rowNumber: 2, cells: ['ada@example.com', '12 years', 'yes', 'Weekends only', 'Fair'] }], { defaultCountry: 'CA', defaultAgent: null });
+
+    assert.deepEqual(db.tables.leads[0].custom_fields, expected);
+  });
+}
+
+function fakeStorage(files: Record<string, string>) {
+  const downloads: string[] = [];
+  const bucket = {
+    download: async (key: string) => {
+      downloads.push(key);
+      return key in files ? { data: new Blob([files[key]]), error: null } : { data: null, error: { message: `missing ${key}` } };
+    },
+    upload: async (key: string, blob: Blob) => {
+      files[key] = await blob.text();
+      return { data: { key }, error: null };
+    },
+    remove: async (key: string) => {
+      delete files[key];
+      return { data: null, error: null };
+    },
+  };
+  return { storage: { from: () => bucket }, files, downloads };
+}
+
+Deno.test('a scheduled run splits the uploaded file once and imports it from the chunk files', async () => {
+  const db: any = importDb([]);
+  const storageKey = `${TENANT_ID}/upload.tsv`;
+  const { storage, files, downloads } = fakeStorage({
+    [storageKey]: 'Email\tPhone\nada@example.com\t+14165550101\ngrace@example.com\t+14165550102\n',
+  });
+  db.storage = storage;
+  db.tables.lead_import_batches.push({
+    id: BATCH_ID, tenant_id: TENANT_ID, status: 'queued', storage_key: storageKey, chunk_count: null,
+    headers: [], columns, duplicate_mode: 'skip', campaign_id: null, total_rows: 0, next_row: 0,
+    processed_rows: 0, valid_rows: 0, inserted_rows: 0, updated_rows: 0, duplicate_rows: 0, skipped_rows: 0, error_rows: 0,
+  });
+
+  const result = await processScheduledJobs(db);
+
+  assert.equal(result.processed, 1);
+  const [batch] = db.tables.lead_import_batches;
+  assert.equal(batch.status, 'completed');
+  assert.equal(batch.chunk_count, 1);
+  assert.equal(batch.inserted_rows, 2);
+  assert.deepEqual(db.tables.leads.map((lead: any) => lead.custom_fields.importRowNumber), [2, 3]);
+  assert.deepEqual(downloads, [storageKey, `${storageKey}.chunks/00000.json`]);
+  assert.deepEqual(Object.keys(files), []);
+});
+
+Deno.test('a chunk left claimed by a killed run is retried once the claim goes stale', async () => {
+  const db: any = importDb([]);
+  const storageKey = `${TENANT_ID}/upload.tsv`;
+  const { storage } = fakeStorage({
+    [`${storageKey}.chunks/00000.json`]: JSON.stringify([
+      { rowNumber: 2, cells: ['ada@example.com', '+14165550101'] },
+      { rowNumber: 3, cells: ['grace@example.com', '+14165550102'] },
+    ]),
+  });
+  db.storage = storage;
+  db.tables.leads.push({ id: 'lead-ada', tenant_id: TENANT_ID, email: 'ada@example.com', lead_import_batch_id: BATCH_ID, custom_fields: { importRowNumber: 2 } });
+  db.tables.lead_import_batches.push({
+    id: BATCH_ID, tenant_id: TENANT_ID, status: 'processing', storage_key: storageKey, chunk_count: 1,
+    headers, columns, duplicate_mode: 'skip', campaign_id: null, total_rows: 2, next_row: 0,
+    chunk_claimed_at: new Date(Date.now() - 60 * 1000).toISOString(),
+    processed_rows: 0, valid_rows: 0, inserted_rows: 0, updated_rows: 0, duplicate_rows: 0, skipped_rows: 0, error_rows: 0,
+  });
+  const [batch] = db.tables.lead_import_batches;
+
+  await processScheduledJobs(db);
+  assert.equal(batch.status, 'processing', 'a recent claim may still be running');
+  assert.equal(batch.next_row, 0);
+
+  batch.chunk_claimed_at = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  await processScheduledJobs(db);
+  assert.equal(batch.status, 'completed');
+  assert.equal(batch.next_row, 2);
+  assert.equal(batch.chunk_claimed_at, null);
+  assert.equal(batch.inserted_rows, 2);
+  assert.deepEqual(db.tables.leads.map((lead: any) => lead.email), ['ada@example.com', 'grace@example.com']);
+});
+
+Deno.test('imported leads keep the file line their row starts on', async () => {
+  const db: any = importDb([]);
+  const storageKey = `${TENANT_ID}/upload.csv`;
+  const { storage } = fakeStorage({
+    [storageKey]: 'Email,Phone,Notes\nada@example.com,+14165550101,"Line one\nline two"\n\ngrace@example.com,+14165550102,\n',
+  });
+  db.storage = storage;
+  db.tables.lead_import_batches.push({
+    id: BATCH_ID, tenant_id: TENANT_ID, status: 'queued', storage_key: storageKey, chunk_count: null,
+    headers: [], columns, duplicate_mode: 'skip', campaign_id: null, total_rows: 0, next_row: 0,
+    processed_rows: 0, valid_rows: 0, inserted_rows: 0, updated_rows: 0, duplicate_rows: 0, skipped_rows: 0, error_rows: 0,
+  });
+
+  await processScheduledJobs(db);
+
+  assert.deepEqual(db.tables.leads.map((lead: any) => [lead.email, lead.custom_fields.importRowNumber]), [
+    ['ada@example.com', 2],
+    ['grace@example.com', 5],
+  ]);
+});
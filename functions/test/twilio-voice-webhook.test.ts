@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import twilio from 'npm:twilio';
+import { createFakeDb } from './fake-db.ts';
+import {
+  handleAnsweringMachine,
+  handleInboundCall,
+  handleInboundVoicemail,
+  handleTransfer,
+  processDuePostCallSummaries,
+} from '../twilio-voice-webhook.ts';
+
+const AUTH_TOKEN = 'test-auth-token';
+const TENANT_ID = 'tenant-1';
+const TENANT_NUMBER = '+14165550100';
+
+Deno.env.set('TWILIO_AUTH_TOKEN', AUTH_TOKEN);
+Deno.env.delete('TWILIO_WEBHOOK_BASE_URL');
+Deno.env.delete('VOICE_MEDIA_BRIDGE_WS_URL');
+Deno.env.delete('OPENAI_API_KEY');
+
+function twilioRequest(url: string, params: Record<string, string>, signed = true) {
+  const headers: Record<string, string> = { 'content-type': 'application/x-www-form-urlencoded' };
+  if (signed) headers['x-twilio-signature'] = twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, params);
+  return new Request(url, { method: 'POST', headers, body: new URLSearchParams(params).toString() });
+}
+
+function tenantDb(leads: Record<string, any>[] = []) {
+  return createFakeDb({
+    tenants: [{ id: TENANT_ID, name: 'Acme Roofing', default_timezone: 'America/Toronto' }],
+    tenant_phone_numbers: [{ id: 'number-1', tenant_id: TENANT_ID, phone_number: TENANT_NUMBER, voice_enabled: true }],
+    tenant_agents: [],
+    leads,
+  }, {
+    resolve_tenant_by_phone_number: ({ p_phone_number }) => (p_phone_number === TENANT_NUMBER ? TENANT_ID : null),
+  });
+}
+
+Deno.test('inbound calls without a valid Twilio signature are rejected before any lookup', async () => {
+  const url = 'https://functions.example.test/twilio-voice-webhook?mode=inbound';
+  const params = { CallSid: 'CA-forged', From: '+14165550199', To: TENANT_NUMBER };
+  const db = tenantDb();
+
+  await assert.rejects(() => handleInboundCall(db, twilioRequest(url, params, false), new URL(url), params), /signature/);
+  const tampered = twilioRequest(url, params);
+  await assert.rejects(() => handleInboundCall(db, tampered, new URL(url), { ...params, From: '+14165550123' }), /signature/);
+  assert.deepEqual(db.calls, []);
+  assert.equal(db.tables.leads.length, 0);
+});
+
+Deno.test('inbound callers match leads stored in national form and new callers get no call consent', async () => {
+  const url = 'https://functions.example.test/twilio-voice-webhook?mode=inbound';
+  const db = tenantDb([{ id: 'lead-1', tenant_id: TENANT_ID, phone: '07700900123', full_name: 'Dana' }]);
+
+  const known = { CallSid: 'CA-known', From: '+447700900123', To: TENANT_NUMBER };
+  await handleInboundCall(db, twilioRequest(url, known), new URL(url), known);
+  assert.equal(db.tables.leads.length, 1);
+  assert.equal(db.tables.voice_call_sessions[0].lead_id, 'lead-1');
+
+  const unknown = { CallSid: 'CA-new', From: '+14165550177', To: TENANT_NUMBER };
+  await handleInboundCall(db, twilioRequest(url, unknown), new URL(url), unknown);
+  const created = db.tables.leads.find((lead) => lead.phone === '+14165550177');
+  assert.ok(created);
+  assert.equal(created.source, 'inbound_call');
+  assert.equal('call_consent' in created, false);
+});
+
+Deno.test('forged inbound voicemails do not schedule a callback', async () => {
+  const db = tenantDb([{ id: 'lead-1', tenant_id: TENANT_ID, phone: '+14165550142', call_consent: true }]);
+  db.tables.voice_call_sessions = [{
+    id: 'session-1',
+    tenant_id: TENANT_ID,
+    lead_id: 'lead-1',
+    tenant_agent_id: 'agent-1',
+    direction: 'inbound',
+    twilio_call_sid: 'CA-voicemail',
+    metadata: { afterHours: { nextAllowedAt: '2026-10-20T13:00:00.000Z' } },
+  }];
+  const url = 'https://functions.example.test/twilio-voice-webhook?mode=inbound-voicemail&sessionId=session-1';
+  const params = { CallSid: 'CA-voicemail', RecordingUrl: 'https://api.twilio.test/rec.wav', RecordingDuration: '12', RecordingSid: 'RE1' };
+
+  await assert.rejects(() => handleInboundVoicemail(db, twilioRequest(url, params, false), new URL(url), params), /signature/);
+  assert.deepEqual(db.calls, []);
+
+  const response = await handleInboundVoicemail(db, twilioRequest(url, params), new URL(url), params);
+  assert.equal(response.status, 200);
+  const [callback] = db.tables.bob_actions;
+  assert.equal(callback.status, 'awaiting_call');
+  assert.equal(callback.scheduled_for, '2026-10-20T13:00:00.000Z');
+  assert.equal(db.tables.voice_call_sessions[0].outcome, 'voicemail_received');
+  assert.ok(db.tables.voice_call_sessions[0].post_call_summary_due_at);
+  assert.equal(db.tables.voice_call_sessions[0].post_call_summary, undefined);
+});
+
+Deno.test('answering machine callbacks need a Twilio signature and the session CallSid', async () => {
+  const db = tenantDb();
+  db.tables.voice_call_sessions = [{ id: 'session-2', tenant_id: TENANT_ID, direction: 'outbound', twilio_call_sid: 'CA-live', metadata: {} }];
+  const url = 'https://functions.example.test/twilio-voice-webhook?mode=amd&sessionId=session-2';
+  const human = { CallSid: 'CA-live', AnsweredBy: 'human' };
+
+  await assert.rejects(() => handleAnsweringMachine(db, twilioRequest(url, human, false), new URL(url), human), /signature/);
+  const missingSid = { AnsweredBy: 'machine_end_beep' };
+  await assert.rejects(() => handleAnsweringMachine(db, twilioRequest(url, missingSid), new URL(url), missingSid), /does not match/);
+  const otherCall = { CallSid: 'CA-other', AnsweredBy: 'machine_end_beep' };
+  await assert.rejects(() => handleAnsweringMachine(db, twilioRequest(url, otherCall), new URL(url), otherCall), /does not match/);
+  assert.equal(db.calls.filter((call) => call.op !== 'select').length, 0);
+
+  const response = await handleAnsweringMachine(db, twilioRequest(url, human), new URL(url), human);
+  assert.equal((await response.json()).answeredBy, 'human');
+  assert.equal(db.tables.voice_call_sessions[0].metadata.answeringMachine.answeredBy, 'human');
+});
+
+Deno.test('scheduled post-call summaries fall back to the heuristic when OpenAI fails or times out', async () => {
+  const ended = { tenant_id: TENANT_ID, direction: 'outbound', status: 'completed', outcome: 'callback_requested', post_call_summary_due_at: '2026-01-05T12:00:00.000Z' };
+  const db = tenantDb();
+  db.tables.voice_call_sessions = [
+    { ...ended, id: 'session-offline', transcript: 'Lead: Can you call me back tomorrow morning about the roof?' },
+    { ...ended, id: 'session-slow', transcript: 'Lead: I need a quote for gutters, call me back next week.' },
+  ];
+  const realFetch = globalThis.fetch;
+  const signals: AbortSignal[] = [];
+  let attempt = 0;
+  globalThis.fetch = ((_input: any, init?: RequestInit) => {
+    signals.push(init?.signal as AbortSignal);
+    attempt += 1;
+    return Promise.reject(attempt === 1 ? new TypeError('network is unreachable') : new DOMException('Signal timed out.', 'TimeoutError'));
+  }) as typeof fetch;
+  Deno.env.set('OPENAI_API_KEY', 'sk-test');
+  try {
+    const result = await processDuePostCallSummaries(db);
+    assert.equal(result.processed, 2);
+  } finally {
+    globalThis.fetch = realFetch;
+    Deno.env.delete('OPENAI_API_KEY');
+  }
+
+  assert.ok(signals.every((signal) => signal instanceof AbortSignal));
+  const [offline, slow] = db.tables.voice_call_sessions;
+  assert.equal(offline.post_call_summary.generatedBy, 'heuristic');
+  assert.match(offline.post_call_summary.generationError, /request failed: network is unreachable/);
+  assert.equal(slow.post_call_summary.generatedBy, 'heuristic');
+  assert.equal(slow.post_call_summary.generationError, 'OpenAI call summary timed out');
+  assert.equal(slow.post_call_summary.recommendedOutcome, 'callback_requested');
+  assert.equal(offline.post_call_summary_due_at, null);
+  assert.equal(slow.post_call_summary_due_at, null);
+});
+
+Deno.test('a transfer needs the bridge secret and only drops the agent after Twilio takes the redirect', async () => {
+  const db = createFakeDb({
+    voice_call_sessions: [{
+      id: 'session-3',
+      tenant_id: TENANT_ID,
+      status: 'in_progress',
+      twilio_call_sid: 'CA-transfer',
+      media_bridge_url: 'wss://bridge.example.test/media',
+      metadata: {},
+    }],
+  }, {
+    get_effective_tenant_lifecycle_rules: () => ({ humanEscalationPolicy: { enabled: true, numbers: ['+14165550188'], fallback: 'none' } }),
+  });
+  const url = 'https://functions.example.test/twilio-voice-webhook?mode=transfer';
+  const request = () => new Request(url, { method: 'POST', headers: { 'x-voice-bridge-secret': 'bridge-secret' } });
+  const realFetch = globalThis.fetch;
+  const requests: string[] = [];
+  let twilioUp = false;
+  globalThis.fetch = ((input: any) => {
+    const target = String(input);
+    requests.push(target.startsWith('https://api.twilio.com/') ? 'twilio' : 'bridge');
+    if (target.startsWith('https://api.twilio.com/') && !twilioUp) {
+      return Promise.resolve(Response.json({ message: 'Call is not in-progress' }, { status: 400 }));
+    }
+    return Promise.resolve(Response.json({ success: true, result: { detached: true } }));
+  }) as typeof fetch;
+  Deno.env.set('TWILIO_ACCOUNT_SID', 'AC-test');
+  try {
+    await assert.rejects(() => handleTransfer(db, request(), new URL(url), { voiceCallSessionId: 'session-3' }), /secret is not configured/);
+    Deno.env.set('VOICE_BRIDGE_CONTEXT_SECRET', 'bridge-secret');
+    const forged = new Request(url, { method: 'POST', headers: { 'x-voice-bridge-secret': 'guess' } });
+    await assert.rejects(() => handleTransfer(db, forged, new URL(url), { voiceCallSessionId: 'session-3' }), /Invalid voice bridge secret/);
+    assert.deepEqual(requests, []);
+    assert.deepEqual(db.calls, []);
+
+    const failed = await (await handleTransfer(db, request(), new URL(url), { voiceCallSessionId: 'session-3' })).json();
+    assert.equal(failed.code, 'TRANSFER_FAILED');
+    assert.deepEqual(requests, ['twilio']);
+    assert.equal(db.tables.voice_call_sessions[0].metadata.transfer.status, 'failed');
+
+    twilioUp = true;
+    requests.length = 0;
+    const started = await (await handleTransfer(db, request(), new URL(url), { voiceCallSessionId: 'session-3' })).json();
+    assert.equal(started.success, true);
+    assert.deepEqual(requests, ['twilio', 'bridge']);
+    assert.equal(started.transfer.bridgeDetached, true);
+    assert.equal(db.tables.voice_call_sessions[0].metadata.transfer.status, 'dialing');
+  } finally {
+    globalThis.fetch = realFetch;
+    Deno.env.delete('TWILIO_ACCOUNT_SID');
+    Deno.env.delete('VOICE_BRIDGE_CONTEXT_SECRET');
+  }
+});
@@ -49,6 +49,137 @@ function normalizePhone(value: unknown) {
   return digits ? `+${digits}` : '';
 }
 
+// E.164 normalization, copied from frontend/lib/phone.js (Functions deploy as
+// single files). Keep the copies in sync so imported, Facebook and SMS leads
+// match on the same phone key.
+const PHONE_COUNTRIES: any[] = [
+  { code: 'US', dial: '1', trunk: '1', lengths: [10], tollFree: /^8(00|33|44|55|66|77|88)/, premium: /^900/, names: ['united states', 'united states of america', 'usa', 'america'] },
+  { code: 'CA', dial: '1', trunk: '1', lengths: [10], tollFree: /^8(00|33|44|55|66|77|88)/, premium: /^900/, names: ['canada'] },
+  { code: 'GB', dial: '44', trunk: '0', lengths: [10], mobile: /^7[1-9]/, tollFree: /^80/, premium: /^9/, names: ['united kingdom', 'uk', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland'] },
+  { code: 'IE', dial: '353', trunk: '0', lengths: [7, 8, 9], mobile: /^8[3-9]/, tollFree: /^1800/, names: ['ireland', 'republic of ireland', 'eire'] },
+  { code: 'AU', dial: '61', trunk: '0', lengths: [9], mobile: /^4/, tollFree: /^1800/, names: ['australia'] },
+  { code: 'NZ', dial: '64', trunk: '0', lengths: [8, 9, 10], mobile: /^2/, tollFree: /^800/, names: ['new zealand'] },
+  { code: 'ZA', dial: '27', trunk: '0', lengths: [9], mobile: /^[678]/, tollFree: /^80/, names: ['south africa'] },
+  { code: 'NG', dial: '234', trunk: '0', lengths: [10], mobile: /^[789][01]/, names: ['nigeria'] },
+  { code: 'KE', dial: '254', trunk: '0', lengths: [9], mobile: /^[17]/, names: ['kenya'] },
+  { code: 'GH', dial: '233', trunk: '0', lengths: [9], mobile: /^[25]/, names: ['ghana'] },
+  { code: 'IN', dial: '91', trunk: '0', lengths: [10], mobile: /^[6-9]/, tollFree: /^1800/, names: ['india'] },
+  { code: 'DE', dial: '49', trunk: '0', lengths: [7, 8, 9, 10, 11], mobile: /^1[5-7]/, tollFree: /^800/, names: ['germany', 'deutschland'] },
+  { code: 'FR', dial: '33', trunk: '0', lengths: [9], mobile: /^[67]/, tollFree: /^80/, premium: /^89/, names: ['france'] },
+  { code: 'ES', dial: '34', lengths: [9], mobile: /^[67]/, tollFree: /^900/, names: ['spain', 'espana'] },
+  { code: 'IT', dial: '39', lengths: [6, 7, 8, 9, 10, 11], mobile: /^3/, tollFree: /^800/, names: ['italy', 'italia'] },
+  { code: 'NL', dial: '31', trunk: '0', lengths: [9], mobile: /^6/, tollFree: /^800/, names: ['netherlands', 'the netherlands', 'holland'] },
+  { code: 'BE', dial: '32', trunk: '0', lengths: [8, 9], mobile: /^4/, tollFree: /^800/, names: ['belgium'] },
+  { code: 'PT', dial: '351', lengths: [9], mobile: /^9/, tollFree: /^800/, names: ['portugal'] },
+  { code: 'SE', dial: '46', trunk: '0', lengths: [7, 8, 9], mobile: /^7/, names: ['sweden'] },
+  { code: 'CH', dial: '41', trunk: '0', lengths: [9], mobile: /^7[5-9]/, tollFree: /^800/, names: ['switzerland'] },
+  { code: 'PL', dial: '48', lengths: [9], names: ['poland'] },
+  { code: 'BR', dial: '55', trunk: '0', lengths: [10, 11], mobile: /^\d{2}9/, names: ['brazil', 'brasil'] },
+  { code: 'MX', dial: '52', lengths: [10], names: ['mexico'] },
+  { code: 'AE', dial: '971', trunk: '0', lengths: [8, 9], mobile: /^5/, tollFree: /^800/, names: ['united arab emirates', 'uae', 'dubai', 'abu dhabi'] },
+  { code: 'SG', dial: '65', lengths: [8], mobile: /^[89]/, tollFree: /^1800/, names: ['singapore'] },
+  { code: 'PH', dial: '63', trunk: '0', lengths: [10], mobile: /^9/, names: ['philippines'] },
+  { code: 'JP', dial: '81', trunk: '0', lengths: [9, 10], mobile: /^[789]0/, tollFree: /^120/, names: ['japan'] },
+];
+
+const US_REGIONS = new Set('AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY'.split(' '));
+const CA_REGIONS = new Set('AB BC MB NB NL NS NT NU ON PE QC SK YT'.split(' '));
+const UK_POSTCODE = /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/i;
+const PHONE_COUNTRY_BY_CODE = new Map(PHONE_COUNTRIES.map((country) => [country.code, country]));
+const DIAL_CODES = [...new Set(PHONE_COUNTRIES.map((country) => country.dial))].sort((a, b) => b.length - a.length);
+
+function countryFromText(value: unknown) {
+  const raw = String(value || '').trim();
+  if (/^[A-Za-z]{2}$/.test(raw)) {
+    const upper = raw.toUpperCase();
+    if (upper === 'UK') return 'GB';
+    if (PHONE_COUNTRY_BY_CODE.has(upper)) return upper;
+  }
+  const text = raw.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!text) return null;
+  const padded = ` ${text} `;
+  return PHONE_COUNTRIES.find((country) => country.names.some((name: string) => padded.includes(` ${name} `)))?.code || null;
+}
+
+function countryFromLocation(locationSummary: unknown) {
+  const location = String(locationSummary || '').trim();
+  if (!location) return null;
+  const segments = location.split(/[,/|]/).map((segment) => segment.trim()).filter(Boolean).reverse();
+  for (const segment of segments) {
+    const region = segment.match(/^([A-Za-z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/)?.[1]?.toUpperCase();
+    if (region && US_REGIONS.has(region)) return 'US';
+    if (region && CA_REGIONS.has(region)) return 'CA';
+    const country = countryFromText(segment);
+    if (country) return country;
+  }
+  return UK_POSTCODE.test(location) ? 'GB' : null;
+}
+
+function nationalPhoneFor(country: any, digits: string) {
+  if (country.trunk && digits.startsWith(country.trunk) && country.lengths.includes(digits.length - country.trunk.length)) {
+    return digits.slice(country.trunk.length);
+  }
+  return country.lengths.includes(digits.length) ? digits : null;
+}
+
+function countryForDial(dial: string, preferred?: string | null) {
+  if (preferred && PHONE_COUNTRY_BY_CODE.get(preferred)?.dial === dial) return PHONE_COUNTRY_BY_CODE.get(preferred);
+  return PHONE_COUNTRIES.find((country) => country.dial === dial) || null;
+}
+
+// Returns { e164, country, nationalNumber }; e164 is null when the number
+// cannot be normalized. National numbers take the country from the lead
+// location, then the tenant's country.
+function normalizePhoneNumber(value: unknown, options: { defaultCountry?: unknown; locationSummary?: unknown } = {}) {
+  const input = String(value || '').trim().replace(/^(whatsapp|messenger|tel|sms):/i, '').replace(/\s*(?:ext\.?|extension|x|#)\s*\d+\s*$/i, '');
+  const result: { e164: string | null; country: string | null; nationalNumber: string | null } = { e164: null, country: null, nationalNumber: null };
+  let digits = input.replace(/\D/g, '');
+  if (!digits) return result;
+  const inferred = countryFromLocation(options.locationSummary) || countryFromText(options.defaultCountry);
+  let international = input.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  let country: any = null;
+  let nationalNumber: string | null = null;
+  if (international) {
+    const dial = DIAL_CODES.find((code) => digits.startsWith(code));
+    if (!dial) {
+      if (digits.length >= 8 && digits.length <= 15) result.e164 = `+${digits}`;
+      return result;
+    }
+    country = countryForDial(dial, inferred);
+    nationalNumber = nationalPhoneFor(country, digits.slice(dial.length));
+  } else if (inferred) {
+    country = PHONE_COUNTRY_BY_CODE.get(inferred);
+    nationalNumber = nationalPhoneFor(country, digits);
+    if (!nationalNumber && digits.startsWith(country.dial)) nationalNumber = nationalPhoneFor(country, digits.slice(country.dial.length));
+  } else {
+    const dial = DIAL_CODES.find((code) => digits.startsWith(code) && countryForDial(code)?.lengths.includes(digits.length - code.length));
+    if (!dial) return result;
+    country = countryForDial(dial);
+    nationalNumber = digits.slice(dial.length);
+  }
+
+  result.country = country.code;
+  if (!nationalNumber) return result;
+  result.nationalNumber = nationalNumber;
+  result.e164 = `+${country.dial}${nationalNumber}`;
+  return result;
+}
+
+// Stored lead phones may predate normalization: match the E.164 form, the
+// same digits without +, and (within one tenant) the national trunk form.
+function phoneMatchFilter(phone: ReturnType<typeof normalizePhoneNumber>, includeNational = true) {
+  if (!phone.e164) return '';
+  const values = [phone.e164, phone.e164.slice(1)];
+  const trunk = PHONE_COUNTRY_BY_CODE.get(phone.country || '')?.trunk;
+  if (includeNational && trunk && phone.nationalNumber) values.push(`${trunk}${phone.nationalNumber}`);
+  return [...new Set(values)].map((value) => `phone.eq.${value}`).join(',');
+}
+
 function whatsappAddress(value: unknown) {
   const phone = normalizePhone(value);
   return phone ? `whatsapp:${phone}` : '';
@@ -124,10 +255,11 @@ async function getTenantPhoneNumberForChannel(db: any, tenantId: string, channel
 }
 
 async function resolveGlobalWhatsappLead(db: any, peerPhone: unknown) {
-  const normalized = normalizePhone(peerPhone);
-  if (!normalized) return null;
+  // No tenant scope here, so national forms are not matched.
+  const phoneFilter = phoneMatchFilter(normalizePhoneNumber(peerPhone), false);
+  if (!phoneFilter) return null;
   const { data, error } = await db.database.from('leads').select('*')
-    .or(`phone.eq.${normalized},phone.eq.${normalized.slice(1)}`)
+    .or(phoneFilter)
     .eq('whatsapp_consent', true)
     .eq('do_not_contact', false)
     .order('updated_at', { ascending: false })
@@ -156,10 +288,10 @@ async function findLeadById(db: any, tenantId: string, leadId: unknown) {
 }
 
 async function findLeadByPhone(db: any, tenantId: string, phone: unknown) {
-  const normalized = normalizePhone(phone);
-  if (!normalized) return null;
+  const phoneFilter = phoneMatchFilter(normalizePhoneNumber(phone));
+  if (!phoneFilter) return null;
   const { data, error } = await db.database.from('leads').select('*').eq('tenant_id', tenantId)
-    .or(`phone.eq.${normalized},phone.eq.${normalized.slice(1)}`).limit(1);
+    .or(phoneFilter).limit(1);
   if (error) throw new Error(error.message || 'Failed to load lead');
   return data?.[0] || null;
 }
@@ -493,7 +625,7 @@ async function sendTwilioMessage(db: any, input: { tenantId: string; lead: any;
   if (input.channel === 'sms' && tenantSenderActive && !phoneNumber.sms_enabled) throw new Error('Tenant SMS is not enabled');
   if (input.channel === 'whatsapp' && !fallbackSender && !tenantSenderActive) throw new Error('No global or tenant WhatsApp sender is configured');
   if (input.channel === 'whatsapp' && !fallbackSender && phoneNumber.whatsapp_status !== 'active') throw new Error('Tenant WhatsApp account is not active');
-  const to = normalizePhone(input.lead.phone);
+  const to = normalizePhoneNumber(input.lead.phone, { locationSummary: input.lead.location_summary }).e164 || normalizePhone(input.lead.phone);
   if (!to) throw new Error('Lead phone number is required');
   const accountSid = Deno.env.get('TWILIO_ACCOUNT_SID');
   const authToken = Deno.env.get('TWILIO_AUTH_TOKEN');
@@ -1,4 +1,5 @@
 import { createClient } from 'npm:@insforge/sdk';
+import twilio from 'npm:twilio';
 
 type JsonRecord = Record<string, any>;
 
@@ -12,10 +13,25 @@ function createInsForgeClient() {
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Voice-Bridge-Secret',
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Voice-Bridge-Secret,X-Call-Context-Token,X-Twilio-Signature,X-Voice-Summary-Secret',
 };
 
 const ELEVENLABS_API_BASE = 'https://api.elevenlabs.io/v1';
+const VOICE_RECORDING_BUCKET = 'voice-call-recordings';
+const VOICE_RECORDING_MAX_BYTES = 64 * 1024 * 1024;
+const MACHINE_ANSWERED_BY = ['machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax'];
+const TRANSFER_ANSWERED_STATUSES = ['answered', 'completed'];
+const DEFAULT_TRANSFER_FALLBACK_MESSAGE = 'Sorry, nobody from our team is free to take the call right now. Someone will call you back shortly. Goodbye.';
+const CALL_CONTEXT_TTL_MS = 20 * 60 * 1000;
+const TERMINAL_CALL_STATUSES = ['completed', 'failed', 'canceled', 'no_answer', 'busy'];
+const CALL_OUTCOMES = ['booked', 'no_answer', 'callback_requested', 'wrong_number', 'not_interested', 'needs_human_follow_up'];
+const CALL_SENTIMENTS = ['positive', 'neutral', 'negative', 'mixed'];
+const INBOUND_VOICEMAIL_MAX_SECONDS = 120;
+const POST_CALL_SUMMARY_TIMEOUT_MS = 20000;
+const POST_CALL_SUMMARY_BATCH_SIZE = 10;
+const POST_CALL_SUMMARY_BUDGET_MS = 45000;
+const POST_CALL_SUMMARY_RETRY_MS = 5 * 60 * 1000;
+const DEFAULT_VOICEMAIL_DROP_MESSAGE = 'Hi {{lead_name}}, this is {{agent_name}} from {{tenant_name}}, following up on your recent request. We will send you a short message with the details. Thank you, and have a great day.';
 
 function optionsResponse() {
   return new Response(null, { status: 204, headers: corsHeaders });
@@ -98,6 +114,7 @@ function canonicalLifecycleOutcome(value: any) {
     completed: 'answered',
     canceled: 'failed',
     no_answer: 'no_answer',
+    transferred: 'needs_human_review',
   };
   const canonical = [
     'answered',
@@ -147,6 +164,249 @@ function functionBaseUrl(reqUrl: URL) {
   return (Deno.env.get('INSFORGE_FUNCTION_BASE_URL') || reqUrl.origin).replace(/\/$/, '');
 }
 
+function randomContextToken() {
+  return `${crypto.randomUUID()}.${crypto.randomUUID()}`;
+}
+
+function normalizePhone(value: any) {
+  const digits = String(value || '').trim().replace(/\D/g, '');
+  return digits ? `+${digits}` : '';
+}
+
+// E.164 normalization, copied from frontend/lib/phone.js (Functions deploy as
+// single files). Keep the copies in sync so inbound callers match leads that
+// were imported, captured from Facebook or texted in on the same phone key.
+const PHONE_COUNTRIES: any[] = [
+  { code: 'US', dial: '1', trunk: '1', lengths: [10], tollFree: /^8(00|33|44|55|66|77|88)/, premium: /^900/, names: ['united states', 'united states of america', 'usa', 'america'] },
+  { code: 'CA', dial: '1', trunk: '1', lengths: [10], tollFree: /^8(00|33|44|55|66|77|88)/, premium: /^900/, names: ['canada'] },
+  { code: 'GB', dial: '44', trunk: '0', lengths: [10], mobile: /^7[1-9]/, tollFree: /^80/, premium: /^9/, names: ['united kingdom', 'uk', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland'] },
+  { code: 'IE', dial: '353', trunk: '0', lengths: [7, 8, 9], mobile: /^8[3-9]/, tollFree: /^1800/, names: ['ireland', 'republic of ireland', 'eire'] },
+  { code: 'AU', dial: '61', trunk: '0', lengths: [9], mobile: /^4/, tollFree: /^1800/, names: ['australia'] },
+  { code: 'NZ', dial: '64', trunk: '0', lengths: [8, 9, 10], mobile: /^2/, tollFree: /^800/, names: ['new zealand'] },
+  { code: 'ZA', dial: '27', trunk: '0', lengths: [9], mobile: /^[678]/, tollFree: /^80/, names: ['south africa'] },
+  { code: 'NG', dial: '234', trunk: '0', lengths: [10], mobile: /^[789][01]/, names: ['nigeria'] },
+  { code: 'KE', dial: '254', trunk: '0', lengths: [9], mobile: /^[17]/, names: ['kenya'] },
+  { code: 'GH', dial: '233', trunk: '0', lengths: [9], mobile: /^[25]/, names: ['ghana'] },
+  { code: 'IN', dial: '91', trunk: '0', lengths: [10], mobile: /^[6-9]/, tollFree: /^1800/, names: ['india'] },
+  { code: 'DE', dial: '49', trunk: '0', lengths: [7, 8, 9, 10, 11], mobile: /^1[5-7]/, tollFree: /^800/, names: ['germany', 'deutschland'] },
+  { code: 'FR', dial: '33', trunk: '0', lengths: [9], mobile: /^[67]/, tollFree: /^80/, premium: /^89/, names: ['france'] },
+  { code: 'ES', dial: '34', lengths: [9], mobile: /^[67]/, tollFree: /^900/, names: ['spain', 'espana'] },
+  { code: 'IT', dial: '39', lengths: [6, 7, 8, 9, 10, 11], mobile: /^3/, tollFree: /^800/, names: ['italy', 'italia'] },
+  { code: 'NL', dial: '31', trunk: '0', lengths: [9], mobile: /^6/, tollFree: /^800/, names: ['netherlands', 'the netherlands', 'holland'] },
+  { code: 'BE', dial: '32', trunk: '0', lengths: [8, 9], mobile: /^4/, tollFree: /^800/, names: ['belgium'] },
+  { code: 'PT', dial: '351', lengths: [9], mobile: /^9/, tollFree: /^800/, names: ['portugal'] },
+  { code: 'SE', dial: '46', trunk: '0', lengths: [7, 8, 9], mobile: /^7/, names: ['sweden'] },
+  { code: 'CH', dial: '41', trunk: '0', lengths: [9], mobile: /^7[5-9]/, tollFree: /^800/, names: ['switzerland'] },
+  { code: 'PL', dial: '48', lengths: [9], names: ['poland'] },
+  { code: 'BR', dial: '55', trunk: '0', lengths: [10, 11], mobile: /^\d{2}9/, names: ['brazil', 'brasil'] },
+  { code: 'MX', dial: '52', lengths: [10], names: ['mexico'] },
+  { code: 'AE', dial: '971', trunk: '0', lengths: [8, 9], mobile: /^5/, tollFree: /^800/, names: ['united arab emirates', 'uae', 'dubai', 'abu dhabi'] },
+  { code: 'SG', dial: '65', lengths: [8], mobile: /^[89]/, tollFree: /^1800/, names: ['singapore'] },
+  { code: 'PH', dial: '63', trunk: '0', lengths: [10], mobile: /^9/, names: ['philippines'] },
+  { code: 'JP', dial: '81', trunk: '0', lengths: [9, 10], mobile: /^[789]0/, tollFree: /^120/, names: ['japan'] },
+];
+
+const US_REGIONS = new Set('AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY'.split(' '));
+const CA_REGIONS = new Set('AB BC MB NB NL NS NT NU ON PE QC SK YT'.split(' '));
+const UK_POSTCODE = /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/i;
+const PHONE_COUNTRY_BY_CODE = new Map(PHONE_COUNTRIES.map((country) => [country.code, country]));
+const DIAL_CODES = [...new Set(PHONE_COUNTRIES.map((country) => country.dial))].sort((a, b) => b.length - a.length);
+
+function countryFromText(value: unknown) {
+  const raw = String(value || '').trim();
+  if (/^[A-Za-z]{2}$/.test(raw)) {
+    const upper = raw.toUpperCase();
+    if (upper === 'UK') return 'GB';
+    if (PHONE_COUNTRY_BY_CODE.has(upper)) return upper;
+  }
+  const text = raw.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!text) return null;
+  const padded = ` ${text} `;
+  return PHONE_COUNTRIES.find((country) => country.names.some((name: string) => padded.includes(` ${name} `)))?.code || null;
+}
+
+function countryFromLocation(locationSummary: unknown) {
+  const location = String(locationSummary || '').trim();
+  if (!location) return null;
+  const segments = location.split(/[,/|]/).map((segment) => segment.trim()).filter(Boolean).reverse();
+  for (const segment of segments) {
+    const region = segment.match(/^([A-Za-z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/)?.[1]?.toUpperCase();
+    if (region && US_REGIONS.has(region)) return 'US';
+    if (region && CA_REGIONS.has(region)) return 'CA';
+    const country = countryFromText(segment);
+    if (country) return country;
+  }
+  return UK_POSTCODE.test(location) ? 'GB' : null;
+}
+
+function nationalPhoneFor(country: any, digits: string) {
+  if (country.trunk && digits.startsWith(country.trunk) && country.lengths.includes(digits.length - country.trunk.length)) {
+    return digits.slice(country.trunk.length);
+  }
+  return country.lengths.includes(digits.length) ? digits : null;
+}
+
+function countryForDial(dial: string, preferred?: string | null) {
+  if (preferred && PHONE_COUNTRY_BY_CODE.get(preferred)?.dial === dial) return PHONE_COUNTRY_BY_CODE.get(preferred);
+  return PHONE_COUNTRIES.find((country) => country.dial === dial) || null;
+}
+
+// Returns { e164, country, nationalNumber }; e164 is null when the number
+// cannot be normalized. National numbers take the country from the lead
+// location, then the tenant's country.
+function normalizePhoneNumber(value: unknown, options: { defaultCountry?: unknown; locationSummary?: unknown } = {}) {
+  const input = String(value || '').trim().replace(/^(whatsapp|messenger|tel|sms):/i, '').replace(/\s*(?:ext\.?|extension|x|#)\s*\d+\s*$/i, '');
+  const result: { e164: string | null; country: string | null; nationalNumber: string | null } = { e164: null, country: null, nationalNumber: null };
+  let digits = input.replace(/\D/g, '');
+  if (!digits) return result;
+  const inferred = countryFromLocation(options.locationSummary) || countryFromText(options.defaultCountry);
+  let international = input.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  let country: any = null;
+  let nationalNumber: string | null = null;
+  if (international) {
+    const dial = DIAL_CODES.find((code) => digits.startsWith(code));
+    if (!dial) {
+      if (digits.length >= 8 && digits.length <= 15) result.e164 = `+${digits}`;
+      return result;
+    }
+    country = countryForDial(dial, inferred);
+    nationalNumber = nationalPhoneFor(country, digits.slice(dial.length));
+  } else if (inferred) {
+    country = PHONE_COUNTRY_BY_CODE.get(inferred);
+    nationalNumber = nationalPhoneFor(country, digits);
+    if (!nationalNumber && digits.startsWith(country.dial)) nationalNumber = nationalPhoneFor(country, digits.slice(country.dial.length));
+  } else {
+    const dial = DIAL_CODES.find((code) => digits.startsWith(code) && countryForDial(code)?.lengths.includes(digits.length - code.length));
+    if (!dial) return result;
+    country = countryForDial(dial);
+    nationalNumber = digits.slice(dial.length);
+  }
+
+  result.country = country.code;
+  if (!nationalNumber) return result;
+  result.nationalNumber = nationalNumber;
+  result.e164 = `+${country.dial}${nationalNumber}`;
+  return result;
+}
+
+// Stored lead phones may predate normalization: match the E.164 form, the
+// same digits without +, and (within one tenant) the national trunk form.
+function phoneMatchFilter(phone: ReturnType<typeof normalizePhoneNumber>, includeNational = true) {
+  if (!phone.e164) return '';
+  const values = [phone.e164, phone.e164.slice(1)];
+  const trunk = PHONE_COUNTRY_BY_CODE.get(phone.country || '')?.trunk;
+  if (includeNational && trunk && phone.nationalNumber) values.push(`${trunk}${phone.nationalNumber}`);
+  return [...new Set(values)].map((value) => `phone.eq.${value}`).join(',');
+}
+
+function requestUrlForSignature(req: Request) {
+  const configured = Deno.env.get('TWILIO_WEBHOOK_BASE_URL');
+  if (configured) return `${configured.replace(/\/$/, '')}/twilio-voice-webhook${new URL(req.url).search}`;
+  return req.url;
+}
+
+// Twilio-originated callbacks (inbound calls, voicemail, AMD) carry no other
+// credential, so the signature is checked before anything is read or written.
+function requireTwilioSignature(req: Request, params: JsonRecord) {
+  const token = Deno.env.get('TWILIO_AUTH_TOKEN');
+  const signature = req.headers.get('x-twilio-signature');
+  if (!token || !signature || !twilio.validateRequest(token, signature, requestUrlForSignature(req), params)) {
+    throw new Error('Invalid Twilio webhook signature');
+  }
+}
+
+function parseBusinessTime(value: any, fallback: string) {
+  const match = String(value || fallback).match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return parseBusinessTime(fallback, '10:00');
+  const hour = Math.min(Math.max(Number(match[1]), 0), 23);
+  const minute = Math.min(Math.max(Number(match[2]), 0), 59);
+  return { hour, minute, totalMinutes: hour * 60 + minute, label: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}` };
+}
+
+function normalizedTimeZone(value: any) {
+  const timeZone = String(value || 'UTC').trim() || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+    return timeZone;
+  } catch {
+    return 'UTC';
+  }
+}
+
+function timeZoneParts(date: Date, timeZone: string) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour12: false,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const values = Object.fromEntries(parts.filter((part) => part.type !== 'literal').map((part) => [part.type, Number(part.value)]));
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour === 24 ? 0 : values.hour,
+    minute: values.minute,
+    second: values.second,
+  };
+}
+
+function timeZoneOffsetMs(date: Date, timeZone: string) {
+  const parts = timeZoneParts(date, timeZone);
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - date.getTime();
+}
+
+function zonedLocalTimeToUtc(parts: { year: number; month: number; day: number; hour: number; minute: number }, timeZone: string) {
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, 0);
+  let utc = new Date(localAsUtc - timeZoneOffsetMs(new Date(localAsUtc), timeZone));
+  utc = new Date(localAsUtc - timeZoneOffsetMs(utc, timeZone));
+  return utc;
+}
+
+function formatBusinessTime(time: { hour: number; minute: number }) {
+  const suffix = time.hour >= 12 ? 'PM' : 'AM';
+  const hour12 = time.hour % 12 || 12;
+  return `${hour12}:${String(time.minute).padStart(2, '0')} ${suffix}`;
+}
+
+function businessHoursStatus(tenant: any, now = new Date()) {
+  const timeZone = normalizedTimeZone(tenant?.default_timezone);
+  const start = parseBusinessTime(tenant?.business_hours_start, '10:00');
+  const end = parseBusinessTime(tenant?.business_hours_end, '17:00');
+  const local = timeZoneParts(now, timeZone);
+  const localMinutes = local.hour * 60 + local.minute;
+  const allowed = localMinutes >= start.totalMinutes && localMinutes < end.totalMinutes;
+  const nextLocalDayOffset = localMinutes < start.totalMinutes ? 0 : 1;
+  const nextLocalMidnight = new Date(Date.UTC(local.year, local.month - 1, local.day + nextLocalDayOffset));
+  const nextAllowedAt = zonedLocalTimeToUtc({
+    year: nextLocalMidnight.getUTCFullYear(),
+    month: nextLocalMidnight.getUTCMonth() + 1,
+    day: nextLocalMidnight.getUTCDate(),
+    hour: start.hour,
+    minute: start.minute,
+  }, timeZone);
+
+  return {
+    allowed,
+    timeZone,
+    start,
+    end,
+    nextAllowedAt: nextAllowedAt.toISOString(),
+    localNow: `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`,
+    label: `${formatBusinessTime(start)} - ${formatBusinessTime(end)} ${timeZone}`,
+  };
+}
+
 async function loadSession(db: any, sessionId: string) {
   if (!sessionId) throw new Error('voice call session id is required');
   const rows = await unwrap(
@@ -328,6 +588,10 @@ function insuranceFormOpening(rows: JsonRecord) {
   return `Hi ${leadDisplayName(rows.lead)}, I’m ${agentName}. You filled our form on insurance, and I see you’re interested in ${leadInterestPhrase(rows.lead)}. Would you like to book a consultation with one of our experts?`;
 }
 
+function isInboundCall(rows: JsonRecord) {
+  return rows.session?.direction === 'inbound';
+}
+
 function isEmailFirstFollowupCall(rows: JsonRecord) {
   const payload = rows.bobAction?.payload || rows.session?.metadata || {};
   return payload.lifecyclePath === 'email_first_call_after_no_reply'
@@ -431,6 +695,14 @@ function buildCallFirstMessage(rows: JsonRecord) {
   const prefilled = hasUsefulPreFilledLeadContext(rows.lead);
   const actionPayload = rows.bobAction?.payload || {};
   const sessionMetadata = rows.session?.metadata || {};
+  if (isInboundCall(rows)) {
+    const name = leadDisplayName(rows.lead);
+    const greeting = name === 'there' ? 'Hi' : `Hi ${name}`;
+    const followUp = sessionMetadata.leadCreated
+      ? ''
+      : service ? ` I see we were in touch about ${friendlyValue(service)}.` : ' Thanks for calling us back.';
+    return `${greeting}, thanks for calling ${tenantName}. This is ${agentName}.${followUp} How can I help you today?`;
+  }
   if (isEmailFirstFollowupCall(rows)) {
     const variants = [
       `Hi ${leadDisplayName(rows.lead)}, my name is ${agentName}, assistant for ${tenantName}. We saw you filled one of our forms about ${leadInterestPhrase(rows.lead)}. The details are in the email I sent, and I’m calling to help schedule a meeting with one of our expert advisors. What day and time works for you?`,
@@ -478,7 +750,9 @@ function buildCallPrompt(rows: JsonRecord) {
 
   return [
     `You are ${agentName}, an AI outreach and booking assistant for ${tenantName}.`,
-    `This is an outbound campaign call to ${leadDisplayName(rows.lead)} about ${service}.`,
+    isInboundCall(rows)
+      ? `This is an inbound call: ${rows.session?.metadata?.leadCreated ? 'a new caller' : leadDisplayName(rows.lead)} called ${tenantName} back. Let them say why they are calling before steering toward ${service}, and ask for their name if it is not known.`
+      : `This is an outbound campaign call to ${leadDisplayName(rows.lead)} about ${service}.`,
     rows.bobAction?.payload?.reboundCall || rows.bobAction?.payload?.rebound_call || rows.session?.metadata?.reboundCall || rows.session?.metadata?.rebound_call
       ? 'This is a rebound call after an interrupted/drop event. Start by apologizing briefly for the interruption, then continue the same purpose without restarting awkwardly.'
       : '',
@@ -554,6 +828,7 @@ function buildCallDynamicVariables(session: JsonRecord, rows: JsonRecord) {
   const formSummary = leadFormSummary(rows.lead);
   return {
     tenant_id: dynamicString(session.tenant_id),
+    voice_call_session_id: dynamicString(session.id),
     tenant_name: dynamicString(rows.tenant?.name),
     lead_id: dynamicString(session.lead_id),
     tenant_agent_id: dynamicString(session.tenant_agent_id),
@@ -578,7 +853,12 @@ function buildCallDynamicVariables(session: JsonRecord, rows: JsonRecord) {
     suggested_booking_date: dynamicString(dateAfterDays(2)),
     booking_provider: dynamicString(rows.bookingIntegration?.provider),
     booking_url: dynamicString(rows.bookingIntegration?.booking_url),
-    call_reason: dynamicString(isEmailFirstFollowupCall(rows)
+    call_direction: dynamicString(rows.session?.direction || session.direction || 'outbound'),
+    lead_callback: dynamicString(isInboundCall(rows) ? 'true' : ''),
+    new_caller: dynamicString(isInboundCall(rows) && rows.session?.metadata?.leadCreated ? 'true' : ''),
+    call_reason: dynamicString(isInboundCall(rows)
+      ? 'Lead called back'
+      : isEmailFirstFollowupCall(rows)
       ? (service ? 'Follow up after emailed details about ' + service : 'Follow up after emailed details')
       : (service ? 'Follow up about ' + service : 'Follow up on recent request')),
     email_first_followup_call: dynamicString(isEmailFirstFollowupCall(rows) ? 'true' : ''),
@@ -613,6 +893,189 @@ async function getElevenLabsSignedUrl(agentId: string) {
   return body.signed_url;
 }
 
+async function loadLifecycleRules(db: any, tenantId: string) {
+  const result = await db.database.rpc('get_effective_tenant_lifecycle_rules', { p_tenant_id: tenantId });
+  if (result?.error) {
+    console.warn('Failed to load tenant lifecycle rules', result.error.message || result.error);
+    return {};
+  }
+  return result?.data || {};
+}
+
+function voicemailDropText(rules: JsonRecord, variables: JsonRecord) {
+  const template = String(rules?.voicemailPolicy?.dropMessage || '').trim() || DEFAULT_VOICEMAIL_DROP_MESSAGE;
+  return template
+    .replace(/\{\{\s*([a-z_]+)\s*\}\}/gi, (_, name) => String(variables[name] || '').trim())
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim()
+    .slice(0, 1000);
+}
+
+// Twilio plays the drop through the media stream as 8 kHz μ-law, which is
+// also an ElevenLabs text-to-speech output format.
+async function synthesizeVoicemailDrop(text: string, voiceId: string) {
+  if (!voiceId) throw new Error('Tenant agent has no ElevenLabs voice for the voicemail drop');
+  const url = new URL(`${ELEVENLABS_API_BASE}/text-to-speech/${encodeURIComponent(voiceId)}`);
+  url.searchParams.set('output_format', 'ulaw_8000');
+  const response = await fetch(url.toString(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'xi-api-key': elevenLabsApiKey() },
+    body: JSON.stringify({ text, model_id: Deno.env.get('ELEVENLABS_VOICEMAIL_MODEL_ID') || 'eleven_turbo_v2_5' }),
+  });
+  if (!response.ok) throw new Error('ElevenLabs voicemail synthesis failed: ' + response.status);
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function bridgeControlUrl(session: JsonRecord) {
+  const bridgeUrl = session.media_bridge_url || Deno.env.get('VOICE_MEDIA_BRIDGE_WS_URL');
+  if (!bridgeUrl) throw new Error('Voice media bridge URL is not configured');
+  const url = new URL(String(bridgeUrl).replace(/^ws/, 'http'));
+  url.pathname = '/control';
+  url.search = '';
+  return url.toString();
+}
+
+async function sendBridgeControl(session: JsonRecord, command: JsonRecord) {
+  const secret = Deno.env.get('VOICE_BRIDGE_CONTEXT_SECRET');
+  const response = await fetch(bridgeControlUrl(session), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(secret ? { 'x-voice-bridge-secret': secret } : {}),
+    },
+    body: JSON.stringify({ voiceCallSessionId: session.id, ...command }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data?.success === false) {
+    throw new Error(data?.error || 'Voice bridge control failed with ' + response.status);
+  }
+  return data.result || {};
+}
+
+async function updateTwilioCall(callSid: string, params: JsonRecord) {
+  const accountSid = Deno.env.get('TWILIO_ACCOUNT_SID');
+  const authToken = Deno.env.get('TWILIO_AUTH_TOKEN');
+  if (!accountSid || !authToken) throw new Error('Twilio credentials are not configured for this function');
+  if (!callSid) throw new Error('Twilio call SID is required');
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Calls/${encodeURIComponent(callSid)}.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: 'Basic ' + btoa(`${accountSid}:${authToken}`),
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams(Object.entries(params).map(([key, value]) => [key, String(value)])).toString(),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data?.message || 'Twilio call update failed with ' + response.status);
+  return data;
+}
+
+function humanEscalationPolicy(rules: JsonRecord) {
+  const policy = rules?.humanEscalationPolicy || {};
+  const numbers = (Array.isArray(policy.numbers) ? policy.numbers : [])
+    .map((value: any) => String(value || '').replace(/[^\d+]/g, ''))
+    .filter((value: string) => /^\+[1-9]\d{6,14}$/.test(value))
+    .slice(0, 5);
+  return {
+    enabled: Boolean(policy.enabled) && numbers.length > 0,
+    numbers,
+    ringStrategy: policy.ringStrategy === 'sequential' ? 'sequential' : 'simultaneous',
+    ringTimeoutSeconds: Math.min(60, Math.max(5, Number(policy.ringTimeoutSeconds) || 20)),
+    whisperEnabled: policy.whisperEnabled !== false,
+    fallback: policy.fallback === 'none' ? 'none' : 'callback',
+    callbackDelayMinutes: Math.max(0, Number(policy.callbackDelayMinutes ?? 15) || 0),
+    fallbackMessage: String(policy.fallbackMessage || '').trim().slice(0, 500) || DEFAULT_TRANSFER_FALLBACK_MESSAGE,
+  };
+}
+
+// Read to the team member before the lead is connected.
+function transferWhisperText(rows: JsonRecord, transfer: JsonRecord) {
+  const lead = rows.lead || {};
+  const service = friendlyValue(serviceInterest(lead));
+  const parts = [
+    `Transfer from ${rows.agent?.display_name || 'the AI assistant'} at ${rows.tenant?.name || 'your company'}.`,
+    `Lead: ${leadDisplayName(lead) === 'there' ? 'name unknown' : leadDisplayName(lead)}${service ? `, asking about ${service}` : ''}.`,
+    transfer.reason ? `Reason: ${transfer.reason}.` : '',
+    lead.preferred_meeting_window ? `Preferred time: ${friendlyValue(lead.preferred_meeting_window)}.` : '',
+    leadFormSummary(lead) ? `Details: ${leadFormSummary(lead).slice(0, 400)}.` : '',
+    'Connecting you now.',
+  ];
+  return parts.filter(Boolean).join(' ').replace(/\.\./g, '.');
+}
+
+function transferUrl(reqUrl: URL, mode: string, session: JsonRecord, transfer: JsonRecord, extra: JsonRecord = {}) {
+  const url = new URL('/twilio-voice-webhook', functionBaseUrl(reqUrl));
+  url.searchParams.set('mode', mode);
+  url.searchParams.set('sessionId', session.id);
+  url.searchParams.set('key', transfer.key);
+  for (const [name, value] of Object.entries(extra)) url.searchParams.set(name, String(value));
+  return url.toString();
+}
+
+// Simultaneous rings every number in one <Dial>; sequential rings one
+// number per <Dial> and moves on from the transfer-result callback.
+function transferDialTwiml(reqUrl: URL, session: JsonRecord, transfer: JsonRecord, attempt: number, intro = '') {
+  const numbers = transfer.ringStrategy === 'sequential' ? [transfer.numbers[attempt]] : transfer.numbers;
+  const whisperUrl = transfer.whisperEnabled ? transferUrl(reqUrl, 'transfer-whisper', session, transfer) : '';
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Response>',
+    intro ? `  <Say>${xmlEscape(intro)}</Say>` : '',
+    `  <Dial action="${xmlEscape(transferUrl(reqUrl, 'transfer-result', session, transfer, { attempt }))}" method="POST" timeout="${transfer.ringTimeoutSeconds}" answerOnBridge="true">`,
+    ...numbers.map((number: string) => whisperUrl
+      ? `    <Number url="${xmlEscape(whisperUrl)}" method="POST">${xmlEscape(number)}</Number>`
+      : `    <Number>${xmlEscape(number)}</Number>`),
+    '  </Dial>',
+    '</Response>',
+  ].filter(Boolean).join('\n');
+}
+
+async function loadTransferSession(db: any, reqUrl: URL, body: JsonRecord) {
+  const session = await loadSession(db, reqUrl.searchParams.get('sessionId') || body.VoiceCallSessionId || body.sessionId || '');
+  const transfer = session.metadata?.transfer;
+  if (!transfer?.key || reqUrl.searchParams.get('key') !== transfer.key) throw new Error('Invalid transfer callback token');
+  return { session, transfer };
+}
+
+async function updateTransferState(db: any, session: JsonRecord, transfer: JsonRecord) {
+  await db.database.from('voice_call_sessions').update({
+    updated_at: nowIso(),
+    metadata: { ...(session.metadata || {}), transfer },
+  }).eq('id', session.id).eq('tenant_id', session.tenant_id);
+}
+
+async function scheduleHumanCallback(db: any, session: JsonRecord, transfer: JsonRecord) {
+  if (!session.lead_id) return null;
+  const scheduledFor = new Date(Date.now() + transfer.callbackDelayMinutes * 60 * 1000).toISOString();
+  const rows = await unwrap(
+    await db.database.from('bob_actions').insert([{
+      tenant_id: session.tenant_id,
+      lead_id: session.lead_id,
+      conversation_id: session.conversation_id || null,
+      action_type: 'queue_call_attempt',
+      channel: 'phone',
+      status: 'awaiting_human',
+      reason: 'Human callback after an unanswered warm transfer',
+      scheduled_for: scheduledFor,
+      payload: {
+        source: 'voice_transfer_fallback',
+        previousVoiceCallSessionId: session.id,
+        previousBobActionId: session.bob_action_id || null,
+        escalationReason: transfer.reason || null,
+        tenantAgentId: session.tenant_agent_id || null,
+      },
+    }]).select(),
+    'Failed to schedule human callback'
+  );
+  return rows?.[0] || null;
+}
+
 function streamTwiml(reqUrl: URL, session: JsonRecord, token: string, preConnectSay = '') {
   const bridgeUrl = session.media_bridge_url || Deno.env.get('VOICE_MEDIA_BRIDGE_WS_URL');
   if (!bridgeUrl || !String(bridgeUrl).startsWith('wss://')) {
@@ -742,6 +1205,296 @@ async function handleIntro(db: any, reqUrl: URL, body: JsonRecord) {
   return streamTwiml(reqUrl, session, token, await callPreConnectSay(db, session));
 }
 
+async function resolveInboundNumber(db: any, phone: string) {
+  if (!phone) return null;
+  const { data: tenantId, error } = await db.database.rpc('resolve_tenant_by_phone_number', { p_phone_number: phone });
+  if (error) throw new Error(error.message || 'Failed to resolve tenant phone number');
+  if (!tenantId) return null;
+  const rows = await unwrap(
+    await db.database
+      .from('tenant_phone_numbers')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .or(`phone_number.eq.${phone},phone_number.eq.${phone.slice(1)}`)
+      .limit(1),
+    'Failed to load tenant phone number'
+  );
+  return { tenantId, phoneNumber: rows?.[0] || null };
+}
+
+async function findOrCreateInboundLead(db: any, tenantId: string, from: string, to: string, callSid: string) {
+  const phoneFilter = phoneMatchFilter(normalizePhoneNumber(from));
+  const rows = phoneFilter
+    ? await unwrap(
+      await db.database
+        .from('leads')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .or(phoneFilter)
+        .order('created_at', { ascending: false })
+        .limit(1),
+      'Failed to load lead by phone'
+    )
+    : [];
+  if (rows?.[0]) return { lead: rows[0], created: false };
+  const created = await unwrap(
+    await db.database.from('leads').insert([{
+      tenant_id: tenantId,
+      phone: from,
+      full_name: 'Inbound caller',
+      source: 'inbound_call',
+      lead_source: 'Inbound call',
+      status: 'new',
+      lead_stage: 'new',
+      preferred_contact_channel: 'call',
+      custom_fields: { inboundCall: { callSid, to, firstCalledAt: nowIso() } },
+    }]).select(),
+    'Failed to create lead for inbound caller'
+  );
+  return { lead: created?.[0] || null, created: true };
+}
+
+async function resolveInboundAgent(db: any, tenantId: string, lead: JsonRecord | null) {
+  const agents = await unwrap(
+    await db.database
+      .from('tenant_agents')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .order('created_at', { ascending: true })
+      .limit(50),
+    'Failed to load tenant agents for inbound call'
+  );
+  const callable = (agents || []).filter(isCallableTenantAgent);
+  return callable.find((agent: JsonRecord) => agent.id === lead?.assigned_tenant_agent_id) || callable[0] || null;
+}
+
+async function ensureVoiceConversation(db: any, tenantId: string, lead: JsonRecord) {
+  const existing = await unwrap(
+    await db.database.from('lead_conversations').select('*').eq('tenant_id', tenantId).eq('lead_id', lead.id).eq('channel', 'voice').limit(1),
+    'Failed to load voice conversation'
+  );
+  if (existing?.[0]) return existing[0];
+  const rows = await unwrap(
+    await db.database.from('lead_conversations').insert([{
+      tenant_id: tenantId, lead_id: lead.id, channel: 'voice', status: 'active', conversation_status: 'active_nurture',
+    }]).select(),
+    'Failed to create voice conversation'
+  );
+  return rows?.[0] || null;
+}
+
+function inboundVoicemailTwiml(reqUrl: URL, session: JsonRecord, greeting: string) {
+  const action = new URL('/twilio-voice-webhook', functionBaseUrl(reqUrl));
+  action.searchParams.set('mode', 'inbound-voicemail');
+  action.searchParams.set('sessionId', session.id);
+  const transcribeCallback = new URL(action.toString());
+  transcribeCallback.searchParams.set('event', 'transcription');
+  return xmlResponse([
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Response>',
+    `  <Say>${xmlEscape(greeting)}</Say>`,
+    `  <Record action="${xmlEscape(action.toString())}" method="POST" maxLength="${INBOUND_VOICEMAIL_MAX_SECONDS}" playBeep="true" transcribe="true" transcribeCallback="${xmlEscape(transcribeCallback.toString())}" />`,
+    '  <Say>We did not get a message. Goodbye.</Say>',
+    '  <Hangup/>',
+    '</Response>',
+  ].join('\n'));
+}
+
+// Voice URL for tenant numbers: answer with the tenant's agent during business
+// hours, otherwise take a voicemail and queue a callback for the next window.
+export async function handleInboundCall(db: any, req: Request, reqUrl: URL, body: JsonRecord) {
+  requireTwilioSignature(req, body);
+  const callSid = firstValue(body.CallSid);
+  const from = normalizePhone(body.From);
+  const to = normalizePhone(body.To);
+  if (!callSid || !from || !to) throw new Error('Twilio CallSid, From and To are required for inbound calls');
+
+  const number = await resolveInboundNumber(db, to);
+  if (!number || number.phoneNumber?.voice_enabled === false) {
+    return xmlResponse('<?xml version="1.0" encoding="UTF-8"?><Response><Say>This number is not taking calls right now. Goodbye.</Say><Hangup/></Response>');
+  }
+  const tenantId = number.tenantId;
+  const tenants = await unwrap(await db.database.from('tenants').select('*').eq('id', tenantId).limit(1), 'Failed to load tenant');
+  const tenant = tenants?.[0] || null;
+  if (!tenant) throw new Error('Tenant was not found for inbound call');
+
+  const contextToken = randomContextToken();
+  const contextTokenHash = await sha256Hex(contextToken);
+  const expiresAt = new Date(Date.now() + CALL_CONTEXT_TTL_MS).toISOString();
+  const hours = businessHoursStatus(tenant);
+
+  // Twilio retries the voice URL on timeouts; reuse the session for the call.
+  const existing = await unwrap(
+    await db.database.from('voice_call_sessions').select('*').eq('tenant_id', tenantId).eq('twilio_call_sid', callSid).limit(1),
+    'Failed to load inbound voice call session'
+  );
+  if (existing?.[0]) {
+    const session = existing[0];
+    if (session.metadata?.afterHours) return inboundVoicemailTwiml(reqUrl, session, inboundVoicemailGreeting(tenant, hours));
+    await db.database.from('voice_call_sessions').update({
+      context_token_hash: contextTokenHash,
+      context_expires_at: expiresAt,
+      updated_at: nowIso(),
+    }).eq('id', session.id).eq('tenant_id', tenantId);
+    return streamTwiml(reqUrl, session, contextToken, await callPreConnectSay(db, session));
+  }
+
+  const { lead, created } = await findOrCreateInboundLead(db, tenantId, from, to, callSid);
+  const agent = await resolveInboundAgent(db, tenantId, lead);
+  const bridgeUrl = Deno.env.get('VOICE_MEDIA_BRIDGE_WS_URL') || '';
+  const takeVoicemail = !hours.allowed || !agent || !bridgeUrl.startsWith('wss://');
+  const conversation = lead ? await ensureVoiceConversation(db, tenantId, lead) : null;
+
+  const sessions = await unwrap(
+    await db.database.from('voice_call_sessions').insert([{
+      tenant_id: tenantId,
+      lead_id: lead?.id || null,
+      conversation_id: conversation?.id || null,
+      tenant_agent_id: agent?.id || null,
+      tenant_phone_number_id: number.phoneNumber?.id || null,
+      twilio_call_sid: callSid,
+      direction: 'inbound',
+      status: 'in_progress',
+      answered_at: nowIso(),
+      call_started_at: nowIso(),
+      context_token_hash: contextTokenHash,
+      context_expires_at: expiresAt,
+      media_bridge_url: bridgeUrl || null,
+      elevenlabs_agent_id: agent?.elevenlabs_agent_id || null,
+      metadata: {
+        source: 'twilio_inbound',
+        from,
+        to,
+        inboundCallback: !created,
+        leadCreated: created,
+        afterHours: takeVoicemail
+          ? { reason: !hours.allowed ? 'outside_business_hours' : !agent ? 'no_callable_agent' : 'bridge_not_configured', nextAllowedAt: hours.nextAllowedAt, label: hours.label }
+          : null,
+        twilioRequest: { accountSid: body.AccountSid || null, from: body.From || null, to: body.To || null },
+      },
+    }]).select(),
+    'Failed to create inbound voice call session'
+  );
+  const session = sessions?.[0];
+  if (!session) throw new Error('Inbound voice call session was not created');
+
+  await logTimelineMessage(db, session, {
+    direction: 'inbound',
+    messageType: 'voice_call_inbound',
+    bodyText: takeVoicemail
+      ? `Inbound call from ${from} outside the answering window; taking a voicemail.`
+      : `Inbound call from ${from} answered by ${agent.display_name || 'the AI agent'}.`,
+    metadata: { source: 'twilio_inbound', from, to, leadCreated: created },
+  });
+
+  if (takeVoicemail) return inboundVoicemailTwiml(reqUrl, session, inboundVoicemailGreeting(tenant, hours));
+  return streamTwiml(reqUrl, session, contextToken, await callPreConnectSay(db, session));
+}
+
+function inboundVoicemailGreeting(tenant: JsonRecord, hours: ReturnType<typeof businessHoursStatus>) {
+  const tenantName = tenant?.name || 'us';
+  return hours.allowed
+    ? `Thanks for calling ${tenantName}. Nobody can take your call right now. Please leave your name and a short message after the tone, and we will call you back.`
+    : `Thanks for calling ${tenantName}. We are closed right now; our hours are ${hours.label}. Please leave your name and a short message after the tone, and we will call you back.`;
+}
+
+async function scheduleInboundCallback(db: any, session: JsonRecord, lead: JsonRecord | null, scheduledFor: string) {
+  if (!session.lead_id) return null;
+  const callable = Boolean(lead?.call_consent) && !lead?.do_not_contact && Boolean(session.tenant_agent_id);
+  const rows = await unwrap(
+    await db.database.from('bob_actions').insert([{
+      tenant_id: session.tenant_id,
+      lead_id: session.lead_id,
+      conversation_id: session.conversation_id || null,
+      action_type: 'queue_call_attempt',
+      channel: 'phone',
+      status: callable ? 'awaiting_call' : 'awaiting_human',
+      reason: 'Call back a lead who left a voicemail',
+      scheduled_for: scheduledFor,
+      payload: {
+        source: 'inbound_voicemail_callback',
+        previousVoiceCallSessionId: session.id,
+        tenantAgentId: session.tenant_agent_id || null,
+      },
+    }]).select(),
+    'Failed to schedule inbound callback'
+  );
+  return rows?.[0] || null;
+}
+
+// <Record> action and transcribeCallback for after-hours inbound calls.
+export async function handleInboundVoicemail(db: any, req: Request, reqUrl: URL, body: JsonRecord) {
+  requireTwilioSignature(req, body);
+  const session = await loadSession(db, reqUrl.searchParams.get('sessionId') || '');
+  if (session.direction !== 'inbound' || session.twilio_call_sid !== firstValue(body.CallSid)) {
+    throw new Error('Voicemail does not belong to this inbound call');
+  }
+
+  if (reqUrl.searchParams.get('event') === 'transcription') {
+    await db.database.from('voice_call_sessions').update({
+      transcript: body.TranscriptionText || null,
+      updated_at: nowIso(),
+      metadata: { ...(session.metadata || {}), voicemailTranscriptionStatus: body.TranscriptionStatus || null },
+    }).eq('id', session.id).eq('tenant_id', session.tenant_id);
+    if (body.TranscriptionText) {
+      await logTimelineMessage(db, session, {
+        direction: 'inbound',
+        messageType: 'inbound_voicemail_transcript',
+        bodyText: body.TranscriptionText,
+        metadata: { source: 'twilio_inbound_voicemail' },
+      });
+    }
+    await requestPostCallSummary(db, session);
+    return jsonResponse({ success: true });
+  }
+
+  const duration = Number(body.RecordingDuration || 0);
+  const recorded = Boolean(body.RecordingUrl) && duration > 0;
+  const leads = session.lead_id
+    ? await unwrap(await db.database.from('leads').select('*').eq('tenant_id', session.tenant_id).eq('id', session.lead_id).limit(1), 'Failed to load lead')
+    : [];
+  const scheduledFor = session.metadata?.afterHours?.nextAllowedAt || nowIso();
+  const callbackAction = recorded ? await scheduleInboundCallback(db, session, leads?.[0] || null, scheduledFor) : null;
+
+  await db.database.from('voice_call_sessions').update({
+    status: 'completed',
+    outcome: recorded ? 'voicemail_received' : 'no_message',
+    recording_url: recorded ? body.RecordingUrl : null,
+    recording_duration_seconds: recorded ? duration : null,
+    recorded_at: recorded ? nowIso() : null,
+    ended_at: nowIso(),
+    updated_at: nowIso(),
+    metadata: {
+      ...(session.metadata || {}),
+      recordingSid: body.RecordingSid || null,
+      callbackActionId: callbackAction?.id || null,
+    },
+  }).eq('id', session.id).eq('tenant_id', session.tenant_id);
+
+  if (recorded) {
+    await logTimelineMessage(db, session, {
+      direction: 'inbound',
+      messageType: 'inbound_voicemail',
+      bodyText: `Voicemail left (${duration}s). Callback ${callbackAction?.status === 'awaiting_call' ? 'queued' : 'needs a human'} for ${scheduledFor}.`,
+      metadata: { source: 'twilio_inbound_voicemail', recordingUrl: body.RecordingUrl, durationSeconds: duration, callbackActionId: callbackAction?.id || null },
+    });
+    await recordLifecycleEvent(db, {
+      tenantId: session.tenant_id,
+      leadId: session.lead_id,
+      sourceChannel: 'call',
+      outcome: 'callback_requested',
+      nextActionType: callbackAction?.action_type || null,
+      nextActionChannel: callbackAction ? 'call' : null,
+      nextActionAt: callbackAction?.scheduled_for || null,
+      reason: 'Lead called in after hours and left a voicemail.',
+      metadata: { source: 'twilio_inbound_voicemail', voiceCallSessionId: session.id, callbackActionId: callbackAction?.id || null },
+    });
+  }
+  await requestPostCallSummary(db, session);
+
+  return xmlResponse('<?xml version="1.0" encoding="UTF-8"?><Response><Say>Thank you. Goodbye.</Say><Hangup/></Response>');
+}
+
 async function handleStatus(db: any, reqUrl: URL, body: JsonRecord) {
   const sessionId = reqUrl.searchParams.get('sessionId') || body.VoiceCallSessionId || body.sessionId || '';
   const actionId = reqUrl.searchParams.get('actionId') || body.actionId || '';
@@ -766,17 +1519,25 @@ async function handleStatus(db: any, reqUrl: URL, body: JsonRecord) {
   }
 
   if (actionId || session?.bob_action_id) {
+    // Keep what the bridge and AMD callbacks already wrote (callOutcome,
+    // answeredBy); the lifecycle recovery reads the outcome from here.
+    const tenantId = session?.tenant_id || body.tenantId;
+    const actionRows = await unwrap(
+      await db.database.from('bob_actions').select('result').eq('tenant_id', tenantId).eq('id', actionId || session?.bob_action_id).limit(1),
+      'Failed to load action for call status'
+    );
     await db.database.from('bob_actions').update({
       status: mappedStatus === 'completed' ? 'completed' : (ended ? 'failed' : 'calling'),
       executed_at: ended ? nowIso() : null,
       updated_at: nowIso(),
       result: {
+        ...(actionRows?.[0]?.result || {}),
         callSid: body.CallSid || session?.twilio_call_sid || null,
         voiceCallSessionId: session?.id || null,
         callStatus: body.CallStatus || null,
         callDuration: duration,
       },
-    }).eq('id', actionId || session?.bob_action_id).eq('tenant_id', session?.tenant_id || body.tenantId);
+    }).eq('id', actionId || session?.bob_action_id).eq('tenant_id', tenantId);
   }
 
   if (session?.lead_id && ended && mappedStatus !== 'completed') {
@@ -796,10 +1557,254 @@ async function handleStatus(db: any, reqUrl: URL, body: JsonRecord) {
       },
     });
   }
+  if (session && ended) await requestPostCallSummary(db, session);
 
   return jsonResponse({ success: true });
 }
 
+// Async AMD result for an outbound call (asyncAmdStatusCallback). With
+// DetectMessageEnd, a machine result arrives once the greeting has finished,
+// which is when the voicemail drop should start.
+// A forged callback could hang up a live call or force a voicemail drop, so
+// it must be signed by Twilio and name the call the session placed.
+export async function handleAnsweringMachine(db: any, req: Request, reqUrl: URL, body: JsonRecord) {
+  requireTwilioSignature(req, body);
+  const sessionId = reqUrl.searchParams.get('sessionId') || body.VoiceCallSessionId || body.sessionId || '';
+  const session = await loadSession(db, sessionId);
+  if (!body.CallSid || body.CallSid !== session.twilio_call_sid) {
+    throw new Error('Answering machine callback does not match the session call');
+  }
+  const answeredBy = String(body.AnsweredBy || 'unknown').toLowerCase();
+  const machine = MACHINE_ANSWERED_BY.includes(answeredBy);
+  const answeringMachine: JsonRecord = {
+    answeredBy,
+    detectionMs: Number(body.MachineDetectionDuration) || null,
+    detectedAt: nowIso(),
+  };
+
+  if (machine) {
+    const rows = await loadContextRows(db, session);
+    const rules = await loadLifecycleRules(db, session.tenant_id);
+    const callSid = firstValue(body.CallSid, session.twilio_call_sid);
+    if (rules.voicemailAllowed && answeredBy !== 'fax') {
+      const text = voicemailDropText(rules, buildCallDynamicVariables(session, rows));
+      answeringMachine.dropText = text;
+      try {
+        const audio = await synthesizeVoicemailDrop(text, rows.agent?.voice_id || '');
+        await sendBridgeControl(session, { command: 'voicemail_drop', audio, answeredBy });
+        answeringMachine.dropMethod = 'stream';
+      } catch (error) {
+        console.warn('Voicemail drop through the bridge failed; using TwiML', safeError(error));
+        await updateTwilioCall(callSid, {
+          Twiml: `<?xml version="1.0" encoding="UTF-8"?><Response><Say>${xmlEscape(text)}</Say><Hangup/></Response>`,
+        });
+        answeringMachine.dropMethod = 'twiml';
+        answeringMachine.streamError = safeError(error);
+      }
+      answeringMachine.voicemailDropped = true;
+    } else {
+      await updateTwilioCall(callSid, { Status: 'completed' });
+      answeringMachine.voicemailDropped = false;
+    }
+  }
+
+  await db.database.from('voice_call_sessions').update({
+    ...(machine ? { outcome: answeringMachine.voicemailDropped ? 'voicemail_left' : 'no_answer' } : {}),
+    updated_at: nowIso(),
+    metadata: { ...(session.metadata || {}), answeringMachine },
+  }).eq('id', session.id).eq('tenant_id', session.tenant_id);
+
+  if (session.bob_action_id) {
+    const actionRows = await unwrap(
+      await db.database.from('bob_actions').select('result').eq('tenant_id', session.tenant_id).eq('id', session.bob_action_id).limit(1),
+      'Failed to load action for answering machine result'
+    );
+    await db.database.from('bob_actions').update({
+      updated_at: nowIso(),
+      result: {
+        ...(actionRows?.[0]?.result || {}),
+        answeredBy,
+        ...(machine ? { voicemailDropped: answeringMachine.voicemailDropped } : {}),
+      },
+    }).eq('id', session.bob_action_id).eq('tenant_id', session.tenant_id);
+  }
+
+  if (machine) {
+    await logTimelineMessage(db, session, {
+      direction: 'system',
+      messageType: 'call_answering_machine',
+      bodyText: answeringMachine.voicemailDropped
+        ? 'Answering machine detected; voicemail drop played.'
+        : 'Answering machine detected; call ended without a voicemail because voicemail is not allowed for this tenant.',
+      metadata: { source: 'twilio_amd', ...answeringMachine },
+    });
+  }
+
+  return jsonResponse({ success: true, answeredBy, voicemailDropped: answeringMachine.voicemailDropped ?? null });
+}
+
+// A machine answer decides the outcome, whatever the bridge saw afterwards.
+function answeringMachineOutcome(session: JsonRecord) {
+  const amd = session.metadata?.answeringMachine;
+  if (!amd || !MACHINE_ANSWERED_BY.includes(amd.answeredBy)) return null;
+  return amd.voicemailDropped ? 'voicemail_left' : 'no_answer';
+}
+
+function publicTransfer(transfer: JsonRecord) {
+  const { key: _key, ...rest } = transfer || {};
+  return rest;
+}
+
+function transferTargetLabel(transfer: JsonRecord) {
+  const count = transfer.numbers?.length || 0;
+  if (count <= 1) return transfer.numbers?.[0] || 'the team';
+  return `${count} team numbers ${transfer.ringStrategy === 'sequential' ? 'in turn' : 'at once'}`;
+}
+
+async function finishTransfer(db: any, session: JsonRecord, transfer: JsonRecord, status: string, details: JsonRecord = {}) {
+  const answered = status === 'answered';
+  const callbackAction = !answered && transfer.fallback === 'callback' ? await scheduleHumanCallback(db, session, transfer) : null;
+  const finished = {
+    ...transfer,
+    ...details,
+    status,
+    endedAt: nowIso(),
+    callbackActionId: callbackAction?.id || null,
+  };
+  await updateTransferState(db, session, finished);
+
+  const fallbackText = callbackAction ? 'A human callback was queued.' : 'The lead was told someone will follow up.';
+  await logTimelineMessage(db, session, {
+    direction: 'system',
+    messageType: 'call_transfer',
+    bodyText: answered
+      ? `Warm transfer answered by the team${details.durationSeconds ? ` (${details.durationSeconds}s)` : ''}.`
+      : status === 'failed'
+        ? `Warm transfer could not be started. ${fallbackText}`
+        : `Nobody answered the warm transfer. ${fallbackText}`,
+    metadata: { source: 'twilio_voice_transfer', ...publicTransfer(finished) },
+  });
+
+  if (!answered && session.lead_id) {
+    await recordLifecycleEvent(db, {
+      tenantId: session.tenant_id,
+      leadId: session.lead_id,
+      sourceActionId: session.bob_action_id || null,
+      sourceChannel: 'call',
+      outcome: 'needs_human_review',
+      nextActionType: callbackAction?.action_type || null,
+      nextActionChannel: callbackAction ? 'call' : null,
+      nextActionAt: callbackAction?.scheduled_for || null,
+      reason: `Warm transfer ${status === 'failed' ? 'failed' : 'was not answered'}. ${fallbackText}`,
+      blockedReason: 'human_review',
+      metadata: { source: 'twilio_voice_transfer', voiceCallSessionId: session.id, transferStatus: status, callbackActionId: callbackAction?.id || null },
+    });
+  }
+  return finished;
+}
+
+// escalate_to_human fired mid-call (see elevenlabs-tool-webhooks): redirect
+// the live call to dial the tenant team, then drop the agent on the bridge.
+// The agent is only dropped once Twilio has taken the redirect, so a failed
+// redirect leaves the lead talking to the agent instead of to nobody.
+export async function handleTransfer(db: any, req: Request, reqUrl: URL, body: JsonRecord) {
+  requireBridgeSecret(req, true);
+  const session = await loadSession(db, body.voiceCallSessionId || body.sessionId || '');
+  if (session.metadata?.transfer && session.metadata.transfer.status !== 'failed') {
+    return jsonResponse({ success: true, alreadyTransferring: true, transfer: publicTransfer(session.metadata.transfer) });
+  }
+  if (session.status !== 'in_progress' || session.ended_at || !session.twilio_call_sid) {
+    return jsonResponse({ success: false, code: 'CALL_NOT_LIVE', error: 'The voice call is not live, so it cannot be transferred' });
+  }
+  const { enabled, ...policy } = humanEscalationPolicy(await loadLifecycleRules(db, session.tenant_id));
+  if (!enabled) {
+    return jsonResponse({ success: false, code: 'TRANSFER_NOT_CONFIGURED', error: 'No human escalation number is configured for this tenant' });
+  }
+
+  const transfer: JsonRecord = {
+    ...policy,
+    key: crypto.randomUUID(),
+    reason: String(body.reason || '').trim().slice(0, 300) || null,
+    source: body.source === 'supervisor' ? 'supervisor' : 'agent',
+    requestedBy: body.requestedBy || null,
+    status: 'dialing',
+    attempt: 0,
+    attempts: [],
+    startedAt: nowIso(),
+  };
+  // Written before the redirect ends the media stream, so the
+  // transfer_started and call_ended events the bridge posts already see it.
+  await updateTransferState(db, session, transfer);
+  session.metadata = { ...(session.metadata || {}), transfer };
+
+  try {
+    await updateTwilioCall(session.twilio_call_sid, {
+      Twiml: transferDialTwiml(reqUrl, session, transfer, 0, 'One moment, I am connecting you with a member of our team.'),
+    });
+  } catch (error) {
+    const redirectError = safeError(error);
+    const failed = await finishTransfer(db, session, transfer, 'failed', { redirectError });
+    return jsonResponse({ success: false, code: 'TRANSFER_FAILED', error: redirectError, transfer: publicTransfer(failed) });
+  }
+
+  try {
+    await sendBridgeControl(session, { command: 'transfer', reason: transfer.reason });
+    transfer.bridgeDetached = true;
+  } catch (error) {
+    // Register-call sessions have no bridge; the redirect alone ends the agent.
+    console.warn('Voice bridge transfer command failed after the redirect', safeError(error));
+    transfer.bridgeDetached = false;
+    transfer.bridgeError = safeError(error);
+  }
+
+  await updateTransferState(db, session, transfer);
+  await logTimelineMessage(db, session, {
+    direction: 'system',
+    messageType: 'call_transfer',
+    bodyText: `Warm transfer started: dialing ${transferTargetLabel(transfer)}.`,
+    metadata: { source: 'twilio_voice_transfer', ...publicTransfer(transfer) },
+  });
+  return jsonResponse({ success: true, transfer: publicTransfer(transfer) });
+}
+
+async function handleTransferWhisper(db: any, reqUrl: URL, body: JsonRecord) {
+  const { session, transfer } = await loadTransferSession(db, reqUrl, body);
+  const rows = await loadContextRows(db, session);
+  return xmlResponse(`<?xml version="1.0" encoding="UTF-8"?><Response><Say>${xmlEscape(transferWhisperText(rows, transfer))}</Say></Response>`);
+}
+
+// <Dial> action callback: the team answered, the next hunt-group number is
+// tried, or the lead hears the fallback message.
+async function handleTransferResult(db: any, reqUrl: URL, body: JsonRecord) {
+  const { session, transfer } = await loadTransferSession(db, reqUrl, body);
+  const hangup = '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>';
+  if (transfer.status !== 'dialing') return xmlResponse(hangup);
+
+  const attempt = Number(reqUrl.searchParams.get('attempt') || 0);
+  const dialStatus = String(body.DialCallStatus || 'no-answer').toLowerCase();
+  const durationSeconds = Number(body.DialCallDuration) || 0;
+  const attempts = [...(transfer.attempts || []), {
+    attempt,
+    number: transfer.ringStrategy === 'sequential' ? transfer.numbers[attempt] || null : null,
+    dialStatus,
+    dialCallSid: body.DialCallSid || null,
+    durationSeconds,
+  }];
+
+  if (TRANSFER_ANSWERED_STATUSES.includes(dialStatus)) {
+    await finishTransfer(db, session, { ...transfer, attempts }, 'answered', { durationSeconds });
+    return xmlResponse(hangup);
+  }
+  if (transfer.ringStrategy === 'sequential' && attempt + 1 < transfer.numbers.length && body.CallStatus !== 'completed') {
+    const next = { ...transfer, attempts, attempt: attempt + 1 };
+    await updateTransferState(db, session, next);
+    return xmlResponse(transferDialTwiml(reqUrl, session, next, attempt + 1));
+  }
+
+  await finishTransfer(db, session, { ...transfer, attempts }, 'no_answer');
+  return xmlResponse(`<?xml version="1.0" encoding="UTF-8"?><Response><Say>${xmlEscape(transfer.fallbackMessage)}</Say><Hangup/></Response>`);
+}
+
 async function handleStreamStatus(db: any, reqUrl: URL, body: JsonRecord) {
   const sessionId = reqUrl.searchParams.get('sessionId') || body.VoiceCallSessionId || body.sessionId || '';
   const session = await loadSession(db, sessionId);
@@ -829,11 +1834,37 @@ async function handleStreamStatus(db: any, reqUrl: URL, body: JsonRecord) {
   return jsonResponse({ success: true });
 }
 
-function requireBridgeSecret(req: Request) {
+function timingSafeEqual(a: string, b: string) {
+  const left = new TextEncoder().encode(a);
+  const right = new TextEncoder().encode(b);
+  if (left.length !== right.length) return false;
+  let diff = 0;
+  for (let index = 0; index < left.length; index += 1) diff |= left[index] ^ right[index];
+  return diff === 0;
+}
+
+function summarySchedulerSecret() {
+  return Deno.env.get('VOICE_SUMMARY_SCHEDULER_SECRET') || '';
+}
+
+function requireSummarySchedulerSecret(req: Request) {
+  const expected = summarySchedulerSecret();
+  if (!expected) throw new Error('Post-call summary scheduler secret is not configured');
+  const provided = req.headers.get('x-voice-summary-secret') || (req.headers.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!timingSafeEqual(provided, expected)) throw new Error('Unauthorized post-call summary scheduler request');
+}
+
+// Without a configured secret the bridge endpoints stay open for local
+// development, except where `required` is set: a transfer redirects a live
+// call, so it fails closed like the bridge's own /control endpoint.
+function requireBridgeSecret(req: Request, required = false) {
   const expected = Deno.env.get('VOICE_BRIDGE_CONTEXT_SECRET');
-  if (!expected) return;
+  if (!expected) {
+    if (required) throw new Error('Voice bridge secret is not configured');
+    return;
+  }
   const provided = req.headers.get('x-voice-bridge-secret') || '';
-  if (provided !== expected) throw new Error('Invalid voice bridge secret');
+  if (!timingSafeEqual(provided, expected)) throw new Error('Invalid voice bridge secret');
 }
 
 async function handleBridgeContext(db: any, req: Request, body: JsonRecord) {
@@ -867,6 +1898,105 @@ async function handleBridgeContext(db: any, req: Request, body: JsonRecord) {
   });
 }
 
+async function handleBridgeRecording(db: any, req: Request, reqUrl: URL) {
+  requireBridgeSecret(req);
+  const sessionId = reqUrl.searchParams.get('voiceCallSessionId') || reqUrl.searchParams.get('sessionId') || '';
+  const token = req.headers.get('x-call-context-token') || '';
+  const session = await loadSession(db, sessionId);
+  await verifySessionToken(session, token);
+
+  const audio = new Uint8Array(await req.arrayBuffer());
+  if (audio.length <= 44) throw new Error('Recording body is empty');
+  if (audio.length > VOICE_RECORDING_MAX_BYTES) throw new Error('Recording exceeds the maximum upload size');
+
+  const storageKey = `${session.tenant_id}/${session.id}.wav`;
+  const { data, error } = await db.storage
+    .from(VOICE_RECORDING_BUCKET)
+    .upload(storageKey, new Blob([audio], { type: 'audio/wav' }));
+  if (error) throw new Error(error.message || 'Failed to store call recording');
+
+  const recording = {
+    storageKey: data?.key || storageKey,
+    url: data?.url || null,
+    bytes: audio.length,
+  };
+  await db.database.from('voice_call_sessions').update({
+    recording_storage_key: recording.storageKey,
+    recording_url: recording.url,
+    recording_bytes: recording.bytes,
+    recorded_at: nowIso(),
+  }).eq('id', session.id).eq('tenant_id', session.tenant_id);
+
+  return jsonResponse({ success: true, recording });
+}
+
+function recordingTranscriptTurns(value: any) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((turn) => turn && typeof turn.text === 'string' && turn.text.trim())
+    .slice(0, 2000)
+    .map((turn) => ({
+      speaker: turn.speaker === 'lead' ? 'lead' : 'agent',
+      channel: turn.speaker === 'lead' ? 'left' : 'right',
+      offsetMs: Math.max(0, Math.round(Number(turn.offsetMs) || 0)),
+      text: String(turn.text).slice(0, 4000),
+    }));
+}
+
+function callQualitySummary(value: any) {
+  const quality = value && typeof value === 'object' ? value : {};
+  const count = (key: string) => Math.max(0, Math.round(Number(quality[key]) || 0));
+  const latency = Number(quality.firstAudioLatencyMs);
+  return {
+    outcome: String(quality.outcome || '').slice(0, 40) || null,
+    durationSeconds: count('durationSeconds'),
+    firstAudioLatencyMs: Number.isFinite(latency) && quality.firstAudioLatencyMs !== null ? Math.max(0, Math.round(latency)) : null,
+    elevenlabsReconnects: count('elevenlabsReconnects'),
+    elevenlabsReconnectFailures: count('elevenlabsReconnectFailures'),
+    noAudioRecoveries: count('noAudioRecoveries'),
+    introLoopRecoveries: count('introLoopRecoveries'),
+    interruptions: count('interruptions'),
+    inboundAudioChunks: count('inboundAudioChunks'),
+    inboundAudioBytes: count('inboundAudioBytes'),
+    outboundAudioChunks: count('outboundAudioChunks'),
+    outboundAudioBytes: count('outboundAudioBytes'),
+    suppressedAgentAudioChunks: count('suppressedAgentAudioChunks'),
+    outboundPaddedFrames: count('outboundPaddedFrames'),
+    outboundMaxQueuedMs: count('outboundMaxQueuedMs'),
+    vadBargeIns: count('vadBargeIns'),
+    agentResponses: count('agentResponses'),
+    userTranscripts: count('userTranscripts'),
+    activeLanguage: quality.activeLanguage ? String(quality.activeLanguage).slice(0, 40) : null,
+    reportedAt: nowIso(),
+  };
+}
+
+// Local VAD signals from the bridge. Barge-ins are only counted; voicemail and
+// dead air are kept because they explain the call_ended outcome.
+function vadMetadata(current: any, eventType: string, body: JsonRecord) {
+  const vad = current && typeof current === 'object' ? { ...current } : {};
+  const at = firstValue(body.timestamp, nowIso());
+  if (eventType === 'vad_barge_in') {
+    vad.bargeIns = Math.max(0, Number(vad.bargeIns) || 0) + 1;
+    vad.lastBargeInAt = at;
+  }
+  if (eventType === 'vad_voicemail_detected') {
+    vad.voicemail = {
+      reason: body.reason === 'beep' ? 'beep' : 'greeting',
+      callOffsetMs: Math.max(0, Math.round(Number(body.callOffsetMs) || 0)),
+      detectedAt: at,
+    };
+  }
+  if (eventType === 'vad_dead_air') {
+    vad.deadAir = {
+      silentMs: Math.max(0, Math.round(Number(body.silentMs) || 0)),
+      leadSpoke: Boolean(body.leadSpoke),
+      detectedAt: at,
+    };
+  }
+  return vad;
+}
+
 async function logTimelineMessage(db: any, session: JsonRecord, input: JsonRecord) {
   if (!session.lead_id) return null;
   const rows = await unwrap(
@@ -958,18 +2088,302 @@ async function scheduleReboundCall(db: any, session: JsonRecord, input: JsonReco
   return rows?.[0] || null;
 }
 
+function extractOutputText(response: any) {
+  if (response?.output_text) return response.output_text;
+  return (response?.output || []).flatMap((item: any) => item?.content || [])
+    .filter((content: any) => content?.type === 'output_text')
+    .map((content: any) => content.text)
+    .join('');
+}
+
+async function postCallTranscriptTurns(db: any, session: JsonRecord) {
+  if (Array.isArray(session.recording_transcript) && session.recording_transcript.length) {
+    return session.recording_transcript.map((turn: JsonRecord) => ({ speaker: turn.speaker === 'lead' ? 'lead' : 'agent', text: String(turn.text || '') }));
+  }
+  if (session.lead_id && session.twilio_call_sid) {
+    const rows = await unwrap(
+      await db.database
+        .from('lead_conversation_messages')
+        .select('direction,message_type,body_text')
+        .eq('tenant_id', session.tenant_id)
+        .eq('lead_id', session.lead_id)
+        .eq('provider_message_id', session.twilio_call_sid)
+        .in('message_type', ['call_transcript', 'agent_voice_response', 'inbound_voicemail_transcript'])
+        .order('created_at', { ascending: true })
+        .limit(400),
+      'Failed to load call transcript turns'
+    );
+    const turns = (rows || [])
+      .filter((row: JsonRecord) => String(row.body_text || '').trim())
+      .map((row: JsonRecord) => ({ speaker: row.direction === 'inbound' ? 'lead' : 'agent', text: String(row.body_text) }));
+    if (turns.length) return turns;
+  }
+  return isMeaningfulTranscript(session.transcript) ? [{ speaker: 'unknown', text: String(session.transcript) }] : [];
+}
+
+function recommendedOutcomeFromSession(session: JsonRecord) {
+  const outcome = String(session.outcome || session.status || '').toLowerCase();
+  if (outcome === 'booked') return 'booked';
+  if (['no_answer', 'busy', 'voicemail_left', 'no_message'].includes(outcome)) return 'no_answer';
+  if (outcome === 'wrong_number') return 'wrong_number';
+  if (['opted_out', 'not_interested', 'not_interested_now', 'not_interested_final'].includes(outcome)) return 'not_interested';
+  if (['callback_requested', 'voicemail_received'].includes(outcome)) return 'callback_requested';
+  if (['transferred', 'needs_human_review', 'interrupted', 'failed', 'canceled'].includes(outcome)) return 'needs_human_follow_up';
+  return '';
+}
+
+const OBJECTION_PATTERNS: Array<[string, RegExp]> = [
+  ['Price or budget concern', /\b(too expensive|expensive|too much|can'?t afford|cheaper|price is|cost(s)? too)\b/i],
+  ['Timing: not ready yet', /\b(not (right )?now|not ready|maybe later|next (year|month)|bad time|too busy)\b/i],
+  ['Already working with someone else', /\b(already (have|got|using|hired)|another company|other quote|someone else)\b/i],
+  ['Needs to consult someone before deciding', /\b(talk (to|with) my (wife|husband|partner|boss)|think about it|need to check with)\b/i],
+  ['Trust or legitimacy concern', /\b(scam|how did you get my number|who is this|never signed up)\b/i],
+];
+
+function heuristicCallSummary(session: JsonRecord, lead: JsonRecord | null, turns: JsonRecord[]) {
+  const leadText = turns.filter((turn) => turn.speaker !== 'agent').map((turn) => turn.text).join(' ');
+  const agentSentences = turns.filter((turn) => turn.speaker !== 'lead').flatMap((turn) => String(turn.text).split(/(?<=[.!?])\s+/));
+  const allText = turns.map((turn) => turn.text).join(' ');
+  const positive = (leadText.match(/\b(yes|yeah|great|perfect|sounds good|interested|thank(s| you)|awesome|sure)\b/gi) || []).length;
+  const negative = (leadText.match(/\b(no|not interested|stop|don'?t call|annoy\w*|waste|angry|scam|remove me)\b/gi) || []).length;
+  const sentiment = !leadText.trim()
+    ? 'neutral'
+    : positive && negative && Math.min(positive, negative) * 2 >= Math.max(positive, negative)
+      ? 'mixed'
+      : positive > negative ? 'positive' : negative > positive ? 'negative' : 'neutral';
+  const objections = OBJECTION_PATTERNS.filter(([, pattern]) => pattern.test(leadText)).map(([label]) => label);
+  const promise = agentSentences.find((sentence) => /\b(i'?ll|we'?ll|i will|we will|someone will)\b.*\b(call|text|email|send|follow up|reach out|get back)\b/i.test(sentence));
+  const promiseChannel = promise ? (/\b(text|sms)\b/i.test(promise) ? 'sms' : /\bemail\b/i.test(promise) ? 'email' : 'call') : null;
+  const when = (promise || leadText).match(/\b(today|tomorrow|tonight|this (morning|afternoon|evening|week)|next week|on (monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/i)?.[0] || null;
+  const budget = leadText.match(/\$\s?\d[\d,]*(\.\d+)?\s?(k|thousand)?(\s?(-|to)\s?\$?\s?\d[\d,]*\s?(k|thousand)?)?/i)?.[0] || null;
+  const timeline = leadText.match(/\b(asap|as soon as possible|this (week|month)|next (week|month)|within \d+ (days|weeks|months)|in \d+ (days|weeks|months))\b/i)?.[0] || null;
+  const meetingWindow = leadText.match(/\b((monday|tuesday|wednesday|thursday|friday|saturday|sunday|weekday|weekend)s?( (morning|afternoon|evening)s?)?|mornings?|afternoons?|evenings?)\b/i)?.[0] || null;
+
+  let recommendedOutcome = recommendedOutcomeFromSession(session);
+  if (!recommendedOutcome || recommendedOutcome === 'needs_human_follow_up') {
+    if (/\bwrong number\b/i.test(allText)) recommendedOutcome = 'wrong_number';
+    else if (/\b(not interested|don'?t call|stop calling|remove me)\b/i.test(leadText)) recommendedOutcome = 'not_interested';
+    else if (/\b(you'?re (all )?booked|is (booked|confirmed)|booked you|see you (on|at))\b/i.test(allText)) recommendedOutcome = 'booked';
+    else if (/\b(call (me )?back|call later|try (me )?again)\b/i.test(leadText) || promise) recommendedOutcome = 'callback_requested';
+    else recommendedOutcome = recommendedOutcome || 'needs_human_follow_up';
+  }
+
+  const service = lead?.service_interest || null;
+  const overview = !turns.length
+    ? `No conversation was captured (${String(session.outcome || session.status || 'ended').replace(/_/g, ' ')}).`
+    : [
+      `${turns.length} transcript turn${turns.length === 1 ? '' : 's'}${service ? ` about ${service}` : ''}; the lead sounded ${sentiment}.`,
+      objections.length ? `Objections: ${objections.join(', ').toLowerCase()}.` : '',
+      promise ? `Follow-up promised: ${promise.trim()}` : '',
+    ].filter(Boolean).join(' ');
+
+  return {
+    overview: overview.slice(0, 600),
+    sentiment,
+    objections,
+    qualification: {
+      serviceInterest: null,
+      timeline,
+      budgetRange: budget ? budget.trim() : null,
+      locationSummary: null,
+      preferredMeetingWindow: meetingWindow,
+      decisionMaker: /\b(talk (to|with) my (wife|husband|partner|boss)|need to check with)\b/i.test(leadText) ? 'Lead is not the only decision maker' : null,
+    },
+    promisedFollowUp: {
+      promised: Boolean(promise),
+      owner: promise ? 'agent' : null,
+      channel: promiseChannel,
+      when,
+      detail: promise ? promise.trim().slice(0, 300) : null,
+    },
+    recommendedOutcome,
+  };
+}
+
+const POST_CALL_SUMMARY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['overview', 'sentiment', 'objections', 'qualification', 'promisedFollowUp', 'recommendedOutcome'],
+  properties: {
+    overview: { type: 'string' },
+    sentiment: { type: 'string', enum: CALL_SENTIMENTS },
+    objections: { type: 'array', items: { type: 'string' } },
+    qualification: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['serviceInterest', 'timeline', 'budgetRange', 'locationSummary', 'preferredMeetingWindow', 'decisionMaker'],
+      properties: {
+        serviceInterest: { type: ['string', 'null'] },
+        timeline: { type: ['string', 'null'] },
+        budgetRange: { type: ['string', 'null'] },
+        locationSummary: { type: ['string', 'null'] },
+        preferredMeetingWindow: { type: ['string', 'null'] },
+        decisionMaker: { type: ['string', 'null'] },
+      },
+    },
+    promisedFollowUp: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['promised', 'owner', 'channel', 'when', 'detail'],
+      properties: {
+        promised: { type: 'boolean' },
+        owner: { type: ['string', 'null'], enum: ['agent', 'lead', null] },
+        channel: { type: ['string', 'null'], enum: ['call', 'sms', 'email', 'whatsapp', null] },
+        when: { type: ['string', 'null'] },
+        detail: { type: ['string', 'null'] },
+      },
+    },
+    recommendedOutcome: { type: 'string', enum: CALL_OUTCOMES },
+  },
+};
+
+async function openAiCallSummary(session: JsonRecord, lead: JsonRecord | null, turns: JsonRecord[]) {
+  const apiKey = Deno.env.get('OPENAI_API_KEY');
+  if (!apiKey) return { summary: null, model: null, responseId: null, error: 'OPENAI_API_KEY is not configured' };
+  const model = Deno.env.get('OPENAI_TEXT_MODEL') || Deno.env.get('OPENAI_EMAIL_MODEL') || 'gpt-5.5';
+  let response: Response;
+  try {
+    response = await fetch('https://api.openai.com/v1/responses', {
+      method: 'POST',
+      signal: AbortSignal.timeout(POST_CALL_SUMMARY_TIMEOUT_MS),
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        instructions: [
+          'You review finished phone calls between an AI assistant and a service-business lead.',
+          'Return only valid JSON matching the schema.',
+          'overview is two or three plain sentences for the business owner.',
+          'Only report objections, qualification details, and follow-up promises that were actually said on the call; use null when unknown.',
+          'recommendedOutcome is the single best disposition for the call.',
+        ].join(' '),
+        input: JSON.stringify({
+          call: {
+            direction: session.direction || 'outbound',
+            status: session.status || null,
+            bridgeOutcome: session.outcome || null,
+            durationSeconds: session.duration_seconds || session.recording_duration_seconds || null,
+          },
+          lead: {
+            name: lead?.full_name || lead?.first_name || null,
+            serviceInterest: lead?.service_interest || null,
+            qualificationNotes: lead?.qualification_notes || null,
+          },
+          transcript: turns.slice(-200).map((turn) => `${turn.speaker}: ${turn.text}`).join('\n').slice(-24000),
+        }),
+        text: { format: { type: 'json_schema', name: 'post_call_summary', strict: true, schema: POST_CALL_SUMMARY_SCHEMA } },
+      }),
+    });
+  } catch (error: any) {
+    const timedOut = error?.name === 'TimeoutError' || error?.name === 'AbortError';
+    return { summary: null, model, responseId: null, error: timedOut ? 'OpenAI call summary timed out' : `OpenAI call summary request failed: ${safeError(error)}` };
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) return { summary: null, model, responseId: data?.id || null, error: data?.error?.message || `OpenAI call summary failed with ${response.status}` };
+  try {
+    const summary = JSON.parse(extractOutputText(data));
+    if (summary?.overview && CALL_OUTCOMES.includes(summary.recommendedOutcome)) {
+      return { summary, model, responseId: data.id || null, error: null };
+    }
+  } catch {
+    // Fall through to the heuristic summary.
+  }
+  return { summary: null, model, responseId: data?.id || null, error: 'OpenAI returned an invalid call summary' };
+}
+
+// Summarises a finished call onto voice_call_sessions.post_call_summary.
+// Runs again when a better transcript arrives (recording_ready after
+// call_ended); an unchanged transcript is skipped.
+export async function processPostCallSummary(db: any, sessionId: string) {
+  const session = await loadSession(db, sessionId);
+  if (!TERMINAL_CALL_STATUSES.includes(session.status)) return null;
+  const turns = await postCallTranscriptTurns(db, session);
+  const sourceHash = await sha256Hex(JSON.stringify([session.outcome || session.status, turns]));
+  if (session.post_call_summary?.sourceHash === sourceHash) return session.post_call_summary;
+
+  const leadRows = session.lead_id
+    ? await unwrap(await db.database.from('leads').select('*').eq('tenant_id', session.tenant_id).eq('id', session.lead_id).limit(1), 'Failed to load lead for call summary')
+    : [];
+  const lead = leadRows?.[0] || null;
+  const generated = turns.length ? await openAiCallSummary(session, lead, turns) : { summary: null, model: null, responseId: null, error: null };
+  const summary = {
+    ...(generated.summary || heuristicCallSummary(session, lead, turns)),
+    generatedBy: generated.summary ? 'openai' : 'heuristic',
+    model: generated.summary ? generated.model : 'deterministic-call-summary-fallback',
+    openaiResponseId: generated.responseId,
+    generationError: generated.error,
+    sourceHash,
+    transcriptTurns: turns.length,
+    generatedAt: nowIso(),
+  };
+
+  const patch: JsonRecord = { post_call_summary: summary, post_call_summary_at: summary.generatedAt };
+  if (isEmptyCallSummary(session.summary) || /^Voice call ended with outcome:/.test(String(session.summary || ''))) {
+    patch.summary = summary.overview;
+  }
+  await db.database.from('voice_call_sessions').update(patch).eq('id', session.id).eq('tenant_id', session.tenant_id);
+  return summary;
+}
+
+// Webhooks only stamp the session so Twilio and the bridge never wait on
+// OpenAI; the scheduled post-call-summaries run does the work.
+async function requestPostCallSummary(db: any, session: JsonRecord) {
+  await db.database.from('voice_call_sessions')
+    .update({ post_call_summary_due_at: nowIso() })
+    .eq('id', session.id)
+    .eq('tenant_id', session.tenant_id);
+}
+
+// Runs from an InsForge schedule every minute. The stamp is cleared only if
+// no newer request arrived while the summary was generated; a failed session
+// is retried a few minutes later instead of blocking the rest of the batch.
+export async function processDuePostCallSummaries(db: any) {
+  const startedAt = Date.now();
+  const due = await unwrap(await db.database
+    .from('voice_call_sessions')
+    .select('id, tenant_id, post_call_summary_due_at')
+    .lte('post_call_summary_due_at', nowIso())
+    .order('post_call_summary_due_at', { ascending: true })
+    .limit(POST_CALL_SUMMARY_BATCH_SIZE), 'Failed to load due call summaries');
+
+  const results = [];
+  for (const row of due || []) {
+    if (Date.now() - startedAt > POST_CALL_SUMMARY_BUDGET_MS) break;
+    try {
+      const summary = await processPostCallSummary(db, row.id);
+      await db.database.from('voice_call_sessions')
+        .update({ post_call_summary_due_at: null })
+        .eq('id', row.id)
+        .eq('tenant_id', row.tenant_id)
+        .eq('post_call_summary_due_at', row.post_call_summary_due_at);
+      results.push({ sessionId: row.id, generatedBy: summary?.generatedBy || null });
+    } catch (error) {
+      console.warn('Post-call summary failed', safeError(error));
+      await db.database.from('voice_call_sessions')
+        .update({ post_call_summary_due_at: new Date(Date.now() + POST_CALL_SUMMARY_RETRY_MS).toISOString() })
+        .eq('id', row.id)
+        .eq('tenant_id', row.tenant_id);
+      results.push({ sessionId: row.id, error: safeError(error, 'Post-call summary failed') });
+    }
+  }
+  return { processed: results.length, results };
+}
+
 async function finalizeCallState(db: any, session: JsonRecord, input: JsonRecord) {
   const completedAt = firstValue(input.timestamp, nowIso());
   const outcome = String(input.outcome || 'completed');
   const summary = input.summary || session.summary || `Voice call ended with outcome: ${outcome}`;
   const transcript = input.transcript || session.transcript || null;
   const observedSeconds = callObservedSeconds(session, completedAt);
+  const unanswered = outcome === 'no_answer' || outcome === 'voicemail_left';
   const interrupted = outcome !== 'failed'
+    && outcome !== 'transferred'
+    && !input.endedBy
+    && !unanswered
     && !isMeaningfulTranscript(transcript)
     && isEmptyCallSummary(summary)
     && (observedSeconds === null || observedSeconds <= 90);
   const finalOutcome = interrupted ? 'interrupted' : outcome;
-  const callSucceeded = finalOutcome !== 'failed' && finalOutcome !== 'interrupted';
+  const callSucceeded = finalOutcome !== 'failed' && finalOutcome !== 'interrupted' && finalOutcome !== 'no_answer';
   const reboundAction = interrupted ? await scheduleReboundCall(db, session, { timestamp: completedAt, summary }) : null;
 
   if (session.lead_id) {
@@ -1037,8 +2451,10 @@ async function finalizeCallState(db: any, session: JsonRecord, input: JsonRecord
       'Failed to load campaign lead state'
     );
     for (const campaignLead of campaignRows || []) {
+      // Leads on a campaign cadence retry or move to the next channel on the
+      // next queue tick, so a failed call does not end their campaign.
       await db.database.from('campaign_leads').update({
-        status: callSucceeded || reboundAction ? 'running' : 'failed',
+        status: callSucceeded || reboundAction || campaignLead.metadata?.cadence ? 'running' : 'failed',
         current_step: callSucceeded ? 'voice_call_completed' : (reboundAction ? 'rebound_call_queued' : 'voice_call_failed'),
         updated_at: completedAt,
         metadata: {
@@ -1065,7 +2481,7 @@ async function finalizeCallState(db: any, session: JsonRecord, input: JsonRecord
       reason: interrupted
         ? 'Call was interrupted before the conversation could continue. Rebound call queued.'
         : summary,
-      blockedReason: callSucceeded || reboundAction ? null : 'voice_call_failed',
+      blockedReason: callSucceeded || reboundAction || unanswered ? null : 'voice_call_failed',
       metadata: {
         source: 'twilio_voice_finalization',
         voiceCallSessionId: session.id,
@@ -1094,14 +2510,40 @@ async function handleBridgeEvent(db: any, req: Request, body: JsonRecord) {
     patch.status = 'in_progress';
     patch.stream_started_at = firstValue(body.timestamp, nowIso());
   }
+  // The redirect can end the stream before the bridge hears about the
+  // transfer, so the bridge may report a plain hangup.
+  const transferred = session.metadata?.transfer && session.metadata.transfer.status !== 'failed';
+  const callOutcome = answeringMachineOutcome(session) || (transferred ? 'transferred' : null) || body.outcome || 'completed';
   if (eventType === 'call_ended') {
-    patch.status = body.outcome === 'failed' ? 'failed' : 'completed';
+    patch.status = callOutcome === 'failed' || callOutcome === 'no_answer' ? callOutcome : 'completed';
     patch.stream_stopped_at = firstValue(body.timestamp, nowIso());
     patch.ended_at = firstValue(body.timestamp, nowIso());
-    patch.outcome = body.outcome || 'completed';
+    patch.outcome = callOutcome;
     patch.summary = body.summary || session.summary;
     patch.transcript = body.transcript || session.transcript;
   }
+  if (eventType === 'call_quality') {
+    patch.metadata.callQuality = callQualitySummary(body.quality);
+  }
+  if (eventType.startsWith('vad_')) {
+    patch.metadata.vad = vadMetadata(session.metadata?.vad, eventType, body);
+  }
+  if (eventType === 'call_ended' && body.endedBy) {
+    patch.metadata.endedBy = String(body.endedBy);
+  }
+  if (eventType === 'call_ended' && body.vad) {
+    patch.metadata.vad = { ...(patch.metadata.vad || session.metadata?.vad || {}), summary: body.vad };
+  }
+  if (eventType === 'recording_ready') {
+    patch.recording_storage_key = body.recordingStorageKey || session.recording_storage_key;
+    patch.recording_duration_seconds = Number.isFinite(Number(body.durationSeconds)) ? Math.max(0, Math.round(Number(body.durationSeconds))) : null;
+    patch.recording_transcript = recordingTranscriptTurns(body.transcriptTurns);
+    patch.metadata.recording = {
+      sampleRate: Number(body.sampleRate) || null,
+      channels: body.channels || { left: 'lead', right: 'agent' },
+      truncated: Boolean(body.truncated),
+    };
+  }
   if (body.error) {
     patch.status = 'failed';
     patch.error_message = safeError({ message: body.error }, 'Voice bridge error');
@@ -1123,13 +2565,41 @@ async function handleBridgeEvent(db: any, req: Request, body: JsonRecord) {
       bodyText: body.text || body.response || '',
       metadata: { source: 'elevenlabs', eventType },
     });
+  } else if (eventType === 'recording_ready') {
+    await logTimelineMessage(db, session, {
+      direction: 'system',
+      messageType: 'call_recording',
+      bodyText: `Call recording saved (${patch.recording_duration_seconds ?? 0}s, lead left / agent right).`,
+      metadata: {
+        source: 'voice_bridge',
+        recordingStorageKey: patch.recording_storage_key || null,
+        durationSeconds: patch.recording_duration_seconds,
+      },
+    });
+  } else if (eventType === 'voicemail_drop_finished') {
+    await logTimelineMessage(db, session, {
+      direction: 'outbound',
+      messageType: 'voicemail_drop',
+      bodyText: session.metadata?.answeringMachine?.dropText || 'Voicemail drop played.',
+      metadata: { source: 'voice_bridge', eventType, durationMs: Number(body.durationMs) || null, playbackConfirmed: Boolean(body.playbackConfirmed) },
+    });
+  } else if (eventType === 'vad_voicemail_detected' || eventType === 'vad_dead_air') {
+    await logTimelineMessage(db, session, {
+      direction: 'system',
+      messageType: eventType === 'vad_dead_air' ? 'call_dead_air' : 'call_voicemail_detected',
+      bodyText: eventType === 'vad_dead_air'
+        ? `Call ended after ${Math.round(Number(body.silentMs || 0) / 1000)}s of dead air.`
+        : `Voicemail ${body.reason === 'beep' ? 'beep' : 'greeting'} detected on the call.`,
+      metadata: { source: 'voice_bridge', eventType, reason: body.reason || null },
+    });
   } else if (eventType === 'call_ended') {
     const finalization = await finalizeCallState(db, session, {
       timestamp: firstValue(body.timestamp, nowIso()),
-      outcome: body.outcome || 'completed',
+      outcome: callOutcome,
       summary: body.summary || null,
       transcript: body.transcript || null,
       elevenlabsConversationId: body.elevenlabsConversationId || session.elevenlabs_conversation_id || null,
+      endedBy: body.endedBy || null,
     });
     if (finalization.interrupted) {
       await db.database.from('voice_call_sessions').update({
@@ -1150,7 +2620,7 @@ async function handleBridgeEvent(db: any, req: Request, body: JsonRecord) {
       messageType: 'call_outcome',
       bodyText: finalization.interrupted
         ? 'Call was interrupted before the conversation could continue. A rebound call was queued.'
-        : (body.summary || `Voice call ended with outcome: ${body.outcome || 'completed'}`),
+        : (body.summary || `Voice call ended with outcome: ${callOutcome}`),
       metadata: {
         source: 'voice_bridge',
         outcome: finalization.finalOutcome,
@@ -1159,6 +2629,9 @@ async function handleBridgeEvent(db: any, req: Request, body: JsonRecord) {
       },
     });
   }
+  if (eventType === 'call_ended' || eventType === 'recording_ready') {
+    await requestPostCallSummary(db, session);
+  }
 
   return jsonResponse({ success: true });
 }
@@ -1176,6 +2649,7 @@ export default async function(req: Request): Promise<Response> {
       service: 'twilio-voice-webhook',
       streamConfigured: Boolean(Deno.env.get('VOICE_MEDIA_BRIDGE_WS_URL')),
       bridgeContextProtected: Boolean(Deno.env.get('VOICE_BRIDGE_CONTEXT_SECRET')),
+      summarySchedulerConfigured: Boolean(summarySchedulerSecret()),
       elevenlabsConfigured: Boolean(Deno.env.get('ELEVENLABS_API_KEY')),
       elevenlabsRegisterCallEnabled: Deno.env.get('ELEVENLABS_TWILIO_REGISTER_CALL_ENABLED') === 'true',
       activeVoicePath: Deno.env.get('ELEVENLABS_TWILIO_REGISTER_CALL_ENABLED') === 'true' ? 'elevenlabs_twilio_register_call' : 'voice_media_bridge',
@@ -1184,19 +2658,46 @@ export default async function(req: Request): Promise<Response> {
     });
   }
 
-  const body = await readRequestBody(req).catch(() => ({}));
+  if (mode === 'post-call-summaries') {
+    try {
+      requireSummarySchedulerSecret(req);
+      return jsonResponse({ success: true, ...(await processDuePostCallSummaries(db)) });
+    } catch (error) {
+      const message = safeError(error, 'Post-call summary run failed');
+      return jsonResponse({ success: false, error: message }, /unauthorized|secret/i.test(message) ? 401 : 500);
+    }
+  }
+
+  const body = mode === 'bridge-recording' ? {} : await readRequestBody(req).catch(() => ({}));
 
   try {
+    if (mode === 'bridge-recording') return await handleBridgeRecording(db, req, url);
     if (mode === 'status') return await handleStatus(db, url, body);
+    if (mode === 'amd') return await handleAnsweringMachine(db, req, url, body);
+    if (mode === 'transfer') return await handleTransfer(db, req, url, body);
+    if (mode === 'transfer-whisper') return await handleTransferWhisper(db, url, body);
+    if (mode === 'transfer-result') return await handleTransferResult(db, url, body);
+    if (mode === 'inbound') return await handleInboundCall(db, req, url, body);
+    if (mode === 'inbound-voicemail') return await handleInboundVoicemail(db, req, url, body);
     if (mode === 'stream-status') return await handleStreamStatus(db, url, body);
     if (mode === 'bridge-context') return await handleBridgeContext(db, req, body);
     if (mode === 'bridge-event') return await handleBridgeEvent(db, req, body);
     return await handleIntro(db, url, body);
   } catch (error) {
     const message = safeError(error);
+    if (/signature/i.test(message)) return jsonResponse({ success: false, error: message }, 401);
     if (mode === 'intro') {
       return xmlResponse(`<?xml version="1.0" encoding="UTF-8"?><Response><Say>${xmlEscape(message)}. A team member will follow up. Goodbye.</Say><Hangup/></Response>`, 200);
     }
+    if (mode === 'inbound' || mode === 'inbound-voicemail') {
+      return xmlResponse('<?xml version="1.0" encoding="UTF-8"?><Response><Say>Sorry, we cannot take your call right now. Please try again later. Goodbye.</Say><Hangup/></Response>');
+    }
+    if (mode === 'transfer-whisper') {
+      return xmlResponse('<?xml version="1.0" encoding="UTF-8"?><Response/>');
+    }
+    if (mode === 'transfer-result') {
+      return xmlResponse(`<?xml version="1.0" encoding="UTF-8"?><Response><Say>${xmlEscape(DEFAULT_TRANSFER_FALLBACK_MESSAGE)}</Say><Hangup/></Response>`);
+    }
     return jsonResponse({ success: false, error: message }, /secret|token|auth/i.test(message) ? 401 : 500);
   }
 }
@@ -0,0 +1,361 @@
+import { createAdminClient, createClient } from 'npm:@insforge/sdk';
+
+const MONITOR_TOKEN_TTL_MS = 10 * 60 * 1000;
+const LIVE_CALL_STATUSES = ['ringing', 'in_progress'];
+const SUPERVISOR_ROLES = ['owner', 'admin'];
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+};
+
+type JsonRecord = Record<string, any>;
+
+function optionsResponse() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+function jsonResponse(data: unknown, status = 200) {
+  return Response.json(data, { status, headers: corsHeaders });
+}
+
+function safeError(error: any, fallback = 'Voice call monitor action failed') {
+  const message = error?.message || fallback;
+  if (/permission denied for function resolve_current_portal_user/i.test(message)) {
+    return 'Authentication required';
+  }
+  return message;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function bearerToken(req: Request) {
+  const authorization = req.headers.get('authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7) : '';
+}
+
+function createInsForgeClient(req: Request) {
+  const token = bearerToken(req);
+  return createClient({
+    baseUrl: Deno.env.get('INSFORGE_BASE_URL'),
+    anonKey: Deno.env.get('ANON_KEY'),
+    ...(token ? { edgeFunctionToken: token } : {}),
+  });
+}
+
+function createInsForgeAdminClient() {
+  const apiKey = Deno.env.get('API_KEY');
+  if (!apiKey) return null;
+  return createAdminClient({
+    baseUrl: Deno.env.get('INSFORGE_BASE_URL'),
+    apiKey,
+  });
+}
+
+async function unwrap(result: any, message: string) {
+  if (result?.error) throw new Error(result.error.message || message);
+  return result?.data;
+}
+
+async function resolvePortalUser(db: any) {
+  const portalUser = await unwrap(
+    await db.database.rpc('resolve_current_portal_user'),
+    'Authentication required'
+  );
+  if (!portalUser?.tenantId) throw new Error('Tenant context is required');
+  return portalUser;
+}
+
+async function resolvePlatformAdminProfile(db: any) {
+  const profile = await unwrap(
+    await db.database.rpc('current_platform_admin_profile'),
+    'Failed to check platform admin profile'
+  );
+  return profile || { isPlatformAdmin: false };
+}
+
+// Listening in on, steering or ending a live call is limited to tenant
+// owners and admins (and platform admins acting for a tenant).
+function requireSupervisor(portalUser: JsonRecord, requestedTenantId: string | undefined, platformProfile: JsonRecord) {
+  if (platformProfile?.isPlatformAdmin) return requestedTenantId || portalUser.tenantId;
+  if (requestedTenantId && requestedTenantId !== portalUser.tenantId) {
+    throw new Error('Requested tenant does not match signed-in tenant');
+  }
+  if (!SUPERVISOR_ROLES.includes(portalUser.tenantRole)) {
+    throw new Error('Only tenant owners and admins can supervise live calls');
+  }
+  return portalUser.tenantId;
+}
+
+function bridgeUrl(session: JsonRecord, path: string, protocol: 'http' | 'ws') {
+  const configured = session.media_bridge_url || Deno.env.get('VOICE_MEDIA_BRIDGE_WS_URL');
+  if (!configured) throw new Error('Voice media bridge URL is not configured');
+  const url = new URL(protocol === 'http' ? String(configured).replace(/^ws/, 'http') : String(configured));
+  url.pathname = path;
+  url.search = '';
+  return url;
+}
+
+async function sendBridgeControl(session: JsonRecord, command: JsonRecord) {
+  const secret = Deno.env.get('VOICE_BRIDGE_CONTEXT_SECRET');
+  const response = await fetch(bridgeUrl(session, '/control', 'http').toString(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(secret ? { 'x-voice-bridge-secret': secret } : {}),
+    },
+    body: JSON.stringify({ voiceCallSessionId: session.id, ...command }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data?.success === false) {
+    throw Object.assign(new Error(data?.error || 'Voice bridge control failed with ' + response.status), { status: response.status });
+  }
+  return data.result || {};
+}
+
+async function hangUpTwilioCall(callSid: string) {
+  const accountSid = Deno.env.get('TWILIO_ACCOUNT_SID');
+  const authToken = Deno.env.get('TWILIO_AUTH_TOKEN');
+  if (!accountSid || !authToken) throw new Error('Twilio credentials are not configured for this function');
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Calls/${encodeURIComponent(callSid)}.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: 'Basic ' + btoa(`${accountSid}:${authToken}`),
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({ Status: 'completed' }).toString(),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data?.message || 'Twilio call update failed with ' + response.status);
+  return data;
+}
+
+function base64Url(bytes: Uint8Array) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Same format as voice-bridge/src/monitor.js verifyMonitorToken.
+async function createMonitorToken(secret: string, voiceCallSessionId: string, expiresAt: number) {
+  const payload = base64Url(new TextEncoder().encode(JSON.stringify({ sid: voiceCallSessionId, exp: expiresAt })));
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+  return payload + '.' + base64Url(new Uint8Array(signature));
+}
+
+async function loadLiveSession(db: any, tenantId: string, sessionId: string) {
+  if (!sessionId) throw new Error('voiceCallSessionId is required');
+  const rows = await unwrap(
+    await db.database.from('voice_call_sessions').select('*').eq('tenant_id', tenantId).eq('id', sessionId).limit(1),
+    'Failed to load voice call session'
+  );
+  const session = rows?.[0] || null;
+  if (!session) throw new Error('Voice call session was not found');
+  if (!LIVE_CALL_STATUSES.includes(session.status) || session.ended_at) {
+    throw Object.assign(new Error('The call has already ended'), { code: 'CALL_NOT_LIVE' });
+  }
+  return session;
+}
+
+async function logSupervisorAction(db: any, session: JsonRecord, portalUser: JsonRecord, messageType: string, bodyText: string, metadata: JsonRecord = {}) {
+  if (!session.lead_id) return null;
+  const { error } = await db.database.from('lead_conversation_messages').insert([{
+    tenant_id: session.tenant_id,
+    lead_id: session.lead_id,
+    conversation_id: session.conversation_id || null,
+    direction: 'system',
+    channel: 'voice',
+    message_type: messageType,
+    body_text: bodyText,
+    provider_message_id: session.twilio_call_sid || null,
+    status: 'logged',
+    metadata: {
+      voiceCallSessionId: session.id,
+      source: 'voice_call_monitor',
+      supervisorUserId: portalUser.id || null,
+      supervisorName: portalUser.name || portalUser.email || null,
+      ...metadata,
+    },
+  }]);
+  if (error) console.warn('Failed to log supervisor action', error.message || error);
+  return !error;
+}
+
+async function listLiveCalls(db: any, tenantId: string) {
+  const sessions = await unwrap(
+    await db.database
+      .from('voice_call_sessions')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .in('status', LIVE_CALL_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(25),
+    'Failed to load live calls'
+  );
+  const live = (sessions || []).filter((session: JsonRecord) => !session.ended_at);
+  if (!live.length) return [];
+
+  const leadIds = [...new Set(live.map((session: JsonRecord) => session.lead_id).filter(Boolean))];
+  const agentIds = [...new Set(live.map((session: JsonRecord) => session.tenant_agent_id).filter(Boolean))];
+  const callSids = live.map((session: JsonRecord) => session.twilio_call_sid).filter(Boolean);
+  const [leads, agents, messages] = await Promise.all([
+    leadIds.length
+      ? unwrap(await db.database.from('leads').select('id,full_name,first_name,last_name,phone,service_interest').eq('tenant_id', tenantId).in('id', leadIds), 'Failed to load call leads')
+      : [],
+    agentIds.length
+      ? unwrap(await db.database.from('tenant_agents').select('id,display_name').eq('tenant_id', tenantId).in('id', agentIds), 'Failed to load call agents')
+      : [],
+    callSids.length
+      ? unwrap(
+        await db.database
+          .from('lead_conversation_messages')
+          .select('provider_message_id,direction,message_type,body_text,metadata,created_at')
+          .eq('tenant_id', tenantId)
+          .in('provider_message_id', callSids)
+          .in('message_type', ['call_transcript', 'agent_voice_response', 'supervisor_whisper'])
+          .order('created_at', { ascending: true })
+          .limit(500),
+        'Failed to load live call transcripts'
+      )
+      : [],
+  ]);
+  const leadById = new Map((leads || []).map((lead: JsonRecord) => [lead.id, lead]));
+  const agentById = new Map((agents || []).map((agent: JsonRecord) => [agent.id, agent]));
+
+  return live.map((session: JsonRecord) => {
+    const lead: JsonRecord = leadById.get(session.lead_id) || {};
+    return {
+      id: session.id,
+      direction: session.direction || 'outbound',
+      status: session.status,
+      startedAt: session.stream_started_at || session.answered_at || session.created_at,
+      leadId: session.lead_id || null,
+      leadName: lead.full_name || [lead.first_name, lead.last_name].filter(Boolean).join(' ') || lead.phone || 'Unknown caller',
+      serviceInterest: lead.service_interest || null,
+      agentName: (agentById.get(session.tenant_agent_id) as JsonRecord)?.display_name || null,
+      transferring: Boolean(session.metadata?.transfer && session.metadata.transfer.status !== 'failed'),
+      transcript: (messages || [])
+        .filter((message: JsonRecord) => message.provider_message_id === session.twilio_call_sid)
+        .slice(-30)
+        .map((message: JsonRecord) => ({
+          speaker: message.message_type === 'supervisor_whisper' ? 'supervisor' : message.direction === 'inbound' ? 'lead' : 'agent',
+          text: message.body_text,
+          at: message.created_at,
+        })),
+    };
+  });
+}
+
+async function issueMonitorToken(db: any, tenantId: string, sessionId: string) {
+  const secret = Deno.env.get('VOICE_BRIDGE_CONTEXT_SECRET');
+  if (!secret) throw new Error('VOICE_BRIDGE_CONTEXT_SECRET is required to listen in on calls');
+  const session = await loadLiveSession(db, tenantId, sessionId);
+  const expiresAt = Date.now() + MONITOR_TOKEN_TTL_MS;
+  const url = bridgeUrl(session, '/monitor', 'ws');
+  url.searchParams.set('token', await createMonitorToken(secret, session.id, expiresAt));
+  return { voiceCallSessionId: session.id, monitorUrl: url.toString(), expiresAt: new Date(expiresAt).toISOString() };
+}
+
+async function whisperToAgent(db: any, tenantId: string, portalUser: JsonRecord, body: JsonRecord) {
+  const text = String(body.text || '').trim();
+  if (!text) throw new Error('text is required');
+  if (text.length > 2000) throw new Error('Whisper text must be 2000 characters or fewer');
+  const session = await loadLiveSession(db, tenantId, body.voiceCallSessionId);
+  const result = await sendBridgeControl(session, { command: 'contextual_update', text });
+  await logSupervisorAction(db, session, portalUser, 'supervisor_whisper', text);
+  return result;
+}
+
+async function endLiveCall(db: any, tenantId: string, portalUser: JsonRecord, body: JsonRecord) {
+  const session = await loadLiveSession(db, tenantId, body.voiceCallSessionId);
+  let via = 'bridge';
+  try {
+    await sendBridgeControl(session, { command: 'end_call', requestedBy: portalUser.id || 'supervisor' });
+  } catch (error) {
+    // Not live on the bridge (register-call path, or a bridge restart): hang up at Twilio.
+    if (!session.twilio_call_sid) throw error;
+    await hangUpTwilioCall(session.twilio_call_sid);
+    via = 'twilio';
+  }
+  await logSupervisorAction(db, session, portalUser, 'supervisor_end_call', 'A supervisor ended the call.', {
+    reason: String(body.reason || '').trim().slice(0, 300) || null,
+    via,
+  });
+  return { ending: true, via };
+}
+
+async function transferLiveCall(db: any, tenantId: string, portalUser: JsonRecord, body: JsonRecord) {
+  const session = await loadLiveSession(db, tenantId, body.voiceCallSessionId);
+  const functionBaseUrl = Deno.env.get('INSFORGE_FUNCTION_BASE_URL');
+  if (!functionBaseUrl) throw new Error('INSFORGE_FUNCTION_BASE_URL is not configured');
+  const secret = Deno.env.get('VOICE_BRIDGE_CONTEXT_SECRET');
+  const reason = String(body.reason || '').trim().slice(0, 300) || 'Supervisor took over the call';
+  const response = await fetch(`${functionBaseUrl.replace(/\/$/, '')}/twilio-voice-webhook?mode=transfer`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(secret ? { 'X-Voice-Bridge-Secret': secret } : {}),
+    },
+    body: JSON.stringify({ voiceCallSessionId: session.id, reason, source: 'supervisor', requestedBy: portalUser.id || null }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data?.success === false) {
+    throw Object.assign(new Error(data?.error || `Call transfer failed with ${response.status}`), { code: data?.code });
+  }
+  return data;
+}
+
+export default async function(req: Request): Promise<Response> {
+  if (req.method === 'OPTIONS') return optionsResponse();
+
+  const db = createInsForgeClient(req);
+  const adminDb = createInsForgeAdminClient();
+  const url = new URL(req.url);
+  const body = req.method === 'GET' ? {} : await req.json().catch(() => ({}));
+  const action = url.searchParams.get('action') || body.action || 'status';
+
+  try {
+    if (action === 'status') {
+      return jsonResponse({
+        success: true,
+        service: 'voice-call-monitor',
+        bridgeConfigured: Boolean(Deno.env.get('VOICE_MEDIA_BRIDGE_WS_URL')),
+        listenInConfigured: Boolean(Deno.env.get('VOICE_BRIDGE_CONTEXT_SECRET')),
+        actions: ['status', 'live-calls', 'monitor-token', 'whisper', 'end-call', 'transfer'],
+      });
+    }
+
+    const portalUser = await resolvePortalUser(db);
+    const platformProfile = await resolvePlatformAdminProfile(db).catch(() => ({ isPlatformAdmin: false }));
+    const tenantId = requireSupervisor(portalUser, body.tenantId || body.tenant_id, platformProfile);
+    const workDb = adminDb || db;
+
+    if (action === 'live-calls') {
+      return jsonResponse({ success: true, calls: await listLiveCalls(workDb, tenantId) });
+    }
+
+    if (action === 'monitor-token') {
+      return jsonResponse({ success: true, ...(await issueMonitorToken(workDb, tenantId, body.voiceCallSessionId)) });
+    }
+
+    if (action === 'whisper') {
+      return jsonResponse({ success: true, result: await whisperToAgent(workDb, tenantId, portalUser, body) });
+    }
+
+    if (action === 'end-call') {
+      return jsonResponse({ success: true, result: await endLiveCall(workDb, tenantId, portalUser, body) });
+    }
+
+    if (action === 'transfer') {
+      return jsonResponse({ success: true, ...(await transferLiveCall(workDb, tenantId, portalUser, body)) });
+    }
+
+    return jsonResponse({ success: false, error: `Unsupported voice call monitor action: ${action}` }, 400);
+  } catch (error: any) {
+    const message = safeError(error);
+    const status = error?.code === 'CALL_NOT_LIVE' ? 409 : /authentication|tenant|owners and admins/i.test(message) ? 403 : 500;
+    return jsonResponse({ success: false, code: error?.code || undefined, error: message }, status);
+  }
+}
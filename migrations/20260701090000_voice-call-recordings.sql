@@ -0,0 +1,50 @@
+-- Stereo call recordings written by the voice media bridge.
+-- The bridge uploads one WAV per session (lead on the left channel, agent on
+-- the right) through twilio-voice-webhook?mode=bridge-recording, which stores
+-- it at voice-call-recordings/<tenant_id>/<session_id>.wav.
+
+ALTER TABLE "public"."voice_call_sessions"
+  ADD COLUMN IF NOT EXISTS "recording_storage_key" text,
+  ADD COLUMN IF NOT EXISTS "recording_url" text,
+  ADD COLUMN IF NOT EXISTS "recording_bytes" integer,
+  ADD COLUMN IF NOT EXISTS "recording_duration_seconds" integer,
+  ADD COLUMN IF NOT EXISTS "recording_transcript" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  ADD COLUMN IF NOT EXISTS "recorded_at" timestamptz;
+
+ALTER TABLE "public"."voice_call_sessions"
+  DROP CONSTRAINT IF EXISTS "voice_call_sessions_recording_duration_check";
+ALTER TABLE "public"."voice_call_sessions"
+  ADD CONSTRAINT "voice_call_sessions_recording_duration_check"
+    CHECK ("recording_duration_seconds" IS NULL OR "recording_duration_seconds" >= 0);
+
+ALTER TABLE storage.objects ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "storage_objects_voice_recordings_select" ON storage.objects;
+CREATE POLICY "storage_objects_voice_recordings_select"
+  ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (
+    bucket = 'voice-call-recordings'
+    AND EXISTS (
+      SELECT 1
+      FROM "public"."tenant_users" tu
+      WHERE tu."tenant_id"::text = (storage.foldername(key))[1]
+        AND tu."user_id"::text = (SELECT auth.jwt() ->> 'sub')
+        AND tu."status" = 'active'
+    )
+  );
+
+DROP POLICY IF EXISTS "storage_objects_voice_recordings_runtime_insert" ON storage.objects;
+CREATE POLICY "storage_objects_voice_recordings_runtime_insert"
+  ON storage.objects
+  FOR INSERT
+  TO anon
+  WITH CHECK (
+    bucket = 'voice-call-recordings'
+    AND EXISTS (
+      SELECT 1
+      FROM "public"."voice_call_sessions" vcs
+      WHERE vcs."tenant_id"::text || '/' || vcs."id"::text || '.wav' = storage.objects.key
+    )
+  );
@@ -0,0 +1,62 @@
+-- Warm transfer from an AI call to a human.
+-- When escalate_to_human fires mid-call, twilio-voice-webhook?mode=transfer
+-- detaches the ElevenLabs leg on the media bridge and redirects the Twilio
+-- call to dial these numbers (all at once, or one after another as a hunt
+-- group). If nobody answers, the lead is told and a human callback is queued.
+
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  ADD COLUMN IF NOT EXISTS "human_escalation_policy" jsonb NOT NULL DEFAULT jsonb_build_object(
+    'enabled', false,
+    'numbers', '[]'::jsonb,
+    'ringStrategy', 'simultaneous',
+    'ringTimeoutSeconds', 20,
+    'whisperEnabled', true,
+    'fallback', 'callback',
+    'callbackDelayMinutes', 15,
+    'reason', 'Escalated calls are warm-transferred to the tenant team; unanswered transfers fall back to a human callback.'
+  );
+
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  DROP CONSTRAINT IF EXISTS "tenant_lifecycle_rules_human_escalation_policy_check";
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  ADD CONSTRAINT "tenant_lifecycle_rules_human_escalation_policy_check"
+    CHECK (
+      jsonb_typeof("human_escalation_policy") = 'object'
+      AND jsonb_typeof(coalesce("human_escalation_policy" -> 'numbers', '[]'::jsonb)) = 'array'
+      AND jsonb_array_length(coalesce("human_escalation_policy" -> 'numbers', '[]'::jsonb)) <= 5
+    );
+
+GRANT UPDATE ("human_escalation_policy") ON "public"."tenant_lifecycle_rules" TO authenticated;
+
+CREATE OR REPLACE FUNCTION "public"."get_effective_tenant_lifecycle_rules"(p_tenant_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_rules "public"."tenant_lifecycle_rules";
+BEGIN
+  v_rules := "public"."ensure_tenant_lifecycle_rules"(p_tenant_id);
+
+  RETURN jsonb_build_object(
+    'tenantId', v_rules."tenant_id",
+    'maxCallAttempts', v_rules."max_call_attempts",
+    'channelOrder', to_jsonb(v_rules."channel_order"),
+    'voicemailAllowed', v_rules."voicemail_allowed",
+    'noAnswerPolicy', v_rules."no_answer_policy",
+    'busyPolicy', v_rules."busy_policy",
+    'notAvailablePolicy', v_rules."not_available_policy",
+    'voicemailPolicy', v_rules."voicemail_policy",
+    'nurturePolicy', v_rules."nurture_policy",
+    'humanReviewTriggers', v_rules."human_review_triggers",
+    'humanEscalationPolicy', v_rules."human_escalation_policy",
+    'offDutyCallPolicy', v_rules."off_duty_call_policy",
+    'metadata', v_rules."metadata",
+    'updatedAt', v_rules."updated_at"
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."get_effective_tenant_lifecycle_rules"(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."get_effective_tenant_lifecycle_rules"(uuid) TO anon, authenticated;
@@ -0,0 +1,16 @@
+-- Structured post-call summary for every voice session.
+-- twilio-voice-webhook writes it once a session reaches a terminal status
+-- (and again when the recording transcript arrives): overview, sentiment,
+-- objections, qualification details, promised follow-up and a recommended
+-- CALL_OUTCOMES value. generatedBy is openai, or heuristic when OpenAI is
+-- unavailable.
+
+ALTER TABLE "public"."voice_call_sessions"
+  ADD COLUMN IF NOT EXISTS "post_call_summary" jsonb,
+  ADD COLUMN IF NOT EXISTS "post_call_summary_at" timestamptz;
+
+ALTER TABLE "public"."voice_call_sessions"
+  DROP CONSTRAINT IF EXISTS "voice_call_sessions_post_call_summary_check";
+ALTER TABLE "public"."voice_call_sessions"
+  ADD CONSTRAINT "voice_call_sessions_post_call_summary_check"
+    CHECK ("post_call_summary" IS NULL OR jsonb_typeof("post_call_summary") = 'object');
@@ -0,0 +1,68 @@
+-- Saved column mappings for lead imports.
+-- One row per tenant and header signature (the sorted, normalized column
+-- names of an export), so the next file from the same CRM maps itself.
+-- mapping is { "<normalized header>": "<lead field>" | "custom:<name>" | "ignore" | null }.
+
+CREATE TABLE IF NOT EXISTS "public"."lead_import_mappings" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE cascade,
+  "name" varchar(160),
+  "header_signature" text NOT NULL,
+  "headers" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  "mapping" jsonb DEFAULT '{}'::jsonb NOT NULL,
+  "created_by_user_id" uuid,
+  "use_count" integer DEFAULT 0 NOT NULL,
+  "last_used_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "updated_at" timestamp with time zone DEFAULT now() NOT NULL,
+  CONSTRAINT "lead_import_mappings_mapping_check"
+    CHECK (jsonb_typeof("mapping") = 'object' AND jsonb_typeof("headers") = 'array'),
+  CONSTRAINT "lead_import_mappings_use_count_check"
+    CHECK ("use_count" >= 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_lead_import_mappings_tenant_signature"
+  ON "public"."lead_import_mappings" ("tenant_id", "header_signature");
+
+ALTER TABLE "public"."lead_import_batches" ADD COLUMN IF NOT EXISTS "lead_import_mapping_id" uuid
+  REFERENCES "public"."lead_import_mappings"("id") ON DELETE set null;
+
+DROP TRIGGER IF EXISTS "lead_import_mappings_updated_at"
+  ON "public"."lead_import_mappings";
+CREATE TRIGGER "lead_import_mappings_updated_at"
+  BEFORE UPDATE ON "public"."lead_import_mappings"
+  FOR EACH ROW
+  EXECUTE FUNCTION system.update_updated_at();
+
+ALTER TABLE "public"."lead_import_mappings" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "lead_import_mappings_select" ON "public"."lead_import_mappings";
+CREATE POLICY "lead_import_mappings_select"
+  ON "public"."lead_import_mappings"
+  FOR SELECT
+  TO authenticated
+  USING ("public"."user_belongs_to_tenant"("tenant_id"));
+
+DROP POLICY IF EXISTS "lead_import_mappings_insert" ON "public"."lead_import_mappings";
+CREATE POLICY "lead_import_mappings_insert"
+  ON "public"."lead_import_mappings"
+  FOR INSERT
+  TO authenticated
+  WITH CHECK ("public"."user_belongs_to_tenant"("tenant_id"));
+
+DROP POLICY IF EXISTS "lead_import_mappings_update" ON "public"."lead_import_mappings";
+CREATE POLICY "lead_import_mappings_update"
+  ON "public"."lead_import_mappings"
+  FOR UPDATE
+  TO authenticated
+  USING ("public"."user_belongs_to_tenant"("tenant_id"))
+  WITH CHECK ("public"."user_belongs_to_tenant"("tenant_id"));
+
+DROP POLICY IF EXISTS "lead_import_mappings_delete" ON "public"."lead_import_mappings";
+CREATE POLICY "lead_import_mappings_delete"
+  ON "public"."lead_import_mappings"
+  FOR DELETE
+  TO authenticated
+  USING ("public"."user_belongs_to_tenant"("tenant_id"));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON "public"."lead_import_mappings" TO authenticated;
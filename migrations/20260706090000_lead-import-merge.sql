@@ -0,0 +1,22 @@
+-- Lead import duplicate handling.
+-- Rows that match an existing lead by email or phone can be skipped (the old
+-- behaviour), merged into empty fields only, merged with overwrite, or
+-- created anyway. The batch records which mode was used and how many leads
+-- were updated in place.
+
+ALTER TABLE "public"."lead_import_batches"
+  ADD COLUMN IF NOT EXISTS "duplicate_mode" varchar(20) DEFAULT 'skip' NOT NULL;
+ALTER TABLE "public"."lead_import_batches"
+  ADD COLUMN IF NOT EXISTS "updated_rows" integer DEFAULT 0 NOT NULL;
+
+ALTER TABLE "public"."lead_import_batches"
+  DROP CONSTRAINT IF EXISTS "lead_import_batches_duplicate_mode_check";
+ALTER TABLE "public"."lead_import_batches"
+  ADD CONSTRAINT "lead_import_batches_duplicate_mode_check"
+    CHECK ("duplicate_mode" IN ('skip', 'fill_empty', 'overwrite', 'create'));
+
+ALTER TABLE "public"."lead_import_batches"
+  DROP CONSTRAINT IF EXISTS "lead_import_batches_updated_rows_check";
+ALTER TABLE "public"."lead_import_batches"
+  ADD CONSTRAINT "lead_import_batches_updated_rows_check"
+    CHECK ("updated_rows" >= 0);
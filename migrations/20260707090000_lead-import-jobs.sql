@@ -0,0 +1,124 @@
+-- Server-side lead import jobs.
+-- The browser uploads the file as UTF-8 CSV to lead-imports/<tenant_id>/<batch_id>.csv
+-- and the lead-import-job Function works through it a chunk at a time.
+-- next_row is the resume cursor (0-based data row); rejected rows are kept in
+-- lead_import_rejections until the job writes the error report CSV.
+
+ALTER TABLE "public"."lead_import_batches"
+  ADD COLUMN IF NOT EXISTS "storage_key" text,
+  ADD COLUMN IF NOT EXISTS "columns" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  ADD COLUMN IF NOT EXISTS "headers" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  ADD COLUMN IF NOT EXISTS "next_row" integer DEFAULT 0 NOT NULL,
+  ADD COLUMN IF NOT EXISTS "processed_rows" integer DEFAULT 0 NOT NULL,
+  ADD COLUMN IF NOT EXISTS "campaign_id" uuid REFERENCES "public"."campaigns"("id") ON DELETE set null,
+  ADD COLUMN IF NOT EXISTS "error_report_key" text,
+  ADD COLUMN IF NOT EXISTS "last_error" text,
+  ADD COLUMN IF NOT EXISTS "started_at" timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS "finished_at" timestamp with time zone;
+
+ALTER TABLE "public"."lead_import_batches"
+  DROP CONSTRAINT IF EXISTS "lead_import_batches_status_check";
+ALTER TABLE "public"."lead_import_batches"
+  ADD CONSTRAINT "lead_import_batches_status_check"
+    CHECK ("status" IN ('queued', 'processing', 'paused', 'cancelled', 'completed', 'failed'));
+
+ALTER TABLE "public"."lead_import_batches"
+  DROP CONSTRAINT IF EXISTS "lead_import_batches_progress_check";
+ALTER TABLE "public"."lead_import_batches"
+  ADD CONSTRAINT "lead_import_batches_progress_check"
+    CHECK ("next_row" >= 0 AND "processed_rows" >= 0);
+
+CREATE TABLE IF NOT EXISTS "public"."lead_import_rejections" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE cascade,
+  "lead_import_batch_id" uuid NOT NULL REFERENCES "public"."lead_import_batches"("id") ON DELETE cascade,
+  "row_number" integer NOT NULL,
+  "status" varchar(20) NOT NULL,
+  "reasons" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  "row_data" jsonb DEFAULT '{}'::jsonb NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  CONSTRAINT "lead_import_rejections_status_check"
+    CHECK ("status" IN ('error', 'duplicate'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_lead_import_rejections_batch_row"
+  ON "public"."lead_import_rejections" ("lead_import_batch_id", "row_number");
+
+ALTER TABLE "public"."lead_import_rejections" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "lead_import_rejections_select" ON "public"."lead_import_rejections";
+CREATE POLICY "lead_import_rejections_select"
+  ON "public"."lead_import_rejections"
+  FOR SELECT
+  TO authenticated
+  USING ("public"."user_belongs_to_tenant"("tenant_id"));
+
+GRANT SELECT ON "public"."lead_import_rejections" TO authenticated;
+
+-- Duplicate lookup for one chunk of an import. Uses the same expressions as
+-- idx_leads_tenant_lower_email and idx_leads_tenant_phone_digits so it stays
+-- an index scan however many leads the tenant has. Phone keys are digits
+-- only (E.164 without the +, plus the national trunk form).
+CREATE OR REPLACE FUNCTION "public"."find_lead_import_matches"(
+  p_tenant_id uuid,
+  p_emails text[],
+  p_phone_digits text[]
+)
+RETURNS SETOF "public"."leads"
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+  SELECT l.*
+  FROM "public"."leads" l
+  WHERE l."tenant_id" = p_tenant_id
+    AND l."email" IS NOT NULL
+    AND trim(l."email") <> ''
+    AND lower(trim(l."email")) = ANY (coalesce(p_emails, ARRAY[]::text[]))
+  UNION
+  SELECT l.*
+  FROM "public"."leads" l
+  WHERE l."tenant_id" = p_tenant_id
+    AND l."phone" IS NOT NULL
+    AND regexp_replace(coalesce(l."phone", ''), '[^0-9]', '', 'g') <> ''
+    AND regexp_replace(coalesce(l."phone", ''), '[^0-9]', '', 'g') = ANY (coalesce(p_phone_digits, ARRAY[]::text[]));
+$$;
+
+REVOKE ALL ON FUNCTION "public"."find_lead_import_matches"(uuid, text[], text[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."find_lead_import_matches"(uuid, text[], text[]) TO authenticated;
+
+ALTER TABLE storage.objects ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "storage_objects_lead_imports_select" ON storage.objects;
+CREATE POLICY "storage_objects_lead_imports_select"
+  ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (
+    bucket = 'lead-imports'
+    AND EXISTS (
+      SELECT 1
+      FROM "public"."tenant_users" tu
+      WHERE tu."tenant_id"::text = (storage.foldername(key))[1]
+        AND tu."user_id"::text = (SELECT auth.jwt() ->> 'sub')
+        AND tu."status" = 'active'
+    )
+  );
+
+DROP POLICY IF EXISTS "storage_objects_lead_imports_insert" ON storage.objects;
+CREATE POLICY "storage_objects_lead_imports_insert"
+  ON storage.objects
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    bucket = 'lead-imports'
+    AND uploaded_by = (SELECT auth.jwt() ->> 'sub')
+    AND EXISTS (
+      SELECT 1
+      FROM "public"."tenant_users" tu
+      WHERE tu."tenant_id"::text = (storage.foldername(key))[1]
+        AND tu."user_id"::text = (SELECT auth.jwt() ->> 'sub')
+        AND tu."status" = 'active'
+    )
+  );
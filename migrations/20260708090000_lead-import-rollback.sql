@@ -0,0 +1,167 @@
+-- Undo a lead import batch.
+-- Leads the batch created are deleted unless someone has already talked to
+-- them (a call, a conversation message or a meeting); those are archived
+-- instead so the history stays attached. Queued bob_actions for every lead in
+-- the batch are cancelled first. Leads the batch only updated are left alone.
+
+ALTER TABLE "public"."leads"
+  ADD COLUMN IF NOT EXISTS "archived_at" timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS "archived_reason" text;
+
+ALTER TABLE "public"."lead_import_batches"
+  ADD COLUMN IF NOT EXISTS "rolled_back_at" timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS "rolled_back_by_user_id" uuid,
+  ADD COLUMN IF NOT EXISTS "rollback_summary" jsonb DEFAULT '{}'::jsonb NOT NULL;
+
+ALTER TABLE "public"."lead_import_batches"
+  DROP CONSTRAINT IF EXISTS "lead_import_batches_status_check";
+ALTER TABLE "public"."lead_import_batches"
+  ADD CONSTRAINT "lead_import_batches_status_check"
+    CHECK ("status" IN ('queued', 'processing', 'paused', 'cancelled', 'completed', 'failed', 'rolled_back'));
+
+CREATE OR REPLACE FUNCTION "public"."preview_lead_import_rollback"(p_batch_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_batch "public"."lead_import_batches";
+  v_result jsonb;
+BEGIN
+  SELECT * INTO v_batch FROM "public"."lead_import_batches" WHERE "id" = p_batch_id;
+  IF v_batch."id" IS NULL OR NOT "public"."user_belongs_to_tenant"(v_batch."tenant_id") THEN
+    RAISE EXCEPTION 'Lead import batch not found';
+  END IF;
+
+  WITH batch_leads AS (
+    SELECT
+      l."id",
+      EXISTS (SELECT 1 FROM "public"."voice_call_sessions" v WHERE v."lead_id" = l."id") AS has_calls,
+      EXISTS (SELECT 1 FROM "public"."lead_conversation_messages" m WHERE m."lead_id" = l."id") AS has_messages,
+      EXISTS (SELECT 1 FROM "public"."meetings" mt WHERE mt."lead_id" = l."id") AS has_meetings
+    FROM "public"."leads" l
+    WHERE l."tenant_id" = v_batch."tenant_id"
+      AND l."lead_import_batch_id" = v_batch."id"
+      AND l."archived_at" IS NULL
+  )
+  SELECT jsonb_build_object(
+    'batchId', v_batch."id",
+    'status', v_batch."status",
+    'leads', count(*),
+    'withCalls', count(*) FILTER (WHERE has_calls),
+    'withMessages', count(*) FILTER (WHERE has_messages),
+    'withMeetings', count(*) FILTER (WHERE has_meetings),
+    'toArchive', count(*) FILTER (WHERE has_calls OR has_messages OR has_meetings),
+    'toDelete', count(*) FILTER (WHERE NOT (has_calls OR has_messages OR has_meetings)),
+    'queuedActions', (
+      SELECT count(*)
+      FROM "public"."bob_actions" a
+      WHERE a."tenant_id" = v_batch."tenant_id"
+        AND a."status" IN ('pending', 'awaiting_call', 'awaiting_human', 'paused')
+        AND a."lead_id" IN (SELECT "id" FROM batch_leads)
+    )
+  )
+  INTO v_result
+  FROM batch_leads;
+
+  RETURN v_result;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."preview_lead_import_rollback"(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."preview_lead_import_rollback"(uuid) TO authenticated;
+
+-- Runs in one transaction so a failure leaves the batch as it was.
+CREATE OR REPLACE FUNCTION "public"."rollback_lead_import_batch"(p_batch_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_batch "public"."lead_import_batches";
+  v_now timestamp with time zone := now();
+  v_cancelled integer := 0;
+  v_archived integer := 0;
+  v_deleted integer := 0;
+  v_summary jsonb;
+BEGIN
+  SELECT * INTO v_batch FROM "public"."lead_import_batches" WHERE "id" = p_batch_id FOR UPDATE;
+  IF v_batch."id" IS NULL OR NOT "public"."user_belongs_to_tenant"(v_batch."tenant_id") THEN
+    RAISE EXCEPTION 'Lead import batch not found';
+  END IF;
+  IF v_batch."status" = 'rolled_back' THEN
+    RAISE EXCEPTION 'This import has already been rolled back';
+  END IF;
+  IF v_batch."status" IN ('queued', 'processing', 'paused') THEN
+    RAISE EXCEPTION 'Cancel the import before rolling it back';
+  END IF;
+
+  CREATE TEMP TABLE rollback_leads ON COMMIT DROP AS
+  SELECT
+    l."id",
+    (
+      EXISTS (SELECT 1 FROM "public"."voice_call_sessions" v WHERE v."lead_id" = l."id")
+      OR EXISTS (SELECT 1 FROM "public"."lead_conversation_messages" m WHERE m."lead_id" = l."id")
+      OR EXISTS (SELECT 1 FROM "public"."meetings" mt WHERE mt."lead_id" = l."id")
+    ) AS engaged
+  FROM "public"."leads" l
+  WHERE l."tenant_id" = v_batch."tenant_id"
+    AND l."lead_import_batch_id" = v_batch."id"
+    AND l."archived_at" IS NULL;
+
+  UPDATE "public"."bob_actions" a
+  SET "status" = 'cancelled',
+      "updated_at" = v_now,
+      "result" = coalesce(a."result", '{}'::jsonb) || jsonb_build_object(
+        'cancelledBy', 'lead_import_rollback',
+        'leadImportBatchId', v_batch."id",
+        'cancelledAt', v_now
+      )
+  WHERE a."tenant_id" = v_batch."tenant_id"
+    AND a."status" IN ('pending', 'awaiting_call', 'awaiting_human', 'paused')
+    AND a."lead_id" IN (SELECT "id" FROM rollback_leads);
+  GET DIAGNOSTICS v_cancelled = ROW_COUNT;
+
+  UPDATE "public"."campaign_leads" cl
+  SET "status" = 'stopped',
+      "updated_at" = v_now
+  WHERE cl."tenant_id" = v_batch."tenant_id"
+    AND cl."status" IN ('queued', 'running', 'paused')
+    AND cl."lead_id" IN (SELECT "id" FROM rollback_leads WHERE engaged);
+
+  UPDATE "public"."leads" l
+  SET "archived_at" = v_now,
+      "archived_reason" = 'Import rolled back',
+      "automation_paused" = true,
+      "next_contact_at" = NULL,
+      "updated_at" = v_now
+  WHERE l."id" IN (SELECT "id" FROM rollback_leads WHERE engaged);
+  GET DIAGNOSTICS v_archived = ROW_COUNT;
+
+  DELETE FROM "public"."leads" l
+  WHERE l."id" IN (SELECT "id" FROM rollback_leads WHERE NOT engaged);
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+
+  v_summary := jsonb_build_object(
+    'deleted', v_deleted,
+    'archived', v_archived,
+    'cancelledActions', v_cancelled
+  );
+
+  UPDATE "public"."lead_import_batches"
+  SET "status" = 'rolled_back',
+      "rolled_back_at" = v_now,
+      "rolled_back_by_user_id" = auth.uid(),
+      "rollback_summary" = v_summary,
+      "updated_at" = v_now
+  WHERE "id" = v_batch."id";
+
+  RETURN v_summary;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."rollback_lead_import_batch"(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."rollback_lead_import_batch"(uuid) TO authenticated;
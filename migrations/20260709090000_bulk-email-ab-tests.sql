@@ -0,0 +1,72 @@
+-- A/B tests for bulk email campaigns.
+-- A campaign with two to four variants first sends to a random test slice
+-- (recipients with ab_group = 'test', each pre-assigned a variant). Once the
+-- slice is sent and ab_test.waitMinutes have passed, the sender picks the
+-- variant with the best open or click rate and assigns it to the remainder.
+-- The campaign's own subject/body hold variant A so older readers still work.
+
+CREATE TABLE IF NOT EXISTS "public"."tenant_bulk_email_variants" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE CASCADE,
+  "campaign_id" uuid NOT NULL REFERENCES "public"."tenant_bulk_email_campaigns"("id") ON DELETE CASCADE,
+  "label" varchar(4) NOT NULL,
+  "subject" varchar(500) NOT NULL,
+  "body_text" text NOT NULL,
+  "body_html" text,
+  "is_winner" boolean DEFAULT false NOT NULL,
+  "sent_count" integer DEFAULT 0 NOT NULL,
+  "delivered_count" integer DEFAULT 0 NOT NULL,
+  "failed_count" integer DEFAULT 0 NOT NULL,
+  "opened_count" integer DEFAULT 0 NOT NULL,
+  "clicked_count" integer DEFAULT 0 NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "updated_at" timestamp with time zone DEFAULT now() NOT NULL,
+  CONSTRAINT "tenant_bulk_email_variants_label_check"
+    CHECK ("label" IN ('A', 'B', 'C', 'D'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_bulk_email_variants_campaign_label"
+  ON "public"."tenant_bulk_email_variants" ("campaign_id", "label");
+
+ALTER TABLE "public"."tenant_bulk_email_campaigns"
+  ADD COLUMN IF NOT EXISTS "ab_test" jsonb DEFAULT '{}'::jsonb NOT NULL,
+  ADD COLUMN IF NOT EXISTS "ab_test_sent_at" timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS "winner_variant_id" uuid REFERENCES "public"."tenant_bulk_email_variants"("id") ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "winner_decided_at" timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS "opened_count" integer DEFAULT 0 NOT NULL,
+  ADD COLUMN IF NOT EXISTS "clicked_count" integer DEFAULT 0 NOT NULL;
+
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  ADD COLUMN IF NOT EXISTS "variant_id" uuid REFERENCES "public"."tenant_bulk_email_variants"("id") ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "ab_group" varchar(20),
+  ADD COLUMN IF NOT EXISTS "opened_at" timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS "clicked_at" timestamp with time zone;
+
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  DROP CONSTRAINT IF EXISTS "tenant_bulk_email_recipients_ab_group_check";
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  ADD CONSTRAINT "tenant_bulk_email_recipients_ab_group_check"
+    CHECK ("ab_group" IS NULL OR "ab_group" IN ('test', 'remainder'));
+
+CREATE INDEX IF NOT EXISTS "idx_bulk_email_recipients_campaign_group"
+  ON "public"."tenant_bulk_email_recipients" ("campaign_id", "ab_group", "status");
+
+DROP TRIGGER IF EXISTS "tenant_bulk_email_variants_updated_at"
+  ON "public"."tenant_bulk_email_variants";
+CREATE TRIGGER "tenant_bulk_email_variants_updated_at"
+  BEFORE UPDATE ON "public"."tenant_bulk_email_variants"
+  FOR EACH ROW
+  EXECUTE FUNCTION system.update_updated_at();
+
+ALTER TABLE "public"."tenant_bulk_email_variants" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "tenant_bulk_email_variants_tenant_isolation"
+  ON "public"."tenant_bulk_email_variants";
+CREATE POLICY "tenant_bulk_email_variants_tenant_isolation"
+  ON "public"."tenant_bulk_email_variants"
+  FOR ALL
+  TO authenticated
+  USING ("public"."current_user_is_active_tenant_member"("tenant_id"))
+  WITH CHECK ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON "public"."tenant_bulk_email_variants" TO authenticated;
@@ -0,0 +1,79 @@
+-- Scheduled, throttled bulk email campaigns.
+-- A campaign can wait in 'scheduled' until scheduled_at. The
+-- bulk-email-sender process-scheduled action is run by an InsForge schedule
+-- every minute and advances due and sending campaigns, so sending no longer
+-- depends on the bulk-email page being open.
+-- hourly_limit/daily_limit cap the campaign (day = tenant timezone day), and
+-- a newly verified sender identity is held to a warm-up ramp counted from
+-- verified_at. Recipients are claimed ('sending') before the Resend call so
+-- overlapping runs never send the same email twice.
+
+ALTER TABLE "public"."tenant_bulk_email_campaigns"
+  ADD COLUMN IF NOT EXISTS "scheduled_at" timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS "schedule_timezone" varchar(100),
+  ADD COLUMN IF NOT EXISTS "hourly_limit" integer,
+  ADD COLUMN IF NOT EXISTS "daily_limit" integer,
+  ADD COLUMN IF NOT EXISTS "throttled_until" timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS "throttle_reason" varchar(40);
+
+ALTER TABLE "public"."tenant_bulk_email_campaigns"
+  DROP CONSTRAINT IF EXISTS "tenant_bulk_email_campaigns_status_check";
+ALTER TABLE "public"."tenant_bulk_email_campaigns"
+  ADD CONSTRAINT "tenant_bulk_email_campaigns_status_check"
+    CHECK ("status" IN ('draft', 'scheduled', 'queued', 'sending', 'paused', 'completed', 'failed'));
+
+ALTER TABLE "public"."tenant_bulk_email_campaigns"
+  DROP CONSTRAINT IF EXISTS "tenant_bulk_email_campaigns_limits_check";
+ALTER TABLE "public"."tenant_bulk_email_campaigns"
+  ADD CONSTRAINT "tenant_bulk_email_campaigns_limits_check"
+    CHECK (coalesce("hourly_limit", 1) > 0 AND coalesce("daily_limit", 1) > 0);
+
+CREATE INDEX IF NOT EXISTS "idx_bulk_email_campaigns_due"
+  ON "public"."tenant_bulk_email_campaigns" ("status", "scheduled_at");
+
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  ADD COLUMN IF NOT EXISTS "claimed_at" timestamp with time zone;
+
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  DROP CONSTRAINT IF EXISTS "tenant_bulk_email_recipients_status_check";
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  ADD CONSTRAINT "tenant_bulk_email_recipients_status_check"
+    CHECK ("status" IN ('pending', 'sending', 'sent', 'delivered', 'failed', 'bounced'));
+
+CREATE INDEX IF NOT EXISTS "idx_bulk_email_recipients_tenant_sent"
+  ON "public"."tenant_bulk_email_recipients" ("tenant_id", "sent_at")
+  WHERE "sent_at" IS NOT NULL;
+
+ALTER TABLE "public"."tenant_email_identities"
+  ADD COLUMN IF NOT EXISTS "verified_at" timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS "warmup_enabled" boolean DEFAULT true NOT NULL;
+
+-- Identities verified before this migration have already been sending, so
+-- their ramp is counted from when they were created.
+UPDATE "public"."tenant_email_identities"
+SET "verified_at" = "created_at"
+WHERE "verified_status" = 'verified'
+  AND "verified_at" IS NULL;
+
+CREATE OR REPLACE FUNCTION "public"."tenant_email_identities_track_verified_at"()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+BEGIN
+  IF NEW."verified_status" = 'verified'
+    AND (TG_OP = 'INSERT' OR OLD."verified_status" IS DISTINCT FROM 'verified') THEN
+    NEW."verified_at" := coalesce(NEW."verified_at", now());
+  ELSIF NEW."verified_status" IS DISTINCT FROM 'verified' THEN
+    NEW."verified_at" := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS "tenant_email_identities_verified_at"
+  ON "public"."tenant_email_identities";
+CREATE TRIGGER "tenant_email_identities_verified_at"
+  BEFORE INSERT OR UPDATE OF "verified_status" ON "public"."tenant_email_identities"
+  FOR EACH ROW
+  EXECUTE FUNCTION "public"."tenant_email_identities_track_verified_at"();
@@ -0,0 +1,55 @@
+-- Lead segments as bulk email recipients.
+-- A segment is a saved filter over the tenant's leads (stage, tags, source,
+-- latest lifecycle outcome, last contact and custom fields). The
+-- bulk-email-sender resolves it at campaign creation, drops leads whose
+-- email contact policy blocks them, and links each recipient to its lead so
+-- the send and its delivery status appear on the lead's timeline.
+
+CREATE TABLE IF NOT EXISTS "public"."tenant_lead_segments" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE CASCADE,
+  "created_by_user_id" uuid,
+  "name" varchar(255) NOT NULL,
+  "filters" jsonb DEFAULT '{}'::jsonb NOT NULL,
+  "last_resolved_count" integer,
+  "last_resolved_at" timestamp with time zone,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "updated_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_tenant_lead_segments_tenant_name"
+  ON "public"."tenant_lead_segments" ("tenant_id", lower("name"));
+
+ALTER TABLE "public"."tenant_bulk_email_campaigns"
+  ADD COLUMN IF NOT EXISTS "segment_id" uuid REFERENCES "public"."tenant_lead_segments"("id") ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "excluded_count" integer DEFAULT 0 NOT NULL;
+
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  ADD COLUMN IF NOT EXISTS "lead_id" uuid REFERENCES "public"."leads"("id") ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS "idx_bulk_email_recipients_lead"
+  ON "public"."tenant_bulk_email_recipients" ("tenant_id", "lead_id")
+  WHERE "lead_id" IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS "idx_leads_tenant_stage_contacted"
+  ON "public"."leads" ("tenant_id", "lead_stage", "last_contacted_at");
+
+DROP TRIGGER IF EXISTS "tenant_lead_segments_updated_at"
+  ON "public"."tenant_lead_segments";
+CREATE TRIGGER "tenant_lead_segments_updated_at"
+  BEFORE UPDATE ON "public"."tenant_lead_segments"
+  FOR EACH ROW
+  EXECUTE FUNCTION system.update_updated_at();
+
+ALTER TABLE "public"."tenant_lead_segments" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "tenant_lead_segments_tenant_isolation"
+  ON "public"."tenant_lead_segments";
+CREATE POLICY "tenant_lead_segments_tenant_isolation"
+  ON "public"."tenant_lead_segments"
+  FOR ALL
+  TO authenticated
+  USING ("public"."current_user_is_active_tenant_member"("tenant_id"))
+  WITH CHECK ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON "public"."tenant_lead_segments" TO authenticated;
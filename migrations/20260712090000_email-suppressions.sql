@@ -0,0 +1,91 @@
+-- Tenant-wide email suppression list and bulk email unsubscribes.
+-- An address lands here when the recipient unsubscribes through a signed
+-- bulk email link (including RFC 8058 one-click), when Resend reports a hard
+-- bounce or complaint for any of the tenant's mail, or when an admin adds it.
+-- bulk-email-sender, email-actions and bob-queue-actions all check it before
+-- sending. Unsubscribing also clears email consent on the tenant's matching
+-- leads.
+
+CREATE TABLE IF NOT EXISTS "public"."tenant_email_suppressions" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE CASCADE,
+  "email" varchar(255) NOT NULL,
+  "reason" varchar(40) NOT NULL,
+  "source" varchar(40) DEFAULT 'manual' NOT NULL,
+  "campaign_id" uuid REFERENCES "public"."tenant_bulk_email_campaigns"("id") ON DELETE SET NULL,
+  "lead_id" uuid REFERENCES "public"."leads"("id") ON DELETE SET NULL,
+  "provider_message_id" varchar(255),
+  "created_by_user_id" uuid,
+  "metadata" jsonb DEFAULT '{}'::jsonb NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "updated_at" timestamp with time zone DEFAULT now() NOT NULL,
+  CONSTRAINT "tenant_email_suppressions_reason_check"
+    CHECK ("reason" IN ('unsubscribed', 'hard_bounce', 'complaint', 'manual')),
+  CONSTRAINT "tenant_email_suppressions_email_lower_check"
+    CHECK ("email" = lower(btrim("email")))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_tenant_email_suppressions_tenant_email"
+  ON "public"."tenant_email_suppressions" ("tenant_id", "email");
+
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  ADD COLUMN IF NOT EXISTS "unsubscribed_at" timestamp with time zone;
+
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  DROP CONSTRAINT IF EXISTS "tenant_bulk_email_recipients_status_check";
+ALTER TABLE "public"."tenant_bulk_email_recipients"
+  ADD CONSTRAINT "tenant_bulk_email_recipients_status_check"
+    CHECK ("status" IN ('pending', 'sending', 'sent', 'delivered', 'failed', 'bounced', 'suppressed'));
+
+ALTER TABLE "public"."tenant_bulk_email_campaigns"
+  ADD COLUMN IF NOT EXISTS "suppressed_count" integer DEFAULT 0 NOT NULL,
+  ADD COLUMN IF NOT EXISTS "unsubscribed_count" integer DEFAULT 0 NOT NULL;
+
+DROP TRIGGER IF EXISTS "tenant_email_suppressions_updated_at"
+  ON "public"."tenant_email_suppressions";
+CREATE TRIGGER "tenant_email_suppressions_updated_at"
+  BEFORE UPDATE ON "public"."tenant_email_suppressions"
+  FOR EACH ROW
+  EXECUTE FUNCTION system.update_updated_at();
+
+ALTER TABLE "public"."tenant_email_suppressions" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "tenant_email_suppressions_tenant_isolation"
+  ON "public"."tenant_email_suppressions";
+CREATE POLICY "tenant_email_suppressions_tenant_isolation"
+  ON "public"."tenant_email_suppressions"
+  FOR ALL
+  TO authenticated
+  USING ("public"."current_user_is_active_tenant_member"("tenant_id"))
+  WITH CHECK ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON "public"."tenant_email_suppressions" TO authenticated;
+
+-- email-actions and bob-queue-actions run with the anon key, so they check
+-- the list through this function instead of reading the table.
+CREATE OR REPLACE FUNCTION "public"."get_email_suppression"(p_tenant_id uuid, p_email text)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_reason text;
+BEGIN
+  IF p_tenant_id IS NULL OR coalesce(btrim(p_email), '') = '' THEN
+    RETURN jsonb_build_object('suppressed', false);
+  END IF;
+
+  SELECT "reason"
+  INTO v_reason
+  FROM "public"."tenant_email_suppressions"
+  WHERE "tenant_id" = p_tenant_id
+    AND "email" = lower(btrim(p_email));
+
+  RETURN jsonb_build_object('suppressed', v_reason IS NOT NULL, 'reason', v_reason);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."get_email_suppression"(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."get_email_suppression"(uuid, text) TO anon, authenticated;
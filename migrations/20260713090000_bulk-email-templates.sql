@@ -0,0 +1,46 @@
+-- Reusable tenant email templates for bulk email.
+-- A template is a subject, a header note and an ordered list of content
+-- blocks (greeting, heading, paragraphs, button, divider, signature) that the
+-- bulk email builder renders to HTML and text. merge_fallbacks holds the
+-- value used for a merge field when a recipient has none; campaigns keep
+-- their own copy so later template edits never change a send in progress.
+
+CREATE TABLE IF NOT EXISTS "public"."tenant_email_templates" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE CASCADE,
+  "created_by_user_id" uuid,
+  "name" varchar(255) NOT NULL,
+  "subject" varchar(500) NOT NULL,
+  "header_note" varchar(500),
+  "blocks" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  "merge_fallbacks" jsonb DEFAULT '{}'::jsonb NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "updated_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_tenant_email_templates_tenant_name"
+  ON "public"."tenant_email_templates" ("tenant_id", lower("name"));
+
+ALTER TABLE "public"."tenant_bulk_email_campaigns"
+  ADD COLUMN IF NOT EXISTS "template_id" uuid REFERENCES "public"."tenant_email_templates"("id") ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "merge_fallbacks" jsonb DEFAULT '{}'::jsonb NOT NULL;
+
+DROP TRIGGER IF EXISTS "tenant_email_templates_updated_at"
+  ON "public"."tenant_email_templates";
+CREATE TRIGGER "tenant_email_templates_updated_at"
+  BEFORE UPDATE ON "public"."tenant_email_templates"
+  FOR EACH ROW
+  EXECUTE FUNCTION system.update_updated_at();
+
+ALTER TABLE "public"."tenant_email_templates" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "tenant_email_templates_tenant_isolation"
+  ON "public"."tenant_email_templates";
+CREATE POLICY "tenant_email_templates_tenant_isolation"
+  ON "public"."tenant_email_templates"
+  FOR ALL
+  TO authenticated
+  USING ("public"."current_user_is_active_tenant_member"("tenant_id"))
+  WITH CHECK ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON "public"."tenant_email_templates" TO authenticated;
@@ -0,0 +1,158 @@
+-- Tenant lifecycle playbooks.
+-- A playbook is a graph of steps (send through a channel, wait hours or
+-- business days, branch on outcome/reply/intent, escalate, stop) that starts
+-- when the lifecycle evaluator sees one of its trigger outcomes for a lead
+-- without an open run. The evaluator in bob-queue-actions executes it in
+-- place of the fixed no-answer/busy/nurture policies and keeps one run per
+-- lead with the current step, when to resume, and a trace of every step
+-- taken. Runs copy the playbook's steps so editing a playbook never moves a
+-- lead that is already part-way through it.
+
+CREATE TABLE IF NOT EXISTS "public"."tenant_lifecycle_playbooks" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE CASCADE,
+  "created_by_user_id" uuid,
+  "name" varchar(255) NOT NULL,
+  "description" text,
+  "status" varchar(20) DEFAULT 'draft' NOT NULL,
+  "trigger_outcomes" text[] DEFAULT ARRAY[]::text[] NOT NULL,
+  "start_step_id" varchar(60) NOT NULL,
+  "steps" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "updated_at" timestamp with time zone DEFAULT now() NOT NULL,
+  CONSTRAINT "tenant_lifecycle_playbooks_status_check"
+    CHECK ("status" IN ('draft', 'active', 'archived')),
+  CONSTRAINT "tenant_lifecycle_playbooks_steps_check"
+    CHECK (jsonb_typeof("steps") = 'array')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_tenant_lifecycle_playbooks_tenant_name"
+  ON "public"."tenant_lifecycle_playbooks" ("tenant_id", lower("name"));
+
+CREATE INDEX IF NOT EXISTS "idx_tenant_lifecycle_playbooks_active"
+  ON "public"."tenant_lifecycle_playbooks" ("tenant_id", "updated_at" DESC)
+  WHERE "status" = 'active';
+
+CREATE TABLE IF NOT EXISTS "public"."lead_playbook_runs" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE CASCADE,
+  "lead_id" uuid NOT NULL REFERENCES "public"."leads"("id") ON DELETE CASCADE,
+  "playbook_id" uuid REFERENCES "public"."tenant_lifecycle_playbooks"("id") ON DELETE SET NULL,
+  "playbook_name" varchar(255) NOT NULL,
+  "playbook_snapshot" jsonb NOT NULL,
+  "status" varchar(30) DEFAULT 'running' NOT NULL,
+  "current_step_id" varchar(60),
+  "resume_at" timestamp with time zone,
+  "waiting_since" timestamp with time zone,
+  "context" jsonb DEFAULT '{}'::jsonb NOT NULL,
+  "trace" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  "started_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "finished_at" timestamp with time zone,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "updated_at" timestamp with time zone DEFAULT now() NOT NULL,
+  CONSTRAINT "lead_playbook_runs_status_check"
+    CHECK ("status" IN ('running', 'awaiting_outcome', 'waiting', 'completed', 'escalated', 'stopped'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_lead_playbook_runs_open_lead"
+  ON "public"."lead_playbook_runs" ("tenant_id", "lead_id")
+  WHERE "status" IN ('running', 'awaiting_outcome', 'waiting');
+
+CREATE INDEX IF NOT EXISTS "idx_lead_playbook_runs_due"
+  ON "public"."lead_playbook_runs" ("resume_at")
+  WHERE "status" = 'waiting';
+
+CREATE INDEX IF NOT EXISTS "idx_lead_playbook_runs_tenant_lead_created"
+  ON "public"."lead_playbook_runs" ("tenant_id", "lead_id", "created_at" DESC);
+
+DROP TRIGGER IF EXISTS "tenant_lifecycle_playbooks_updated_at"
+  ON "public"."tenant_lifecycle_playbooks";
+CREATE TRIGGER "tenant_lifecycle_playbooks_updated_at"
+  BEFORE UPDATE ON "public"."tenant_lifecycle_playbooks"
+  FOR EACH ROW
+  EXECUTE FUNCTION system.update_updated_at();
+
+DROP TRIGGER IF EXISTS "lead_playbook_runs_updated_at"
+  ON "public"."lead_playbook_runs";
+CREATE TRIGGER "lead_playbook_runs_updated_at"
+  BEFORE UPDATE ON "public"."lead_playbook_runs"
+  FOR EACH ROW
+  EXECUTE FUNCTION system.update_updated_at();
+
+ALTER TABLE "public"."tenant_lifecycle_playbooks" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "tenant_lifecycle_playbooks_tenant_isolation"
+  ON "public"."tenant_lifecycle_playbooks";
+CREATE POLICY "tenant_lifecycle_playbooks_tenant_isolation"
+  ON "public"."tenant_lifecycle_playbooks"
+  FOR ALL
+  TO authenticated
+  USING ("public"."current_user_is_active_tenant_member"("tenant_id"))
+  WITH CHECK ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON "public"."tenant_lifecycle_playbooks" TO authenticated;
+
+-- Tenant members read runs; bob-queue-actions runs with the anon key and
+-- owns every write.
+ALTER TABLE "public"."lead_playbook_runs" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "lead_playbook_runs_select"
+  ON "public"."lead_playbook_runs";
+CREATE POLICY "lead_playbook_runs_select"
+  ON "public"."lead_playbook_runs"
+  FOR SELECT
+  TO authenticated
+  USING ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+DROP POLICY IF EXISTS "lead_playbook_runs_runtime_select"
+  ON "public"."lead_playbook_runs";
+CREATE POLICY "lead_playbook_runs_runtime_select"
+  ON "public"."lead_playbook_runs"
+  FOR SELECT
+  TO anon
+  USING (true);
+
+DROP POLICY IF EXISTS "lead_playbook_runs_runtime_insert"
+  ON "public"."lead_playbook_runs";
+CREATE POLICY "lead_playbook_runs_runtime_insert"
+  ON "public"."lead_playbook_runs"
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+DROP POLICY IF EXISTS "lead_playbook_runs_runtime_update"
+  ON "public"."lead_playbook_runs";
+CREATE POLICY "lead_playbook_runs_runtime_update"
+  ON "public"."lead_playbook_runs"
+  FOR UPDATE
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+GRANT SELECT ON "public"."lead_playbook_runs" TO anon, authenticated;
+GRANT INSERT, UPDATE ON "public"."lead_playbook_runs" TO anon;
+
+-- Active playbooks for the evaluator, newest first; the first one whose
+-- triggers include the outcome wins.
+CREATE OR REPLACE FUNCTION "public"."get_active_lifecycle_playbooks"(p_tenant_id uuid)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+  SELECT coalesce(jsonb_agg(jsonb_build_object(
+    'id', p."id",
+    'name', p."name",
+    'triggerOutcomes', to_jsonb(p."trigger_outcomes"),
+    'startStepId', p."start_step_id",
+    'steps', p."steps",
+    'updatedAt', p."updated_at"
+  ) ORDER BY p."updated_at" DESC), '[]'::jsonb)
+  FROM "public"."tenant_lifecycle_playbooks" p
+  WHERE p."tenant_id" = p_tenant_id
+    AND p."status" = 'active';
+$$;
+
+REVOKE ALL ON FUNCTION "public"."get_active_lifecycle_playbooks"(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."get_active_lifecycle_playbooks"(uuid) TO anon, authenticated;
@@ -0,0 +1,55 @@
+-- Email-first call delay as a tenant rule.
+-- bob-queue-actions has always followed an email first touch with a call
+-- after emailFirstPolicy.waitHours, but the policy only existed as a
+-- built-in default. Storing it lets admins change the delay on the lifecycle
+-- page and preview the change with the evaluate-lifecycle dry run first.
+
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  ADD COLUMN IF NOT EXISTS "email_first_policy" jsonb NOT NULL DEFAULT jsonb_build_object(
+    'enabled', true,
+    'waitHours', 2,
+    'actionType', 'queue_call_attempt',
+    'reason', 'Email first-touch sent; call after two hours only if the lead has not replied.'
+  );
+
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  DROP CONSTRAINT IF EXISTS "tenant_lifecycle_rules_email_first_policy_check";
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  ADD CONSTRAINT "tenant_lifecycle_rules_email_first_policy_check"
+    CHECK (jsonb_typeof("email_first_policy") = 'object');
+
+GRANT UPDATE ("email_first_policy") ON "public"."tenant_lifecycle_rules" TO authenticated;
+
+CREATE OR REPLACE FUNCTION "public"."get_effective_tenant_lifecycle_rules"(p_tenant_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_rules "public"."tenant_lifecycle_rules";
+BEGIN
+  v_rules := "public"."ensure_tenant_lifecycle_rules"(p_tenant_id);
+
+  RETURN jsonb_build_object(
+    'tenantId', v_rules."tenant_id",
+    'maxCallAttempts', v_rules."max_call_attempts",
+    'channelOrder', to_jsonb(v_rules."channel_order"),
+    'voicemailAllowed', v_rules."voicemail_allowed",
+    'emailFirstPolicy', v_rules."email_first_policy",
+    'noAnswerPolicy', v_rules."no_answer_policy",
+    'busyPolicy', v_rules."busy_policy",
+    'notAvailablePolicy', v_rules."not_available_policy",
+    'voicemailPolicy', v_rules."voicemail_policy",
+    'nurturePolicy', v_rules."nurture_policy",
+    'humanReviewTriggers', v_rules."human_review_triggers",
+    'humanEscalationPolicy', v_rules."human_escalation_policy",
+    'offDutyCallPolicy', v_rules."off_duty_call_policy",
+    'metadata', v_rules."metadata",
+    'updatedAt', v_rules."updated_at"
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."get_effective_tenant_lifecycle_rules"(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."get_effective_tenant_lifecycle_rules"(uuid) TO anon, authenticated;
@@ -0,0 +1,246 @@
+-- Versioned lifecycle rules.
+-- Every save of tenant_lifecycle_rules adds an immutable version holding the
+-- full rule snapshot, the diff from the previous version, the author and a
+-- comment. The rules row points at its current version, and each lifecycle
+-- event records the version it was decided under, so a drop in bookings can
+-- be traced to the exact change. Restoring an earlier version saves its
+-- snapshot again as a new version; history is never rewritten.
+
+CREATE TABLE IF NOT EXISTS "public"."tenant_lifecycle_rule_versions" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE CASCADE,
+  "rules_id" uuid NOT NULL REFERENCES "public"."tenant_lifecycle_rules"("id") ON DELETE CASCADE,
+  "version_number" integer NOT NULL,
+  "rules" jsonb NOT NULL,
+  "diff" jsonb DEFAULT '[]'::jsonb NOT NULL,
+  "comment" text,
+  "created_by_user_id" uuid,
+  "created_by_email" varchar(255),
+  "restored_from_version_id" uuid REFERENCES "public"."tenant_lifecycle_rule_versions"("id") ON DELETE SET NULL,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  CONSTRAINT "tenant_lifecycle_rule_versions_number_check" CHECK ("version_number" > 0),
+  CONSTRAINT "tenant_lifecycle_rule_versions_rules_check" CHECK (jsonb_typeof("rules") = 'object'),
+  CONSTRAINT "tenant_lifecycle_rule_versions_diff_check" CHECK (jsonb_typeof("diff") = 'array')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_tenant_lifecycle_rule_versions_number"
+  ON "public"."tenant_lifecycle_rule_versions" ("tenant_id", "version_number");
+
+CREATE OR REPLACE FUNCTION "public"."prevent_lifecycle_rule_version_update"()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+BEGIN
+  RAISE EXCEPTION 'lifecycle rule versions are immutable';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS "tenant_lifecycle_rule_versions_immutable"
+  ON "public"."tenant_lifecycle_rule_versions";
+CREATE TRIGGER "tenant_lifecycle_rule_versions_immutable"
+  BEFORE UPDATE ON "public"."tenant_lifecycle_rule_versions"
+  FOR EACH ROW
+  EXECUTE FUNCTION "public"."prevent_lifecycle_rule_version_update"();
+
+ALTER TABLE "public"."tenant_lifecycle_rule_versions" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "tenant_lifecycle_rule_versions_select"
+  ON "public"."tenant_lifecycle_rule_versions";
+CREATE POLICY "tenant_lifecycle_rule_versions_select"
+  ON "public"."tenant_lifecycle_rule_versions"
+  FOR SELECT
+  TO authenticated
+  USING ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+DROP POLICY IF EXISTS "tenant_lifecycle_rule_versions_insert"
+  ON "public"."tenant_lifecycle_rule_versions";
+CREATE POLICY "tenant_lifecycle_rule_versions_insert"
+  ON "public"."tenant_lifecycle_rule_versions"
+  FOR INSERT
+  TO authenticated
+  WITH CHECK ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+GRANT SELECT, INSERT ON "public"."tenant_lifecycle_rule_versions" TO authenticated;
+
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  ADD COLUMN IF NOT EXISTS "current_version_id" uuid
+    REFERENCES "public"."tenant_lifecycle_rule_versions"("id") ON DELETE SET NULL;
+
+GRANT UPDATE ("current_version_id") ON "public"."tenant_lifecycle_rules" TO authenticated;
+
+ALTER TABLE "public"."lead_lifecycle_events"
+  ADD COLUMN IF NOT EXISTS "rules_version_id" uuid
+    REFERENCES "public"."tenant_lifecycle_rule_versions"("id") ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS "idx_lead_lifecycle_events_rules_version"
+  ON "public"."lead_lifecycle_events" ("rules_version_id")
+  WHERE "rules_version_id" IS NOT NULL;
+
+-- Same field list as LIFECYCLE_RULE_FIELDS in frontend/lib/lifecycle-rule-versions.js.
+CREATE OR REPLACE FUNCTION "public"."tenant_lifecycle_rules_snapshot"(p_rules "public"."tenant_lifecycle_rules")
+RETURNS jsonb
+LANGUAGE sql
+IMMUTABLE
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+  SELECT jsonb_build_object(
+    'maxCallAttempts', p_rules."max_call_attempts",
+    'channelOrder', to_jsonb(p_rules."channel_order"),
+    'voicemailAllowed', p_rules."voicemail_allowed",
+    'emailFirstPolicy', p_rules."email_first_policy",
+    'noAnswerPolicy', p_rules."no_answer_policy",
+    'busyPolicy', p_rules."busy_policy",
+    'notAvailablePolicy', p_rules."not_available_policy",
+    'voicemailPolicy', p_rules."voicemail_policy",
+    'nurturePolicy', p_rules."nurture_policy",
+    'humanReviewTriggers', p_rules."human_review_triggers",
+    'humanEscalationPolicy', p_rules."human_escalation_policy",
+    'offDutyCallPolicy', p_rules."off_duty_call_policy"
+  );
+$$;
+
+-- Version 1 is the rules as they stood before history existed.
+CREATE OR REPLACE FUNCTION "public"."ensure_tenant_lifecycle_rule_baseline"(p_rules "public"."tenant_lifecycle_rules")
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_version_id uuid;
+BEGIN
+  IF p_rules."current_version_id" IS NOT NULL THEN
+    RETURN p_rules."current_version_id";
+  END IF;
+
+  INSERT INTO "public"."tenant_lifecycle_rule_versions" ("tenant_id", "rules_id", "version_number", "rules", "comment")
+  VALUES (p_rules."tenant_id", p_rules."id", 1, "public"."tenant_lifecycle_rules_snapshot"(p_rules), 'Rules before version history')
+  ON CONFLICT ("tenant_id", "version_number") DO NOTHING
+  RETURNING "id" INTO v_version_id;
+
+  IF v_version_id IS NULL THEN
+    SELECT "id" INTO v_version_id
+    FROM "public"."tenant_lifecycle_rule_versions"
+    WHERE "tenant_id" = p_rules."tenant_id"
+    ORDER BY "version_number" DESC
+    LIMIT 1;
+  END IF;
+
+  UPDATE "public"."tenant_lifecycle_rules"
+  SET "current_version_id" = v_version_id
+  WHERE "id" = p_rules."id";
+
+  RETURN v_version_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."ensure_tenant_lifecycle_rule_baseline"("public"."tenant_lifecycle_rules") FROM PUBLIC;
+
+SELECT "public"."ensure_tenant_lifecycle_rule_baseline"(r)
+FROM "public"."tenant_lifecycle_rules" r
+WHERE r."current_version_id" IS NULL;
+
+CREATE OR REPLACE FUNCTION "public"."ensure_tenant_lifecycle_rules"(p_tenant_id uuid)
+RETURNS "public"."tenant_lifecycle_rules"
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_rules "public"."tenant_lifecycle_rules";
+BEGIN
+  IF p_tenant_id IS NULL THEN
+    RAISE EXCEPTION 'tenant_id is required';
+  END IF;
+
+  INSERT INTO "public"."tenant_lifecycle_rules" ("tenant_id", "metadata")
+  VALUES (p_tenant_id, jsonb_build_object('source', 'phase22_ensure_default'))
+  ON CONFLICT ("tenant_id") DO NOTHING;
+
+  SELECT *
+  INTO v_rules
+  FROM "public"."tenant_lifecycle_rules"
+  WHERE "tenant_id" = p_tenant_id;
+
+  IF v_rules."id" IS NULL THEN
+    RAISE EXCEPTION 'tenant lifecycle rules were not found';
+  END IF;
+
+  IF v_rules."current_version_id" IS NULL THEN
+    v_rules."current_version_id" := "public"."ensure_tenant_lifecycle_rule_baseline"(v_rules);
+  END IF;
+
+  RETURN v_rules;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."ensure_tenant_lifecycle_rules"(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."ensure_tenant_lifecycle_rules"(uuid) TO anon, authenticated;
+
+CREATE OR REPLACE FUNCTION "public"."get_effective_tenant_lifecycle_rules"(p_tenant_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_rules "public"."tenant_lifecycle_rules";
+  v_version_number integer;
+BEGIN
+  v_rules := "public"."ensure_tenant_lifecycle_rules"(p_tenant_id);
+
+  SELECT "version_number" INTO v_version_number
+  FROM "public"."tenant_lifecycle_rule_versions"
+  WHERE "id" = v_rules."current_version_id";
+
+  RETURN jsonb_build_object(
+    'tenantId', v_rules."tenant_id",
+    'versionId', v_rules."current_version_id",
+    'version', v_version_number,
+    'maxCallAttempts', v_rules."max_call_attempts",
+    'channelOrder', to_jsonb(v_rules."channel_order"),
+    'voicemailAllowed', v_rules."voicemail_allowed",
+    'emailFirstPolicy', v_rules."email_first_policy",
+    'noAnswerPolicy', v_rules."no_answer_policy",
+    'busyPolicy', v_rules."busy_policy",
+    'notAvailablePolicy', v_rules."not_available_policy",
+    'voicemailPolicy', v_rules."voicemail_policy",
+    'nurturePolicy', v_rules."nurture_policy",
+    'humanReviewTriggers', v_rules."human_review_triggers",
+    'humanEscalationPolicy', v_rules."human_escalation_policy",
+    'offDutyCallPolicy', v_rules."off_duty_call_policy",
+    'metadata', v_rules."metadata",
+    'updatedAt', v_rules."updated_at"
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."get_effective_tenant_lifecycle_rules"(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."get_effective_tenant_lifecycle_rules"(uuid) TO anon, authenticated;
+
+-- Events written without an explicit version (nurture, voice and tool
+-- webhooks) take the tenant's current one. The evaluator passes the version
+-- it loaded, which is the one its decision used.
+CREATE OR REPLACE FUNCTION "public"."stamp_lead_lifecycle_event_rules_version"()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+BEGIN
+  IF NEW."rules_version_id" IS NULL THEN
+    SELECT "current_version_id" INTO NEW."rules_version_id"
+    FROM "public"."tenant_lifecycle_rules"
+    WHERE "tenant_id" = NEW."tenant_id";
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS "lead_lifecycle_events_rules_version"
+  ON "public"."lead_lifecycle_events";
+CREATE TRIGGER "lead_lifecycle_events_rules_version"
+  BEFORE INSERT ON "public"."lead_lifecycle_events"
+  FOR EACH ROW
+  EXECUTE FUNCTION "public"."stamp_lead_lifecycle_event_rules_version"();
@@ -0,0 +1,149 @@
+-- Quiet hours, holiday calendars and lead-local contact windows.
+-- contact_window_policy is a lifecycle rule (so it is versioned with the
+-- rest) holding per-channel quiet hours, whether they apply in the lead's
+-- inferred timezone, and which channels pause on tenant holidays. Holidays
+-- are dated in the tenant's timezone and can be added by hand or imported
+-- from an ICS file. bob-queue-actions checks both before any queued call,
+-- SMS, WhatsApp or email is sent and defers the action to the next open
+-- window instead.
+
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  ADD COLUMN IF NOT EXISTS "contact_window_policy" jsonb NOT NULL DEFAULT jsonb_build_object(
+    'useLeadTimezone', true,
+    'holidayChannels', jsonb_build_array('call', 'sms', 'whatsapp'),
+    'quietHours', jsonb_build_object(
+      'call', jsonb_build_object('start', '08:00', 'end', '21:00'),
+      'sms', jsonb_build_object('start', '09:00', 'end', '20:00'),
+      'whatsapp', jsonb_build_object('start', '09:00', 'end', '20:00'),
+      'email', NULL
+    )
+  );
+
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  DROP CONSTRAINT IF EXISTS "tenant_lifecycle_rules_contact_window_policy_check";
+ALTER TABLE "public"."tenant_lifecycle_rules"
+  ADD CONSTRAINT "tenant_lifecycle_rules_contact_window_policy_check"
+    CHECK (jsonb_typeof("contact_window_policy") = 'object');
+
+GRANT UPDATE ("contact_window_policy") ON "public"."tenant_lifecycle_rules" TO authenticated;
+
+CREATE TABLE IF NOT EXISTS "public"."tenant_holidays" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE CASCADE,
+  "holiday_date" date NOT NULL,
+  "name" varchar(200) NOT NULL,
+  "source" varchar(20) DEFAULT 'manual' NOT NULL,
+  "external_uid" varchar(255),
+  "created_by_user_id" uuid,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "updated_at" timestamp with time zone DEFAULT now() NOT NULL,
+  CONSTRAINT "tenant_holidays_source_check" CHECK ("source" IN ('manual', 'ics'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "idx_tenant_holidays_tenant_date"
+  ON "public"."tenant_holidays" ("tenant_id", "holiday_date");
+
+DROP TRIGGER IF EXISTS "tenant_holidays_updated_at"
+  ON "public"."tenant_holidays";
+CREATE TRIGGER "tenant_holidays_updated_at"
+  BEFORE UPDATE ON "public"."tenant_holidays"
+  FOR EACH ROW
+  EXECUTE FUNCTION system.update_updated_at();
+
+ALTER TABLE "public"."tenant_holidays" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "tenant_holidays_tenant_isolation"
+  ON "public"."tenant_holidays";
+CREATE POLICY "tenant_holidays_tenant_isolation"
+  ON "public"."tenant_holidays"
+  FOR ALL
+  TO authenticated
+  USING ("public"."current_user_is_active_tenant_member"("tenant_id"))
+  WITH CHECK ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON "public"."tenant_holidays" TO authenticated;
+
+-- bob-queue-actions runs with the anon key and reads holidays through this.
+CREATE OR REPLACE FUNCTION "public"."get_tenant_holidays"(p_tenant_id uuid, p_from date, p_to date)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+  SELECT coalesce(jsonb_agg(jsonb_build_object(
+    'date', to_char(h."holiday_date", 'YYYY-MM-DD'),
+    'name', h."name"
+  ) ORDER BY h."holiday_date"), '[]'::jsonb)
+  FROM "public"."tenant_holidays" h
+  WHERE h."tenant_id" = p_tenant_id
+    AND h."holiday_date" BETWEEN p_from AND p_to;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."get_tenant_holidays"(uuid, date, date) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."get_tenant_holidays"(uuid, date, date) TO anon, authenticated;
+
+CREATE OR REPLACE FUNCTION "public"."tenant_lifecycle_rules_snapshot"(p_rules "public"."tenant_lifecycle_rules")
+RETURNS jsonb
+LANGUAGE sql
+IMMUTABLE
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+  SELECT jsonb_build_object(
+    'maxCallAttempts', p_rules."max_call_attempts",
+    'channelOrder', to_jsonb(p_rules."channel_order"),
+    'voicemailAllowed', p_rules."voicemail_allowed",
+    'emailFirstPolicy', p_rules."email_first_policy",
+    'noAnswerPolicy', p_rules."no_answer_policy",
+    'busyPolicy', p_rules."busy_policy",
+    'notAvailablePolicy', p_rules."not_available_policy",
+    'voicemailPolicy', p_rules."voicemail_policy",
+    'nurturePolicy', p_rules."nurture_policy",
+    'humanReviewTriggers', p_rules."human_review_triggers",
+    'humanEscalationPolicy', p_rules."human_escalation_policy",
+    'offDutyCallPolicy', p_rules."off_duty_call_policy",
+    'contactWindowPolicy', p_rules."contact_window_policy"
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION "public"."get_effective_tenant_lifecycle_rules"(p_tenant_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_rules "public"."tenant_lifecycle_rules";
+  v_version_number integer;
+BEGIN
+  v_rules := "public"."ensure_tenant_lifecycle_rules"(p_tenant_id);
+
+  SELECT "version_number" INTO v_version_number
+  FROM "public"."tenant_lifecycle_rule_versions"
+  WHERE "id" = v_rules."current_version_id";
+
+  RETURN jsonb_build_object(
+    'tenantId', v_rules."tenant_id",
+    'versionId', v_rules."current_version_id",
+    'version', v_version_number,
+    'maxCallAttempts', v_rules."max_call_attempts",
+    'channelOrder', to_jsonb(v_rules."channel_order"),
+    'voicemailAllowed', v_rules."voicemail_allowed",
+    'emailFirstPolicy', v_rules."email_first_policy",
+    'noAnswerPolicy', v_rules."no_answer_policy",
+    'busyPolicy', v_rules."busy_policy",
+    'notAvailablePolicy', v_rules."not_available_policy",
+    'voicemailPolicy', v_rules."voicemail_policy",
+    'nurturePolicy', v_rules."nurture_policy",
+    'humanReviewTriggers', v_rules."human_review_triggers",
+    'humanEscalationPolicy', v_rules."human_escalation_policy",
+    'offDutyCallPolicy', v_rules."off_duty_call_policy",
+    'contactWindowPolicy', v_rules."contact_window_policy",
+    'metadata', v_rules."metadata",
+    'updatedAt', v_rules."updated_at"
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."get_effective_tenant_lifecycle_rules"(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."get_effective_tenant_lifecycle_rules"(uuid) TO anon, authenticated;
@@ -0,0 +1,88 @@
+-- Campaign cadence execution.
+-- bob-queue-actions now walks every enrolled campaign lead through its
+-- campaign's channel_sequence (for example call -> SMS -> email), retrying a
+-- step that did not reach the lead per retry_policy and ending early on the
+-- campaign's stop_conditions. Each send is one campaign_lead_steps row that
+-- also records whether the lead was reached, replied or booked while that
+-- step was the latest one, which is what the per-step funnel on the
+-- campaigns page counts.
+
+ALTER TABLE "public"."campaign_leads"
+  ADD COLUMN IF NOT EXISTS "sequence_step" integer DEFAULT 0 NOT NULL;
+
+CREATE TABLE IF NOT EXISTS "public"."campaign_lead_steps" (
+  "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+  "tenant_id" uuid NOT NULL REFERENCES "public"."tenants"("id") ON DELETE CASCADE,
+  "campaign_id" uuid NOT NULL REFERENCES "public"."campaigns"("id") ON DELETE CASCADE,
+  "campaign_lead_id" uuid NOT NULL REFERENCES "public"."campaign_leads"("id") ON DELETE CASCADE,
+  "lead_id" uuid NOT NULL REFERENCES "public"."leads"("id") ON DELETE CASCADE,
+  "step_index" integer NOT NULL,
+  "channel" varchar(20) NOT NULL,
+  "attempt" integer DEFAULT 1 NOT NULL,
+  "status" varchar(20) DEFAULT 'scheduled' NOT NULL,
+  "bob_action_id" uuid REFERENCES "public"."bob_actions"("id") ON DELETE SET NULL,
+  "skip_reason" text,
+  "attempted_at" timestamp with time zone,
+  "reached_at" timestamp with time zone,
+  "replied_at" timestamp with time zone,
+  "booked_at" timestamp with time zone,
+  "created_at" timestamp with time zone DEFAULT now() NOT NULL,
+  "updated_at" timestamp with time zone DEFAULT now() NOT NULL,
+  CONSTRAINT "campaign_lead_steps_channel_check" CHECK ("channel" IN ('call', 'sms', 'whatsapp', 'email')),
+  CONSTRAINT "campaign_lead_steps_status_check" CHECK ("status" IN ('scheduled', 'attempted', 'failed', 'skipped')),
+  CONSTRAINT "campaign_lead_steps_step_index_check" CHECK ("step_index" >= 0),
+  CONSTRAINT "campaign_lead_steps_attempt_check" CHECK ("attempt" > 0)
+);
+
+CREATE INDEX IF NOT EXISTS "idx_campaign_lead_steps_campaign"
+  ON "public"."campaign_lead_steps" ("tenant_id", "campaign_id", "step_index");
+
+CREATE INDEX IF NOT EXISTS "idx_campaign_lead_steps_campaign_lead_created"
+  ON "public"."campaign_lead_steps" ("campaign_lead_id", "created_at" DESC);
+
+DROP TRIGGER IF EXISTS "campaign_lead_steps_updated_at"
+  ON "public"."campaign_lead_steps";
+CREATE TRIGGER "campaign_lead_steps_updated_at"
+  BEFORE UPDATE ON "public"."campaign_lead_steps"
+  FOR EACH ROW
+  EXECUTE FUNCTION system.update_updated_at();
+
+-- Tenant members read steps for analytics; bob-queue-actions runs with the
+-- anon key and owns every write.
+ALTER TABLE "public"."campaign_lead_steps" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "campaign_lead_steps_select"
+  ON "public"."campaign_lead_steps";
+CREATE POLICY "campaign_lead_steps_select"
+  ON "public"."campaign_lead_steps"
+  FOR SELECT
+  TO authenticated
+  USING ("public"."current_user_is_active_tenant_member"("tenant_id"));
+
+DROP POLICY IF EXISTS "campaign_lead_steps_runtime_select"
+  ON "public"."campaign_lead_steps";
+CREATE POLICY "campaign_lead_steps_runtime_select"
+  ON "public"."campaign_lead_steps"
+  FOR SELECT
+  TO anon
+  USING (true);
+
+DROP POLICY IF EXISTS "campaign_lead_steps_runtime_insert"
+  ON "public"."campaign_lead_steps";
+CREATE POLICY "campaign_lead_steps_runtime_insert"
+  ON "public"."campaign_lead_steps"
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+DROP POLICY IF EXISTS "campaign_lead_steps_runtime_update"
+  ON "public"."campaign_lead_steps";
+CREATE POLICY "campaign_lead_steps_runtime_update"
+  ON "public"."campaign_lead_steps"
+  FOR UPDATE
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+GRANT SELECT ON "public"."campaign_lead_steps" TO anon, authenticated;
+GRANT INSERT, UPDATE ON "public"."campaign_lead_steps" TO anon;
@@ -0,0 +1,11 @@
+-- Post-call summaries run off the webhook path. Twilio and voice-bridge
+-- callbacks only stamp post_call_summary_due_at; the scheduled
+-- twilio-voice-webhook?mode=post-call-summaries run picks due sessions up,
+-- writes post_call_summary and clears the stamp.
+
+ALTER TABLE "public"."voice_call_sessions"
+  ADD COLUMN IF NOT EXISTS "post_call_summary_due_at" timestamptz;
+
+CREATE INDEX IF NOT EXISTS "idx_voice_call_sessions_post_call_summary_due"
+  ON "public"."voice_call_sessions" ("post_call_summary_due_at")
+  WHERE "post_call_summary_due_at" IS NOT NULL;
@@ -0,0 +1,206 @@
+-- Lifecycle rule saves and restores go through one RPC, so the version row
+-- and the rules row change in the same transaction. The RPC snapshots the
+-- current rules, diffs them against the new ones, inserts the version with
+-- the author from the caller's JWT, and updates the rules row only if its
+-- current_version_id is still the one the editor loaded. Direct INSERT on
+-- versions and direct UPDATE on the rule columns are revoked, so nothing
+-- can change the rules without adding a version.
+
+-- Same rules as diffLifecycleRules in frontend/lib/lifecycle-rule-versions.js:
+-- changed leaves as dotted paths, arrays compared whole.
+CREATE OR REPLACE FUNCTION "public"."diff_tenant_lifecycle_rules"(p_before jsonb, p_after jsonb, p_prefix text DEFAULT '')
+RETURNS jsonb
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_key text;
+  v_path text;
+  v_left jsonb;
+  v_right jsonb;
+  v_diff jsonb := '[]'::jsonb;
+BEGIN
+  FOR v_key IN
+    SELECT k FROM jsonb_object_keys(COALESCE(p_before, '{}'::jsonb)) k
+    UNION
+    SELECT k FROM jsonb_object_keys(COALESCE(p_after, '{}'::jsonb)) k
+    ORDER BY 1
+  LOOP
+    v_path := CASE WHEN p_prefix = '' THEN v_key ELSE p_prefix || '.' || v_key END;
+    v_left := COALESCE(p_before -> v_key, 'null'::jsonb);
+    v_right := COALESCE(p_after -> v_key, 'null'::jsonb);
+    IF jsonb_typeof(v_left) = 'object' AND jsonb_typeof(v_right) = 'object' THEN
+      v_diff := v_diff || "public"."diff_tenant_lifecycle_rules"(v_left, v_right, v_path);
+    ELSIF v_left IS DISTINCT FROM v_right THEN
+      v_diff := v_diff || jsonb_build_array(jsonb_build_object('path', v_path, 'before', v_left, 'after', v_right));
+    END IF;
+  END LOOP;
+  RETURN v_diff;
+END;
+$$;
+
+-- p_rules is a lifecycleRulesSnapshot; fields it leaves out keep their
+-- current value. With p_restore_version_id the stored snapshot of that
+-- version is saved instead and p_rules is ignored.
+CREATE OR REPLACE FUNCTION "public"."save_tenant_lifecycle_rules"(
+  p_tenant_id uuid,
+  p_rules jsonb,
+  p_expected_version_id uuid,
+  p_comment text DEFAULT NULL,
+  p_restore_version_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+DECLARE
+  v_user_id uuid := NULLIF(auth.jwt() ->> 'sub', '')::uuid;
+  v_email text := NULLIF(auth.jwt() ->> 'email', '');
+  v_rules "public"."tenant_lifecycle_rules";
+  v_next "public"."tenant_lifecycle_rules";
+  v_input jsonb := COALESCE(p_rules, '{}'::jsonb);
+  v_restore "public"."tenant_lifecycle_rule_versions";
+  v_diff jsonb;
+  v_version_id uuid;
+  v_version_number integer;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Authentication required' USING ERRCODE = '28000';
+  END IF;
+  IF p_tenant_id IS NULL THEN
+    RAISE EXCEPTION 'tenant_id is required';
+  END IF;
+  IF NOT (
+    "public"."current_user_is_active_tenant_member"(p_tenant_id)
+    OR "public"."current_user_is_platform_admin"()
+  ) THEN
+    RAISE EXCEPTION 'Not allowed to change lifecycle rules for this tenant' USING ERRCODE = '42501';
+  END IF;
+  IF v_email IS NULL THEN
+    SELECT users.email INTO v_email FROM "auth"."users" users WHERE users.id = v_user_id;
+  END IF;
+
+  SELECT * INTO v_rules
+  FROM "public"."tenant_lifecycle_rules"
+  WHERE "tenant_id" = p_tenant_id
+  FOR UPDATE;
+  IF v_rules."id" IS NULL THEN
+    RAISE EXCEPTION 'Lifecycle rules are not available';
+  END IF;
+
+  IF v_rules."current_version_id" IS DISTINCT FROM p_expected_version_id THEN
+    RAISE EXCEPTION 'Lifecycle rules were changed by someone else. Reload them and try again.' USING ERRCODE = '40001';
+  END IF;
+
+  IF p_restore_version_id IS NOT NULL THEN
+    SELECT * INTO v_restore
+    FROM "public"."tenant_lifecycle_rule_versions"
+    WHERE "id" = p_restore_version_id
+      AND "tenant_id" = p_tenant_id;
+    IF v_restore."id" IS NULL THEN
+      RAISE EXCEPTION 'Lifecycle rule version was not found';
+    END IF;
+    v_input := v_restore."rules";
+  END IF;
+
+  v_next := v_rules;
+  v_next."max_call_attempts" := COALESCE((v_input ->> 'maxCallAttempts')::integer, v_rules."max_call_attempts");
+  IF jsonb_typeof(v_input -> 'channelOrder') = 'array' THEN
+    v_next."channel_order" := ARRAY(SELECT jsonb_array_elements_text(v_input -> 'channelOrder'));
+  END IF;
+  v_next."voicemail_allowed" := COALESCE((v_input ->> 'voicemailAllowed')::boolean, v_rules."voicemail_allowed");
+  v_next."email_first_policy" := COALESCE(v_input -> 'emailFirstPolicy', v_rules."email_first_policy");
+  v_next."no_answer_policy" := COALESCE(v_input -> 'noAnswerPolicy', v_rules."no_answer_policy");
+  v_next."busy_policy" := COALESCE(v_input -> 'busyPolicy', v_rules."busy_policy");
+  v_next."not_available_policy" := COALESCE(v_input -> 'notAvailablePolicy', v_rules."not_available_policy");
+  v_next."voicemail_policy" := COALESCE(v_input -> 'voicemailPolicy', v_rules."voicemail_policy");
+  v_next."nurture_policy" := COALESCE(v_input -> 'nurturePolicy', v_rules."nurture_policy");
+  v_next."human_review_triggers" := COALESCE(v_input -> 'humanReviewTriggers', v_rules."human_review_triggers");
+  v_next."human_escalation_policy" := COALESCE(v_input -> 'humanEscalationPolicy', v_rules."human_escalation_policy");
+  v_next."off_duty_call_policy" := COALESCE(v_input -> 'offDutyCallPolicy', v_rules."off_duty_call_policy");
+  v_next."contact_window_policy" := COALESCE(v_input -> 'contactWindowPolicy', v_rules."contact_window_policy");
+
+  v_diff := "public"."diff_tenant_lifecycle_rules"(
+    "public"."tenant_lifecycle_rules_snapshot"(v_rules),
+    "public"."tenant_lifecycle_rules_snapshot"(v_next)
+  );
+  IF jsonb_array_length(v_diff) = 0 AND p_restore_version_id IS NULL THEN
+    RETURN to_jsonb(v_rules);
+  END IF;
+
+  IF v_rules."current_version_id" IS NULL THEN
+    v_rules."current_version_id" := "public"."ensure_tenant_lifecycle_rule_baseline"(v_rules);
+  END IF;
+
+  SELECT COALESCE(max("version_number"), 0) + 1 INTO v_version_number
+  FROM "public"."tenant_lifecycle_rule_versions"
+  WHERE "tenant_id" = p_tenant_id;
+
+  INSERT INTO "public"."tenant_lifecycle_rule_versions" (
+    "tenant_id", "rules_id", "version_number", "rules", "diff", "comment",
+    "created_by_user_id", "created_by_email", "restored_from_version_id"
+  )
+  VALUES (
+    p_tenant_id, v_rules."id", v_version_number, "public"."tenant_lifecycle_rules_snapshot"(v_next), v_diff,
+    NULLIF(btrim(COALESCE(p_comment, '')), ''), v_user_id, v_email, v_restore."id"
+  )
+  RETURNING "id" INTO v_version_id;
+
+  UPDATE "public"."tenant_lifecycle_rules"
+  SET
+    "max_call_attempts" = v_next."max_call_attempts",
+    "channel_order" = v_next."channel_order",
+    "voicemail_allowed" = v_next."voicemail_allowed",
+    "email_first_policy" = v_next."email_first_policy",
+    "no_answer_policy" = v_next."no_answer_policy",
+    "busy_policy" = v_next."busy_policy",
+    "not_available_policy" = v_next."not_available_policy",
+    "voicemail_policy" = v_next."voicemail_policy",
+    "nurture_policy" = v_next."nurture_policy",
+    "human_review_triggers" = v_next."human_review_triggers",
+    "human_escalation_policy" = v_next."human_escalation_policy",
+    "off_duty_call_policy" = v_next."off_duty_call_policy",
+    "contact_window_policy" = v_next."contact_window_policy",
+    "current_version_id" = v_version_id,
+    "metadata" = COALESCE(v_rules."metadata", '{}'::jsonb) || jsonb_build_object(
+      'phase30UpdatedAt', now(),
+      'phase30UpdatedBy', v_user_id
+    )
+  WHERE "id" = v_rules."id"
+    AND "current_version_id" = v_rules."current_version_id"
+  RETURNING * INTO v_rules;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Lifecycle rules were changed by someone else. Reload them and try again.' USING ERRCODE = '40001';
+  END IF;
+
+  RETURN to_jsonb(v_rules);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION "public"."save_tenant_lifecycle_rules"(uuid, jsonb, uuid, text, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."save_tenant_lifecycle_rules"(uuid, jsonb, uuid, text, uuid) TO anon, authenticated;
+
+DROP POLICY IF EXISTS "tenant_lifecycle_rule_versions_insert"
+  ON "public"."tenant_lifecycle_rule_versions";
+REVOKE INSERT ON "public"."tenant_lifecycle_rule_versions" FROM anon, authenticated;
+
+REVOKE UPDATE (
+  "max_call_attempts",
+  "channel_order",
+  "voicemail_allowed",
+  "email_first_policy",
+  "no_answer_policy",
+  "busy_policy",
+  "not_available_policy",
+  "voicemail_policy",
+  "nurture_policy",
+  "human_review_triggers",
+  "human_escalation_policy",
+  "off_duty_call_policy",
+  "contact_window_policy",
+  "current_version_id",
+  "metadata"
+) ON "public"."tenant_lifecycle_rules" FROM anon, authenticated;
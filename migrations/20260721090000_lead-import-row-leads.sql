@@ -0,0 +1,29 @@
+-- Leads a lead import job has already created for some of its rows, keyed by
+-- the importRowNumber the job stores in custom_fields. A chunk retried after
+-- a failure uses this to recognise its own leads instead of treating them as
+-- duplicates or inserting them again.
+
+CREATE INDEX IF NOT EXISTS "idx_leads_import_batch_row"
+  ON "public"."leads" ("lead_import_batch_id", ("custom_fields" ->> 'importRowNumber'))
+  WHERE "lead_import_batch_id" IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION "public"."find_lead_import_row_leads"(
+  p_batch_id uuid,
+  p_row_numbers integer[]
+)
+RETURNS SETOF "public"."leads"
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = pg_catalog, public, pg_temp
+AS $$
+  SELECT l.*
+  FROM "public"."leads" l
+  WHERE l."lead_import_batch_id" = p_batch_id
+    AND l."custom_fields" ->> 'importRowNumber' = ANY (
+      SELECT n::text FROM unnest(coalesce(p_row_numbers, ARRAY[]::integer[])) AS r(n)
+    );
+$$;
+
+REVOKE ALL ON FUNCTION "public"."find_lead_import_row_leads"(uuid, integer[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION "public"."find_lead_import_row_leads"(uuid, integer[]) TO authenticated;
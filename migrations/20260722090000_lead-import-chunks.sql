@@ -0,0 +1,13 @@
+-- Lead import jobs run from a schedule over a pre-split file. The browser
+-- uploads the file as picked (CSV, TSV or XLSX) and create-job parses it once
+-- into <storage_key>.chunks/<n>.json files of one chunk each; scheduled
+-- lead-import-job?action=process-scheduled runs download only the chunk at
+-- next_row. chunk_count is null for jobs created before files were split,
+-- and the next run splits them.
+
+ALTER TABLE "public"."lead_import_batches"
+  ADD COLUMN IF NOT EXISTS "chunk_count" integer;
+
+CREATE INDEX IF NOT EXISTS "idx_lead_import_batches_active"
+  ON "public"."lead_import_batches" ("updated_at")
+  WHERE "status" IN ('queued', 'processing');
@@ -0,0 +1,7 @@
+-- A lead import run claims the chunk at next_row by stamping
+-- chunk_claimed_at and only moves next_row past it once the chunk's rows are
+-- committed. A run that is killed mid-chunk leaves its claim behind; the next
+-- run releases claims older than ten minutes and retries the chunk.
+
+ALTER TABLE "public"."lead_import_batches"
+  ADD COLUMN IF NOT EXISTS "chunk_claimed_at" timestamptz;
@@ -23,23 +23,131 @@ function encodeMuLawSample(value) {
   return ~(sign | (exponent << 4) | mantissa) & 0xff;
 }
 
-function resamplePcm16(samples, fromRate, toRate) {
+// Windowed-sinc resampling. Each rate pair gets a polyphase filter bank: one
+// Blackman-windowed sinc per output phase, low-passed at RESAMPLER_ROLLOFF of
+// the lower Nyquist so 16 kHz agent audio does not alias into the 8 kHz call.
+const RESAMPLER_ZERO_CROSSINGS = 16;
+const RESAMPLER_ROLLOFF = 0.9;
+const filterBanks = new Map();
+
+function greatestCommonDivisor(a, b) {
+  return b ? greatestCommonDivisor(b, a % b) : a;
+}
+
+function clampPcm16(value) {
+  return Math.max(-32768, Math.min(32767, Math.round(value)));
+}
+
+function blackman(position) {
+  if (Math.abs(position) >= 1) return 0;
+  return 0.42 + 0.5 * Math.cos(Math.PI * position) + 0.08 * Math.cos(2 * Math.PI * position);
+}
+
+function sinc(value) {
+  if (value === 0) return 1;
+  return Math.sin(Math.PI * value) / (Math.PI * value);
+}
+
+function filterBank(fromRate, toRate) {
+  const key = fromRate + ':' + toRate;
+  if (filterBanks.has(key)) return filterBanks.get(key);
+
+  const divisor = greatestCommonDivisor(fromRate, toRate);
+  const up = toRate / divisor;
+  const down = fromRate / divisor;
+  const cutoff = Math.min(1, up / down) * RESAMPLER_ROLLOFF;
+  const halfTaps = Math.ceil(RESAMPLER_ZERO_CROSSINGS / cutoff);
+  const phases = [];
+
+  for (let phase = 0; phase < up; phase += 1) {
+    const fraction = phase / up;
+    const taps = new Float64Array(halfTaps * 2);
+    let sum = 0;
+    for (let tap = 0; tap < taps.length; tap += 1) {
+      const distance = tap - halfTaps + 1 - fraction;
+      taps[tap] = cutoff * sinc(cutoff * distance) * blackman(distance / halfTaps);
+      sum += taps[tap];
+    }
+    for (let tap = 0; tap < taps.length; tap += 1) taps[tap] /= sum;
+    phases.push(taps);
+  }
+
+  const bank = { up, down, halfTaps, phases };
+  filterBanks.set(key, bank);
+  return bank;
+}
+
+export function resamplePcm16(samples, fromRate, toRate) {
   if (!samples.length || fromRate === toRate) return samples;
+  const { up, down, halfTaps, phases } = filterBank(fromRate, toRate);
   const targetLength = Math.max(1, Math.round(samples.length * toRate / fromRate));
   const output = new Int16Array(targetLength);
-  const scale = fromRate / toRate;
+  const lastIndex = samples.length - 1;
 
   for (let index = 0; index < targetLength; index += 1) {
-    const sourcePosition = index * scale;
-    const left = Math.floor(sourcePosition);
-    const right = Math.min(left + 1, samples.length - 1);
-    const fraction = sourcePosition - left;
-    output[index] = Math.round(samples[left] + (samples[right] - samples[left]) * fraction);
+    const base = Math.floor(index * down / up);
+    const taps = phases[(index * down) % up];
+    const first = base - halfTaps + 1;
+    let value = 0;
+    for (let tap = 0; tap < taps.length; tap += 1) {
+      const sourceIndex = Math.min(lastIndex, Math.max(0, first + tap));
+      value += samples[sourceIndex] * taps[tap];
+    }
+    output[index] = clampPcm16(value);
   }
 
   return output;
 }
 
+// Streaming variant for live calls: keeps the tail of the previous chunk so
+// chunk boundaries are filtered like continuous audio. Output lags the input
+// by halfTaps source samples (about 2 ms either way between 8 and 16 kHz).
+export function createPcm16Resampler(fromRate, toRate) {
+  if (fromRate === toRate) {
+    return { delaySamples: 0, process: (samples) => samples, reset() {} };
+  }
+  const { up, down, halfTaps, phases } = filterBank(fromRate, toRate);
+  let buffer = new Int16Array(0);
+  let bufferStart = 0;
+  let nextOutput = 0;
+
+  return {
+    delaySamples: halfTaps,
+    process(samples) {
+      const merged = new Int16Array(buffer.length + samples.length);
+      merged.set(buffer);
+      merged.set(samples, buffer.length);
+      buffer = merged;
+      const available = bufferStart + buffer.length;
+      const output = [];
+
+      for (;;) {
+        const base = Math.floor(nextOutput * down / up);
+        if (base + halfTaps >= available) break;
+        const taps = phases[(nextOutput * down) % up];
+        const first = base - halfTaps + 1;
+        let value = 0;
+        for (let tap = 0; tap < taps.length; tap += 1) {
+          const sourceIndex = first + tap - bufferStart;
+          if (sourceIndex >= 0) value += buffer[sourceIndex] * taps[tap];
+        }
+        output.push(clampPcm16(value));
+        nextOutput += 1;
+      }
+
+      const keepFrom = Math.max(bufferStart, Math.floor(nextOutput * down / up) - halfTaps + 1);
+      buffer = buffer.slice(keepFrom - bufferStart);
+      bufferStart = keepFrom;
+      return Int16Array.from(output);
+    },
+    reset() {
+      buffer = new Int16Array(0);
+      bufferStart = 0;
+      nextOutput = 0;
+    },
+  };
+}
+
 function pcm16ToBase64(samples) {
   const buffer = Buffer.alloc(samples.length * 2);
   for (let index = 0; index < samples.length; index += 1) {
@@ -58,21 +166,48 @@ function base64ToPcm16(base64Audio) {
   return output;
 }
 
-export function twilioMuLawToPcm16Base64(base64Audio, targetSampleRate = 16000) {
+export function twilioMuLawToPcm16Samples(base64Audio) {
   const source = Buffer.from(base64Audio, 'base64');
   const decoded = new Int16Array(source.length);
   for (let index = 0; index < source.length; index += 1) {
     decoded[index] = decodeMuLawByte(source[index]);
   }
-  return pcm16ToBase64(resamplePcm16(decoded, 8000, targetSampleRate));
+  return decoded;
 }
 
-export function pcm16Base64ToTwilioMuLaw(base64Audio, sourceSampleRate = 16000) {
-  const pcm16 = base64ToPcm16(base64Audio);
-  const resampled = resamplePcm16(pcm16, sourceSampleRate, 8000);
-  const output = Buffer.alloc(resampled.length);
-  for (let index = 0; index < resampled.length; index += 1) {
-    output[index] = encodeMuLawSample(resampled[index]);
+export function pcm16Base64ToSamples(base64Audio, sourceSampleRate = 16000, targetSampleRate = sourceSampleRate) {
+  return resamplePcm16(base64ToPcm16(base64Audio), sourceSampleRate, targetSampleRate);
+}
+
+export function twilioMuLawToPcm16Base64(base64Audio, targetSampleRate = 16000) {
+  return pcm16ToBase64(resamplePcm16(twilioMuLawToPcm16Samples(base64Audio), 8000, targetSampleRate));
+}
+
+function encodeMuLaw(samples) {
+  const output = Buffer.alloc(samples.length);
+  for (let index = 0; index < samples.length; index += 1) {
+    output[index] = encodeMuLawSample(samples[index]);
   }
-  return output.toString('base64');
+  return output;
+}
+
+export function pcm16Base64ToTwilioMuLaw(base64Audio, sourceSampleRate = 16000) {
+  return encodeMuLaw(resamplePcm16(base64ToPcm16(base64Audio), sourceSampleRate, 8000)).toString('base64');
+}
+
+// Per-call converters that keep resampler state between chunks.
+export function createTwilioInboundConverter(targetSampleRate = 16000) {
+  const resampler = createPcm16Resampler(8000, targetSampleRate);
+  return {
+    convert: (base64Audio) => pcm16ToBase64(resampler.process(twilioMuLawToPcm16Samples(base64Audio))),
+    reset: () => resampler.reset(),
+  };
+}
+
+export function createTwilioOutboundConverter(sourceSampleRate = 16000) {
+  const resampler = createPcm16Resampler(sourceSampleRate, 8000);
+  return {
+    convert: (base64Audio) => encodeMuLaw(resampler.process(base64ToPcm16(base64Audio))),
+    reset: () => resampler.reset(),
+  };
 }
@@ -0,0 +1,113 @@
+const MULAW_SILENCE = 0xff;
+
+// Paces outbound agent audio to Twilio as fixed 20 ms μ-law frames.
+// ElevenLabs delivers audio in bursts faster than real time; the buffer
+// holds a short prebuffer, then sends frames on a clock (catching up after
+// event-loop stalls) and stops when it runs dry, so the next utterance
+// prebuffers again. A partial last frame is padded with μ-law silence.
+export function createOutboundJitterBuffer(options = {}) {
+  const send = options.send;
+  const frameMs = options.frameMs || 20;
+  const frameBytes = options.frameBytes || 160;
+  const prebufferMs = Math.max(0, Number(options.prebufferMs ?? 60));
+  const prebufferBytes = Math.max(1, Math.ceil(prebufferMs / frameMs)) * frameBytes;
+  const now = options.now || Date.now;
+  const timers = options.timers || { setInterval, clearInterval, setTimeout, clearTimeout };
+  const stats = { framesSent: 0, paddedFrames: 0, clears: 0, maxQueuedMs: 0 };
+  let queue = Buffer.alloc(0);
+  let interval = null;
+  let prebufferTimer = null;
+  let playbackStartedAt = 0;
+  let framesPlayed = 0;
+  let drainWaiters = [];
+
+  function stopPlayback() {
+    if (interval) timers.clearInterval(interval);
+    interval = null;
+    if (prebufferTimer) timers.clearTimeout(prebufferTimer);
+    prebufferTimer = null;
+  }
+
+  function settleDrained() {
+    const waiters = drainWaiters;
+    drainWaiters = [];
+    for (const resolve of waiters) resolve();
+  }
+
+  function sendFrame() {
+    let frame;
+    if (queue.length >= frameBytes) {
+      frame = queue.subarray(0, frameBytes);
+      queue = queue.subarray(frameBytes);
+    } else {
+      frame = Buffer.alloc(frameBytes, MULAW_SILENCE);
+      queue.copy(frame);
+      queue = Buffer.alloc(0);
+      stats.paddedFrames += 1;
+    }
+    stats.framesSent += 1;
+    framesPlayed += 1;
+    send(frame.toString('base64'));
+  }
+
+  function tick() {
+    const due = Math.floor((now() - playbackStartedAt) / frameMs) + 1 - framesPlayed;
+    for (let index = 0; index < due; index += 1) {
+      if (!queue.length) {
+        stopPlayback();
+        settleDrained();
+        return;
+      }
+      sendFrame();
+    }
+  }
+
+  function startPlayback() {
+    if (prebufferTimer) timers.clearTimeout(prebufferTimer);
+    prebufferTimer = null;
+    playbackStartedAt = now();
+    framesPlayed = 0;
+    interval = timers.setInterval(tick, frameMs);
+    tick();
+  }
+
+  return {
+    stats,
+    get queuedMs() {
+      return Math.round(queue.length / frameBytes * frameMs);
+    },
+    get playing() {
+      return Boolean(interval);
+    },
+    push(bytes) {
+      if (!bytes?.length) return;
+      queue = queue.length ? Buffer.concat([queue, bytes]) : Buffer.from(bytes);
+      stats.maxQueuedMs = Math.max(stats.maxQueuedMs, this.queuedMs);
+      if (interval) return;
+      if (queue.length >= prebufferBytes) {
+        startPlayback();
+      } else if (!prebufferTimer) {
+        prebufferTimer = timers.setTimeout(() => {
+          prebufferTimer = null;
+          if (!interval && queue.length) startPlayback();
+        }, prebufferMs);
+      }
+    },
+    // Resolves once everything queued so far has been sent (or dropped).
+    drained() {
+      if (!interval && !prebufferTimer && !queue.length) return Promise.resolve();
+      return new Promise((resolve) => drainWaiters.push(resolve));
+    },
+    clear() {
+      stopPlayback();
+      queue = Buffer.alloc(0);
+      stats.clears += 1;
+      settleDrained();
+    },
+    close() {
+      stopPlayback();
+      queue = Buffer.alloc(0);
+      settleDrained();
+    },
+  };
+}
@@ -0,0 +1,113 @@
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels = {}) {
+  return Object.keys(labels).sort().map((name) => name + '="' + escapeLabelValue(labels[name]) + '"').join(',');
+}
+
+function seriesName(name, key) {
+  return key ? name + '{' + key + '}' : name;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(Number.isInteger(value) ? value : Number(value.toFixed(6)));
+}
+
+function createCounter(name, help, type = 'counter') {
+  const values = new Map();
+  return {
+    name,
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    dec(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      values.set(key, (values.get(key) || 0) - amount);
+    },
+    value(labels = {}) {
+      return values.get(labelKey(labels)) || 0;
+    },
+    render() {
+      const lines = ['# HELP ' + name + ' ' + help, '# TYPE ' + name + ' ' + type];
+      if (!values.size) values.set('', 0);
+      for (const [key, value] of values) lines.push(seriesName(name, key) + ' ' + formatValue(value));
+      return lines;
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const sorted = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+  return {
+    name,
+    observe(value, labels = {}) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { counts: sorted.map(() => 0), sum: 0, count: 0 };
+      sorted.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    count(labels = {}) {
+      return series.get(labelKey(labels))?.count || 0;
+    },
+    render() {
+      const lines = ['# HELP ' + name + ' ' + help, '# TYPE ' + name + ' histogram'];
+      if (!series.size) series.set('', { counts: sorted.map(() => 0), sum: 0, count: 0 });
+      for (const [key, entry] of series) {
+        const prefix = key ? key + ',' : '';
+        sorted.forEach((bound, index) => {
+          lines.push(name + '_bucket{' + prefix + 'le="' + formatValue(bound) + '"} ' + entry.counts[index]);
+        });
+        lines.push(name + '_bucket{' + prefix + 'le="+Inf"} ' + entry.count);
+        lines.push(seriesName(name + '_sum', key) + ' ' + formatValue(entry.sum));
+        lines.push(seriesName(name + '_count', key) + ' ' + entry.count);
+      }
+      return lines;
+    },
+  };
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter: (name, help) => register(createCounter(name, help)),
+    gauge: (name, help) => register(createCounter(name, help, 'gauge')),
+    histogram: (name, help, buckets) => register(createHistogram(name, help, buckets)),
+    render() {
+      return metrics.flatMap((metric) => metric.render()).join('\n') + '\n';
+    },
+  };
+}
+
+export function createBridgeMetrics() {
+  const registry = createMetricsRegistry();
+  return {
+    registry,
+    activeCalls: registry.gauge('voice_bridge_active_calls', 'Twilio media streams currently connected to the bridge.'),
+    callsTotal: registry.counter('voice_bridge_calls_total', 'Twilio media streams accepted by the bridge.'),
+    callsEnded: registry.counter('voice_bridge_calls_ended_total', 'Bridged calls closed, by outcome.'),
+    elevenlabsReconnects: registry.counter('voice_bridge_elevenlabs_reconnects_total', 'ElevenLabs reconnect attempts, by result.'),
+    noAudioRecoveries: registry.counter('voice_bridge_no_audio_recoveries_total', 'Calls where no ElevenLabs audio arrived and the bridge retried without the conversation override.'),
+    introLoopRecoveries: registry.counter('voice_bridge_intro_loop_recoveries_total', 'Repeated agent intros that forced a resume-mode reconnect.'),
+    firstAudioLatency: registry.histogram(
+      'voice_bridge_first_audio_latency_seconds',
+      'Time from the Twilio stream start to the first ElevenLabs audio chunk.',
+      [0.5, 1, 1.5, 2, 3, 5, 8, 13]
+    ),
+    audioChunks: registry.counter('voice_bridge_audio_chunks_total', 'Audio chunks forwarded, by direction.'),
+    audioBytes: registry.counter('voice_bridge_audio_bytes_total', 'Audio payload bytes forwarded, by direction.'),
+    vadEvents: registry.counter('voice_bridge_vad_events_total', 'Local voice activity detector events on inbound audio, by type.'),
+  };
+}
@@ -0,0 +1,72 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const TRANSCRIPT_BACKLOG = 50;
+
+function sign(secret, payload) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Short-lived listen-in tokens. The voice-call-monitor Function signs them
+// with the shared bridge secret, so a supervisor's browser can open
+// /monitor without ever seeing the secret.
+export function createMonitorToken(secret, voiceCallSessionId, expiresAt) {
+  const payload = Buffer.from(JSON.stringify({ sid: voiceCallSessionId, exp: expiresAt })).toString('base64url');
+  return payload + '.' + sign(secret, payload);
+}
+
+export function verifyMonitorToken(secret, token, now = Date.now()) {
+  if (!secret || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(secret, payload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!claims?.sid || !(Number(claims.exp) > now)) return null;
+    return { voiceCallSessionId: String(claims.sid), expiresAt: Number(claims.exp) };
+  } catch {
+    return null;
+  }
+}
+
+// Fans one call's transcript, audio and control events out to supervisor
+// sockets. New listeners get the recent transcript first.
+export function createCallMonitor() {
+  const listeners = new Set();
+  const transcript = [];
+
+  function send(ws, event) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+  }
+
+  return {
+    get listening() {
+      return listeners.size > 0;
+    },
+    add(ws, snapshot = {}) {
+      listeners.add(ws);
+      ws.on('close', () => listeners.delete(ws));
+      send(ws, { type: 'snapshot', ...snapshot, transcript });
+    },
+    transcript(speaker, text) {
+      const turn = { speaker, text, at: new Date().toISOString() };
+      transcript.push(turn);
+      if (transcript.length > TRANSCRIPT_BACKLOG) transcript.shift();
+      this.broadcast({ type: 'transcript', ...turn });
+    },
+    audio(track, payload) {
+      if (listeners.size) this.broadcast({ type: 'media', track, payload });
+    },
+    broadcast(event) {
+      for (const ws of listeners) send(ws, event);
+    },
+    close(event) {
+      for (const ws of listeners) {
+        send(ws, event);
+        ws.close(1000, 'call ended');
+      }
+      listeners.clear();
+    },
+  };
+}
@@ -0,0 +1,132 @@
+export const RECORDING_SAMPLE_RATE = 8000;
+
+const WAV_HEADER_BYTES = 44;
+
+function createChannel(initialSamples) {
+  return { samples: new Int16Array(initialSamples), length: 0 };
+}
+
+function ensureCapacity(channel, requiredLength) {
+  if (requiredLength <= channel.samples.length) return;
+  let nextSize = Math.max(channel.samples.length * 2, RECORDING_SAMPLE_RATE);
+  while (nextSize < requiredLength) nextSize *= 2;
+  const grown = new Int16Array(nextSize);
+  grown.set(channel.samples.subarray(0, channel.length));
+  channel.samples = grown;
+}
+
+export function encodeStereoWav(left, right, sampleRate = RECORDING_SAMPLE_RATE) {
+  const frameCount = Math.max(left.length, right.length);
+  const dataBytes = frameCount * 4;
+  const buffer = Buffer.alloc(WAV_HEADER_BYTES + dataBytes);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataBytes, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(2, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 4, 28);
+  buffer.writeUInt16LE(4, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataBytes, 40);
+
+  for (let index = 0; index < frameCount; index += 1) {
+    const offset = WAV_HEADER_BYTES + index * 4;
+    buffer.writeInt16LE(index < left.length ? left[index] : 0, offset);
+    buffer.writeInt16LE(index < right.length ? right[index] : 0, offset + 2);
+  }
+
+  return buffer;
+}
+
+// Lead audio is placed by the Twilio media timestamp, so dropped frames stay
+// silent instead of shifting the channel. ElevenLabs sends agent audio faster
+// than real time and Twilio plays it back sequentially, so agent audio is
+// placed at whichever is later: the wall-clock offset or the end of the audio
+// still queued for playback.
+export function createCallRecorder(options = {}) {
+  const sampleRate = options.sampleRate || RECORDING_SAMPLE_RATE;
+  const maxSamples = Math.max(1, Math.round(Number(options.maxSeconds || 1800) * sampleRate));
+  const now = options.now || Date.now;
+  const lead = createChannel(sampleRate * 10);
+  const agent = createChannel(sampleRate * 10);
+  const transcript = [];
+  let startedAt = null;
+  let truncated = false;
+
+  function elapsedSamples() {
+    if (startedAt === null) return 0;
+    return Math.round((now() - startedAt) * sampleRate / 1000);
+  }
+
+  function writeAt(channel, offset, samples) {
+    const start = Math.max(0, offset);
+    const writable = Math.min(samples.length, maxSamples - start);
+    if (writable < samples.length) truncated = true;
+    if (writable <= 0) return;
+    ensureCapacity(channel, start + writable);
+    channel.samples.set(samples.subarray(0, writable), start);
+    channel.length = Math.max(channel.length, start + writable);
+  }
+
+  return {
+    start() {
+      if (startedAt === null) startedAt = now();
+    },
+
+    get started() {
+      return startedAt !== null;
+    },
+
+    appendLead(samples, timestampMs) {
+      if (startedAt === null || !samples?.length) return;
+      const timestamp = timestampMs === undefined || timestampMs === null || timestampMs === ''
+        ? NaN
+        : Number(timestampMs);
+      writeAt(lead, Number.isFinite(timestamp) ? Math.round(timestamp * sampleRate / 1000) : lead.length, samples);
+    },
+
+    appendAgent(samples) {
+      if (startedAt === null || !samples?.length) return;
+      writeAt(agent, Math.max(agent.length, elapsedSamples()), samples);
+    },
+
+    interruptAgent() {
+      const playedLength = Math.min(agent.length, elapsedSamples());
+      agent.samples.fill(0, playedLength, agent.length);
+      agent.length = playedLength;
+    },
+
+    addTranscript(speaker, text) {
+      if (startedAt === null || !text) return;
+      transcript.push({
+        speaker,
+        channel: speaker === 'lead' ? 'left' : 'right',
+        offsetMs: Math.max(0, now() - startedAt),
+        text,
+      });
+    },
+
+    finish() {
+      const frameCount = Math.max(lead.length, agent.length);
+      if (startedAt === null || frameCount === 0) return null;
+      const wav = encodeStereoWav(
+        lead.samples.subarray(0, lead.length),
+        agent.samples.subarray(0, agent.length),
+        sampleRate
+      );
+      return {
+        wav,
+        sampleRate,
+        durationSeconds: Math.round(frameCount / sampleRate),
+        bytes: wav.length,
+        truncated,
+        transcript: transcript.slice(),
+      };
+    },
+  };
+}
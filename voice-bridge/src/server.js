@@ -1,15 +1,36 @@
+import { timingSafeEqual } from 'node:crypto';
 import http from 'node:http';
 import { WebSocketServer, WebSocket } from 'ws';
 import {
-  pcm16Base64ToTwilioMuLaw,
-  twilioMuLawToPcm16Base64,
+  createTwilioInboundConverter,
+  createTwilioOutboundConverter,
+  twilioMuLawToPcm16Samples,
 } from './audio.js';
+import { createOutboundJitterBuffer } from './jitter-buffer.js';
+import { createBridgeMetrics } from './metrics.js';
+import { createCallMonitor, verifyMonitorToken } from './monitor.js';
+import { createCallRecorder } from './recording.js';
+import { createVoiceActivityDetector } from './vad.js';
 
 const PORT = Number(process.env.PORT || 8080);
 const FUNCTION_BASE_URL = (process.env.INSFORGE_FUNCTION_BASE_URL || '').replace(/\/$/, '');
 const BRIDGE_SECRET = process.env.VOICE_BRIDGE_CONTEXT_SECRET || '';
 const SEND_ELEVENLABS_AUDIO_TO_TWILIO = process.env.SEND_ELEVENLABS_AUDIO_TO_TWILIO !== 'false';
 const ELEVENLABS_PCM_SAMPLE_RATE = Number(process.env.ELEVENLABS_PCM_SAMPLE_RATE || 16000);
+const VOICE_RECORDING_ENABLED = process.env.VOICE_RECORDING_ENABLED === 'true';
+const VOICE_RECORDING_MAX_SECONDS = Number(process.env.VOICE_RECORDING_MAX_SECONDS || 1800);
+const METRICS_TOKEN = process.env.VOICE_BRIDGE_METRICS_TOKEN || '';
+const TWILIO_JITTER_PREBUFFER_MS = Number(process.env.TWILIO_JITTER_PREBUFFER_MS || 60);
+const VOICE_VAD_ENABLED = process.env.VOICE_VAD_ENABLED !== 'false';
+const VOICE_VAD_BARGE_IN = process.env.VOICE_VAD_BARGE_IN !== 'false';
+const VOICE_VAD_BARGE_IN_HOLD_MS = Number(process.env.VOICE_VAD_BARGE_IN_HOLD_MS || 1500);
+const VOICE_DEAD_AIR_TIMEOUT_MS = Number(process.env.VOICE_DEAD_AIR_TIMEOUT_MS ?? 30_000);
+
+const metrics = createBridgeMetrics();
+
+// Live calls on this bridge process by voice call session id, so the
+// Functions can reach a call in progress through POST /control.
+const liveCalls = new Map();
 
 function json(res, status, body) {
   res.writeHead(status, { 'Content-Type': 'application/json' });
@@ -24,6 +45,28 @@ function safeParse(value) {
   }
 }
 
+function readJsonBody(req, limitBytes = 4 * 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limitBytes) {
+        reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const body = safeParse(Buffer.concat(chunks).toString() || '{}');
+      if (body && typeof body === 'object') resolve(body);
+      else reject(Object.assign(new Error('Request body must be JSON'), { status: 400 }));
+    });
+    req.on('error', reject);
+  });
+}
+
 function open(ws) {
   return ws && ws.readyState === WebSocket.OPEN;
 }
@@ -148,6 +191,27 @@ function buildInitiation(context, options = {}) {
   return payload;
 }
 
+async function uploadRecording(session, token, wav) {
+  if (!FUNCTION_BASE_URL) throw new Error('INSFORGE_FUNCTION_BASE_URL is not configured');
+  const url = new URL('/twilio-voice-webhook', FUNCTION_BASE_URL);
+  url.searchParams.set('mode', 'bridge-recording');
+  url.searchParams.set('voiceCallSessionId', session.id);
+  const response = await fetch(url.toString(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'audio/wav',
+      'x-call-context-token': token,
+      ...(BRIDGE_SECRET ? { 'x-voice-bridge-secret': BRIDGE_SECRET } : {}),
+    },
+    body: wav,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data?.success === false) {
+    throw new Error(data?.error || 'Recording upload failed with ' + response.status);
+  }
+  return data.recording || {};
+}
+
 async function postBridgeEvent(session, token, event) {
   try {
     await functionRequest('bridge-event', {
@@ -188,7 +252,268 @@ function handleTwilioConnection(twilioWs, req) {
     noAudioTimer: null,
     noAudioRecoveryAttempted: false,
     disableConversationOverride: false,
+    recorder: VOICE_RECORDING_ENABLED ? createCallRecorder({ maxSeconds: VOICE_RECORDING_MAX_SECONDS }) : null,
+    streamStartedAt: 0,
+    firstAudioLatencyMs: null,
+    vad: VOICE_VAD_ENABLED ? createVoiceActivityDetector() : null,
+    lastActivityAt: 0,
+    deadAirTimer: null,
+    deadAir: false,
+    leadSpeechAfterVoicemail: false,
+    agentAudioAfterVoicemail: false,
+    voicemailDrop: null,
+    transfer: null,
+    endedBy: null,
+    monitor: createCallMonitor(),
+    elevenlabsDetached: false,
+    pendingMarks: new Map(),
+    quality: {
+      elevenlabsReconnects: 0,
+      elevenlabsReconnectFailures: 0,
+      noAudioRecoveries: 0,
+      introLoopRecoveries: 0,
+      interruptions: 0,
+      inboundAudioChunks: 0,
+      inboundAudioBytes: 0,
+      outboundAudioChunks: 0,
+      outboundAudioBytes: 0,
+      suppressedAgentAudioChunks: 0,
+      vadBargeIns: 0,
+    },
   };
+  state.inboundAudio = createTwilioInboundConverter(ELEVENLABS_PCM_SAMPLE_RATE);
+  state.outboundAudio = createTwilioOutboundConverter(ELEVENLABS_PCM_SAMPLE_RATE);
+  state.outboundJitter = createOutboundJitterBuffer({
+    prebufferMs: TWILIO_JITTER_PREBUFFER_MS,
+    send(payload) {
+      if (!open(twilioWs) || !state.streamSid) return;
+      sendJson(twilioWs, {
+        event: 'media',
+        streamSid: state.streamSid,
+        media: { payload },
+      });
+      countAudioChunk('outbound', payload);
+      state.monitor.audio('agent', payload);
+      state.recorder?.appendAgent(twilioMuLawToPcm16Samples(payload));
+      state.lastActivityAt = Date.now();
+      state.vad?.agentSpeaking();
+      if (state.vad?.voicemail) state.agentAudioAfterVoicemail = true;
+    },
+  });
+  metrics.callsTotal.inc();
+  metrics.activeCalls.inc();
+
+  function countAudioChunk(direction, payload) {
+    const bytes = Buffer.byteLength(payload, 'base64');
+    state.quality[direction + 'AudioChunks'] += 1;
+    state.quality[direction + 'AudioBytes'] += bytes;
+    metrics.audioChunks.inc({ direction });
+    metrics.audioBytes.inc({ direction }, bytes);
+  }
+
+  function clearTwilioPlayback() {
+    sendJson(twilioWs, { event: 'clear', streamSid: state.streamSid });
+    state.outboundJitter.clear();
+    state.outboundAudio.reset();
+    state.recorder?.interruptAgent();
+  }
+
+  function handleLeadSpeech(samples) {
+    for (const event of state.vad.process(samples)) {
+      metrics.vadEvents.inc({ type: event.type });
+      if (event.type === 'speech_start') {
+        if (state.vad.voicemail) state.leadSpeechAfterVoicemail = true;
+        const agentQueuedMs = state.outboundJitter.queuedMs;
+        if (VOICE_VAD_BARGE_IN && !state.voicemailDrop && state.outboundJitter.playing && state.streamSid) {
+          // Clear locally instead of waiting for the ElevenLabs interruption,
+          // and hold agent audio that was already in flight for a moment.
+          state.quality.vadBargeIns += 1;
+          state.suppressAgentAudioUntil = Math.max(state.suppressAgentAudioUntil, Date.now() + VOICE_VAD_BARGE_IN_HOLD_MS);
+          clearTwilioPlayback();
+          postBridgeEvent(state.session, state.token, {
+            type: 'vad_barge_in',
+            callOffsetMs: Math.round(event.atMs),
+            clearedAgentAudioMs: agentQueuedMs,
+            twilioStreamSid: state.streamSid,
+            timestamp: new Date().toISOString(),
+          });
+        }
+      }
+      if (event.type === 'voicemail') {
+        postBridgeEvent(state.session, state.token, {
+          type: 'vad_voicemail_detected',
+          reason: event.reason,
+          callOffsetMs: Math.round(event.atMs),
+          ...(event.greetingMs ? { greetingMs: Math.round(event.greetingMs) } : {}),
+          ...(event.frequencyHz ? { frequencyHz: event.frequencyHz } : {}),
+          twilioStreamSid: state.streamSid,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+    if (state.vad.speaking) state.lastActivityAt = Date.now();
+  }
+
+  function scheduleDeadAirCheck() {
+    if (!VOICE_DEAD_AIR_TIMEOUT_MS || state.deadAirTimer) return;
+    state.lastActivityAt = Date.now();
+    state.deadAirTimer = setInterval(() => {
+      if (state.closed || state.twilioStopped) return;
+      const silentMs = Date.now() - state.lastActivityAt;
+      if (silentMs < VOICE_DEAD_AIR_TIMEOUT_MS) return;
+      state.deadAir = true;
+      metrics.vadEvents.inc({ type: 'dead_air' });
+      postBridgeEvent(state.session, state.token, {
+        type: 'vad_dead_air',
+        silentMs,
+        leadSpoke: Boolean(state.vad?.stats.speechSegments),
+        twilioStreamSid: state.streamSid,
+        timestamp: new Date().toISOString(),
+      });
+      closeBoth(1000, 'dead air').catch((error) => console.error('[voice-bridge] dead-air close failed', error.message));
+    }, Math.min(1000, VOICE_DEAD_AIR_TIMEOUT_MS));
+  }
+
+  // Local VAD can say more about an unanswered call than ElevenLabs can:
+  // a flagged greeting the lead never spoke after is voicemail, and dead air
+  // on a call where the lead never spoke is no answer.
+  function vadOutcome() {
+    if (state.voicemailDrop?.played) return 'voicemail_left';
+    if (!state.vad) return null;
+    if (state.vad.voicemail && !state.leadSpeechAfterVoicemail) {
+      return state.agentAudioAfterVoicemail ? 'voicemail_left' : 'no_answer';
+    }
+    if (state.deadAir && !state.vad.stats.speechSegments) return 'no_answer';
+    return null;
+  }
+
+  function vadSummary() {
+    if (!state.vad) return undefined;
+    return {
+      speechSegments: state.vad.stats.speechSegments,
+      leadSpeechMs: Math.round(state.vad.stats.speechMs),
+      bargeIns: state.quality.vadBargeIns,
+      voicemail: state.vad.voicemail ? state.vad.voicemail.reason : null,
+      deadAir: state.deadAir,
+    };
+  }
+
+  function waitForTwilioMark(name, timeoutMs = 5000) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        state.pendingMarks.delete(name);
+        resolve(false);
+      }, timeoutMs);
+      state.pendingMarks.set(name, () => {
+        clearTimeout(timer);
+        state.pendingMarks.delete(name);
+        resolve(true);
+      });
+      sendJson(twilioWs, { event: 'mark', streamSid: state.streamSid, mark: { name } });
+    });
+  }
+
+  // Answering machine picked up: drop the ElevenLabs leg, play the
+  // tenant's recorded message once the greeting has ended, then hang up.
+  function playVoicemailDrop(command) {
+    const audio = Buffer.from(String(command.audio || ''), 'base64');
+    if (!audio.length) throw Object.assign(new Error('voicemail_drop requires base64 μ-law audio'), { status: 400 });
+    if (state.voicemailDrop) return { alreadyPlaying: true };
+    state.voicemailDrop = { startedAt: Date.now(), played: false };
+    state.elevenlabsDetached = true;
+    state.suppressAgentAudioUntil = Infinity;
+    clearNoAudioTimer();
+    clearTwilioPlayback();
+    if (open(state.elevenlabsWs)) state.elevenlabsWs.close(1000, 'voicemail drop');
+    state.outboundJitter.push(audio);
+    const audioMs = Math.round(audio.length / 8);
+    postBridgeEvent(state.session, state.token, {
+      type: 'voicemail_drop_started',
+      answeredBy: command.answeredBy || undefined,
+      audioMs,
+      twilioStreamSid: state.streamSid,
+      timestamp: new Date().toISOString(),
+    });
+    finishVoicemailDrop().catch((error) => console.error('[voice-bridge] voicemail drop failed', error.message));
+    return { audioMs };
+  }
+
+  async function finishVoicemailDrop() {
+    await state.outboundJitter.drained();
+    if (state.closed) return;
+    const confirmed = await waitForTwilioMark('voicemail-drop');
+    state.voicemailDrop.played = confirmed || !state.twilioStopped;
+    await postBridgeEvent(state.session, state.token, {
+      type: 'voicemail_drop_finished',
+      durationMs: Date.now() - state.voicemailDrop.startedAt,
+      playbackConfirmed: confirmed,
+      twilioStreamSid: state.streamSid,
+      timestamp: new Date().toISOString(),
+    });
+    await closeBoth(1000, 'voicemail drop played');
+  }
+
+  // Warm transfer to a human: Functions has just redirected the Twilio call
+  // to dial the tenant team, which ends the media stream. Until it stops
+  // the bridge only has to silence and drop the agent.
+  function startTransfer(command) {
+    if (state.voicemailDrop) throw Object.assign(new Error('Call is playing a voicemail drop'), { status: 409 });
+    if (state.transfer) return { alreadyTransferring: true };
+    state.transfer = { startedAt: Date.now(), reason: command.reason || null };
+    state.elevenlabsDetached = true;
+    state.suppressAgentAudioUntil = Infinity;
+    clearNoAudioTimer();
+    if (state.elevenlabsReconnectTimer) clearTimeout(state.elevenlabsReconnectTimer);
+    state.elevenlabsReconnectTimer = null;
+    clearTwilioPlayback();
+    if (open(state.elevenlabsWs)) state.elevenlabsWs.close(1000, 'warm transfer');
+    state.monitor.broadcast({ type: 'transfer_started', reason: state.transfer.reason });
+    postBridgeEvent(state.session, state.token, {
+      type: 'transfer_started',
+      reason: state.transfer.reason || undefined,
+      twilioStreamSid: state.streamSid,
+      timestamp: new Date().toISOString(),
+    });
+    return { detached: true };
+  }
+
+  // Supervisor whisper: ElevenLabs treats a contextual_update as background
+  // context for its next turn; the lead never hears it.
+  function sendContextualUpdate(command) {
+    const text = String(command.text || '').trim().slice(0, 2000);
+    if (!text) throw Object.assign(new Error('contextual_update requires text'), { status: 400 });
+    if (state.elevenlabsDetached || !open(state.elevenlabsWs)) {
+      throw Object.assign(new Error('The agent is not connected to this call'), { status: 409 });
+    }
+    sendJson(state.elevenlabsWs, { type: 'contextual_update', text });
+    state.monitor.broadcast({ type: 'whisper', text, at: new Date().toISOString() });
+    return { delivered: true };
+  }
+
+  // Closing the media stream ends the call: Twilio runs out of TwiML after
+  // <Connect> and hangs up.
+  function endCall(command) {
+    state.endedBy = command.requestedBy || 'supervisor';
+    closeBoth(1000, 'ended by supervisor').catch((error) => console.error('[voice-bridge] supervisor end failed', error.message));
+    return { ending: true };
+  }
+
+  function handleControlCommand(command) {
+    if (command.command === 'voicemail_drop') return playVoicemailDrop(command);
+    if (command.command === 'transfer') return startTransfer(command);
+    if (command.command === 'contextual_update') return sendContextualUpdate(command);
+    if (command.command === 'end_call') return endCall(command);
+    throw Object.assign(new Error('Unknown control command ' + command.command), { status: 400 });
+  }
+
+  function addMonitor(ws) {
+    state.monitor.add(ws, {
+      voiceCallSessionId: state.session?.id,
+      startedAt: state.streamStartedAt ? new Date(state.streamStartedAt).toISOString() : null,
+      transferring: Boolean(state.transfer),
+      agentConnected: !state.elevenlabsDetached && open(state.elevenlabsWs),
+    });
+  }
 
   function clearNoAudioTimer() {
     if (state.noAudioTimer) {
@@ -212,6 +537,8 @@ function handleTwilioConnection(twilioWs, req) {
       if (!state.noAudioRecoveryAttempted) {
         state.noAudioRecoveryAttempted = true;
         state.disableConversationOverride = true;
+        state.quality.noAudioRecoveries += 1;
+        metrics.noAudioRecoveries.inc();
         if (open(state.elevenlabsWs)) {
           state.elevenlabsWs.close(1000, 'no audio recovery');
         } else {
@@ -228,8 +555,10 @@ function handleTwilioConnection(twilioWs, req) {
   function recoverFromRepeatedAgentIntro(text) {
     if (state.introLoopRecoveryInProgress || state.twilioStopped || !open(twilioWs)) return;
     state.introLoopRecoveryInProgress = true;
+    state.quality.introLoopRecoveries += 1;
+    metrics.introLoopRecoveries.inc();
     state.suppressAgentAudioUntil = Date.now() + 8000;
-    sendJson(twilioWs, { event: 'clear', streamSid: state.streamSid });
+    clearTwilioPlayback();
     postBridgeEvent(state.session, state.token, {
       type: 'bridge_error',
       error: 'Repeated agent intro detected; reconnecting ElevenLabs in resume mode.',
@@ -248,28 +577,83 @@ function handleTwilioConnection(twilioWs, req) {
     }, 10_000);
   }
 
+  async function archiveRecording() {
+    const recording = state.recorder?.finish();
+    state.recorder = null;
+    if (!recording || !state.session?.id || !state.token) return;
+    try {
+      const stored = await uploadRecording(state.session, state.token, recording.wav);
+      await postBridgeEvent(state.session, state.token, {
+        type: 'recording_ready',
+        recordingStorageKey: stored.storageKey,
+        recordingUrl: stored.url || undefined,
+        durationSeconds: recording.durationSeconds,
+        bytes: recording.bytes,
+        sampleRate: recording.sampleRate,
+        channels: { left: 'lead', right: 'agent' },
+        truncated: recording.truncated,
+        transcriptTurns: recording.transcript,
+        twilioStreamSid: state.streamSid,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('[voice-bridge] failed to archive call recording', error.message);
+    }
+  }
+
+  function qualitySummary(outcome) {
+    const durationMs = state.streamStartedAt ? Date.now() - state.streamStartedAt : 0;
+    return {
+      outcome,
+      durationSeconds: Math.round(durationMs / 1000),
+      firstAudioLatencyMs: state.firstAudioLatencyMs,
+      ...state.quality,
+      outboundPaddedFrames: state.outboundJitter.stats.paddedFrames,
+      outboundMaxQueuedMs: state.outboundJitter.stats.maxQueuedMs,
+      agentResponses: state.agentResponses.length,
+      userTranscripts: state.userTranscript.length,
+      activeLanguage: state.activeLanguage || null,
+    };
+  }
+
   async function closeBoth(code = 1000, reason = 'bridge closing') {
     if (state.closed) return;
     state.closed = true;
+    if (state.session?.id && liveCalls.get(state.session.id)?.state === state) liveCalls.delete(state.session.id);
+    metrics.activeCalls.dec();
     clearNoAudioTimer();
+    if (state.deadAirTimer) clearInterval(state.deadAirTimer);
+    state.outboundJitter.close();
     if (open(state.elevenlabsWs)) state.elevenlabsWs.close(code, reason);
     if (open(twilioWs)) twilioWs.close(code, reason);
+    const noAgentAudio = state.elevenlabsAudioChunks === 0 && state.agentResponses.length === 0 && state.userTranscript.length === 0;
+    const outcome = state.transfer ? 'transferred' : vadOutcome() || (noAgentAudio ? 'failed' : 'completed');
+    metrics.callsEnded.inc({ outcome: state.session?.id ? outcome : 'no_context' });
+    state.monitor.close({ type: 'call_ended', outcome, endedBy: state.endedBy || undefined });
     if (state.session?.id && state.token) {
-      const noAgentAudio = state.elevenlabsAudioChunks === 0 && state.agentResponses.length === 0 && state.userTranscript.length === 0;
       await postBridgeEvent(state.session, state.token, {
         type: 'call_ended',
         twilioStreamSid: state.streamSid,
-        outcome: noAgentAudio ? 'failed' : 'completed',
+        outcome,
         summary: noAgentAudio ? 'Voice call ended before ElevenLabs emitted agent audio.' : (state.agentResponses.at(-1) || state.userTranscript.at(-1) || 'Voice call ended.'),
         transcript: [
           ...state.userTranscript.map((text) => 'Lead: ' + text),
           ...state.agentResponses.map((text) => 'Agent: ' + text),
         ].join('\n'),
         noAgentAudio,
+        endedBy: state.endedBy || undefined,
+        vad: vadSummary(),
         elevenlabsAudioChunks: state.elevenlabsAudioChunks,
         elevenlabsConversationId: state.elevenlabsConversationId || undefined,
         timestamp: new Date().toISOString(),
       });
+      await archiveRecording();
+      await postBridgeEvent(state.session, state.token, {
+        type: 'call_quality',
+        quality: qualitySummary(outcome),
+        twilioStreamSid: state.streamSid,
+        timestamp: new Date().toISOString(),
+      });
     }
   }
 
@@ -277,16 +661,17 @@ function handleTwilioConnection(twilioWs, req) {
     if (state.closed) return;
     state.twilioStopped = true;
     state.twilioStoppedAt = state.twilioStoppedAt || Date.now();
+    const graceMs = Number(process.env.TWILIO_STOP_GRACE_MS || 10_000);
     setTimeout(() => {
       const stoppedForMs = Date.now() - state.twilioStoppedAt;
-      if (state.twilioStopped && stoppedForMs >= 10_000 && !state.closed) {
+      if (state.twilioStopped && stoppedForMs >= graceMs && !state.closed) {
         closeBoth(1000, reason).catch((error) => console.error('[voice-bridge] delayed close failed', error.message));
       }
-    }, 10_000);
+    }, graceMs);
   }
 
   function scheduleElevenLabsReconnect(reason = 'elevenlabs closed') {
-    if (state.closed || state.twilioStopped || !open(twilioWs)) return;
+    if (state.closed || state.twilioStopped || state.elevenlabsDetached || !open(twilioWs)) return;
     if (state.elevenlabsReconnectTimer) return;
     state.elevenlabsReconnectTimer = setTimeout(async () => {
       state.elevenlabsReconnectTimer = null;
@@ -301,6 +686,8 @@ function handleTwilioConnection(twilioWs, req) {
         });
         state.session = context.voiceCallSession || state.session;
         await connectElevenLabs(context, { resume: true, resumeReason: reason, disableOverride: state.disableConversationOverride });
+        state.quality.elevenlabsReconnects += 1;
+        metrics.elevenlabsReconnects.inc({ result: 'success' });
         await postBridgeEvent(state.session, state.token, {
           type: 'bridge_reconnected',
           reason,
@@ -310,6 +697,8 @@ function handleTwilioConnection(twilioWs, req) {
           timestamp: new Date().toISOString(),
         });
       } catch (error) {
+        state.quality.elevenlabsReconnectFailures += 1;
+        metrics.elevenlabsReconnects.inc({ result: 'failure' });
         await postBridgeEvent(state.session, state.token, {
           type: 'bridge_error',
           error: 'ElevenLabs reconnect failed: ' + error.message,
@@ -387,6 +776,8 @@ function handleTwilioConnection(twilioWs, req) {
         const text = data.user_transcription_event?.user_transcript || '';
         if (text) {
           state.userTranscript.push(text);
+          state.recorder?.addTranscript('lead', text);
+          state.monitor.transcript('lead', text);
           state.lastUserTranscriptAt = Date.now();
           const requestedLanguage = detectLanguagePreference(text);
           if (requestedLanguage) {
@@ -419,6 +810,8 @@ function handleTwilioConnection(twilioWs, req) {
             return;
           }
           state.agentResponses.push(text);
+          state.recorder?.addTranscript('agent', text);
+          state.monitor.transcript('agent', text);
           postBridgeEvent(state.session, state.token, {
             type: 'agent_response',
             text,
@@ -429,12 +822,19 @@ function handleTwilioConnection(twilioWs, req) {
       }
 
       if (data.type === 'audio' && SEND_ELEVENLABS_AUDIO_TO_TWILIO) {
-        if (Date.now() < state.suppressAgentAudioUntil) return;
+        if (Date.now() < state.suppressAgentAudioUntil) {
+          state.quality.suppressedAgentAudioChunks += 1;
+          return;
+        }
         const audioBase64 = data.audio_event?.audio_base_64;
         if (audioBase64) {
           state.elevenlabsAudioChunks += 1;
           if (state.elevenlabsAudioChunks === 1) {
             clearNoAudioTimer();
+            if (state.streamStartedAt) {
+              state.firstAudioLatencyMs = Date.now() - state.streamStartedAt;
+              metrics.firstAudioLatency.observe(state.firstAudioLatencyMs / 1000);
+            }
             postBridgeEvent(state.session, state.token, {
               type: 'agent_audio_started',
               twilioStreamSid: state.streamSid,
@@ -442,20 +842,14 @@ function handleTwilioConnection(twilioWs, req) {
             });
           }
         }
-        const payload = audioBase64
-          ? pcm16Base64ToTwilioMuLaw(audioBase64, ELEVENLABS_PCM_SAMPLE_RATE)
-          : null;
-        if (payload && open(twilioWs) && state.streamSid) {
-          sendJson(twilioWs, {
-            event: 'media',
-            streamSid: state.streamSid,
-            media: { payload },
-          });
+        if (audioBase64 && open(twilioWs) && state.streamSid) {
+          state.outboundJitter.push(state.outboundAudio.convert(audioBase64));
         }
       }
 
       if (data.type === 'interruption' && open(twilioWs) && state.streamSid) {
-        sendJson(twilioWs, { event: 'clear', streamSid: state.streamSid });
+        state.quality.interruptions += 1;
+        clearTwilioPlayback();
       }
     });
 
@@ -468,6 +862,7 @@ function handleTwilioConnection(twilioWs, req) {
     });
 
     elevenlabsWs.on('close', () => {
+      if (state.elevenlabsDetached && !state.twilioStopped) return;
       if (state.twilioStopped || !open(twilioWs)) {
         scheduleFinalCloseAfterTwilioStop('twilio stopped after elevenlabs closed');
         return;
@@ -484,6 +879,9 @@ function handleTwilioConnection(twilioWs, req) {
       state.streamSid = message.start?.streamSid || message.streamSid || '';
       state.callSid = message.start?.callSid || '';
       const params = customParameters(message.start);
+      state.streamStartedAt = Date.now();
+      state.recorder?.start();
+      scheduleDeadAirCheck();
       state.token = params.CallContextToken || params.callContextToken || '';
       const sessionId = params.VoiceCallSessionId || params.voiceCallSessionId || '';
 
@@ -495,6 +893,7 @@ function handleTwilioConnection(twilioWs, req) {
           twilioCallSid: state.callSid,
         });
         state.session = context.voiceCallSession;
+        if (state.session?.id) liveCalls.set(state.session.id, { state, command: handleControlCommand, monitor: addMonitor });
         await connectElevenLabs(context);
       } catch (error) {
         console.error('[voice-bridge] failed to initialize context', error.message);
@@ -506,14 +905,26 @@ function handleTwilioConnection(twilioWs, req) {
 
     if (message.event === 'media') {
       const payload = message.media?.payload;
+      const samples = payload && (state.recorder?.started || state.vad) ? twilioMuLawToPcm16Samples(payload) : null;
+      if (samples && state.recorder?.started) {
+        state.recorder.appendLead(samples, message.media?.timestamp);
+      }
+      if (samples && state.vad) handleLeadSpeech(samples);
+      if (payload) state.monitor.audio('lead', payload);
       if (payload && open(state.elevenlabsWs)) {
         sendJson(state.elevenlabsWs, {
-          user_audio_chunk: twilioMuLawToPcm16Base64(payload, ELEVENLABS_PCM_SAMPLE_RATE),
+          user_audio_chunk: state.inboundAudio.convert(payload),
         });
+        countAudioChunk('inbound', payload);
       }
       return;
     }
 
+    if (message.event === 'mark') {
+      state.pendingMarks.get(message.mark?.name)?.();
+      return;
+    }
+
     if (message.event === 'stop') {
       scheduleFinalCloseAfterTwilioStop('twilio stop event');
     }
@@ -534,8 +945,56 @@ function handleTwilioConnection(twilioWs, req) {
   console.log('[voice-bridge] Twilio media connection accepted', req.socket.remoteAddress);
 }
 
+function secretMatches(provided, expected) {
+  const left = Buffer.from(String(provided || ''));
+  const right = Buffer.from(expected);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+async function handleControlRequest(req, res) {
+  if (req.method !== 'POST') {
+    json(res, 405, { success: false, error: 'Method not allowed' });
+    return;
+  }
+  // Control commands can end, transfer or take over a live call, so without a
+  // configured secret the endpoint stays closed.
+  if (!BRIDGE_SECRET) {
+    json(res, 503, { success: false, error: 'Voice bridge control is not configured' });
+    return;
+  }
+  if (!secretMatches(req.headers['x-voice-bridge-secret'], BRIDGE_SECRET)) {
+    json(res, 401, { success: false, error: 'Invalid voice bridge secret' });
+    return;
+  }
+  try {
+    const body = await readJsonBody(req);
+    const call = liveCalls.get(String(body.voiceCallSessionId || ''));
+    if (!call) {
+      json(res, 404, { success: false, error: 'Call is not live on this bridge' });
+      return;
+    }
+    json(res, 200, { success: true, result: call.command(body) || {} });
+  } catch (error) {
+    json(res, error.status || 500, { success: false, error: error.message });
+  }
+}
+
 const server = http.createServer((req, res) => {
-  if (req.url === '/health') {
+  const path = new URL(req.url || '/', 'http://localhost').pathname;
+  if (path === '/control') {
+    handleControlRequest(req, res);
+    return;
+  }
+  if (path === '/metrics') {
+    if (METRICS_TOKEN && req.headers.authorization !== 'Bearer ' + METRICS_TOKEN) {
+      json(res, 401, { success: false, error: 'Unauthorized' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metrics.registry.render());
+    return;
+  }
+  if (path === '/health') {
     json(res, 200, {
       success: true,
       service: 'bob-voice-media-bridge',
@@ -543,6 +1002,9 @@ const server = http.createServer((req, res) => {
       bridgeSecretConfigured: Boolean(BRIDGE_SECRET),
       sendElevenLabsAudioToTwilio: SEND_ELEVENLABS_AUDIO_TO_TWILIO,
       elevenlabsPcmSampleRate: ELEVENLABS_PCM_SAMPLE_RATE,
+      recordingEnabled: VOICE_RECORDING_ENABLED,
+      vadEnabled: VOICE_VAD_ENABLED,
+      deadAirTimeoutMs: VOICE_DEAD_AIR_TIMEOUT_MS,
     });
     return;
   }
@@ -551,9 +1013,26 @@ const server = http.createServer((req, res) => {
 
 const wss = new WebSocketServer({ noServer: true });
 
+// Supervisor listen-in: /monitor?token=<voice-call-monitor token>. Needs
+// VOICE_BRIDGE_CONTEXT_SECRET, since that is what signs the token.
+function handleMonitorUpgrade(req, socket, head, url) {
+  const claims = verifyMonitorToken(BRIDGE_SECRET, url.searchParams.get('token'));
+  const call = claims ? liveCalls.get(claims.voiceCallSessionId) : null;
+  if (!call) {
+    socket.write('HTTP/1.1 ' + (claims ? '404 Not Found' : '401 Unauthorized') + '\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => call.monitor(ws));
+}
+
 server.on('upgrade', (req, socket, head) => {
-  const path = new URL(req.url || '/', 'http://localhost').pathname;
-  if (path !== '/twilio-media') {
+  const url = new URL(req.url || '/', 'http://localhost');
+  if (url.pathname === '/monitor') {
+    handleMonitorUpgrade(req, socket, head, url);
+    return;
+  }
+  if (url.pathname !== '/twilio-media') {
     socket.destroy();
     return;
   }
@@ -561,5 +1040,5 @@ server.on('upgrade', (req, socket, head) => {
 });
 
 server.listen(PORT, () => {
-  console.log('[voice-bridge] listening on ' + PORT);
+  console.log('[voice-bridge] listening on ' + server.address().port);
 });
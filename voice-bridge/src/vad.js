@@ -0,0 +1,143 @@
+const SILENCE_DB = -100;
+
+function frameFeatures(samples) {
+  let energy = 0;
+  let crossings = 0;
+  for (let index = 0; index < samples.length; index += 1) {
+    energy += samples[index] * samples[index];
+    if (index > 0 && (samples[index] >= 0) !== (samples[index - 1] >= 0)) crossings += 1;
+  }
+  const rms = Math.sqrt(energy / Math.max(1, samples.length));
+  return {
+    energyDb: rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms / 32768)) : SILENCE_DB,
+    zeroCrossingRate: samples.length > 1 ? crossings / (samples.length - 1) : 0,
+  };
+}
+
+// Energy/zero-crossing voice activity detector for the inbound (lead) side
+// of a call. Frames count as voiced when they are loud enough above an
+// adaptive noise floor and not hiss-like; speech starts after startMs of
+// voiced frames and ends after hangoverMs of unvoiced ones.
+//
+// It also flags two voicemail patterns: a greeting (the lead talks first,
+// almost without pausing, for greetingMs) and a beep (a steady tone in the
+// usual 500-1600 Hz range for beepMs).
+export function createVoiceActivityDetector(options = {}) {
+  const sampleRate = options.sampleRate || 8000;
+  const startMs = options.startMs ?? 60;
+  const hangoverMs = options.hangoverMs ?? 400;
+  const minSpeechDb = options.minSpeechDb ?? -45;
+  const noiseMarginDb = options.noiseMarginDb ?? 10;
+  const maxZeroCrossingRate = options.maxZeroCrossingRate ?? 0.45;
+  const greetingMs = options.greetingMs ?? 4000;
+  const greetingWindowMs = options.greetingWindowMs ?? 8000;
+  const greetingMaxPauseMs = options.greetingMaxPauseMs ?? 700;
+  const beepMs = options.beepMs ?? 160;
+
+  const stats = { speechSegments: 0, speechMs: 0, voicedFrames: 0, frames: 0 };
+  let elapsedMs = 0;
+  let noiseFloorDb = -60;
+  let speaking = false;
+  let speechStartedAt = 0;
+  let voicedRunMs = 0;
+  let unvoicedRunMs = 0;
+  let greetingSpeechMs = 0;
+  let greetingLastVoicedAt = null;
+  let greetingOpen = true;
+  let voicemail = null;
+  let agentSpokeFirst = false;
+  let tone = null;
+
+  function trackGreeting(voiced, frameMs) {
+    if (!greetingOpen || voicemail) return null;
+    if (agentSpokeFirst && greetingLastVoicedAt === null) greetingOpen = false;
+    if (elapsedMs > greetingWindowMs) greetingOpen = false;
+    if (!greetingOpen) return null;
+    if (voiced) {
+      greetingSpeechMs += frameMs;
+      greetingLastVoicedAt = elapsedMs;
+    } else if (greetingLastVoicedAt !== null && elapsedMs - greetingLastVoicedAt > greetingMaxPauseMs) {
+      greetingOpen = false;
+      return null;
+    }
+    if (greetingSpeechMs >= greetingMs) {
+      voicemail = { reason: 'greeting', atMs: elapsedMs, greetingMs: greetingSpeechMs };
+      return { type: 'voicemail', ...voicemail };
+    }
+    return null;
+  }
+
+  function trackBeep(features, frameMs) {
+    if (voicemail) return null;
+    const frequency = features.zeroCrossingRate * sampleRate / 2;
+    const tonal = features.energyDb >= minSpeechDb && frequency >= 500 && frequency <= 1600;
+    if (!tonal) {
+      tone = null;
+      return null;
+    }
+    if (!tone || Math.abs(features.zeroCrossingRate - tone.zeroCrossingRate) > 0.012 || Math.abs(features.energyDb - tone.energyDb) > 3) {
+      tone = { zeroCrossingRate: features.zeroCrossingRate, energyDb: features.energyDb, ms: frameMs };
+      return null;
+    }
+    tone.ms += frameMs;
+    if (tone.ms < beepMs) return null;
+    voicemail = { reason: 'beep', atMs: elapsedMs, frequencyHz: Math.round(frequency) };
+    return { type: 'voicemail', ...voicemail };
+  }
+
+  return {
+    stats,
+    get speaking() {
+      return speaking;
+    },
+    get voicemail() {
+      return voicemail;
+    },
+    get elapsedMs() {
+      return elapsedMs;
+    },
+    // Tells the greeting check that the agent was heard before the lead,
+    // which is how a live answer usually starts.
+    agentSpeaking() {
+      agentSpokeFirst = true;
+    },
+    process(samples) {
+      if (!samples?.length) return [];
+      const frameMs = samples.length * 1000 / sampleRate;
+      const features = frameFeatures(samples);
+      const voiced = features.energyDb >= Math.max(minSpeechDb, noiseFloorDb + noiseMarginDb)
+        && features.zeroCrossingRate <= maxZeroCrossingRate;
+      const events = [];
+      elapsedMs += frameMs;
+      stats.frames += 1;
+
+      if (voiced) {
+        stats.voicedFrames += 1;
+        voicedRunMs += frameMs;
+        unvoicedRunMs = 0;
+      } else {
+        voicedRunMs = 0;
+        unvoicedRunMs += frameMs;
+        noiseFloorDb += (Math.max(features.energyDb, -80) - noiseFloorDb) * 0.05;
+      }
+
+      if (!speaking && voicedRunMs >= startMs) {
+        speaking = true;
+        speechStartedAt = elapsedMs - voicedRunMs;
+        stats.speechSegments += 1;
+        events.push({ type: 'speech_start', atMs: speechStartedAt, energyDb: Math.round(features.energyDb) });
+      } else if (speaking && unvoicedRunMs >= hangoverMs) {
+        speaking = false;
+        const durationMs = elapsedMs - unvoicedRunMs - speechStartedAt;
+        stats.speechMs += durationMs;
+        events.push({ type: 'speech_end', atMs: elapsedMs - unvoicedRunMs, durationMs });
+      }
+
+      const greeting = trackGreeting(voiced, frameMs);
+      if (greeting) events.push(greeting);
+      const beep = trackBeep(features, frameMs);
+      if (beep) events.push(beep);
+      return events;
+    },
+  };
+}
@@ -1,7 +1,11 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
 import {
+  createPcm16Resampler,
+  createTwilioInboundConverter,
+  createTwilioOutboundConverter,
   pcm16Base64ToTwilioMuLaw,
+  resamplePcm16,
   twilioMuLawToPcm16Base64,
 } from '../src/audio.js';
 
@@ -26,3 +30,90 @@ test('PCM16 silence becomes 8 kHz Twilio μ-law silence', () => {
   assert.equal(decoded.length, 160);
   assert.ok(Array.from(decoded).every((byte) => byte === 0xff));
 });
+
+function tone(frequency, sampleRate, length, amplitude = 8000) {
+  return Int16Array.from({ length }, (_, index) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * index / sampleRate)));
+}
+
+function linearResample(samples, fromRate, toRate) {
+  const length = Math.round(samples.length * toRate / fromRate);
+  return Int16Array.from({ length }, (_, index) => {
+    const position = index * fromRate / toRate;
+    const left = Math.floor(position);
+    const right = Math.min(left + 1, samples.length - 1);
+    return Math.round(samples[left] + (samples[right] - samples[left]) * (position - left));
+  });
+}
+
+// Energy of `samples` relative to `reference`, in dB, ignoring filter edges.
+function errorDb(samples, reference, margin = 64) {
+  let signal = 0;
+  let noise = 0;
+  for (let index = margin; index < reference.length - margin; index += 1) {
+    signal += reference[index] ** 2;
+    noise += (samples[index] - reference[index]) ** 2;
+  }
+  return 10 * Math.log10(noise / signal);
+}
+
+function levelDb(samples, amplitude, margin = 64) {
+  let energy = 0;
+  for (let index = margin; index < samples.length - margin; index += 1) energy += samples[index] ** 2;
+  const rms = Math.sqrt(energy / (samples.length - margin * 2));
+  return 20 * Math.log10(rms / (amplitude / Math.SQRT2));
+}
+
+test('8 kHz to 16 kHz upsampling keeps in-band tones cleaner than linear interpolation', () => {
+  for (const frequency of [1000, 3000]) {
+    const source = tone(frequency, 8000, 1600);
+    const expected = tone(frequency, 16000, 3200);
+    const sinc = errorDb(resamplePcm16(source, 8000, 16000), expected);
+    const linear = errorDb(linearResample(source, 8000, 16000), expected);
+
+    assert.ok(sinc < -50, frequency + ' Hz error ' + sinc.toFixed(1) + ' dB');
+    assert.ok(sinc < linear - 10, frequency + ' Hz sinc ' + sinc.toFixed(1) + ' dB vs linear ' + linear.toFixed(1) + ' dB');
+  }
+});
+
+test('16 kHz to 8 kHz downsampling filters tones above 4 kHz instead of aliasing them', () => {
+  for (const frequency of [5000, 6000]) {
+    const source = tone(frequency, 16000, 3200);
+    const sinc = levelDb(resamplePcm16(source, 16000, 8000), 8000);
+    const linear = levelDb(linearResample(source, 16000, 8000), 8000);
+
+    assert.ok(sinc < -50, frequency + ' Hz alias at ' + sinc.toFixed(1) + ' dB');
+    assert.ok(linear > -3, 'linear baseline should alias ' + frequency + ' Hz');
+  }
+});
+
+test('the streaming resampler matches one-shot output across chunk boundaries', () => {
+  const source = tone(440, 8000, 800);
+  const whole = resamplePcm16(source, 8000, 16000);
+  const resampler = createPcm16Resampler(8000, 16000);
+  const streamed = [];
+  for (let offset = 0; offset < source.length; offset += 160) {
+    streamed.push(...resampler.process(source.subarray(offset, offset + 160)));
+  }
+
+  assert.equal(resampler.delaySamples, 18);
+  assert.equal(streamed.length, whole.length - resampler.delaySamples * 2);
+  for (let index = 64; index < streamed.length; index += 1) {
+    assert.ok(Math.abs(streamed[index] - whole[index]) <= 1, 'sample ' + index);
+  }
+});
+
+test('Twilio converters round-trip speech-band audio through μ-law', () => {
+  const inbound = createTwilioInboundConverter(16000);
+  const outbound = createTwilioOutboundConverter(16000);
+  const source = tone(1000, 16000, 3200);
+  const mulaw = [];
+  for (let offset = 0; offset < source.length; offset += 320) {
+    const chunk = Buffer.from(source.buffer, source.byteOffset + offset * 2, 640).toString('base64');
+    mulaw.push(outbound.convert(chunk));
+  }
+  const roundTrip = Int16Array.from(pcmValues(inbound.convert(Buffer.concat(mulaw).toString('base64'))));
+  // Streaming holds back each filter's lookahead, so the tail is shorter but aligned.
+  assert.equal(roundTrip.length, source.length - 36 - 36);
+  const error = errorDb(roundTrip, source.subarray(0, roundTrip.length));
+  assert.ok(error < -30, 'round trip error ' + error.toFixed(1) + ' dB');
+});
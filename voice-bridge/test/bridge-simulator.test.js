@@ -0,0 +1,387 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import test from 'node:test';
+import { WebSocket } from 'ws';
+import { createMonitorToken } from '../src/monitor.js';
+import { startBridge, startSimulation, waitFor } from './simulator/index.js';
+import { noise, sine, speechLike } from './simulator/signals.js';
+
+async function startedCall(t, options) {
+  const sim = await startSimulation(options);
+  t.after(() => sim.close());
+  sim.twilio.start();
+  const conversation = await sim.elevenlabs.waitForConversation(0);
+  await conversation.waitForInitiation();
+  return { sim, conversation };
+}
+
+test('a call bridges audio both ways and reports the lifecycle', async (t) => {
+  const { sim, conversation } = await startedCall(t);
+
+  assert.equal(sim.functions.contextRequests[0].body.voiceCallSessionId, 'session-sim');
+  assert.equal(sim.functions.contextRequests[0].body.twilioCallSid, 'CA-sim-call');
+  assert.equal(sim.functions.contextRequests[0].headers['x-voice-bridge-secret'], 'sim-secret');
+  assert.equal(conversation.initiation().dynamic_variables.lead_name, 'Sim Lead');
+  await sim.functions.waitForEvent('call_started');
+
+  conversation.sendMetadata('conv-sim-1');
+  conversation.sendAudio();
+  await sim.functions.waitForEvent('agent_audio_started');
+  await waitFor(() => sim.twilio.media().length === 1, { label: 'agent audio on Twilio' });
+  assert.equal(Buffer.from(sim.twilio.media()[0].media.payload, 'base64').length, 160);
+
+  sim.twilio.sendMedia(2);
+  await conversation.waitForUserAudio();
+  const userAudio = await waitFor(() => {
+    const chunks = conversation.received.filter((message) => message.user_audio_chunk);
+    return chunks.length === 2 && chunks;
+  }, { label: 'two user audio chunks' });
+  const userAudioBytes = userAudio.reduce((total, chunk) => total + Buffer.from(chunk.user_audio_chunk, 'base64').length, 0);
+  // 2 x 160 μ-law frames at 16 kHz, minus the streaming resampler's 18-sample lookahead.
+  assert.equal(userAudioBytes, 2 * 640 - 18 * 2 * 2);
+
+  conversation.sendPing('ping-1');
+  await waitFor(() => conversation.received.find((message) => message.type === 'pong' && message.event_id === 'ping-1'), { label: 'pong' });
+
+  conversation.sendInterruption();
+  await waitFor(() => sim.twilio.clears().length === 1, { label: 'Twilio clear on interruption' });
+
+  conversation.sendUserTranscript('Yes, tomorrow works.');
+  conversation.sendAgentResponse('Great, you are booked for tomorrow.');
+  await sim.functions.waitForEvent('agent_response');
+
+  sim.twilio.stop();
+  const ended = await sim.functions.waitForEvent('call_ended');
+  assert.equal(ended.outcome, 'completed');
+  assert.equal(ended.noAgentAudio, false);
+  assert.equal(ended.elevenlabsConversationId, 'conv-sim-1');
+  assert.equal(ended.transcript, 'Lead: Yes, tomorrow works.\nAgent: Great, you are booked for tomorrow.');
+  await conversation.waitForClose();
+
+  const { quality } = await sim.functions.waitForEvent('call_quality');
+  assert.equal(sim.functions.events.at(-1).type, 'call_quality');
+  assert.equal(quality.outcome, 'completed');
+  assert.equal(quality.outboundAudioChunks, 1);
+  assert.equal(quality.inboundAudioChunks, 2);
+  assert.equal(quality.interruptions, 1);
+  assert.equal(quality.elevenlabsReconnects, 0);
+  assert.ok(quality.firstAudioLatencyMs >= 0);
+  assert.equal(quality.outboundPaddedFrames, 1);
+});
+
+test('the metrics endpoint reports live and finished calls', async (t) => {
+  const { sim, conversation } = await startedCall(t, { env: { VOICE_BRIDGE_METRICS_TOKEN: 'metrics-secret' } });
+  const scrape = () => fetch(sim.bridge.httpUrl + '/metrics', { headers: { authorization: 'Bearer metrics-secret' } }).then((response) => response.text());
+
+  assert.equal((await fetch(sim.bridge.httpUrl + '/metrics')).status, 401);
+  assert.match(await scrape(), /^voice_bridge_active_calls 1$/m);
+
+  conversation.sendAudio();
+  await sim.functions.waitForEvent('agent_audio_started');
+  conversation.close();
+  await sim.functions.waitForEvent('bridge_reconnected');
+  sim.twilio.stop();
+  await sim.functions.waitForEvent('call_quality');
+
+  const text = await scrape();
+  assert.match(text, /^voice_bridge_active_calls 0$/m);
+  assert.match(text, /^voice_bridge_calls_total 1$/m);
+  assert.match(text, /^voice_bridge_calls_ended_total\{outcome="completed"\} 1$/m);
+  assert.match(text, /^voice_bridge_elevenlabs_reconnects_total\{result="success"\} 1$/m);
+  assert.match(text, /^voice_bridge_first_audio_latency_seconds_count 1$/m);
+  assert.match(text, /^voice_bridge_audio_chunks_total\{direction="outbound"\} 1$/m);
+});
+
+test('a call that never produces agent audio ends as failed', async (t) => {
+  const { sim } = await startedCall(t);
+
+  sim.twilio.stop();
+  const ended = await sim.functions.waitForEvent('call_ended');
+  assert.equal(ended.outcome, 'failed');
+  assert.equal(ended.noAgentAudio, true);
+});
+
+test('a repeated agent intro clears Twilio and reconnects ElevenLabs in resume mode', async (t) => {
+  const { sim, conversation } = await startedCall(t);
+  const intro = 'Hi Sim Lead, I am the AI assistant. Would you like to book a consultation?';
+
+  conversation.sendAgentResponse(intro);
+  conversation.sendAgentResponse(intro);
+  conversation.sendAgentResponse(intro);
+
+  const recovery = await sim.functions.waitForEvent('bridge_error', (event) => /Repeated agent intro/.test(event.error));
+  assert.equal(recovery.duplicateCount, 2);
+  await waitFor(() => sim.twilio.clears().length === 1, { label: 'Twilio clear on intro loop' });
+  assert.equal(sim.functions.eventsOfType('agent_response').length, 2);
+  await conversation.waitForClose();
+
+  const resumed = await sim.elevenlabs.waitForConversation(1);
+  const initiation = await resumed.waitForInitiation();
+  assert.equal(initiation.dynamic_variables.reconnected_call, 'true');
+  assert.equal(initiation.dynamic_variables.intro_already_played, 'true');
+  assert.match(initiation.conversation_config_override.agent.first_message, /continue from where we left off/);
+  await sim.functions.waitForEvent('bridge_reconnected');
+
+  resumed.sendAudio();
+  await waitFor(() => sim.twilio.media().length > 0 || null, { timeoutMs: 300 }).then(
+    () => assert.fail('agent audio should stay suppressed right after intro-loop recovery'),
+    () => {}
+  );
+});
+
+test('no ElevenLabs audio triggers one reconnect without the conversation override', async (t) => {
+  const { sim, conversation } = await startedCall(t, {
+    env: { ELEVENLABS_NO_AUDIO_TIMEOUT_MS: '200' },
+    conversationConfigOverride: { agent: { first_message: 'Hello from the override', prompt: { prompt: 'Tenant prompt' } } },
+  });
+
+  assert.equal(conversation.initiation().conversation_config_override.agent.first_message, 'Hello from the override');
+  const noAudio = await sim.functions.waitForEvent('bridge_error', (event) => /no ElevenLabs audio/.test(event.error));
+  assert.match(noAudio.error, /retrying without conversation override/);
+  await conversation.waitForClose();
+
+  const retried = await sim.elevenlabs.waitForConversation(1);
+  const initiation = await retried.waitForInitiation();
+  assert.equal(initiation.conversation_config_override.agent.prompt, undefined);
+  assert.doesNotMatch(initiation.conversation_config_override.agent.first_message, /override/);
+  const sent = await sim.functions.waitForEvent('initiation_sent', (event) => event.resume);
+  assert.equal(sent.overrideDisabled, true);
+
+  await waitFor(() => sim.functions.eventsOfType('bridge_error').length >= 2, { label: 'second no-audio report' });
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+  assert.equal(sim.elevenlabs.conversations.length, 2, 'no-audio recovery must only reconnect once');
+});
+
+test('a language switch survives an ElevenLabs reconnect', async (t) => {
+  const { sim, conversation } = await startedCall(t);
+  conversation.sendAudio();
+  await sim.functions.waitForEvent('agent_audio_started');
+
+  conversation.sendUserTranscript('Can we speak French please?');
+  const transcript = await sim.functions.waitForEvent('user_transcript');
+  assert.equal(transcript.detectedLanguagePreference, 'French');
+
+  conversation.close();
+  const resumed = await sim.elevenlabs.waitForConversation(1);
+  const initiation = await resumed.waitForInitiation();
+  assert.equal(initiation.dynamic_variables.preferred_language, 'French');
+  assert.equal(initiation.dynamic_variables.active_language, 'French');
+  assert.match(initiation.conversation_config_override.agent.first_message, /en français/);
+  const reconnected = await sim.functions.waitForEvent('bridge_reconnected');
+  assert.equal(reconnected.activeLanguage, 'French');
+});
+
+test('a failed reconnect is reported and retried until ElevenLabs is back', async (t) => {
+  const { sim, conversation } = await startedCall(t, {
+    onContext(body, index) {
+      if (index === 1) throw new Error('context temporarily unavailable');
+      return {};
+    },
+  });
+  conversation.sendAudio();
+  await sim.functions.waitForEvent('agent_audio_started');
+
+  conversation.close();
+  const failure = await sim.functions.waitForEvent('bridge_error', (event) => /reconnect failed/.test(event.error));
+  assert.match(failure.error, /context temporarily unavailable/);
+  assert.equal(failure.attempts, 1);
+
+  const reconnected = await sim.functions.waitForEvent('bridge_reconnected', () => true, { timeoutMs: 8000 });
+  assert.equal(reconnected.attempts, 2);
+  assert.equal(sim.functions.contextRequests.length, 3);
+  assert.equal(sim.functions.contextRequests[2].body.twilioStreamSid, sim.twilio.streamSid);
+  await sim.elevenlabs.waitForConversation(1);
+});
+
+test('ElevenLabs closing after Twilio stops ends the call instead of reconnecting', async (t) => {
+  const { sim, conversation } = await startedCall(t, { env: { TWILIO_STOP_GRACE_MS: '400' } });
+  conversation.sendAudio();
+  await sim.functions.waitForEvent('agent_audio_started');
+
+  sim.twilio.stop();
+  conversation.close();
+  await sim.functions.waitForEvent('call_ended');
+  assert.equal(sim.elevenlabs.conversations.length, 1);
+  assert.equal(sim.functions.eventsOfType('bridge_reconnected').length, 0);
+});
+
+test('recording-enabled calls upload a stereo WAV and post recording_ready', async (t) => {
+  const { sim, conversation } = await startedCall(t, { env: { VOICE_RECORDING_ENABLED: 'true' } });
+  sim.twilio.sendMedia(5);
+  conversation.sendAudio(1600);
+  conversation.sendUserTranscript('Hello?');
+  await sim.functions.waitForEvent('user_transcript');
+
+  sim.twilio.stop();
+  const ready = await sim.functions.waitForEvent('recording_ready');
+  const [upload] = sim.functions.recordings;
+  assert.equal(upload.sessionId, 'session-sim');
+  assert.equal(upload.headers['x-call-context-token'], 'token-sim');
+  assert.equal(upload.headers['content-type'], 'audio/wav');
+  assert.equal(upload.bytes.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(upload.bytes.readUInt16LE(22), 2);
+  assert.equal(ready.recordingStorageKey, 'tenant-sim/session-sim.wav');
+  assert.deepEqual(ready.channels, { left: 'lead', right: 'agent' });
+  assert.equal(ready.transcriptTurns[0].speaker, 'lead');
+  assert.ok(sim.functions.events.indexOf(ready) > sim.functions.events.findIndex((event) => event.type === 'call_ended'));
+});
+
+test('local VAD clears Twilio playback when the lead talks over the agent', async (t) => {
+  // No dead-air hangup: on a slow machine it could end the call mid-test.
+  const { sim, conversation } = await startedCall(t, { env: { VOICE_DEAD_AIR_TIMEOUT_MS: '0' } });
+  conversation.sendAudio(16000 * 2);
+  await waitFor(() => sim.twilio.media().length >= 3, { label: 'agent playback' });
+
+  sim.twilio.sendSamples(speechLike(300));
+  const bargeIn = await sim.functions.waitForEvent('vad_barge_in');
+  assert.ok(bargeIn.clearedAgentAudioMs > 1000);
+  await waitFor(() => sim.twilio.clears().length === 1, { label: 'Twilio clear on barge-in' });
+  const framesAfterClear = sim.twilio.media().length;
+  conversation.sendAudio(3200);
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(sim.twilio.media().length, framesAfterClear, 'in-flight agent audio is held after a barge-in');
+  assert.equal(sim.functions.eventsOfType('vad_barge_in').length, 1);
+  assert.equal(sim.twilio.clears().length, 1);
+});
+
+test('dead air with no lead speech ends the call as no answer', async (t) => {
+  const { sim } = await startedCall(t, { env: { VOICE_DEAD_AIR_TIMEOUT_MS: '400' } });
+  sim.twilio.sendSamples(noise(200, 40));
+
+  const deadAir = await sim.functions.waitForEvent('vad_dead_air');
+  assert.equal(deadAir.leadSpoke, false);
+  assert.ok(deadAir.silentMs >= 400);
+  const ended = await sim.functions.waitForEvent('call_ended');
+  assert.equal(ended.outcome, 'no_answer');
+  assert.equal(ended.vad.deadAir, true);
+  await sim.twilio.waitForClose();
+});
+
+test('a voicemail beep followed by the agent message ends as voicemail_left', async (t) => {
+  const { sim, conversation } = await startedCall(t);
+  sim.twilio.sendSamples(sine(400, 1000));
+  const detected = await sim.functions.waitForEvent('vad_voicemail_detected');
+  assert.equal(detected.reason, 'beep');
+
+  conversation.sendAudio(1600);
+  await waitFor(() => sim.twilio.media().length > 0, { label: 'agent voicemail message' });
+  sim.twilio.stop();
+  const ended = await sim.functions.waitForEvent('call_ended');
+  assert.equal(ended.outcome, 'voicemail_left');
+  assert.equal(ended.vad.voicemail, 'beep');
+});
+
+test('the control endpoint refuses commands when no bridge secret is configured', async (t) => {
+  const bridge = await startBridge({ VOICE_BRIDGE_CONTEXT_SECRET: '' });
+  t.after(() => bridge.stop());
+  const response = await fetch(bridge.httpUrl + '/control', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ voiceCallSessionId: 'session-sim', command: 'end_call' }),
+  });
+  assert.equal(response.status, 503);
+});
+
+test('a voicemail_drop control command replaces the agent with the drop and hangs up', async (t) => {
+  const { sim, conversation } = await startedCall(t);
+  conversation.sendAudio(16000);
+  await sim.functions.waitForEvent('agent_audio_started');
+  const control = (body, secret = 'sim-secret') => fetch(sim.bridge.httpUrl + '/control', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-voice-bridge-secret': secret },
+    body: JSON.stringify(body),
+  });
+
+  assert.equal((await control({ voiceCallSessionId: 'session-sim', command: 'voicemail_drop' }, 'wrong')).status, 401);
+  assert.equal((await control({ voiceCallSessionId: 'other-session', command: 'voicemail_drop' })).status, 404);
+  assert.equal((await control({ voiceCallSessionId: 'session-sim', command: 'voicemail_drop' })).status, 400);
+
+  const drop = Buffer.alloc(160 * 10, 0x55).toString('base64');
+  const response = await control({ voiceCallSessionId: 'session-sim', command: 'voicemail_drop', audio: drop, answeredBy: 'machine_end_beep' });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).result.audioMs, 200);
+  const started = await sim.functions.waitForEvent('voicemail_drop_started');
+  assert.equal(started.answeredBy, 'machine_end_beep');
+  await conversation.waitForClose();
+
+  conversation.sendAudio(3200);
+  const finished = await sim.functions.waitForEvent('voicemail_drop_finished');
+  assert.equal(finished.playbackConfirmed, true);
+  const ended = await sim.functions.waitForEvent('call_ended');
+  assert.equal(ended.outcome, 'voicemail_left');
+  assert.equal(sim.twilio.clears().length, 1);
+  const dropFrames = sim.twilio.media().filter((message) => Buffer.from(message.media.payload, 'base64')[0] === 0x55);
+  assert.equal(dropFrames.length, 10);
+  assert.equal(sim.twilio.marks()[0].mark.name, 'voicemail-drop');
+  await sim.twilio.waitForClose();
+  assert.equal(sim.elevenlabs.conversations.length, 1, 'the ElevenLabs leg is not reconnected after a drop');
+});
+
+test('a transfer control command drops the agent and ends as transferred once Twilio redirects', async (t) => {
+  const { sim, conversation } = await startedCall(t);
+  conversation.sendAudio(16000);
+  await sim.functions.waitForEvent('agent_audio_started');
+
+  const response = await fetch(sim.bridge.httpUrl + '/control', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-voice-bridge-secret': 'sim-secret' },
+    body: JSON.stringify({ voiceCallSessionId: 'session-sim', command: 'transfer', reason: 'Lead asked for a person' }),
+  });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).result.detached, true);
+  const started = await sim.functions.waitForEvent('transfer_started');
+  assert.equal(started.reason, 'Lead asked for a person');
+  await conversation.waitForClose();
+  assert.equal(sim.twilio.clears().length, 1);
+
+  const mediaAfterTransfer = sim.twilio.media().length;
+  sim.twilio.sendMedia(5);
+  sim.twilio.stop();
+  const ended = await sim.functions.waitForEvent('call_ended');
+  assert.equal(ended.outcome, 'transferred');
+  assert.equal(sim.twilio.media().length, mediaAfterTransfer);
+  assert.equal(sim.elevenlabs.conversations.length, 1, 'the ElevenLabs leg is not reconnected after a transfer');
+});
+
+test('a supervisor can listen in, whisper to the agent and end the call', async (t) => {
+  const { sim, conversation } = await startedCall(t);
+  await sim.functions.waitForEvent('call_started');
+  const monitorUrl = (token) => sim.bridge.url.replace('/twilio-media', '/monitor?token=' + encodeURIComponent(token));
+
+  const rejected = new WebSocket(monitorUrl(createMonitorToken('wrong-secret', 'session-sim', Date.now() + 60_000)));
+  await assert.rejects(once(rejected, 'open'), /401/);
+
+  const supervisor = new WebSocket(monitorUrl(createMonitorToken('sim-secret', 'session-sim', Date.now() + 60_000)));
+  const events = [];
+  supervisor.on('message', (raw) => events.push(JSON.parse(raw.toString())));
+  await once(supervisor, 'open');
+  await waitFor(() => events.find((event) => event.type === 'snapshot'), { label: 'monitor snapshot' });
+
+  conversation.sendUserTranscript('I need this fixed today.');
+  conversation.sendAgentResponse('I can help with that.');
+  conversation.sendAudio(3200);
+  sim.twilio.sendMedia(2);
+  await waitFor(() => events.filter((event) => event.type === 'transcript').length === 2, { label: 'monitor transcript' });
+  await waitFor(() => events.find((event) => event.type === 'media' && event.track === 'agent'), { label: 'agent audio on monitor' });
+  await waitFor(() => events.find((event) => event.type === 'media' && event.track === 'lead'), { label: 'lead audio on monitor' });
+  assert.deepEqual(events.filter((event) => event.type === 'transcript').map((event) => event.speaker), ['lead', 'agent']);
+
+  const control = (body) => fetch(sim.bridge.httpUrl + '/control', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-voice-bridge-secret': 'sim-secret' },
+    body: JSON.stringify({ voiceCallSessionId: 'session-sim', ...body }),
+  });
+  assert.equal((await control({ command: 'contextual_update' })).status, 400);
+  const whisper = await control({ command: 'contextual_update', text: 'Offer the same-day slot at 4pm.' });
+  assert.equal(whisper.status, 200);
+  const update = await waitFor(() => conversation.received.find((message) => message.type === 'contextual_update'), { label: 'contextual update' });
+  assert.equal(update.text, 'Offer the same-day slot at 4pm.');
+
+  const end = await control({ command: 'end_call', requestedBy: 'user-1' });
+  assert.equal((await end.json()).result.ending, true);
+  const ended = await sim.functions.waitForEvent('call_ended');
+  assert.equal(ended.endedBy, 'user-1');
+  await sim.twilio.waitForClose();
+  await waitFor(() => events.find((event) => event.type === 'call_ended'), { label: 'monitor call_ended' });
+  assert.ok(events.find((event) => event.type === 'whisper'));
+});
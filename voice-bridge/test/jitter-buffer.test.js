@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createOutboundJitterBuffer } from '../src/jitter-buffer.js';
+
+function fakeClock() {
+  let time = 0;
+  let nextId = 1;
+  const pending = new Map();
+  const schedule = (callback, delay, repeat) => {
+    const id = nextId++;
+    pending.set(id, { callback, at: time + delay, delay, repeat });
+    return id;
+  };
+  return {
+    now: () => time,
+    timers: {
+      setTimeout: (callback, delay) => schedule(callback, delay, false),
+      setInterval: (callback, delay) => schedule(callback, delay, true),
+      clearTimeout: (id) => pending.delete(id),
+      clearInterval: (id) => pending.delete(id),
+    },
+    advance(ms) {
+      const end = time + ms;
+      for (;;) {
+        const [id, timer] = [...pending].sort((a, b) => a[1].at - b[1].at)[0] || [];
+        if (!timer || timer.at > end) break;
+        time = Math.max(time, timer.at);
+        if (timer.repeat) timer.at += timer.delay;
+        else pending.delete(id);
+        timer.callback();
+      }
+      time = end;
+    },
+    stall(ms) {
+      time += ms;
+    },
+  };
+}
+
+function frames(count, byte = 0x10) {
+  return Buffer.alloc(count * 160, byte);
+}
+
+test('jitter buffer waits for the prebuffer, then paces 20 ms frames', () => {
+  const clock = fakeClock();
+  const sent = [];
+  const buffer = createOutboundJitterBuffer({ send: (payload) => sent.push(payload), now: clock.now, timers: clock.timers });
+
+  buffer.push(frames(2));
+  assert.equal(sent.length, 0);
+  buffer.push(frames(3));
+  assert.equal(sent.length, 1);
+  assert.equal(buffer.queuedMs, 80);
+
+  clock.advance(40);
+  assert.equal(sent.length, 3);
+  clock.advance(100);
+  assert.equal(sent.length, 5);
+  assert.equal(buffer.playing, false);
+  assert.equal(buffer.stats.maxQueuedMs, 100);
+  assert.equal(Buffer.from(sent[0], 'base64').length, 160);
+});
+
+test('jitter buffer flushes a short utterance after the prebuffer delay and pads the last frame', () => {
+  const clock = fakeClock();
+  const sent = [];
+  const buffer = createOutboundJitterBuffer({ send: (payload) => sent.push(payload), now: clock.now, timers: clock.timers });
+
+  buffer.push(Buffer.alloc(200, 0x10));
+  clock.advance(59);
+  assert.equal(sent.length, 0);
+  clock.advance(40);
+
+  assert.equal(sent.length, 2);
+  const last = Buffer.from(sent[1], 'base64');
+  assert.equal(last[39], 0x10);
+  assert.equal(last[40], 0xff);
+  assert.equal(buffer.stats.paddedFrames, 1);
+});
+
+test('jitter buffer catches up after an event-loop stall and drops audio on clear', () => {
+  const clock = fakeClock();
+  const sent = [];
+  const buffer = createOutboundJitterBuffer({ send: (payload) => sent.push(payload), now: clock.now, timers: clock.timers });
+
+  buffer.push(frames(10));
+  assert.equal(sent.length, 1);
+  clock.stall(75);
+  clock.advance(5);
+  assert.equal(sent.length, 5);
+
+  buffer.clear();
+  clock.advance(200);
+  assert.equal(sent.length, 5);
+  assert.equal(buffer.queuedMs, 0);
+  assert.equal(buffer.stats.clears, 1);
+  assert.equal(buffer.stats.framesSent, 5);
+});
+
+test('jitter buffer reports when queued audio has been sent', async () => {
+  const clock = fakeClock();
+  const sent = [];
+  const buffer = createOutboundJitterBuffer({ send: (payload) => sent.push(payload), now: clock.now, timers: clock.timers });
+  let drained = false;
+
+  await buffer.drained();
+  buffer.push(frames(4));
+  buffer.drained().then(() => {
+    drained = true;
+  });
+  clock.advance(60);
+  await Promise.resolve();
+  assert.equal(drained, false);
+  clock.advance(20);
+  await Promise.resolve();
+  assert.equal(drained, true);
+  assert.equal(sent.length, 4);
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createBridgeMetrics, createMetricsRegistry } from '../src/metrics.js';
+
+test('registry renders counters, gauges and labelled series in Prometheus text format', () => {
+  const registry = createMetricsRegistry();
+  const calls = registry.counter('calls_total', 'Calls.');
+  const active = registry.gauge('active_calls', 'Active calls.');
+  calls.inc({ outcome: 'completed' });
+  calls.inc({ outcome: 'completed' });
+  calls.inc({ outcome: 'say "hi"\n' });
+  active.inc();
+  active.inc();
+  active.dec();
+
+  assert.equal(registry.render(), [
+    '# HELP calls_total Calls.',
+    '# TYPE calls_total counter',
+    'calls_total{outcome="completed"} 2',
+    'calls_total{outcome="say \\"hi\\"\\n"} 1',
+    '# HELP active_calls Active calls.',
+    '# TYPE active_calls gauge',
+    'active_calls 1',
+    '',
+  ].join('\n'));
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+  const registry = createMetricsRegistry();
+  const latency = registry.histogram('latency_seconds', 'Latency.', [1, 0.5]);
+  latency.observe(0.25);
+  latency.observe(0.75);
+  latency.observe(4);
+
+  assert.deepEqual(registry.render().trim().split('\n').slice(2), [
+    'latency_seconds_bucket{le="0.5"} 1',
+    'latency_seconds_bucket{le="1"} 2',
+    'latency_seconds_bucket{le="+Inf"} 3',
+    'latency_seconds_sum 5',
+    'latency_seconds_count 3',
+  ]);
+});
+
+test('bridge metrics expose zeroed series before any call', () => {
+  const text = createBridgeMetrics().registry.render();
+
+  assert.match(text, /^voice_bridge_active_calls 0$/m);
+  assert.match(text, /^voice_bridge_no_audio_recoveries_total 0$/m);
+  assert.match(text, /^voice_bridge_first_audio_latency_seconds_count 0$/m);
+});
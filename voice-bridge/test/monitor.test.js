@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import test from 'node:test';
+import { createCallMonitor, createMonitorToken, verifyMonitorToken } from '../src/monitor.js';
+
+function fakeSocket() {
+  const socket = new EventEmitter();
+  socket.OPEN = 1;
+  socket.readyState = 1;
+  socket.sent = [];
+  socket.send = (raw) => socket.sent.push(JSON.parse(raw));
+  socket.close = () => {
+    socket.readyState = 3;
+    socket.emit('close');
+  };
+  return socket;
+}
+
+test('monitor tokens verify only with the signing secret and before they expire', () => {
+  const token = createMonitorToken('secret', 'session-1', 2_000);
+  assert.deepEqual(verifyMonitorToken('secret', token, 1_000), { voiceCallSessionId: 'session-1', expiresAt: 2_000 });
+  assert.equal(verifyMonitorToken('other', token, 1_000), null);
+  assert.equal(verifyMonitorToken('secret', token, 2_000), null);
+  assert.equal(verifyMonitorToken('', token, 1_000), null);
+
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sid: 'session-2', exp: 2_000 })).toString('base64url') + '.' + signature;
+  assert.equal(verifyMonitorToken('secret', forged, 1_000), null);
+  assert.equal(verifyMonitorToken('secret', 'garbage', 1_000), null);
+});
+
+test('a call monitor replays recent transcript to late listeners and closes them when the call ends', () => {
+  const monitor = createCallMonitor();
+  monitor.audio('lead', 'AAAA');
+  monitor.transcript('agent', 'Hi, this is Ava.');
+
+  const socket = fakeSocket();
+  monitor.add(socket, { voiceCallSessionId: 'session-1' });
+  assert.equal(monitor.listening, true);
+  assert.equal(socket.sent[0].type, 'snapshot');
+  assert.equal(socket.sent[0].voiceCallSessionId, 'session-1');
+  assert.deepEqual(socket.sent[0].transcript.map((turn) => turn.text), ['Hi, this is Ava.']);
+
+  monitor.transcript('lead', 'Can someone call me tomorrow?');
+  monitor.audio('agent', 'BBBB');
+  assert.deepEqual(socket.sent.slice(1).map((event) => event.type), ['transcript', 'media']);
+  assert.equal(socket.sent[2].track, 'agent');
+
+  monitor.close({ type: 'call_ended', outcome: 'completed' });
+  assert.equal(socket.sent.at(-1).type, 'call_ended');
+  assert.equal(monitor.listening, false);
+});
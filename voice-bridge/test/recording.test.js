@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createCallRecorder, encodeStereoWav } from '../src/recording.js';
+
+function stereoFrames(wav) {
+  const dataBytes = wav.readUInt32LE(40);
+  return Array.from({ length: dataBytes / 4 }, (_, index) => [
+    wav.readInt16LE(44 + index * 4),
+    wav.readInt16LE(44 + index * 4 + 2),
+  ]);
+}
+
+test('encodeStereoWav writes a 16-bit two-channel header and pads the shorter channel', () => {
+  const wav = encodeStereoWav(Int16Array.from([100, 200, 300]), Int16Array.from([-5]), 8000);
+
+  assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+  assert.equal(wav.readUInt16LE(22), 2);
+  assert.equal(wav.readUInt32LE(24), 8000);
+  assert.equal(wav.readUInt16LE(34), 16);
+  assert.deepEqual(stereoFrames(wav), [[100, -5], [200, 0], [300, 0]]);
+});
+
+test('call recorder places lead audio by Twilio timestamp and agent audio by wall clock', () => {
+  let clock = 1000;
+  const recorder = createCallRecorder({ sampleRate: 1000, now: () => clock });
+  recorder.start();
+
+  recorder.appendLead(Int16Array.from([1, 1]), '0');
+  recorder.appendLead(Int16Array.from([2, 2]), '5');
+  clock += 3;
+  recorder.appendAgent(Int16Array.from([9, 9, 9]));
+  recorder.appendAgent(Int16Array.from([8]));
+
+  const frames = stereoFrames(recorder.finish().wav);
+  assert.deepEqual(frames.map(([left]) => left), [1, 1, 0, 0, 0, 2, 2]);
+  assert.deepEqual(frames.map(([, right]) => right), [0, 0, 0, 9, 9, 9, 8]);
+});
+
+test('call recorder drops unplayed agent audio after an interruption', () => {
+  let clock = 0;
+  const recorder = createCallRecorder({ sampleRate: 1000, now: () => clock });
+  recorder.start();
+  clock = 1;
+  recorder.appendAgent(Int16Array.from([5, 5, 5, 5, 5, 5]));
+  clock = 3;
+  recorder.interruptAgent();
+  clock = 9;
+  recorder.appendAgent(Int16Array.from([6]));
+
+  const frames = stereoFrames(recorder.finish().wav);
+  assert.deepEqual(frames.map(([, right]) => right), [0, 5, 5, 0, 0, 0, 0, 0, 0, 6]);
+});
+
+test('call recorder caps duration and keeps a timed stereo transcript', () => {
+  let clock = 0;
+  const recorder = createCallRecorder({ sampleRate: 1000, maxSeconds: 0.004, now: () => clock });
+  recorder.start();
+  clock = 250;
+  recorder.addTranscript('lead', 'Hello?');
+  recorder.appendLead(Int16Array.from([1, 2, 3, 4, 5, 6]), 0);
+
+  const recording = recorder.finish();
+  assert.equal(recording.truncated, true);
+  assert.equal(stereoFrames(recording.wav).length, 4);
+  assert.deepEqual(recording.transcript, [{ speaker: 'lead', channel: 'left', offsetMs: 250, text: 'Hello?' }]);
+});
+
+test('call recorder returns nothing when no audio was captured', () => {
+  const recorder = createCallRecorder();
+  recorder.start();
+  assert.equal(recorder.finish(), null);
+});
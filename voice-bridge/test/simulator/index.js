@@ -0,0 +1,338 @@
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { WebSocket, WebSocketServer } from 'ws';
+import { pcm16Base64ToTwilioMuLaw } from '../../src/audio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../../src/server.js', import.meta.url));
+
+export async function waitFor(check, options = {}) {
+  const timeoutMs = options.timeoutMs || 5000;
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const value = check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for ' + (options.label || 'condition'));
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+function closeServer(server) {
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function pcmSilenceBase64(samples = 320) {
+  return Buffer.alloc(samples * 2).toString('base64');
+}
+
+function createFakeConversation(ws, path, index) {
+  const received = [];
+  let closed = false;
+  ws.on('message', (raw) => {
+    try {
+      received.push(JSON.parse(raw.toString()));
+    } catch {
+      received.push({ raw: raw.toString() });
+    }
+  });
+  ws.on('close', () => {
+    closed = true;
+  });
+
+  function send(payload) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+  }
+
+  return {
+    index,
+    path,
+    received,
+    get closed() {
+      return closed;
+    },
+    initiation() {
+      return received.find((message) => message.type === 'conversation_initiation_client_data') || null;
+    },
+    waitForInitiation(options) {
+      return waitFor(() => this.initiation(), { label: 'ElevenLabs initiation #' + index, ...options });
+    },
+    waitForUserAudio(options) {
+      return waitFor(() => received.find((message) => message.user_audio_chunk), { label: 'user audio chunk', ...options });
+    },
+    waitForClose(options) {
+      return waitFor(() => closed, { label: 'ElevenLabs close #' + index, ...options });
+    },
+    sendMetadata(conversationId) {
+      send({ type: 'conversation_initiation_metadata', conversation_initiation_metadata_event: { conversation_id: conversationId } });
+    },
+    sendPing(eventId) {
+      send({ type: 'ping', ping_event: { event_id: eventId } });
+    },
+    sendAudio(samples = 320) {
+      send({ type: 'audio', audio_event: { audio_base_64: pcmSilenceBase64(samples) } });
+    },
+    sendAgentResponse(text) {
+      send({ type: 'agent_response', agent_response_event: { agent_response: text } });
+    },
+    sendUserTranscript(text) {
+      send({ type: 'user_transcript', user_transcription_event: { user_transcript: text } });
+    },
+    sendInterruption() {
+      send({ type: 'interruption', interruption_event: {} });
+    },
+    close(code = 1000, reason = 'fake elevenlabs closed') {
+      ws.close(code, reason);
+    },
+  };
+}
+
+export async function startFakeElevenLabs() {
+  const server = http.createServer();
+  const wss = new WebSocketServer({ server });
+  const conversations = [];
+  wss.on('connection', (ws, req) => {
+    conversations.push(createFakeConversation(ws, req.url, conversations.length));
+  });
+  const port = await listen(server);
+
+  return {
+    url: 'ws://127.0.0.1:' + port,
+    conversations,
+    waitForConversation(index, options) {
+      return waitFor(() => conversations[index], { label: 'ElevenLabs connection #' + index, ...options });
+    },
+    async close() {
+      for (const client of wss.clients) client.terminate();
+      wss.close();
+      await closeServer(server);
+    },
+  };
+}
+
+// Stands in for twilio-voice-webhook: serves bridge-context, and records
+// every bridge-event and bridge-recording the bridge posts.
+export async function startFakeFunctions(options = {}) {
+  const events = [];
+  const contextRequests = [];
+  const recordings = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const mode = url.searchParams.get('mode');
+    const raw = await readBody(req);
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (mode === 'bridge-context') {
+      const body = JSON.parse(raw.toString() || '{}');
+      const index = contextRequests.length;
+      contextRequests.push({ body, headers: req.headers });
+      try {
+        const overrides = options.onContext ? options.onContext(body, index) : {};
+        reply(200, {
+          success: true,
+          voiceCallSession: { id: body.voiceCallSessionId, tenantId: 'tenant-sim', leadId: 'lead-sim' },
+          elevenlabs: { signedUrl: options.elevenlabsUrl + '/conversation/' + index },
+          dynamicVariables: { lead_name: 'Sim Lead', preferred_language: 'English' },
+          ...(options.conversationConfigOverride ? { conversationConfigOverride: options.conversationConfigOverride } : {}),
+          ...(overrides || {}),
+        });
+      } catch (error) {
+        reply(500, { success: false, error: error.message });
+      }
+      return;
+    }
+
+    if (mode === 'bridge-event') {
+      events.push(JSON.parse(raw.toString() || '{}'));
+      reply(200, { success: true });
+      return;
+    }
+
+    if (mode === 'bridge-recording') {
+      recordings.push({ sessionId: url.searchParams.get('voiceCallSessionId'), headers: req.headers, bytes: raw });
+      reply(200, { success: true, recording: { storageKey: 'tenant-sim/' + url.searchParams.get('voiceCallSessionId') + '.wav' } });
+      return;
+    }
+
+    reply(404, { success: false, error: 'Unknown mode ' + mode });
+  });
+  const port = await listen(server);
+
+  return {
+    baseUrl: 'http://127.0.0.1:' + port,
+    events,
+    contextRequests,
+    recordings,
+    eventsOfType(type) {
+      return events.filter((event) => event.type === type);
+    },
+    waitForEvent(type, predicate = () => true, options = {}) {
+      return waitFor(
+        () => events.find((event) => event.type === type && predicate(event)),
+        { label: 'bridge-event ' + type, ...options }
+      );
+    },
+    close() {
+      server.closeAllConnections();
+      return closeServer(server);
+    },
+  };
+}
+
+export async function startBridge(env = {}) {
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, PORT: '0', ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+  });
+  child.stderr.on('data', (chunk) => {
+    output += chunk;
+  });
+  const exited = once(child, 'exit');
+  const port = await waitFor(() => output.match(/listening on (\d+)/)?.[1], { label: 'voice bridge to listen' });
+
+  return {
+    url: 'ws://127.0.0.1:' + port + '/twilio-media',
+    httpUrl: 'http://127.0.0.1:' + port,
+    get output() {
+      return output;
+    },
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) child.kill();
+      await exited;
+    },
+  };
+}
+
+export async function connectFakeTwilio(bridgeUrl, options = {}) {
+  const ws = new WebSocket(bridgeUrl);
+  const received = [];
+  let closed = false;
+  let mediaTimestamp = 0;
+  const streamSid = options.streamSid || 'MZ-sim-stream';
+  function send(payload) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+  }
+
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    received.push(message);
+    // Real Twilio echoes a mark once the audio before it has played; the
+    // fake plays instantly.
+    if (message.event === 'mark') send({ event: 'mark', streamSid, mark: message.mark });
+  });
+  ws.on('close', () => {
+    closed = true;
+  });
+  await once(ws, 'open');
+
+  return {
+    streamSid,
+    received,
+    get closed() {
+      return closed;
+    },
+    media() {
+      return received.filter((message) => message.event === 'media');
+    },
+    clears() {
+      return received.filter((message) => message.event === 'clear');
+    },
+    marks() {
+      return received.filter((message) => message.event === 'mark');
+    },
+    start() {
+      send({
+        event: 'start',
+        streamSid,
+        start: {
+          streamSid,
+          callSid: options.callSid || 'CA-sim-call',
+          customParameters: {
+            VoiceCallSessionId: options.sessionId || 'session-sim',
+            CallContextToken: options.token || 'token-sim',
+          },
+        },
+      });
+    },
+    sendMedia(frames = 1, payload = Buffer.alloc(160, 0xff).toString('base64')) {
+      for (let index = 0; index < frames; index += 1) {
+        send({
+          event: 'media',
+          streamSid,
+          media: {
+            track: 'inbound',
+            timestamp: String(mediaTimestamp),
+            payload,
+          },
+        });
+        mediaTimestamp += 20;
+      }
+    },
+    // Sends 8 kHz PCM16 samples as 20 ms μ-law frames.
+    sendSamples(samples) {
+      for (let offset = 0; offset < samples.length; offset += 160) {
+        const frame = Buffer.from(samples.slice(offset, offset + 160).buffer);
+        this.sendMedia(1, pcm16Base64ToTwilioMuLaw(frame.toString('base64'), 8000));
+      }
+    },
+    stop() {
+      send({ event: 'stop', streamSid });
+    },
+    hangup() {
+      ws.close();
+    },
+    waitForClose(waitOptions) {
+      return waitFor(() => closed, { label: 'Twilio close', ...waitOptions });
+    },
+  };
+}
+
+// One simulated call: fake Functions + fake ElevenLabs + a real bridge
+// process, with a Twilio client that can be started on demand.
+export async function startSimulation(options = {}) {
+  const elevenlabs = await startFakeElevenLabs();
+  const functions = await startFakeFunctions({ ...options, elevenlabsUrl: elevenlabs.url });
+  const bridge = await startBridge({
+    INSFORGE_FUNCTION_BASE_URL: functions.baseUrl,
+    VOICE_BRIDGE_CONTEXT_SECRET: 'sim-secret',
+    ELEVENLABS_NO_AUDIO_TIMEOUT_MS: '10000',
+    TWILIO_STOP_GRACE_MS: '100',
+    ...(options.env || {}),
+  });
+  const twilio = await connectFakeTwilio(bridge.url, options.twilio);
+
+  return {
+    bridge,
+    functions,
+    elevenlabs,
+    twilio,
+    async close() {
+      twilio.hangup();
+      await bridge.stop();
+      await elevenlabs.close();
+      await functions.close();
+    },
+  };
+}
@@ -0,0 +1,33 @@
+// Synthetic 8 kHz inbound audio for VAD and simulator tests.
+export const SAMPLE_RATE = 8000;
+
+function seededRandom(seed) {
+  let value = seed;
+  return () => {
+    value = (value * 1103515245 + 12345) % 2147483648;
+    return value / 1073741824 - 1;
+  };
+}
+
+// Voiced-speech stand-in: a gliding 110-190 Hz pitch with decaying harmonics
+// and a syllable-rate (4 Hz) envelope.
+export function speechLike(ms, offsetMs = 0) {
+  const length = ms * SAMPLE_RATE / 1000;
+  let phase = 0;
+  return Int16Array.from({ length }, (_, index) => {
+    const t = (index + offsetMs * SAMPLE_RATE / 1000) / SAMPLE_RATE;
+    phase += 2 * Math.PI * (150 + 40 * Math.sin(2 * Math.PI * 1.3 * t)) / SAMPLE_RATE;
+    let value = 0;
+    for (let harmonic = 1; harmonic <= 12; harmonic += 1) value += Math.sin(harmonic * phase) / harmonic;
+    return Math.round(5000 * (0.6 + 0.4 * Math.sin(2 * Math.PI * 4 * t)) * value);
+  });
+}
+
+export function noise(ms, amplitude, seed = 1) {
+  const random = seededRandom(seed);
+  return Int16Array.from({ length: ms * SAMPLE_RATE / 1000 }, () => Math.round(amplitude * random()));
+}
+
+export function sine(ms, frequency, amplitude = 8000) {
+  return Int16Array.from({ length: ms * SAMPLE_RATE / 1000 }, (_, index) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * index / SAMPLE_RATE)));
+}
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createVoiceActivityDetector } from '../src/vad.js';
+import { noise, sine, speechLike } from './simulator/signals.js';
+
+const FRAME = 160;
+
+function run(detector, ...parts) {
+  const events = [];
+  for (const part of parts) {
+    for (let offset = 0; offset < part.length; offset += FRAME) {
+      events.push(...detector.process(part.subarray(offset, offset + FRAME)));
+    }
+  }
+  return events;
+}
+
+test('speech over line noise starts and ends a segment with hangover', () => {
+  const detector = createVoiceActivityDetector();
+  const events = run(detector, noise(1000, 60, 1), speechLike(1200), noise(1000, 60, 2));
+
+  const start = events.find((event) => event.type === 'speech_start');
+  const end = events.find((event) => event.type === 'speech_end');
+  assert.ok(start && start.atMs >= 1000 && start.atMs <= 1100, 'speech start at ' + start?.atMs);
+  assert.ok(end && Math.abs(end.atMs - 2200) <= 60, 'speech end at ' + end?.atMs);
+  assert.equal(detector.stats.speechSegments, 1);
+  assert.equal(detector.speaking, false);
+});
+
+test('loud hiss and digital silence are not speech', () => {
+  const detector = createVoiceActivityDetector();
+  const events = run(detector, new Int16Array(8000), noise(2000, 6000, 3));
+
+  assert.deepEqual(events.filter((event) => event.type === 'speech_start'), []);
+});
+
+test('a long uninterrupted opening monologue is flagged as a voicemail greeting', () => {
+  const detector = createVoiceActivityDetector();
+  const events = run(detector, noise(500, 60, 4), speechLike(2500), noise(300, 60, 5), speechLike(2500, 2800));
+
+  const voicemail = events.find((event) => event.type === 'voicemail');
+  assert.equal(voicemail.reason, 'greeting');
+  assert.ok(voicemail.atMs >= 4500 && voicemail.atMs <= 5000, 'greeting flagged at ' + voicemail.atMs);
+  assert.deepEqual(detector.voicemail, { reason: 'greeting', atMs: voicemail.atMs, greetingMs: voicemail.greetingMs });
+});
+
+test('the same monologue is not a greeting once the agent spoke first or after a real pause', () => {
+  const answered = createVoiceActivityDetector();
+  answered.agentSpeaking();
+  assert.equal(run(answered, speechLike(6000)).some((event) => event.type === 'voicemail'), false);
+
+  const paused = createVoiceActivityDetector();
+  assert.equal(run(paused, speechLike(2000), noise(1500, 60, 6), speechLike(3000)).some((event) => event.type === 'voicemail'), false);
+});
+
+test('a steady tone is flagged as a voicemail beep', () => {
+  const detector = createVoiceActivityDetector();
+  detector.agentSpeaking();
+  const events = run(detector, noise(500, 60, 7), sine(400, 1000));
+
+  const beep = events.find((event) => event.type === 'voicemail');
+  assert.equal(beep.reason, 'beep');
+  assert.ok(Math.abs(beep.frequencyHz - 1000) <= 50, 'beep at ' + beep.frequencyHz + ' Hz');
+  assert.ok(beep.atMs <= 500 + 200);
+});